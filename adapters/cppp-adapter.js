@@ -0,0 +1,141 @@
+/**
+ * CPPP Portal Adapter
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Central Public Procurement Portal (eprocure.gov.in/cppp). The "latest active
+ * tenders" listing is an HTML table paged with `?page=N` (0-based) and has no
+ * keyword search, so rows are filtered on title here; each row links to a
+ * detail page of caption / field pairs with the tender value, location,
+ * pre-bid meeting, EMD and the tender documents.
+ *
+ * Recorded pages for offline work are under data/portal-fixtures/cppp/
+ * (PORTAL_FIXTURE_MODE=replay).
+ */
+
+import * as cheerio from 'cheerio';
+import { PortalAdapter } from './portal-adapter.js';
+import { canonicalCableType, toKv } from '../services/matching-engine.js';
+
+const LISTING_PATH = '/cppp/latestactivetendersnew/cpppdata';
+const TENDER_ID_PATTERN = /\b\d{4}_[A-Z0-9]+_\d+_\d+\b/;
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+/**
+ * "21-Nov-2025 03:00 PM" (IST) -> ISO timestamp
+ */
+export function parseCpppDate(text) {
+  const match = String(text || '').match(/(\d{1,2})-([A-Za-z]{3})-(\d{4})(?:\s+(\d{1,2}):(\d{2})\s*([AP]M))?/i);
+  if (!match) return null;
+  const [, day, month, year, hour = '12', minute = '00', meridiem = 'PM'] = match;
+  const monthIndex = MONTHS[month.toLowerCase()];
+  if (monthIndex === undefined) return null;
+  const hours24 = (parseInt(hour, 10) % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+  const utc = Date.UTC(parseInt(year, 10), monthIndex, parseInt(day, 10), hours24, parseInt(minute, 10)) - 330 * 60000;
+  return new Date(utc).toISOString();
+}
+
+const parseAmount = (text) => {
+  const digits = String(text || '').replace(/[^0-9.]/g, '');
+  return digits ? Math.round(parseFloat(digits)) : null;
+};
+
+export class CpppAdapter extends PortalAdapter {
+  constructor({ baseUrl = 'https://eprocure.gov.in' } = {}) {
+    super({
+      id: 'cppp',
+      name: 'Central Public Procurement Portal',
+      baseUrl,
+      description: 'Government of India e-procurement: latest active tenders',
+      requestsPerMinute: 12
+    });
+  }
+
+  async search({ keywords = [], page = 1 }) {
+    const { data } = await this.request(LISTING_PATH, { params: { page: page - 1 }, responseType: 'text' });
+    const $ = cheerio.load(data);
+
+    const items = [];
+    $('table#table tr').each((_, row) => {
+      const cells = $(row).find('td');
+      if (cells.length < 6) return;
+      const titleCell = cells.eq(4);
+      const link = titleCell.find('a').first();
+      const cellText = titleCell.text().replace(/\s+/g, ' ').trim();
+      const title = link.text().replace(/\s+/g, ' ').trim().replace(/^\[|\]$/g, '');
+      const tenderId = cellText.match(TENDER_ID_PATTERN)?.[0];
+      if (!tenderId || !this.matchesKeywords(title, keywords)) return;
+
+      items.push({
+        tender_id: tenderId,
+        title,
+        reference_no: cellText.replace(link.text(), '').split('/').map(part => part.trim()).filter(part => part && part !== tenderId)[0] || null,
+        published: cells.eq(1).text().trim(),
+        closing: cells.eq(2).text().trim(),
+        opening: cells.eq(3).text().trim(),
+        organisation: cells.eq(5).text().replace(/\s+/g, ' ').trim(),
+        detail_url: link.attr('href') ? new URL(link.attr('href'), this.baseUrl).toString() : null
+      });
+    });
+
+    return {
+      items,
+      nextPage: $('li.pager-next a, a[rel="next"]').length > 0 ? page + 1 : null
+    };
+  }
+
+  async fetchDetail(item) {
+    if (!item.detail_url) return item;
+    const { data } = await this.request(item.detail_url, { responseType: 'text' });
+    const $ = cheerio.load(data);
+
+    const fields = {};
+    $('td.td_caption').each((_, caption) => {
+      const label = $(caption).text().replace(/[:\s]+$/g, '').replace(/\s+/g, ' ').trim();
+      const value = $(caption).next('td.td_field').text().replace(/\s+/g, ' ').trim();
+      if (label && value) fields[label] = value;
+    });
+    const documents = $('a[href$=".pdf"], a[href$=".PDF"], a[href$=".zip"]')
+      .map((_, a) => ({ url: new URL($(a).attr('href'), item.detail_url).toString(), name: $(a).text().trim() || null }))
+      .get();
+
+    return { ...item, fields, documents };
+  }
+
+  documentLinks(raw) {
+    return (raw.documents || []).map(doc => ({ url: doc.url, name: doc.name && /\.\w{3,4}$/.test(doc.name) ? doc.name : null }));
+  }
+
+  normalise(raw) {
+    const fields = raw.fields || {};
+    const title = fields['Title'] || fields['Work Description'] || raw.title;
+    const kv = title?.match(/(\d+(?:\.\d+)?)\s*kv/i);
+    const isCable = /cable|conductor/i.test(`${title} ${fields['Product Category'] || ''}`);
+
+    return {
+      tender_id: raw.tender_id,
+      portal_id: this.id,
+      portal_name: this.name,
+      source_type: 'government',
+      buyer_type: 'Government/PSU',
+      organisation: fields['Organisation Chain']?.split('||')[0].trim() || raw.organisation,
+      title,
+      reference_no: fields['Tender Reference Number'] || raw.reference_no,
+      product_category: fields['Product Category'] || null,
+      cable_type: isCable ? canonicalCableType(title, kv ? toKv(kv[0]) : null) : null,
+      city: fields['Location'] || null,
+      pincode: fields['Pincode'] || null,
+      publish_date: parseCpppDate(fields['Published Date'] || raw.published)?.slice(0, 10) || null,
+      due_date: parseCpppDate(fields['Bid Submission End Date'] || raw.closing),
+      opening_date: parseCpppDate(fields['Bid Opening Date'] || raw.opening),
+      pre_bid_date: parseCpppDate(fields['Pre Bid Meeting Date']),
+      estimated_cost_inr: parseAmount(fields['Tender Value in ₹'] || fields['Tender Value']),
+      emd_inr: parseAmount(fields['EMD Amount in ₹'] || fields['EMD Amount']),
+      documents: (raw.documents || []).map(doc => doc.url),
+      detail_url: raw.detail_url,
+      source_url: raw.detail_url,
+      status: 'active'
+    };
+  }
+}
+
+export default CpppAdapter;
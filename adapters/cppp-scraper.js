@@ -1,11 +1,14 @@
 /**
  * CPPP (Central Public Procurement Portal) Scraper
- * Scrapes tender data from government procurement portals
+ * Scrapes tender data from government procurement portals through the CPPP
+ * adapter (rate limited, retried, replayable from fixtures), falling back to
+ * the cached portal data and then to sample tenders.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getAdapter } from './index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,7 +26,21 @@ export async function scrapeCPPPWithRetry(options = {}) {
   console.log(`[CPPP Scraper] Searching for: ${keywords.join(', ')}`);
   console.log(`[CPPP Scraper] Max results: ${maxResults}`);
   
-  // Try to load cached/existing portal data first
+  try {
+    const tenders = [];
+    for await (const tender of getAdapter('cppp').crawl({ keywords, downloadDocuments: false })) {
+      tenders.push(tender);
+      if (tenders.length >= maxResults) break;
+    }
+    if (tenders.length > 0) {
+      console.log(`[CPPP Scraper] Found ${tenders.length} matching tenders on the portal`);
+      return tenders;
+    }
+  } catch (e) {
+    console.log(`[CPPP Scraper] Portal not reachable: ${e.message}`);
+  }
+  
+  // Fall back to cached/existing portal data
   try {
     const dataPath = path.join(__dirname, '../public/data/all-portals.json');
     if (fs.existsSync(dataPath)) {
@@ -0,0 +1,121 @@
+/**
+ * Portal HTTP Transport
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Every adapter request goes through here so it can be recorded and replayed:
+ * - live:   request the portal
+ * - record: request the portal and save the response as a fixture
+ * - replay: answer from saved fixtures only (offline development and tests)
+ *
+ * Fixtures live under PORTAL_CRAWL_CONFIG.fixturesDir/<adapter>/ and are keyed
+ * by path + sorted query, without the host, so a recording made against one
+ * base URL replays against any other.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { PORTAL_CRAWL_CONFIG } from '../configs/settings.js';
+
+export function transportError(message, status = null, { retryable = false, retryAfterMs = null } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+/**
+ * Fixture file for a request
+ */
+export function fixturePath(adapterId, url, params = {}) {
+  const parsed = new URL(url, 'http://fixture.local');
+  const query = new URLSearchParams(parsed.search);
+  Object.entries(params).forEach(([key, value]) => query.set(key, String(value)));
+  const sorted = [...query.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const search = new URLSearchParams(sorted).toString();
+  const key = search ? `${parsed.pathname}?${search}` : parsed.pathname;
+  const slug = parsed.pathname.split('/').filter(Boolean).pop()?.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 40) || 'index';
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+  return { file: path.join(PORTAL_CRAWL_CONFIG.fixturesDir, adapterId, `${slug}-${hash}.json`), key };
+}
+
+function readFixture(adapterId, url, params) {
+  const { file, key } = fixturePath(adapterId, url, params);
+  if (!fs.existsSync(file)) {
+    throw transportError(`No recorded fixture for ${adapterId} ${key}`, 404);
+  }
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const body = fixture.encoding === 'base64' ? Buffer.from(fixture.body, 'base64') : fixture.body;
+  return { status: fixture.status, contentType: fixture.content_type, data: body, fixture: file };
+}
+
+function writeFixture(adapterId, url, params, response, responseType) {
+  const { file, key } = fixturePath(adapterId, url, params);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const binary = responseType === 'arraybuffer';
+  fs.writeFileSync(file, JSON.stringify({
+    request: key,
+    recorded_at: new Date().toISOString(),
+    status: response.status,
+    content_type: response.headers?.['content-type'] || null,
+    encoding: binary ? 'base64' : 'utf-8',
+    body: binary ? Buffer.from(response.data).toString('base64') : response.data
+  }, null, 2));
+  return file;
+}
+
+/**
+ * GET a portal URL in the configured fixture mode
+ * @param {string} adapterId - Adapter the fixture belongs to
+ * @param {string} url - Absolute URL
+ * @param {Object} options - { params, responseType: 'json' | 'text' | 'arraybuffer', headers, mode }
+ * @returns {Promise<Object>} - { status, contentType, data, fixture? }
+ */
+export async function transportGet(adapterId, url, { params = {}, responseType = 'json', headers = {}, mode = PORTAL_CRAWL_CONFIG.fixtureMode } = {}) {
+  if (mode === 'replay') {
+    const replayed = readFixture(adapterId, url, params);
+    return {
+      ...replayed,
+      data: responseType === 'json' && typeof replayed.data === 'string' ? JSON.parse(replayed.data) : replayed.data
+    };
+  }
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      params,
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; RFP-Automation/2.0)', ...headers },
+      responseType: responseType === 'json' ? 'text' : responseType,
+      timeout: PORTAL_CRAWL_CONFIG.requestTimeoutMs,
+      validateStatus: () => true
+    });
+  } catch (error) {
+    throw transportError(`${url}: ${error.message}`, null, { retryable: true });
+  }
+
+  if (response.status === 429 || response.status >= 500) {
+    const retryAfter = parseInt(response.headers?.['retry-after'], 10);
+    throw transportError(`${url}: HTTP ${response.status}`, response.status, {
+      retryable: true,
+      retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+    });
+  }
+  if (response.status >= 400) {
+    throw transportError(`${url}: HTTP ${response.status}`, response.status);
+  }
+
+  const fixture = mode === 'record' ? writeFixture(adapterId, url, params, response, responseType) : null;
+  let data = response.data;
+  if (responseType === 'json' && typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      throw transportError(`${url}: response is not JSON`, response.status);
+    }
+  }
+  return { status: response.status, contentType: response.headers?.['content-type'] || null, data, ...(fixture ? { fixture } : {}) };
+}
+
+export default { transportGet, fixturePath };
@@ -0,0 +1,40 @@
+/**
+ * Portal Adapter Registry
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * One adapter per tender portal: the JSON-feed portals from config/portals.js
+ * and CPPP. New portals register a PortalAdapter subclass here.
+ */
+
+import portalsConfig from '../config/portals.js';
+import { JsonFeedAdapter } from './json-feed-adapter.js';
+import { CpppAdapter } from './cppp-adapter.js';
+
+const adapters = new Map();
+
+export function registerAdapter(adapter) {
+  adapters.set(adapter.id, adapter);
+  return adapter;
+}
+
+/**
+ * Adapter by id
+ */
+export function getAdapter(id) {
+  const adapter = adapters.get(id);
+  if (!adapter) {
+    const error = new Error(`Unknown portal adapter "${id}" (available: ${[...adapters.keys()].join(', ')})`);
+    error.status = 404;
+    throw error;
+  }
+  return adapter;
+}
+
+export function listAdapters() {
+  return [...adapters.values()];
+}
+
+portalsConfig.forEach(portal => registerAdapter(new JsonFeedAdapter(portal)));
+registerAdapter(new CpppAdapter());
+
+export default { registerAdapter, getAdapter, listAdapters };
@@ -0,0 +1,64 @@
+/**
+ * JSON Feed Portal Adapter
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Adapter for the portals in config/portals.js, which publish every active
+ * tender as one JSON array (`dataFeed`) already in the tender schema. The
+ * feed is fetched once per crawl and paged locally.
+ */
+
+import { PortalAdapter } from './portal-adapter.js';
+import { PORTAL_CRAWL_CONFIG } from '../configs/settings.js';
+
+const PAGE_SIZE = 20;
+
+export class JsonFeedAdapter extends PortalAdapter {
+  /**
+   * @param {Object} portal - config/portals.js entry ({ id, name, dataFeed, description })
+   */
+  constructor(portal) {
+    super({
+      id: portal.id,
+      name: portal.name,
+      baseUrl: PORTAL_CRAWL_CONFIG.feedBaseUrl || (process.env.REPLIT_DEV_DOMAIN
+        ? `https://${process.env.REPLIT_DEV_DOMAIN}`
+        : `http://localhost:${process.env.PORT || 8080}`),
+      description: portal.description,
+      requestsPerMinute: 60
+    });
+    this.dataFeed = portal.dataFeed;
+    this.feed = null;
+  }
+
+  async search({ keywords = [], page = 1 }) {
+    if (page === 1 || !this.feed) {
+      const { data } = await this.request(this.dataFeed);
+      if (!Array.isArray(data)) {
+        throw new Error(`${this.id}: feed ${this.dataFeed} is not a tender array`);
+      }
+      this.feed = data.filter(t => this.matchesKeywords(`${t.title || ''} ${t.material || ''} ${t.cable_type || ''} ${t.product_category || ''}`, keywords));
+    }
+    const start = (page - 1) * PAGE_SIZE;
+    return {
+      items: this.feed.slice(start, start + PAGE_SIZE),
+      nextPage: start + PAGE_SIZE < this.feed.length ? page + 1 : null
+    };
+  }
+
+  documentLinks(raw) {
+    const urls = [...new Set([raw.pdf_url, ...(raw.documents || [])].filter(Boolean))];
+    return urls.map(url => ({ url }));
+  }
+
+  normalise(raw) {
+    return {
+      ...raw,
+      tender_id: raw.tender_id,
+      portal_id: this.id,
+      portal_name: raw.portal_name || this.name,
+      source_url: raw.detail_url ? new URL(raw.detail_url, this.baseUrl).toString() : null
+    };
+  }
+}
+
+export default JsonFeedAdapter;
@@ -0,0 +1,199 @@
+/**
+ * Portal Adapter Base
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * The contract every tender portal integration implements, plus the plumbing
+ * they share: per-adapter rate limiting, retries with backoff on network
+ * errors / 429 / 5xx, health status, document download and a paginated crawl.
+ *
+ * Subclasses implement:
+ *   search({ keywords, page })  -> { items: [raw listing rows], nextPage: number | null }
+ *   fetchDetail(item)           -> raw tender detail (default: the listing row)
+ *   documentLinks(raw)          -> [{ url, name }] tender documents to download
+ *   normalise(raw)              -> tender in the portal JSON schema (tender_id, organisation,
+ *                                  title, city, due_date, estimated_cost_inr, ...)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { transportGet, transportError } from './http-transport.js';
+import { PORTAL_CRAWL_CONFIG } from '../configs/settings.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class PortalAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Adapter id (also the `portal` stored on rfps rows)
+   * @param {string} options.name - Display name
+   * @param {string} options.baseUrl - Portal root URL
+   * @param {number} options.requestsPerMinute - Politeness limit for this portal
+   */
+  constructor({ id, name, baseUrl, requestsPerMinute = 30, description = '' }) {
+    this.id = id;
+    this.name = name;
+    this.baseUrl = baseUrl;
+    this.description = description;
+    this.minIntervalMs = Math.ceil(60000 / requestsPerMinute);
+    this.nextRequestAt = 0;
+    this.health = {
+      status: 'unknown',
+      requests: 0,
+      failures: 0,
+      consecutive_failures: 0,
+      last_success_at: null,
+      last_error_at: null,
+      last_error: null
+    };
+  }
+
+  // ============================================
+  // INTERFACE
+  // ============================================
+
+  async search() {
+    throw new Error(`${this.id}: search() is not implemented`);
+  }
+
+  async fetchDetail(item) {
+    return item;
+  }
+
+  documentLinks() {
+    return [];
+  }
+
+  normalise() {
+    throw new Error(`${this.id}: normalise() is not implemented`);
+  }
+
+  // ============================================
+  // SHARED PLUMBING
+  // ============================================
+
+  /**
+   * Rate-limited GET with retries (responses recorded / replayed per PORTAL_FIXTURE_MODE)
+   * @param {string} url - Absolute URL, or a path under baseUrl
+   * @param {Object} options - { params, responseType: 'json' | 'text' | 'arraybuffer' }
+   */
+  async request(url, options = {}) {
+    const absolute = new URL(url, this.baseUrl).toString();
+    const replay = (options.mode || PORTAL_CRAWL_CONFIG.fixtureMode) === 'replay';
+
+    for (let attempt = 0; ; attempt++) {
+      if (!replay) {
+        const wait = this.nextRequestAt - Date.now();
+        this.nextRequestAt = Math.max(Date.now(), this.nextRequestAt) + this.minIntervalMs;
+        if (wait > 0) await sleep(wait);
+      }
+
+      this.health.requests++;
+      try {
+        const response = await transportGet(this.id, absolute, options);
+        this.recordSuccess();
+        return response;
+      } catch (error) {
+        if (!error.retryable || attempt >= PORTAL_CRAWL_CONFIG.maxRetries) {
+          this.recordFailure(error);
+          throw error;
+        }
+        const delay = error.retryAfterMs ?? PORTAL_CRAWL_CONFIG.retryDelayMs * 2 ** attempt;
+        console.warn(`⚠️ ${this.id}: ${error.message}, retry ${attempt + 1}/${PORTAL_CRAWL_CONFIG.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  recordSuccess() {
+    Object.assign(this.health, { status: 'healthy', consecutive_failures: 0, last_success_at: new Date().toISOString() });
+  }
+
+  recordFailure(error) {
+    this.health.failures++;
+    this.health.consecutive_failures++;
+    Object.assign(this.health, {
+      status: this.health.consecutive_failures >= PORTAL_CRAWL_CONFIG.downAfterFailures ? 'down' : 'degraded',
+      last_error_at: new Date().toISOString(),
+      last_error: error.message
+    });
+  }
+
+  /**
+   * Listing filter shared by adapters whose portal has no server-side search
+   */
+  matchesKeywords(text, keywords = []) {
+    const haystack = String(text || '').toLowerCase();
+    return keywords.length === 0 || keywords.some(keyword => haystack.includes(String(keyword).toLowerCase()));
+  }
+
+  getHealth() {
+    return { ...this.health };
+  }
+
+  /**
+   * Download a tender's documents to <documentsDir>/<adapter>/<tender_id>/
+   * @returns {Promise<Array>} - [{ name, url, path, bytes }] (failed downloads carry `error`)
+   */
+  async downloadDocuments(raw, tender = this.normalise(raw), dir = PORTAL_CRAWL_CONFIG.documentsDir) {
+    const target = path.join(dir, this.id, String(tender.tender_id).replace(/[^a-zA-Z0-9._-]/g, '_'));
+    const documents = [];
+    for (const link of this.documentLinks(raw)) {
+      const name = (link.name || path.basename(new URL(link.url, this.baseUrl).pathname) || 'document').replace(/[^a-zA-Z0-9._-]/g, '_');
+      try {
+        const response = await this.request(link.url, { responseType: 'arraybuffer' });
+        const body = Buffer.from(response.data);
+        fs.mkdirSync(target, { recursive: true });
+        const file = path.join(target, name);
+        fs.writeFileSync(file, body);
+        documents.push({ name, url: link.url, path: file, bytes: body.length });
+      } catch (error) {
+        documents.push({ name, url: link.url, error: error.message });
+      }
+    }
+    return documents;
+  }
+
+  /**
+   * Walk the listing pages and yield normalised tenders
+   * A failed detail fetch keeps the listing row (with `detail_error`) rather than dropping the tender.
+   * @param {Object} options - { keywords, maxPages, details, downloadDocuments }
+   */
+  async *crawl({
+    keywords = PORTAL_CRAWL_CONFIG.keywords,
+    maxPages = PORTAL_CRAWL_CONFIG.maxPages,
+    details = true,
+    downloadDocuments = PORTAL_CRAWL_CONFIG.downloadDocuments
+  } = {}) {
+    let page = 1;
+    for (let fetched = 0; page && fetched < maxPages; fetched++) {
+      const { items, nextPage } = await this.search({ keywords, page });
+      for (const item of items) {
+        let raw = item;
+        let detailError = null;
+        if (details) {
+          try {
+            raw = await this.fetchDetail(item);
+          } catch (error) {
+            detailError = error.message;
+          }
+        }
+        const tender = this.normalise(raw);
+        if (!tender?.tender_id) {
+          throw transportError(`${this.id}: normalised tender has no tender_id`);
+        }
+        if (detailError) tender.detail_error = detailError;
+        if (downloadDocuments) {
+          tender.downloaded_documents = await this.downloadDocuments(raw, tender);
+        }
+        yield tender;
+      }
+      page = nextPage;
+    }
+  }
+
+  describe() {
+    return { id: this.id, name: this.name, base_url: this.baseUrl, description: this.description, health: this.getHealth() };
+  }
+}
+
+export default PortalAdapter;
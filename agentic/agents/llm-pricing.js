@@ -10,6 +10,8 @@ import { createAgentLLM, AGENT_PROMPTS } from "../llm.js";
 import { pricingAgentTools } from "../tools/index.js";
 import { pushLog, getAndClearNewLogs, storeAgentOutput, markAgentComplete } from "../state.js";
 import { agentBroadcaster } from "../../services/agent-broadcast.js";
+import { estimateDeliveryFreight } from "../tools/pricing-tools.js";
+import { supplyFromRfp, computeGst, bidTaxLines, taxRows } from "../../services/gst-engine.js";
 
 /**
  * LLM-Powered Pricing Agent
@@ -20,7 +22,7 @@ export async function LLMPricingAgent(S) {
   
   const logBroadcast = (msg, data = {}) => {
     pushLog(S, msg, "Pricing");
-    if (broadcast) agentBroadcaster.log('Pricing', msg, data);
+    if (broadcast) agentBroadcaster.log(S.sessionId, 'Pricing', msg, data);
   };
   
   logBroadcast("");
@@ -43,6 +45,8 @@ export async function LLMPricingAgent(S) {
   
   const context = S.pricingContext;
   const rfpValue = S.selectedRFP?.estimated_cost_inr || 10000000;
+  const deliveryCity = S.selectedRFP?.delivery_location || S.selectedRFP?.city || S.selectedRFP?.location || null;
+  const citedStandard = S.recommendedSKUs.find(r => r.standard_check?.required)?.standard_check.required || null;
   
   logBroadcast(`📋 Processing RFP: ${context.rfp_id}`, { rfp_id: context.rfp_id });
   logBroadcast(`   Products to price: ${S.recommendedSKUs.length}`);
@@ -72,22 +76,27 @@ PRODUCTS TO PRICE:
 ${productsList}
 
 ESTIMATED PROJECT VALUE: ₹${rfpValue.toLocaleString('en-IN')}
+DELIVERY: ${deliveryCity || 'Not stated'}
+BID DUE DATE: ${S.selectedRFP?.due_date || 'Not stated'}
+STANDARD: ${citedStandard || 'Not stated'}
 
 YOUR TASK:
 1. For each product SKU, use 'get_product_price' to get unit prices
 2. Use 'calculate_line_item_price' for each item with quantity
-3. Use 'get_test_prices' with the project value to get scaled test costs
-4. Finally, use 'generate_quotation' to create the complete quotation
+3. Use 'get_test_prices' with the project value, the SKU IDs, the standard and the due date to get scaled test costs (type tests covered by our certificates are not charged again)
+4. Finally, use 'generate_quotation' with the delivery city, the standard and the due date to create the complete quotation${deliveryCity ? '' : ' (no delivery city: leave it out, do not guess one)'}
 
 PRICING RULES:
 - Counter offers should be AT or BELOW market value
 - Apply quantity discounts where applicable
-- Include GST @ 18%
+- Include GST (CGST + SGST or IGST, decided by the delivery city)
 - Test costs should be proportional to project value
+- Freight from the dispatching plant to the delivery city is part of the subtotal
 
 Generate a professional quotation with:
 - Material costs breakdown
 - Test/services costs
+- Freight
 - GST calculation
 - Grand total
 
@@ -193,7 +202,8 @@ Start by getting prices for each product.
         currency: 'INR',
         product_pricing: quotationData.material?.items || [],
         services_pricing: quotationData.services?.items || [],
-        tests_included: quotationData.services?.items || []
+        tests_included: quotationData.services?.items || [],
+        type_test_certificates: quotationData.services?.type_test_certificates || null
       };
       
       S.productPricingTable = quotationData.material?.items || [];
@@ -245,6 +255,24 @@ Start by getting prices for each product.
       S.servicesPricingTable = S.consolidatedPricing.tests_included;
     }
     
+    // Freight to the RFP's own delivery city, whatever city (if any) the model passed
+    const freight = estimateDeliveryFreight(deliveryCity, S.productPricingTable);
+    const freightCost = freight?.best?.freight_cost || 0;
+    if (freight?.error) logBroadcast(`   ⚠️ Freight not estimated: ${freight.error}`);
+    S.consolidatedPricing.freight_cost = freightCost;
+    S.consolidatedPricing.freight = freight?.best ? freight : null;
+    S.consolidatedPricing.subtotal = S.consolidatedPricing.total_material_cost + S.consolidatedPricing.total_test_cost + freightCost;
+    
+    // GST from the dispatching plant's registration to the RFP's place of supply, whatever rate the quotation assumed
+    const tax = computeGst(bidTaxLines({
+      products: S.productPricingTable,
+      testCost: S.consolidatedPricing.total_test_cost,
+      freightCost
+    }), supplyFromRfp(S.selectedRFP || {}, { supplierGstin: freight?.best?.gstin }));
+    S.consolidatedPricing.tax = tax;
+    S.consolidatedPricing.gst = Math.round(tax.totals.total_tax);
+    S.consolidatedPricing.grand_total = S.consolidatedPricing.subtotal + S.consolidatedPricing.gst;
+    
     // Display consolidated pricing
     logBroadcast("");
     logBroadcast("╔════════════════════════════════════════════════════════════════╗");
@@ -252,9 +280,12 @@ Start by getting prices for each product.
     logBroadcast("╠════════════════════════════════════════════════════════════════╣");
     logBroadcast(`║  Material Cost:        ₹${(S.consolidatedPricing.total_material_cost / 100000).toFixed(2).padStart(10)}L                   ║`);
     logBroadcast(`║  Test/Services:        ₹${(S.consolidatedPricing.total_test_cost / 100000).toFixed(2).padStart(10)}L                   ║`);
+    logBroadcast(`║  Freight:              ₹${(freightCost / 100000).toFixed(2).padStart(10)}L                   ║`);
     logBroadcast(`║  ──────────────────────────────────────────────────────────── ║`);
     logBroadcast(`║  Subtotal:             ₹${(S.consolidatedPricing.subtotal / 100000).toFixed(2).padStart(10)}L                   ║`);
-    logBroadcast(`║  GST @ 18%:            ₹${(S.consolidatedPricing.gst / 100000).toFixed(2).padStart(10)}L                   ║`);
+    for (const row of taxRows(tax)) {
+      logBroadcast(`║  ${`${row.label}:`.padEnd(21)} ₹${(row.amount / 100000).toFixed(2).padStart(10)}L                   ║`);
+    }
     logBroadcast(`║  ════════════════════════════════════════════════════════════ ║`);
     logBroadcast(`║  GRAND TOTAL:          ₹${(S.consolidatedPricing.grand_total / 100000).toFixed(2).padStart(10)}L                   ║`, {
       grand_total: S.consolidatedPricing.grand_total
@@ -287,7 +318,7 @@ Start by getting prices for each product.
     logBroadcast("   → Sending to Master Agent for consolidation");
     
     if (broadcast) {
-      agentBroadcaster.completeAgent('Pricing', {
+      agentBroadcaster.completeAgent(S.sessionId, 'Pricing', {
         grand_total: S.consolidatedPricing.grand_total
       });
     }
@@ -307,7 +338,7 @@ Start by getting prices for each product.
     };
     
     if (broadcast) {
-      agentBroadcaster.completeAgent('Pricing', { error: error.message });
+      agentBroadcaster.completeAgent(S.sessionId, 'Pricing', { error: error.message });
     }
   }
   
@@ -21,7 +21,7 @@ export async function LLMSalesAgent(S) {
   
   const logBroadcast = (msg, data = {}) => {
     pushLog(S, msg, "Sales");
-    if (broadcast) agentBroadcaster.log('Sales', msg, data);
+    if (broadcast) agentBroadcaster.log(S.sessionId, 'Sales', msg, data);
   };
   
   logBroadcast("");
@@ -245,7 +245,7 @@ Start by searching the portals.
     logBroadcast("   → Sending to Master Agent for context preparation");
     
     if (broadcast) {
-      agentBroadcaster.completeAgent('Sales', {
+      agentBroadcaster.completeAgent(S.sessionId, 'Sales', {
         selected_rfp: selectedRFP.tender_id,
         reasoning_iterations: iterations
       });
@@ -265,7 +265,7 @@ Start by searching the portals.
     };
     
     if (broadcast) {
-      agentBroadcaster.completeAgent('Sales', { error: error.message });
+      agentBroadcaster.completeAgent(S.sessionId, 'Sales', { error: error.message });
     }
   }
   
@@ -11,6 +11,7 @@ import { createAgentLLM, AGENT_PROMPTS } from "../llm.js";
 import { technicalAgentTools } from "../tools/index.js";
 import { pushLog, getAndClearNewLogs, storeAgentOutput, markAgentComplete } from "../state.js";
 import { agentBroadcaster } from "../../services/agent-broadcast.js";
+import { loadConditionsForItem, hasLoadData } from "../../services/cable-engineering.js";
 
 /**
  * LLM-Powered Technical Agent
@@ -21,7 +22,7 @@ export async function LLMTechnicalAgent(S) {
   
   const logBroadcast = (msg, data = {}) => {
     pushLog(S, msg, "Technical");
-    if (broadcast) agentBroadcaster.log('Technical', msg, data);
+    if (broadcast) agentBroadcaster.log(S.sessionId, 'Technical', msg, data);
   };
   
   logBroadcast("");
@@ -46,9 +47,13 @@ export async function LLMTechnicalAgent(S) {
     const llmWithTools = llm.bindTools(technicalAgentTools);
     
     // Build scope of supply description
-    const scopeDescription = (context.scope_of_supply || []).map((p, i) => 
-      `${i + 1}. ${p.description || 'Unknown Product'}\n   Specs: ${JSON.stringify(p.specifications || {})}`
-    ).join('\n');
+    const scopeDescription = (context.scope_of_supply || []).map((p, i) => {
+      const load = loadConditionsForItem(p);
+      const loadLine = hasLoadData(load)
+        ? `\n   Load: ${JSON.stringify({ load_current_a: load.load_current_a, route_length_m: load.route_length_m, laying: load.laying })}`
+        : '';
+      return `${i + 1}. ${p.description || 'Unknown Product'}\n   Specs: ${JSON.stringify(p.specifications || {})}${loadLine}`;
+    }).join('\n');
     
     const taskPrompt = `
 You are the Technical Agent analyzing RFP requirements for SKU matching.
@@ -61,13 +66,12 @@ ${scopeDescription || 'No products specified'}
 
 YOUR TASK:
 1. First, use 'get_product_schema' to understand available product attributes
-2. For EACH product in scope, use 'find_top_matches' to find the TOP 3 matching OEM SKUs
+2. For EACH product in scope, use 'find_top_matches' to find the TOP 3 matching OEM SKUs (pass its Load as load_conditions when given)
 3. Use 'match_specifications' to verify the spec match percentage for your top choice
 4. Compile a comparison table showing RFP specs vs OEM product specs
 
 IMPORTANT:
-- Spec Match % = (Matched Specs / Total Specs) × 100
-- All specs have EQUAL weightage
+- Spec Match % comes from the matching engine, weighted by the requirement's application profile
 - Recommend products with highest spec match
 
 Report your findings with:
@@ -251,7 +255,7 @@ Begin by understanding the product schema.
     logBroadcast("   → Sending to Pricing Agent");
     
     if (broadcast) {
-      agentBroadcaster.completeAgent('Technical', {
+      agentBroadcaster.completeAgent(S.sessionId, 'Technical', {
         avg_spec_match: avgSpecMatch,
         products: S.recommendedSKUs.length
       });
@@ -272,7 +276,7 @@ Begin by understanding the product schema.
     }];
     
     if (broadcast) {
-      agentBroadcaster.completeAgent('Technical', { error: error.message });
+      agentBroadcaster.completeAgent(S.sessionId, 'Technical', { error: error.message });
     }
   }
   
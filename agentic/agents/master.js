@@ -7,12 +7,13 @@
  * 2. The summary shared needs to be CONTEXTUAL to their roles
  * 3. Receives responses from Technical and Pricing Agents to consolidate
  * 4. Overall response contains: OEM SKUs, prices, and test costs
- * 5. Starts and ends the conversation
+ * 5. Starts the conversation and hands the consolidated response to the Submission Agent
  */
 
 import { pushLog, getAndClearNewLogs, storeAgentOutput, markAgentComplete } from "../state.js";
 import { formatLakhsCrores, generateConsolidatedTable, tableToASCII } from "../../services/table-formatter.js";
 import { agentBroadcaster } from "../../services/agent-broadcast.js";
+import { taxRows } from "../../services/gst-engine.js";
 
 export async function MasterAgent(S) {
   const broadcast = S.broadcast !== false;
@@ -20,7 +21,7 @@ export async function MasterAgent(S) {
   // Helper to log and broadcast
   const logBroadcast = (msg, data = {}) => {
     pushLog(S, msg, "Master");
-    if (broadcast) agentBroadcaster.log('Master', msg, data);
+    if (broadcast) agentBroadcaster.log(S.sessionId, 'Master', msg, data);
   };
   
   // ========================================
@@ -97,8 +98,7 @@ export async function MasterAgent(S) {
       instructions: [
         "For each product in scope of supply, recommend TOP 3 matching OEM SKUs",
         "Calculate Spec Match metric (%) for each recommendation",
-        "Spec Match = (Matched Specs / Total Specs) × 100",
-        "All specs have EQUAL weightage in matching",
+        "Spec Match = matching-engine score, weighted by the requirement's application profile",
         "Prepare comparison table: RFP Specs vs Top 3 OEM recommendations",
         "Select final recommended SKU based on highest Spec Match"
       ]
@@ -146,7 +146,7 @@ export async function MasterAgent(S) {
     logBroadcast("");
     logBroadcast("📋 Step 2: Delegating to Technical Agent for SKU matching...", { action: 'delegate_to_technical' });
     
-    if (broadcast) agentBroadcaster.completeAgent('Master', { phase: 'context_prepared' });
+    if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Master', { phase: 'context_prepared' });
     
     S.next = "technical";
     return { ...S, logs: getAndClearNewLogs(S) };
@@ -180,8 +180,11 @@ export async function MasterAgent(S) {
         total_material_cost: S.consolidatedPricing.total_material_cost,
         total_test_cost: S.consolidatedPricing.total_test_cost,
         total_services_cost: S.consolidatedPricing.total_services_cost || 0,
+        freight_cost: S.consolidatedPricing.freight_cost || 0,
         subtotal: S.consolidatedPricing.subtotal,
         gst_18_percent: S.consolidatedPricing.gst,
+        gst_components: S.consolidatedPricing.tax ? taxRows(S.consolidatedPricing.tax) : [{ label: 'GST @ 18%', amount: S.consolidatedPricing.gst }],
+        supply_type: S.consolidatedPricing.tax?.supply.supply_type || null,
         grand_total: S.consolidatedPricing.grand_total
       },
       
@@ -245,7 +248,9 @@ export async function MasterAgent(S) {
     logBroadcast(`│  Test/Services Cost:     ${formatLakhsCrores(S.consolidatedResponse.pricing.total_test_cost).padStart(20)} │`);
     logBroadcast(`│  ──────────────────────────────────────────────────────────── │`);
     logBroadcast(`│  Subtotal:               ${formatLakhsCrores(S.consolidatedResponse.pricing.subtotal).padStart(20)} │`);
-    logBroadcast(`│  GST (18%):              ${formatLakhsCrores(S.consolidatedResponse.pricing.gst_18_percent).padStart(20)} │`);
+    for (const row of S.consolidatedResponse.pricing.gst_components) {
+      logBroadcast(`│  ${`${row.label}:`.padEnd(23)}${formatLakhsCrores(row.amount).padStart(20)} │`);
+    }
     logBroadcast(`│  ════════════════════════════════════════════════════════════ │`);
     logBroadcast(`│  GRAND TOTAL:            ${formatLakhsCrores(S.consolidatedResponse.pricing.grand_total).padStart(20)} │`, { grand_total: S.consolidatedResponse.pricing.grand_total });
     logBroadcast("└────────────────────────────────────────────────────────────────┘");
@@ -261,16 +266,17 @@ export async function MasterAgent(S) {
     
     logBroadcast("");
     logBroadcast("═══════════════════════════════════════════════════════════════");
-    logBroadcast("✅ MASTER AGENT: RFP Response Workflow Complete", { status: 'complete' });
+    logBroadcast("✅ MASTER AGENT: RFP Response Consolidated", { status: 'complete' });
     logBroadcast("═══════════════════════════════════════════════════════════════");
+    logBroadcast("📋 Step 3: Delegating to Submission Agent for bid package...", { action: 'delegate_to_submission' });
     
-    if (broadcast) agentBroadcaster.completeAgent('Master', S.consolidatedResponse);
+    if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Master', S.consolidatedResponse);
     
     // Store output
     storeAgentOutput(S, 'master', S.consolidatedResponse);
     markAgentComplete(S, 'Master');
     
-    S.next = "end";
+    S.next = "submission";
     return { ...S, logs: getAndClearNewLogs(S) };
   }
   
@@ -298,6 +304,9 @@ function extractScopeOfSupply(rfp) {
         description: req.description || buildDescription(req),
         cable_type: req.cable_type || 'Power Cable',
         quantity_km: req.quantity_km || req.qty_km || 5,
+        load_current_a: req.load_current_a,
+        route_length_m: req.route_length_m,
+        laying: req.laying,
         specifications: {
           voltage_rating_v: parseVoltage(req.voltage_kv || req.voltage),
           no_of_cores: parseInt(req.no_of_cores || req.cores) || 4,
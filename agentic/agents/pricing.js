@@ -15,6 +15,8 @@
  * - Counter offers at or below market value (never above)
  * - Test costs scaled proportionally to project value
  * - Detailed pricing analysis with savings potential
+ * - Truck freight from the best dispatching plant to the tender city
+ * - GST by HSN / SAC, split into CGST + SGST or IGST by place of supply
  */
 
 import { pushLog, getAndClearNewLogs, storeAgentOutput, markAgentComplete } from "../state.js";
@@ -26,6 +28,8 @@ import {
   analyzeQuotedPrice, 
   calculateScaledTestCosts 
 } from "../../services/pricing-analysis.js";
+import { estimateFreight } from "../../services/freight-estimator.js";
+import { supplyFromRfp, computeGst, bidTaxLines, taxRows } from "../../services/gst-engine.js";
 
 export async function PricingAgent(S) {
   const broadcast = S.broadcast !== false;
@@ -33,7 +37,7 @@ export async function PricingAgent(S) {
   // Helper to log and broadcast
   const logBroadcast = (msg, data = {}) => {
     pushLog(S, msg, "Pricing");
-    if (broadcast) agentBroadcaster.log('Pricing', msg, data);
+    if (broadcast) agentBroadcaster.log(S.sessionId, 'Pricing', msg, data);
   };
   
   logBroadcast("");
@@ -44,14 +48,14 @@ export async function PricingAgent(S) {
   // Verify we have required inputs
   if (!S.pricingContext) {
     logBroadcast("⚠️ PricingAgent: No pricing context received from Master Agent", { error: true });
-    if (broadcast) agentBroadcaster.completeAgent('Pricing', { error: 'no_context' });
+    if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Pricing', { error: 'no_context' });
     S.next = "master";
     return { ...S, logs: getAndClearNewLogs(S) };
   }
 
   if (!S.recommendedSKUs || S.recommendedSKUs.length === 0) {
     logBroadcast("⚠️ PricingAgent: No product recommendations received from Technical Agent", { error: true });
-    if (broadcast) agentBroadcaster.completeAgent('Pricing', { error: 'no_products' });
+    if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Pricing', { error: 'no_products' });
     S.next = "master";
     return { ...S, logs: getAndClearNewLogs(S) };
   }
@@ -178,8 +182,18 @@ export async function PricingAgent(S) {
     ...context.acceptance_tests
   ];
   
-  // Calculate scaled test costs based on project value
-  const scaledTestCosts = calculateScaledTestCosts(rfpValue, requiredTests);
+  // Calculate scaled test costs based on project value; type tests already
+  // covered by valid certificates for the recommended SKUs are dropped
+  const scaledTestCosts = calculateScaledTestCosts(
+    rfpValue,
+    requiredTests.map(t => ({ ...t, test_category: t.test_category || `${t.category} Test` })),
+    {
+      skus: S.recommendedSKUs.map(r => r.sku_id),
+      standard: S.recommendedSKUs.find(r => r.standard_check?.required)?.standard_check.required || null,
+      asOf: S.selectedRFP?.due_date || new Date()
+    }
+  );
+  const certificateCoverage = scaledTestCosts.type_test_certificates || null;
   
   logBroadcast("");
   logBroadcast("┌──────────────────────────────────────────────────────────────────────────┐");
@@ -281,6 +295,20 @@ export async function PricingAgent(S) {
   logBroadcast(`│                                  TOTAL TEST/SERVICES:    │ ${formatLakhsCrores(totalTestCost).padStart(12)} │`, { total_test: totalTestCost });
   logBroadcast("└──────────────────────────────────────────────────────────┴──────────────┘");
   
+  if (certificateCoverage?.covered_tests.length > 0) {
+    logBroadcast("");
+    logBroadcast(`📜 ${certificateCoverage.covered_tests.length} type test(s) covered by existing certificates — saved ${formatLakhsCrores(certificateCoverage.savings)}`, {
+      covered_tests: certificateCoverage.covered_tests,
+      savings: certificateCoverage.savings
+    });
+    for (const cert of certificateCoverage.certificates) {
+      logBroadcast(`   • ${cert.lab} ${cert.report_no || `#${cert.id}`} (${cert.report_date}, valid to ${cert.expires_on}) → ${cert.sku_ids.join(', ')}`);
+    }
+  }
+  for (const rejected of certificateCoverage?.rejected || []) {
+    logBroadcast(`   ⚠️ Certificate #${rejected.certificate_id} not usable for ${rejected.sku_id}: ${rejected.reason}`);
+  }
+  
   // Show test cost as percentage of project
   const testPercentage = ((totalTestCost / rfpValue) * 100).toFixed(2);
   logBroadcast("");
@@ -290,14 +318,60 @@ export async function PricingAgent(S) {
   });
 
   // ========================================
-  // STEP 3: CONSOLIDATE TOTAL PRICING WITH MARKET ANALYSIS
+  // STEP 3: FREIGHT FROM THE BEST DISPATCHING PLANT
+  // ========================================
+  logBroadcast("");
+  logBroadcast("🚚 Step 3: Estimating freight to the delivery city...", { step: 3, action: 'freight' });
+  
+  // Only explicit location fields: a city named in the title is not necessarily the delivery site
+  const rfp = S.selectedRFP || {};
+  const deliveryCity = rfp.delivery_location || rfp.city || rfp.location || null;
+  let freight = null;
+  if (!deliveryCity) {
+    logBroadcast("   ⚠️ No delivery city in the RFP — freight not included");
+  } else {
+    try {
+      freight = estimateFreight({
+        city: deliveryCity,
+        items: S.productPricingTable.map(p => ({ sku_id: p.sku_id, qty_km: p.quantity_km }))
+      });
+      logBroadcast(`   ${freight.best.plant_name} → ${freight.destination.city}: ${freight.best.distance_km} km, ${Math.round(freight.weight_kg).toLocaleString('en-IN')} kg on ${freight.best.truck_count} truck(s) = ${formatLakhsCrores(freight.best.freight_cost)}`, {
+        plant_id: freight.best.plant_id,
+        distance_km: freight.best.distance_km,
+        freight_cost: freight.best.freight_cost
+      });
+      for (const option of freight.options.slice(1)) {
+        logBroadcast(`   • ${option.plant_name}: ${option.distance_km} km = ${formatLakhsCrores(option.freight_cost)}`);
+      }
+    } catch (error) {
+      logBroadcast(`   ⚠️ Freight not estimated: ${error.message}`);
+    }
+  }
+  const freightCost = freight?.best.freight_cost || 0;
+
+  // ========================================
+  // STEP 4: CONSOLIDATE TOTAL PRICING WITH MARKET ANALYSIS
   // ========================================
   logBroadcast("");
-  logBroadcast("📊 Step 3: Consolidating pricing with market benchmarks...", { step: 3, action: 'consolidate' });
+  logBroadcast("📊 Step 4: Consolidating pricing with market benchmarks...", { step: 4, action: 'consolidate' });
   
-  const subtotal = totalMaterialCost + totalTestCost;
-  const gst = Math.round(subtotal * 0.18);
+  const subtotal = totalMaterialCost + totalTestCost + freightCost;
+
+  // GST is charged from the dispatching plant's registration to the place of supply
+  const supply = supplyFromRfp(rfp, { supplierGstin: freight?.best.gstin });
+  const tax = computeGst(bidTaxLines({
+    products: S.productPricingTable,
+    testCost: totalTestCost,
+    freightCost
+  }), supply);
+  const gst = Math.round(tax.totals.total_tax);
   const grandTotal = subtotal + gst;
+  logBroadcast(`   🧾 ${supply.description}${supply.place_of_supply ? ` (${supply.supplier_state.name} → ${supply.place_of_supply.name})` : ''}: ${taxRows(tax).map(row => row.label).join(' + ')}`, {
+    supply_type: supply.supply_type
+  });
+  for (const note of tax.notes) {
+    logBroadcast(`   ⚠️ ${note}`);
+  }
   
   // Calculate savings from market value
   const savingsFromMarket = totalMarketValue - totalMaterialCost;
@@ -310,9 +384,11 @@ export async function PricingAgent(S) {
     total_market_value: totalMarketValue,
     total_test_cost: totalTestCost,
     total_services_cost: totalTestCost,
+    freight_cost: freightCost,
     subtotal: subtotal,
-    gst_rate: 0.18,
+    gst_rate: subtotal > 0 ? Math.round((gst / subtotal) * 10000) / 10000 : 0,
     gst: gst,
+    tax,
     grand_total: grandTotal,
     currency: 'INR',
     
@@ -329,6 +405,8 @@ export async function PricingAgent(S) {
     services_pricing: S.servicesPricingTable,
     tests_included: testsIncluded,
     product_market_analysis: S.marketAnalysis,
+    type_test_certificates: certificateCoverage,
+    freight,
     
     // Summary metrics
     products_priced: S.productPricingTable.length,
@@ -348,9 +426,12 @@ export async function PricingAgent(S) {
   logBroadcast(`║  Total Material Cost:            ${formatLakhsCrores(totalMaterialCost).padStart(22)}     ║`);
   logBroadcast(`║  Total Test/Services Cost:       ${formatLakhsCrores(totalTestCost).padStart(22)}     ║`);
   logBroadcast(`║  (Test cost = ${testPercentage}% of project)`.padEnd(65) + "║");
+  logBroadcast(`║  Freight (plant → site):         ${formatLakhsCrores(freightCost).padStart(22)}     ║`);
   logBroadcast("║  ────────────────────────────────────────────────────────────────  ║");
   logBroadcast(`║  Subtotal:                       ${formatLakhsCrores(subtotal).padStart(22)}     ║`);
-  logBroadcast(`║  GST @ 18%:                      ${formatLakhsCrores(gst).padStart(22)}     ║`);
+  for (const row of taxRows(tax)) {
+    logBroadcast(`║  ${`${row.label}:`.padEnd(31)}${formatLakhsCrores(row.amount).padStart(22)}     ║`);
+  }
   logBroadcast("║  ════════════════════════════════════════════════════════════════  ║");
   logBroadcast(`║  GRAND TOTAL (incl GST):         ${formatLakhsCrores(grandTotal).padStart(22)}     ║`, { grand_total: grandTotal });
   logBroadcast("╠════════════════════════════════════════════════════════════════════╣");
@@ -361,7 +442,7 @@ export async function PricingAgent(S) {
   logBroadcast("╚════════════════════════════════════════════════════════════════════╝");
 
   // ========================================
-  // STEP 4: SEND TO MASTER AGENT
+  // STEP 5: SEND TO MASTER AGENT
   // ========================================
   const pricingOutput = {
     material_pricing: {
@@ -372,6 +453,7 @@ export async function PricingAgent(S) {
       items: S.servicesPricingTable,
       total: totalTestCost
     },
+    freight,
     consolidated: S.consolidatedPricing
   };
   
@@ -382,10 +464,11 @@ export async function PricingAgent(S) {
   logBroadcast("✅ PricingAgent Complete:", { status: 'complete' });
   logBroadcast(`   • Material Cost: ${formatLakhsCrores(totalMaterialCost)}`);
   logBroadcast(`   • Services Cost: ${formatLakhsCrores(totalTestCost)}`);
+  logBroadcast(`   • Freight: ${formatLakhsCrores(freightCost)}`);
   logBroadcast(`   • Grand Total: ${formatLakhsCrores(grandTotal)}`, { grand_total: grandTotal });
   logBroadcast("   → Sending consolidated pricing to Master Agent");
   
-  if (broadcast) agentBroadcaster.completeAgent('Pricing', { grand_total: grandTotal });
+  if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Pricing', { grand_total: grandTotal });
 
   // Return to Master Agent for final consolidation
   S.next = "master";
@@ -20,6 +20,7 @@ import { Tools } from "../tools.js";
 import { formatLakhsCrores } from "../../services/table-formatter.js";
 import { agentBroadcaster } from "../../services/agent-broadcast.js";
 import { parseRFPWithAI, parseRFPComplete } from "../../services/pdf-parser.js";
+import { getBundle } from "../../services/tender-bundle.js";
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -40,7 +41,7 @@ export async function SalesAgent(S) {
   // Helper to log and broadcast
   const logBroadcast = (msg, data = {}) => {
     pushLog(S, msg, "Sales");
-    if (broadcast) agentBroadcaster.log('Sales', msg, data);
+    if (broadcast) agentBroadcaster.log(S.sessionId, 'Sales', msg, data);
   };
   
   logBroadcast("");
@@ -114,7 +115,7 @@ export async function SalesAgent(S) {
   
   if (S.filteredPDFs.length === 0) {
     logBroadcast("   [WARNING] No RFPs found within 90-day window", { error: true });
-    if (broadcast) agentBroadcaster.completeAgent('Sales', { error: 'no_rfps_found' });
+    if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Sales', { error: 'no_rfps_found' });
     S.next = "end";
     return { ...S, logs: getAndClearNewLogs(S) };
   }
@@ -138,6 +139,21 @@ export async function SalesAgent(S) {
     });
     
     try {
+      // Tenders uploaded as a bundle (NIT + specs + BOQ + GCC/SCC + corrigenda) are already merged
+      const bundle = getBundle(pdf.tender_id);
+      if (bundle) {
+        const extractedJson = bundleToRfpJson(bundle, pdf);
+        extractedJson.qualification_score = calculateQualificationScore(extractedJson, pdf.days_until_deadline);
+        extractedJson.days_until_deadline = pdf.days_until_deadline;
+        S.parsedRFPs.push(extractedJson);
+        logBroadcast(`      [OK] Merged tender bundle: ${bundle.documents.length} document(s)`, {
+          tender_id: pdf.tender_id,
+          extraction_method: 'TENDER_BUNDLE',
+          requirements_count: extractedJson.buyer_requirements.length
+        });
+        continue;
+      }
+      
       // Read the PDF file
       const pdfPath = path.join(__dirname, '../../public', pdf.pdf_url);
       
@@ -211,7 +227,7 @@ export async function SalesAgent(S) {
           
           // Show clickable link info in orchestration
           if (broadcast) {
-            agentBroadcaster.log('Sales', `PDF_TO_JSON: ${pdf.tender_id}`, {
+            agentBroadcaster.log(S.sessionId, 'Sales', `PDF_TO_JSON: ${pdf.tender_id}`, {
               type: 'pdf_conversion',
               pdf_url: pdf.pdf_url,
               json_preview: {
@@ -283,7 +299,7 @@ export async function SalesAgent(S) {
   
   if (!selectedRFP) {
     logBroadcast("   [ERROR] No suitable RFP found for selection", { error: true });
-    if (broadcast) agentBroadcaster.completeAgent('Sales', { error: 'no_suitable_rfp' });
+    if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Sales', { error: 'no_suitable_rfp' });
     S.next = "end";
     return { ...S, logs: getAndClearNewLogs(S) };
   }
@@ -362,7 +378,7 @@ export async function SalesAgent(S) {
   logBroadcast("   --> Master will distribute to Technical + Pricing Agents");
   
   if (broadcast) {
-    agentBroadcaster.completeAgent('Sales', {
+    agentBroadcaster.completeAgent(S.sessionId, 'Sales', {
       ...salesOutput,
       summary: `Selected ${selectedRFP.rfp_id} from ${S.parsedRFPs.length} parsed RFPs`
     });
@@ -410,7 +426,7 @@ function calculateQualificationScore(rfp, daysUntilDeadline) {
   }
   
   // Extraction quality (max 10 points)
-  if (rfp.extraction_method === 'OPENAI_GPT' || rfp.extraction_method === 'GEMINI_AI') {
+  if (rfp.extraction_method === 'OPENAI_GPT' || rfp.extraction_method === 'GEMINI_AI' || rfp.extraction_method === 'TENDER_BUNDLE') {
     score += 10;
   } else if (rfp.extraction_method === 'PATTERN_MATCHING') {
     score += 5;
@@ -419,6 +435,54 @@ function calculateQualificationScore(rfp, daysUntilDeadline) {
   return Math.min(100, score);
 }
 
+/**
+ * Parsed-RFP JSON from a tender bundle's merged data (field_sources name the document behind each field)
+ */
+function bundleToRfpJson(bundle, pdf) {
+  const { data } = bundle;
+  const tests = data.testing_requirements || {};
+  return {
+    source_pdf: { url: pdf.pdf_url, tender_id: pdf.tender_id, portal: pdf.portal_name },
+    source_documents: bundle.documents.map(doc => ({ id: doc.id, file_name: doc.fileName, role: doc.role })),
+    field_sources: bundle.field_sources,
+    rfp_id: data.tender_id || pdf.tender_id,
+    buyer_name: data.organisation || pdf.organisation,
+    project_name: data.title || pdf.title,
+    due_date: data.due_date || pdf.due_date,
+    estimated_budget: data.estimated_cost_inr || pdf.estimated_cost,
+    delivery_location: data.city || null,
+    delivery_period: data.delivery_period || null,
+    buyer_requirements: (data.cable_requirements || []).length > 0
+      ? data.cable_requirements.map((item, index) => ({
+        item_no: String(item.item_no ?? index + 1),
+        description: item.description,
+        cable_type: item.cable_type || determineCableType(item.description || pdf.title),
+        voltage: item.voltage,
+        cores: item.cores,
+        size_sqmm: item.size_sqmm,
+        conductor: item.conductor,
+        quantity_km: item.qty_km
+      }))
+      : [{ item_no: '1', description: pdf.title, cable_type: determineCableType(pdf.title) }],
+    tests_required: [
+      ...(tests.routine_tests || []).map(name => ({ name, type: 'ROUTINE' })),
+      ...(tests.type_tests || []).map(name => ({ name, type: 'TYPE' })),
+      ...(tests.acceptance_tests || []).map(name => ({ name, type: 'ACCEPTANCE' }))
+    ],
+    third_party_inspection: { required: data.external_testing_required !== false, agency: 'CPRI/ERDA' },
+    submission: { mode: data.submission_mode || 'EMAIL_FORM', email_to: data.submission_email || data.contact_email || null },
+    commercial_terms: {
+      emd_amount: data.emd_amount || null,
+      payment_terms: data.payment_terms || null,
+      warranty: data.warranty || null,
+      ld_clause: data.ld_clause || null
+    },
+    extraction_method: 'TENDER_BUNDLE',
+    num_pages: bundle.documents.reduce((sum, doc) => sum + (doc.pages || 0), 0),
+    extracted_at: new Date().toISOString()
+  };
+}
+
 /**
  * Determine cable type from title
  */
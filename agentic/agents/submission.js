@@ -12,6 +12,20 @@
  */
 
 import { SUBMISSION_MODES } from '../../services/pdf-parser.js';
+import { pushLog, getAndClearNewLogs, storeAgentOutput, markAgentComplete } from '../state.js';
+import { formatLakhsCrores } from '../../services/table-formatter.js';
+import { agentBroadcaster } from '../../services/agent-broadcast.js';
+import { buildQap, planTestExecution } from '../../services/test-planner.js';
+import { planDrumSchedule } from '../../services/drum-planner.js';
+import { taxRows } from '../../services/gst-engine.js';
+
+// Portal feed submission modes that map onto the four agent modes
+const PORTAL_MODE_ALIASES = {
+  PDF_FORM_FILL: SUBMISSION_MODES.EMAIL_FORM
+};
+
+// Action statuses that mean the agent has already produced the item
+const READY_STATUSES = ['AUTO_GENERATED', 'DRAFT_READY', 'LETTER_READY', 'DATA_READY', 'EMAIL_READY'];
 
 /**
  * Submission Agent - Processes RFP and generates submission artefacts
@@ -389,7 +403,7 @@ export class SubmissionAgent {
       section_a_bidder_info: {
         company_name: bidderInfo.name || 'Opal Cables Pvt. Ltd.',
         registered_address: bidderInfo.address || '123 Industrial Area, Mumbai - 400001',
-        gst_number: bidderInfo.gst || '27AABCO1234A1Z5',
+        gst_number: bidderInfo.gst || pricingTable?.tax?.supply.supplier_gstin || '27AABCO1234A1Z5',
         pan_number: bidderInfo.pan || 'AABCO1234A',
         contact_person: bidderInfo.contact_person || 'Mr. Procurement Manager',
         contact_email: bidderInfo.email || 'procurement@opalcables.com',
@@ -408,7 +422,11 @@ export class SubmissionAgent {
         unit_price: pricingTable?.unit_price || rfpSummary.estimated_value,
         quantity: rfpSummary.scope?.[0]?.quantity_km || 'As per RFP',
         total_price: pricingTable?.total_price || rfpSummary.estimated_value,
-        gst_applicable: '18%',
+        gst_applicable: pricingTable?.tax ? taxRows(pricingTable.tax).map(row => row.label).join(' + ') : '18%',
+        ...(pricingTable?.tax ? {
+          gst_components: taxRows(pricingTable.tax),
+          hsn_codes: pricingTable.tax.hsn_summary.map(row => row.hsn).join(', ')
+        } : {}),
         delivery_period: '60 days from PO',
         payment_terms: 'As per RFP terms',
         validity: '120 days'
@@ -654,6 +672,241 @@ export async function processRFPSubmission(rfpSummary, technicalMatch, pricingTa
   return submissionAgent.processSubmission(rfpSummary, technicalMatch, pricingTable, bidderInfo);
 }
 
+/**
+ * LangGraph node: builds the submission package after Master consolidation.
+ * Runs the SubmissionAgent on the selected RFP, recommended SKUs and pricing,
+ * and stores the plan, artefacts and checklist in state.
+ */
+export async function SubmissionGraphAgent(S) {
+  const broadcast = S.broadcast !== false;
+  
+  // Helper to log and broadcast
+  const logBroadcast = (msg, data = {}) => {
+    pushLog(S, msg, 'Submission');
+    if (broadcast) agentBroadcaster.log(S.sessionId, 'Submission', msg, data);
+  };
+  
+  logBroadcast('');
+  logBroadcast('═══════════════════════════════════════════════════════════════');
+  logBroadcast('📨 SUBMISSION AGENT: Preparing Bid Submission Package', { phase: 'start' });
+  logBroadcast('═══════════════════════════════════════════════════════════════');
+  
+  if (!S.selectedRFP || !S.consolidatedResponse) {
+    logBroadcast('⚠️ SubmissionAgent: No consolidated response received from Master Agent', { error: true });
+    if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Submission', { error: 'no_consolidated_response' });
+    S.next = 'end';
+    return { ...S, logs: getAndClearNewLogs(S) };
+  }
+  
+  const rfpSummary = buildRfpSummary(S);
+  const technicalMatch = {
+    top_3: (S.recommendedSKUs || []).map(sku => ({
+      sku_id: sku.sku_id,
+      product_name: sku.product_name,
+      spec_match: { percentage: sku.spec_match_percentage }
+    }))
+  };
+  const pricingTable = {
+    unit_price: S.productPricingTable?.[0]?.counter_offer_price || S.recommendedSKUs?.[0]?.unit_price,
+    total_price: S.consolidatedPricing?.grand_total,
+    tax: S.consolidatedPricing?.tax || null
+  };
+  
+  logBroadcast(`📋 Submission mode: ${rfpSummary.submission.mode}`, { mode: rfpSummary.submission.mode });
+  
+  const plan = await submissionAgent.processSubmission(rfpSummary, technicalMatch, pricingTable, S.input?.bidderInfo || {});
+  
+  S.submissionPlan = {
+    rfp_id: plan.rfp_id,
+    buyer_name: plan.buyer_name,
+    submission_mode: plan.submission_mode,
+    mode_description: plan.mode_description,
+    due_date: plan.due_date,
+    bidder: plan.bidder,
+    actions: plan.actions,
+    requires_print: plan.requires_print,
+    requires_courier: plan.requires_courier,
+    notes: [plan.courier_warning, plan.portal_note, plan.meeting_note].filter(Boolean),
+    generated_at: plan.generated_at
+  };
+  
+  // Test schedule and QAP annexure, from the bid due date as the earliest PO date
+  S.testPlan = null;
+  try {
+    const standard = (S.recommendedSKUs || []).find(r => r.standard_check?.required)?.standard_check.required;
+    S.testPlan = planTestExecution({
+      items: (S.recommendedSKUs || []).map(sku => ({
+        sku_id: sku.sku_id,
+        qty_km: S.productPricingTable?.find(p => p.sku_id === sku.sku_id)?.quantity_km
+      })),
+      rfp: { ...S.selectedRFP, standard: S.selectedRFP.standard || standard },
+      startDate: S.selectedRFP.due_date || null
+    });
+    logBroadcast(`🗓️ Test plan: delivery in ${S.testPlan.duration_days} days vs ${S.testPlan.deadline.days} allowed → ${S.testPlan.status}`, {
+      test_plan_status: S.testPlan.status,
+      slack_days: S.testPlan.slack_days
+    });
+    S.testPlan.issues.forEach(issue => logBroadcast(`   ⚠️ ${issue}`));
+  } catch (error) {
+    logBroadcast(`⚠️ Test plan not generated: ${error.message}`);
+  }
+  
+  // Drum schedule annexure for the offered quantities
+  let drumSchedule = null;
+  try {
+    drumSchedule = planDrumSchedule({
+      items: (S.recommendedSKUs || []).map(sku => ({
+        sku_id: sku.sku_id,
+        qty_km: S.productPricingTable?.find(p => p.sku_id === sku.sku_id)?.quantity_km || 1
+      }))
+    });
+    logBroadcast(`🛢️ Drum schedule: ${drumSchedule.totals.drums} drums, ${Math.round(drumSchedule.totals.gross_weight_kg).toLocaleString('en-IN')} kg gross`, {
+      drums: drumSchedule.totals.drums,
+      gross_weight_kg: drumSchedule.totals.gross_weight_kg
+    });
+  } catch (error) {
+    logBroadcast(`⚠️ Drum schedule not generated: ${error.message}`);
+  }
+  
+  S.submissionArtefacts = {
+    ...(plan.artefacts || {}),
+    gmail_compose_url: plan.gmail_compose_url || null,
+    technical_compliance: S.consolidatedResponse.recommended_skus,
+    price_schedule: {
+      items: S.productPricingTable,
+      tests: S.servicesPricingTable,
+      totals: S.consolidatedResponse.pricing,
+      // HSN-wise taxable value and CGST / SGST / IGST, as on the tax invoice
+      tax: S.consolidatedPricing?.tax || null
+    },
+    type_test_certificates: S.consolidatedPricing?.type_test_certificates?.certificates || [],
+    test_plan: S.testPlan,
+    qap: S.testPlan ? buildQap(S.testPlan) : null,
+    drum_schedule: drumSchedule
+  };
+  
+  S.submissionChecklist = buildSubmissionChecklist(plan, S);
+  
+  const readyCount = S.submissionChecklist.filter(item => item.ready).length;
+  
+  logBroadcast(`   • ${S.submissionPlan.mode_description}`);
+  S.submissionPlan.actions.forEach(action => {
+    logBroadcast(`   ${action.step}. [${action.status}] ${action.description}`);
+  });
+  logBroadcast(`   • Bid value: ${formatLakhsCrores(S.consolidatedPricing?.grand_total || 0)}`);
+  S.submissionPlan.notes.forEach(note => logBroadcast(`   ${note}`));
+  
+  logBroadcast('');
+  logBroadcast(`✅ SubmissionAgent Complete: ${readyCount}/${S.submissionChecklist.length} checklist items ready`, { status: 'complete' });
+  
+  if (broadcast) {
+    agentBroadcaster.completeAgent(S.sessionId, 'Submission', {
+      submission_mode: S.submissionPlan.submission_mode,
+      checklist_ready: readyCount,
+      checklist_total: S.submissionChecklist.length
+    });
+  }
+  
+  storeAgentOutput(S, 'submission', {
+    plan: S.submissionPlan,
+    artefacts: S.submissionArtefacts,
+    checklist: S.submissionChecklist
+  });
+  markAgentComplete(S, 'Submission');
+  
+  S.next = 'end';
+  return { ...S, logs: getAndClearNewLogs(S) };
+}
+
+/**
+ * Map the selected RFP (portal feed / PDF extraction shape) to the summary
+ * shape expected by SubmissionAgent.processSubmission
+ */
+function buildRfpSummary(S) {
+  const rfp = S.selectedRFP;
+  const submission = rfp.submission || {};
+  const rawMode = submission.mode || null;
+  
+  return {
+    rfp_id: rfp.tender_id || rfp.rfp_id,
+    buyer_name: rfp.organisation || rfp.buyer,
+    project_name: rfp.title,
+    title: rfp.title,
+    due_date: rfp.due_date,
+    location: rfp.city,
+    contact_email: rfp.contact_email,
+    estimated_value: rfp.estimated_cost_inr,
+    scope: S.technicalContext?.scope_of_supply || [],
+    submission: {
+      ...submission,
+      mode: PORTAL_MODE_ALIASES[rawMode] || rawMode || undefined,
+      email_to: submission.email_to || submission.submission_email,
+      form_annexure: submission.form_annexure || submission.form_location,
+      postal_address: submission.postal_address || submission.submission_address,
+      portal_url: submission.portal_url || submission.vendor_portal_url,
+      meeting_email: submission.meeting_email
+    }
+  };
+}
+
+/**
+ * Checklist of everything needed before the bid can be sent:
+ * the mode-specific actions plus the core bid documents.
+ */
+function buildSubmissionChecklist(plan, S) {
+  const checklist = (plan.actions || []).map(action => ({
+    id: `ACTION-${action.step}`,
+    item: action.description,
+    action: action.action,
+    status: action.status,
+    ready: READY_STATUSES.includes(action.status)
+  }));
+  
+  checklist.push(
+    {
+      id: 'DOC-TECHNICAL',
+      item: 'Technical compliance sheet (recommended SKUs with spec match)',
+      status: S.recommendedSKUs?.length > 0 ? 'AUTO_GENERATED' : 'MISSING',
+      ready: S.recommendedSKUs?.length > 0
+    },
+    {
+      id: 'DOC-PRICE',
+      item: 'Price schedule (material + tests, incl. GST)',
+      status: S.consolidatedPricing ? 'AUTO_GENERATED' : 'MISSING',
+      ready: !!S.consolidatedPricing
+    }
+  );
+  
+  checklist.push({
+    id: 'DOC-QAP',
+    item: 'Quality Assurance Plan (QAP) annexure with test schedule',
+    status: S.testPlan ? 'AUTO_GENERATED' : 'MISSING',
+    ready: !!S.testPlan
+  });
+  
+  checklist.push({
+    id: 'DOC-DRUM-SCHEDULE',
+    item: 'Drum schedule annexure (drum sizes, lengths, gross weights)',
+    status: S.submissionArtefacts?.drum_schedule ? 'AUTO_GENERATED' : 'MISSING',
+    ready: !!S.submissionArtefacts?.drum_schedule
+  });
+  
+  // Type tests priced at nil/discount rely on these reports being enclosed
+  const certificates = S.consolidatedPricing?.type_test_certificates?.certificates || [];
+  if (certificates.length > 0) {
+    const missingReports = certificates.filter(c => !c.report_file);
+    checklist.push({
+      id: 'DOC-TYPE-TEST',
+      item: `Type-test certificates: ${certificates.map(c => `${c.lab} ${c.report_no || `#${c.id}`} (${c.report_date})`).join(', ')}`,
+      certificate_ids: certificates.map(c => c.id),
+      status: missingReports.length === 0 ? 'DATA_READY' : 'MISSING',
+      ready: missingReports.length === 0
+    });
+  }
+  
+  return checklist;
+}
+
 export default submissionAgent;
 
 
@@ -8,15 +8,18 @@
  * 3. Recommends TOP THREE OEM products for each RFP product
  * 4. Shows "Spec Match" metric (%) for each recommendation
  * 5. Recommendations come from repository of product datasheets
- * 6. Spec Match = closeness of OEM product to RFP specs (equal weightage)
+ * 6. Spec Match = closeness of OEM product to RFP specs (scored by the matching engine, weighted by application profile)
  * 7. Prepares COMPARISON TABLE: RFP specs vs Top 1, 2, 3 OEM products
  * 8. Selects TOP OEM product for all items in scope
  * 9. Sends final table to Main Agent AND Pricing Agent
  */
 
 import { pushLog, getAndClearNewLogs, storeAgentOutput, markAgentComplete } from "../state.js";
-import { OEM_PRODUCT_CATALOG, getOEMProducts } from "../../services/oem-datasheets.js";
+import { OEM_PRODUCT_CATALOG } from "../../services/oem-datasheets.js";
 import { agentBroadcaster } from "../../services/agent-broadcast.js";
+import { buildGtpSheet } from "../../services/cable-construction.js";
+import { loadConditionsForItem, hasLoadData, validateSubstitute } from "../../services/cable-engineering.js";
+import { matchRequirement, parseRequirement } from "../../services/matching-engine.js";
 
 export async function TechnicalAgent(S) {
   const broadcast = S.broadcast !== false;
@@ -24,7 +27,7 @@ export async function TechnicalAgent(S) {
   // Helper to log and broadcast
   const logBroadcast = (msg, data = {}) => {
     pushLog(S, msg, "Technical");
-    if (broadcast) agentBroadcaster.log('Technical', msg, data);
+    if (broadcast) agentBroadcaster.log(S.sessionId, 'Technical', msg, data);
   };
   
   logBroadcast("");
@@ -35,7 +38,7 @@ export async function TechnicalAgent(S) {
   // Verify we have context from Master Agent
   if (!S.technicalContext || !S.selectedRFP) {
     logBroadcast("⚠️ TechnicalAgent: No technical context received from Master Agent", { error: true });
-    if (broadcast) agentBroadcaster.completeAgent('Technical', { error: 'no_context' });
+    if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Technical', { error: 'no_context' });
     S.next = "end";
     return { ...S, logs: getAndClearNewLogs(S) };
   }
@@ -75,9 +78,9 @@ export async function TechnicalAgent(S) {
   logBroadcast("");
   logBroadcast("🎯 Step 2: Matching RFP products to OEM SKUs (Top 3 recommendations)...", { step: 2, action: 'sku_matching' });
   
-  const oemProducts = getOEMProducts();
   S.skuMatchResults = [];
   S.comparisonTables = [];
+  const weightProfiles = new Set();
   
   for (const rfpProduct of S.scopeOfSupply) {
     logBroadcast("");
@@ -85,22 +88,51 @@ export async function TechnicalAgent(S) {
     
     // Parse RFP product specifications
     const rfpSpecs = parseRFPSpecs(rfpProduct.description, rfpProduct.specifications);
+    const loadConditions = loadConditionsForItem(rfpProduct);
     
-    // Calculate Spec Match for all OEM products
-    const matchedProducts = oemProducts.map(oem => {
-      const specMatch = calculateSpecMatchMetric(rfpSpecs, oem.specifications);
-      return {
-        ...oem,
-        spec_match_percentage: specMatch.percentage,
-        spec_match_details: specMatch.details,
-        matched_specs: specMatch.matched,
-        unmatched_specs: specMatch.unmatched
-      };
+    // Calculate Spec Match for all OEM products (matching engine, same profile as every other screen)
+    const engineResult = matchRequirement({ ...rfpSpecs, text: rfpProduct.description }, {
+      loadConditions: hasLoadData(loadConditions) ? loadConditions : null
     });
+    weightProfiles.add(engineResult.profile);
+    const matchedProducts = engineResult.matches.map(match => ({
+      ...match.product.raw,
+      specifications: match.product.raw.specifications || datasheetSpecs(match.product),
+      unit_price_inr_per_km: match.product.unit_price_per_km,
+      lead_time_days: match.product.lead_time_days,
+      spec_match_percentage: match.spec_match_percentage,
+      spec_match_details: match.attributes.map(a => ({
+        spec: a.label,
+        rfp_value: a.required,
+        oem_value: a.offered,
+        matched: a.rule.status === 'EXACT' || a.rule.status === 'PARTIAL',
+        explanation: a.explanation
+      })),
+      matched_specs: match.attributes.filter(a => a.rule.status === 'EXACT' || a.rule.status === 'PARTIAL').map(a => a.label),
+      unmatched_specs: match.unmatched.map(key => match.attributes.find(a => a.attribute === key).label),
+      engineering_check: match.attributes.find(a => a.attribute === 'area_mm2')?.deviation?.engineering_check || null,
+      standard_check: standardCheck(match)
+    }));
     
-    // Sort by Spec Match (descending) and take Top 3
-    matchedProducts.sort((a, b) => b.spec_match_percentage - a.spec_match_percentage);
-    const top3 = matchedProducts.slice(0, 3);
+    // Substitutes (different size / conductor) must carry the RFP load over the route
+    const rejectedSubstitutes = [];
+    let top3 = matchedProducts.slice(0, 3);
+    if (hasLoadData(loadConditions)) {
+      top3 = [];
+      for (const candidate of matchedProducts) {
+        if (top3.length === 3) break;
+        if (isSubstitute(rfpSpecs, candidate.specifications)) {
+          const check = candidate.engineering_check || runEngineeringCheck(candidate.sku_id, loadConditions);
+          candidate.engineering_check = check;
+          if (check.status === 'FAIL') {
+            rejectedSubstitutes.push({ sku_id: candidate.sku_id, issues: check.issues });
+            logBroadcast(`   ⚡ Rejected substitute ${candidate.sku_id}: ${check.issues.join('; ')}`, { sku_id: candidate.sku_id, engineering: 'fail' });
+            continue;
+          }
+        }
+        top3.push(candidate);
+      }
+    }
     
     // Store results
     const matchResult = {
@@ -115,8 +147,12 @@ export async function TechnicalAgent(S) {
         matched_specs: match.matched_specs,
         unmatched_specs: match.unmatched_specs,
         unit_price: match.unit_price_inr_per_km,
-        lead_time_days: match.lead_time_days
+        lead_time_days: match.lead_time_days,
+        engineering_check: match.engineering_check || null,
+        standard_check: match.standard_check || null
       })),
+      load_conditions: loadConditions,
+      rejected_substitutes: rejectedSubstitutes,
       recommended_sku: top3[0]?.sku_id || null,
       recommended_spec_match: top3[0]?.spec_match_percentage || 0
     };
@@ -134,7 +170,7 @@ export async function TechnicalAgent(S) {
     // ========================================
     // STEP 3: PREPARE COMPARISON TABLE
     // ========================================
-    const comparisonTable = generateComparisonTable(rfpProduct, rfpSpecs, top3);
+    const comparisonTable = generateComparisonTable(rfpProduct, rfpSpecs, top3, loadConditions);
     S.comparisonTables.push(comparisonTable);
   }
 
@@ -169,6 +205,9 @@ export async function TechnicalAgent(S) {
       oem3_match: table.oem_3_match
     });
     logBroadcast(`└──────────────────┴──────────┴──────────┴──────────┴──────────┘`);
+    table.standard_notes.forEach(n => {
+      logBroadcast(`   📘 ${n.sku_id}: ${n.note}`, { sku_id: n.sku_id, standard_status: n.status });
+    });
   });
 
   // ========================================
@@ -188,6 +227,8 @@ export async function TechnicalAgent(S) {
       unit_price: topMatch?.unit_price || 0,
       lead_time_days: topMatch?.lead_time_days || 14,
       matched_specs: topMatch?.matched_specs || [],
+      engineering_check: topMatch?.engineering_check || null,
+      standard_check: topMatch?.standard_check || null,
       alternatives: result.top_3_matches.slice(1).map(m => ({
         sku_id: m.sku_id,
         spec_match: m.spec_match_percentage
@@ -217,16 +258,32 @@ export async function TechnicalAgent(S) {
     ? Math.round(S.recommendedSKUs.reduce((sum, r) => sum + r.spec_match_percentage, 0) / S.recommendedSKUs.length)
     : 0;
 
+  // GTP schedule per recommended SKU (export via POST /api/gtp/sheet)
+  const gtpSummaries = S.recommendedSKUs.filter(rec => rec.sku_id).map(rec => {
+    try {
+      const gtp = buildGtpSheet({ skuId: rec.sku_id, requirement: rec.rfp_product });
+      return { sku_id: rec.sku_id, rfp_product: rec.rfp_product, ...gtp.summary, deviations: gtp.deviations };
+    } catch (e) {
+      return { sku_id: rec.sku_id, rfp_product: rec.rfp_product, error: e.message };
+    }
+  });
+  const gtpDeviations = gtpSummaries.reduce((sum, g) => sum + (g.deviations?.length || 0), 0);
+  logBroadcast(`📐 GTP schedules prepared for ${gtpSummaries.length} SKU(s), ${gtpDeviations} particular(s) below RFP values`, { gtp_deviations: gtpDeviations });
+
   // ========================================
   // STEP 6: PREPARE OUTPUT FOR MASTER & PRICING
   // ========================================
   const technicalOutput = {
     products_analyzed: S.scopeOfSupply.length,
     average_spec_match: avgSpecMatch,
-    spec_match_methodology: "Equal weightage for all specifications",
+    spec_match_methodology: weightProfiles.size === 1 && weightProfiles.has('equal')
+      ? "Equal weightage for all specifications"
+      : `Weighted by application profile (${[...weightProfiles].join(', ') || 'default'})`,
     recommended_skus: S.recommendedSKUs,
     comparison_tables: S.comparisonTables,
-    full_match_results: S.skuMatchResults
+    full_match_results: S.skuMatchResults,
+    rejected_substitutes: S.skuMatchResults.flatMap(r => r.rejected_substitutes.map(x => ({ rfp_product_id: r.rfp_product_id, ...x }))),
+    gtp_schedules: gtpSummaries
   };
   
   storeAgentOutput(S, 'technical', technicalOutput);
@@ -238,7 +295,7 @@ export async function TechnicalAgent(S) {
   logBroadcast(`   • Average Spec Match: ${avgSpecMatch}%`, { avg_spec_match: avgSpecMatch });
   logBroadcast(`   → Sending recommendations to Pricing Agent`);
   
-  if (broadcast) agentBroadcaster.completeAgent('Technical', { avg_spec_match: avgSpecMatch, products: S.recommendedSKUs.length });
+  if (broadcast) agentBroadcaster.completeAgent(S.sessionId, 'Technical', { avg_spec_match: avgSpecMatch, products: S.recommendedSKUs.length });
 
   S.next = "pricing";
   return { ...S, logs: getAndClearNewLogs(S) };
@@ -246,175 +303,95 @@ export async function TechnicalAgent(S) {
 
 /**
  * Parse RFP product specifications from description
+ * Matching-engine requirement in the OEM datasheet key names used by the comparison table
  */
 function parseRFPSpecs(description, existingSpecs = {}) {
+  // Values stated in the description win over the scope-of-supply defaults
   const specs = { ...existingSpecs };
-  const lower = description.toLowerCase();
+  const req = parseRequirement(description);
   
-  // Voltage Rating
-  const kvMatch = lower.match(/(\d+(?:\.\d+)?)\s*kv/);
-  if (kvMatch) {
-    const kv = parseFloat(kvMatch[1]);
-    specs.voltage_rating_v = kv >= 1 ? kv * 1000 : kv; // Convert to V
-    specs.voltage_rating = kvMatch[0].toUpperCase();
+  if (req.voltage_kv !== undefined) {
+    specs.voltage_rating_v = Math.round(req.voltage_kv * 1000);
+    specs.voltage_rating = req.voltage_kv >= 1 ? `${req.voltage_kv}KV` : `${specs.voltage_rating_v}V`;
   }
-  
-  // Number of Cores
-  const coreMatch = lower.match(/(\d+)\s*(?:core|c\b)/);
-  if (coreMatch) specs.no_of_cores = parseInt(coreMatch[1]);
-  
-  // Cross-section area
-  const areaMatch = lower.match(/(\d+(?:\.\d+)?)\s*(?:sq\.?\s*mm|sqmm|mm2|mm²)/);
-  if (areaMatch) specs.conductor_cross_section_mm2 = parseFloat(areaMatch[1]);
-  
-  // Conductor Material
-  if (lower.includes('copper') || lower.includes(' cu ')) {
-    specs.conductor_material = 'Copper';
-  } else if (lower.includes('aluminium') || lower.includes('aluminum') || lower.includes(' al ')) {
-    specs.conductor_material = 'Aluminium';
+  if (req.cores !== undefined) specs.no_of_cores = req.cores;
+  if (req.area_mm2 !== undefined) specs.conductor_cross_section_mm2 = req.area_mm2;
+  if (req.conductor_material) specs.conductor_material = req.conductor_material;
+  if (req.insulation) specs.insulation_material = req.insulation;
+  if (req.armoured !== undefined) {
+    specs.armoured = req.armoured;
+    if (req.armoured) specs.armour_type = specs.armour_type || 'Steel Wire Armoured (SWA)';
   }
-  
-  // Insulation Material
-  if (lower.includes('xlpe')) specs.insulation_material = 'XLPE';
-  else if (lower.includes('pvc')) specs.insulation_material = 'PVC';
-  
-  // Armour
-  if (lower.includes('armoured') || lower.includes('armored') || lower.includes('swa')) {
-    specs.armoured = true;
-    specs.armour_type = 'Steel Wire Armoured (SWA)';
-  } else if (lower.includes('unarmoured') || lower.includes('unarmored')) {
-    specs.armoured = false;
-  }
-  
-  // Temperature Rating
-  const tempMatch = lower.match(/(\d+)\s*°?c/);
-  if (tempMatch) specs.temperature_rating_c = parseInt(tempMatch[1]);
+  if (req.temperature_rating_c !== undefined) specs.temperature_rating_c = req.temperature_rating_c;
+  if (req.standard) specs.standard = req.standard;
   
   return specs;
 }
 
 /**
- * Calculate Spec Match Metric
- * Formula: (Matched Specs / Total Specs) × 100
- * All specs have EQUAL WEIGHTAGE
+ * Standards-registry verdict on the cited standard (exact, newer edition, equivalent or not)
  */
-function calculateSpecMatchMetric(rfpSpecs, oemSpecs) {
-  const specChecks = [
-    {
-      name: 'Voltage Rating',
-      rfpKey: 'voltage_rating_v',
-      oemKey: 'voltage_rating_v',
-      match: (rfp, oem) => {
-        if (!rfp || !oem) return null;
-        if (rfp === oem) return true;
-        // Allow ±10% tolerance
-        return Math.abs(rfp - oem) / rfp <= 0.1;
-      }
-    },
-    {
-      name: 'Number of Cores',
-      rfpKey: 'no_of_cores',
-      oemKey: 'no_of_cores',
-      match: (rfp, oem) => rfp === oem
-    },
-    {
-      name: 'Cross-Section (mm²)',
-      rfpKey: 'conductor_cross_section_mm2',
-      oemKey: 'conductor_cross_section_mm2',
-      match: (rfp, oem) => {
-        if (!rfp || !oem) return null;
-        if (rfp === oem) return true;
-        // Allow ±15% tolerance for nearby sizes
-        return Math.abs(rfp - oem) / rfp <= 0.15;
-      }
-    },
-    {
-      name: 'Conductor Material',
-      rfpKey: 'conductor_material',
-      oemKey: 'conductor_material',
-      match: (rfp, oem) => {
-        if (!rfp || !oem) return null;
-        return rfp.toLowerCase() === oem.toLowerCase();
-      }
-    },
-    {
-      name: 'Insulation Material',
-      rfpKey: 'insulation_material',
-      oemKey: 'insulation_material',
-      match: (rfp, oem) => {
-        if (!rfp || !oem) return null;
-        return rfp.toLowerCase() === oem.toLowerCase();
-      }
-    },
-    {
-      name: 'Armour Type',
-      rfpKey: 'armoured',
-      oemKey: 'armour_type',
-      match: (rfp, oem) => {
-        if (rfp === undefined) return null;
-        const oemArmoured = oem && oem.toLowerCase().includes('armour');
-        return rfp === oemArmoured;
-      }
-    },
-    {
-      name: 'Temperature Rating',
-      rfpKey: 'temperature_rating_c',
-      oemKey: 'temperature_rating_c',
-      match: (rfp, oem) => {
-        if (!rfp || !oem) return null;
-        return oem >= rfp; // OEM should meet or exceed
-      }
-    }
-  ];
-  
-  let totalSpecs = 0;
-  let matchedSpecs = 0;
-  const matched = [];
-  const unmatched = [];
-  const details = [];
-  
-  for (const check of specChecks) {
-    const rfpValue = rfpSpecs[check.rfpKey];
-    const oemValue = oemSpecs[check.oemKey];
-    
-    // Only count if RFP specifies this requirement
-    if (rfpValue === undefined || rfpValue === null) continue;
-    
-    totalSpecs++;
-    const result = check.match(rfpValue, oemValue);
-    
-    details.push({
-      spec: check.name,
-      rfp_value: rfpValue,
-      oem_value: oemValue,
-      matched: result === true
-    });
-    
-    if (result === true) {
-      matchedSpecs++;
-      matched.push(check.name);
-    } else {
-      unmatched.push(check.name);
-    }
-  }
-  
-  // Calculate percentage (equal weightage)
-  const percentage = totalSpecs > 0 ? Math.round((matchedSpecs / totalSpecs) * 100) : 0;
-  
+function standardCheck(match) {
+  const attribute = match.attributes.find(a => a.attribute === 'standard');
+  if (!attribute) return null;
+  return {
+    status: attribute.deviation?.status || attribute.rule.status,
+    required: attribute.required,
+    offered: match.product.standards,
+    note: attribute.deviation?.suggestion || null
+  };
+}
+
+/**
+ * Datasheet-style specifications for a product from a source without them (e.g. the catalog)
+ */
+function datasheetSpecs(product) {
   return {
-    percentage,
-    matched_count: matchedSpecs,
-    total_count: totalSpecs,
-    matched,
-    unmatched,
-    details
+    voltage_rating_v: product.voltage_kv ? Math.round(product.voltage_kv * 1000) : null,
+    no_of_cores: product.cores,
+    conductor_cross_section_mm2: product.area_mm2,
+    conductor_material: product.conductor_material,
+    insulation_material: product.insulation,
+    temperature_rating_c: product.temperature_rating_c,
+    armour_type: product.armoured ? 'Armoured' : null,
+    standard_compliance: product.standards
   };
 }
 
+/**
+ * Whether an OEM product departs from the RFP size or conductor
+ */
+function isSubstitute(rfpSpecs, oemSpecs) {
+  const area = rfpSpecs.conductor_cross_section_mm2;
+  const material = rfpSpecs.conductor_material;
+  return Boolean(
+    (area && oemSpecs.conductor_cross_section_mm2 !== area) ||
+    (material && String(oemSpecs.conductor_material || '').toLowerCase() !== material.toLowerCase())
+  );
+}
+
+/**
+ * Ampacity / voltage-drop check summary for a candidate SKU
+ */
+function runEngineeringCheck(skuId, loadConditions) {
+  try {
+    const check = validateSubstitute({ skuId, conditions: loadConditions });
+    return {
+      status: check.status,
+      load_current_a: check.conditions.load_current_a,
+      derated_rating_a: check.ampacity?.derated_rating_a ?? null,
+      voltage_drop_percent: check.voltage_drop?.drop_percent ?? null,
+      issues: check.issues
+    };
+  } catch (e) {
+    return { status: 'NOT_VERIFIED', issues: [e.message] };
+  }
+}
+
 /**
  * Generate comparison table for RFP product vs Top 3 OEM products
  */
-function generateComparisonTable(rfpProduct, rfpSpecs, top3OEM) {
+function generateComparisonTable(rfpProduct, rfpSpecs, top3OEM, loadConditions = {}) {
   const specNames = [
     { key: 'voltage_rating_v', name: 'Voltage (V)', format: v => v ? `${v}V` : '-' },
     { key: 'no_of_cores', name: 'No. of Cores', format: v => v || '-' },
@@ -433,6 +410,33 @@ function generateComparisonTable(rfpProduct, rfpSpecs, top3OEM) {
     oem_3_value: spec.format(top3OEM[2]?.specifications?.[spec.key])
   }));
   
+  if (rfpSpecs.standard) {
+    const verdict = (oem) => ({
+      EXACT_MATCH: 'Complies',
+      NEWER_EDITION: 'Newer ed.',
+      EQUIVALENT_STANDARD: 'Equivalent',
+      MISMATCH: 'No'
+    })[oem?.standard_check?.status] || '-';
+    rows.push({
+      spec_name: 'Standard',
+      rfp_value: rfpSpecs.standard,
+      oem_1_value: verdict(top3OEM[0]),
+      oem_2_value: verdict(top3OEM[1]),
+      oem_3_value: verdict(top3OEM[2])
+    });
+  }
+  
+  if (hasLoadData(loadConditions)) {
+    const rating = (oem) => oem?.engineering_check?.derated_rating_a ? `${oem.engineering_check.derated_rating_a}A` : '-';
+    rows.push({
+      spec_name: 'Derated Amps',
+      rfp_value: top3OEM[0]?.engineering_check?.load_current_a ? `${top3OEM[0].engineering_check.load_current_a}A` : '-',
+      oem_1_value: rating(top3OEM[0]),
+      oem_2_value: rating(top3OEM[1]),
+      oem_3_value: rating(top3OEM[2])
+    });
+  }
+  
   return {
     rfp_product: rfpProduct.description,
     rfp_specs: rfpSpecs,
@@ -442,6 +446,10 @@ function generateComparisonTable(rfpProduct, rfpSpecs, top3OEM) {
     oem_2_match: top3OEM[1]?.spec_match_percentage || 0,
     oem_3_sku: top3OEM[2]?.sku_id || 'N/A',
     oem_3_match: top3OEM[2]?.spec_match_percentage || 0,
-    comparison_rows: rows
+    comparison_rows: rows,
+    // Deviation notes for equivalent / newer-edition / non-compliant standards
+    standard_notes: top3OEM
+      .filter(oem => oem?.standard_check?.note)
+      .map(oem => ({ sku_id: oem.sku_id, status: oem.standard_check.status, note: oem.standard_check.note }))
   };
 }
@@ -0,0 +1,219 @@
+/**
+ * SQLite Checkpoint Saver
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Persists LangGraph checkpoints in the shared better-sqlite3 database
+ * (agent_checkpoints / agent_checkpoint_writes tables), so agentic runs
+ * can be paused, inspected, edited, resumed and rolled back across restarts.
+ */
+
+import { BaseCheckpointSaver, WRITES_IDX_MAP, copyCheckpoint, getCheckpointId } from "@langchain/langgraph-checkpoint";
+import db from "../db/index.js";
+
+const insertCheckpoint = db.prepare(`
+  INSERT OR REPLACE INTO agent_checkpoints
+    (threadId, checkpointNs, checkpointId, parentCheckpointId, type, checkpoint, metadata, createdAt)
+  VALUES (@threadId, @checkpointNs, @checkpointId, @parentCheckpointId, @type, @checkpoint, @metadata, @createdAt)
+`);
+
+const insertWrite = db.prepare(`
+  INSERT OR REPLACE INTO agent_checkpoint_writes
+    (threadId, checkpointNs, checkpointId, taskId, idx, channel, type, value)
+  VALUES (@threadId, @checkpointNs, @checkpointId, @taskId, @idx, @channel, @type, @value)
+`);
+
+const insertWriteIfMissing = db.prepare(`
+  INSERT OR IGNORE INTO agent_checkpoint_writes
+    (threadId, checkpointNs, checkpointId, taskId, idx, channel, type, value)
+  VALUES (@threadId, @checkpointNs, @checkpointId, @taskId, @idx, @channel, @type, @value)
+`);
+
+const getCheckpointById = db.prepare(`
+  SELECT * FROM agent_checkpoints WHERE threadId = ? AND checkpointNs = ? AND checkpointId = ?
+`);
+
+const getLatestCheckpoint = db.prepare(`
+  SELECT * FROM agent_checkpoints WHERE threadId = ? AND checkpointNs = ?
+  ORDER BY checkpointId DESC LIMIT 1
+`);
+
+const getWrites = db.prepare(`
+  SELECT * FROM agent_checkpoint_writes WHERE threadId = ? AND checkpointNs = ? AND checkpointId = ?
+  ORDER BY taskId, idx
+`);
+
+const deleteThreadCheckpoints = db.prepare(`DELETE FROM agent_checkpoints WHERE threadId = ?`);
+const deleteThreadWrites = db.prepare(`DELETE FROM agent_checkpoint_writes WHERE threadId = ?`);
+
+export class SqliteCheckpointSaver extends BaseCheckpointSaver {
+  constructor(serde) {
+    super(serde);
+  }
+
+  async getTuple(config) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? "";
+    const checkpointId = getCheckpointId(config);
+
+    const row = checkpointId
+      ? getCheckpointById.get(threadId, checkpointNs, checkpointId)
+      : getLatestCheckpoint.get(threadId, checkpointNs);
+
+    if (!row) return undefined;
+    return this._rowToTuple(row);
+  }
+
+  async *list(config, options = {}) {
+    const { before, limit, filter } = options;
+    const conditions = [];
+    const params = [];
+
+    if (config.configurable?.thread_id) {
+      conditions.push("threadId = ?");
+      params.push(config.configurable.thread_id);
+    }
+    if (config.configurable?.checkpoint_ns !== undefined) {
+      conditions.push("checkpointNs = ?");
+      params.push(config.configurable.checkpoint_ns);
+    }
+    if (config.configurable?.checkpoint_id) {
+      conditions.push("checkpointId = ?");
+      params.push(config.configurable.checkpoint_id);
+    }
+    if (before?.configurable?.checkpoint_id) {
+      conditions.push("checkpointId < ?");
+      params.push(before.configurable.checkpoint_id);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const rows = db.prepare(`SELECT * FROM agent_checkpoints ${where} ORDER BY checkpointId DESC`).all(...params);
+
+    let remaining = limit;
+    for (const row of rows) {
+      const tuple = await this._rowToTuple(row);
+      if (filter && !Object.entries(filter).every(([key, value]) => tuple.metadata?.[key] === value)) continue;
+      if (remaining !== undefined) {
+        if (remaining <= 0) break;
+        remaining -= 1;
+      }
+      yield tuple;
+    }
+  }
+
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? "";
+    if (threadId === undefined) {
+      throw new Error(`Failed to put checkpoint. The passed RunnableConfig is missing a required "thread_id" field in its "configurable" property.`);
+    }
+
+    const [[type, serializedCheckpoint], [, serializedMetadata]] = await Promise.all([
+      this.serde.dumpsTyped(copyCheckpoint(checkpoint)),
+      this.serde.dumpsTyped(metadata)
+    ]);
+
+    insertCheckpoint.run({
+      threadId,
+      checkpointNs,
+      checkpointId: checkpoint.id,
+      parentCheckpointId: config.configurable?.checkpoint_id ?? null,
+      type,
+      checkpoint: toBuffer(serializedCheckpoint),
+      metadata: toBuffer(serializedMetadata),
+      createdAt: new Date().toISOString()
+    });
+
+    return {
+      configurable: {
+        thread_id: threadId,
+        checkpoint_ns: checkpointNs,
+        checkpoint_id: checkpoint.id
+      }
+    };
+  }
+
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? "";
+    const checkpointId = config.configurable?.checkpoint_id;
+    if (threadId === undefined) {
+      throw new Error(`Failed to put writes. The passed RunnableConfig is missing a required "thread_id" field in its "configurable" property`);
+    }
+    if (checkpointId === undefined) {
+      throw new Error(`Failed to put writes. The passed RunnableConfig is missing a required "checkpoint_id" field in its "configurable" property.`);
+    }
+
+    const rows = await Promise.all(writes.map(async ([channel, value], idx) => {
+      const [type, serializedValue] = await this.serde.dumpsTyped(value);
+      return {
+        threadId,
+        checkpointNs,
+        checkpointId,
+        taskId,
+        idx: WRITES_IDX_MAP[channel] ?? idx,
+        channel,
+        type,
+        value: toBuffer(serializedValue)
+      };
+    }));
+
+    // Special channels (error, interrupt, ...) keep their first write; regular writes are replaced
+    const transaction = db.transaction(() => {
+      for (const row of rows) {
+        (row.idx >= 0 ? insertWrite : insertWriteIfMissing).run(row);
+      }
+    });
+    transaction();
+  }
+
+  async deleteThread(threadId) {
+    const transaction = db.transaction(() => {
+      deleteThreadWrites.run(threadId);
+      deleteThreadCheckpoints.run(threadId);
+    });
+    transaction();
+  }
+
+  async _rowToTuple(row) {
+    const writes = getWrites.all(row.threadId, row.checkpointNs, row.checkpointId);
+    const pendingWrites = await Promise.all(writes.map(async (w) => [
+      w.taskId,
+      w.channel,
+      await this.serde.loadsTyped(w.type, w.value)
+    ]));
+
+    const tuple = {
+      config: {
+        configurable: {
+          thread_id: row.threadId,
+          checkpoint_ns: row.checkpointNs,
+          checkpoint_id: row.checkpointId
+        }
+      },
+      checkpoint: await this.serde.loadsTyped(row.type, row.checkpoint),
+      metadata: await this.serde.loadsTyped(row.type, row.metadata),
+      pendingWrites
+    };
+
+    if (row.parentCheckpointId) {
+      tuple.parentConfig = {
+        configurable: {
+          thread_id: row.threadId,
+          checkpoint_ns: row.checkpointNs,
+          checkpoint_id: row.parentCheckpointId
+        }
+      };
+    }
+
+    return tuple;
+  }
+}
+
+function toBuffer(data) {
+  return typeof data === "string" ? Buffer.from(data) : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+// Shared saver for all agentic runs
+export const checkpointer = new SqliteCheckpointSaver();
+
+export default checkpointer;
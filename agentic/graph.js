@@ -7,7 +7,7 @@
  * 2. RULE_MODE: Uses procedural agents (fallback)
  * 
  * Implements the LangGraph-based orchestration of:
- * Master Agent (Orchestrator) ↔ Sales Agent → Technical Agent → Pricing Agent
+ * Master Agent (Orchestrator) ↔ Sales Agent → Technical Agent → Pricing Agent → Submission Agent
  */
 
 import { StateGraph, END } from "@langchain/langgraph";
@@ -19,6 +19,7 @@ import { MasterAgent } from "./agents/master.js";
 import { SalesAgent } from "./agents/sales.js";
 import { TechnicalAgent } from "./agents/technical.js";
 import { PricingAgent } from "./agents/pricing.js";
+import { SubmissionGraphAgent } from "./agents/submission.js";
 
 // Import LLM-powered agents
 import { LLMSalesAgent } from "./agents/llm-sales.js";
@@ -26,10 +27,21 @@ import { LLMTechnicalAgent } from "./agents/llm-technical.js";
 import { LLMPricingAgent } from "./agents/llm-pricing.js";
 
 import { agentBroadcaster } from "../services/agent-broadcast.js";
+import { computeGst, bidTaxLines } from "../services/gst-engine.js";
+import { checkpointer } from "./checkpointer.js";
 
 // Agent mode configuration
 const AGENT_MODE = process.env.AGENT_MODE || 'LLM'; // 'LLM' or 'RULE'
 
+// Nodes a reviewer may pause after (human-in-the-loop)
+export const INTERRUPTIBLE_NODES = ['technical', 'pricing'];
+
+// Default interrupt points, e.g. AGENT_INTERRUPT_AFTER=technical,pricing
+const DEFAULT_INTERRUPT_AFTER = (process.env.AGENT_INTERRUPT_AFTER || '')
+  .split(',')
+  .map(n => n.trim())
+  .filter(n => INTERRUPTIBLE_NODES.includes(n));
+
 /**
  * Get the appropriate agent function based on mode
  */
@@ -40,6 +52,7 @@ function getAgent(agentType) {
       case 'technical': return LLMTechnicalAgent;
       case 'pricing': return LLMPricingAgent;
       case 'master': return MasterAgent; // Master stays procedural (orchestration logic)
+      case 'submission': return SubmissionGraphAgent; // Template-driven, no LLM needed
       default: return null;
     }
   } else {
@@ -49,6 +62,7 @@ function getAgent(agentType) {
       case 'technical': return TechnicalAgent;
       case 'pricing': return PricingAgent;
       case 'master': return MasterAgent;
+      case 'submission': return SubmissionGraphAgent;
       default: return null;
     }
   }
@@ -56,8 +70,9 @@ function getAgent(agentType) {
 
 /**
  * Build the LangGraph workflow
+ * @param {Object} options - { checkpointer } to persist state between steps
  */
-export function buildGraph() {
+export function buildGraph({ checkpointer: saver } = {}) {
   const graph = new StateGraph({
     channels: {
       // Session & Input
@@ -95,12 +110,18 @@ export function buildGraph() {
       consolidatedPricing: { default: () => null },
       marketAnalysis: { default: () => [] },
       
+      // Submission Agent State
+      submissionPlan: { default: () => null },
+      submissionArtefacts: { default: () => null },
+      submissionChecklist: { default: () => [] },
+      testPlan: { default: () => null },
+      
       // Agent Communication
       logs: {
         reducer: (current, update) => current.concat(update),
         default: () => []
       },
-      agentOutputs: { default: () => ({ master: null, sales: null, technical: null, pricing: null }) },
+      agentOutputs: { default: () => ({ master: null, sales: null, technical: null, pricing: null, submission: null }) },
       
       // Workflow Control
       next: { default: () => "sales" },
@@ -114,6 +135,7 @@ export function buildGraph() {
   graph.addNode("sales", getAgent('sales'));
   graph.addNode("technical", getAgent('technical'));
   graph.addNode("pricing", getAgent('pricing'));
+  graph.addNode("submission", getAgent('submission'));
 
   // Set entry point (Master Agent starts the workflow)
   graph.setEntryPoint("master");
@@ -125,6 +147,7 @@ export function buildGraph() {
     {
       sales: "sales",
       technical: "technical",
+      submission: "submission",
       end: END
     }
   );
@@ -161,7 +184,114 @@ export function buildGraph() {
     }
   );
 
-  return graph.compile();
+  // Submission Agent routing (final stage after Master consolidation)
+  graph.addConditionalEdges(
+    "submission",
+    (state) => state.next,
+    {
+      end: END
+    }
+  );
+
+  return graph.compile(saver ? { checkpointer: saver } : undefined);
+}
+
+/**
+ * Error carrying an HTTP status for the run-control routes
+ */
+function runError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Graph config for a run thread (one thread per session)
+ */
+function threadConfig(sessionId, interruptAfter = [], checkpointId = null) {
+  return {
+    configurable: {
+      thread_id: sessionId,
+      ...(checkpointId ? { checkpoint_id: checkpointId } : {})
+    },
+    interruptAfter,
+    recursionLimit: 50
+  };
+}
+
+/**
+ * Validate requested interrupt points
+ */
+function resolveInterruptAfter(requested) {
+  if (requested === undefined || requested === null) return DEFAULT_INTERRUPT_AFTER;
+  const list = Array.isArray(requested) ? requested : String(requested).split(',');
+  const nodes = list.map(n => String(n).trim().toLowerCase()).filter(Boolean);
+  const invalid = nodes.filter(n => !INTERRUPTIBLE_NODES.includes(n));
+  if (invalid.length > 0) {
+    throw runError(`Invalid interrupt point(s): ${invalid.join(', ')}. Allowed: ${INTERRUPTIBLE_NODES.join(', ')}`, 400);
+  }
+  return nodes;
+}
+
+/**
+ * Summarise a state snapshot for the API / broadcaster
+ */
+function describeSnapshot(snapshot) {
+  const paused = snapshot.next.length > 0;
+  return {
+    session_id: snapshot.config.configurable.thread_id,
+    checkpoint_id: snapshot.config.configurable.checkpoint_id,
+    status: paused ? 'paused' : 'completed',
+    next: snapshot.next,
+    paused_after: paused ? snapshot.values.completedAgents?.slice(-1)[0] || null : null,
+    step: snapshot.metadata?.step,
+    source: snapshot.metadata?.source,
+    created_at: snapshot.createdAt
+  };
+}
+
+/**
+ * Finish an invoke: either announce the pause or close the broadcast session
+ */
+async function finalizeRun(app, sessionId, result, broadcast, startTime) {
+  const snapshot = await app.getState(threadConfig(sessionId));
+  const run = describeSnapshot(snapshot);
+
+  if (run.status === 'paused') {
+    console.log(`\n⏸️  Workflow paused after ${run.paused_after} | Next: ${run.next.join(', ')}`);
+    if (broadcast) {
+      agentBroadcaster.log(sessionId, 'System', `⏸️ Workflow paused for review before ${run.next.join(', ')}`, {
+        checkpointId: run.checkpoint_id,
+        next: run.next
+      });
+      agentBroadcaster.pauseSession(sessionId, {
+        checkpointId: run.checkpoint_id,
+        pausedAfter: run.paused_after,
+        next: run.next
+      });
+    }
+    return { ...result, run };
+  }
+
+  console.log('\n');
+  console.log('╔══════════════════════════════════════════════════════════════════╗');
+  console.log('║     WORKFLOW COMPLETE                                            ║');
+  console.log('╚══════════════════════════════════════════════════════════════════╝');
+  console.log(`\n⏱️  Total Execution Time: ${Date.now() - startTime}ms`);
+  console.log(`📊 Agents Completed: ${result.completedAgents?.join(' → ') || 'N/A'}`);
+  console.log(`🤖 Agent Mode: ${AGENT_MODE}`);
+  
+  // End broadcast session
+  if (broadcast) {
+    agentBroadcaster.log(sessionId, 'System', '✅ Workflow Complete', {
+      duration: Date.now() - startTime,
+      agents: result.completedAgents,
+      mode: AGENT_MODE
+    });
+    agentBroadcaster.endSession(sessionId, result);
+  }
+  
+  return { ...result, run };
 }
 
 /**
@@ -170,10 +300,11 @@ export function buildGraph() {
  * @returns {Object} Final state with all agent outputs
  */
 export async function runGraphOnce(input = {}) {
-  const app = buildGraph();
+  const interruptAfter = resolveInterruptAfter(input.interruptAfter);
+  const app = buildGraph({ checkpointer });
   const state = initialState();
   state.sessionId = input.sessionId || uuid();
-  state.input = input;
+  state.input = { ...input, interruptAfter };
   state.startTime = Date.now();
   state.broadcast = input.broadcast !== false;
 
@@ -186,6 +317,9 @@ export async function runGraphOnce(input = {}) {
   console.log('╚══════════════════════════════════════════════════════════════════╝');
   console.log(`\n🚀 Starting LangGraph Workflow | Session: ${state.sessionId}`);
   console.log(`   Agent Mode: ${AGENT_MODE}`);
+  if (interruptAfter.length > 0) {
+    console.log(`   Review Points: after ${interruptAfter.join(', ')}`);
+  }
   console.log('');
 
   // Start broadcast session
@@ -193,54 +327,212 @@ export async function runGraphOnce(input = {}) {
     agentBroadcaster.startSession(state.sessionId, {
       input: input.input || input.message || 'RFP Automation',
       timestamp: new Date().toISOString(),
-      agentMode: AGENT_MODE
+      agentMode: AGENT_MODE,
+      interruptAfter
     });
-    agentBroadcaster.log('System', `🚀 Starting ${agentModeLabel} Workflow`, { 
+    agentBroadcaster.log(state.sessionId, 'System', `🚀 Starting ${agentModeLabel} Workflow`, { 
       sessionId: state.sessionId,
       mode: AGENT_MODE 
     });
   }
 
   try {
-    const result = await app.invoke(state);
-    
-    console.log('\n');
-    console.log('╔══════════════════════════════════════════════════════════════════╗');
-    console.log('║     WORKFLOW COMPLETE                                            ║');
-    console.log('╚══════════════════════════════════════════════════════════════════╝');
-    console.log(`\n⏱️  Total Execution Time: ${Date.now() - state.startTime}ms`);
-    console.log(`📊 Agents Completed: ${result.completedAgents?.join(' → ') || 'N/A'}`);
-    console.log(`🤖 Agent Mode: ${AGENT_MODE}`);
+    const result = await app.invoke(state, threadConfig(state.sessionId, interruptAfter));
+    return await finalizeRun(app, state.sessionId, result, state.broadcast, state.startTime);
+  } catch (error) {
+    console.error('\n❌ Workflow Error:', error.message);
     
-    // End broadcast session
     if (state.broadcast) {
-      agentBroadcaster.log('System', '✅ Workflow Complete', {
-        duration: Date.now() - state.startTime,
-        agents: result.completedAgents,
-        mode: AGENT_MODE
-      });
-      agentBroadcaster.endSession(result);
+      agentBroadcaster.log(state.sessionId, 'System', `❌ Workflow Error: ${error.message}`, { error: true });
+      agentBroadcaster.endSession(state.sessionId, { error: error.message });
     }
     
-    return result;
+    throw error;
+  }
+}
+
+/**
+ * Get the current (latest checkpoint) state of a run
+ * @returns {Object|null} { run, values } or null if the session has no checkpoints
+ */
+export async function getRunState(sessionId) {
+  const app = buildGraph({ checkpointer });
+  const snapshot = await app.getState(threadConfig(sessionId));
+  if (!snapshot.config?.configurable?.checkpoint_id) return null;
+  return { run: describeSnapshot(snapshot), values: snapshot.values };
+}
+
+/**
+ * List the checkpoints of a run, newest first
+ */
+export async function getRunHistory(sessionId, limit = 50) {
+  const app = buildGraph({ checkpointer });
+  const history = [];
+  for await (const snapshot of app.getStateHistory(threadConfig(sessionId), { limit })) {
+    history.push({
+      ...describeSnapshot(snapshot),
+      completed_agents: snapshot.values.completedAgents || []
+    });
+  }
+  return history;
+}
+
+/**
+ * Apply reviewer edits to a paused run.
+ * Only recommendedSKUs and productPricingTable may be changed; editing the
+ * pricing table recomputes the consolidated totals.
+ */
+export async function updateRunState(sessionId, { recommendedSKUs, productPricingTable } = {}) {
+  const app = buildGraph({ checkpointer });
+  const config = threadConfig(sessionId);
+  const snapshot = await app.getState(config);
+
+  if (!snapshot.config?.configurable?.checkpoint_id) {
+    throw runError(`Run not found: ${sessionId}`, 404);
+  }
+  if (snapshot.next.length === 0) {
+    throw runError(`Run ${sessionId} is not paused`, 409);
+  }
+
+  const updates = {};
+  if (Array.isArray(recommendedSKUs)) {
+    updates.recommendedSKUs = recommendedSKUs;
+  }
+  if (Array.isArray(productPricingTable)) {
+    updates.productPricingTable = productPricingTable;
+    if (snapshot.values.consolidatedPricing) {
+      updates.consolidatedPricing = recomputeConsolidatedPricing(snapshot.values.consolidatedPricing, productPricingTable);
+    }
+  }
+  if (Object.keys(updates).length === 0) {
+    throw runError('Nothing to update: provide recommendedSKUs and/or productPricingTable', 400);
+  }
+
+  await app.updateState(config, updates);
+
+  if (snapshot.values.broadcast !== false) {
+    agentBroadcaster.log(sessionId, 'System', `✏️ Reviewer edited ${Object.keys(updates).join(', ')}`, { fields: Object.keys(updates) });
+  }
+
+  return getRunState(sessionId);
+}
+
+/**
+ * Resume a paused run from its latest checkpoint
+ */
+export async function resumeGraph(sessionId) {
+  const app = buildGraph({ checkpointer });
+  const snapshot = await app.getState(threadConfig(sessionId));
+
+  if (!snapshot.config?.configurable?.checkpoint_id) {
+    throw runError(`Run not found: ${sessionId}`, 404);
+  }
+  if (snapshot.next.length === 0) {
+    throw runError(`Run ${sessionId} is not paused`, 409);
+  }
+
+  const broadcast = snapshot.values.broadcast !== false;
+  const interruptAfter = snapshot.values.input?.interruptAfter || [];
+
+  console.log(`\n▶️  Resuming LangGraph Workflow | Session: ${sessionId} | Next: ${snapshot.next.join(', ')}`);
+  if (broadcast) {
+    agentBroadcaster.resumeSession(sessionId, { next: snapshot.next });
+    agentBroadcaster.log(sessionId, 'System', `▶️ Resuming workflow with ${snapshot.next.join(', ')}`, { sessionId });
+  }
+
+  try {
+    const result = await app.invoke(null, threadConfig(sessionId, interruptAfter));
+    return await finalizeRun(app, sessionId, result, broadcast, snapshot.values.startTime);
   } catch (error) {
     console.error('\n❌ Workflow Error:', error.message);
-    
-    if (state.broadcast) {
-      agentBroadcaster.log('System', `❌ Workflow Error: ${error.message}`, { error: true });
-      agentBroadcaster.endSession({ error: error.message });
+    if (broadcast) {
+      agentBroadcaster.log(sessionId, 'System', `❌ Workflow Error: ${error.message}`, { error: true });
+      agentBroadcaster.endSession(sessionId, { error: error.message });
     }
-    
     throw error;
   }
 }
 
+/**
+ * Roll a run back to an earlier checkpoint. The checkpoint becomes the new
+ * head (history is kept), and the run is paused there until resumed.
+ */
+export async function rollbackRun(sessionId, checkpointId) {
+  const app = buildGraph({ checkpointer });
+  const target = await app.getState(threadConfig(sessionId, [], checkpointId));
+
+  if (!target.config?.configurable?.checkpoint_id) {
+    throw runError(`Checkpoint ${checkpointId} not found for run ${sessionId}`, 404);
+  }
+
+  // Re-apply the target state as if written by the node that produced it,
+  // so routing from that checkpoint is unchanged
+  const asNode = await checkpointWriter(target.config);
+  if (!asNode || asNode === '__start__') {
+    throw runError(`Cannot roll back to checkpoint ${checkpointId}: it precedes the first agent`, 400);
+  }
+
+  await app.updateState(target.config, {}, asNode);
+
+  if (target.values.broadcast !== false) {
+    agentBroadcaster.log(sessionId, 'System', `⏪ Rolled back to checkpoint ${checkpointId}`, { checkpointId, next: target.next });
+    agentBroadcaster.pauseSession(sessionId, { checkpointId, next: target.next, rolledBack: true });
+  }
+
+  return getRunState(sessionId);
+}
+
+/**
+ * The node that wrote a checkpoint, read from the checkpoint itself: the node
+ * that has seen the newest channel version. Reviewer edits keep the versions
+ * seen, so an edited checkpoint still names the agent it was applied after.
+ */
+async function checkpointWriter(config) {
+  const tuple = await checkpointer.getTuple(config);
+  const seen = Object.entries(tuple?.checkpoint?.versions_seen || {})
+    .flatMap(([node, versions]) => Object.values(versions).map(version => [Number(version), node]))
+    .sort(([a], [b]) => a - b);
+  return seen.length > 0 ? seen[seen.length - 1][1] : null;
+}
+
+/**
+ * Recompute material/GST/grand totals after the product pricing table is edited
+ */
+function recomputeConsolidatedPricing(current, productPricingTable) {
+  const lineTotal = (item) => Number(item.line_total_inr ?? item.line_total ?? item.total ??
+    (item.counter_offer_price ?? item.unit_price_inr ?? item.unit_price ?? 0) * (item.quantity_km ?? item.quantity ?? 0)) || 0;
+  const totalMaterial = productPricingTable.reduce((sum, item) => sum + lineTotal(item), 0);
+  const subtotal = totalMaterial + (current.total_test_cost || 0) + (current.freight_cost || 0);
+
+  // Same supply (place of supply, SEZ / export) as priced; only the taxable values change
+  const tax = current.tax
+    ? computeGst(bidTaxLines({
+      products: productPricingTable.map(item => ({ ...item, line_total_inr: lineTotal(item) })),
+      testCost: current.total_test_cost || 0,
+      freightCost: current.freight_cost || 0
+    }), current.tax.supply)
+    : null;
+  const gst = tax ? Math.round(tax.totals.total_tax) : Math.round(subtotal * (current.gst_rate ?? 0.18));
+
+  return {
+    ...current,
+    total_material_cost: totalMaterial,
+    subtotal,
+    gst,
+    ...(tax ? { tax } : {}),
+    grand_total: subtotal + gst,
+    product_pricing: productPricingTable,
+    products_priced: productPricingTable.length
+  };
+}
+
 /**
  * Run the workflow with a specific RFP ID
  * @param {Object} options - Options including rfpId, sessionId, etc.
  */
 export async function runAgenticPipeline(options = {}) {
-  return runGraphOnce(options);
+  // Runs straight through: AGENT_INTERRUPT_AFTER only applies to /api/agentic runs
+  return runGraphOnce({ interruptAfter: [], ...options });
 }
 
 /**
@@ -271,6 +563,13 @@ export function getWorkflowStats(result) {
       material_cost: result.consolidatedPricing?.total_material_cost || 0,
       services_cost: result.consolidatedPricing?.total_test_cost || 0,
       grand_total: result.consolidatedPricing?.grand_total || 0
+    },
+    
+    submission: {
+      mode: result.submissionPlan?.submission_mode || null,
+      actions: result.submissionPlan?.actions?.length || 0,
+      checklist_ready: result.submissionChecklist?.filter(item => item.ready).length || 0,
+      checklist_total: result.submissionChecklist?.length || 0
     }
   };
 }
@@ -292,6 +591,11 @@ export function isLLMMode() {
 export default {
   buildGraph,
   runGraphOnce,
+  getRunState,
+  getRunHistory,
+  updateRunState,
+  resumeGraph,
+  rollbackRun,
   runAgenticPipeline,
   getWorkflowStats,
   getAgentMode,
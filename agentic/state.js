@@ -3,7 +3,7 @@
  * EY Techathon 6.0 - AI RFP Automation System
  * 
  * Defines the shared state structure for all agents in the workflow.
- * State flows: Master → Sales → Technical → Pricing → Master (consolidation)
+ * State flows: Master → Sales → Technical → Pricing → Master (consolidation) → Submission
  */
 
 export const initialState = () => ({
@@ -45,6 +45,14 @@ export const initialState = () => ({
   servicesPricingTable: [],      // Prices for tests/services
   consolidatedPricing: null,     // Total material + services pricing
   
+  // ========================================
+  // SUBMISSION AGENT STATE
+  // ========================================
+  submissionPlan: null,          // Mode, steps and deadline for sending the bid
+  submissionArtefacts: null,     // Generated emails, letters, forms, price schedule
+  submissionChecklist: [],       // Items to complete before submission (ready / pending)
+  testPlan: null,                // Test schedule vs delivery deadline (QAP source)
+  
   // ========================================
   // AGENT COMMUNICATION
   // ========================================
@@ -53,7 +61,8 @@ export const initialState = () => ({
     master: null,
     sales: null,
     technical: null,
-    pricing: null
+    pricing: null,
+    submission: null
   },
   
   // Workflow control
@@ -93,6 +102,7 @@ function detectAgent(msg) {
   if (msg.includes('SalesAgent')) return 'Sales';
   if (msg.includes('TechnicalAgent')) return 'Technical';
   if (msg.includes('PricingAgent')) return 'Pricing';
+  if (msg.includes('SubmissionAgent')) return 'Submission';
   return 'System';
 }
 
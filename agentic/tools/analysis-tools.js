@@ -12,6 +12,9 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { semanticProductSearch, embed, cosineSimilarity, loadEmbeddingsCache } from '../../services/local-embeddings.js';
+import { findProduct, matchRequirementAsync, scoreMatch } from '../../services/matching-engine.js';
+import { getBundle } from '../../services/tender-bundle.js';
+import { loadConditionsForItem, hasLoadData, validateSubstitute } from '../../services/cable-engineering.js';
 
 // Import adaptive learning components
 let adaptiveRAG = null;
@@ -73,6 +76,19 @@ function loadOEMCatalog() {
  */
 export const extractPDFDataTool = tool(
   async ({ tender_id, pdf_url }) => {
+    // Tender bundles carry data merged across all their documents
+    const bundle = getBundle(tender_id);
+    if (bundle) {
+      return JSON.stringify({
+        rfp_id: tender_id,
+        extraction_method: "TENDER_BUNDLE",
+        documents: bundle.documents.map(doc => ({ id: doc.id, file_name: doc.fileName, role: doc.role })),
+        extracted_fields: bundle.data,
+        field_sources: bundle.field_sources,
+        conflicts: bundle.conflicts
+      });
+    }
+    
     const { documentLearner, adaptiveRAG } = await getAdaptiveComponents();
     
     // Check if we have actual PDF text to process
@@ -176,7 +192,7 @@ export const extractPDFDataTool = tool(
   },
   {
     name: "extract_pdf_data",
-    description: "Extract structured data from an RFP PDF document. Returns buyer requirements, test requirements, and submission details.",
+    description: "Extract structured data from an RFP PDF document (or the merged data of a multi-document tender bundle, with the source document of each field). Returns buyer requirements, test requirements, and submission details.",
     schema: z.object({
       tender_id: z.string().describe("The tender ID"),
       pdf_url: z.string().describe("URL or path to the PDF file")
@@ -291,8 +307,7 @@ export const semanticProductSearchTool = tool(
  */
 export const matchSpecificationsTool = tool(
   async ({ rfp_specs, oem_sku_id }) => {
-    const products = loadOEMCatalog();
-    const oemProduct = products.find(p => p.SKU_ID === oem_sku_id);
+    const oemProduct = findProduct(oem_sku_id);
     
     if (!oemProduct) {
       return JSON.stringify({
@@ -300,95 +315,25 @@ export const matchSpecificationsTool = tool(
       });
     }
     
-    // Define spec comparisons
-    const comparisons = [
-      {
-        name: "Voltage Rating",
-        rfp_value: rfp_specs.voltage_kv,
-        oem_value: oemProduct.Voltage_Rating_kV,
-        match: () => {
-          if (!rfp_specs.voltage_kv) return null;
-          const rfpV = parseFloat(rfp_specs.voltage_kv);
-          const oemV = parseFloat(oemProduct.Voltage_Rating_kV);
-          return Math.abs(rfpV - oemV) / rfpV <= 0.1;
-        }
-      },
-      {
-        name: "Number of Cores",
-        rfp_value: rfp_specs.no_of_cores,
-        oem_value: oemProduct.No_of_Cores,
-        match: () => rfp_specs.no_of_cores == oemProduct.No_of_Cores
-      },
-      {
-        name: "Cross-Section (sqmm)",
-        rfp_value: rfp_specs.cross_section_sqmm,
-        oem_value: oemProduct.Conductor_Area_mm2,
-        match: () => {
-          if (!rfp_specs.cross_section_sqmm) return null;
-          const rfpA = parseFloat(rfp_specs.cross_section_sqmm);
-          const oemA = parseFloat(oemProduct.Conductor_Area_mm2);
-          return Math.abs(rfpA - oemA) / rfpA <= 0.15;
-        }
-      },
-      {
-        name: "Conductor Material",
-        rfp_value: rfp_specs.conductor_material,
-        oem_value: oemProduct.Conductor_Material,
-        match: () => {
-          if (!rfp_specs.conductor_material) return null;
-          return rfp_specs.conductor_material.toLowerCase() === oemProduct.Conductor_Material?.toLowerCase();
-        }
-      },
-      {
-        name: "Insulation",
-        rfp_value: rfp_specs.insulation,
-        oem_value: oemProduct.Insulation,
-        match: () => {
-          if (!rfp_specs.insulation) return null;
-          return rfp_specs.insulation.toLowerCase() === oemProduct.Insulation?.toLowerCase();
-        }
-      },
-      {
-        name: "Armoured",
-        rfp_value: rfp_specs.armoured,
-        oem_value: oemProduct.Armoured,
-        match: () => {
-          if (rfp_specs.armoured === undefined) return null;
-          const oemArmoured = oemProduct.Armoured?.toLowerCase() === 'yes';
-          return rfp_specs.armoured === oemArmoured;
-        }
-      }
-    ];
-    
-    // Calculate match results
-    let matched = 0;
-    let total = 0;
-    const details = [];
-    
-    for (const comp of comparisons) {
-      const result = comp.match();
-      if (result === null) continue; // Skip if RFP doesn't specify
-      
-      total++;
-      if (result) matched++;
-      
-      details.push({
-        spec: comp.name,
-        rfp_value: comp.rfp_value,
-        oem_value: comp.oem_value,
-        matched: result
-      });
-    }
-    
-    const matchPercentage = total > 0 ? Math.round((matched / total) * 100) : 0;
+    // Spec comparison by the matching engine
+    const result = scoreMatch(rfp_specs, oemProduct);
+    const details = result.attributes.map(a => ({
+      spec: a.label,
+      rfp_value: a.required,
+      oem_value: a.offered,
+      matched: a.rule.status === 'EXACT' || a.rule.status === 'PARTIAL',
+      explanation: a.explanation
+    }));
+    const matchPercentage = result.spec_match_percentage;
     
     return JSON.stringify({
       oem_sku_id,
-      oem_product_name: oemProduct.Product_Name,
+      oem_product_name: oemProduct.product_name,
       spec_match_percentage: matchPercentage,
-      matched_specs: matched,
-      total_specs: total,
-      unit_price_per_km: parseFloat(oemProduct.Unit_Price_per_km) || 0,
+      matched_specs: details.filter(d => d.matched).length,
+      total_specs: details.length,
+      unit_price_per_km: oemProduct.unit_price_per_km,
+      weight_profile: result.profile,
       details,
       recommendation: matchPercentage >= 80 ? "EXCELLENT_MATCH" : 
                       matchPercentage >= 60 ? "GOOD_MATCH" : 
@@ -509,94 +454,107 @@ export const getProductSchemaTool = tool(
   }
 );
 
+/**
+ * Whether a matched product departs from the required size or conductor
+ */
+function isSubstituteMatch(requirement, product) {
+  return Boolean(
+    (requirement.area_mm2 && product.area_mm2 !== requirement.area_mm2) ||
+    (requirement.conductor_material && product.conductor_material !== requirement.conductor_material)
+  );
+}
+
+/**
+ * Engineering check for a substitute; the engine only runs it on size deviations
+ */
+function substituteCheck(match, loadConditions) {
+  if (!match.engineering_check) {
+    const check = match.attributes.find(a => a.attribute === 'area_mm2')?.deviation?.engineering_check;
+    if (check) {
+      match.engineering_check = check;
+    } else {
+      try {
+        const result = validateSubstitute({ skuId: match.sku_id, conditions: loadConditions });
+        match.engineering_check = {
+          status: result.status,
+          load_current_a: result.conditions.load_current_a,
+          derated_rating_a: result.ampacity?.derated_rating_a ?? null,
+          voltage_drop_percent: result.voltage_drop?.drop_percent ?? null,
+          issues: result.issues
+        };
+      } catch (e) {
+        match.engineering_check = { status: 'NOT_VERIFIED', issues: [e.message] };
+      }
+    }
+  }
+  return match.engineering_check;
+}
+
 /**
  * Tool: Find Top Matches for RFP Product
  * Combines semantic search with spec matching to find best products
  */
 export const findTopMatchesTool = tool(
-  async ({ product_description, rfp_specs, top_k }) => {
+  async ({ product_description, rfp_specs, load_conditions, top_k }) => {
     const k = top_k || 3;
+    const loadConditions = loadConditionsForItem({ description: product_description, load_conditions });
+    const checkLoad = hasLoadData(loadConditions);
     
-    // Step 1: Semantic search for candidates
-    let candidates;
-    try {
-      candidates = await semanticProductSearch(product_description, k * 3);
-    } catch {
-      // Fallback
-      const products = loadOEMCatalog();
-      candidates = products.slice(0, k * 3).map(p => ({
-        sku_id: p.SKU_ID,
-        ...p
-      }));
-    }
-    
-    // Step 2: Calculate spec match for each candidate
-    const results = [];
+    // Spec match (rule / deviation) plus semantic similarity from the matching engine
+    const { requirement, matches: ranked } = await matchRequirementAsync({ ...rfp_specs, text: product_description }, {
+      scorers: ['semantic'],
+      forceSemantic: true,
+      loadConditions: checkLoad ? loadConditions : null,
+      topN: checkLoad ? undefined : k
+    });
     
-    for (const candidate of candidates) {
-      const skuId = candidate.sku_id || candidate.SKU_ID;
-      const products = loadOEMCatalog();
-      const product = products.find(p => p.SKU_ID === skuId);
-      
-      if (!product) continue;
-      
-      // Calculate spec match
-      let matched = 0;
-      let total = 0;
-      
-      if (rfp_specs.voltage_kv && product.Voltage_Rating_kV) {
-        total++;
-        if (Math.abs(parseFloat(rfp_specs.voltage_kv) - parseFloat(product.Voltage_Rating_kV)) <= 1) matched++;
-      }
-      if (rfp_specs.no_of_cores && product.No_of_Cores) {
-        total++;
-        if (rfp_specs.no_of_cores == product.No_of_Cores) matched++;
-      }
-      if (rfp_specs.cross_section_sqmm && product.Conductor_Area_mm2) {
-        total++;
-        const diff = Math.abs(parseFloat(rfp_specs.cross_section_sqmm) - parseFloat(product.Conductor_Area_mm2));
-        if (diff / parseFloat(rfp_specs.cross_section_sqmm) <= 0.15) matched++;
-      }
-      if (rfp_specs.conductor_material && product.Conductor_Material) {
-        total++;
-        if (rfp_specs.conductor_material.toLowerCase() === product.Conductor_Material.toLowerCase()) matched++;
-      }
-      if (rfp_specs.insulation && product.Insulation) {
-        total++;
-        if (rfp_specs.insulation.toLowerCase() === product.Insulation.toLowerCase()) matched++;
+    // Substitutes (different size / conductor) must carry the RFP load over the route
+    const rejectedSubstitutes = [];
+    const matches = [];
+    for (const match of ranked) {
+      if (matches.length === k) break;
+      if (checkLoad && isSubstituteMatch(requirement, match.product)) {
+        const check = substituteCheck(match, loadConditions);
+        if (check.status === 'FAIL') {
+          rejectedSubstitutes.push({ sku_id: match.sku_id, issues: check.issues });
+          continue;
+        }
       }
-      
-      const specMatch = total > 0 ? Math.round((matched / total) * 100) : 50;
-      const semanticScore = candidate.similarity_score || 50;
-      const combinedScore = Math.round(specMatch * 0.6 + semanticScore * 0.4);
-      
-      results.push({
-        rank: 0,
-        sku_id: skuId,
-        product_name: product.Product_Name,
-        spec_match_percentage: specMatch,
+      matches.push(match);
+    }
+    
+    const results = matches.map((match, i) => {
+      const product = match.product;
+      const semanticScore = match.scores.semantic ?? null;
+      return {
+        rank: i + 1,
+        sku_id: match.sku_id,
+        product_name: product.product_name,
+        spec_match_percentage: match.spec_match_percentage,
         semantic_score: semanticScore,
-        combined_score: combinedScore,
-        unit_price_per_km: parseFloat(product.Unit_Price_per_km) || 0,
+        combined_score: semanticScore === null
+          ? match.spec_match_percentage
+          : Math.round(match.spec_match_percentage * 0.6 + semanticScore * 0.4),
+        unit_price_per_km: product.unit_price_per_km,
+        engineering_check: match.engineering_check || null,
+        explanations: match.attributes.map(a => a.explanation),
         specs: {
-          voltage_kv: product.Voltage_Rating_kV,
-          cores: product.No_of_Cores,
-          area_sqmm: product.Conductor_Area_mm2,
-          material: product.Conductor_Material,
-          insulation: product.Insulation,
-          armoured: product.Armoured
+          voltage_kv: product.voltage_kv,
+          cores: product.cores,
+          area_sqmm: product.area_mm2,
+          material: product.conductor_material,
+          insulation: product.insulation,
+          armoured: product.armoured
         }
-      });
-    }
-    
-    // Sort by combined score and assign ranks
-    results.sort((a, b) => b.combined_score - a.combined_score);
-    results.forEach((r, i) => r.rank = i + 1);
+      };
+    });
     
     return JSON.stringify({
       product_description,
       rfp_specs,
+      load_conditions: checkLoad ? loadConditions : null,
       top_matches: results.slice(0, k),
+      rejected_substitutes: rejectedSubstitutes,
       recommended_sku: results[0]?.sku_id || null,
       recommended_match_percentage: results[0]?.spec_match_percentage || 0
     });
@@ -614,6 +572,11 @@ export const findTopMatchesTool = tool(
         insulation: z.string().optional(),
         armoured: z.boolean().optional()
       }).describe("Structured RFP specifications"),
+      load_conditions: z.object({
+        load_current_a: z.number().optional(),
+        route_length_m: z.number().optional(),
+        laying: z.string().optional()
+      }).optional().describe("Load current, route length and laying from the RFP item, when stated"),
       top_k: z.number().optional().describe("Number of top matches to return. Default 3.")
     })
   }
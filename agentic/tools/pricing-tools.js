@@ -10,6 +10,9 @@ import { z } from "zod";
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { determineSupply, computeGst, bidTaxLines, taxRows } from '../../services/gst-engine.js';
+import { applyTypeTestCertificates } from '../../services/adaptive-pricing.js';
+import { estimateFreight } from '../../services/freight-estimator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -178,12 +181,50 @@ export const calculateLineItemPriceTool = tool(
   }
 );
 
+/**
+ * Charge type tests covered by stored certificates for the offered SKUs as rule-mode pricing does
+ * Mutates each covered item's price (keeping uncovered_price); null when no SKUs were given
+ */
+function applyCertificates(items, priceKey, { skuIds = [], standard = null, dueDate = null } = {}) {
+  const tests = items.map(t => ({ id: t.test_id, name: t.test_name, price: t[priceKey] }));
+  const coverage = applyTypeTestCertificates(tests, { skus: skuIds, standard, asOf: dueDate || new Date() });
+  if (!coverage) return null;
+  tests.forEach((test, idx) => {
+    if (!test.coveredBy) return;
+    items[idx].uncovered_price = test.listPrice;
+    items[idx][priceKey] = test.price;
+    items[idx].covered_by_certificates = test.coveredBy;
+  });
+  return {
+    as_of: coverage.asOf,
+    covered_tests: coverage.coveredTests,
+    savings: coverage.savings,
+    certificates: coverage.certificates,
+    rejected: coverage.rejected
+  };
+}
+
+/**
+ * Freight from the best dispatching plant to the delivery city; null without a city
+ * @param {string} city - Delivery city (explicit RFP location fields only)
+ * @param {Array} items - [{ sku_id, quantity_km }]
+ * @returns {Object|null} - estimateFreight() result, or { error } when it cannot be estimated
+ */
+export function estimateDeliveryFreight(city, items = []) {
+  if (!city) return null;
+  try {
+    return estimateFreight({ city, items: items.map(item => ({ sku_id: item.sku_id, qty_km: item.quantity_km })) });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
 /**
  * Tool: Get Test Prices
  * Returns pricing for testing services
  */
 export const getTestPricesTool = tool(
-  async ({ test_categories, project_value }) => {
+  async ({ test_categories, project_value, sku_ids, standard, due_date }) => {
     const allTests = loadTestingPrices();
     
     // Filter by categories if specified
@@ -210,6 +251,7 @@ export const getTestPricesTool = tool(
       scaled_price: Math.round((parseInt(t.Price_INR || t.price_inr) || 0) * scalingFactor),
       scaling_factor: Math.round(scalingFactor * 100) / 100
     }));
+    const certificates = applyCertificates(pricedTests, 'scaled_price', { skuIds: sku_ids, standard, dueDate: due_date });
     
     const totalBasePrice = pricedTests.reduce((sum, t) => sum + t.base_price, 0);
     const totalScaledPrice = pricedTests.reduce((sum, t) => sum + t.scaled_price, 0);
@@ -221,6 +263,7 @@ export const getTestPricesTool = tool(
       total_scaled_price: totalScaledPrice,
       scaling_factor: Math.round(scalingFactor * 100) / 100,
       project_value_used: project_value || baseProjectValue,
+      type_test_certificates: certificates,
       currency: "INR"
     });
   },
@@ -231,7 +274,11 @@ export const getTestPricesTool = tool(
       test_categories: z.array(z.string()).optional()
         .describe("Filter by test categories (e.g., ['Routine', 'Type', 'Acceptance'])"),
       project_value: z.number().optional()
-        .describe("Project value in INR for scaling test prices proportionally")
+        .describe("Project value in INR for scaling test prices proportionally"),
+      sku_ids: z.array(z.string()).optional()
+        .describe("Offered SKUs; type tests covered by their valid type-test certificates are not charged again"),
+      standard: z.string().optional().describe("Standard the RFP cites, checked against each certificate"),
+      due_date: z.string().optional().describe("Bid due date; certificates must be valid on it")
     })
   }
 );
@@ -241,7 +288,7 @@ export const getTestPricesTool = tool(
  * Creates a complete quotation with material and services
  */
 export const generateQuotationTool = tool(
-  async ({ products, include_tests, project_value, gst_rate }) => {
+  async ({ products, include_tests, project_value, delivery_city, place_of_supply, sez, standard, due_date }) => {
     const productPrices = loadProductPrices();
     const allTests = loadTestingPrices();
     
@@ -290,11 +337,26 @@ export const generateQuotationTool = tool(
         };
       });
     }
+    const certificates = applyCertificates(testItems, 'price', {
+      skuIds: materialItems.map(item => item.sku_id),
+      standard,
+      dueDate: due_date
+    });
+    totalTestCost = testItems.reduce((sum, t) => sum + t.price, 0);
+    
+    // Freight from the best dispatching plant, taxed with the goods
+    const freight = estimateDeliveryFreight(delivery_city, materialItems);
+    const freightCost = freight?.best?.freight_cost || 0;
     
     // Calculate totals
-    const subtotal = totalMaterialCost + totalTestCost;
-    const gstPercent = gst_rate || 18;
-    const gstAmount = Math.round(subtotal * (gstPercent / 100));
+    const subtotal = totalMaterialCost + totalTestCost + freightCost;
+    const tax = computeGst(bidTaxLines({ products: materialItems, testCost: totalTestCost, freightCost }), determineSupply({
+      ...(freight?.best?.gstin ? { supplierGstin: freight.best.gstin } : {}),
+      deliveryCity: delivery_city || null,
+      placeOfSupply: place_of_supply || null,
+      sez: sez === true
+    }));
+    const gstAmount = Math.round(tax.totals.total_tax);
     const grandTotal = subtotal + gstAmount;
     
     return JSON.stringify({
@@ -308,16 +370,25 @@ export const generateQuotationTool = tool(
         
         services: {
           items: testItems,
-          total: Math.round(totalTestCost)
+          total: Math.round(totalTestCost),
+          type_test_certificates: certificates
         },
         
+        freight: freight?.best
+          ? { plant: freight.best.plant_name, distance_km: freight.best.distance_km, total: Math.round(freightCost) }
+          : { total: 0, note: freight?.error || 'No delivery city given' },
+        
         summary: {
           subtotal: Math.round(subtotal),
-          gst_rate: gstPercent,
+          gst_rate: subtotal > 0 ? Math.round((gstAmount / subtotal) * 10000) / 100 : 0,
           gst_amount: gstAmount,
+          gst_components: taxRows(tax),
+          supply_type: tax.supply.supply_type,
           grand_total: grandTotal
         },
         
+        tax,
+        
         currency: "INR",
         validity_days: 30,
         payment_terms: "30% advance, 70% on delivery"
@@ -326,7 +397,7 @@ export const generateQuotationTool = tool(
   },
   {
     name: "generate_quotation",
-    description: "Generate a complete quotation including material costs, test costs, and GST",
+    description: "Generate a complete quotation including material costs, test costs, freight to the delivery city, and GST (HSN-wise, split into CGST + SGST or IGST by place of supply)",
     schema: z.object({
       products: z.array(z.object({
         sku_id: z.string(),
@@ -336,7 +407,11 @@ export const generateQuotationTool = tool(
       })).describe("List of products with quantities"),
       include_tests: z.boolean().optional().describe("Whether to include testing services"),
       project_value: z.number().optional().describe("Project value for test cost scaling"),
-      gst_rate: z.number().optional().describe("GST rate percentage. Default 18.")
+      delivery_city: z.string().optional().describe("Delivery city from the RFP, used as the place of supply"),
+      place_of_supply: z.string().optional().describe("Buyer's state when the RFP names it"),
+      sez: z.boolean().optional().describe("True when the buyer is an SEZ unit / developer (zero-rated)"),
+      standard: z.string().optional().describe("Standard the RFP cites, checked against type-test certificates"),
+      due_date: z.string().optional().describe("Bid due date; type-test certificates must be valid on it")
     })
   }
 );
@@ -116,6 +116,256 @@ export const BUSINESS_CONFIG = {
   ldPercentagePerWeek: 0.005 // 0.5% LD per week
 };
 
+// ===========================================
+// Bid Security & Cash-Flow Exposure
+// ===========================================
+export const FINANCE_CONFIG = {
+  costOfCapital: parseFloat(process.env.COST_OF_CAPITAL) || 0.11, // Annual rate for working capital
+  bgCommissionRate: parseFloat(process.env.BG_COMMISSION_RATE) || 0.015, // Bank guarantee commission, per annum
+  bgMarginMoney: 0.10, // Share of a BG the bank holds as cash margin
+  bidValidityDays: 90, // EMD stays locked until award / return
+  bgClaimPeriodMonths: 3, // PBG validity beyond the warranty period
+  defaultDeliveryWeeks: 12, // When the RFP does not state a delivery period
+  approvalThreshold: 10000000 // Bids above ₹1 crore need management approval
+};
+
+// ===========================================
+// Risky Clause Rule Library
+// ===========================================
+export const CLAUSE_RULES_CONFIG = {
+  file: process.env.CLAUSE_RULES_FILE || path.join(__dirname, 'clause-rules.json'),
+  adminToken: process.env.CLAUSE_ADMIN_TOKEN || '', // x-admin-token for rule changes (unset = changes disabled)
+  snippetBefore: 60,
+  snippetAfter: 120
+};
+
+// ===========================================
+// Standards Registry
+// ===========================================
+export const STANDARDS_CONFIG = {
+  file: process.env.STANDARDS_FILE || path.join(__dirname, 'standards.json'),
+  equivalentScore: 90 // Rule score when a declared-equivalent standard is offered instead of the one cited
+};
+
+// ===========================================
+// Type-Test Certificate Vault
+// ===========================================
+export const TYPE_TEST_CONFIG = {
+  validityYears: parseFloat(process.env.TYPE_TEST_VALIDITY_YEARS) || 5, // Report age buyers accept on the bid due date
+  acceptedLabs: (process.env.TYPE_TEST_LABS || 'CPRI,ERDA').split(',').map(l => l.trim().toUpperCase()).filter(Boolean),
+  // Share of a covered type test still priced: 0 drops it, 0.1 keeps a documentation / witness charge
+  coveredCostFactor: process.env.TYPE_TEST_COVERED_FACTOR ? parseFloat(process.env.TYPE_TEST_COVERED_FACTOR) : 0,
+  expiryWarningDays: 90,
+  storageDir: path.join(__dirname, '..', 'uploads', 'certificates')
+};
+
+// ===========================================
+// Drum Schedule
+// ===========================================
+export const DRUM_CONFIG = {
+  file: process.env.DRUMS_FILE || path.join(__dirname, '..', 'data', 'drums.csv'),
+  // Delivery length per drum when the BOQ gives no cut lengths (m)
+  standardLengthM: { 'LT Cable': 1000, 'Control Cable': 1000, 'Instrumentation Cable': 1000, 'HT Cable': 500, 'EHV Cable': 500 },
+  lengthTolerance: parseFloat(process.env.DRUM_LENGTH_TOLERANCE) || 0.05, // ±5% on standard lengths absorbs a short tail
+  cutAllowanceM: parseFloat(process.env.DRUM_CUT_ALLOWANCE_M) || 2, // Sealing / sample end added to every cut length
+  freeboardMm: 50 // Clearance left between the outer layer and the flange rim
+};
+
+// ===========================================
+// Freight / Logistics
+// ===========================================
+export const LOGISTICS_CONFIG = {
+  plantsFile: process.env.PLANTS_FILE || path.join(__dirname, '..', 'data', 'plants.csv'),
+  citiesFile: path.join(__dirname, '..', 'data', 'cities.csv'),
+  freightRatesFile: process.env.FREIGHT_RATES_FILE || path.join(__dirname, '..', 'data', 'freight_rates.csv'),
+  roadFactor: 1.25, // Road distance over great-circle distance between Indian cities
+  payloadUtilisation: 0.9, // Drums do not fill a truck to its rated payload
+  packingAllowance: 0.15 // Drum weight over net cable weight when there is no drum schedule
+};
+
+// ===========================================
+// GST
+// ===========================================
+export const GST_CONFIG = {
+  supplierGstin: process.env.SUPPLIER_GSTIN || '06AABCC1234D1ZA', // Registration used when the dispatching plant is unknown
+  defaultRate: 0.18, // Lines without an HSN / SAC of their own
+  zeroRatedWithPayment: process.env.GST_ZERO_RATED_WITH_PAYMENT === 'true' // SEZ / export: pay IGST and claim refund instead of supplying under LUT
+};
+
+// ===========================================
+// Portal Adapters / Crawl Scheduler
+// ===========================================
+export const PORTAL_CRAWL_CONFIG = {
+  enabled: process.env.PORTAL_CRAWL_ENABLED === 'true',
+  schedule: process.env.PORTAL_CRAWL_CRON || '0 */6 * * *',
+  adapters: (process.env.PORTAL_CRAWL_ADAPTERS || 'gov,industrial,utilities,cppp').split(',').map(a => a.trim()).filter(Boolean),
+  keywords: (process.env.PORTAL_CRAWL_KEYWORDS || 'cable').split(',').map(k => k.trim()).filter(Boolean),
+  maxPages: parseInt(process.env.PORTAL_CRAWL_MAX_PAGES, 10) || 5,
+  downloadDocuments: process.env.PORTAL_DOWNLOAD_DOCUMENTS === 'true',
+  documentsDir: path.join(__dirname, '..', 'uploads', 'portal-documents'),
+  // live: hit the portal; record: hit it and save responses; replay: serve saved responses only
+  fixtureMode: process.env.PORTAL_FIXTURE_MODE || 'live',
+  fixturesDir: process.env.PORTAL_FIXTURES_DIR || path.join(__dirname, '..', 'data', 'portal-fixtures'),
+  feedBaseUrl: process.env.PORTAL_FEED_BASE_URL || null, // Base URL of the bundled demo portals (default: this server)
+  requestTimeoutMs: 15000,
+  maxRetries: 3,
+  retryDelayMs: 1000, // Doubles on each retry
+  downAfterFailures: 3 // Consecutive failed requests before an adapter is reported down
+};
+
+// ===========================================
+// OCDS Importer
+// ===========================================
+export const OCDS_CONFIG = {
+  packagePath: process.env.OCDS_PACKAGE_PATH || path.join(__dirname, '..', 'public', 'data', 'ocds', 'releases.json'),
+  portal: 'ocds', // `portal` on the rfps rows of imported tenders
+  currency: 'INR' // Values in other currencies are kept on the tender but not used as estimated_cost_inr
+};
+
+// ===========================================
+// Cross-Portal Tender Deduplication
+// ===========================================
+export const DEDUP_CONFIG = {
+  // Weighted similarity (0-1) at which two listings on different portals are one tender
+  threshold: parseFloat(process.env.TENDER_DEDUP_THRESHOLD) || 0.8,
+  weights: { buyer: 0.3, specs: 0.3, value: 0.15, dates: 0.15, title: 0.1 },
+  minBuyerSimilarity: 0.6, // Below this the buyers differ and the listings are never merged
+  valueExactPct: 1, // Estimated costs this close count as equal...
+  valueMaxPct: 15, // ...and no longer count at all this far apart
+  maxDateGapDays: 7 // Due dates this far apart no longer count (corrigenda move them by a few days)
+};
+
+// ===========================================
+// Tender Revisions (corrigenda / addenda)
+// ===========================================
+export const REVISION_CONFIG = {
+  // Channels told about material changes (ui, email, webhook)
+  notifyChannels: (process.env.TENDER_REVISION_CHANNELS || 'ui').split(',').map(c => c.trim()).filter(Boolean),
+  notifyTarget: process.env.TENDER_REVISION_NOTIFY_TO || null, // Email address or webhook URL; channel default when unset
+  quantityTolerancePct: 0, // BOQ quantity changes above this are material
+  valueTolerancePct: 1, // Estimated cost / EMD changes above this are material
+  // Downstream artefacts made stale by each kind of change
+  staleArtefacts: {
+    dates: ['reminders'],
+    boq: ['quotation', 'compliance'],
+    specs: ['quotation', 'compliance'],
+    commercial: ['quotation']
+  }
+};
+
+// ===========================================
+// Tender Bundles (NIT, specs, BOQ, GCC/SCC, drawings, corrigenda)
+// ===========================================
+export const BUNDLE_CONFIG = {
+  storageDir: process.env.TENDER_BUNDLE_DIR || 'uploads/bundles',
+  maxFiles: parseInt(process.env.TENDER_BUNDLE_MAX_FILES, 10) || 30, // Per upload, ZIP entries included
+  maxFileSizeMb: parseInt(process.env.TENDER_BUNDLE_MAX_FILE_MB, 10) || 25,
+  maxUnzippedMb: 200, // Stop expanding a ZIP past this much content
+  aiExtraction: process.env.TENDER_BUNDLE_AI_EXTRACTION !== 'false', // Per-document AI extraction (regex only when false or no AI key)
+  maxAiChars: 60000 // Longest document text sent to the AI extractor
+};
+
+// ===========================================
+// Test Execution Planner / QAP
+// ===========================================
+export const TEST_PLAN_CONFIG = {
+  // Working queue before an accepted lab can take a type-test sample (days)
+  labQueueDays: Object.fromEntries((process.env.TEST_LAB_QUEUE_DAYS || 'CPRI:21,ERDA:14').split(',')
+    .map(entry => entry.split(':').map(v => v.trim()))
+    .filter(([lab, days]) => lab && !isNaN(parseInt(days, 10)))
+    .map(([lab, days]) => [lab.toUpperCase(), parseInt(days, 10)])),
+  typeTestSampleDays: 10, // First production length available for the type-test sample
+  routineDrumsPerDay: parseInt(process.env.ROUTINE_DRUMS_PER_DAY, 10) || 6, // In-house test bay throughput
+  witnessNoticeDays: parseInt(process.env.WITNESS_NOTICE_DAYS, 10) || 10, // Inspection call notice to the buyer
+  transitDays: 7, // Dispatch to site
+  defaultLeadTimeDays: 30, // When the SKU carries no Lead_Time_Days
+  riskBufferDays: 7 // Finishing with less slack than this before the deadline is AT_RISK
+};
+
+// ===========================================
+// Spec Matching Engine
+// ===========================================
+export const MATCHING_CONFIG = {
+  // Products every matcher searches: catalog (products.csv + data/products/), oem_specs, oem_datasheets
+  defaultSources: (process.env.MATCHING_SOURCES || 'catalog').split(',').map(s => s.trim()).filter(Boolean),
+  // Headline spec-match % blends these scorer results; a zero weight reports the score without blending it
+  blend: { rule: 1, deviation: 0, semantic: 0 },
+  semanticEnabled: process.env.MATCHING_SEMANTIC === 'true', // Local embeddings for the semantic scorer
+  profile: process.env.MATCHING_PROFILE || null, // Force one weight profile everywhere (e.g. 'equal')
+  // Headline cap (%) when a critical attribute does not match at all
+  caps: { cable_type: 60, voltage_kv: 70, area_mm2: 85 },
+  // Attribute weights per application; unlisted attributes are not scored
+  profiles: {
+    power_distribution: { conductor_material: 100, voltage_kv: 95, insulation: 85, area_mm2: 75, cores: 70, cable_type: 70, armoured: 60, temperature_rating_c: 55, standard: 40 },
+    control: { cores: 100, voltage_kv: 90, area_mm2: 80, cable_type: 75, conductor_material: 70, insulation: 65, armoured: 60, temperature_rating_c: 50, standard: 40 },
+    instrumentation: { cores: 95, voltage_kv: 85, conductor_material: 80, cable_type: 75, insulation: 75, area_mm2: 70, armoured: 65, temperature_rating_c: 50, standard: 40 },
+    default: { voltage_kv: 100, conductor_material: 90, area_mm2: 85, insulation: 80, cores: 75, cable_type: 70, armoured: 60, temperature_rating_c: 50, standard: 40 },
+    equal: { voltage_kv: 1, conductor_material: 1, area_mm2: 1, insulation: 1, cores: 1, cable_type: 1, armoured: 1, temperature_rating_c: 1, standard: 1 }
+  },
+  // Offline accuracy benchmark (npm run benchmark:matching)
+  benchmark: {
+    labelledSet: path.join(__dirname, '..', 'data', 'benchmarks', 'matching-labelled.json'),
+    runsDir: path.join(__dirname, '..', 'data', 'benchmarks', 'runs')
+  }
+};
+
+// ===========================================
+// Cable Engineering Checks (ampacity / voltage drop)
+// ===========================================
+export const ENGINEERING_CONFIG = {
+  laying: 'ground', // ground | duct | air, when the RFP does not say
+  groundTempC: 30, // IS 3961 reference ground temperature
+  airTempC: 40, // IS 3961 reference ambient air temperature
+  soilResistivity: 1.5, // K.m/W
+  depthM: 0.75, // Depth of laying for LT cables
+  groupedCircuits: 1,
+  powerFactor: 0.8,
+  maxVoltageDropPercent: { LT: 5, HT: 3 }, // Limits when the RFP does not state one
+  minLoadMarginPercent: 0 // Extra headroom required on derated current rating
+};
+
+// ===========================================
+// Reminder Scheduling & Delivery
+// ===========================================
+export const REMINDER_CONFIG = {
+  timezoneOffset: '+05:30', // Tender deadlines are published in IST
+  defaultDueTime: '15:00', // Used when a milestone carries only a date
+  // Default policy: offsets (in minutes) before each tender milestone
+  defaultPolicy: {
+    due: [7 * 24 * 60, 3 * 24 * 60, 24 * 60, 2 * 60],
+    preBid: [24 * 60, 2 * 60],
+    clarification: [2 * 24 * 60, 24 * 60],
+    emd: [2 * 24 * 60, 24 * 60]
+  },
+  defaultChannels: (process.env.REMINDER_CHANNELS || 'ui').split(',').map(c => c.trim()).filter(Boolean),
+  maxAttempts: parseInt(process.env.REMINDER_MAX_ATTEMPTS, 10) || 3,
+  retryDelayMinutes: 5, // Doubles on each failed attempt
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || '',
+    from: process.env.REMINDER_EMAIL_FROM || process.env.SMTP_USER || '',
+    to: process.env.REMINDER_EMAIL_TO || ''
+  },
+  webhookUrl: process.env.REMINDER_WEBHOOK_URL || '',
+  // Other webhook URLs a reminder may name as its target; anything else is refused
+  webhookTargets: (process.env.REMINDER_WEBHOOK_TARGETS || '').split(',').map(u => u.trim()).filter(Boolean),
+  calendarFeedToken: process.env.CALENDAR_FEED_TOKEN || '' // Optional ?token= guard for the ICS feed
+};
+
+// ===========================================
+// Agent Workflow Streaming (SSE)
+// ===========================================
+export const AGENT_STREAM_CONFIG = {
+  maxEventsPerSession: 1000, // Oldest events are dropped beyond this (replay window)
+  maxFinishedSessions: 50, // Finished sessions kept for late joiners / replay
+  finishedSessionTtlMinutes: 30, // Finished sessions are evicted after this long
+  idleSessionTtlMinutes: 240, // Running / paused sessions with no events for this long are evicted
+  heartbeatSeconds: 25 // Keeps idle SSE connections open through proxies
+};
+
 // ===========================================
 // Win Probability Weights
 // ===========================================
@@ -175,6 +425,23 @@ export default {
   session: SESSION_CONFIG,
   rfp: RFP_CONFIG,
   business: BUSINESS_CONFIG,
+  finance: FINANCE_CONFIG,
+  clauseRules: CLAUSE_RULES_CONFIG,
+  standards: STANDARDS_CONFIG,
+  typeTests: TYPE_TEST_CONFIG,
+  drums: DRUM_CONFIG,
+  logistics: LOGISTICS_CONFIG,
+  gst: GST_CONFIG,
+  portalCrawl: PORTAL_CRAWL_CONFIG,
+  ocds: OCDS_CONFIG,
+  dedup: DEDUP_CONFIG,
+  revisions: REVISION_CONFIG,
+  bundles: BUNDLE_CONFIG,
+  testPlan: TEST_PLAN_CONFIG,
+  matching: MATCHING_CONFIG,
+  engineering: ENGINEERING_CONFIG,
+  reminders: REMINDER_CONFIG,
+  agentStream: AGENT_STREAM_CONFIG,
   winProb: WIN_PROB_WEIGHTS,
   replit: REPLIT_CONFIG,
   validate: validateConfig
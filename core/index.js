@@ -102,6 +102,7 @@ export {
 
 export {
   saveRfpAndChunks,
+  updateRfpMilestones,
   getRfp,
   getAllRfps,
   searchChunks,
@@ -110,6 +111,23 @@ export {
   clearConversation
 } from '../services/rfpMemory.js';
 
+export {
+  recordRevision,
+  listRevisions,
+  compareRevisions,
+  registerArtefact,
+  listArtefacts
+} from '../services/tender-revisions.js';
+
+export {
+  addBundleDocuments,
+  getBundle,
+  listBundles,
+  getBundleText,
+  classifyDocument,
+  mergeBundleFields
+} from '../services/tender-bundle.js';
+
 // ===========================================
 // Data Enrichment
 // ===========================================
@@ -120,7 +138,10 @@ export { default as dataEnrichmentService } from '../services/data-enrichment.js
 // ===========================================
 export { 
   scheduleReminder, 
+  applyReminderPolicy,
+  dispatchDueReminders,
   buildICS, 
+  buildCalendarFeed,
   startReminderDaemon, 
   getReminders 
 } from '../services/reminders.js';
@@ -55,11 +55,207 @@ CREATE TABLE IF NOT EXISTS conversations (
   FOREIGN KEY (rfpId) REFERENCES rfps(id)
 );
 
+CREATE TABLE IF NOT EXISTS agent_checkpoints (
+  threadId TEXT NOT NULL,
+  checkpointNs TEXT NOT NULL DEFAULT '',
+  checkpointId TEXT NOT NULL,
+  parentCheckpointId TEXT,
+  type TEXT,
+  checkpoint BLOB,
+  metadata BLOB,
+  createdAt TEXT,
+  PRIMARY KEY (threadId, checkpointNs, checkpointId)
+);
+
+CREATE TABLE IF NOT EXISTS agent_checkpoint_writes (
+  threadId TEXT NOT NULL,
+  checkpointNs TEXT NOT NULL DEFAULT '',
+  checkpointId TEXT NOT NULL,
+  taskId TEXT NOT NULL,
+  idx INTEGER NOT NULL,
+  channel TEXT NOT NULL,
+  type TEXT,
+  value BLOB,
+  PRIMARY KEY (threadId, checkpointNs, checkpointId, taskId, idx)
+);
+
+CREATE TABLE IF NOT EXISTS type_test_certificates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  reportNo TEXT,
+  lab TEXT,
+  reportDate TEXT,
+  validUntil TEXT,
+  standard TEXT,
+  cableType TEXT,
+  voltageKv REAL,
+  conductorMaterial TEXT,
+  insulation TEXT,
+  cores INTEGER,
+  areaMinMm2 REAL,
+  areaMaxMm2 REAL,
+  skuIds TEXT,
+  tests TEXT,
+  reportPath TEXT,
+  originalName TEXT,
+  notes TEXT,
+  createdAt TEXT,
+  updatedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS portal_crawl_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  adapterId TEXT,
+  trigger TEXT,
+  status TEXT,
+  startedAt TEXT,
+  finishedAt TEXT,
+  fetched INTEGER DEFAULT 0,
+  inserted INTEGER DEFAULT 0,
+  updated INTEGER DEFAULT 0,
+  documents INTEGER DEFAULT 0,
+  errors TEXT
+);
+
+CREATE TABLE IF NOT EXISTS ocds_releases (
+  ocid TEXT NOT NULL,
+  releaseId TEXT NOT NULL,
+  date TEXT,
+  tag TEXT,
+  source TEXT,
+  data TEXT,
+  importedAt TEXT,
+  PRIMARY KEY (ocid, releaseId)
+);
+
+CREATE TABLE IF NOT EXISTS ocds_records (
+  ocid TEXT PRIMARY KEY,
+  tenderId TEXT,
+  releaseCount INTEGER,
+  lastReleaseDate TEXT,
+  compiledRelease TEXT,
+  tender TEXT,
+  updatedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS tender_awards (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ocid TEXT,
+  tenderId TEXT,
+  awardId TEXT,
+  status TEXT,
+  date TEXT,
+  suppliers TEXT,
+  amount REAL,
+  currency TEXT,
+  estimatedAmount REAL,
+  buyerName TEXT,
+  title TEXT,
+  cableType TEXT,
+  items TEXT,
+  updatedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS rfp_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rfpId TEXT NOT NULL,
+  revision INTEGER NOT NULL,
+  kind TEXT,
+  source TEXT,
+  snapshot TEXT,
+  textHash TEXT,
+  diff TEXT,
+  material INTEGER DEFAULT 0,
+  createdAt TEXT,
+  UNIQUE (rfpId, revision)
+);
+
+CREATE TABLE IF NOT EXISTS rfp_artefacts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rfpId TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  ref TEXT NOT NULL DEFAULT '',
+  revision INTEGER,
+  status TEXT DEFAULT 'current',
+  staleRevision INTEGER,
+  staleReason TEXT,
+  createdAt TEXT,
+  updatedAt TEXT,
+  UNIQUE (rfpId, kind, ref)
+);
+
+CREATE TABLE IF NOT EXISTS tender_bundles (
+  id TEXT PRIMARY KEY,
+  title TEXT,
+  merged TEXT,
+  fieldSources TEXT,
+  conflicts TEXT,
+  createdAt TEXT,
+  updatedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS tender_bundle_documents (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  bundleId TEXT NOT NULL,
+  seq INTEGER,
+  fileName TEXT,
+  archive TEXT,
+  path TEXT,
+  mimeType TEXT,
+  fileKind TEXT,
+  role TEXT,
+  roleConfidence REAL,
+  roleSignals TEXT,
+  roleSetBy TEXT DEFAULT 'classifier',
+  pages INTEGER,
+  text TEXT,
+  fields TEXT,
+  extractionMethod TEXT,
+  error TEXT,
+  createdAt TEXT
+);
+
 CREATE INDEX IF NOT EXISTS idx_chunks_rfpId ON rfp_chunks(rfpId);
 CREATE INDEX IF NOT EXISTS idx_reminders_status ON reminders(status, remindAt);
 CREATE INDEX IF NOT EXISTS idx_conversations_rfpId ON conversations(rfpId);
+CREATE INDEX IF NOT EXISTS idx_crawl_runs_adapter ON portal_crawl_runs(adapterId, startedAt);
+CREATE INDEX IF NOT EXISTS idx_awards_ocid ON tender_awards(ocid);
+CREATE INDEX IF NOT EXISTS idx_artefacts_rfpId ON rfp_artefacts(rfpId, status);
+CREATE INDEX IF NOT EXISTS idx_bundle_documents ON tender_bundle_documents(bundleId, seq);
 `);
 
+/**
+ * Add a column to an existing table if it is missing.
+ * CREATE TABLE IF NOT EXISTS never alters databases created by older builds.
+ */
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Tender milestones used by deadline-relative reminders
+ensureColumn('rfps', 'preBidDate', 'TEXT');
+ensureColumn('rfps', 'clarificationDueDate', 'TEXT');
+ensureColumn('rfps', 'emdDueDate', 'TEXT');
+
+// Where a crawled tender came from
+ensureColumn('rfps', 'sourceUrl', 'TEXT');
+ensureColumn('rfps', 'crawledAt', 'TEXT');
+
+// Reminder delivery tracking
+ensureColumn('reminders', 'milestone', "TEXT DEFAULT 'due'");
+ensureColumn('reminders', 'offsetMinutes', 'INTEGER');
+ensureColumn('reminders', 'target', 'TEXT');
+ensureColumn('reminders', 'attempts', 'INTEGER DEFAULT 0');
+ensureColumn('reminders', 'lastAttemptAt', 'TEXT');
+ensureColumn('reminders', 'lastError', 'TEXT');
+ensureColumn('reminders', 'sentAt', 'TEXT');
+
+// Chunks are kept per tender revision (rows from older builds are revision 1)
+ensureColumn('rfp_chunks', 'revision', 'INTEGER DEFAULT 1');
+
 console.log('✅ RFP Database initialized successfully');
 
+export { ensureColumn };
 export default db;
@@ -139,6 +139,21 @@ import learningRouter from './routes/learning.js';
 import generatePdfRouter from './routes/generate-pdf.js';
 import adaptiveDataRouter from './routes/adaptive-data.js';
 import speechRouter from './routes/speech.js';
+import priceVariationRouter from './routes/price-variation.js';
+import clauseRulesRouter from './routes/clause-rules.js';
+import gtpRouter from './routes/gtp.js';
+import engineeringRouter from './routes/engineering.js';
+import matchingRouter from './routes/matching.js';
+import standardsRouter from './routes/standards.js';
+import certificatesRouter from './routes/certificates.js';
+import testPlanRouter from './routes/test-plan.js';
+import drumsRouter from './routes/drums.js';
+import freightRouter from './routes/freight.js';
+import gstRouter from './routes/gst.js';
+import portalAdaptersRouter from './routes/portal-adapters.js';
+import ocdsRouter from './routes/ocds.js';
+import revisionsRouter from './routes/revisions.js';
+import bundlesRouter from './routes/bundles.js';
 
 app.post("/api/chat", handleChatMessage);
 app.post("/api/analyze", handleAnalyzeRequest);
@@ -166,6 +181,21 @@ app.use("/api/learning", learningRouter);
 app.use("/api/generate-pdf", generatePdfRouter);
 app.use("/api/adaptive", adaptiveDataRouter);
 app.use("/api/speech", speechRouter);
+app.use("/api/price-variation", priceVariationRouter);
+app.use("/api/clause-rules", clauseRulesRouter);
+app.use("/api/gtp", gtpRouter);
+app.use("/api/engineering", engineeringRouter);
+app.use("/api/matching", matchingRouter);
+app.use("/api/standards", standardsRouter);
+app.use("/api/certificates", certificatesRouter);
+app.use("/api/test-plan", testPlanRouter);
+app.use("/api/drums", drumsRouter);
+app.use("/api/freight", freightRouter);
+app.use("/api/gst", gstRouter);
+app.use("/api/portal-adapters", portalAdaptersRouter);
+app.use("/api/ocds", ocdsRouter);
+app.use("/api/revisions", revisionsRouter);
+app.use("/api/bundles", bundlesRouter);
 
 const PORT = process.env.PORT || 8080;
 
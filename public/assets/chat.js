@@ -619,7 +619,7 @@ function formatRFPAnalysis(analysis) {
         <div>Material Supply Cost:</div><div style="text-align: right;">₹${quotation?.materialCost?.total?.toLocaleString('en-IN') || '0'}</div>
         <div>Testing & Certification:</div><div style="text-align: right;">₹${quotation?.testingCost?.total?.toLocaleString('en-IN') || '0'}</div>
         ${externalTestingRequired ? `<div>External Testing:</div><div style="text-align: right; color: #fef08a;">TBD*</div>` : ''}
-        <div>GST (18%):</div><div style="text-align: right;">₹${quotation?.gst?.amount?.toLocaleString('en-IN') || '0'}</div>
+        ${(quotation?.gst?.components || [{ label: 'GST', amount: quotation?.gst?.amount || 0 }]).map(row => `<div>${row.label}:</div><div style="text-align: right;">₹${row.amount.toLocaleString('en-IN')}</div>`).join('')}
         <div style="border-top: 1px solid rgba(255,255,255,0.3); padding-top: 8px; font-weight: bold;">${externalTestingRequired ? 'TOTAL (Excl. External Testing):' : 'GRAND TOTAL:'}</div>
         <div style="border-top: 1px solid rgba(255,255,255,0.3); padding-top: 8px; text-align: right; font-weight: bold; font-size: 16px;">₹${quotation?.grandTotal?.toLocaleString('en-IN') || '0'}</div>
       </div>
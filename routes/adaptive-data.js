@@ -20,6 +20,7 @@ import {
   calculateQuotation,
   getAllTests
 } from '../services/adaptive-pricing.js';
+import { deriveRuleContext } from '../services/pricing-rule-engine.js';
 
 const router = express.Router();
 
@@ -243,17 +244,26 @@ router.post('/modify-quotation', async (req, res) => {
 /**
  * POST /api/adaptive/recalculate-quotation
  * Recalculate quotation with current session data
+ * Body: { cableType, specs, quantity, requiredTests, skuId?, cutLengths?, rfp?, context? }
+ * context toggles conditional rules: { remoteLocation, expressDelivery, tpiRequired, deliveryCity, ... }
+ * skuId + cutLengths (m) give the drum schedule that prices packaging
  */
 router.post('/recalculate-quotation', (req, res) => {
   try {
-    const { cableType, specs, quantity, requiredTests } = req.body;
+    const { cableType, specs, quantity, requiredTests, skuId, cutLengths, context, rfp } = req.body;
+    
+    // Conditional pricing rules: explicit toggles win over what the RFP text implies
+    const ruleContext = { ...(rfp ? deriveRuleContext(rfp) : {}), ...(context || {}) };
     
     // This will automatically use session overrides if available
     const quotation = calculateQuotation({
       cableType: cableType || 'HT Cable',
       specs: specs || {},
       quantity: quantity || 1000,
-      requiredTests: requiredTests || ['type_test', 'routine_test']
+      requiredTests: requiredTests || ['type_test', 'routine_test'],
+      skuId: skuId || null,
+      cutLengths: cutLengths || [],
+      context: ruleContext
     });
     
     // Add session info
@@ -2,50 +2,95 @@
  * Agent Stream API Routes
  * EY Techathon 6.0 - AI RFP Automation System
  * 
- * Provides workflow simulation and state endpoints for agent visualization.
+ * Provides workflow simulation, per-session state and SSE endpoints for
+ * agent visualization. Each workflow run streams on its own session.
  */
 
 import express from 'express';
+import { agentBroadcaster } from '../services/agent-broadcast.js';
 
 export const agentStreamRouter = express.Router();
 
-// Simple in-memory state
-const logs = [];
-let currentSession = null;
-
 /**
- * Add a log entry
+ * Session requested via ?sessionId=, defaulting to the most recent one
  */
-function addLog(agent, message, data = {}) {
-  const entry = {
-    id: Date.now(),
-    timestamp: new Date().toISOString(),
-    agent,
-    message,
-    data
-  };
-  logs.push(entry);
-  return entry;
+function resolveSessionId(req) {
+  return req.query.sessionId || agentBroadcaster.getLatestSessionId();
 }
 
+/**
+ * GET /api/agent-stream/sessions
+ * List running, paused and recently finished sessions
+ */
+agentStreamRouter.get('/sessions', (req, res) => {
+  const sessions = agentBroadcaster.listSessions();
+  res.json({
+    ok: true,
+    sessions,
+    count: sessions.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/agent-stream/sessions/:sessionId
+ * Full state of one session
+ */
+agentStreamRouter.get('/sessions/:sessionId', (req, res) => {
+  const state = agentBroadcaster.getState(req.params.sessionId);
+  if (!state) {
+    return res.status(404).json({ ok: false, error: `Session not found: ${req.params.sessionId}` });
+  }
+  res.json({ ok: true, session: state });
+});
+
+/**
+ * GET /api/agent-stream/sessions/:sessionId/events
+ * SSE stream for one session. Reconnecting clients send Last-Event-ID
+ * (or ?lastEventId=) and get the events they missed replayed.
+ */
+agentStreamRouter.get('/sessions/:sessionId/events', (req, res) => {
+  const { sessionId } = req.params;
+  if (!agentBroadcaster.hasSession(sessionId)) {
+    return res.status(404).json({ ok: false, error: `Session not found: ${sessionId}` });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  agentBroadcaster.addClient(sessionId, res, { lastEventId });
+});
+
 /**
  * GET /api/agent-stream/state
+ * Summary of a session (?sessionId=, defaults to the latest)
  */
 agentStreamRouter.get('/state', (req, res) => {
+  const sessionId = resolveSessionId(req);
+  const state = sessionId ? agentBroadcaster.getState(sessionId) : null;
   res.json({
     ok: true,
-    session: currentSession,
-    logsCount: logs.length,
+    session: state ? sessionId : null,
+    status: state?.status || null,
+    logsCount: state?.logs.length || 0,
+    lastEventId: state?.lastEventId || 0,
     timestamp: new Date().toISOString()
   });
 });
 
 /**
  * GET /api/agent-stream/logs
+ * Recent logs of a session (?sessionId=, defaults to the latest)
  */
 agentStreamRouter.get('/logs', (req, res) => {
+  const sessionId = resolveSessionId(req);
+  const logs = sessionId ? agentBroadcaster.getLogs(sessionId) : [];
   res.json({
     ok: true,
+    session: sessionId,
     logs: logs.slice(-50),
     count: logs.length,
     timestamp: new Date().toISOString()
@@ -58,11 +103,11 @@ agentStreamRouter.get('/logs', (req, res) => {
  */
 agentStreamRouter.post('/run', async (req, res) => {
   const { query = 'RFP Analysis', mode = 'auto' } = req.body || {};
-  const sessionId = `session-${Date.now()}`;
+  const sessionId = `session-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+  const addLog = (agent, message, data = {}) => agentBroadcaster.log(sessionId, agent, message, data);
   
   try {
-    currentSession = sessionId;
-    logs.length = 0; // Clear logs for new session
+    agentBroadcaster.startSession(sessionId, { input: query, mode, simulated: true });
     
     // Simulate the agentic workflow with real steps
     addLog('System', `🚀 Starting workflow for query: "${query}"`, { sessionId });
@@ -116,6 +161,7 @@ agentStreamRouter.post('/run', async (req, res) => {
     addLog('Master', '🎯 MASTER AGENT: Consolidating Final RFP Response');
     addLog('Master', '═══════════════════════════════════════════════════════════════');
     addLog('Master', '✅ MASTER AGENT: RFP Response Workflow Complete');
+    agentBroadcaster.endSession(sessionId, { simulated: true });
     
     res.json({
       ok: true,
@@ -131,6 +177,7 @@ agentStreamRouter.post('/run', async (req, res) => {
   } catch (err) {
     console.error('Agent stream run error:', err);
     addLog('System', `❌ Error: ${err.message}`, { error: true });
+    agentBroadcaster.endSession(sessionId, { error: err.message });
     
     res.status(500).json({
       ok: false,
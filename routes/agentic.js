@@ -4,36 +4,140 @@
  */
 
 import express from "express";
-import { runGraphOnce, buildGraph, getWorkflowStats } from "../agentic/graph.js";
+import {
+  runGraphOnce,
+  buildGraph,
+  getWorkflowStats,
+  getRunState,
+  getRunHistory,
+  updateRunState,
+  resumeGraph,
+  rollbackRun
+} from "../agentic/graph.js";
 
 export const agenticRouter = express.Router();
 
+/**
+ * Build the standard response for a finished or paused run
+ */
+function runResponse(result) {
+  const { run, ...state } = result;
+  const stats = getWorkflowStats(state);
+
+  return {
+    ok: true,
+    status: run.status,
+    run,
+    stream_url: `/api/agent-stream/sessions/${run.session_id}/events`,
+    result: state,
+    stats,
+    workflow_summary: {
+      agents_executed: state.completedAgents,
+      rfp_selected: state.selectedRFP?.tender_id,
+      products_matched: state.recommendedSKUs?.length || 0,
+      avg_spec_match: stats.technical.avg_spec_match,
+      grand_total: state.consolidatedPricing?.grand_total,
+      submission_mode: stats.submission.mode,
+      duration_ms: stats.duration_ms
+    }
+  };
+}
+
 /**
  * POST /api/agentic/run
  * Execute the complete agentic workflow
+ * Body: { sessionId?, interruptAfter?: ['technical', 'pricing'] }
+ * Pass your own sessionId to subscribe to /api/agent-stream/sessions/:sessionId/events
+ * while the run is in progress; interruptAfter pauses for review after those agents.
  */
 agenticRouter.post("/run", async (req, res) => {
   try {
     console.log('\n🚀 API: Starting agentic workflow execution...');
     const result = await runGraphOnce(req.body || {});
-    const stats = getWorkflowStats(result);
-    
-    res.json({ 
-      ok: true, 
-      result,
-      stats,
-      workflow_summary: {
-        agents_executed: result.completedAgents,
-        rfp_selected: result.selectedRFP?.tender_id,
-        products_matched: result.recommendedSKUs?.length || 0,
-        avg_spec_match: stats.technical.avg_spec_match,
-        grand_total: result.consolidatedPricing?.grand_total,
-        duration_ms: stats.duration_ms
-      }
-    });
+    res.json(runResponse(result));
   } catch (e) {
     console.error('Agentic graph error:', e);
-    res.status(500).json({ ok: false, error: e.message, stack: e.stack });
+    res.status(e.status || 500).json({ ok: false, error: e.message, stack: e.stack });
+  }
+});
+
+/**
+ * GET /api/agentic/runs/:sessionId
+ * Inspect the latest checkpointed state of a run
+ */
+agenticRouter.get("/runs/:sessionId", async (req, res) => {
+  try {
+    const state = await getRunState(req.params.sessionId);
+    if (!state) {
+      return res.status(404).json({ ok: false, error: `Run not found: ${req.params.sessionId}` });
+    }
+    res.json({ ok: true, ...state });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+/**
+ * GET /api/agentic/runs/:sessionId/history
+ * List checkpoints of a run (newest first) for rollback
+ */
+agenticRouter.get("/runs/:sessionId/history", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const history = await getRunHistory(req.params.sessionId, limit);
+    if (history.length === 0) {
+      return res.status(404).json({ ok: false, error: `Run not found: ${req.params.sessionId}` });
+    }
+    res.json({ ok: true, session_id: req.params.sessionId, count: history.length, history });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+/**
+ * PATCH /api/agentic/runs/:sessionId/state
+ * Edit a paused run before resuming
+ * Body: { recommendedSKUs?: [...], productPricingTable?: [...] }
+ */
+agenticRouter.patch("/runs/:sessionId/state", async (req, res) => {
+  try {
+    const { recommendedSKUs, productPricingTable } = req.body || {};
+    const state = await updateRunState(req.params.sessionId, { recommendedSKUs, productPricingTable });
+    res.json({ ok: true, ...state });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+/**
+ * POST /api/agentic/runs/:sessionId/resume
+ * Continue a paused run from its latest checkpoint
+ */
+agenticRouter.post("/runs/:sessionId/resume", async (req, res) => {
+  try {
+    const result = await resumeGraph(req.params.sessionId);
+    res.json(runResponse(result));
+  } catch (e) {
+    console.error('Agentic resume error:', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+/**
+ * POST /api/agentic/runs/:sessionId/rollback
+ * Roll a run back to an earlier checkpoint (from /history)
+ * Body: { checkpointId }
+ */
+agenticRouter.post("/runs/:sessionId/rollback", async (req, res) => {
+  try {
+    const { checkpointId } = req.body || {};
+    if (!checkpointId) {
+      return res.status(400).json({ ok: false, error: 'checkpointId is required' });
+    }
+    const state = await rollbackRun(req.params.sessionId, checkpointId);
+    res.json({ ok: true, ...state });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
@@ -73,6 +177,12 @@ agenticRouter.get("/diagram.mmd", (req, res) => {
             p3[🧪 Assign Test Prices<br/>from Services Table]:::pricing
             p4[📊 Consolidate<br/>Material + Services]:::pricing
         end
+        
+        subgraph SUBMISSION["📨 SUBMISSION AGENT"]
+            u1[📋 Detect<br/>Submission Mode]:::submission
+            u2[📝 Generate<br/>Artefacts]:::submission
+            u3[✅ Build<br/>Checklist]:::submission
+        end
     end
     
     %% Flow connections
@@ -93,7 +203,9 @@ agenticRouter.get("/diagram.mmd", (req, res) => {
     p4 -->|Consolidated Pricing| consolidate
     t4 -->|Spec Match Results| consolidate
     
-    consolidate --> finish
+    consolidate -->|Consolidated Response| u1
+    u1 --> u2 --> u3
+    u3 --> finish
     
     %% Styling
     classDef start fill:#22c55e,stroke:#16a34a,stroke-width:3px,color:#fff,font-weight:bold
@@ -101,7 +213,8 @@ agenticRouter.get("/diagram.mmd", (req, res) => {
     classDef master fill:#8b5cf6,stroke:#7c3aed,stroke-width:2px,color:#fff
     classDef sales fill:#3b82f6,stroke:#2563eb,stroke-width:2px,color:#fff
     classDef tech fill:#f59e0b,stroke:#d97706,stroke-width:2px,color:#fff
-    classDef pricing fill:#ec4899,stroke:#db2777,stroke-width:2px,color:#fff`;
+    classDef pricing fill:#ec4899,stroke:#db2777,stroke-width:2px,color:#fff
+    classDef submission fill:#14b8a6,stroke:#0d9488,stroke-width:2px,color:#fff`;
 
   res.type("text/plain").send(mmd);
 });
@@ -119,16 +232,18 @@ agenticRouter.get("/diagram-simple.mmd", (req, res) => {
     tech([🔧 Technical<br/>SKU Match]):::tech
     pricing([💰 Pricing<br/>Calculate]):::pricing
     master3([👔 Master<br/>Consolidate]):::master
+    submission([📨 Submission<br/>Package]):::submission
     finish([✅ End]):::e
     
-    start --> master1 --> sales --> master2 --> tech --> pricing --> master3 --> finish
+    start --> master1 --> sales --> master2 --> tech --> pricing --> master3 --> submission --> finish
     
     classDef s fill:#22c55e,stroke:#16a34a,stroke-width:3px,color:#fff
     classDef e fill:#10b981,stroke:#059669,stroke-width:3px,color:#fff
     classDef master fill:#8b5cf6,stroke:#7c3aed,stroke-width:2px,color:#fff
     classDef sales fill:#3b82f6,stroke:#2563eb,stroke-width:2px,color:#fff
     classDef tech fill:#f59e0b,stroke:#d97706,stroke-width:2px,color:#fff
-    classDef pricing fill:#ec4899,stroke:#db2777,stroke-width:2px,color:#fff`;
+    classDef pricing fill:#ec4899,stroke:#db2777,stroke-width:2px,color:#fff
+    classDef submission fill:#14b8a6,stroke:#0d9488,stroke-width:2px,color:#fff`;
 
   res.type("text/plain").send(mmd);
 });
@@ -145,7 +260,8 @@ agenticRouter.get("/status", (req, res) => {
       master: { role: 'Orchestrator', status: 'active' },
       sales: { role: 'RFP Scanner', status: 'active' },
       technical: { role: 'SKU Matcher', status: 'active' },
-      pricing: { role: 'Cost Calculator', status: 'active' }
+      pricing: { role: 'Cost Calculator', status: 'active' },
+      submission: { role: 'Submission Packager', status: 'active' }
     },
     capabilities: [
       'Portal URL Scanning',
@@ -154,7 +270,9 @@ agenticRouter.get("/status", (req, res) => {
       'Spec Match Metric (%)',
       'Comparison Tables',
       'Material + Services Pricing',
-      'Consolidated Output'
+      'Consolidated Output',
+      'Submission Package & Checklist',
+      'Human Review Checkpoints (pause / edit / resume / rollback)'
     ]
   });
 });
@@ -26,6 +26,12 @@ import {
   calculateTestingCostFromRFP, 
   calculateMaterialCostFromRFP 
 } from '../services/adaptive-pricing.js';
+import {
+  canonicalCableType,
+  matchRequirement,
+  parseRequirement
+} from '../services/matching-engine.js';
+import { selectTestsForStandard } from '../services/standards-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -217,213 +223,47 @@ function getTestCategory(testId) {
 
 /**
  * Parse tender material description to extract specs
- * Enhanced to extract more detailed specifications from RFP names
+ * Uses the matching engine's requirement parser; the cable type falls back to the voltage grade
  */
 function parseTenderSpecs(material) {
+  const req = parseRequirement(material || '');
   const specs = {};
-  const lower = (material || '').toLowerCase();
   
-  // Voltage Rating (kV)
-  const kvMatch = lower.match(/(\d+(?:\.\d+)?)\s*kv/);
-  if (kvMatch) specs.voltage_kv = parseFloat(kvMatch[1]);
-  
-  // Number of Cores - Enhanced patterns
-  const corePatterns = [
-    /(\d+)\s*(?:core|cores)/i,           // "3 core", "3 cores"
-    /(\d+)c\s*x/i,                        // "3C x"
-    /(\d+)\s*c\s*(?:x|\*)/i               // "3 c x", "3c*"
-  ];
-  for (const pattern of corePatterns) {
-    const coreMatch = lower.match(pattern);
-    if (coreMatch) {
-      specs.cores = parseInt(coreMatch[1]);
-      break;
-    }
-  }
-  
-  // Cross-section area (sqmm) - Enhanced patterns
-  const areaPatterns = [
-    /(\d+(?:\.\d+)?)\s*(?:sq\.?\s*mm|sqmm|mm2|mm²)/i,  // "95 sq mm", "95sqmm"
-    /x\s*(\d+(?:\.\d+)?)\s*(?:sq|mm)/i,                // "x 95 sq"
-    /(\d+)\s*(?:square|sqmm)/i                          // "95 square"
-  ];
-  for (const pattern of areaPatterns) {
-    const areaMatch = lower.match(pattern);
-    if (areaMatch) {
-      specs.area_mm2 = parseFloat(areaMatch[1]);
-      break;
-    }
-  }
-  
-  // Conductor Material
-  if (lower.includes('copper') || lower.includes(' cu ') || lower.includes('cu-')) {
-    specs.conductor = 'Copper';
-  } else if (lower.includes('aluminium') || lower.includes('aluminum') || lower.includes(' al ') || lower.includes('al-')) {
-    specs.conductor = 'Aluminium';
+  if (req.voltage_kv !== undefined) specs.voltage_kv = req.voltage_kv;
+  if (req.cores !== undefined) specs.cores = req.cores;
+  if (req.area_mm2 !== undefined) specs.area_mm2 = req.area_mm2;
+  if (req.conductor_material) specs.conductor = req.conductor_material;
+  if (req.insulation) specs.insulation = req.insulation;
+  if (req.armoured !== undefined) specs.armoured = req.armoured;
+  
+  if (req.cable_type) {
+    specs.type = req.cable_type;
+  } else if (specs.voltage_kv !== undefined || /power cable/.test((material || '').toLowerCase())) {
+    specs.type = canonicalCableType('', specs.voltage_kv || 0);
   }
   
-  // Insulation Material
-  if (lower.includes('xlpe')) specs.insulation = 'XLPE';
-  else if (lower.includes('pvc')) specs.insulation = 'PVC';
-  else if (lower.includes('pe ') || lower.includes(' pe')) specs.insulation = 'PE';
-  
-  // Armoured
-  if (lower.includes('armoured') || lower.includes('armored') || lower.includes('swa') || lower.includes('steel wire')) {
-    specs.armoured = true;
-  } else if (lower.includes('unarmoured') || lower.includes('unarmored')) {
-    specs.armoured = false;
-  }
-  
-  // Cable Type - More precise detection
-  if (lower.includes('ht cable') || lower.includes('ht power') || lower.includes('high tension') || 
-      lower.includes('high voltage') || lower.includes('hv cable') || specs.voltage_kv >= 6) {
-    specs.type = 'HT Cable';
-  } else if (lower.includes('ehv') || lower.includes('extra high') || specs.voltage_kv >= 66) {
-    specs.type = 'EHV Cable';
-  } else if (lower.includes('control cable') || lower.includes('control ')) {
-    specs.type = 'Control Cable';
-  } else if (lower.includes('instrument') || lower.includes('signal')) {
-    specs.type = 'Instrumentation Cable';
-  } else if (lower.includes('lt cable') || lower.includes('lt power') || lower.includes('lv cable') || 
-             lower.includes('low voltage') || lower.includes('low tension') || 
-             (specs.voltage_kv && specs.voltage_kv <= 1.1)) {
-    specs.type = 'LT Cable';
-  } else if (lower.includes('power cable')) {
-    specs.type = specs.voltage_kv >= 6 ? 'HT Cable' : 'LT Cable';
-  }
-  
-  // Count how many specs were extracted (for match quality scoring)
-  specs._extracted_count = Object.keys(specs).filter(k => !k.startsWith('_')).length;
-  
   return specs;
 }
 
 /**
- * Calculate Spec Match between tender and SKU
- * Enhanced formula with STRICT matching:
- * - Area (sqmm) must match within 15% tolerance
- * - All specs contribute equally to score
- * - No artificial bonuses that inflate scores
- * - 100% only if ALL extracted specs match
+ * Matching-engine result in this route's spec_match shape
  */
-function calculateSpecMatch(tenderSpecs, product) {
-  const checks = [];
-  
-  // Cable Type Match (critical - must match for high score)
-  if (tenderSpecs.type) {
-    const productType = (product.type || '').toLowerCase();
-    const tenderType = tenderSpecs.type.toLowerCase();
-    
-    const typeMatches = productType.includes(tenderType.replace(' cable', '')) || 
-                        tenderType.includes(productType.replace(' cable', ''));
-    checks.push({ spec: 'Cable Type', match: typeMatches, tender: tenderSpecs.type, product: product.type, weight: 2 });
-  }
-  
-  // Voltage Rating (important for HT/LT distinction)
-  if (tenderSpecs.voltage_kv !== undefined) {
-    const productVoltage = product.voltage_rating_kv || 0;
-    // Allow 15% tolerance for voltage
-    const voltageDiff = Math.abs(tenderSpecs.voltage_kv - productVoltage);
-    const match = voltageDiff <= Math.max(productVoltage, tenderSpecs.voltage_kv) * 0.15;
-    checks.push({ spec: 'Voltage', match, tender: `${tenderSpecs.voltage_kv}kV`, product: `${productVoltage}kV`, weight: 2 });
-  }
-  
-  // Number of Cores - EXACT match required
-  if (tenderSpecs.cores !== undefined) {
-    const match = tenderSpecs.cores === product.no_of_cores;
-    checks.push({ spec: 'Cores', match, tender: tenderSpecs.cores, product: product.no_of_cores, weight: 1.5 });
-  }
-  
-  // Cross-section Area (conductor size) - STRICT 15% tolerance
-  if (tenderSpecs.area_mm2 !== undefined) {
-    const productArea = product.conductor_area_mm2 || 0;
-    const areaDiff = Math.abs(tenderSpecs.area_mm2 - productArea);
-    const maxArea = Math.max(tenderSpecs.area_mm2, productArea);
-    // STRICT: Only 15% tolerance for area
-    const match = areaDiff <= maxArea * 0.15;
-    checks.push({ spec: 'Area (mm²)', match, tender: tenderSpecs.area_mm2, product: productArea, weight: 2 });
-  }
-  
-  // Conductor Material (Copper vs Aluminium) - EXACT match
-  if (tenderSpecs.conductor) {
-    const productConductor = (product.conductor_material || '').toLowerCase();
-    const match = productConductor.includes(tenderSpecs.conductor.toLowerCase());
-    checks.push({ spec: 'Conductor', match, tender: tenderSpecs.conductor, product: product.conductor_material, weight: 1.5 });
-  }
-  
-  // Insulation Type (XLPE vs PVC) - EXACT match
-  if (tenderSpecs.insulation) {
-    const productInsulation = (product.insulation || '').toUpperCase();
-    const match = productInsulation === tenderSpecs.insulation;
-    checks.push({ spec: 'Insulation', match, tender: tenderSpecs.insulation, product: productInsulation, weight: 1 });
-  }
-  
-  // Armoured status
-  if (tenderSpecs.armoured !== undefined) {
-    const productArmoured = (product.armoured || '').toLowerCase() === 'yes';
-    const match = tenderSpecs.armoured === productArmoured;
-    checks.push({ spec: 'Armoured', match, tender: tenderSpecs.armoured ? 'Yes' : 'No', product: product.armoured, weight: 1 });
-  }
-  
-  // Calculate WEIGHTED percentage from matched specs
-  let totalWeight = 0;
-  let matchedWeight = 0;
-  
-  for (const check of checks) {
-    totalWeight += check.weight;
-    if (check.match) {
-      matchedWeight += check.weight;
-    }
-  }
-  
-  // Base percentage from weighted matches
-  let basePercentage = totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) : 0;
-  
-  // CRITICAL: If area doesn't match, cap at 85%
-  const areaCheck = checks.find(c => c.spec === 'Area (mm²)');
-  if (areaCheck && !areaCheck.match) {
-    basePercentage = Math.min(basePercentage, 85);
-  }
-  
-  // CRITICAL: If cable type doesn't match, cap at 60%
-  const typeCheck = checks.find(c => c.spec === 'Cable Type');
-  if (typeCheck && !typeCheck.match) {
-    basePercentage = Math.min(basePercentage, 60);
-  }
-  
-  // CRITICAL: If voltage doesn't match, cap at 70%
-  const voltageCheck = checks.find(c => c.spec === 'Voltage');
-  if (voltageCheck && !voltageCheck.match) {
-    basePercentage = Math.min(basePercentage, 70);
-  }
-  
-  // Apply completeness penalty if RFP has very few specs
-  const extractedSpecCount = tenderSpecs._extracted_count || checks.length;
-  
-  let completenessFactor = 1.0;
-  if (extractedSpecCount <= 2) {
-    // Very few specs - max 60%
-    completenessFactor = 0.6;
-  } else if (extractedSpecCount <= 3) {
-    // Few specs - max 75%
-    completenessFactor = 0.75;
-  } else if (extractedSpecCount <= 4) {
-    // Moderate specs - max 90%
-    completenessFactor = 0.9;
-  }
-  
-  // Final percentage (no bonuses, just weighted match with caps)
-  let finalPercentage = Math.round(basePercentage * completenessFactor);
-  
-  // Clamp between 0 and 100
-  finalPercentage = Math.max(0, Math.min(100, finalPercentage));
+function toSpecMatch(result) {
+  const checks = result.attributes.map(a => ({
+    spec: a.label,
+    match: a.rule.status === 'EXACT' || a.rule.status === 'PARTIAL',
+    tender: a.required,
+    product: a.offered,
+    weight: a.weight,
+    explanation: a.explanation
+  }));
   
   return {
-    percentage: finalPercentage,
+    percentage: result.spec_match_percentage,
     matched_count: checks.filter(c => c.match).length,
     total_count: checks.length,
-    base_percentage: basePercentage,
-    completeness_factor: completenessFactor,
+    capped_by: result.capped_by,
+    profile: result.profile,
     details: checks
   };
 }
@@ -439,8 +279,9 @@ function findMatchingSKUs(tender, products) {
   console.log(`   📋 Material: "${materialText}"`);
   console.log(`   🔍 Extracted specs: ${JSON.stringify(tenderSpecs)}`);
   
-  const matches = products.map(product => {
-    const specMatch = calculateSpecMatch(tenderSpecs, product);
+  const { matches: ranked } = matchRequirement({ ...tenderSpecs, text: materialText }, { products, source: 'catalog' });
+  const matches = ranked.map(match => {
+    const product = match.product.raw;
     return {
       sku_id: product.sku_id,
       product_name: product.product_name,
@@ -452,24 +293,10 @@ function findMatchingSKUs(tender, products) {
       voltage_rating_kv: product.voltage_rating_kv,
       insulation: product.insulation,
       standard: product.standard,
-      spec_match: specMatch
+      spec_match: toSpecMatch(match)
     };
   });
   
-  // Sort by spec match percentage (descending), then by area difference as tiebreaker
-  matches.sort((a, b) => {
-    if (b.spec_match.percentage !== a.spec_match.percentage) {
-      return b.spec_match.percentage - a.spec_match.percentage;
-    }
-    // Tiebreaker: prefer closer area match if specs extracted area
-    if (tenderSpecs.area_mm2) {
-      const aDiff = Math.abs(a.conductor_area_mm2 - tenderSpecs.area_mm2);
-      const bDiff = Math.abs(b.conductor_area_mm2 - tenderSpecs.area_mm2);
-      return aDiff - bDiff;
-    }
-    return 0;
-  });
-  
   // DEBUG: Log top 3 matches with details
   console.log(`   📊 Top 3 matches:`);
   matches.slice(0, 3).forEach((m, i) => {
@@ -533,9 +360,11 @@ function parseCableSpecs(material) {
  * @param {Array} allTests - All available tests from testing.csv
  * @param {string} cableType - Cable type (HT/LT/EHV/Control/Instrumentation)
  * @param {string} material - Full material specification string
+ * @param {Object} standard - { standard, voltage_kv, insulation } cited by the RFP; tests to an
+ *   unrelated product standard are dropped (standards registry)
  * @returns {Array} Applicable tests
  */
-function getApplicableTests(productType, allTests, cableType = null, material = null) {
+function getApplicableTests(productType, allTests, cableType = null, material = null, standard = {}) {
   const specs = parseCableSpecs(material || productType || '');
   const type = (cableType || specs.cableType || 'LT Cable').toLowerCase();
   
@@ -658,9 +487,10 @@ function getApplicableTests(productType, allTests, cableType = null, material =
     .filter(t => t.applicable && t.score > 0)
     .sort((a, b) => b.score - a.score)
     .map(t => t.test);
+  const { standard: rfpStandard, ...context } = standard;
   
   // Return top 7 tests
-  return applicableTests.slice(0, 7);
+  return selectTestsForStandard(applicableTests, rfpStandard, context).slice(0, 7);
 }
 
 /**
@@ -840,7 +670,11 @@ export async function handleAnalyzeRequest(req, res) {
       const productType = skuMatch.top_3[0]?.type || 'LT Cable';
       const cableType = tender.cable_type || skuMatch.tender_specs?.type || productType;
       const materialSpec = tender.material || tender.title || '';
-      const applicableTests = getApplicableTests(productType, tests, cableType, materialSpec);
+      const applicableTests = getApplicableTests(productType, tests, cableType, materialSpec, {
+        standard: parseRequirement(materialSpec).standard,
+        voltage_kv: skuMatch.tender_specs?.voltage_kv,
+        insulation: skuMatch.tender_specs?.insulation
+      });
       
       // Calculate pricing using pricing_rules.csv
       const tenderCost = tender.estimated_cost_inr;
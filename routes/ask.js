@@ -1,5 +1,6 @@
 import express from 'express';
 import { getRfp, searchChunks, appendConversation, getConversation, clearConversation } from '../services/rfpMemory.js';
+import { getBundle } from '../services/tender-bundle.js';
 import { GoogleGenAI } from '@google/genai';
 
 const router = express.Router();
@@ -28,6 +29,12 @@ router.post('/', express.json(), async (req, res) => {
     const contextChunks = searchChunks(rfpId, question, 8);
     const contextText = contextChunks.map(c => c.text).join('\n---\n');
     
+    // Multi-document tenders: chunks are labelled with their document, list the bundle too
+    const bundle = getBundle(rfp.id);
+    const bundleText = bundle
+      ? `\nTender Documents (bundle):\n${bundle.documents.map(doc => `- ${doc.role_label}: ${doc.fileName}`).join('\n')}\n`
+      : '';
+    
     const history = getConversation(rfpId, 8);
     const historyText = history.map(h => `${h.role.toUpperCase()}: ${h.text}`).join('\n');
     
@@ -39,7 +46,7 @@ RFP Information:
 - Title: ${rfp.title || 'N/A'}
 - Due Date: ${rfp.dueDate || 'N/A'}
 - Estimated Cost: ${rfp.estCost ? '₹' + rfp.estCost.toLocaleString() : 'N/A'}
-
+${bundleText}
 Document Context:
 ${contextText}
 
@@ -48,7 +55,7 @@ ${historyText || 'None'}
 
 QUESTION: ${question}
 
-Provide a concise, accurate answer based on the RFP document. If information is missing from the document, clearly state which section or detail is not available.`;
+Provide a concise, accurate answer based on the RFP document. If information is missing from the document, clearly state which section or detail is not available.${bundle ? ' Name the document each fact comes from (the [Role: file] label of the context); where documents differ, the corrigendum overrides the NIT and the SCC overrides the GCC.' : ''}`;
     
     let answer = 'AI service is not configured.';
     
@@ -77,7 +84,8 @@ Provide a concise, accurate answer based on the RFP document. If information is
         title: rfp.title,
         buyer: rfp.buyerName,
         dueDate: rfp.dueDate
-      }
+      },
+      ...(bundle ? { documents: bundle.documents.map(doc => ({ id: doc.id, fileName: doc.fileName, role: doc.role })) } : {})
     });
     
   } catch (error) {
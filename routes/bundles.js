@@ -0,0 +1,170 @@
+/**
+ * Tender Bundle Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Upload the documents of one tender (NIT, specs, BOQ workbook, GCC/SCC,
+ * drawings, corrigenda; PDF, DOCX, XLSX or ZIP) as a bundle, see each
+ * document's classified role, the merged tender data with the document
+ * each field came from, and correct a misclassified role.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import fs from 'fs';
+import path from 'path';
+import {
+  DOCUMENT_ROLES,
+  addBundleDocuments,
+  fileKindOf,
+  getBundle,
+  getBundleDocument,
+  listBundles,
+  setDocumentRole
+} from '../services/tender-bundle.js';
+import { BUNDLE_CONFIG } from '../configs/settings.js';
+
+const router = express.Router();
+
+// Uploads land next to the bundle directories so they can be moved in place
+const incomingDir = path.join(BUNDLE_CONFIG.storageDir, '.incoming');
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdirSync(incomingDir, { recursive: true });
+    cb(null, incomingDir);
+  },
+  filename: (req, file, cb) => {
+    const safeName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    cb(null, `${Date.now()}-${Math.round(Math.random() * 1E9)}-${safeName}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: BUNDLE_CONFIG.maxFileSizeMb * 1024 * 1024, files: BUNDLE_CONFIG.maxFiles },
+  fileFilter: (req, file, cb) => {
+    if (fileKindOf(file.originalname) !== 'other') {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file type: ${file.originalname} (PDF, DOCX, XLSX, ZIP, drawings)`), false);
+    }
+  }
+});
+
+const receiveDocuments = (req, res, next) => upload.array('documents', BUNDLE_CONFIG.maxFiles)(req, res, (error) => {
+  if (error) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' || error.code === 'LIMIT_FILE_COUNT' ? 413 : 400).json({ ok: false, error: error.message });
+  }
+  next();
+});
+
+const uploadedFiles = (req) => (req.files || []).map(file => ({
+  path: file.path,
+  originalName: file.originalname,
+  mimeType: file.mimetype
+}));
+
+// roles may be sent as a JSON string in multipart forms: { "NIT_final.pdf": "nit" }
+function parseRoles(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+async function addDocuments(req, res, tenderId) {
+  try {
+    const bundle = await addBundleDocuments(uploadedFiles(req), {
+      tenderId,
+      title: req.body?.title || null,
+      roles: parseRoles(req.body?.roles)
+    });
+    res.status(201).json({ ok: true, bundle });
+  } catch (error) {
+    for (const file of req.files || []) fs.rmSync(file.path, { force: true });
+    console.error('❌ Bundle upload error:', error.message);
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+}
+
+/**
+ * GET /api/bundles
+ */
+router.get('/', (req, res) => {
+  const bundles = listBundles();
+  res.json({ ok: true, count: bundles.length, bundles });
+});
+
+/**
+ * GET /api/bundles/roles
+ * Document roles a bundle document can have
+ */
+router.get('/roles', (req, res) => {
+  res.json({
+    ok: true,
+    roles: Object.entries(DOCUMENT_ROLES).map(([id, role]) => ({ id, label: role.label, description: role.description }))
+  });
+});
+
+/**
+ * POST /api/bundles (multipart)
+ * Fields: documents (files), tender_id?, title?, roles? ({ fileName: role } JSON)
+ * The tender ID defaults to one found in a file name or in the NIT.
+ */
+router.post('/', receiveDocuments, (req, res) => addDocuments(req, res, req.body?.tender_id || null));
+
+/**
+ * POST /api/bundles/:id/documents (multipart)
+ * Add documents to an existing bundle, e.g. a corrigendum; recorded as a new revision
+ */
+router.post('/:id/documents', receiveDocuments, (req, res) => {
+  if (!getBundle(req.params.id)) {
+    for (const file of req.files || []) fs.rmSync(file.path, { force: true });
+    return res.status(404).json({ ok: false, error: `Bundle not found: ${req.params.id}` });
+  }
+  return addDocuments(req, res, req.params.id);
+});
+
+/**
+ * GET /api/bundles/:id
+ * Documents with their roles, merged data, field sources and conflicts
+ */
+router.get('/:id', (req, res) => {
+  const bundle = getBundle(req.params.id);
+  if (!bundle) {
+    return res.status(404).json({ ok: false, error: `Bundle not found: ${req.params.id}` });
+  }
+  res.json({ ok: true, bundle });
+});
+
+/**
+ * GET /api/bundles/:id/documents/:docId
+ * One document with its text and extracted fields
+ */
+router.get('/:id/documents/:docId', (req, res) => {
+  try {
+    res.json({ ok: true, document: getBundleDocument(req.params.id, req.params.docId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/bundles/:id/documents/:docId
+ * Body: { role } - correct a document's role; the bundle is re-merged
+ */
+router.put('/:id/documents/:docId', (req, res) => {
+  try {
+    if (!getBundle(req.params.id)) {
+      return res.status(404).json({ ok: false, error: `Bundle not found: ${req.params.id}` });
+    }
+    res.json({ ok: true, bundle: setDocumentRole(req.params.id.toUpperCase(), req.params.docId, req.body?.role) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
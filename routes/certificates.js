@@ -0,0 +1,148 @@
+/**
+ * Type-Test Certificate Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Vault of CPRI / ERDA type-test reports and the coverage check pricing uses
+ * to drop type tests an existing valid report already covers.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import fs from 'fs';
+import {
+  addCertificate,
+  deleteCertificate,
+  getCertificate,
+  getCertificateReportPath,
+  listCertificates,
+  typeTestCoverage,
+  updateCertificate
+} from '../services/type-test-certificates.js';
+import { TYPE_TEST_CONFIG } from '../configs/settings.js';
+
+const router = express.Router();
+
+// Report PDFs go straight into the vault directory
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdirSync(TYPE_TEST_CONFIG.storageDir, { recursive: true });
+    cb(null, TYPE_TEST_CONFIG.storageDir);
+  },
+  filename: (req, file, cb) => {
+    const safeName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    cb(null, `${Date.now()}-${safeName}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF files are allowed'), false);
+    }
+  }
+});
+
+/**
+ * GET /api/certificates?as_of=2025-06-30&valid_only=true
+ */
+router.get('/', (req, res) => {
+  try {
+    const certificates = listCertificates({
+      asOf: req.query.as_of || new Date(),
+      includeExpired: req.query.valid_only !== 'true'
+    });
+    res.json({ ok: true, count: certificates.length, certificates });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/certificates (multipart)
+ * Fields: report (PDF), lab, report_date, report_no?, valid_until?, standard?,
+ *   sku_ids? (comma-separated) and/or a range: cable_type, voltage_kv,
+ *   conductor_material, insulation, cores, area_min_mm2, area_max_mm2;
+ *   tests? (test IDs or names; empty = full type-test report), notes?
+ */
+router.post('/', upload.single('report'), (req, res) => {
+  try {
+    const certificate = addCertificate(req.body || {}, req.file || null);
+    res.status(201).json({ ok: true, certificate });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/certificates/coverage
+ * Body: { tests: [{ id, name }] | ["T001"], sku_ids: ["..."], standard?: "IS 7098 (Part 2)", as_of?: "2025-06-30" }
+ */
+router.post('/coverage', (req, res) => {
+  try {
+    const { tests = [], sku_ids: skuIds = [], standard, as_of: asOf } = req.body || {};
+    if (skuIds.length === 0) {
+      return res.status(400).json({ ok: false, error: 'sku_ids is required' });
+    }
+    const coverage = typeTestCoverage({
+      tests: tests.map(t => (typeof t === 'string' ? { id: t, name: t } : t)),
+      skuIds,
+      standard,
+      asOf: asOf || new Date()
+    });
+    res.json({ ok: true, ...coverage });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/certificates/:id
+ */
+router.get('/:id', (req, res) => {
+  try {
+    res.json({ ok: true, certificate: getCertificate(req.params.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/certificates/:id/report - the stored report PDF
+ */
+router.get('/:id/report', (req, res) => {
+  try {
+    const report = getCertificateReportPath(req.params.id);
+    res.download(report.path, report.name);
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/certificates/:id
+ */
+router.patch('/:id', (req, res) => {
+  try {
+    res.json({ ok: true, certificate: updateCertificate(req.params.id, req.body || {}) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/certificates/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    res.json({ ok: true, ...deleteCertificate(req.params.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
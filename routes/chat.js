@@ -5,10 +5,13 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { sessionMemory, resolveCompanyReference } from '../services/session-memory.js';
 import { executeSearch, formatResultsForChat } from '../services/ai-search-orchestrator.js';
+import { dedupeTenders, describeClusters } from '../services/tender-dedup.js';
 import { parseUserQuery as parseSearchQuery, detectCableType, detectCableTypes, detectVoltages } from '../services/csv-permutation-generator.js';
 import { matchRFPRequirements } from '../services/sku-matcher.js';
 import { createDraft, modifyDraft, finalizeDraft, getSessionDraft } from '../services/interactive-drafts.js';
 import { calculateQuotation, calculateTestingCost, getApplicableTests } from '../services/adaptive-pricing.js';
+import { deriveRuleContext } from '../services/pricing-rule-engine.js';
+import { registerArtefact } from '../services/tender-revisions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -526,7 +529,8 @@ export async function handleChatMessage(req, res) {
           quantity: 5000,
           requiredTests: ['type_test', 'routine_test'],
           customProfitMargin: null,
-          discount: 0
+          discount: 0,
+          context: deriveRuleContext(tenderData)
         });
         
         const quotationData = {
@@ -534,10 +538,15 @@ export async function handleChatMessage(req, res) {
           materialCost: quotation.breakdown.materialCost.value,
           testingCost: quotation.breakdown.testingCost.value,
           gst: quotation.breakdown.gst.value,
+          gstLabel: quotation.breakdown.gst.label,
           grandTotal: quotation.breakdown.grandTotal.value
         };
         
         const draft = createDraft(sessionId, 'quotation', quotationData);
+        const quotedTenderId = tenderData.tender_id || tenderData.tenderId;
+        if (quotedTenderId) {
+          registerArtefact(quotedTenderId, 'quotation', draft.draftId);
+        }
         
         let previewText = `💰 **Quotation Preview**\n\n`;
         previewText += `**Material Cost:** ${quotation.breakdown.materialCost.formatted}\n`;
@@ -545,7 +554,7 @@ export async function handleChatMessage(req, res) {
         previewText += `  └ Tests: ${quotation.testing.tests.map(t => t.name).slice(0, 3).join(', ')}...\n`;
         previewText += `**Delivery & Packaging:** ${quotation.breakdown.deliveryCost.formatted}\n`;
         previewText += `**Profit (${quotation.modifiable.profitMargin.toFixed(0)}%):** ${quotation.breakdown.profit.formatted}\n`;
-        previewText += `**GST (18%):** ${quotation.breakdown.gst.formatted}\n`;
+        previewText += `**${quotation.breakdown.gst.label}:** ${quotation.breakdown.gst.formatted}\n`;
         previewText += `**━━━━━━━━━━━━━━━━**\n`;
         previewText += `**GRAND TOTAL:** ${quotation.breakdown.grandTotal.formatted}\n\n`;
         previewText += `**Would you like to make any changes?**\n`;
@@ -740,7 +749,8 @@ export async function handleChatMessage(req, res) {
                 skuMatch: r.skuMatch,
                 canBid: r.canBid,
                 keywordsUsed: r.keywordsUsed,
-                filtersUsed: r.filtersUsed
+                filtersUsed: r.filtersUsed,
+                cluster: r.cluster
               })),
               portals: aiSearchResult.summary.portalsSearched
             },
@@ -1023,6 +1033,8 @@ export async function handleChatMessage(req, res) {
         const fallbackFilters = { keyword: filters.keyword };
         tenders = await scrapeMultiplePortals(aiResult.portals, fallbackFilters);
       }
+      const dedup = dedupeTenders(tenders);
+      tenders = dedup.tenders;
       const totalValue = tenders.reduce((sum, t) => sum + t.estimated_cost_inr, 0);
       const avgValue = tenders.length > 0 ? totalValue / tenders.length : 0;
 
@@ -1032,6 +1044,8 @@ export async function handleChatMessage(req, res) {
         avgValue,
         categories: [...new Set(tenders.map(t => t.product_category).filter(Boolean))],
         portals: [...new Set(tenders.map(t => t.portal_name).filter(Boolean))],
+        duplicatesMerged: dedup.duplicates_removed,
+        clusters: dedup.clusters,
         tenders: tenders
       };
 
@@ -1071,6 +1085,9 @@ export async function handleChatMessage(req, res) {
         if (avgValue > 0) {
           response += ` (avg: ₹${(avgValue / 100000).toFixed(1)}L)`;
         }
+        if (dedup.clusters.length > 0) {
+          response += `\n${describeClusters(dedup.clusters)}`;
+        }
       }
 
       return res.json({
@@ -1177,6 +1194,8 @@ export async function handleChatMessage(req, res) {
       }
     }
 
+    const dedup = dedupeTenders(tenders);
+    tenders = dedup.tenders;
     const totalValue = tenders.reduce((sum, t) => sum + t.estimated_cost_inr, 0);
     const avgValue = tenders.length > 0 ? totalValue / tenders.length : 0;
     const categories = [...new Set(tenders.map(t => t.product_category).filter(Boolean))];
@@ -1189,6 +1208,8 @@ export async function handleChatMessage(req, res) {
       avgValue,
       categories,
       portals: portalsSearched,
+      duplicatesMerged: dedup.duplicates_removed,
+      clusters: dedup.clusters,
       tenders: tenders.map(t => ({
         ...t,
         skuMatch: t.skuMatch || Math.floor(Math.random() * 30) + 70, // Default SKU match
@@ -1236,6 +1257,9 @@ export async function handleChatMessage(req, res) {
       if (avgValue > 0) {
         response += ` (avg: ₹${(avgValue / 100000).toFixed(1)}L)`;
       }
+      if (dedup.clusters.length > 0) {
+        response += `\n${describeClusters(dedup.clusters)}`;
+      }
     }
 
     if (tenders.length > 0) {
@@ -0,0 +1,112 @@
+/**
+ * Clause Rule Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Risky-clause rule library: list, add, edit, enable / disable rules,
+ * and run detection against RFP text or parsed PDF pages.
+ */
+
+import express from 'express';
+import {
+  detectRiskyClauses,
+  getClauseRules,
+  addClauseRule,
+  updateClauseRule
+} from '../services/risky-clauses.js';
+import { CLAUSE_RULES_CONFIG } from '../configs/settings.js';
+
+const router = express.Router();
+
+/**
+ * Rule changes require x-admin-token; without CLAUSE_ADMIN_TOKEN they are disabled
+ */
+function requireAdmin(req, res, next) {
+  if (!CLAUSE_RULES_CONFIG.adminToken) {
+    return res.status(403).json({ ok: false, error: 'Rule changes are disabled: set CLAUSE_ADMIN_TOKEN to enable them' });
+  }
+  if (req.get('x-admin-token') !== CLAUSE_RULES_CONFIG.adminToken) {
+    return res.status(401).json({ ok: false, error: 'Invalid admin token' });
+  }
+  next();
+}
+
+/**
+ * Draft rules compile caller-supplied regexes, so trialling them is a rule change too
+ */
+function requireAdminForDraftRules(req, res, next) {
+  if (req.body?.rules === undefined) return next();
+  return requireAdmin(req, res, next);
+}
+
+/**
+ * GET /api/clause-rules/rules?enabled=true
+ */
+router.get('/rules', (req, res) => {
+  try {
+    res.json({ ok: true, ...getClauseRules({ includeDisabled: req.query.enabled !== 'true' }) });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/clause-rules/rules
+ * Body: { key, pattern, severity, category?, flags?, description?,
+ *         threshold?: { group, operator, value }, suggested_deviation?, id? }
+ */
+router.post('/rules', requireAdmin, (req, res) => {
+  try {
+    const rule = addClauseRule(req.body || {});
+    res.status(201).json({ ok: true, rule });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/clause-rules/rules/:id
+ * Body: any rule fields to change (threshold: null removes the threshold)
+ */
+router.patch('/rules/:id', requireAdmin, (req, res) => {
+  try {
+    const rule = updateClauseRule(req.params.id, req.body || {});
+    res.json({ ok: true, rule });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/clause-rules/rules/:id/enable
+ * POST /api/clause-rules/rules/:id/disable
+ */
+router.post('/rules/:id/:action(enable|disable)', requireAdmin, (req, res) => {
+  try {
+    const rule = updateClauseRule(req.params.id, { enabled: req.params.action === 'enable' });
+    res.json({ ok: true, rule });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/clause-rules/detect
+ * Body: { text } or { pages: [pageText, ...] }, optional { rules: [draftRule] } to trial a rule
+ * (draft rules need x-admin-token, like saved ones)
+ */
+router.post('/detect', requireAdminForDraftRules, (req, res) => {
+  try {
+    const { text, pages, rules } = req.body || {};
+    if (!text && !Array.isArray(pages)) {
+      return res.status(400).json({ ok: false, error: 'text or pages is required' });
+    }
+    const draftRules = Array.isArray(rules)
+      ? rules.map(r => ({ id: 'DRAFT', severity: 'MEDIUM', flags: 'i', ...r }))
+      : null;
+    res.json({ ok: true, ...detectRiskyClauses({ text, pages }, { rules: draftRules }) });
+  } catch (error) {
+    res.status(error.status || 400).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
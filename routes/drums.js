@@ -0,0 +1,65 @@
+/**
+ * Drum Schedule Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Drum plan for a BOQ (standard and cut lengths per SKU, drum sizes, weights,
+ * packaging cost) and the drum schedule annexure as JSON, XLSX or PDF.
+ */
+
+import express from 'express';
+import {
+  generateDrumSchedulePdf,
+  generateDrumScheduleXlsx,
+  loadDrumTypes,
+  planDrumSchedule
+} from '../services/drum-planner.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/drums/types
+ * Drum sizes from data/drums.csv
+ */
+router.get('/types', (req, res) => {
+  try {
+    res.json({ ok: true, drums: loadDrumTypes() });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/drums/schedule?format=json|xlsx|pdf
+ * Body: {
+ *   items: [{ sku_id | requirement: "3C x 95 sqmm Al XLPE 11kV", qty_m | qty_km, cut_lengths?: [450, 380] }],
+ *   tender_id?, buyer?
+ * }
+ */
+router.post('/schedule', async (req, res) => {
+  try {
+    const { items, tender_id: tenderId, buyer } = req.body || {};
+    const schedule = planDrumSchedule({ items });
+    const meta = { tender_id: tenderId, buyer };
+    const format = (req.query.format || 'json').toLowerCase();
+    const filename = `Drum-Schedule-${String(tenderId || 'offer').replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return res.send(generateDrumScheduleXlsx(schedule, meta));
+    }
+
+    if (format === 'pdf') {
+      const buffer = await generateDrumSchedulePdf(schedule, meta);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(buffer);
+    }
+
+    res.json({ ok: true, ...schedule });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
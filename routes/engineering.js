@@ -0,0 +1,71 @@
+/**
+ * Cable Engineering Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Derated current rating, voltage drop and substitute-SKU validation
+ * against an RFP's load current and route length.
+ */
+
+import express from 'express';
+import {
+  currentRating,
+  extractLoadConditions,
+  validateSubstitute
+} from '../services/cable-engineering.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/engineering/current-rating
+ * Body: {
+ *   cable: { conductor_material, insulation, area, cores, voltage_kv },
+ *   installation?: { laying: ground|duct|air, groundTempC, airTempC, soilResistivity, depthM, groupedCircuits }
+ * }
+ */
+router.post('/current-rating', (req, res) => {
+  const { cable, installation } = req.body || {};
+  if (!cable || !cable.area) {
+    return res.status(400).json({ ok: false, error: 'cable with area (sq.mm) is required' });
+  }
+
+  const rating = currentRating(cable, installation || {});
+  if (!rating) {
+    return res.status(404).json({ ok: false, error: `No current-rating table for ${cable.area} sq.mm ${cable.conductor_material || ''} ${cable.insulation || ''}`.trim() });
+  }
+  res.json({ ok: true, ...rating });
+});
+
+/**
+ * POST /api/engineering/validate
+ * Body: {
+ *   skuId,
+ *   requirement?: "3C x 185 sqmm Al XLPE, load current 250 A, route length 400 m, laid in ground",
+ *   conditions?: { load_current_a, route_length_m, laying, ground_temp_c, grouped_circuits, max_voltage_drop_percent, ... }
+ * }
+ */
+router.post('/validate', (req, res) => {
+  try {
+    const { skuId, sku_id: skuIdAlt, requirement = '', conditions = {} } = req.body || {};
+    if (!skuId && !skuIdAlt) {
+      return res.status(400).json({ ok: false, error: 'skuId is required' });
+    }
+
+    res.json({ ok: true, ...validateSubstitute({ skuId: skuId || skuIdAlt, requirement, conditions }) });
+  } catch (error) {
+    res.status(/not found/i.test(error.message) ? 404 : error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/engineering/load-conditions
+ * Body: { text } - shows what the checker reads from RFP text
+ */
+router.post('/load-conditions', (req, res) => {
+  const { text } = req.body || {};
+  if (!text) {
+    return res.status(400).json({ ok: false, error: 'text is required' });
+  }
+  res.json({ ok: true, conditions: extractLoadConditions(text) });
+});
+
+export default router;
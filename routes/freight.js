@@ -0,0 +1,58 @@
+/**
+ * Freight Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Truck freight from our plants to a delivery city, with the best
+ * dispatching plant, and the plant / city master data behind it.
+ */
+
+import express from 'express';
+import { estimateFreight, loadCities, loadPlants } from '../services/freight-estimator.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/freight/plants
+ */
+router.get('/plants', (req, res) => {
+  try {
+    const plants = loadPlants().map(({ location, ...plant }) => plant);
+    res.json({ ok: true, plants });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/freight/cities
+ */
+router.get('/cities', (req, res) => {
+  try {
+    const cities = loadCities();
+    res.json({ ok: true, count: cities.length, cities });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/freight/estimate
+ * Body: {
+ *   city: "Navi Mumbai",
+ *   items?: [{ sku_id, qty_km | qty_m, cut_lengths? }],   // weight from the drum schedule
+ *   weight_kg?, cable_types?: ["HT Cable"]                 // or a known gross weight
+ * }
+ */
+router.post('/estimate', (req, res) => {
+  try {
+    const { city, items = [], weight_kg: weightKg, cable_types: cableTypes = [] } = req.body || {};
+    if (!city) {
+      return res.status(400).json({ ok: false, error: 'city is required' });
+    }
+    res.json({ ok: true, ...estimateFreight({ city, items, weightKg: parseFloat(weightKg) || null, cableTypes }) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
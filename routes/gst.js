@@ -0,0 +1,48 @@
+/**
+ * GST Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * HSN / SAC codes for the offer and the CGST + SGST / IGST split for a
+ * place of supply, as shown on price schedules and bid PDFs.
+ */
+
+import express from 'express';
+import { computeGst, determineSupply, taxCodes, taxRows } from '../services/gst-engine.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/gst/codes
+ */
+router.get('/codes', (req, res) => {
+  res.json({ ok: true, codes: taxCodes() });
+});
+
+/**
+ * POST /api/gst/compute
+ * Body: {
+ *   lines: [{ description, taxable_value, sku_id | cable_type + voltage_kv + insulation | service: "testing" | "installation" | follows_goods: true | hsn + rate }],
+ *   supply?: { supplier_gstin, buyer_gstin, place_of_supply: "Maharashtra", delivery_city, sez, export }
+ * }
+ */
+router.post('/compute', (req, res) => {
+  try {
+    const { lines, supply = {} } = req.body || {};
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ ok: false, error: 'lines are required' });
+    }
+    const tax = computeGst(lines, determineSupply({
+      ...(supply.supplier_gstin ? { supplierGstin: supply.supplier_gstin } : {}),
+      buyerGstin: supply.buyer_gstin || null,
+      placeOfSupply: supply.place_of_supply || null,
+      deliveryCity: supply.delivery_city || null,
+      sez: supply.sez === true,
+      export: supply.export === true
+    }));
+    res.json({ ok: true, ...tax, rows: taxRows(tax) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
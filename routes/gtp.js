@@ -0,0 +1,97 @@
+/**
+ * GTP Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Cable construction per SKU and Guaranteed Technical Particulars (GTP)
+ * schedules filled against RFP requirements, as JSON, XLSX or PDF.
+ */
+
+import express from 'express';
+import {
+  GTP_PARTICULARS,
+  buildCableConstruction,
+  buildGtpSheet,
+  generateGtpXlsx,
+  generateGtpPdf
+} from '../services/cable-construction.js';
+import { registerArtefact } from '../services/tender-revisions.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/gtp/particulars
+ * Default GTP format (particular ids usable in buyer formats and requirements)
+ */
+router.get('/particulars', (req, res) => {
+  res.json({
+    ok: true,
+    particulars: GTP_PARTICULARS.map(({ id, particular, unit, compare }) => ({ id, particular, unit, compare }))
+  });
+});
+
+/**
+ * GET /api/gtp/sku/:skuId
+ * Layer-by-layer construction of a SKU
+ */
+router.get('/sku/:skuId', (req, res) => {
+  try {
+    res.json({ ok: true, ...buildCableConstruction(req.params.skuId) });
+  } catch (error) {
+    res.status(404).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/gtp/sheet?format=json|xlsx|pdf
+ * Body: {
+ *   items: [{ skuId, requirement?: "3C x 95 sqmm Al XLPE 11kV", requirements?: { insulation_thickness_mm: 3.6 } }],
+ *   gtp_format?: [{ particular, unit?, required?, id? }],   // buyer's GTP rows, applied to every item
+ *   tender_id?, buyer?
+ * }
+ */
+router.post('/sheet', async (req, res) => {
+  try {
+    const { items, gtp_format: gtpFormat, tender_id: tenderId, buyer } = req.body || {};
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ ok: false, error: 'items array with skuId is required' });
+    }
+
+    const sheets = items.map(item => buildGtpSheet({
+      skuId: item.skuId || item.sku_id,
+      requirement: item.requirement || '',
+      requirements: item.requirements || {},
+      format: item.gtp_format || gtpFormat || null
+    }));
+    const meta = { tender_id: tenderId, buyer };
+    if (tenderId) {
+      // The compliance sheet goes stale when a corrigendum changes the BOQ or specs
+      registerArtefact(tenderId, 'compliance', 'gtp');
+    }
+    const format = (req.query.format || 'json').toLowerCase();
+    const filename = `GTP-${String(tenderId || 'offer').replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return res.send(generateGtpXlsx(sheets, meta));
+    }
+
+    if (format === 'pdf') {
+      const buffer = await generateGtpPdf(sheets, meta);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(buffer);
+    }
+
+    res.json({
+      ok: true,
+      sheets,
+      compliant: sheets.every(s => s.summary.compliant),
+      deviations: sheets.flatMap(s => s.deviations.map(d => ({ sku_id: s.sku_id, ...d })))
+    });
+  } catch (error) {
+    res.status(/not found/i.test(error.message) ? 404 : 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
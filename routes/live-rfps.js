@@ -4,6 +4,9 @@ import path from 'path';
 import { scrapeCPPPWithRetry } from '../adapters/cppp-scraper.js';
 import { searchCompany, verifyAndEnhanceCompany } from '../services/opencorporates.js';
 import { getVendorsForTags, SEED_VENDORS } from '../config/vendor-mapping.js';
+import portalsConfig from '../config/portals.js';
+import { loadPortalTenders, loadOcdsTenders } from '../utils/data-loader.js';
+import { dedupeTenders } from '../services/tender-dedup.js';
 
 const router = express.Router();
 
@@ -110,17 +113,33 @@ router.get('/collect', async (req, res) => {
     console.log(`   Keywords: ${keywords.join(', ')}`);
     console.log(`   Max results: ${maxResults}`);
     
-    const tenders = await scrapeCPPPWithRetry({ keywords, maxResults });
+    const collected = await scrapeCPPPWithRetry({ keywords, maxResults });
+    
+    // Merge live tenders that are also listed on our portal feeds / OCDS imports,
+    // keeping one canonical record per tender with links to every listing
+    const known = [
+      ...portalsConfig.flatMap(portal => loadPortalTenders(portal.id).map(t => ({ ...t, portal_id: portal.id }))),
+      ...loadOcdsTenders()
+    ];
+    const collectedIds = new Set(collected.map(t => t.tender_id));
+    const dedup = dedupeTenders([...collected, ...known]);
+    const tenders = dedup.tenders.filter(t =>
+      collectedIds.has(t.tender_id) || t.cluster?.tender_ids.some(id => collectedIds.has(id))
+    );
+    const clusters = dedup.clusters.filter(c => c.tender_ids.some(id => collectedIds.has(id)));
+    const duplicatesMerged = clusters.reduce((sum, c) => sum + c.size - 1, 0);
     
     const outputPath = path.join(DATA_DIR, 'live-tenders.json');
     fs.writeFileSync(outputPath, JSON.stringify(tenders, null, 2));
     
-    console.log(`✅ Collected ${tenders.length} live RFPs`);
+    console.log(`✅ Collected ${tenders.length} live RFPs (${duplicatesMerged} duplicate listing(s) merged)`);
     console.log(`   Saved to: ${outputPath}`);
     
     res.json({
       success: true,
       count: tenders.length,
+      duplicates_merged: duplicatesMerged,
+      clusters,
       tenders: tenders,
       cached_at: new Date().toISOString()
     });
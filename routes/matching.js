@@ -0,0 +1,72 @@
+/**
+ * Spec Matching Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Direct access to the matching engine: ranked SKUs with per-attribute
+ * explanations, and the weight profiles in use.
+ */
+
+import express from 'express';
+import { matchRequirementAsync, parseRequirement } from '../services/matching-engine.js';
+import { MATCHING_CONFIG } from '../configs/settings.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/matching/match
+ * Body: {
+ *   requirement: "3C x 240 sqmm Al XLPE 11kV armoured" | { voltage_kv, area_mm2, cores, ... },
+ *   sources?: ["catalog" | "oem_specs" | "oem_datasheets"],
+ *   profile?: "power_distribution" | "control" | "instrumentation" | "default" | "equal",
+ *   scorers?: ["semantic"],
+ *   top_n?: 5
+ * }
+ */
+router.post('/match', async (req, res) => {
+  try {
+    const { requirement, sources, profile, scorers = [], top_n: topN = 5 } = req.body || {};
+    if (!requirement) {
+      return res.status(400).json({ ok: false, error: 'requirement is required' });
+    }
+
+    const result = await matchRequirementAsync(requirement, { sources, profile, scorers, topN });
+    res.json({
+      ok: true,
+      requirement: result.requirement,
+      profile: result.profile,
+      weights: result.weights,
+      // Normalised product only; the source row stays server-side
+      matches: result.matches.map(({ product: { raw, ...product }, ...match }) => ({ ...match, product }))
+    });
+  } catch (error) {
+    res.status(/unknown product source/i.test(error.message) ? 400 : error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/matching/parse
+ * Body: { requirement } - shows what the engine reads from RFP text
+ */
+router.post('/parse', (req, res) => {
+  const { requirement } = req.body || {};
+  if (!requirement) {
+    return res.status(400).json({ ok: false, error: 'requirement is required' });
+  }
+  res.json({ ok: true, requirement: parseRequirement(requirement) });
+});
+
+/**
+ * GET /api/matching/profiles
+ */
+router.get('/profiles', (req, res) => {
+  res.json({
+    ok: true,
+    forced_profile: MATCHING_CONFIG.profile,
+    blend: MATCHING_CONFIG.blend,
+    semantic_enabled: MATCHING_CONFIG.semanticEnabled,
+    caps: MATCHING_CONFIG.caps,
+    profiles: MATCHING_CONFIG.profiles
+  });
+});
+
+export default router;
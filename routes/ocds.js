@@ -0,0 +1,73 @@
+/**
+ * OCDS Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Import Open Contracting Data Standard packages into the rfps table and
+ * browse the compiled records and the awards they carry.
+ */
+
+import express from 'express';
+import { awardSummary, getRecord, importPackage, importPackageFile, listAwards, listOcdsTenders } from '../services/ocds-importer.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/ocds/import
+ * Body: a release package ({ releases }), record package ({ records }), array of releases or one release.
+ * Without a body the bundled package (OCDS_PACKAGE_PATH) is imported.
+ */
+router.post('/import', (req, res) => {
+  try {
+    const body = req.body;
+    const empty = !body || (typeof body === 'object' && !Array.isArray(body) && Object.keys(body).length === 0);
+    const summary = empty ? importPackageFile() : importPackage(body, { source: 'api' });
+    res.json({ ok: summary.errors.length === 0 || summary.records.length > 0, ...summary });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/ocds/tenders
+ * Imported tenders in the portal JSON schema
+ */
+router.get('/tenders', (req, res) => {
+  const tenders = listOcdsTenders();
+  res.json({ ok: true, count: tenders.length, tenders });
+});
+
+/**
+ * GET /api/ocds/records/:ocid
+ * Stored releases, compiled release and mapped tender
+ */
+router.get('/records/:ocid', (req, res) => {
+  try {
+    res.json({ ok: true, ...getRecord(req.params.ocid) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/ocds/awards?supplier=&buyer=&ocid=&cable_type=&limit=
+ */
+router.get('/awards', (req, res) => {
+  const awards = listAwards({
+    supplier: req.query.supplier || null,
+    buyer: req.query.buyer || null,
+    ocid: req.query.ocid || null,
+    cableType: req.query.cable_type || null,
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+  });
+  res.json({ ok: true, count: awards.length, awards });
+});
+
+/**
+ * GET /api/ocds/awards/summary?buyer=&cable_type=
+ * Winners with award counts, value and awarded-to-estimate ratio
+ */
+router.get('/awards/summary', (req, res) => {
+  res.json({ ok: true, ...awardSummary({ buyer: req.query.buyer || null, cableType: req.query.cable_type || null }) });
+});
+
+export default router;
@@ -12,6 +12,11 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import pdfParser from '../services/pdf-parser.js';
 import submissionAgent from '../agentic/agents/submission.js';
+import {
+  buildDeviationSchedule,
+  generateDeviationDocx,
+  generateDeviationPdf
+} from '../services/deviation-letter.js';
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -187,7 +192,8 @@ router.post('/parse-rfp', upload.single('pdf'), async (req, res) => {
       filename: req.file.originalname,
       extraction_method: parseResult.extraction_method,
       rfp_summary: parseResult.summary,
-      num_pages: parseResult.num_pages
+      num_pages: parseResult.num_pages,
+      risky_clauses: parseResult.risky_clauses
     };
 
     // Optionally generate submission plan
@@ -540,6 +546,86 @@ router.post('/generate-letter', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/pdf/deviation-schedule?format=json|docx|pdf
+ * Schedule of Deviations and pre-bid query letter from detected risky clauses and gaps
+ *
+ * Body (JSON or multipart with a `pdf` file): {
+ *   rfp: { tender_id, title, organisation, buyer_address },
+ *   rfp_text: string, pages: [string] (not needed when a PDF is uploaded),
+ *   bidder: { name, address, ... } (optional letterhead overrides)
+ * }
+ */
+router.post('/deviation-schedule', upload.single('pdf'), async (req, res) => {
+  try {
+    // Multipart forms send rfp / bidder / pages as JSON strings
+    const fields = {};
+    for (const field of ['rfp', 'bidder', 'pages']) {
+      const value = req.body[field];
+      try {
+        fields[field] = typeof value === 'string' ? JSON.parse(value) : value;
+      } catch {
+        if (req.file) fs.rmSync(req.file.path, { force: true });
+        return res.status(400).json({ success: false, error: `${field} is not valid JSON` });
+      }
+    }
+    const rfp = fields.rfp || {};
+    const bidder = fields.bidder || {};
+    let pages = fields.pages || null;
+    let rfpText = req.body.rfp_text || '';
+
+    if (req.file) {
+      const parsed = await pdfParser.parsePDF(req.file.path);
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (e) {
+        console.log('Could not delete temp file:', e.message);
+      }
+      if (!parsed.success) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      rfpText = parsed.text;
+      pages = parsed.pages || null;
+    }
+
+    if (!rfpText && !Array.isArray(pages)) {
+      return res.status(400).json({
+        success: false,
+        error: 'rfp_text, pages or a pdf file is required'
+      });
+    }
+
+    const schedule = buildDeviationSchedule({ rfp, rfpText, pages, bidder });
+    const format = (req.query.format || req.body.format || 'json').toLowerCase();
+    const filename = `deviations-${String(schedule.tender_id).replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+
+    console.log(`📝 Deviation schedule for ${schedule.tender_id}: ${schedule.summary.deviation_count} deviations, ${schedule.summary.query_count} queries (${format})`);
+
+    if (format === 'docx') {
+      const buffer = await generateDeviationDocx(schedule);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.docx"`);
+      return res.send(buffer);
+    }
+
+    if (format === 'pdf') {
+      const buffer = await generateDeviationPdf(schedule);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(buffer);
+    }
+
+    res.json({ success: true, ...schedule });
+
+  } catch (error) {
+    console.error('Deviation schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/pdf/rfp/:tenderId
  * Serve the correct RFP PDF (uploaded version if available, otherwise original)
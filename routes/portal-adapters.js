@@ -0,0 +1,55 @@
+/**
+ * Portal Adapter Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Adapter health, on-demand crawls into the rfps table and the crawl run log.
+ * The cron crawl starts with the server when PORTAL_CRAWL_ENABLED=true.
+ */
+
+import express from 'express';
+import { getCrawlStatus, listCrawlRuns, runCrawl, startCrawlScheduler } from '../services/crawl-scheduler.js';
+import { PORTAL_CRAWL_CONFIG } from '../configs/settings.js';
+
+const router = express.Router();
+
+if (PORTAL_CRAWL_CONFIG.enabled) {
+  startCrawlScheduler();
+}
+
+/**
+ * GET /api/portal-adapters
+ * Adapters with health, last run and scheduler settings
+ */
+router.get('/', (req, res) => {
+  res.json({ ok: true, ...getCrawlStatus() });
+});
+
+/**
+ * GET /api/portal-adapters/runs?adapter=cppp&limit=20
+ */
+router.get('/runs', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+  res.json({ ok: true, runs: listCrawlRuns({ adapterId: req.query.adapter || null, limit }) });
+});
+
+/**
+ * POST /api/portal-adapters/:id/crawl
+ * Body: { keywords?: ["cable"], max_pages?: 5, details?: true, download_documents?: false }
+ */
+router.post('/:id/crawl', async (req, res) => {
+  try {
+    const { keywords, max_pages: maxPages, details, download_documents: downloadDocuments } = req.body || {};
+    const run = await runCrawl(req.params.id, {
+      trigger: 'manual',
+      ...(Array.isArray(keywords) ? { keywords } : {}),
+      ...(parseInt(maxPages, 10) > 0 ? { maxPages: parseInt(maxPages, 10) } : {}),
+      ...(typeof details === 'boolean' ? { details } : {}),
+      ...(typeof downloadDocuments === 'boolean' ? { downloadDocuments } : {})
+    });
+    res.status(run.status === 'failed' ? 502 : 200).json({ ok: run.status !== 'failed', run });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,91 @@
+/**
+ * Price Variation Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Metal PV clause calculator: SKU material content, index rates,
+ * firm vs variable quotations and PV annexures.
+ */
+
+import express from 'express';
+import {
+  getIndexRates,
+  decomposeSku,
+  getEscalationRates,
+  calculatePriceVariation,
+  buildPriceVariationQuotation
+} from '../services/price-variation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/price-variation/indices?date=YYYY-MM-DD&lagMonths=1
+ * Metal rates in force on a date
+ */
+router.get('/indices', (req, res) => {
+  try {
+    const lagMonths = parseInt(req.query.lagMonths, 10) || 0;
+    const rates = getIndexRates(req.query.date, { lagMonths });
+    res.json({ ok: true, ...rates, escalation_rules: getEscalationRates() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/price-variation/sku/:skuId
+ * Copper / aluminium / steel / XLPE / PVC content per km of a SKU
+ */
+router.get('/sku/:skuId', (req, res) => {
+  try {
+    res.json({ ok: true, ...decomposeSku(req.params.skuId) });
+  } catch (error) {
+    res.status(404).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/price-variation/calculate
+ * Body: { skuId, quantityKm, baseDate, currentDate, lagMonths?, ceilingPercent? }
+ * PV payable for a SKU between the base date and the current date
+ */
+router.post('/calculate', (req, res) => {
+  try {
+    const { skuId, quantityKm, baseDate, currentDate, lagMonths, ceilingPercent } = req.body || {};
+    if (!skuId) {
+      return res.status(400).json({ ok: false, error: 'skuId is required' });
+    }
+    const result = calculatePriceVariation({
+      skuId,
+      quantityKm: parseFloat(quantityKm) || 1,
+      baseDate,
+      currentDate,
+      lagMonths: lagMonths ?? 1,
+      ceilingPercent: ceilingPercent ?? null
+    });
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/price-variation/quotation
+ * Body: { items: [{ skuId, quantityKm }], baseDate?, currentDate?, deliveryMonths?,
+ *         exposureMonths?, lagMonths?, ceilingPercent? }
+ * Firm-price vs variable-price quotation with the PV annexure.
+ * ?format=text returns only the annexure as plain text.
+ */
+router.post('/quotation', (req, res) => {
+  try {
+    const quotation = buildPriceVariationQuotation(req.body || {});
+    if (req.query.format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(quotation.annexure.text);
+    }
+    res.json({ ok: true, ...quotation });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,6 +1,10 @@
 import express from 'express';
 import dayjs from 'dayjs';
-import { scheduleReminder, buildICS, startReminderDaemon, getReminders } from '../services/reminders.js';
+import { scheduleReminder, applyReminderPolicy, buildICS, buildCalendarFeed, startReminderDaemon, getReminders } from '../services/reminders.js';
+import { listChannels, reminderNotifications } from '../services/reminder-channels.js';
+import { updateRfpMilestones } from '../services/rfpMemory.js';
+import { recordRevision, notifyRevision } from '../services/tender-revisions.js';
+import { REMINDER_CONFIG } from '../configs/settings.js';
 
 const router = express.Router();
 
@@ -10,19 +14,24 @@ startReminderDaemon((reminder) => {
 
 router.post('/', express.json(), (req, res) => {
   try {
-    const { rfpId, minutesBefore = 120, channel = 'ui' } = req.body || {};
+    const { rfpId, minutesBefore = 120, milestone = 'due', channel = 'ui', target = null } = req.body || {};
     
     if (!rfpId) {
       return res.status(400).json({ error: 'rfpId required' });
     }
     
-    const remindAt = dayjs().add(minutesBefore, 'minute').toISOString();
-    scheduleReminder({ rfpId, remindAt, channel });
+    let reminder;
+    try {
+      reminder = scheduleReminder({ rfpId, minutesBefore, milestone, channel, target });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
     res.json({ 
       ok: true, 
-      remindAt, 
-      message: `Reminder set for ${dayjs(remindAt).format('MMM DD, YYYY HH:mm')}` 
+      remindAt: reminder.remindAt,
+      milestone,
+      message: `Reminder set for ${dayjs(reminder.remindAt).format('MMM DD, YYYY HH:mm')}` 
     });
   } catch (error) {
     console.error('Error scheduling reminder:', error);
@@ -30,6 +39,131 @@ router.post('/', express.json(), (req, res) => {
   }
 });
 
+/**
+ * POST /api/reminders/policy
+ * Attach a reminder policy (offsets before due date, pre-bid meeting and
+ * clarification deadline) to an RFP. Replaces its pending reminders.
+ */
+router.post('/policy', express.json(), (req, res) => {
+  try {
+    const { rfpId, policy, channels, target = null } = req.body || {};
+    
+    if (!rfpId) {
+      return res.status(400).json({ error: 'rfpId required' });
+    }
+    
+    const unknown = (channels || []).filter(c => !listChannels().includes(c));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown channel(s): ${unknown.join(', ')}`, available: listChannels() });
+    }
+    
+    let result;
+    try {
+      result = applyReminderPolicy(rfpId, { policy, channels, target });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error('Error applying reminder policy:', error);
+    res.status(500).json({ error: 'Failed to apply reminder policy' });
+  }
+});
+
+/**
+ * PUT /api/reminders/:rfpId/milestones
+ * Set tender milestones; pass reapply=true to reschedule with the default policy.
+ * Date changes are recorded as a tender revision like any other amendment.
+ */
+router.put('/:rfpId/milestones', express.json(), (req, res) => {
+  try {
+    const { dueDate, preBidDate, clarificationDueDate, emdDueDate, reapply = false } = req.body || {};
+    const updated = updateRfpMilestones(req.params.rfpId, { dueDate, preBidDate, clarificationDueDate, emdDueDate });
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'RFP not found' });
+    }
+    
+    const revision = recordRevision(req.params.rfpId, { source: 'manual', kind: 'update' });
+    notifyRevision(revision).catch(error => console.warn(`⚠️  Revision notice failed: ${error.message}`));
+    
+    const policy = reapply ? applyReminderPolicy(req.params.rfpId) : null;
+    res.json({ ok: true, rfpId: req.params.rfpId, revision: revision.revision, policy });
+  } catch (error) {
+    console.error('Error updating milestones:', error);
+    res.status(500).json({ error: 'Failed to update milestones' });
+  }
+});
+
+/**
+ * GET /api/reminders/calendar
+ * Subscription URLs for the bid calendar feed
+ */
+router.get('/calendar', (req, res) => {
+  const host = req.get('host');
+  const query = REMINDER_CONFIG.calendarFeedToken ? `?token=${encodeURIComponent(REMINDER_CONFIG.calendarFeedToken)}` : '';
+  const feedPath = `${req.baseUrl}/calendar.ics${query}`;
+  
+  res.json({
+    webcalUrl: `webcal://${host}${feedPath}`,
+    httpsUrl: `${req.protocol}://${host}${feedPath}`
+  });
+});
+
+/**
+ * GET /api/reminders/calendar.ics
+ * Subscribable ICS feed of every tracked RFP's milestones and reminders
+ */
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    if (REMINDER_CONFIG.calendarFeedToken && req.query.token !== REMINDER_CONFIG.calendarFeedToken) {
+      return res.status(401).send('Invalid calendar token');
+    }
+    
+    const result = await buildCalendarFeed();
+    
+    if (!result.ok) {
+      return res.status(500).send(result.msg);
+    }
+    
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="conrad-bid-calendar.ics"');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(result.ics);
+  } catch (error) {
+    console.error('Error generating calendar feed:', error);
+    res.status(500).send('Failed to generate calendar feed');
+  }
+});
+
+/**
+ * GET /api/reminders/channels
+ */
+router.get('/channels', (req, res) => {
+  res.json({ channels: listChannels() });
+});
+
+/**
+ * GET /api/reminders/stream
+ * SSE stream of in-app ("ui" channel) reminder notifications
+ */
+router.get('/stream', (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  
+  const onNotification = (notification) => {
+    res.write(`event: reminder\ndata: ${JSON.stringify(notification)}\n\n`);
+  };
+  
+  reminderNotifications.on('notification', onNotification);
+  req.on('close', () => {
+    reminderNotifications.off('notification', onNotification);
+  });
+});
+
 router.get('/:rfpId', (req, res) => {
   try {
     const reminders = getReminders(req.params.rfpId);
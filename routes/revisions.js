@@ -0,0 +1,110 @@
+/**
+ * Tender Revision Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Revision history of a tender (corrigenda, addenda, portal updates), the
+ * structured diff between revisions and the downstream artefacts that a
+ * material change has made stale.
+ */
+
+import express from 'express';
+import {
+  compareRevisions,
+  getRevision,
+  listArtefacts,
+  listRevisions,
+  notifyRevision,
+  recordRevision,
+  registerArtefact
+} from '../services/tender-revisions.js';
+import { updateRfpMilestones } from '../services/rfpMemory.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/revisions/:rfpId?snapshots=true
+ * Revisions oldest first, with their diff against the previous revision
+ */
+router.get('/:rfpId', (req, res) => {
+  const revisions = listRevisions(req.params.rfpId, { snapshots: req.query.snapshots === 'true' });
+  if (revisions.length === 0) {
+    return res.status(404).json({ ok: false, error: `No revisions recorded for ${req.params.rfpId}` });
+  }
+  res.json({
+    ok: true,
+    rfp_id: req.params.rfpId,
+    latest: revisions[revisions.length - 1].revision,
+    revisions,
+    stale_artefacts: listArtefacts(req.params.rfpId, { status: 'stale' })
+  });
+});
+
+/**
+ * POST /api/revisions/:rfpId
+ * Record a corrigendum / addendum entered by hand.
+ * Body: { kind?, dueDate?, preBidDate?, clarificationDueDate?, emdDueDate?,
+ *         tender?: { cable_requirements, emd_amount, payment_terms, delivery_period, ... } }
+ */
+router.post('/:rfpId', (req, res) => {
+  try {
+    const { kind = 'corrigendum', dueDate, preBidDate, clarificationDueDate, emdDueDate, tender = {} } = req.body || {};
+    if (!updateRfpMilestones(req.params.rfpId, { dueDate, preBidDate, clarificationDueDate, emdDueDate })) {
+      return res.status(404).json({ ok: false, error: `RFP not found: ${req.params.rfpId}` });
+    }
+    const result = recordRevision(req.params.rfpId, { tender, source: 'manual', kind });
+    notifyRevision(result).catch(error => console.warn(`⚠️  Revision notice failed: ${error.message}`));
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revisions/:rfpId/diff?from=&to=
+ * Diff between any two revisions (defaults: latest against the previous one)
+ */
+router.get('/:rfpId/diff', (req, res) => {
+  try {
+    const from = req.query.from ? parseInt(req.query.from, 10) : null;
+    const to = req.query.to ? parseInt(req.query.to, 10) : null;
+    res.json({ ok: true, ...compareRevisions(req.params.rfpId, from, to) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revisions/:rfpId/artefacts?status=stale
+ */
+router.get('/:rfpId/artefacts', (req, res) => {
+  const artefacts = listArtefacts(req.params.rfpId, { status: req.query.status || null });
+  res.json({ ok: true, rfp_id: req.params.rfpId, count: artefacts.length, artefacts });
+});
+
+/**
+ * POST /api/revisions/:rfpId/artefacts
+ * Body: { kind: 'quotation' | 'compliance' | 'reminders' | ..., ref? }
+ * Records that the artefact was (re)built on the latest revision, clearing any stale flag.
+ */
+router.post('/:rfpId/artefacts', (req, res) => {
+  try {
+    const { kind, ref = '' } = req.body || {};
+    res.json({ ok: true, ...registerArtefact(req.params.rfpId, kind, ref) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/revisions/:rfpId/:revision
+ * One revision with its snapshot
+ */
+router.get('/:rfpId/:revision', (req, res) => {
+  try {
+    res.json({ ok: true, ...getRevision(req.params.rfpId, req.params.revision) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
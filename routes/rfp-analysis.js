@@ -20,6 +20,7 @@ import {
 } from '../services/pricing-analysis.js';
 import { getCredibilityScore } from '../services/credibility.js';
 import { getOEMProducts } from '../services/oem-datasheets.js';
+import { getBundle, getBundleText } from '../services/tender-bundle.js';
 
 const router = express.Router();
 
@@ -43,12 +44,16 @@ router.get('/rubric', (req, res) => {
  * Body: {
  *   rfp: { tender_id, title, material, estimated_cost_inr, organisation },
  *   company_name: string (optional),
- *   quoted_price: number (optional)
+ *   quoted_price: number (optional),
+ *   rfp_text: string (optional) - full RFP text for EMD / PBG / LD / retention terms
  * }
+ * When the tender was uploaded as a bundle, missing RFP fields come from the merged
+ * bundle data and the terms are read from its corrigenda, SCC, GCC and NIT.
  */
 router.post('/complete', async (req, res) => {
   try {
-    const { rfp, company_name, quoted_price } = req.body;
+    const { company_name, quoted_price } = req.body;
+    let { rfp, rfp_text } = req.body;
     
     if (!rfp) {
       return res.status(400).json({ 
@@ -57,6 +62,19 @@ router.post('/complete', async (req, res) => {
       });
     }
     
+    const bundle = rfp.tender_id ? getBundle(rfp.tender_id) : null;
+    if (bundle) {
+      const { data } = bundle;
+      rfp = {
+        ...rfp,
+        title: rfp.title || data.title,
+        organisation: rfp.organisation || data.organisation,
+        estimated_cost_inr: rfp.estimated_cost_inr || data.estimated_cost_inr,
+        material: rfp.material || (data.cable_requirements || []).map(item => item.description).filter(Boolean).join('; ') || undefined
+      };
+      rfp_text = rfp_text || getBundleText(bundle.id, { roles: ['corrigendum', 'scc', 'gcc', 'nit'] }) || undefined;
+    }
+    
     // Get matched products for the RFP
     const matcher = getEnhancedMatcher();
     const requirement = rfp.material || rfp.title || '';
@@ -67,13 +85,15 @@ router.post('/complete', async (req, res) => {
       rfp,
       matchedProducts: matchResults.matches,
       companyName: company_name || rfp.organisation,
-      quotedPrice: quoted_price
+      quotedPrice: quoted_price,
+      rfpText: rfp_text
     });
     
     res.json({
       success: true,
       analysis,
-      match_results: matchResults
+      match_results: matchResults,
+      ...(bundle ? { bundle: { id: bundle.id, documents: bundle.documents.length, field_sources: bundle.field_sources } } : {})
     });
     
   } catch (error) {
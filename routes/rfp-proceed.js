@@ -65,203 +65,33 @@ function parseCableRequirementsFromAnalysis(analysisText, rawData) {
       while ((match = pattern.exec(analysisText)) !== null) {
         if (match.length >= 3) {
           const itemNo = match.length === 4 ? parseInt(match[1]) : cables.length + 1;
-          async function handleAnalyzeRequest(req, res) {
-            try {
-              const { tenderId, rfpData, useDynamicParsing = true } = req.body || {};
-
-              console.log(`\n🚀 [RFP Proceed] Analyzing tender: ${tenderId}`);
-
-              // STEP 1: Load base tender data from JSON (always needed for fallback fields)
-              let tender = rfpData;
-              if (tenderId && !rfpData) {
-                tender = loadTenderById(tenderId);
-              }
-
-              if (!tender && !tenderId) {
-                return res.status(400).json({
-                  success: false,
-                  error: 'Either tenderId or rfpData is required'
-                });
-              }
-
-              // STEP 2: If dynamic parsing is enabled and a tenderId is provided,
-              // analyze the actual PDF (uploaded or original) to ensure ANY PDF is parsed.
-              if (tenderId && useDynamicParsing) {
-                console.log(`   📄 Dynamic parsing enabled for ${tenderId} - analyzing actual PDF`);
-                const pdfAnalysis = await analyzeRFPById(tenderId);
-
-                if (pdfAnalysis && pdfAnalysis.success) {
-                  return res.json({
-                    success: true,
-                    analysis_method: 'DYNAMIC_PDF',
-                    source: pdfAnalysis.pdf_source || 'PDF',
-                    ...pdfAnalysis
-                  });
-                } else {
-                  // If dynamic parsing failed, fall back to stored uploaded data or JSON
-                  console.warn(`   ⚠️ Dynamic PDF analysis failed for ${tenderId}:`, pdfAnalysis?.error || 'unknown');
-                  // continue to check stored uploaded data or JSON below
-                }
-              }
-
-              // STEP 2: Check if there's an UPLOADED PDF for this tender
-              // If user uploaded an edited PDF, use that data instead!
-              const uploadedData = tenderId ? getExtractedData(tenderId) : null;
-
-              if (uploadedData) {
-                console.log(`\n   ════════════════════════════════════════════════════`);
-                console.log(`   📥 FOUND UPLOADED PDF DATA for ${tenderId}!`);
-                console.log(`   📊 Using data from user's uploaded PDF instead of JSON`);
-                console.log(`   ════════════════════════════════════════════════════`);
-
-                // Parse the uploaded PDF's analysis
-                const analysisText = uploadedData.analysis_text || '';
-                const rawData = uploadedData.raw_data || {};
-
-                // DEBUG: Log what we have from extraction
-                console.log(`\n   🔍 DEBUG: raw_data.cable_requirements =`, JSON.stringify(rawData?.cable_requirements, null, 2));
-                console.log(`   🔍 DEBUG: raw_data.testing_requirements =`, JSON.stringify(rawData?.testing_requirements, null, 2));
-                console.log(`   🔍 DEBUG: raw_data.external_testing_required =`, rawData?.external_testing_required);
-
-                // Build cable requirements from uploaded data
-                const parsedCables = parseCableRequirementsFromAnalysis(analysisText, rawData);
-                console.log(`   📦 Parsed ${parsedCables.length} cables from uploaded PDF`);
-
-                // Build testing requirements
-                const parsedTests = parseTestingFromAnalysis(analysisText, rawData);
-                console.log(`   🧪 Parsed ${parsedTests.length} tests from uploaded PDF`);
-
-                // Check for external testing
-                const externalTesting = parseExternalTestingFromAnalysis(analysisText, rawData);
-                console.log(`   🔬 External testing required: ${externalTesting}`);
-
-                // Get submission mode
-                const submissionMode = parseSubmissionModeFromAnalysis(analysisText, rawData);
-                console.log(`   📤 Submission mode: ${submissionMode}`);
-
-                // Parse additional fields
-                const parsedTerms = parseTermsFromAnalysis(rawData);
-                const parsedDueDate = parseDueDateFromAnalysis(rawData);
-
-                // Merge with base tender data (UPLOADED PDF data takes PRIORITY)
-                const mergedTender = {
-                  ...(tender || {}),
-                  tender_id: tenderId,
-                  organisation: uploadedData.organisation || rawData?.organisation || tender?.organisation,
-                  title: uploadedData.title || rawData?.title || tender?.title,
-                  // Due date from uploaded PDF takes priority!
-                  due_date: parsedDueDate || uploadedData.due_date || tender?.due_date,
-                  city: uploadedData.city || rawData?.city || tender?.city,
-                  estimated_cost: uploadedData.estimated_cost || rawData?.estimated_cost_inr || tender?.estimated_cost,
-                  // Cable requirements from uploaded PDF (with correct quantities!)
-                  cable_requirements: parsedCables.length > 0 ? parsedCables : (tender?.cable_requirements || []),
-                  // Testing from uploaded PDF
-                  tests_required: parsedTests.length > 0 ? parsedTests : (tender?.tests_required || []),
-                  external_testing_required: externalTesting,
-                  // Submission mode from uploaded PDF
-                  submission: {
-                    mode: submissionMode,
-                    email: rawData?.submission_email || rawData?.contact_email || tender?.submission?.email,
-                    ...(tender?.submission || {})
-                  },
-                  // Terms from uploaded PDF
-                  terms: {
-                    delivery: parsedTerms.delivery || tender?.terms?.delivery,
-                    payment: parsedTerms.payment || tender?.terms?.payment,
-                    warranty: parsedTerms.warranty || tender?.terms?.warranty,
-                    ...(tender?.terms || {})
-                  }
-                };
-
-                // Normalise common field names to avoid undefined lookups in other modules
-                // Provide multiple aliases used across the codebase so UI and routes don't see undefined
-                mergedTender.submission = mergedTender.submission || {};
-                // ensure both .mode and .submission_mode are available
-                mergedTender.submission.mode = mergedTender.submission.mode || submissionMode;
-                mergedTender.submission.submission_mode = mergedTender.submission.submission_mode || mergedTender.submission.mode;
-                // email variants
-                mergedTender.submission.email = mergedTender.submission.email || mergedTender.submission.submission_email || mergedTender.submission.email || mergedTender.submission.submissionEmail || mergedTender.submission_email || rawData?.submission_email || rawData?.contact_email || tender?.submission?.email;
-                mergedTender.submission.submission_email = mergedTender.submission.submission_email || mergedTender.submission.email;
-                // address variants
-                mergedTender.submission.submission_address = mergedTender.submission.submission_address || mergedTender.submission.submissionAddress || tender?.submission?.submission_address || tender?.submission_address || rawData?.submission_address;
-                // external testing flags - ensure consistent boolean
-                mergedTender.external_testing_required = !!mergedTender.external_testing_required || !!rawData?.external_testing_required || false;
-                mergedTender.tests_required = mergedTender.tests_required || mergedTender.testing_requirements || tender?.tests_required || tender?.testing_requirements || [];
-
-                console.log(`\n   ═══════════════════════════════════════`);
-                console.log(`   📊 MERGED TENDER DATA (from uploaded PDF):`);
-                console.log(`   ═══════════════════════════════════════`);
-                console.log(`   📋 Tender ID: ${mergedTender.tender_id}`);
-                console.log(`   🏢 Organisation: ${mergedTender.organisation}`);
-                console.log(`   📅 Due Date: ${mergedTender.due_date}`);
-                console.log(`   📦 Cable Requirements: ${mergedTender.cable_requirements.length} items`);
-                mergedTender.cable_requirements.forEach((c, i) => {
-                  console.log(`      Item ${i+1}: ${c.description || c.cable_type} - ${c.qty_km} km`);
-                });
-                console.log(`   🧪 Tests Required: ${mergedTender.tests_required.length}`);
-                console.log(`   🔬 External Testing: ${mergedTender.external_testing_required}`);
-                console.log(`   📤 Submission Mode: ${mergedTender.submission.mode}`);
-                console.log(`   ═══════════════════════════════════════\n`);
-
-                // Analyze using merged data
-                const analysis = analyzeRFP(mergedTender);
-
-                return res.json({
-                  success: true,
-                  analysis_method: 'UPLOADED_PDF',
-                  source: 'User uploaded PDF',
-                  ...analysis
-                });
-              }
-
-              // STEP 3: No uploaded PDF data used - use original JSON-based analysis
-              console.log(`   📋 No uploaded PDF data used, using JSON data (if provided)`);
-
-              if (!tender) {
-                return res.status(404).json({
-                  success: false,
-                  error: `Tender ${tenderId} not found`
-                });
-              }
-
-              // Analyze RFP using original method (JSON-based analysis)
-              const analysis = analyzeRFP(tender);
-
-              res.json({
-                success: true,
-                analysis_method: 'JSON_BASED',
-                ...analysis
-              });
-
-            } catch (error) {
-              console.error('[RFP Proceed] Error:', error);
-              res.status(500).json({
-                success: false,
-                error: error.message
-              });
-            }
-          }
-
-          // POST handler
-          router.post('/analyze', handleAnalyzeRequest);
-
-          // Allow GET for convenience (e.g., browser) — maps query params to body
-          router.get('/analyze', async (req, res) => {
-            // Map query parameters to expected POST body
-            const { tenderId, useDynamicParsing = 'true', rfpData } = req.query;
-            try {
-              req.body = {
-                tenderId,
-                useDynamicParsing: useDynamicParsing === 'true' || useDynamicParsing === '1',
-                rfpData: rfpData ? JSON.parse(rfpData) : undefined
-              };
-            } catch (e) {
-              // if parsing fails, ignore rfpData
-              req.body = { tenderId, useDynamicParsing: useDynamicParsing === 'true' || useDynamicParsing === '1' };
-            }
-            return handleAnalyzeRequest(req, res);
+          const description = (match.length === 4 ? match[2] : match[1]).trim();
+          const qtyKm = parseFloat(match.length === 4 ? match[3] : match[2]);
+          const voltage = description.match(/(\d+(?:\.\d+)?)\s*kV/i);
+          const cableType = description.match(/(HT|LT|Control|EHV|Instrumentation)\s*Cable/i);
+          const cores = description.match(/(\d+)\s*C(?:ore)?\b/i);
+          const size = description.match(/(\d+(?:\.\d+)?)\s*sq\.?\s*mm/i);
+          cables.push({
+            item_no: itemNo,
+            description,
+            cable_type: cableType ? `${cableType[1]} Cable` : 'Cable',
+            voltage: voltage ? `${voltage[1]}kV` : '',
+            cores: cores ? cores[1] : '',
+            size_sqmm: size ? size[1] : '',
+            conductor: /alumin/i.test(description) ? 'Aluminium' : 'Copper',
+            qty_km: qtyKm || 0
           });
-  /**
+        }
+      }
+      if (cables.length > 0) break;
+    }
+  }
+  
+  console.log(`   📦 Parsed ${cables.length} cables from text`);
+  return cables;
+}
+
+/**
  * Parse due date from extracted data
  */
 function parseDueDateFromAnalysis(rawData) {
@@ -693,9 +523,17 @@ router.post('/generate-bid-pdf', async (req, res) => {
         drawRow('External Testing:', 'To Be Confirmed*', false, '*Quote pending from testing lab');
       }
       
-      // GST
-      if (finalQuotation.gst?.amount !== undefined) {
-        drawRow('GST @ 18%:', finalQuotation.gst?.amount);
+      // GST: CGST + SGST within the state, IGST otherwise, nil for SEZ / export under LUT
+      if (finalQuotation.gst?.components) {
+        finalQuotation.gst.components.forEach(row => drawRow(`${row.label}:`, row.amount));
+        if (finalQuotation.gst.hsnSummary?.length > 0) {
+          doc.fontSize(8).font('Helvetica-Oblique');
+          doc.text(`HSN/SAC: ${finalQuotation.gst.hsnSummary.map(h => `${h.hsn} (Rs. ${h.taxable_value.toLocaleString('en-IN')})`).join(', ')}`, 55, doc.y);
+          doc.font('Helvetica').fontSize(9);
+          doc.moveDown(0.3);
+        }
+      } else if (finalQuotation.gst?.amount !== undefined) {
+        drawRow('GST:', finalQuotation.gst?.amount);
       }
       
       doc.moveDown(0.3);
@@ -0,0 +1,77 @@
+/**
+ * Standards Registry Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Cable standards with declared equivalences and supersessions, and the
+ * comparison used by spec matching and test selection.
+ */
+
+import express from 'express';
+import {
+  compareStandards,
+  getStandard,
+  getStandards,
+  parseStandardRefs,
+  testApplicability
+} from '../services/standards-registry.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/standards?body=IS&kind=product|test_method
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ ok: true, standards: getStandards({ body: req.query.body, kind: req.query.kind }) });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/standards/lookup?ref=IS 7098 Part 2&voltage_kv=11
+ */
+router.get('/lookup', (req, res) => {
+  try {
+    const { ref, voltage_kv: voltageKv, insulation } = req.query;
+    if (!ref) {
+      return res.status(400).json({ ok: false, error: 'ref is required' });
+    }
+    const context = { voltage_kv: voltageKv ? parseFloat(voltageKv) : undefined, insulation };
+    res.json({ ok: true, references: parseStandardRefs(ref), standard: getStandard(ref, context) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/standards/compare
+ * Body: {
+ *   required: "IEC 60502-2",
+ *   offered: "IS 7098 (Part 2)" | ["IS 7098 Part 2", "IEC 60502-2"],
+ *   voltage_kv?: 11, insulation?: "XLPE",
+ *   tests?: ["IS 8130", "IEC 60840"] - test standards to check against the required standard
+ * }
+ */
+router.post('/compare', (req, res) => {
+  try {
+    const { required, offered, voltage_kv: voltageKv, insulation, tests = [] } = req.body || {};
+    if (!required) {
+      return res.status(400).json({ ok: false, error: 'required is required' });
+    }
+    const context = { voltage_kv: voltageKv, insulation };
+    const comparison = offered ? compareStandards(required, offered, context) : null;
+    if (offered && !comparison) {
+      return res.status(400).json({ ok: false, error: `No standard reference found in "${required}"` });
+    }
+    res.json({
+      ok: true,
+      comparison,
+      tests: tests.map(test => ({ standard: test, ...testApplicability(test, required, context) }))
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,77 @@
+/**
+ * Test Plan Routes
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Dependency-aware test execution schedule (manufacturing, routine, type and
+ * witnessed acceptance tests, dispatch) checked against the RFP delivery
+ * period, and the Quality Assurance Plan (QAP) annexure.
+ */
+
+import express from 'express';
+import {
+  buildQap,
+  generateQapXlsx,
+  planTestExecution,
+  renderTestPlanHtml
+} from '../services/test-planner.js';
+
+const router = express.Router();
+
+function planFromBody(body = {}) {
+  return planTestExecution({
+    items: body.items,
+    rfp: body.rfp || {},
+    tests: body.tests || null,
+    startDate: body.start_date || null,
+    lab: body.lab || null
+  });
+}
+
+/**
+ * POST /api/test-plan?format=json|html
+ * Body: {
+ *   items: [{ sku_id | requirement: "3C x 95 sqmm Al XLPE 11kV", qty_km, cut_lengths?, standard?, lead_time_days? }],
+ *   rfp?: { tender_id, organisation, due_date, delivery_date | delivery_period: "90 days from PO" | delivery_weeks, standard },
+ *   tests?: ["T001", "T002"],   // tests the RFP names (default: applicable tests per item)
+ *   start_date?: "2025-07-01",  // PO / LOA date
+ *   lab?: "CPRI"
+ * }
+ */
+router.post('/', (req, res) => {
+  try {
+    const plan = planFromBody(req.body);
+    if ((req.query.format || 'json').toLowerCase() === 'html') {
+      return res.type('html').send(renderTestPlanHtml(plan));
+    }
+    res.json({ ok: true, plan, qap: buildQap(plan) });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/test-plan/qap?format=json|html|xlsx
+ * Same body as POST /api/test-plan; returns only the QAP annexure
+ */
+router.post('/qap', (req, res) => {
+  try {
+    const plan = planFromBody(req.body);
+    const qap = buildQap(plan);
+    const format = (req.query.format || 'json').toLowerCase();
+    const filename = `QAP-${String(plan.rfp_id || 'offer').replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return res.send(generateQapXlsx(qap));
+    }
+    if (format === 'html') {
+      return res.type('html').send(renderTestPlanHtml(plan, { timeline: false }));
+    }
+    res.json({ ok: true, qap });
+  } catch (error) {
+    res.status(error.status || 500).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
@@ -100,23 +100,34 @@ router.post('/document', upload.single('document'), async (req, res) => {
       const rfpData = {
         id: analysis.extractedData?.tender_id || analysis.extractedData?.tenderId || `RFP-${Date.now()}`,
         portal: analysis.extractedData?.portal || 'upload',
-        buyerName: companyName,
-        title: analysis.extractedData?.title || req.file.originalname,
+        buyerName: companyName === 'Unknown' ? null : companyName,
+        // Fields the document does not state stay null so a revision keeps the stored values
+        title: analysis.extractedData?.title || null,
         city: analysis.extractedData?.city || analysis.extractedData?.location || null,
         dueDate: analysis.extractedData?.due_date || analysis.extractedData?.dueDate || analysis.extractedData?.deadline || null,
         estCost: analysis.extractedData?.estimated_cost_inr || analysis.extractedData?.estimatedCost || analysis.extractedData?.estCost || null,
-        category: analysis.extractedData?.category || 'General',
-        pdfPath: req.file.path
+        category: analysis.extractedData?.category || null,
+        pdfPath: req.file.path,
+        preBidDate: analysis.extractedData?.pre_bid_meeting_date || analysis.extractedData?.preBidDate || null,
+        clarificationDueDate: analysis.extractedData?.clarification_due_date || analysis.extractedData?.clarificationDueDate || null,
+        emdDueDate: analysis.extractedData?.emd_due_date || analysis.extractedData?.emdDueDate || null
       };
 
       const fullText = analysis.extractedData?.fullText || 
                        analysis.metadata?.rawText || 
                        JSON.stringify(analysis.extractedData || {});
 
-      saveRfpAndChunks({ rfp: rfpData, fullText });
+      const revision = saveRfpAndChunks({ rfp: rfpData, fullText, tender: analysis.extractedData || {}, source: 'upload' });
       console.log(`   ✅ Saved RFP to database: ${rfpData.id}`);
       
       analysis.rfpId = rfpData.id;
+      analysis.revision = {
+        revision: revision.revision,
+        kind: revision.kind,
+        material: revision.material,
+        changes: revision.diff?.summary || [],
+        stale: revision.stale
+      };
       
       // ALWAYS store company context and document for learning
       const sessionData = {
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Matching Accuracy Benchmark
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Runs the matching engine over the labelled RFP set and reports top-1 /
+ * top-3 accuracy, mean spec-match error and per-attribute confusion.
+ * Each run is stored in data/benchmarks/runs/ for comparison.
+ *
+ * Usage: npm run benchmark:matching
+ *        node scripts/benchmark-matching.js --seed            # top up the labelled set
+ *        node scripts/benchmark-matching.js --reseed          # relabel seeded cases
+ *        node scripts/benchmark-matching.js --profile equal   # force one weight profile
+ *        node scripts/benchmark-matching.js --weights candidate.json --label "armour x2"
+ *        node scripts/benchmark-matching.js --compare previous   # or a run id
+ *        node scripts/benchmark-matching.js --no-save
+ */
+
+import fs from 'fs';
+import {
+  compareRuns,
+  listRuns,
+  loadRun,
+  runBenchmark,
+  saveRun,
+  seedLabelledSet
+} from '../services/matching-benchmark.js';
+
+function flagValue(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : undefined;
+}
+
+function printRun(run) {
+  const m = run.metrics;
+  console.log(`📊 Cases: ${m.cases} (${m.labelled} with an expected SKU)`);
+  console.log(`   Top-1 accuracy:            ${m.top1_accuracy}%`);
+  console.log(`   Top-3 accuracy:            ${m.top3_accuracy}%`);
+  console.log(`   Mean reciprocal rank:      ${m.mean_reciprocal_rank}`);
+  console.log(`   Mean spec-match error:     ${m.mean_abs_spec_match_error ?? 'n/a'} pts (bias ${m.mean_spec_match_bias ?? 'n/a'})`);
+  console.log('');
+
+  console.log('🔍 Per-attribute confusion (top-1 vs expected SKU)');
+  console.log('─'.repeat(60));
+  for (const [attribute, entry] of Object.entries(run.confusion)) {
+    const pairs = Object.entries(entry.pairs)
+      .sort((a, b) => b[1] - a[1])
+      .map(([pair, count]) => `${pair} ×${count}`)
+      .join(', ');
+    console.log(`   ${attribute.padEnd(22)} agree ${String(entry.agree).padStart(3)}  disagree ${String(entry.disagree).padStart(3)}${pairs ? `  (${pairs})` : ''}`);
+  }
+  console.log('');
+
+  const misses = run.results.filter(r => !r.top1);
+  if (misses.length > 0) {
+    console.log(`❌ Top-1 misses (${misses.length})`);
+    console.log('─'.repeat(60));
+    for (const miss of misses.slice(0, 15)) {
+      const predicted = miss.predicted_top3[0]?.sku_id || 'none';
+      console.log(`   ${miss.id.padEnd(22)} expected ${miss.expected_skus.join('/')} · got ${predicted} · rank ${miss.expected_rank ?? '-'}`);
+    }
+    if (misses.length > 15) console.log(`   … ${misses.length - 15} more in the stored run`);
+    console.log('');
+  }
+}
+
+function printComparison(diff) {
+  const sign = (n) => (n === null ? 'n/a' : `${n > 0 ? '+' : ''}${n}`);
+  console.log(`⚖️  ${diff.candidate} vs ${diff.baseline}`);
+  console.log('─'.repeat(60));
+  console.log(`   Top-1 accuracy:            ${sign(diff.top1_accuracy)} pts`);
+  console.log(`   Top-3 accuracy:            ${sign(diff.top3_accuracy)} pts`);
+  console.log(`   Mean reciprocal rank:      ${sign(diff.mean_reciprocal_rank)}`);
+  console.log(`   Mean spec-match error:     ${sign(diff.mean_abs_spec_match_error)} pts`);
+  console.log(`   Fixed:  ${diff.fixed.length ? diff.fixed.join(', ') : 'none'}`);
+  console.log(`   Broken: ${diff.broken.length ? diff.broken.join(', ') : 'none'}`);
+  console.log('');
+}
+
+async function main() {
+  console.log('');
+  console.log('╔══════════════════════════════════════════════════════════════════╗');
+  console.log('║     Matching Accuracy Benchmark                                  ║');
+  console.log('║     EY Techathon 6.0                                             ║');
+  console.log('╚══════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  if (process.argv.includes('--seed') || process.argv.includes('--reseed')) {
+    const seeded = seedLabelledSet({ reseed: process.argv.includes('--reseed') });
+    console.log(`🏷️  Labelled set: ${seeded.total} cases (${seeded.added} added, ${seeded.relabelled} relabelled, ${seeded.unlabelled} without a suitable SKU)`);
+    console.log(`   ${seeded.file}`);
+    console.log('');
+  }
+
+  const weightsFile = flagValue('--weights');
+  const profiles = weightsFile ? JSON.parse(fs.readFileSync(weightsFile, 'utf-8')) : undefined;
+  const previousRuns = listRuns();
+
+  const run = runBenchmark({
+    profile: flagValue('--profile'),
+    profiles,
+    label: flagValue('--label') || (weightsFile ? `weights: ${weightsFile}` : '')
+  });
+  printRun(run);
+
+  const compareTo = flagValue('--compare');
+  if (compareTo) {
+    const baselineId = compareTo === 'previous' ? previousRuns[previousRuns.length - 1]?.id : compareTo;
+    if (!baselineId) {
+      console.log('⚠️ No stored run to compare against');
+    } else {
+      printComparison(compareRuns(loadRun(baselineId), run));
+    }
+  }
+
+  if (!process.argv.includes('--no-save')) {
+    console.log(`💾 Saved ${saveRun(run)}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Benchmark failed: ${error.message}`);
+  process.exit(1);
+});
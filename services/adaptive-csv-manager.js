@@ -68,7 +68,8 @@ const COLUMN_SCHEMAS = {
     'Standard': 'IS IEC standard code the test follows',
     'Price_INR': 'cost price amount in Indian rupees',
     'Duration_Days': 'number of days the test takes',
-    'Applicable_Types': 'cable types this test applies to'
+    'Applicable_Types': 'cable types this test applies to',
+    'Category': 'test category type routine acceptance special'
   },
   pricing_rules: {
     'Rule_ID': 'unique identifier for pricing rule',
@@ -14,6 +14,13 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { parse } from 'csv-parse/sync';
 import { getCSVData, hasSessionOverride, getSessionStatus } from './adaptive-csv-manager.js';
+import { buildPriceVariationQuotation } from './price-variation.js';
+import { applyPricingRules } from './pricing-rule-engine.js';
+import { selectTestsForStandard } from './standards-registry.js';
+import { typeTestCoverage } from './type-test-certificates.js';
+import { planDrumSchedule } from './drum-planner.js';
+import { estimateFreight } from './freight-estimator.js';
+import { determineSupply, computeGst, taxRows } from './gst-engine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,6 +45,18 @@ const CABLE_TYPE_TO_CSV_KEY = {
   'Instrumentation Cable': 'instrumentation_cables'
 };
 
+// testing.csv Category column (type / routine / acceptance / special)
+const TEST_CATEGORIES = {
+  type: 'type_test',
+  routine: 'routine_test',
+  acceptance: 'acceptance_test',
+  special: 'special_test'
+};
+
+const isTypeTest = (t) => getTestCategory(t) === 'type_test';
+const isRoutineTest = (t) => getTestCategory(t) === 'routine_test';
+const isAcceptanceTest = (t) => getTestCategory(t) === 'acceptance_test';
+
 // Cached data
 let testingData = [];
 let pricingRules = {};
@@ -205,34 +224,28 @@ function savePricingKnowledge() {
  * Get applicable tests for a cable type
  * @param {string} cableType - e.g., 'HT Cable', 'LT Cable'
  * @param {string} testCategory - 'type_test', 'routine_test', 'acceptance_test', or 'custom'
+ * @param {object} options - { standard, voltage_kv, insulation }: the product standard the RFP
+ *   cites; tests performed to an unrelated product standard are dropped (standards registry)
  * @returns {array} - Applicable tests with prices
  */
-export function getApplicableTests(cableType, testCategory = 'type_test') {
+export function getApplicableTests(cableType, testCategory = 'type_test', options = {}) {
   if (!testingData.length) {
     loadTestingData();
   }
   
-  const applicableTests = testingData.filter(test => {
+  const { standard, ...context } = options;
+  const applicableTests = selectTestsForStandard(testingData.filter(test => {
     const types = (test.Applicable_Types || '').split(',').map(t => t.trim());
     return types.some(t => cableType.toLowerCase().includes(t.toLowerCase()) || t.toLowerCase().includes(cableType.toLowerCase()));
-  });
+  }), standard, { standardOf: test => test.Standard, ...context });
   
   // Filter by category if specified
   if (testCategory === 'type_test') {
-    return applicableTests.filter(t => 
-      t.Test_Name.includes('Type Test') || 
-      ['T001', 'T002', 'T003', 'T004', 'T006', 'T007', 'T008', 'T009', 'T010', 'T011', 'T012', 'T013'].includes(t.Test_ID)
-    );
+    return applicableTests.filter(isTypeTest);
   } else if (testCategory === 'routine_test') {
-    return applicableTests.filter(t => 
-      t.Test_Name.includes('Routine') || 
-      ['T002', 'T003', 'T005', 'T014', 'T020', 'T021'].includes(t.Test_ID)
-    );
+    return applicableTests.filter(isRoutineTest);
   } else if (testCategory === 'acceptance_test') {
-    return applicableTests.filter(t => 
-      t.Test_Name.includes('Acceptance') || 
-      ['T030'].includes(t.Test_ID)
-    );
+    return applicableTests.filter(isAcceptanceTest);
   }
   
   return applicableTests;
@@ -308,11 +321,16 @@ export function calculateTestingCost(cableType, requiredTests = ['type_test', 'r
  * Calculate testing cost from BUYER'S REQUIRED TESTS (from RFP)
  * This uses ACTUAL prices from testing.csv - NO scaling!
  * 
+ * Type tests already covered by a valid type-test certificate for every offered
+ * SKU are dropped (or charged at TYPE_TEST_CONFIG.coveredCostFactor); routine
+ * tests always run.
+ * 
  * @param {array} requiredTestIds - Array of test IDs from RFP (e.g., ['T001', 'T002', 'T003'])
  * @param {number} itemCount - Number of cable items (tests may need to run for each item)
+ * @param {object} options - { skus: offered SKU IDs, standard: RFP standard, asOf: bid due date }
  * @returns {object} - Testing cost breakdown with actual CSV prices
  */
-export function calculateTestingCostFromRFP(requiredTestIds, itemCount = 1) {
+export function calculateTestingCostFromRFP(requiredTestIds, itemCount = 1, options = {}) {
   if (!testingData.length) {
     loadTestingData();
   }
@@ -349,17 +367,53 @@ export function calculateTestingCostFromRFP(requiredTestIds, itemCount = 1) {
     }
   }
   
+  const certificateCoverage = applyTypeTestCertificates(tests, options);
+  if (certificateCoverage) {
+    totalCost = tests.reduce((sum, t) => sum + t.price, 0);
+    totalDays = Math.max(0, ...tests.filter(t => t.price > 0).map(t => t.duration));
+  }
+  
   return {
     tests,
     testIds,
     totalCost,
     totalDays,
     itemCount,
+    typeTestCertificates: certificateCoverage,
     source: 'testing.csv',
     note: 'Calculated from buyer-specified tests using actual CSV prices'
   };
 }
 
+/**
+ * Drop or discount type tests covered by stored type-test certificates
+ * Mutates each covered test's price (keeping listPrice) and returns the
+ * certificates to attach, or null when no SKUs were given.
+ */
+export function applyTypeTestCertificates(tests, { skus = [], standard = null, asOf } = {}) {
+  if (!skus.length) return null;
+  
+  const eligible = tests.filter(t => isTypeTest({ Test_ID: t.id, Test_Name: t.name }));
+  const coverage = typeTestCoverage({ tests: eligible, skuIds: skus, standard, asOf });
+  let savings = 0;
+  
+  for (const entry of coverage.tests.filter(e => e.cost_factor < 1)) {
+    const test = tests.find(t => t.id === entry.id);
+    test.listPrice = test.price;
+    test.price = Math.round(test.price * entry.cost_factor);
+    test.coveredBy = entry.certificate_ids;
+    savings += test.listPrice - test.price;
+  }
+  
+  return {
+    asOf: coverage.as_of,
+    coveredTests: coverage.tests.filter(e => e.cost_factor < 1).map(e => e.id),
+    savings,
+    certificates: coverage.certificates,
+    rejected: coverage.rejected
+  };
+}
+
 /**
  * Get test price by ID
  * @param {string} testId - Test ID (e.g., 'T001')
@@ -385,6 +439,28 @@ export function getTestById(testId) {
   return null;
 }
 
+/**
+ * Category of a testing.csv test, from its Category column; uploaded files
+ * without one fall back to the package names ("Type Test Package HT")
+ * @param {object} test - testing.csv row, or { Test_ID, Test_Name }
+ * @returns {string} - 'routine_test', 'type_test', 'acceptance_test' or 'special_test'
+ */
+export function getTestCategory(test) {
+  if (!testingData.length) {
+    loadTestingData();
+  }
+  
+  const row = test.Category ? test : testingData.find(t => t.Test_ID === test.Test_ID) || test;
+  const category = TEST_CATEGORIES[String(row.Category || '').trim().toLowerCase()];
+  if (category) return category;
+  
+  const name = row.Test_Name || '';
+  if (name.includes('Type Test')) return 'type_test';
+  if (name.includes('Routine')) return 'routine_test';
+  if (name.includes('Acceptance')) return 'acceptance_test';
+  return 'special_test';
+}
+
 /**
  * Find product by specifications
  * @param {string} cableType - Cable type
@@ -449,7 +525,7 @@ export function findProduct(cableType, specs = {}) {
   }
   
   if (bestMatch) {
-    const price = parseFloat(bestMatch.Price_Per_Meter || bestMatch.Price_Per_km || bestMatch.Price || 0);
+    const price = parseFloat(bestMatch.Price_Per_Meter || bestMatch.Price_Per_km || bestMatch.Unit_Price_per_km || bestMatch.Price || 0);
     return {
       found: true,
       product: bestMatch,
@@ -633,9 +709,18 @@ export function calculateQuotation(params) {
     customProfitMargin = null,
     discount = 0,
     includeDelivery = true,
-    includePackaging = true
+    includePackaging = true,
+    priceBasis = null, // 'firm' adds metal escalation loading, 'variable' attaches the PV annexure
+    deliveryMonths = 6,
+    skuId = null, // Offered SKU to wind on drums (default: the matched product)
+    cutLengths = [], // Buyer cut lengths in meters, packed into the drum schedule
+    context = {} // RFP toggles for conditional rules: remoteLocation, expressDelivery, tpiRequired, deliveryCity, ...
   } = params;
   
+  if (!Object.keys(pricingRules).length) {
+    loadPricingRules();
+  }
+  
   // 1. Get material cost
   const productInfo = findProduct(cableType, specs);
   const pricePerMeter = productInfo.pricePerMeter || productInfo.estimatedPrice;
@@ -645,39 +730,82 @@ export function calculateQuotation(params) {
   const testingInfo = calculateTestingCost(cableType, requiredTests);
   const testingCost = testingInfo.totalCost;
   
-  // 3. Get pricing rules
-  const gstRate = pricingRules['P002']?.value || 0.18;
-  const profitMarginRate = customProfitMargin !== null 
-    ? customProfitMargin / 100 
-    : (pricingRules['P003']?.value || 0.12);
-  const deliveryCostPerKm = pricingRules['P001']?.value || 300;
-  const packagingCostPerKm = pricingRules['P004']?.value || 200;
-  
-  // 4. Calculate costs
+  // 3. Firm vs variable price (Price_Escalation_* rules)
   const quantityInKm = quantity / 1000;
-  const deliveryCost = includeDelivery ? deliveryCostPerKm * Math.max(1, quantityInKm) : 0;
-  const packagingCost = includePackaging ? packagingCostPerKm * Math.max(1, quantityInKm) : 0;
+  const priceVariation = getPriceVariation(productInfo, quantityInKm, priceBasis, deliveryMonths);
+  const firmPriceLoading = priceBasis === 'firm' && priceVariation
+    ? priceVariation.firm.items[0].escalation_loading_per_km * quantityInKm
+    : 0;
   
-  // 5. Apply bulk discount
-  let bulkDiscount = 0;
-  if (quantityInKm >= 200) bulkDiscount = pricingRules['P009']?.value || 0.08;
-  else if (quantityInKm >= 100) bulkDiscount = pricingRules['P008']?.value || 0.05;
-  else if (quantityInKm >= 50) bulkDiscount = pricingRules['P007']?.value || 0.03;
+  // 4. Drum schedule: real drum cost replaces the per-km packaging rate and gives the freight weight
+  const drumSchedule = getDrumSchedule(skuId || productInfo.product?.SKU_ID, quantity, cutLengths);
+  const amountOverrides = {};
+  if (drumSchedule) {
+    amountOverrides.Packaging_Cost_Per_km = {
+      amount: drumSchedule.totals.packaging_cost,
+      per: 'drum_schedule',
+      drums: drumSchedule.totals.drums,
+      by_drum_type: drumSchedule.totals.by_drum_type
+    };
+  }
   
-  // 6. Subtotal before profit
-  const subtotal = materialCost + testingCost + deliveryCost + packagingCost;
+  // Truck freight from the best plant to the delivery city replaces the per-km delivery rate
+  const freight = getFreightEstimate(context.deliveryCity, drumSchedule);
+  if (freight) {
+    amountOverrides.Delivery_Cost_Per_km = {
+      amount: freight.best.freight_cost,
+      per: 'truck_load',
+      plant_id: freight.best.plant_id,
+      distance_km: freight.best.distance_km,
+      trucks: freight.best.truck_count
+    };
+  }
   
-  // 7. Apply discounts
-  const totalDiscount = subtotal * (bulkDiscount + (discount / 100));
-  const afterDiscount = subtotal - totalDiscount;
+  // Place of supply against the dispatching plant's GSTIN decides IGST vs CGST + SGST
+  const supply = getSupply(context, freight);
   
-  // 8. Add profit margin
-  const profit = afterDiscount * profitMarginRate;
-  const beforeGST = afterDiscount + profit;
+  // 5. Apply every rule in pricing_rules.csv (discounts, charges, margin, GST)
+  const ruleContext = {
+    ...context,
+    includeDelivery,
+    includePackaging,
+    zeroRated: Boolean(supply?.zero_rated && !supply.with_payment),
+    ...(drumSchedule ? { freightWeightKg: drumSchedule.totals.gross_weight_kg } : {})
+  };
+  const pricing = applyPricingRules({
+    materialCost: materialCost + firmPriceLoading,
+    quantityKm: quantityInKm,
+    chargeableKm: Math.max(1, quantityInKm), // Minimum 1 km delivery/packaging charge
+    testingCost,
+    additionalDiscountRate: discount / 100,
+    profitMarginRate: customProfitMargin !== null ? customProfitMargin / 100 : null,
+    context: ruleContext,
+    rules: pricingRules,
+    amountOverrides
+  });
+  const { totals } = pricing;
+  const ruleLine = (parameter) => pricing.line_items.find(l => l.parameter === parameter);
+  
+  const deliveryCost = ruleLine('Delivery_Cost_Per_km')?.amount || 0;
+  const packagingCost = ruleLine('Packaging_Cost_Per_km')?.amount || 0;
+  const otherCharges = totals.material_charges + totals.logistics - deliveryCost - packagingCost +
+    totals.fixed_charges + totals.minimum_order_top_up;
+  // Lines above the subtotal are gross; discounts are shown as their own deductions below it
+  const subtotal = totals.subtotal + totals.discount;
+  const totalDiscount = totals.discount;
+  const earlyPaymentDiscount = totals.payment_discount;
+  const discountRate = totals.material > 0 ? totalDiscount / totals.material : 0;
+  const bulkDiscount = ruleLine('Bulk_Discount_50km')?.rate || ruleLine('Bulk_Discount_100km')?.rate ||
+    ruleLine('Bulk_Discount_200km')?.rate || 0;
+  const profitMarginRate = ruleLine('Profit_Margin')?.rate ?? 0;
+  const profit = totals.margin;
+  const gstRate = ruleLine('GST_Rate')?.rate ?? 0;
   
-  // 9. Add GST
-  const gst = beforeGST * gstRate;
-  const grandTotal = beforeGST + gst;
+  // 6. GST by HSN / SAC: testing is a service, everything else goes with the cable
+  const tax = supply ? getTax(skuId || productInfo.product?.SKU_ID, cableType, totals, supply, { packagingCost, deliveryCost }) : null;
+  const gst = tax ? tax.totals.total_tax : totals.gst;
+  const grandTotal = tax ? tax.totals.grand_total : totals.grand_total;
+  const taxLabel = tax ? taxRows(tax).map(row => row.label).join(' + ') : `GST (${(gstRate * 100).toFixed(0)}%)`;
   
   return {
     summary: {
@@ -704,12 +832,26 @@ export function calculateQuotation(params) {
       deliveryCost: {
         label: 'Delivery Cost',
         value: deliveryCost,
-        formatted: `₹${deliveryCost.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+        formatted: `₹${deliveryCost.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`,
+        ...(freight && deliveryCost > 0 ? { details: `${freight.best.plant_name} → ${freight.destination.city}, ${freight.best.distance_km} km, ${freight.best.truck_count} truck(s)` } : {})
       },
       packagingCost: {
         label: 'Packaging Cost',
         value: packagingCost,
-        formatted: `₹${packagingCost.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+        formatted: `₹${packagingCost.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`,
+        ...(drumSchedule && packagingCost > 0 ? { details: `${drumSchedule.totals.drums} drums (${formatDrumTypes(drumSchedule)})` } : {})
+      },
+      ...(firmPriceLoading > 0 ? {
+        firmPriceLoading: {
+          label: `Firm Price Loading (metal escalation, ${deliveryMonths} months)`,
+          value: firmPriceLoading,
+          formatted: `₹${firmPriceLoading.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+        }
+      } : {}),
+      otherCharges: {
+        label: 'Insurance, Handling & Other Charges',
+        value: otherCharges,
+        formatted: `₹${otherCharges.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
       },
       subtotal: {
         label: 'Subtotal',
@@ -717,7 +859,7 @@ export function calculateQuotation(params) {
         formatted: `₹${subtotal.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
       },
       discount: {
-        label: `Discount (${((bulkDiscount + discount/100) * 100).toFixed(1)}%)`,
+        label: `Discount (${(discountRate * 100).toFixed(1)}% of material)`,
         value: totalDiscount,
         formatted: `-₹${totalDiscount.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
       },
@@ -726,10 +868,24 @@ export function calculateQuotation(params) {
         value: profit,
         formatted: `₹${profit.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
       },
+      ...(earlyPaymentDiscount > 0 ? {
+        earlyPaymentDiscount: {
+          label: 'Early Payment Discount',
+          value: earlyPaymentDiscount,
+          formatted: `-₹${earlyPaymentDiscount.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+        }
+      } : {}),
       gst: {
-        label: `GST (${(gstRate * 100).toFixed(0)}%)`,
+        label: taxLabel,
         value: gst,
-        formatted: `₹${gst.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+        formatted: `₹${gst.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`,
+        ...(tax ? {
+          components: taxRows(tax).map(row => ({
+            ...row,
+            formatted: `₹${row.amount.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+          })),
+          details: `${tax.supply.description}${tax.supply.place_of_supply ? `, place of supply ${tax.supply.place_of_supply.name}` : ''}`
+        } : {})
       },
       grandTotal: {
         label: 'Grand Total',
@@ -741,6 +897,17 @@ export function calculateQuotation(params) {
     
     testing: testingInfo,
     productInfo,
+    priceBasis: priceVariation ? priceBasis : null,
+    priceVariation,
+    drumSchedule,
+    freightWeightKg: drumSchedule?.totals.gross_weight_kg ?? null,
+    freight,
+    tax,
+    
+    // Every applied pricing rule with its Rule_ID, and the status of every rule row
+    lineItems: pricing.line_items,
+    rulesEvaluated: pricing.rules_evaluated,
+    ruleContext,
     
     // For adaptive modifications
     modifiable: {
@@ -753,6 +920,98 @@ export function calculateQuotation(params) {
   };
 }
 
+/**
+ * Drum schedule for the offered SKU (null without a SKU or construction data;
+ * packaging then falls back to the per-km rate)
+ */
+function getDrumSchedule(skuId, quantity, cutLengths) {
+  if (!skuId) {
+    return null;
+  }
+  try {
+    return planDrumSchedule({ items: [{ sku_id: skuId, qty_m: quantity, cut_lengths: cutLengths }] });
+  } catch (error) {
+    console.warn(`⚠️ Drum schedule unavailable for ${skuId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Freight estimate for the drum schedule's weight (null without a known city or weight;
+ * delivery then falls back to the per-km rate)
+ */
+function getFreightEstimate(city, drumSchedule) {
+  if (!city || !drumSchedule) {
+    return null;
+  }
+  try {
+    return estimateFreight({
+      city,
+      weightKg: drumSchedule.totals.gross_weight_kg,
+      cableTypes: [...new Set(drumSchedule.items.map(i => i.cable_type))]
+    });
+  } catch (error) {
+    console.warn(`⚠️ Freight estimate unavailable for ${city}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Supply type for the quotation (null when the supplier GSTIN is unusable)
+ */
+function getSupply(context, freight) {
+  try {
+    return determineSupply({
+      ...(freight?.best.gstin ? { supplierGstin: freight.best.gstin } : {}),
+      buyerGstin: context.buyerGstin,
+      placeOfSupply: context.placeOfSupply,
+      deliveryCity: context.deliveryCity,
+      sez: context.sez,
+      export: context.export
+    });
+  } catch (error) {
+    console.warn(`⚠️ GST split unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * GST on the quotation's taxable value, with margin and discounts spread pro rata
+ * over the cable (goods) and the testing (service) share of the subtotal
+ */
+function getTax(skuId, cableType, totals, supply, { packagingCost = 0, deliveryCost = 0 } = {}) {
+  const taxableValue = totals.pre_gst;
+  const testingShare = totals.subtotal > 0 ? totals.testing / totals.subtotal : 0;
+  const testingValue = Math.round(taxableValue * testingShare * 100) / 100;
+  const included = [packagingCost > 0 && 'packing', deliveryCost > 0 && 'freight'].filter(Boolean);
+  return computeGst([
+    { description: `Cable supply${included.length ? ` incl. ${included.join(' & ')}` : ''}`, sku_id: skuId, cable_type: cableType, taxable_value: taxableValue - testingValue },
+    ...(testingValue > 0 ? [{ description: 'Testing & inspection', service: 'testing', taxable_value: testingValue }] : [])
+  ], supply);
+}
+
+function formatDrumTypes(drumSchedule) {
+  return Object.entries(drumSchedule.totals.by_drum_type).map(([type, count]) => `${type} × ${count}`).join(', ');
+}
+
+/**
+ * Firm/variable price breakdown for a matched product (null when not applicable)
+ */
+function getPriceVariation(productInfo, quantityKm, priceBasis, deliveryMonths) {
+  if (!['firm', 'variable'].includes(priceBasis) || !productInfo.found || !productInfo.product?.SKU_ID) {
+    return null;
+  }
+  try {
+    return buildPriceVariationQuotation({
+      items: [{ skuId: productInfo.product.SKU_ID, quantityKm: Math.max(quantityKm, 0.001) }],
+      deliveryMonths
+    });
+  } catch (e) {
+    console.warn(`[Pricing] Price variation unavailable for ${productInfo.product.SKU_ID}:`, e.message);
+    return null;
+  }
+}
+
 /**
  * Learn from pricing modification
  */
@@ -788,6 +1047,9 @@ export function getAllTests() {
  * Get pricing rules for display
  */
 export function getPricingRules() {
+  if (!Object.keys(pricingRules).length) {
+    loadPricingRules();
+  }
   return pricingRules;
 }
 
@@ -813,6 +1075,7 @@ export default {
   calculateTestingCost,
   calculateTestingCostFromRFP,
   getTestById,
+  getTestCategory,
   findProduct,
   calculateMaterialCostFromRFP,
   calculateQuotation,
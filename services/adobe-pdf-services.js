@@ -531,6 +531,8 @@ export async function generateBidResponseForm(params) {
       ['Quantity Offered', commercial_offer.quantity || '_'.repeat(20)],
       ['Total Price', commercial_offer.total_price ? `INR ${commercial_offer.total_price.toLocaleString('en-IN')}` : '_'.repeat(20)],
       ['GST Rate', commercial_offer.gst_rate || '18%'],
+      ...(commercial_offer.gst_components || []).map(row => [row.label, `INR ${row.amount.toLocaleString('en-IN')}`]),
+      ...(commercial_offer.hsn_codes ? [['HSN / SAC', commercial_offer.hsn_codes]] : []),
       ['Delivery Period', commercial_offer.delivery_days ? `${commercial_offer.delivery_days} days` : '_'.repeat(15)],
       ['Payment Terms', commercial_offer.payment_terms || 'As per RFP'],
       ['Bid Validity', commercial_offer.validity_days ? `${commercial_offer.validity_days} days` : '90 days']
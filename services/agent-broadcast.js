@@ -1,45 +1,64 @@
 /**
  * Agent Broadcast Service
  * EY Techathon 6.0 - AI RFP Automation System
- * 
+ *
  * Real-time event broadcasting for agent workflow visualization.
  * Uses Server-Sent Events (SSE) to stream agent logs to connected clients.
+ *
+ * Every workflow run is an isolated session keyed by its session ID, so
+ * several runs can stream in parallel. Each session keeps a bounded buffer
+ * of numbered events; SSE clients reconnecting with Last-Event-ID get the
+ * events they missed replayed. Finished sessions are retained for a while
+ * for late joiners, then evicted; sessions that never end (abandoned or
+ * left paused) are evicted once idle for longer.
  */
 
 import { EventEmitter } from 'events';
+import { AGENT_STREAM_CONFIG } from '../configs/settings.js';
 
 // Global event emitter for agent broadcasts
 class AgentBroadcaster extends EventEmitter {
   constructor() {
     super();
-    this.clients = new Set();
-    this.currentSession = null;
-    this.sessionLogs = [];
-    this.sessionState = {};
+    this.sessions = new Map();
     this.setMaxListeners(100);
   }
 
   /**
-   * Start a new agent session
+   * Start a new agent session.
+   * Restarting a known session keeps its event counter so connected clients'
+   * Last-Event-ID stays valid; a session restored after a process restart
+   * starts its counter at the clock, above any ID the old process issued.
    */
   startSession(sessionId, metadata = {}) {
-    this.currentSession = sessionId;
-    this.sessionLogs = [];
-    this.sessionState = {
-      sessionId,
-      startTime: Date.now(),
-      status: 'running',
-      currentAgent: 'master',
-      metadata,
-      agents: {
-        master: { status: 'pending', logs: [] },
-        sales: { status: 'pending', logs: [] },
-        technical: { status: 'pending', logs: [] },
-        pricing: { status: 'pending', logs: [] }
+    this.pruneSessions();
+
+    const previous = this.sessions.get(sessionId);
+    const session = {
+      events: [],
+      nextEventId: previous?.nextEventId || (metadata.restored ? Date.now() : 1),
+      clients: previous?.clients || new Set(),
+      endedAt: null,
+      lastActivityAt: Date.now(),
+      logs: [],
+      state: {
+        sessionId,
+        startTime: Date.now(),
+        status: 'running',
+        currentAgent: 'master',
+        metadata,
+        agents: {
+          master: { status: 'pending', logs: [] },
+          sales: { status: 'pending', logs: [] },
+          technical: { status: 'pending', logs: [] },
+          pricing: { status: 'pending', logs: [] },
+          submission: { status: 'pending', logs: [] }
+        }
       }
     };
-    
-    this.broadcast('session_start', {
+    this.sessions.set(sessionId, session);
+
+    this.broadcast(sessionId, 'session_start', {
       sessionId,
       timestamp: new Date().toISOString(),
       metadata
@@ -49,40 +68,50 @@ class AgentBroadcaster extends EventEmitter {
   /**
    * Log an agent message and broadcast it
    */
-  log(agent, message, data = {}) {
+  log(sessionId, agent, message, data = {}) {
+    const session = this.ensureSession(sessionId);
     const logEntry = {
       id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
       timestamp: new Date().toISOString(),
       agent: agent,
       message: message,
       data: data,
-      sessionId: this.currentSession
+      sessionId
     };
-    
-    this.sessionLogs.push(logEntry);
-    
+
+    session.logs.push(logEntry);
+    if (session.logs.length > AGENT_STREAM_CONFIG.maxEventsPerSession) {
+      session.logs.shift();
+    }
+
     // Update agent state
-    if (this.sessionState.agents[agent.toLowerCase()]) {
-      this.sessionState.agents[agent.toLowerCase()].logs.push(logEntry);
-      this.sessionState.agents[agent.toLowerCase()].status = 'running';
-      this.sessionState.currentAgent = agent.toLowerCase();
+    const agentState = session.state.agents[agent.toLowerCase()];
+    if (agentState) {
+      agentState.logs.push(logEntry);
+      if (agentState.logs.length > AGENT_STREAM_CONFIG.maxEventsPerSession) {
+        agentState.logs.shift();
+      }
+      agentState.status = 'running';
+      session.state.currentAgent = agent.toLowerCase();
     }
-    
-    this.broadcast('agent_log', logEntry);
-    
+
+    this.broadcast(sessionId, 'agent_log', logEntry);
+
     return logEntry;
   }
 
   /**
    * Mark an agent as complete
    */
-  completeAgent(agent, output = {}) {
-    if (this.sessionState.agents[agent.toLowerCase()]) {
-      this.sessionState.agents[agent.toLowerCase()].status = 'completed';
-      this.sessionState.agents[agent.toLowerCase()].output = output;
+  completeAgent(sessionId, agent, output = {}) {
+    const session = this.ensureSession(sessionId);
+    const agentState = session.state.agents[agent.toLowerCase()];
+    if (agentState) {
+      agentState.status = 'completed';
+      agentState.output = output;
     }
-    
-    this.broadcast('agent_complete', {
+
+    this.broadcast(sessionId, 'agent_complete', {
       agent,
       timestamp: new Date().toISOString(),
       output: summarizeOutput(output)
@@ -92,10 +121,11 @@ class AgentBroadcaster extends EventEmitter {
   /**
    * Update session state with structured data
    */
-  updateState(key, value) {
-    this.sessionState[key] = value;
-    
-    this.broadcast('state_update', {
+  updateState(sessionId, key, value) {
+    const session = this.ensureSession(sessionId);
+    session.state[key] = value;
+
+    this.broadcast(sessionId, 'state_update', {
       key,
       value: summarizeOutput(value),
       timestamp: new Date().toISOString()
@@ -103,92 +133,237 @@ class AgentBroadcaster extends EventEmitter {
   }
 
   /**
-   * End the current session
+   * Mark a session as paused (waiting for human review)
+   */
+  pauseSession(sessionId, details = {}) {
+    const session = this.ensureSession(sessionId);
+    session.state.status = 'paused';
+    session.state.pause = details;
+
+    this.broadcast(sessionId, 'session_paused', {
+      sessionId,
+      ...details,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Re-open a paused (or finished and rolled back) session
    */
-  endSession(result = {}) {
-    this.sessionState.status = 'completed';
-    this.sessionState.endTime = Date.now();
-    this.sessionState.duration = this.sessionState.endTime - this.sessionState.startTime;
-    this.sessionState.result = summarizeOutput(result);
-    
-    this.broadcast('session_end', {
-      sessionId: this.currentSession,
-      duration: this.sessionState.duration,
-      logsCount: this.sessionLogs.length,
-      result: this.sessionState.result,
+  resumeSession(sessionId, details = {}) {
+    const session = this.ensureSession(sessionId);
+    session.state.status = 'running';
+    session.state.pause = null;
+    session.endedAt = null;
+
+    this.broadcast(sessionId, 'session_resumed', {
+      sessionId,
+      ...details,
       timestamp: new Date().toISOString()
     });
-    
-    // Keep session data for a while for late joiners
-    setTimeout(() => {
-      if (this.currentSession === result.sessionId) {
-        this.currentSession = null;
-      }
-    }, 60000);
   }
 
   /**
-   * Broadcast event to all connected clients
+   * End a session. It stays available for replay until evicted.
+   */
+  endSession(sessionId, result = {}) {
+    const session = this.ensureSession(sessionId);
+    session.state.status = result.error ? 'failed' : 'completed';
+    session.state.endTime = Date.now();
+    session.state.duration = session.state.endTime - session.state.startTime;
+    session.state.result = summarizeOutput(result);
+    session.endedAt = session.state.endTime;
+
+    this.broadcast(sessionId, 'session_end', {
+      sessionId,
+      duration: session.state.duration,
+      logsCount: session.logs.length,
+      result: session.state.result,
+      timestamp: new Date().toISOString()
+    });
+
+    this.pruneSessions();
+  }
+
+  /**
+   * Record an event in the session buffer and send it to the session's clients
    */
-  broadcast(eventType, data) {
-    const message = {
+  broadcast(sessionId, eventType, data) {
+    const session = this.ensureSession(sessionId);
+    const event = {
+      id: session.nextEventId++,
       type: eventType,
       data: data,
       timestamp: Date.now()
     };
-    
-    this.emit('broadcast', message);
-    
-    // Send to all SSE clients
-    const sseMessage = `event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
-    
-    for (const client of this.clients) {
+    session.lastActivityAt = event.timestamp;
+
+    session.events.push(event);
+    if (session.events.length > AGENT_STREAM_CONFIG.maxEventsPerSession) {
+      session.events.shift();
+    }
+
+    this.emit('broadcast', { sessionId, ...event });
+
+    // Send to this session's SSE clients only
+    const sseMessage = formatEvent(event);
+    for (const client of session.clients) {
       try {
         client.write(sseMessage);
       } catch (err) {
-        this.clients.delete(client);
+        session.clients.delete(client);
       }
     }
   }
 
   /**
-   * Add SSE client
+   * Add an SSE client to a session.
+   * Events after lastEventId (the Last-Event-ID header) are replayed first;
+   * without it the whole retained buffer is replayed.
    */
-  addClient(res) {
-    this.clients.add(res);
-    
-    // Send current state to new client
-    if (this.currentSession) {
-      res.write(`event: session_state\ndata: ${JSON.stringify(this.sessionState)}\n\n`);
-      
-      // Send recent logs
-      for (const log of this.sessionLogs.slice(-50)) {
-        res.write(`event: agent_log\ndata: ${JSON.stringify(log)}\n\n`);
+  addClient(sessionId, res, { lastEventId = 0 } = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    session.clients.add(res);
+
+    // Current snapshot (no id, so it never moves the client's Last-Event-ID)
+    res.write(`event: session_state\ndata: ${JSON.stringify(session.state)}\n\n`);
+
+    for (const event of session.events) {
+      if (event.id > lastEventId) {
+        res.write(formatEvent(event));
       }
     }
-    
+
+    const heartbeat = setInterval(() => {
+      try {
+        res.write(': ping\n\n');
+      } catch (err) {
+        clearInterval(heartbeat);
+      }
+    }, AGENT_STREAM_CONFIG.heartbeatSeconds * 1000);
+    heartbeat.unref();
+
     res.on('close', () => {
-      this.clients.delete(res);
+      clearInterval(heartbeat);
+      session.clients.delete(res);
     });
+
+    return true;
+  }
+
+  /**
+   * Check whether a session is known (running, paused or retained)
+   */
+  hasSession(sessionId) {
+    return this.sessions.has(sessionId);
   }
 
   /**
-   * Get current session state
+   * Get a session's state
    */
-  getState() {
+  getState(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
     return {
-      ...this.sessionState,
-      logs: this.sessionLogs,
-      clientCount: this.clients.size
+      ...session.state,
+      logs: session.logs,
+      lastEventId: session.nextEventId - 1,
+      clientCount: session.clients.size
     };
   }
 
   /**
-   * Get session logs
+   * Get a session's logs
+   */
+  getLogs(sessionId) {
+    return this.sessions.get(sessionId)?.logs || [];
+  }
+
+  /**
+   * Summaries of all known sessions, newest first
+   */
+  listSessions() {
+    this.pruneSessions();
+
+    return [...this.sessions.entries()]
+      .map(([sessionId, session]) => ({
+        sessionId,
+        status: session.state.status,
+        currentAgent: session.state.currentAgent,
+        startTime: session.state.startTime,
+        endTime: session.state.endTime || null,
+        logsCount: session.logs.length,
+        lastEventId: session.nextEventId - 1,
+        clientCount: session.clients.size
+      }))
+      .sort((a, b) => b.startTime - a.startTime);
+  }
+
+  /**
+   * ID of the most recently started session (for single-run clients)
+   */
+  getLatestSessionId() {
+    return this.listSessions()[0]?.sessionId || null;
+  }
+
+  /**
+   * Evict finished sessions past their TTL, and the oldest beyond the cap;
+   * running or paused sessions are evicted once idle past the idle TTL
    */
-  getLogs() {
-    return this.sessionLogs;
+  pruneSessions() {
+    const now = Date.now();
+    const ttlMs = AGENT_STREAM_CONFIG.finishedSessionTtlMinutes * 60 * 1000;
+    const idleTtlMs = AGENT_STREAM_CONFIG.idleSessionTtlMinutes * 60 * 1000;
+
+    const finished = [...this.sessions.entries()]
+      .filter(([, session]) => session.endedAt)
+      .sort((a, b) => b[1].endedAt - a[1].endedAt);
+
+    finished.forEach(([sessionId, session], index) => {
+      if (now - session.endedAt > ttlMs || index >= AGENT_STREAM_CONFIG.maxFinishedSessions) {
+        this.evictSession(sessionId);
+      }
+    });
+
+    for (const [sessionId, session] of this.sessions) {
+      if (!session.endedAt && now - session.lastActivityAt > idleTtlMs) {
+        this.evictSession(sessionId);
+      }
+    }
   }
+
+  /**
+   * Drop a session and close its SSE clients
+   */
+  evictSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    for (const client of session.clients) {
+      client.end();
+    }
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Get a session, creating it if it was never started in this process
+   * (e.g. a checkpointed run resumed after a restart)
+   */
+  ensureSession(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.startSession(sessionId, { restored: true });
+    }
+    return this.sessions.get(sessionId);
+  }
+}
+
+/**
+ * Format a buffered event as an SSE message
+ */
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
 }
 
 /**
@@ -197,7 +372,7 @@ class AgentBroadcaster extends EventEmitter {
 function summarizeOutput(obj) {
   if (!obj) return null;
   if (typeof obj !== 'object') return obj;
-  
+
   const summary = {};
   for (const [key, value] of Object.entries(obj)) {
     if (Array.isArray(value)) {
@@ -217,14 +392,3 @@ function summarizeOutput(obj) {
 export const agentBroadcaster = new AgentBroadcaster();
 
 export default agentBroadcaster;
-
-
-
-
-
-
-
-
-
-
-
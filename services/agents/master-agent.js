@@ -9,6 +9,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseRequirement, scoreMatch } from '../matching-engine.js';
+import { supplyFromRfp, computeGst, bidTaxLines, taxRows } from '../gst-engine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -251,39 +253,25 @@ export class MasterAgent {
   
   /**
    * Calculate specification match percentage
+   * Sample products carry only a name, so their specs are read from it
    */
   calculateSpecMatch(product, rfpMaterial) {
-    let matchScore = 50; // Base score
-    
-    const productName = (product.name || product.product_name || '').toLowerCase();
-    const productSpecs = product.specifications || {};
-    
-    // Check voltage match
-    if (rfpMaterial.includes('11kv') && (productName.includes('11kv') || productSpecs.voltage === '11kV')) {
-      matchScore += 15;
-    } else if (rfpMaterial.includes('33kv') && (productName.includes('33kv') || productSpecs.voltage === '33kV')) {
-      matchScore += 15;
-    }
-    
-    // Check material match
-    if (rfpMaterial.includes('xlpe') && (productName.includes('xlpe') || productSpecs.insulation === 'XLPE')) {
-      matchScore += 10;
-    }
-    
-    if (rfpMaterial.includes('copper') && (productName.includes('copper') || productName.includes('cu '))) {
-      matchScore += 10;
-    } else if (rfpMaterial.includes('aluminium') && (productName.includes('aluminium') || productName.includes('al '))) {
-      matchScore += 10;
-    }
-    
-    // Check category match
-    if (rfpMaterial.includes('ht') && productName.includes('ht')) matchScore += 10;
-    if (rfpMaterial.includes('lt') && productName.includes('lt')) matchScore += 10;
-    
-    // Random variance for realistic results
-    matchScore += Math.floor(Math.random() * 10);
+    const productName = product.name || product.product_name || '';
+    const specs = parseRequirement(productName);
+    
+    const result = scoreMatch(rfpMaterial, {
+      sku_id: product.sku || product.sku_id,
+      product_name: productName,
+      type: `${product.category || ''} ${productName}`,
+      voltage_kv: specs.voltage_kv,
+      no_of_cores: specs.cores,
+      conductor_area_mm2: specs.area_mm2,
+      conductor_material: specs.conductor_material,
+      insulation: specs.insulation,
+      armoured: specs.armoured
+    });
     
-    return Math.min(98, matchScore);
+    return result.spec_match_percentage;
   }
   
   /**
@@ -324,9 +312,10 @@ export class MasterAgent {
     const quantity = rfp.quantity_km || 50; // Default 50 km
     let materialCost = 0;
     
-    specMatches.forEach(match => {
+    const products = specMatches.map(match => {
       const lineTotal = match.unit_price * quantity;
       materialCost += lineTotal;
+      return { sku_id: match.sku_id, product_name: match.product_name, line_total_inr: lineTotal };
     });
     
     // Calculate test costs
@@ -363,12 +352,13 @@ export class MasterAgent {
     }
     
     const subtotal = materialCost + testCost;
-    const gst = subtotal * 0.18;
+    const tax = computeGst(bidTaxLines({ products, testCost }), supplyFromRfp(rfp));
+    const gst = tax.totals.total_tax;
     const grandTotal = subtotal + gst;
     
     console.log(`   ✓ Material Cost: ₹${(materialCost / 100000).toFixed(2)} L`);
     console.log(`   ✓ Test Cost: ₹${(testCost / 100000).toFixed(2)} L`);
-    console.log(`   ✓ GST (18%): ₹${(gst / 100000).toFixed(2)} L`);
+    taxRows(tax).forEach(row => console.log(`   ✓ ${row.label}: ₹${(row.amount / 100000).toFixed(2)} L`));
     console.log(`   ✓ Grand Total: ₹${(grandTotal / 100000).toFixed(2)} L\n`);
     
     return {
@@ -377,6 +367,7 @@ export class MasterAgent {
       total_services_cost: 0,
       subtotal: subtotal,
       gst: gst,
+      gst_components: taxRows(tax),
       grand_total: grandTotal,
       tests_included: testsIncluded
     };
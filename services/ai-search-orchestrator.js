@@ -17,6 +17,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { parseUserQuery, generatePermutations, detectCableType, detectCableTypes, detectPortal, detectVoltage, detectVoltages, detectCity } from './csv-permutation-generator.js';
 import { matchRFPRequirements, quickMatch } from './sku-matcher.js';
+import { dedupeTenders, describeClusters } from './tender-dedup.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -243,8 +244,22 @@ export async function executeSearch(userQuery) {
     uniqueResultsFound: allResults.length
   });
   
+  // The same tender cross-posted on several portals is kept once, as its canonical listing
+  const dedup = dedupeTenders(allResults.map(r => r.tender));
+  const dedupedResults = dedup.tenders.map(tender => ({
+    ...allResults.find(r => r.tender.tender_id === tender.tender_id),
+    tender
+  }));
+  
+  processLog.push({
+    step: 6,
+    action: 'DEDUPLICATE_CROSS_POSTS',
+    duplicatesRemoved: dedup.duplicates_removed,
+    clusters: dedup.clusters.map(c => ({ canonical: c.canonical_id, tenderIds: c.tender_ids, confidence: c.confidence }))
+  });
+  
   // Step 4: SKU Matching for each result
-  const matchedResults = allResults.map(result => {
+  const matchedResults = dedupedResults.map(result => {
     const skuMatch = matchRFPRequirements(result.tender.cable_requirements);
     return {
       ...result,
@@ -253,7 +268,7 @@ export async function executeSearch(userQuery) {
   });
   
   processLog.push({
-    step: 6,
+    step: 7,
     action: 'SKU_MATCHING',
     totalMatched: matchedResults.filter(r => r.skuMatch.canBid).length,
     totalNotMatched: matchedResults.filter(r => !r.skuMatch.canBid).length
@@ -267,7 +282,7 @@ export async function executeSearch(userQuery) {
   });
   
   processLog.push({
-    step: 7,
+    step: 8,
     action: 'RANK_BY_DUE_DATE',
     sortedResults: matchedResults.map(r => ({
       id: r.tender.tender_id,
@@ -291,6 +306,8 @@ export async function executeSearch(userQuery) {
       permutationsUsed: parsedQuery.permutations.length,
       totalSearches: searchesExecuted.length,
       resultsFound: matchedResults.length,
+      duplicatesMerged: dedup.duplicates_removed,
+      duplicatesNote: describeClusters(dedup.clusters),
       matchingProducts: matchedResults.filter(r => r.skuMatch.canBid).length,
       processingTime: endTime - startTime + 'ms'
     },
@@ -345,7 +362,7 @@ export function formatResultsForChat(searchResult) {
 **Step 2:** Loaded product catalog (${searchResult.searchDetails.csvData.totalProducts} products)
 **Step 3:** Generated ${summary.permutationsUsed} search permutation(s) (Cable Types × Voltages × Cities)
 **Step 4:** Searched ${summary.portalsSearched.length} portal(s): ${summary.portalsSearched.join(', ')} | ${citiesInfo}
-**Step 5:** Found ${summary.resultsFound} RFPs
+**Step 5:** Found ${summary.resultsFound} RFPs${summary.duplicatesNote ? `\n${summary.duplicatesNote}` : ''}
 **Step 6:** SKU Matched: ${summary.matchingProducts} can be bid on
 **Step 7:** Ranked by due date
 `;
@@ -364,7 +381,8 @@ export function formatResultsForChat(searchResult) {
     keywordsUsed: r.matchedKeywords,
     filtersUsed: r.filtersUsed,
     pdfUrl: r.tender.pdf_url,
-    cableRequirements: r.tender.cable_requirements
+    cableRequirements: r.tender.cable_requirements,
+    cluster: r.tender.cluster || null
   }));
   
   return {
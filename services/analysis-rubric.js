@@ -7,6 +7,7 @@
  * - Specification Match Score
  * - Price Quotation Analysis
  * - Testing Requirements & Costs
+ * - Bid-Security & Cash-Flow Exposure
  * - Overall Win Probability
  */
 
@@ -14,6 +15,7 @@ import { getCredibilityScore } from './credibility.js';
 import { generatePricingAnalysis, getMarketValueBenchmark, analyzeQuotedPrice, calculateScaledTestCosts } from './pricing-analysis.js';
 import { getEnhancedMatcher } from './enhanced-spec-matcher.js';
 import { formatLakhsCrores } from './table-formatter.js';
+import { calculateFinancialExposure } from './financial-exposure.js';
 
 /**
  * Complete Analysis Rubric Weights
@@ -89,7 +91,8 @@ export class AnalysisRubric {
     rfp,
     matchedProducts = [],
     companyName = null,
-    quotedPrice = null
+    quotedPrice = null,
+    rfpText = ''
   }) {
     const analysis = {
       rfp_id: rfp.tender_id || rfp.rfp_id,
@@ -131,10 +134,13 @@ export class AnalysisRubric {
     // 5. Calculate Overall Score
     analysis.overall = this.calculateOverallScore(analysis.components);
     
-    // 6. Generate Recommendations
+    // 6. Bid-security and cash-flow exposure
+    analysis.financial_exposure = this.analyzeFinancialExposure(rfp, matchedProducts, quotedPrice, analysis.components.price_analysis, rfpText);
+    
+    // 7. Generate Recommendations
     analysis.action_items = this.generateActionItems(analysis);
     
-    // 7. Create summary table
+    // 8. Create summary table
     analysis.summary_table = this.createSummaryTable(analysis);
     
     return analysis;
@@ -305,6 +311,23 @@ export class AnalysisRubric {
     return result;
   }
   
+  /**
+   * Analyze bid-security and cash-flow exposure
+   * Bid value (ex-GST): quoted price, else our priced subtotal, else the estimated cost
+   */
+  analyzeFinancialExposure(rfp, matchedProducts, quotedPrice, priceAnalysis, rfpText) {
+    const leadTimes = (matchedProducts || [])
+      .map(p => p.lead_time_days)
+      .filter(d => typeof d === 'number' && d > 0);
+    
+    return calculateFinancialExposure({
+      rfp,
+      bidValue: quotedPrice || priceAnalysis?.pricing_summary?.subtotal_with_tests || rfp.estimated_cost_inr,
+      rfpText,
+      leadTimeDays: leadTimes.length > 0 ? Math.max(...leadTimes) : null
+    });
+  }
+  
   /**
    * Analyze company credibility
    */
@@ -533,6 +556,27 @@ export class AnalysisRubric {
       }
     }
     
+    // Bid-security and cash-flow exposure
+    const exposure = analysis.financial_exposure;
+    if (exposure) {
+      if (exposure.approval.requires_management_approval) {
+        items.push({
+          priority: priority++,
+          category: 'financial_exposure',
+          action: `Obtain management approval (bid above ${formatLakhsCrores(exposure.approval.threshold)}): ${exposure.approval.summary}`,
+          urgency: 'HIGH'
+        });
+      }
+      for (const warning of exposure.warnings) {
+        items.push({
+          priority: priority++,
+          category: 'financial_exposure',
+          action: warning,
+          urgency: exposure.margin.worst_case_net < 0 ? 'HIGH' : 'MEDIUM'
+        });
+      }
+    }
+    
     // Sort by urgency
     const urgencyOrder = { 'HIGH': 0, 'MEDIUM': 1, 'LOW': 2 };
     items.sort((a, b) => urgencyOrder[a.urgency] - urgencyOrder[b.urgency]);
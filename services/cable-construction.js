@@ -0,0 +1,449 @@
+/**
+ * Cable Construction & GTP Service
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Builds the construction of a SKU layer by layer (conductor, screens,
+ * insulation, inner sheath, armour, outer sheath) from IS 8130 / IS 1554 /
+ * IS 7098 / IS 3975 reference tables, overlaid with declared values from the
+ * OEM catalog and data/cable_construction.csv. The construction fills a
+ * Guaranteed Technical Particulars (GTP) schedule row by row against the
+ * RFP's stated requirements.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import { parse } from 'csv-parse/sync';
+import { getCableDataset } from './cable-dataset-loader.js';
+import { getProductBySKU as getOEMProduct, OEM_PRODUCT_CATALOG } from './oem-datasheets.js';
+import { parseRFPSpecs } from './spec-matcher.js';
+import { buildXlsx } from './xlsx-writer.js';
+import { drawPdfTable } from './pdf-table.js';
+import { PATHS } from '../configs/settings.js';
+
+const CONSTRUCTION_FILE = path.join(PATHS.data, 'cable_construction.csv');
+
+// IS 8130 Class 2: max DC resistance at 20°C (ohm/km) and min number of wires
+const CONDUCTOR_TABLE = {
+  1.5: { copper: 12.1, aluminium: 18.1, wires: 7 },
+  2.5: { copper: 7.41, aluminium: 12.1, wires: 7 },
+  4: { copper: 4.61, aluminium: 7.41, wires: 7 },
+  6: { copper: 3.08, aluminium: 4.61, wires: 7 },
+  10: { copper: 1.83, aluminium: 3.08, wires: 7 },
+  16: { copper: 1.15, aluminium: 1.91, wires: 7 },
+  25: { copper: 0.727, aluminium: 1.20, wires: 7 },
+  35: { copper: 0.524, aluminium: 0.868, wires: 7 },
+  50: { copper: 0.387, aluminium: 0.641, wires: 19 },
+  70: { copper: 0.268, aluminium: 0.443, wires: 19 },
+  95: { copper: 0.193, aluminium: 0.320, wires: 19 },
+  120: { copper: 0.153, aluminium: 0.253, wires: 37 },
+  150: { copper: 0.124, aluminium: 0.206, wires: 37 },
+  185: { copper: 0.0991, aluminium: 0.164, wires: 37 },
+  240: { copper: 0.0754, aluminium: 0.125, wires: 61 },
+  300: { copper: 0.0601, aluminium: 0.100, wires: 61 },
+  400: { copper: 0.0470, aluminium: 0.0778, wires: 61 },
+  500: { copper: 0.0366, aluminium: 0.0605, wires: 61 },
+  630: { copper: 0.0283, aluminium: 0.0469, wires: 91 }
+};
+
+// Nominal insulation thickness (mm) for 1.1kV cables: [max area, thickness]
+const LT_INSULATION = {
+  XLPE: [[16, 0.7], [35, 0.9], [50, 1.0], [95, 1.1], [120, 1.2], [150, 1.4], [185, 1.6], [240, 1.7], [300, 1.8], [400, 2.0], [500, 2.2], [Infinity, 2.4]],
+  PVC: [[2.5, 0.8], [16, 1.0], [35, 1.2], [70, 1.4], [120, 1.6], [150, 1.8], [185, 2.0], [240, 2.2], [300, 2.4], [Infinity, 2.6]]
+};
+
+// Nominal XLPE insulation thickness (mm) for HT/EHV cables by rated voltage: [max kV, thickness]
+const HT_INSULATION = [[6.6, 2.8], [11, 3.6], [22, 5.5], [33, 8.8], [66, 11.0], [Infinity, 16.0]];
+
+// Laying-up factor: laid-up diameter / core diameter
+const LAY_FACTORS = { 1: 1, 2: 2, 3: 2.154, 4: 2.414, 5: 2.7, 6: 3, 7: 3, 8: 3.45, 10: 4, 12: 4.154, 14: 4.41, 16: 4.7, 19: 5, 24: 6, 27: 6.15, 37: 7 };
+
+// Short-circuit constant K (A·s^0.5/mm²) by conductor and insulation
+const SC_CONSTANTS = { copper: { XLPE: 143, PVC: 115 }, aluminium: { XLPE: 94, PVC: 76 } };
+
+const DENSITY = { copper: 8.89, aluminium: 2.703, XLPE: 0.92, PVC: 1.45, steel: 7.85, aluminium_armour: 2.703, semicon: 1.15 };
+
+/**
+ * GTP particulars in schedule order
+ * compare: min (offered >= required), max (offered <= required), equals, info
+ * match: regex used to map a buyer's GTP row to this particular
+ */
+export const GTP_PARTICULARS = [
+  { id: 'manufacturer', particular: 'Name of manufacturer', unit: '', compare: 'info', match: /manufacturer|make/i },
+  { id: 'standard', particular: 'Applicable standard', unit: '', compare: 'equals', match: /standard|specification/i },
+  { id: 'rated_voltage_kv', particular: 'Rated voltage (U)', unit: 'kV', compare: 'min', match: /voltage/i },
+  { id: 'no_of_cores', particular: 'Number of cores', unit: 'Nos', compare: 'equals', match: /(no\.?|number) of cores/i },
+  { id: 'conductor_material', particular: 'Conductor material', unit: '', compare: 'equals', match: /conductor.*material|material.*conductor/i },
+  { id: 'conductor_area_mm2', particular: 'Nominal cross-sectional area of conductor', unit: 'sq.mm', compare: 'equals', match: /(cross|area|size).*conductor|conductor.*(area|size)/i },
+  { id: 'conductor_class', particular: 'Conductor class / shape', unit: '', compare: 'info', match: /class|shape/i },
+  { id: 'min_no_of_wires', particular: 'Minimum number of wires in conductor', unit: 'Nos', compare: 'min', match: /wires/i },
+  { id: 'conductor_diameter_mm', particular: 'Approx. diameter of conductor', unit: 'mm', compare: 'info', match: /diameter.*conductor|conductor.*diameter/i },
+  { id: 'max_dc_resistance_ohm_per_km', particular: 'Max. DC resistance of conductor at 20°C', unit: 'ohm/km', compare: 'max', match: /resistance/i },
+  { id: 'conductor_screen', particular: 'Conductor screen', unit: '', compare: 'info', match: /conductor screen/i },
+  { id: 'insulation_screen', particular: 'Insulation screen', unit: '', compare: 'info', match: /insulation screen/i },
+  { id: 'metallic_screen', particular: 'Metallic screen', unit: '', compare: 'info', match: /metallic screen|copper tape/i },
+  { id: 'insulation_thickness_mm', particular: 'Nominal thickness of insulation', unit: 'mm', compare: 'min', match: /thickness.*insulation|insulation.*thickness/i },
+  { id: 'insulation_material', particular: 'Insulation material', unit: '', compare: 'equals', match: /insulation/i },
+  { id: 'inner_sheath_thickness_mm', particular: 'Min. thickness of inner sheath', unit: 'mm', compare: 'min', match: /inner sheath.*thick|thick.*inner sheath/i },
+  { id: 'inner_sheath', particular: 'Inner sheath material', unit: '', compare: 'info', match: /inner sheath|bedding/i },
+  { id: 'armour_dimension_mm', particular: 'Armour wire / strip dimension', unit: 'mm', compare: 'min', match: /armour.*(size|dimension|dia|thick)|(size|dimension|dia).*armour/i },
+  { id: 'armour_type', particular: 'Type of armour', unit: '', compare: 'info', match: /armour/i },
+  { id: 'outer_sheath_thickness_mm', particular: 'Min. thickness of outer sheath', unit: 'mm', compare: 'min', match: /outer sheath.*thick|thick.*outer sheath/i },
+  { id: 'outer_sheath', particular: 'Outer sheath material', unit: '', compare: 'info', match: /outer sheath|jacket/i },
+  { id: 'overall_diameter_mm', particular: 'Approx. overall diameter', unit: 'mm', compare: 'max', match: /overall diameter|outer diameter|\bo\.?d\b/i },
+  { id: 'weight_kg_per_km', particular: 'Approx. weight of cable', unit: 'kg/km', compare: 'info', match: /weight|mass/i },
+  { id: 'sc_conductor_temp_c', particular: 'Max. short-circuit conductor temperature', unit: '°C', compare: 'min', match: /short.?circuit.*temp/i },
+  { id: 'max_conductor_temp_c', particular: 'Max. continuous conductor temperature', unit: '°C', compare: 'min', match: /continuous.*temp|operating temp|conductor temp/i },
+  { id: 'sc_rating_ka_1s', particular: 'Short-circuit current rating for 1 sec', unit: 'kA', compare: 'min', match: /short.?circuit|fault current/i },
+  { id: 'min_bending_radius_mm', particular: 'Min. bending radius', unit: 'mm', compare: 'max', match: /bending/i }
+];
+
+let overridesCache = null;
+
+function loadConstructionOverrides() {
+  if (overridesCache) return overridesCache;
+  overridesCache = new Map();
+  if (!fs.existsSync(CONSTRUCTION_FILE)) return overridesCache;
+
+  const rows = parse(fs.readFileSync(CONSTRUCTION_FILE, 'utf-8'), { columns: true, skip_empty_lines: true, trim: true });
+  for (const row of rows) {
+    const entries = overridesCache.get(row.SKU_ID) || {};
+    const numeric = Number(row.Value);
+    entries[row.Particular_ID] = { value: isNaN(numeric) ? row.Value : numeric, source: row.Source || 'declared' };
+    overridesCache.set(row.SKU_ID, entries);
+  }
+  return overridesCache;
+}
+
+/**
+ * Normalise a SKU from products.csv or the OEM catalog
+ */
+function resolveProduct(skuId) {
+  const csvProduct = getCableDataset().getProductBySKU(skuId);
+  if (csvProduct) {
+    return {
+      sku_id: csvProduct.sku_id,
+      product_name: csvProduct.product_name,
+      conductor_material: csvProduct.conductor_material.startsWith('al') ? 'aluminium' : 'copper',
+      area: csvProduct.conductor_area_mm2,
+      cores: csvProduct.no_of_cores,
+      voltage_kv: csvProduct.voltage_rating_kv,
+      insulation: csvProduct.insulation === 'PVC' ? 'PVC' : 'XLPE',
+      armoured: csvProduct.armoured,
+      standard: csvProduct.standard,
+      declared: csvProduct.unit_weight_kg_per_km
+        ? { weight_kg_per_km: { value: csvProduct.unit_weight_kg_per_km, source: 'products.csv' } }
+        : {}
+    };
+  }
+
+  const oem = getOEMProduct(skuId);
+  if (oem) {
+    const s = oem.specifications;
+    const declared = {};
+    const fromCatalog = { overall_diameter_mm: s.overall_diameter_mm, weight_kg_per_km: s.weight_kg_per_km, sc_rating_ka_1s: s.short_circuit_rating_ka, min_bending_radius_mm: s.min_bending_radius_mm };
+    for (const [key, value] of Object.entries(fromCatalog)) {
+      if (value !== undefined) declared[key] = { value, source: 'oem_catalog' };
+    }
+    return {
+      sku_id: oem.sku_id,
+      product_name: oem.product_name,
+      conductor_material: /alumin/i.test(s.conductor_material) ? 'aluminium' : 'copper',
+      area: s.conductor_cross_section_mm2,
+      cores: s.no_of_cores,
+      voltage_kv: (s.voltage_rating_v || 1100) / 1000,
+      insulation: /pvc/i.test(s.insulation_material) ? 'PVC' : 'XLPE',
+      armoured: !!s.armour_type && !/unarmou?red|none/i.test(s.armour_type),
+      standard: (s.standard_compliance || [])[0] || 'IS 7098',
+      declared
+    };
+  }
+
+  return null;
+}
+
+const lookupStep = (table, key) => table.find(([limit]) => key <= limit)[1];
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const annulus = (outer, inner) => Math.PI / 4 * (outer ** 2 - inner ** 2);
+
+/**
+ * Layer-by-layer construction of a SKU
+ * @param {string} skuId - products.csv or OEM catalog SKU
+ * @returns {Object} particulars keyed by GTP id, each { value, source }
+ */
+export function buildCableConstruction(skuId) {
+  const product = resolveProduct(skuId);
+  if (!product) {
+    throw new Error(`SKU not found: ${skuId}`);
+  }
+
+  const { area, cores, voltage_kv: kv, insulation, armoured, conductor_material: metal } = product;
+  const isHT = kv > 1.1;
+  const single = cores === 1;
+  const derived = {};
+  const set = (id, value) => { derived[id] = { value, source: 'derived' }; };
+
+  // Conductor
+  const conductorRow = CONDUCTOR_TABLE[area];
+  const resistance = conductorRow ? conductorRow[metal] : round((metal === 'copper' ? 17.241 : 28.264) * 1.02 / area, 4);
+  const dc = round(1.128 * Math.sqrt(area / 0.9), 1);
+  set('conductor_class', area >= 25 ? 'Class 2, stranded compacted circular' : 'Class 2, stranded circular');
+  set('min_no_of_wires', conductorRow ? conductorRow.wires : 7);
+  set('conductor_diameter_mm', dc);
+  set('max_dc_resistance_ohm_per_km', resistance);
+
+  // Screens and insulation
+  const ti = isHT ? lookupStep(HT_INSULATION, kv) : lookupStep(LT_INSULATION[insulation], area);
+  const screens = isHT ? { conductor: 0.5, insulation: 0.6, metallic: 0.2 } : { conductor: 0, insulation: 0, metallic: 0 };
+  const dInsulated = dc + 2 * (screens.conductor + ti);
+  const dCore = dInsulated + 2 * (screens.insulation + screens.metallic);
+  set('insulation_thickness_mm', ti);
+  set('conductor_screen', isHT ? 'Extruded semi-conducting compound' : 'Not applicable');
+  set('insulation_screen', isHT ? 'Extruded semi-conducting compound, strippable' : 'Not applicable');
+  set('metallic_screen', isHT ? 'Copper tape, lapped' : 'Not applicable');
+
+  // Laying up and inner sheath
+  const layFactor = LAY_FACTORS[cores] || 1.155 * Math.sqrt(cores);
+  const dLaid = dCore * layFactor;
+  const hasInnerSheath = !single || armoured;
+  const tInner = hasInnerSheath ? lookupStep([[25, 0.3], [35, 0.4], [45, 0.5], [55, 0.6], [Infinity, 0.7]], dLaid) : 0;
+  const dUnderArmour = dLaid + 2 * tInner;
+  set('inner_sheath', hasInnerSheath ? 'Extruded PVC' : 'Not applicable');
+  set('inner_sheath_thickness_mm', hasInnerSheath ? tInner : null);
+
+  // Armour (non-magnetic aluminium wire for single-core AC cables)
+  let armourType = 'Unarmoured';
+  let armourSize = null;
+  let armourArea = 0;
+  let armourDensity = DENSITY.steel;
+  let armourRadial = 0;
+  if (armoured) {
+    if (single || dUnderArmour <= 13) {
+      armourSize = lookupStep([[13, 1.4], [25, 1.6], [40, 2.0], [55, 2.5], [Infinity, 3.15]], dUnderArmour);
+      armourType = single ? 'Aluminium round wire (non-magnetic)' : 'Galvanised steel round wire';
+      armourDensity = single ? DENSITY.aluminium_armour : DENSITY.steel;
+      const wires = Math.floor(Math.PI * (dUnderArmour + armourSize) / armourSize);
+      armourArea = wires * Math.PI / 4 * armourSize ** 2;
+      armourRadial = armourSize;
+    } else {
+      armourSize = 0.8;
+      armourType = 'Galvanised steel flat strip 4.0 x 0.8 mm';
+      armourArea = 0.9 * Math.PI * (dUnderArmour + 0.8) * 0.8;
+      armourRadial = 0.8;
+    }
+  }
+  const dOverArmour = dUnderArmour + 2 * armourRadial;
+  set('armour_type', armourType);
+  set('armour_dimension_mm', armourSize);
+
+  // Outer sheath (IEC 60502: 0.035D + 1.0)
+  const tOuter = round(Math.max(isHT ? 1.8 : 1.4, 0.035 * dOverArmour + 1.0), 2);
+  const od = round(dOverArmour + 2 * tOuter, 1);
+  set('outer_sheath', 'Extruded PVC type ST2');
+  set('outer_sheath_thickness_mm', tOuter);
+  set('overall_diameter_mm', od);
+
+  // Weight from layer cross-sections (mm² x g/cm³ = kg/km)
+  const weight = cores * area * DENSITY[metal]
+    + cores * annulus(dc + 2 * ti + 2 * screens.conductor, dc + 2 * screens.conductor) * DENSITY[insulation]
+    + (isHT ? cores * (annulus(dc + 2 * screens.conductor, dc) + annulus(dCore, dInsulated)) * DENSITY.semicon : 0)
+    + (hasInnerSheath ? annulus(dUnderArmour, dLaid) * DENSITY.PVC : 0)
+    + armourArea * armourDensity
+    + annulus(od, dOverArmour) * DENSITY.PVC;
+  set('weight_kg_per_km', Math.round(weight));
+
+  // Ratings
+  set('max_conductor_temp_c', insulation === 'XLPE' ? 90 : 70);
+  set('sc_conductor_temp_c', insulation === 'XLPE' ? 250 : 160);
+  set('sc_rating_ka_1s', round(SC_CONSTANTS[metal][insulation] * area / 1000, 2));
+  set('min_bending_radius_mm', Math.round(od * (isHT ? (single ? 20 : 15) : (single ? 15 : 12))));
+
+  const fixed = (value) => ({ value, source: 'product' });
+  const particulars = {
+    manufacturer: { value: OEM_PRODUCT_CATALOG.metadata.manufacturer, source: 'oem_catalog' },
+    standard: fixed(product.standard),
+    rated_voltage_kv: fixed(kv),
+    no_of_cores: fixed(cores),
+    conductor_material: fixed(metal === 'copper' ? 'Copper' : 'Aluminium'),
+    conductor_area_mm2: fixed(area),
+    insulation_material: fixed(insulation),
+    ...derived,
+    ...product.declared,
+    ...(loadConstructionOverrides().get(product.sku_id) || {})
+  };
+
+  return {
+    sku_id: product.sku_id,
+    product_name: product.product_name,
+    cable_class: isHT ? 'HT' : 'LT',
+    armoured,
+    particulars
+  };
+}
+
+/**
+ * RFP requirements keyed by GTP id, from the requirement text and explicit values
+ */
+function requirementsFromRfp(requirementText, explicit = {}) {
+  const specs = requirementText ? parseRFPSpecs(requirementText) : {};
+  const required = {};
+  if (specs.voltage) required.rated_voltage_kv = specs.voltage / 1000;
+  if (specs.no_of_cores) required.no_of_cores = specs.no_of_cores;
+  if (specs.cross_section_area) required.conductor_area_mm2 = specs.cross_section_area;
+  if (specs.conductor_material) required.conductor_material = specs.conductor_material;
+  if (specs.insulation_material) required.insulation_material = specs.insulation_material;
+  if (specs.standard) required.standard = specs.standard;
+  return { ...required, ...explicit };
+}
+
+function compareParticular(compare, offered, required) {
+  if (required === undefined || required === null || required === '') return 'NOT_SPECIFIED';
+  if (offered === undefined || offered === null) return 'NOT_AVAILABLE';
+  if (compare === 'info') return 'NOTED';
+
+  const offeredNum = parseFloat(offered);
+  // First number in the requirement ("Min. 0.5 mm" -> 0.5, "1.1/1.9 kV" -> 1.1)
+  const requiredNum = parseFloat(String(required).match(/\d+(?:\.\d+)?/)?.[0]);
+  if (compare !== 'equals' && !isNaN(offeredNum) && !isNaN(requiredNum)) {
+    const ok = compare === 'min' ? offeredNum >= requiredNum : offeredNum <= requiredNum;
+    return ok ? 'COMPLIES' : 'DEVIATION';
+  }
+  if (!isNaN(offeredNum) && !isNaN(requiredNum) && typeof offered === 'number') {
+    return offeredNum === requiredNum ? 'COMPLIES' : 'DEVIATION';
+  }
+
+  const a = String(offered).toLowerCase().replace(/\s+/g, ' ');
+  const b = String(required).toLowerCase().replace(/\s+/g, ' ');
+  return a.includes(b) || b.includes(a) ? 'COMPLIES' : 'DEVIATION';
+}
+
+/**
+ * Fill a GTP schedule for one offered SKU
+ * @param {Object} params
+ * @param {string} params.skuId - Offered SKU
+ * @param {string} params.requirement - RFP item description (voltage, cores, size, material...)
+ * @param {Object} params.requirements - Explicit RFP values keyed by GTP id
+ * @param {Array} params.format - Buyer's GTP rows [{ particular, unit?, required?, id? }]; defaults to GTP_PARTICULARS
+ * @returns {Object} Rows with offered / required / status, and the failing particulars
+ */
+export function buildGtpSheet({ skuId, requirement = '', requirements = {}, format = null }) {
+  const construction = buildCableConstruction(skuId);
+  const required = requirementsFromRfp(requirement, requirements);
+
+  const rows = (format && format.length > 0 ? format : GTP_PARTICULARS).map((row, idx) => {
+    const definition = GTP_PARTICULARS.find(p => p.id === row.id) ||
+      GTP_PARTICULARS.find(p => p.match.test(row.particular || ''));
+    const offered = definition ? construction.particulars[definition.id] : null;
+    const requiredValue = row.required ?? (definition ? required[definition.id] : undefined);
+    const status = compareParticular(definition?.compare || 'info', offered?.value, requiredValue);
+
+    return {
+      sl_no: idx + 1,
+      id: definition?.id || null,
+      particular: row.particular || definition?.particular || '',
+      unit: row.unit ?? definition?.unit ?? '',
+      required: requiredValue ?? '',
+      offered: offered?.value ?? (definition ? 'Not applicable' : 'To be confirmed'),
+      source: offered?.source || null,
+      status
+    };
+  });
+
+  const deviations = rows.filter(r => r.status === 'DEVIATION');
+
+  return {
+    sku_id: construction.sku_id,
+    product_name: construction.product_name,
+    requirement,
+    rows,
+    deviations,
+    summary: {
+      total: rows.length,
+      complies: rows.filter(r => r.status === 'COMPLIES').length,
+      deviations: deviations.length,
+      not_available: rows.filter(r => r.status === 'NOT_AVAILABLE' || r.offered === 'To be confirmed').length,
+      compliant: deviations.length === 0
+    }
+  };
+}
+
+const GTP_COLUMNS = [
+  { key: 'sl_no', label: 'Sl.', width: 25 },
+  { key: 'particular', label: 'Particular', width: 165 },
+  { key: 'unit', label: 'Unit', width: 45 },
+  { key: 'required', label: 'RFP Requirement', width: 85 },
+  { key: 'offered', label: 'Offered (Guaranteed)', width: 110 },
+  { key: 'status', label: 'Status', width: 65 }
+];
+
+/**
+ * GTP workbook: a summary sheet plus one sheet per offered item
+ * @param {Array} sheets - buildGtpSheet results
+ * @param {Object} meta - { tender_id, buyer }
+ */
+export function generateGtpXlsx(sheets, meta = {}) {
+  const summary = {
+    name: 'Summary',
+    columnWidths: [6, 22, 40, 12, 12, 14],
+    rows: [
+      ['Sl.', 'SKU', 'Product', 'Particulars', 'Deviations', 'Compliant'],
+      ...sheets.map((sheet, i) => [i + 1, sheet.sku_id, sheet.product_name, sheet.summary.total, sheet.summary.deviations, sheet.summary.compliant ? 'Yes' : 'No'])
+    ]
+  };
+  if (meta.tender_id) {
+    summary.rows.push([], ['Tender', meta.tender_id], ['Buyer', meta.buyer || '']);
+  }
+
+  return buildXlsx([
+    summary,
+    ...sheets.map((sheet, i) => ({
+      name: `${i + 1} ${sheet.sku_id}`,
+      columnWidths: [6, 45, 10, 20, 30, 14],
+      rows: [
+        GTP_COLUMNS.map(c => c.label),
+        ...sheet.rows.map(row => GTP_COLUMNS.map(c => row[c.key]))
+      ]
+    }))
+  ]);
+}
+
+/**
+ * GTP schedule as PDF, one section per offered item
+ */
+export function generateGtpPdf(sheets, meta = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    sheets.forEach((sheet, i) => {
+      if (i > 0) doc.addPage();
+      doc.fontSize(14).font('Helvetica-Bold').text('Guaranteed Technical Particulars', { align: 'center' });
+      doc.fontSize(10).font('Helvetica');
+      if (meta.tender_id) doc.text(`Tender: ${meta.tender_id}${meta.buyer ? ` | Buyer: ${meta.buyer}` : ''}`, { align: 'center' });
+      doc.text(`Item ${i + 1}: ${sheet.product_name} (${sheet.sku_id})`, { align: 'center' });
+      if (sheet.requirement) doc.text(`RFP item: ${sheet.requirement}`, { align: 'center' });
+      doc.moveDown();
+      drawPdfTable(doc, GTP_COLUMNS, sheet.rows);
+      doc.moveDown();
+      doc.fontSize(9).font('Helvetica').text(
+        sheet.summary.compliant
+          ? 'All guaranteed particulars meet the RFP requirements.'
+          : `${sheet.summary.deviations} particular(s) do not meet the RFP requirement - see Schedule of Deviations.`
+      );
+    });
+
+    doc.end();
+  });
+}
+
+export default {
+  GTP_PARTICULARS,
+  buildCableConstruction,
+  buildGtpSheet,
+  generateGtpXlsx,
+  generateGtpPdf
+};
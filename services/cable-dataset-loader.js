@@ -119,6 +119,20 @@ export class CableDataset {
       'cable-products'
     );
     
+    // Category files in data/products/ may carry SKUs not yet in products.csv
+    const categoryDir = path.join(dataPath, 'products');
+    if (fs.existsSync(categoryDir)) {
+      const known = new Set(this.products.map(p => p.sku_id));
+      for (const file of fs.readdirSync(categoryDir).filter(f => f.endsWith('.csv'))) {
+        for (const row of loadCachedCSV(path.join(categoryDir, file), `cable-products-${file}`)) {
+          if (row.sku_id && !known.has(row.sku_id)) {
+            known.add(row.sku_id);
+            this.products.push(row);
+          }
+        }
+      }
+    }
+    
     this.tests = loadCachedCSV(
       path.join(dataPath, 'testing.csv'),
       'cable-tests'
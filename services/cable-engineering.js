@@ -0,0 +1,397 @@
+/**
+ * Cable Engineering Check Service
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Checks that an offered cable can actually carry the RFP's load:
+ * - Continuous current rating from IS 3961 / IEC 60287-style tables by
+ *   conductor, insulation, voltage class and laying (ground, duct, air),
+ *   derated for ground / air temperature, grouping, depth and soil resistivity
+ * - Voltage drop over the route at the operating conductor temperature
+ * Used to validate substitute SKUs (larger / smaller conductors, Al for Cu)
+ * before they are offered in the compliance table.
+ */
+
+import { buildCableConstruction } from './cable-construction.js';
+import { parseRFPSpecs } from './spec-matcher.js';
+import { ENGINEERING_CONFIG } from '../configs/settings.js';
+
+// Continuous current rating (A) of a 3 / 3.5 / 4 core armoured cable at reference
+// conditions: [area mm², laid direct in ground, in still air]
+// Ground 30°C, 1.5 K.m/W, 0.75 m (LT) / 0.9 m (HT); air 40°C
+const BASE_RATINGS = {
+  LT: {
+    copper: {
+      XLPE: [[1.5, 27, 24], [2.5, 36, 32], [4, 47, 42], [6, 59, 53], [10, 78, 72], [16, 100, 95], [25, 130, 125], [35, 155, 155], [50, 185, 190], [70, 225, 240], [95, 270, 290], [120, 305, 335], [150, 340, 380], [185, 385, 435], [240, 445, 515], [300, 500, 590], [400, 565, 680]],
+      PVC: [[1.5, 21, 18], [2.5, 29, 25], [4, 37, 33], [6, 47, 42], [10, 63, 57], [16, 80, 76], [25, 105, 100], [35, 125, 125], [50, 150, 150], [70, 180, 190], [95, 215, 230], [120, 245, 265], [150, 275, 300], [185, 310, 345], [240, 360, 405], [300, 405, 460], [400, 460, 530]]
+    },
+    aluminium: {
+      XLPE: [[2.5, 28, 25], [4, 36, 33], [6, 46, 42], [10, 61, 56], [16, 80, 75], [25, 100, 97], [35, 120, 120], [50, 140, 145], [70, 175, 185], [95, 210, 225], [120, 235, 260], [150, 265, 295], [185, 300, 335], [240, 345, 400], [300, 390, 460], [400, 440, 530]],
+      PVC: [[2.5, 22, 19], [4, 29, 26], [6, 36, 32], [10, 48, 44], [16, 62, 58], [25, 80, 77], [35, 96, 96], [50, 115, 115], [70, 140, 145], [95, 170, 180], [120, 190, 205], [150, 215, 235], [185, 245, 270], [240, 285, 315], [300, 320, 360], [400, 365, 420]]
+    }
+  },
+  HT: {
+    copper: {
+      XLPE: [[35, 150, 160], [50, 175, 190], [70, 215, 235], [95, 255, 285], [120, 290, 325], [150, 325, 365], [185, 365, 415], [240, 420, 490], [300, 470, 555], [400, 530, 640]]
+    },
+    aluminium: {
+      XLPE: [[35, 115, 125], [50, 135, 150], [70, 165, 180], [95, 200, 220], [120, 225, 250], [150, 250, 285], [185, 285, 325], [240, 330, 380], [300, 375, 435], [400, 425, 500]]
+    }
+  }
+};
+
+// Ratings of other core counts relative to the 3-core table (single core in trefoil)
+const CORE_FACTORS = { 1: { ground: 1.08, air: 1.15 }, 2: { ground: 1.17, air: 1.17 } };
+
+// Single-way ducts relative to direct burial
+const DUCT_FACTOR = 0.80;
+
+// Temperature factors: [temperature °C, factor], applied at the next tabulated value up
+const GROUND_TEMP_FACTORS = {
+  XLPE: [[15, 1.12], [20, 1.08], [25, 1.04], [30, 1.0], [35, 0.96], [40, 0.91], [45, 0.87], [50, 0.82], [55, 0.76]],
+  PVC: [[15, 1.17], [20, 1.12], [25, 1.06], [30, 1.0], [35, 0.94], [40, 0.87], [45, 0.79], [50, 0.71], [55, 0.61]]
+};
+const AIR_TEMP_FACTORS = {
+  XLPE: [[25, 1.14], [30, 1.10], [35, 1.05], [40, 1.0], [45, 0.95], [50, 0.89], [55, 0.84], [60, 0.77]],
+  PVC: [[25, 1.22], [30, 1.15], [35, 1.08], [40, 1.0], [45, 0.91], [50, 0.82], [55, 0.71], [60, 0.58]]
+};
+
+// Grouping: [number of circuits, factor] - touching in ground / on a single tray in air
+const GROUPING_FACTORS = {
+  ground: [[1, 1.0], [2, 0.81], [3, 0.70], [4, 0.63], [5, 0.59], [6, 0.55], [8, 0.50], [12, 0.45]],
+  air: [[1, 1.0], [2, 0.88], [3, 0.82], [4, 0.79], [6, 0.76], [9, 0.73], [12, 0.70]]
+};
+
+// Depth of laying (m) and soil thermal resistivity (K.m/W) for buried cables
+const DEPTH_FACTORS = {
+  LT: [[0.75, 1.0], [0.9, 0.99], [1.05, 0.98], [1.2, 0.97], [1.5, 0.96], [Infinity, 0.95]],
+  HT: [[0.9, 1.0], [1.05, 0.99], [1.2, 0.98], [1.5, 0.96], [1.8, 0.95], [Infinity, 0.94]]
+};
+const SOIL_FACTORS = [[1.0, 1.18], [1.2, 1.10], [1.5, 1.0], [2.0, 0.87], [2.5, 0.79], [3.0, 0.73], [Infinity, 0.67]];
+
+// Temperature coefficient of resistance at 20°C
+const ALPHA_20 = { copper: 0.00393, aluminium: 0.00403 };
+
+// Approximate positive-sequence reactance at 50 Hz (ohm/km)
+const REACTANCE = { LT: { multi: 0.08, single: 0.10 }, HT: { multi: 0.10, single: 0.12 } };
+
+const stepLookup = (table, key) => (table.find(([limit]) => key <= limit) || table[table.length - 1])[1];
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Derated continuous current rating
+ * @param {Object} cable - { conductor_material, insulation, area, cores, voltage_kv }
+ * @param {Object} installation - { laying, groundTempC, airTempC, soilResistivity, depthM, groupedCircuits }
+ * @returns {Object|null} Base rating, each derating factor and the derated rating; null if not tabulated
+ */
+export function currentRating(cable, installation = {}) {
+  const metal = /^al/i.test(cable.conductor_material) ? 'aluminium' : 'copper';
+  const insulation = /pvc/i.test(cable.insulation) ? 'PVC' : 'XLPE';
+  const voltageClass = cable.voltage_kv > 1.1 ? 'HT' : 'LT';
+  const laying = installation.laying || ENGINEERING_CONFIG.laying;
+
+  const table = BASE_RATINGS[voltageClass][metal]?.[insulation];
+  // Sizes between tabulated values take the next smaller size
+  const row = table && [...table].reverse().find(([area]) => area <= cable.area);
+  if (!row) return null;
+
+  const inAir = laying === 'air';
+  const coreFactor = CORE_FACTORS[cable.cores]?.[inAir ? 'air' : 'ground'] ?? 1;
+  const base = (inAir ? row[2] : row[1]) * coreFactor;
+
+  const groundTemp = installation.groundTempC ?? ENGINEERING_CONFIG.groundTempC;
+  const airTemp = installation.airTempC ?? ENGINEERING_CONFIG.airTempC;
+  const circuits = installation.groupedCircuits ?? ENGINEERING_CONFIG.groupedCircuits;
+  const factors = inAir
+    ? {
+        air_temperature: stepLookup(AIR_TEMP_FACTORS[insulation], airTemp),
+        grouping: stepLookup(GROUPING_FACTORS.air, circuits)
+      }
+    : {
+        ground_temperature: stepLookup(GROUND_TEMP_FACTORS[insulation], groundTemp),
+        grouping: stepLookup(GROUPING_FACTORS.ground, circuits),
+        depth: stepLookup(DEPTH_FACTORS[voltageClass], installation.depthM ?? (voltageClass === 'HT' ? 0.9 : ENGINEERING_CONFIG.depthM)),
+        soil_resistivity: stepLookup(SOIL_FACTORS, installation.soilResistivity ?? ENGINEERING_CONFIG.soilResistivity),
+        ...(laying === 'duct' ? { duct: DUCT_FACTOR } : {})
+      };
+
+  const totalFactor = Object.values(factors).reduce((product, f) => product * f, 1);
+
+  return {
+    laying,
+    table_size_mm2: row[0],
+    base_rating_a: Math.round(base),
+    factors,
+    total_factor: round(totalFactor, 3),
+    derated_rating_a: Math.round(base * totalFactor)
+  };
+}
+
+/**
+ * Voltage drop over a route
+ * @param {Object} params
+ * @param {number} params.loadCurrentA
+ * @param {number} params.routeLengthM
+ * @param {number} params.systemVoltageV - Line voltage (3-phase) or phase voltage (1-phase)
+ * @param {number} params.resistance20 - Max DC resistance at 20°C (ohm/km)
+ * @param {string} params.conductorMaterial
+ * @param {number} params.conductorTempC - Operating temperature used for resistance
+ * @param {number} params.reactance - ohm/km
+ * @param {number} params.powerFactor
+ * @param {number} params.phases - 3 or 1
+ * @param {number} params.limitPercent
+ */
+export function voltageDrop({
+  loadCurrentA,
+  routeLengthM,
+  systemVoltageV,
+  resistance20,
+  conductorMaterial = 'copper',
+  conductorTempC = 90,
+  reactance = 0.08,
+  powerFactor = ENGINEERING_CONFIG.powerFactor,
+  phases = 3,
+  limitPercent = ENGINEERING_CONFIG.maxVoltageDropPercent.LT
+}) {
+  const metal = /^al/i.test(conductorMaterial) ? 'aluminium' : 'copper';
+  const resistance = resistance20 * (1 + ALPHA_20[metal] * (conductorTempC - 20));
+  const sinPhi = Math.sqrt(1 - powerFactor ** 2);
+  const k = phases === 1 ? 2 : Math.sqrt(3);
+  const impedance = resistance * powerFactor + reactance * sinPhi; // ohm/km
+
+  const dropV = k * loadCurrentA * (routeLengthM / 1000) * impedance;
+  const dropPercent = dropV / systemVoltageV * 100;
+  const maxRouteLengthM = (limitPercent / 100 * systemVoltageV) / (k * loadCurrentA * impedance) * 1000;
+
+  return {
+    r_ohm_per_km: round(resistance, 4),
+    x_ohm_per_km: reactance,
+    conductor_temp_c: conductorTempC,
+    power_factor: powerFactor,
+    phases,
+    drop_v: round(dropV, 1),
+    drop_percent: round(dropPercent, 2),
+    limit_percent: limitPercent,
+    max_route_length_m: Math.floor(maxRouteLengthM),
+    status: dropPercent <= limitPercent ? 'PASS' : 'FAIL'
+  };
+}
+
+/**
+ * Pull load current, route length and installation conditions out of RFP text.
+ * Only a route / run / circuit / feeder length counts: "cable length" is usually the supply quantity.
+ * @param {string} text - Item description or RFP text
+ * @param {Object} explicit - Values already known (load_current_a, route_length_m, laying, ...)
+ * @returns {Object} Load conditions; fields the text does not state are omitted
+ */
+export function extractLoadConditions(text = '', explicit = {}) {
+  const t = String(text || '');
+  const conditions = {};
+  const num = (pattern) => {
+    const m = t.match(pattern);
+    return m ? parseFloat(m[1]) : null;
+  };
+
+  const current = num(/(?:load|full[-\s]?load|design|operating|running)\s+current[^.\d]{0,30}(\d+(?:\.\d+)?)\s*(?:a|amps?|amperes?)\b/i)
+    ?? num(/(\d+(?:\.\d+)?)\s*(?:a|amps?|amperes?)\s+(?:load|full[-\s]?load)/i);
+  if (current) conditions.load_current_a = current;
+
+  const power = t.match(/(\d+(?:\.\d+)?)\s*(kw|mw|kva|mva)\s+(?:load|motor|feeder|transformer|connected\s+load)/i)
+    || t.match(/(?:connected\s+)?load\s+(?:of\s+)?(\d+(?:\.\d+)?)\s*(kw|mw|kva|mva)\b/i);
+  if (power) {
+    conditions.load_power = { value: parseFloat(power[1]), unit: power[2] };
+  }
+
+  const route = t.match(/(?:route|run|circuit|feeder)\s+length[^.\d]{0,30}(\d+(?:\.\d+)?)\s*(km|kms|m|mtrs?|metres?|meters?)\b/i)
+    || t.match(/(\d+(?:\.\d+)?)\s*(km|m|mtrs?|metres?|meters?)\s+(?:route|run)\b/i);
+  if (route) {
+    conditions.route_length_m = parseFloat(route[1]) * (/^km/i.test(route[2]) ? 1000 : 1);
+  }
+
+  if (/(?:laid|buried)\s+(?:directly\s+)?in\s+(?:the\s+)?(?:ground|earth|soil)|direct(?:ly)?\s+buried/i.test(t)) {
+    conditions.laying = 'ground';
+  } else if (/\b(?:in|through)\s+(?:hdpe\s+|pvc\s+|gi\s+)?(?:ducts?|conduits?|pipes?)\b/i.test(t)) {
+    conditions.laying = 'duct';
+  } else if (/\b(?:in\s+(?:free\s+|still\s+)?air|on\s+(?:cable\s+)?(?:trays?|racks?|ladders?)|in\s+(?:open\s+)?trench(?:es)?|on\s+cleats)\b/i.test(t)) {
+    conditions.laying = 'air';
+  }
+
+  const groundTemp = num(/ground\s+temp(?:erature)?[^.\d]{0,20}(\d{2})\s*°?\s*c\b/i);
+  if (groundTemp) conditions.ground_temp_c = groundTemp;
+  const airTemp = num(/ambient(?:\s+air)?\s+temp(?:erature)?[^.\d]{0,20}(\d{2})\s*°?\s*c\b/i);
+  if (airTemp) conditions.air_temp_c = airTemp;
+
+  const soil = t.match(/thermal\s+resistivity[^.\d]{0,30}(\d+(?:\.\d+)?)\s*(k\.?\s*m\s*\/\s*w|°?\s*c\.?\s*cm\s*\/\s*w)/i);
+  if (soil) conditions.soil_resistivity = parseFloat(soil[1]) / (/cm/i.test(soil[2]) ? 100 : 1);
+
+  const depth = t.match(/depth(?:\s+of\s+laying)?[^.\d]{0,20}(\d+(?:\.\d+)?)\s*(m|mm|cm)\b/i);
+  if (depth) conditions.depth_m = parseFloat(depth[1]) / ({ m: 1, cm: 100, mm: 1000 })[depth[2].toLowerCase()];
+
+  const grouped = num(/(\d+)\s*(?:nos?\.?\s*)?(?:circuits|cables|runs)\s+(?:laid\s+)?(?:together|in\s+(?:the\s+)?same\s+trench|grouped|in\s+parallel)/i)
+    ?? num(/group(?:ed|ing)\s+of\s+(\d+)/i);
+  if (grouped) conditions.grouped_circuits = grouped;
+
+  const pf = num(/power\s+factor[^.\d]{0,15}(0?\.\d+)/i);
+  if (pf) conditions.power_factor = pf;
+
+  const vdLimit = num(/voltage\s+drop[^.\d]{0,40}(\d+(?:\.\d+)?)\s*%/i);
+  if (vdLimit) conditions.max_voltage_drop_percent = vdLimit;
+
+  const systemV = num(/(\d{3,5})\s*v(?:olts?)?\s*,?\s*(?:3|three)[-\s]?(?:ph|phase)/i)
+    ?? num(/system\s+voltage[^.\d]{0,20}(\d{3,5})\s*v\b/i);
+  if (systemV) conditions.system_voltage_v = systemV;
+  if (/single[-\s]phase|\b1[-\s]?ph\b/i.test(t)) conditions.phases = 1;
+
+  for (const [key, value] of Object.entries(explicit || {})) {
+    if (value !== undefined && value !== null && value !== '') conditions[key] = value;
+  }
+
+  return conditions;
+}
+
+/**
+ * Service voltage for a cable when the RFP does not state it
+ * 1.1 kV grade cables run on 415 V systems; HT cables at their rated voltage
+ */
+function defaultSystemVoltage(ratedKv, phases) {
+  if (ratedKv <= 1.1) return phases === 1 ? 240 : 415;
+  return ratedKv * 1000;
+}
+
+/**
+ * Load current from a stated kW / kVA load
+ */
+function currentFromPower({ value, unit }, systemVoltageV, powerFactor, phases) {
+  const va = value * (/^m/i.test(unit) ? 1e6 : 1e3) / (/va$/i.test(unit) ? 1 : powerFactor);
+  return phases === 1 ? va / systemVoltageV : va / (Math.sqrt(3) * systemVoltageV);
+}
+
+/**
+ * Validate an offered (usually substitute) SKU against the RFP load
+ * @param {Object} params
+ * @param {string} params.skuId - products.csv or OEM catalog SKU
+ * @param {Object} params.conditions - From extractLoadConditions (load_current_a, route_length_m, laying, ...)
+ * @param {string} params.requirement - Optional RFP text to read conditions from
+ * @returns {Object} Ampacity and voltage-drop results with an overall status
+ *   PASS | FAIL | NOT_VERIFIED (no load current / route length stated)
+ */
+export function validateSubstitute({ skuId, conditions = {}, requirement = '' }) {
+  const construction = buildCableConstruction(skuId);
+  const p = construction.particulars;
+  const cable = {
+    conductor_material: p.conductor_material.value,
+    insulation: p.insulation_material.value,
+    area: p.conductor_area_mm2.value,
+    cores: p.no_of_cores.value,
+    voltage_kv: p.rated_voltage_kv.value
+  };
+  const voltageClass = cable.voltage_kv > 1.1 ? 'HT' : 'LT';
+  const load = requirement ? extractLoadConditions(requirement, conditions) : { ...conditions };
+
+  const phases = load.phases || (cable.cores === 2 ? 1 : 3);
+  const powerFactor = load.power_factor || ENGINEERING_CONFIG.powerFactor;
+  const systemVoltageV = load.system_voltage_v || defaultSystemVoltage(cable.voltage_kv, phases);
+  const loadCurrentA = load.load_current_a
+    || (load.load_power ? round(currentFromPower(load.load_power, systemVoltageV, powerFactor, phases), 1) : null);
+
+  const result = {
+    sku_id: construction.sku_id,
+    product_name: construction.product_name,
+    cable: { ...cable, voltage_class: voltageClass },
+    conditions: { ...load, load_current_a: loadCurrentA, system_voltage_v: systemVoltageV, phases, power_factor: powerFactor },
+    ampacity: null,
+    voltage_drop: null,
+    status: 'NOT_VERIFIED',
+    issues: []
+  };
+
+  const rating = currentRating(cable, {
+    laying: load.laying,
+    groundTempC: load.ground_temp_c,
+    airTempC: load.air_temp_c,
+    soilResistivity: load.soil_resistivity,
+    depthM: load.depth_m,
+    groupedCircuits: load.grouped_circuits
+  });
+
+  if (!rating) {
+    result.issues.push(`No current-rating table for ${cable.area} sq.mm ${cable.conductor_material} ${cable.insulation} ${voltageClass} cable`);
+  } else if (loadCurrentA) {
+    const required = loadCurrentA * (1 + ENGINEERING_CONFIG.minLoadMarginPercent / 100);
+    result.ampacity = {
+      ...rating,
+      load_current_a: loadCurrentA,
+      utilisation_percent: round(loadCurrentA / rating.derated_rating_a * 100, 1),
+      status: rating.derated_rating_a >= required ? 'PASS' : 'FAIL'
+    };
+    if (result.ampacity.status === 'FAIL') {
+      result.issues.push(`Derated rating ${rating.derated_rating_a} A (${rating.laying}) is below the load current of ${loadCurrentA} A`);
+    }
+  } else {
+    result.ampacity = { ...rating, load_current_a: null, status: 'NOT_VERIFIED' };
+  }
+
+  if (loadCurrentA && load.route_length_m) {
+    // Resistance at the temperature the conductor actually runs at, capped at its rating
+    const maxTemp = p.max_conductor_temp_c?.value || (cable.insulation === 'PVC' ? 70 : 90);
+    const ambient = load.laying === 'air' ? (load.air_temp_c ?? ENGINEERING_CONFIG.airTempC) : (load.ground_temp_c ?? ENGINEERING_CONFIG.groundTempC);
+    const utilisation = rating ? Math.min(loadCurrentA / rating.derated_rating_a, 1) : 1;
+    const conductorTempC = Math.round(ambient + (maxTemp - ambient) * utilisation ** 2);
+
+    result.voltage_drop = voltageDrop({
+      loadCurrentA,
+      routeLengthM: load.route_length_m,
+      systemVoltageV,
+      resistance20: p.max_dc_resistance_ohm_per_km.value,
+      conductorMaterial: cable.conductor_material,
+      conductorTempC,
+      reactance: REACTANCE[voltageClass][cable.cores === 1 ? 'single' : 'multi'],
+      powerFactor,
+      phases,
+      limitPercent: load.max_voltage_drop_percent || ENGINEERING_CONFIG.maxVoltageDropPercent[voltageClass]
+    });
+    if (result.voltage_drop.status === 'FAIL') {
+      result.issues.push(`Voltage drop ${result.voltage_drop.drop_percent}% over ${load.route_length_m} m exceeds ${result.voltage_drop.limit_percent}% (max route ${result.voltage_drop.max_route_length_m} m)`);
+    }
+  }
+
+  const checks = [result.ampacity?.status, result.voltage_drop?.status].filter(s => s && s !== 'NOT_VERIFIED');
+  if (checks.includes('FAIL')) result.status = 'FAIL';
+  else if (result.ampacity?.status === 'PASS') result.status = 'PASS';
+
+  return result;
+}
+
+/**
+ * Whether an RFP item carries enough data to run the check
+ */
+export function hasLoadData(conditions = {}) {
+  return Boolean(conditions.load_current_a || conditions.load_power);
+}
+
+/**
+ * Load conditions for an RFP item: explicit fields first, then its description
+ */
+export function loadConditionsForItem(item = {}) {
+  const explicit = {
+    load_current_a: item.load_current_a,
+    route_length_m: item.route_length_m,
+    laying: item.laying,
+    ...(item.load_conditions || {})
+  };
+  const text = [item.description, item.remarks, item.notes].filter(Boolean).join('. ');
+  const conditions = extractLoadConditions(text, explicit);
+  const specs = text ? parseRFPSpecs(text) : {};
+  if (!conditions.system_voltage_v && specs.voltage && specs.voltage > 1100) {
+    conditions.system_voltage_v = specs.voltage;
+  }
+  return conditions;
+}
+
+export default {
+  currentRating,
+  voltageDrop,
+  extractLoadConditions,
+  loadConditionsForItem,
+  hasLoadData,
+  validateSubstitute
+};
@@ -0,0 +1,239 @@
+/**
+ * Portal Crawl Scheduler
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Runs the portal adapters on a cron schedule (PORTAL_CRAWL_CRON) or on
+ * demand, and upserts every crawled tender into the `rfps` table so the
+ * reminder, calendar and chat features see new tenders without a manual
+ * upload. Each run is logged in `portal_crawl_runs` with its counts and the
+ * per-tender errors that did not stop it.
+ */
+
+import cron from 'node-cron';
+import dayjs from 'dayjs';
+import db from '../db/index.js';
+import { getAdapter, listAdapters } from '../adapters/index.js';
+import { recordRevision, notifyRevision } from './tender-revisions.js';
+import { PORTAL_CRAWL_CONFIG } from '../configs/settings.js';
+
+const findRfp = db.prepare(`SELECT id FROM rfps WHERE id = ?`);
+
+const upsertCrawledRfp = db.prepare(`
+  INSERT INTO rfps (id, portal, buyerName, title, city, dueDate, estCost, category, pdfPath, preBidDate, sourceUrl, crawledAt, createdAt, updatedAt)
+  VALUES (@id, @portal, @buyerName, @title, @city, @dueDate, @estCost, @category, @pdfPath, @preBidDate, @sourceUrl, @now, @now, @now)
+  ON CONFLICT(id) DO UPDATE SET
+    portal=@portal,
+    buyerName=COALESCE(@buyerName, buyerName),
+    title=COALESCE(@title, title),
+    city=COALESCE(@city, city),
+    dueDate=COALESCE(@dueDate, dueDate),
+    estCost=COALESCE(@estCost, estCost),
+    category=COALESCE(@category, category),
+    pdfPath=COALESCE(@pdfPath, pdfPath),
+    preBidDate=COALESCE(@preBidDate, preBidDate),
+    sourceUrl=COALESCE(@sourceUrl, sourceUrl),
+    crawledAt=@now,
+    updatedAt=@now
+`);
+
+const insertRun = db.prepare(`
+  INSERT INTO portal_crawl_runs (adapterId, trigger, status, startedAt)
+  VALUES (@adapterId, @trigger, 'running', @startedAt)
+`);
+
+const finishRun = db.prepare(`
+  UPDATE portal_crawl_runs
+  SET status = @status, finishedAt = @finishedAt, fetched = @fetched, inserted = @inserted,
+      updated = @updated, documents = @documents, errors = @errors
+  WHERE id = @id
+`);
+
+const running = new Set();
+let schedulerTask = null;
+
+function crawlError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * rfps row for a normalised tender
+ */
+function toRfpRow(tender, portal) {
+  const pdf = (tender.downloaded_documents || []).find(doc => doc.path && /\.pdf$/i.test(doc.path));
+  return {
+    id: tender.tender_id,
+    portal,
+    buyerName: tender.organisation || null,
+    title: tender.title || null,
+    city: tender.city || null,
+    dueDate: tender.due_date || null,
+    estCost: Number.isFinite(tender.estimated_cost_inr) ? Math.round(tender.estimated_cost_inr) : null,
+    category: tender.cable_type || tender.product_category || null,
+    pdfPath: pdf?.path || null,
+    preBidDate: tender.pre_bid_date || null,
+    sourceUrl: tender.source_url || null
+  };
+}
+
+/**
+ * Insert or refresh a tender in the rfps table (fields the tender lacks keep their stored value).
+ * A changed listing is stored as a new tender revision.
+ * @param {Object} tender - Tender in the portal JSON schema
+ * @param {string} portal - Portal / adapter id stored on the row
+ * @returns {'inserted' | 'updated'}
+ */
+export function saveTender(tender, portal) {
+  const exists = Boolean(findRfp.get(tender.tender_id));
+  upsertCrawledRfp.run({ ...toRfpRow(tender, portal), now: dayjs().toISOString() });
+  const revision = recordRevision(tender.tender_id, { tender, source: `portal:${portal}` });
+  notifyRevision(revision).catch(error => console.warn(`⚠️  Revision notice failed: ${error.message}`));
+  return exists ? 'updated' : 'inserted';
+}
+
+/**
+ * Crawl one portal now
+ * @param {string} adapterId - Adapter id (gov, industrial, utilities, cppp, ...)
+ * @param {Object} options - { trigger: 'manual' | 'schedule', keywords, maxPages, downloadDocuments }
+ * @returns {Promise<Object>} - Run summary { id, adapter_id, status, fetched, inserted, updated, documents, errors, health }
+ */
+export async function runCrawl(adapterId, { trigger = 'manual', ...crawlOptions } = {}) {
+  const adapter = getAdapter(adapterId);
+  if (running.has(adapterId)) {
+    throw crawlError(`A crawl of ${adapterId} is already running`, 409);
+  }
+  running.add(adapterId);
+
+  const startedAt = dayjs().toISOString();
+  const runId = insertRun.run({ adapterId, trigger, startedAt }).lastInsertRowid;
+  const summary = { id: runId, adapter_id: adapterId, trigger, started_at: startedAt, fetched: 0, inserted: 0, updated: 0, documents: 0, errors: [] };
+  console.log(`🕸️ Crawling ${adapter.name} (${trigger})...`);
+
+  try {
+    for await (const tender of adapter.crawl(crawlOptions)) {
+      summary.fetched++;
+      if (tender.detail_error) {
+        summary.errors.push(`${tender.tender_id}: detail not fetched (${tender.detail_error})`);
+      }
+      (tender.downloaded_documents || []).filter(doc => doc.error).forEach(doc => {
+        summary.errors.push(`${tender.tender_id}: ${doc.name} not downloaded (${doc.error})`);
+      });
+      summary.documents += (tender.downloaded_documents || []).filter(doc => doc.path).length;
+
+      summary[saveTender(tender, adapter.id)]++;
+    }
+    summary.status = summary.errors.length > 0 ? 'completed_with_errors' : 'completed';
+  } catch (error) {
+    summary.status = 'failed';
+    summary.errors.push(error.message);
+    console.error(`❌ Crawl of ${adapterId} failed: ${error.message}`);
+  } finally {
+    running.delete(adapterId);
+  }
+
+  summary.finished_at = dayjs().toISOString();
+  summary.health = adapter.getHealth();
+  finishRun.run({
+    id: runId,
+    status: summary.status,
+    finishedAt: summary.finished_at,
+    fetched: summary.fetched,
+    inserted: summary.inserted,
+    updated: summary.updated,
+    documents: summary.documents,
+    errors: summary.errors.length > 0 ? JSON.stringify(summary.errors) : null
+  });
+  console.log(`✅ ${adapterId}: ${summary.fetched} tenders (${summary.inserted} new, ${summary.updated} updated), ${summary.errors.length} error(s)`);
+  return summary;
+}
+
+/**
+ * Crawl every configured portal in turn (one portal failing does not stop the rest)
+ */
+export async function runScheduledCrawl(adapterIds = PORTAL_CRAWL_CONFIG.adapters, options = {}) {
+  const results = [];
+  for (const adapterId of adapterIds) {
+    try {
+      results.push(await runCrawl(adapterId, { trigger: 'schedule', ...options }));
+    } catch (error) {
+      results.push({ adapter_id: adapterId, status: 'skipped', errors: [error.message] });
+    }
+  }
+  return results;
+}
+
+/**
+ * Start the cron-driven crawl (idempotent)
+ */
+export function startCrawlScheduler(schedule = PORTAL_CRAWL_CONFIG.schedule) {
+  if (schedulerTask) return schedulerTask;
+  if (!cron.validate(schedule)) {
+    throw crawlError(`Invalid PORTAL_CRAWL_CRON expression "${schedule}"`);
+  }
+
+  let busy = false;
+  schedulerTask = cron.schedule(schedule, async () => {
+    // A slow portal can outlast the interval; skip the tick rather than overlap
+    if (busy) return;
+    busy = true;
+    try {
+      await runScheduledCrawl();
+    } catch (error) {
+      console.error('Crawl scheduler error:', error);
+    } finally {
+      busy = false;
+    }
+  });
+
+  console.log(`🕸️ Portal crawl scheduler started (${schedule}: ${PORTAL_CRAWL_CONFIG.adapters.join(', ')})`);
+  return schedulerTask;
+}
+
+export function stopCrawlScheduler() {
+  schedulerTask?.stop();
+  schedulerTask = null;
+}
+
+/**
+ * Recent crawl runs, newest first
+ */
+export function listCrawlRuns({ adapterId = null, limit = 20 } = {}) {
+  const rows = adapterId
+    ? db.prepare(`SELECT * FROM portal_crawl_runs WHERE adapterId = ? ORDER BY id DESC LIMIT ?`).all(adapterId, limit)
+    : db.prepare(`SELECT * FROM portal_crawl_runs ORDER BY id DESC LIMIT ?`).all(limit);
+  return rows.map(row => ({ ...row, errors: row.errors ? JSON.parse(row.errors) : [] }));
+}
+
+/**
+ * Adapters with their health, last run and whether a crawl is in progress
+ */
+export function getCrawlStatus() {
+  const lastRun = db.prepare(`SELECT * FROM portal_crawl_runs WHERE adapterId = ? ORDER BY id DESC LIMIT 1`);
+  return {
+    scheduler: {
+      enabled: Boolean(schedulerTask),
+      schedule: PORTAL_CRAWL_CONFIG.schedule,
+      adapters: PORTAL_CRAWL_CONFIG.adapters,
+      fixture_mode: PORTAL_CRAWL_CONFIG.fixtureMode
+    },
+    adapters: listAdapters().map(adapter => {
+      const run = lastRun.get(adapter.id);
+      return {
+        ...adapter.describe(),
+        running: running.has(adapter.id),
+        last_run: run ? { ...run, errors: run.errors ? JSON.parse(run.errors) : [] } : null
+      };
+    })
+  };
+}
+
+export default {
+  saveTender,
+  runCrawl,
+  runScheduledCrawl,
+  startCrawlScheduler,
+  stopCrawlScheduler,
+  listCrawlRuns,
+  getCrawlStatus
+};
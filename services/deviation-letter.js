@@ -0,0 +1,275 @@
+/**
+ * Deviation Schedule & Pre-Bid Query Service
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Turns detected risky clauses and information gaps into:
+ * - A numbered Schedule of Deviations (clause reference, RFP text, our deviation, justification)
+ * - A pre-bid clarification query letter
+ * Rendered as JSON, DOCX (docx) or PDF (pdfkit).
+ */
+
+import PDFDocument from 'pdfkit';
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  AlignmentType,
+  HeadingLevel
+} from 'docx';
+import { detectRiskyClauses } from './risky-clauses.js';
+import { extractAssumptionsAndGaps } from './assumptions.js';
+import { COMPANY_PRESET } from './rfp-analysis-service.js';
+import { drawPdfTable } from './pdf-table.js';
+
+const DEVIATION_COLUMNS = [
+  { key: 'sl_no', label: 'Sl.', width: 30 },
+  { key: 'clause_reference', label: 'Clause Reference', width: 95 },
+  { key: 'rfp_text', label: 'RFP Text', width: 140 },
+  { key: 'deviation', label: 'Our Deviation', width: 130 },
+  { key: 'justification', label: 'Justification', width: 100 }
+];
+
+const QUERY_COLUMNS = [
+  { key: 'sl_no', label: 'Sl.', width: 30 },
+  { key: 'clause_reference', label: 'Clause Reference', width: 95 },
+  { key: 'query', label: 'Query', width: 200 },
+  { key: 'assumption', label: 'Our Assumption if Not Clarified', width: 170 }
+];
+
+/**
+ * Build the deviation schedule and query list
+ * @param {Object} params
+ * @param {Object} params.rfp - RFP summary (tender_id / rfp_id, title, organisation / buyer_name, buyer_address)
+ * @param {string} params.rfpText - Full RFP text
+ * @param {string[]} params.pages - Per-page text from parsePDF (gives page references)
+ * @param {Object} params.bidder - Overrides for the bidder letterhead (defaults to COMPANY_PRESET)
+ * @returns {Object} Deviations, queries and letter content
+ */
+export function buildDeviationSchedule({ rfp = {}, rfpText = '', pages = null, bidder = {} } = {}) {
+  const text = rfpText || (pages || []).join('\n');
+  if (!text.trim()) {
+    throw new Error('RFP text is required to build the deviation schedule');
+  }
+
+  const clauses = detectRiskyClauses({ text, pages });
+  const gaps = extractAssumptionsAndGaps(text, rfp);
+
+  // One deviation per rule, listing every place the clause appears
+  const byRule = new Map();
+  for (const hit of clauses.risky_clauses) {
+    const entry = byRule.get(hit.rule_id) || { hit, references: [] };
+    const reference = clauseReference(hit);
+    if (!entry.references.includes(reference)) entry.references.push(reference);
+    byRule.set(hit.rule_id, entry);
+  }
+
+  const severityOrder = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+  const deviations = [...byRule.values()]
+    .sort((a, b) => severityOrder[a.hit.risk] - severityOrder[b.hit.risk])
+    .map(({ hit, references }, idx) => ({
+      sl_no: idx + 1,
+      rule_id: hit.rule_id,
+      severity: hit.risk,
+      clause_reference: references.join('; '),
+      rfp_text: hit.snippet,
+      deviation: hit.suggested_deviation || `We request deletion or modification of this clause (${hit.key}).`,
+      justification: hit.description
+    }));
+
+  const queries = gaps.gaps_identified.map((gap, idx) => ({
+    sl_no: idx + 1,
+    clause_reference: 'General',
+    query: `${gap}. Kindly clarify.`,
+    assumption: (gaps.assumptions_made[idx] || '').replace(/^Assuming\s+/i, '')
+  }));
+
+  const tenderId = rfp.tender_id || rfp.rfp_id || rfp.id || 'N/A';
+  const company = { ...COMPANY_PRESET, ...bidder };
+
+  return {
+    tender_id: tenderId,
+    title: rfp.title || '',
+    buyer: rfp.organisation || rfp.buyer_name || rfp.buyer || '',
+    date: new Date().toLocaleDateString('en-IN'),
+    reference: `${company.name.split(' ')[0].toUpperCase()}/PBQ/${tenderId}`,
+    bidder: company,
+    deviations,
+    queries,
+    letter: buildLetterContent({ rfp, tenderId, company, deviations, queries }),
+    summary: {
+      deviation_count: deviations.length,
+      high_risk_deviations: deviations.filter(d => d.severity === 'HIGH').length,
+      query_count: queries.length,
+      overall_risk: clauses.overall_risk
+    }
+  };
+}
+
+function clauseReference(hit) {
+  if (hit.section) return hit.page ? `${hit.section} (p. ${hit.page})` : hit.section;
+  return hit.page ? `Page ${hit.page}` : 'General';
+}
+
+function buildLetterContent({ rfp, tenderId, company, deviations, queries }) {
+  const buyer = rfp.organisation || rfp.buyer_name || rfp.buyer || 'the Purchaser';
+  return {
+    to: {
+      designation: rfp.contact_designation || 'The Tender Inviting Authority',
+      organization: buyer,
+      address: rfp.buyer_address || rfp.location || ''
+    },
+    subject: `Pre-bid queries and schedule of deviations - Tender ${tenderId}${rfp.title ? ` (${rfp.title})` : ''}`,
+    body: [
+      'Dear Sir/Madam,',
+      `With reference to the above tender, we have studied the tender documents and request your clarification on the ${queries.length} point(s) listed in Annexure A before the pre-bid meeting.`,
+      deviations.length > 0
+        ? `We also submit our Schedule of Deviations (Annexure B) covering ${deviations.length} clause(s). Our offer will be based on these deviations unless they are accepted or clarified otherwise.`
+        : 'Our offer is without deviations to the commercial terms of the tender.',
+      'We request that the clarifications be issued as an addendum so that all bidders quote on a common basis.',
+      'Thanking you,',
+      'Yours faithfully,'
+    ],
+    signatory: {
+      name: company.contact_person,
+      designation: company.designation,
+      company: company.name
+    }
+  };
+}
+
+/**
+ * Render the package as a DOCX buffer
+ */
+export async function generateDeviationDocx(pkg) {
+  const { bidder, letter } = pkg;
+
+  const para = (text, opts = {}) => new Paragraph({
+    alignment: opts.align,
+    spacing: { after: opts.after ?? 120 },
+    children: [new TextRun({ text, bold: opts.bold, size: opts.size })]
+  });
+
+  const table = (columns, rows) => new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    columnWidths: columns.map(c => c.width * 20),
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: columns.map(c => new TableCell({
+          width: { size: c.width * 20, type: WidthType.DXA },
+          children: [new Paragraph({ children: [new TextRun({ text: c.label, bold: true, size: 18 })] })]
+        }))
+      }),
+      ...rows.map(row => new TableRow({
+        children: columns.map(c => new TableCell({
+          children: [new Paragraph({ children: [new TextRun({ text: String(row[c.key] ?? ''), size: 18 })] })]
+        }))
+      }))
+    ]
+  });
+
+  const doc = new Document({
+    sections: [{
+      children: [
+        para(bidder.name, { bold: true, size: 32, align: AlignmentType.CENTER, after: 40 }),
+        ...bidder.address.split('\n').map(line => para(line, { align: AlignmentType.CENTER, after: 0 })),
+        para(`Tel: ${bidder.phone} | Email: ${bidder.email} | GSTIN: ${bidder.gstin}`, { align: AlignmentType.CENTER, after: 240 }),
+        para(`Ref: ${pkg.reference}`, { align: AlignmentType.RIGHT, after: 0 }),
+        para(`Date: ${pkg.date}`, { align: AlignmentType.RIGHT }),
+        para('To,', { bold: true, after: 0 }),
+        para(letter.to.designation, { after: 0 }),
+        para(letter.to.organization, { after: 0 }),
+        para(letter.to.address),
+        para(`Subject: ${letter.subject}`, { bold: true }),
+        ...letter.body.map(line => para(line)),
+        para(letter.signatory.name, { bold: true, after: 0 }),
+        para(letter.signatory.designation, { after: 0 }),
+        para(letter.signatory.company, { after: 240 }),
+        new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun('Annexure A - Pre-Bid Queries')] }),
+        pkg.queries.length > 0 ? table(QUERY_COLUMNS, pkg.queries) : para('No queries.'),
+        new Paragraph({ heading: HeadingLevel.HEADING_2, spacing: { before: 240 }, children: [new TextRun('Annexure B - Schedule of Deviations')] }),
+        pkg.deviations.length > 0 ? table(DEVIATION_COLUMNS, pkg.deviations) : para('NIL deviations.')
+      ]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+/**
+ * Render the package as a PDF buffer
+ */
+export function generateDeviationPdf(pkg) {
+  return new Promise((resolve, reject) => {
+    const { bidder, letter } = pkg;
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Letterhead
+    doc.fontSize(16).font('Helvetica-Bold').text(bidder.name, { align: 'center' });
+    doc.fontSize(10).font('Helvetica').text(bidder.address.replace(/\n/g, ', '), { align: 'center' });
+    doc.text(`Tel: ${bidder.phone} | Email: ${bidder.email} | GSTIN: ${bidder.gstin}`, { align: 'center' });
+    doc.moveDown();
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown();
+
+    doc.fontSize(11).text(`Ref: ${pkg.reference}`, { align: 'right' });
+    doc.text(`Date: ${pkg.date}`, { align: 'right' });
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('To,');
+    doc.font('Helvetica');
+    doc.text(letter.to.designation);
+    doc.text(letter.to.organization);
+    if (letter.to.address) doc.text(letter.to.address);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text(`Subject: ${letter.subject}`);
+    doc.moveDown();
+
+    doc.font('Helvetica').fontSize(10);
+    letter.body.forEach(line => {
+      doc.text(line, { align: 'justify' });
+      doc.moveDown(0.5);
+    });
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text(letter.signatory.name);
+    doc.font('Helvetica').text(letter.signatory.designation);
+    doc.text(letter.signatory.company);
+
+    doc.addPage();
+    doc.fontSize(13).font('Helvetica-Bold').text('Annexure A - Pre-Bid Queries');
+    doc.moveDown(0.5);
+    if (pkg.queries.length > 0) {
+      drawPdfTable(doc, QUERY_COLUMNS, pkg.queries);
+    } else {
+      doc.fontSize(10).font('Helvetica').text('No queries.');
+    }
+
+    doc.addPage();
+    doc.fontSize(13).font('Helvetica-Bold').text('Annexure B - Schedule of Deviations');
+    doc.moveDown(0.5);
+    if (pkg.deviations.length > 0) {
+      drawPdfTable(doc, DEVIATION_COLUMNS, pkg.deviations);
+    } else {
+      doc.fontSize(10).font('Helvetica').text('NIL deviations.');
+    }
+
+    doc.end();
+  });
+}
+
+export default {
+  buildDeviationSchedule,
+  generateDeviationDocx,
+  generateDeviationPdf
+};
@@ -74,7 +74,7 @@ async function generateWithOpenAI(prompt) {
 /**
  * Extract text from Word document using mammoth
  */
-async function extractFromWord(filePath) {
+export async function extractFromWord(filePath) {
   try {
     const result = await mammoth.extractRawText({ path: filePath });
 
@@ -91,7 +91,7 @@ async function extractFromWord(filePath) {
 /**
  * Use Gemini AI to intelligently extract tender information from document text
  */
-async function extractTenderDataWithAI(documentText, fileName = '') {
+export async function extractTenderDataWithAI(documentText, fileName = '') {
   const extractionPrompt = `You are an AI specialized in analyzing tender/RFP documents for cable/wire procurement. Extract structured information from the following document.
 
 Document Name: ${fileName}
@@ -0,0 +1,396 @@
+/**
+ * Drum Planner Service
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Works out how an order is wound and shipped: which drums, how many, what
+ * goes on each and what they weigh. Drum capacity per SKU comes from the
+ * cable's overall diameter, weight and bending radius (cable-construction)
+ * against the drum sizes in data/drums.csv. Buyer cut lengths are packed
+ * best-fit decreasing to keep the drum count down; the rest of the BOQ
+ * quantity goes on standard lengths, with a short tail spread within the
+ * length tolerance instead of wasting a drum. Each drum then gets the
+ * cheapest size that holds its load.
+ *
+ * The schedule prices packaging (Packaging_Cost_Per_km) from real drum costs,
+ * gives the gross freight weight and renders as the drum schedule annexure.
+ */
+
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import { parse } from 'csv-parse/sync';
+import { buildCableConstruction } from './cable-construction.js';
+import { findProduct, matchRequirement } from './matching-engine.js';
+import { buildXlsx } from './xlsx-writer.js';
+import { drawPdfTable } from './pdf-table.js';
+import { DRUM_CONFIG } from '../configs/settings.js';
+
+const SCHEDULE_COLUMNS = [
+  { key: 'drum_no', label: 'Drum No.', width: 45 },
+  { key: 'item', label: 'Item', width: 28 },
+  { key: 'sku_id', label: 'SKU', width: 80 },
+  { key: 'drum_type', label: 'Drum', width: 45 },
+  { key: 'drum_size', label: 'Flange x Barrel x Traverse (mm)', width: 80 },
+  { key: 'length_m', label: 'Length (m)', width: 50 },
+  { key: 'cuts', label: 'Cut Lengths (m)', width: 70 },
+  { key: 'net_weight_kg', label: 'Net (kg)', width: 45 },
+  { key: 'gross_weight_kg', label: 'Gross (kg)', width: 50 }
+];
+
+function drumError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// ============================================
+// DRUMS
+// ============================================
+
+let drumsCache = null;
+
+export function loadDrumTypes() {
+  if (drumsCache) return drumsCache;
+  if (!fs.existsSync(DRUM_CONFIG.file)) {
+    throw drumError(`Drum master not found: ${DRUM_CONFIG.file}`, 500);
+  }
+  const rows = parse(fs.readFileSync(DRUM_CONFIG.file, 'utf-8'), { columns: true, skip_empty_lines: true, trim: true });
+  drumsCache = rows.map(row => ({
+    drum_id: row.Drum_ID,
+    flange_mm: Number(row.Flange_Dia_mm),
+    barrel_mm: Number(row.Barrel_Dia_mm),
+    traverse_mm: Number(row.Traverse_mm),
+    tare_kg: Number(row.Tare_Weight_kg),
+    max_gross_kg: Number(row.Max_Gross_Weight_kg),
+    cost_inr: Number(row.Cost_INR),
+    material: row.Material || null
+  }));
+  return drumsCache;
+}
+
+/**
+ * Length (m) of a cable a drum holds: full layers between barrel and flange
+ * (less freeboard), turns across the traverse, capped by the gross weight limit.
+ * Zero when the barrel radius is tighter than the cable's minimum bending radius.
+ */
+export function drumCapacity(drum, { od_mm: od, weight_kg_per_km: weight, min_bending_radius_mm: mbr }) {
+  if (drum.barrel_mm / 2 < mbr) return 0;
+  const layers = Math.floor(((drum.flange_mm - drum.barrel_mm) / 2 - DRUM_CONFIG.freeboardMm) / od);
+  const turns = Math.floor(drum.traverse_mm / od);
+  if (layers < 1 || turns < 1) return 0;
+
+  const byVolume = Math.PI * turns * layers * (drum.barrel_mm + layers * od) / 1000;
+  const byWeight = weight > 0 ? (drum.max_gross_kg - drum.tare_kg) / weight * 1000 : Infinity;
+  return Math.floor(Math.min(byVolume, byWeight));
+}
+
+// ============================================
+// ITEMS
+// ============================================
+
+/**
+ * Cable data the drum plan needs for one BOQ item
+ * @param {Object} item - { sku_id } or { requirement }, plus qty_m | qty_km and optional cut_lengths (m)
+ */
+function resolveItem(item, index) {
+  let skuId = item.sku_id || null;
+  if (!skuId && item.requirement) {
+    skuId = matchRequirement(item.requirement).matches[0]?.product?.sku_id || null;
+  }
+  if (!skuId) {
+    throw drumError(`Item ${index + 1}: sku_id or requirement is required`);
+  }
+
+  let construction;
+  try {
+    construction = buildCableConstruction(skuId);
+  } catch (error) {
+    throw drumError(`Item ${index + 1}: ${error.message}`);
+  }
+  const particular = (id) => Number(construction.particulars[id]?.value) || 0;
+  const cable = {
+    od_mm: particular('overall_diameter_mm'),
+    weight_kg_per_km: particular('weight_kg_per_km'),
+    min_bending_radius_mm: particular('min_bending_radius_mm')
+  };
+  if (!cable.od_mm) {
+    throw drumError(`Item ${index + 1}: no overall diameter for ${skuId}`);
+  }
+
+  const cutLengths = (item.cut_lengths || []).map(Number).filter(length => length > 0);
+  const cutTotal = cutLengths.reduce((sum, length) => sum + length, 0);
+  const qtyM = parseFloat(item.qty_m) || (parseFloat(item.qty_km) || 0) * 1000 || cutTotal;
+  if (!qtyM) {
+    throw drumError(`Item ${index + 1}: qty_m, qty_km or cut_lengths is required`);
+  }
+
+  const cableType = findProduct(skuId)?.cable_type || `${construction.cable_class} Cable`;
+  return {
+    item: item.item || index + 1,
+    sku_id: construction.sku_id,
+    product_name: construction.product_name,
+    cable_type: cableType,
+    ...cable,
+    qty_m: Math.max(qtyM, cutTotal),
+    cut_lengths: cutLengths,
+    notes: cutTotal > qtyM ? [`Cut lengths total ${round(cutTotal)} m, above the BOQ quantity of ${round(qtyM)} m; cut lengths govern`] : []
+  };
+}
+
+/**
+ * Pack an item's lengths into drum loads
+ * Cut lengths (plus end allowance) go best-fit decreasing into the largest
+ * drum; the remaining quantity goes on standard lengths, first topping up
+ * cut drums, with a tail within tolerance spread over the standard drums.
+ */
+function packItem(item, capacities) {
+  const maxCapacity = Math.max(...capacities.map(c => c.capacity_m));
+  const standard = Math.min(DRUM_CONFIG.standardLengthM[item.cable_type] || 1000, maxCapacity);
+  const allowance = DRUM_CONFIG.cutAllowanceM;
+  const notes = [...item.notes];
+  const loads = [];
+
+  // Cuts longer than the biggest drum are supplied in pieces
+  const pieces = [];
+  for (const cut of item.cut_lengths) {
+    if (cut + allowance <= maxCapacity) {
+      pieces.push(cut);
+      continue;
+    }
+    const count = Math.ceil(cut / (maxCapacity - allowance));
+    notes.push(`Cut length ${cut} m exceeds the largest drum (${maxCapacity} m); supplied as ${count} pieces with a joint`);
+    for (let i = 0; i < count; i++) pieces.push(round(cut / count));
+  }
+
+  for (const piece of pieces.sort((a, b) => b - a)) {
+    const need = piece + allowance;
+    const fit = loads
+      .filter(load => maxCapacity - load.length_m >= need)
+      .sort((a, b) => (maxCapacity - a.length_m) - (maxCapacity - b.length_m))[0];
+    const load = fit || { length_m: 0, cuts: [], allowance_m: 0 };
+    if (!fit) loads.push(load);
+    load.length_m += need;
+    load.cuts.push(piece);
+    load.allowance_m += allowance;
+  }
+
+  // Remaining BOQ quantity: fill spare room on cut drums (when it takes the
+  // whole balance or a worthwhile length), then standard lengths
+  let remaining = round(item.qty_m - item.cut_lengths.reduce((sum, length) => sum + length, 0));
+  for (const load of loads) {
+    if (remaining <= 0) break;
+    const room = Math.min(maxCapacity - load.length_m, standard);
+    if (room >= Math.min(remaining, allowance * 10)) {
+      const length = Math.min(room, remaining);
+      load.length_m += length;
+      load.cuts.push(round(length));
+      remaining = round(remaining - length);
+    }
+  }
+
+  if (remaining > 0) {
+    const full = Math.floor(remaining / standard);
+    const tail = round(remaining - full * standard);
+    const spreadLimit = Math.min(standard * (1 + DRUM_CONFIG.lengthTolerance), maxCapacity);
+    const spread = full > 0 && tail > 0 && standard + tail / full <= spreadLimit;
+    const count = spread || tail === 0 ? full : full + 1;
+
+    for (let i = 0; i < count; i++) {
+      const length = spread ? standard + tail / full : (i < full ? standard : tail);
+      loads.push({ length_m: round(length), cuts: [], allowance_m: 0 });
+    }
+    if (spread) {
+      notes.push(`${tail} m balance spread over ${full} standard drums (${round(standard + tail / full)} m each, within ±${DRUM_CONFIG.lengthTolerance * 100}%)`);
+    } else if (full > 0 && tail > 0) {
+      notes.push(`${tail} m balance supplied as a short length`);
+    }
+  }
+
+  return { loads, notes };
+}
+
+/**
+ * Cheapest drum size that takes a load
+ */
+function chooseDrum(lengthM, capacities) {
+  return capacities
+    .filter(c => c.capacity_m >= lengthM)
+    .sort((a, b) => a.drum.cost_inr - b.drum.cost_inr || a.drum.flange_mm - b.drum.flange_mm)[0];
+}
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+/**
+ * Drum schedule for a BOQ
+ * @param {Object} params
+ * @param {Array} params.items - [{ sku_id | requirement, qty_m | qty_km, cut_lengths?: [m] }]
+ * @param {Array} params.drumTypes - Drum sizes (default: data/drums.csv)
+ * @returns {Object} - { drums, items, totals, notes }
+ */
+export function planDrumSchedule({ items = [], drumTypes = null } = {}) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw drumError('At least one item is required');
+  }
+  const drumMaster = drumTypes || loadDrumTypes();
+  const drums = [];
+  const itemSummaries = [];
+
+  items.forEach((input, index) => {
+    const item = resolveItem(input, index);
+    const capacities = drumMaster
+      .map(drum => ({ drum, capacity_m: drumCapacity(drum, item) }))
+      .filter(c => c.capacity_m > 0);
+    if (capacities.length === 0) {
+      throw drumError(`Item ${item.item}: no drum size takes ${item.sku_id} (OD ${item.od_mm} mm, bending radius ${item.min_bending_radius_mm} mm)`, 422);
+    }
+
+    const { loads, notes } = packItem(item, capacities);
+    const itemDrums = loads.map(load => {
+      const { drum } = chooseDrum(load.length_m, capacities);
+      const netKg = load.length_m * item.weight_kg_per_km / 1000;
+      return {
+        drum_no: null,
+        item: item.item,
+        sku_id: item.sku_id,
+        drum_type: drum.drum_id,
+        drum_size: `${drum.flange_mm} x ${drum.barrel_mm} x ${drum.traverse_mm}`,
+        drum_material: drum.material,
+        length_m: round(load.length_m),
+        cuts: load.cuts.length > 0 ? load.cuts.join(' + ') : 'Standard length',
+        allowance_m: load.allowance_m,
+        net_weight_kg: round(netKg, 1),
+        tare_weight_kg: drum.tare_kg,
+        gross_weight_kg: round(netKg + drum.tare_kg, 1),
+        cost_inr: drum.cost_inr
+      };
+    });
+
+    const supplied = itemDrums.reduce((sum, d) => sum + d.length_m, 0);
+    itemSummaries.push({
+      item: item.item,
+      sku_id: item.sku_id,
+      product_name: item.product_name,
+      cable_type: item.cable_type,
+      od_mm: item.od_mm,
+      weight_kg_per_km: item.weight_kg_per_km,
+      min_bending_radius_mm: item.min_bending_radius_mm,
+      required_m: item.qty_m,
+      cut_lengths: item.cut_lengths,
+      supplied_m: round(supplied),
+      wastage_m: round(supplied - item.qty_m),
+      drums: itemDrums.length,
+      capacity_m: Object.fromEntries(capacities.map(c => [c.drum.drum_id, c.capacity_m])),
+      notes
+    });
+    drums.push(...itemDrums);
+  });
+
+  drums.forEach((drum, i) => { drum.drum_no = i + 1; });
+
+  const sum = (key) => round(drums.reduce((total, d) => total + d[key], 0), 1);
+  const required = itemSummaries.reduce((total, i) => total + i.required_m, 0);
+  const supplied = sum('length_m');
+  const byType = {};
+  drums.forEach(d => { byType[d.drum_type] = (byType[d.drum_type] || 0) + 1; });
+
+  return {
+    drums,
+    items: itemSummaries,
+    totals: {
+      drums: drums.length,
+      by_drum_type: byType,
+      required_m: round(required),
+      supplied_m: supplied,
+      wastage_m: round(supplied - required),
+      wastage_pct: required > 0 ? round((supplied - required) / required * 100) : 0,
+      net_weight_kg: sum('net_weight_kg'),
+      gross_weight_kg: sum('gross_weight_kg'),
+      packaging_cost: sum('cost_inr')
+    },
+    notes: itemSummaries.flatMap(i => i.notes.map(note => `Item ${i.item}: ${note}`))
+  };
+}
+
+// ============================================
+// ANNEXURE
+// ============================================
+
+function summaryRows(schedule) {
+  const { totals } = schedule;
+  return [
+    ['Drums', totals.drums],
+    ['Drum sizes', Object.entries(totals.by_drum_type).map(([type, count]) => `${type} x ${count}`).join(', ')],
+    ['BOQ quantity (m)', totals.required_m],
+    ['Supplied length (m)', totals.supplied_m],
+    ['Wastage - end allowances (m)', `${totals.wastage_m} (${totals.wastage_pct}%)`],
+    ['Net weight (kg)', totals.net_weight_kg],
+    ['Gross weight (kg)', totals.gross_weight_kg]
+  ];
+}
+
+/**
+ * Drum schedule workbook: summary plus the drum-by-drum schedule
+ * @param {Object} schedule - planDrumSchedule result
+ * @param {Object} meta - { tender_id, buyer }
+ */
+export function generateDrumScheduleXlsx(schedule, meta = {}) {
+  const summary = [
+    ['Drum Schedule'],
+    ...(meta.tender_id ? [['Tender', meta.tender_id], ['Buyer', meta.buyer || '']] : []),
+    [],
+    ...summaryRows(schedule),
+    [],
+    ...schedule.notes.map(note => [note])
+  ];
+
+  return buildXlsx([
+    { name: 'Summary', columnWidths: [22, 50], rows: summary },
+    {
+      name: 'Drum Schedule',
+      columnWidths: [9, 6, 22, 10, 22, 11, 28, 10, 11],
+      rows: [
+        SCHEDULE_COLUMNS.map(c => c.label),
+        ...schedule.drums.map(drum => SCHEDULE_COLUMNS.map(c => drum[c.key]))
+      ]
+    }
+  ]);
+}
+
+/**
+ * Drum schedule annexure as PDF
+ */
+export function generateDrumSchedulePdf(schedule, meta = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(14).font('Helvetica-Bold').text('Drum Schedule', { align: 'center' });
+    doc.fontSize(10).font('Helvetica');
+    if (meta.tender_id) doc.text(`Tender: ${meta.tender_id}${meta.buyer ? ` | Buyer: ${meta.buyer}` : ''}`, { align: 'center' });
+    doc.moveDown();
+    summaryRows(schedule).forEach(([label, value]) => doc.fontSize(9).text(`${label}: ${value}`));
+    doc.moveDown();
+    drawPdfTable(doc, SCHEDULE_COLUMNS, schedule.drums, { left: 40 });
+    if (schedule.notes.length > 0) {
+      doc.moveDown();
+      schedule.notes.forEach(note => doc.fontSize(8).font('Helvetica').text(note));
+    }
+
+    doc.end();
+  });
+}
+
+export default {
+  loadDrumTypes,
+  drumCapacity,
+  planDrumSchedule,
+  generateDrumScheduleXlsx,
+  generateDrumSchedulePdf
+};
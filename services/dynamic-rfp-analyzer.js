@@ -22,6 +22,7 @@ import { GoogleGenAI } from '@google/genai';
 import OpenAI from 'openai';
 import adaptiveCsvManager from './adaptive-csv-manager.js';
 import { getPdfPath, getExtractedData } from './uploaded-pdf-store.js';
+import { supplyFromRfp, computeGst, taxRows } from './gst-engine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -772,7 +773,8 @@ export async function analyzeRFPDynamically(pdfPath) {
   // Step 5: Calculate final quotation
   console.log('\n💰 Step 5: Calculating quotation...');
   const subtotal = totalMaterialCost + totalTestingCost;
-  const gst = Math.round(subtotal * 0.18);
+  const gstDetails = quotationGst(cableAnalysis.map(c => ({ ...c, taxable_value: c.line_cost })), totalTestingCost, extractedData);
+  const gst = gstDetails.amount;
   const grandTotal = subtotal + gst;
   
   const quotation = {
@@ -791,16 +793,13 @@ export async function analyzeRFPDynamically(pdfPath) {
       agency: extractedData.testing_requirements?.third_party_inspection?.agency || '',
       estimated_cost: 'TBD'
     },
-    gst: {
-      rate: 18,
-      amount: gst
-    },
+    gst: gstDetails,
     grandTotal: grandTotal
   };
   
   console.log(`\n   Material Cost: ₹${totalMaterialCost.toLocaleString()}`);
   console.log(`   Testing Cost:  ₹${totalTestingCost.toLocaleString()}`);
-  console.log(`   GST (18%):     ₹${gst.toLocaleString()}`);
+  gstDetails.components.forEach(row => console.log(`   ${row.label}: ₹${row.amount.toLocaleString()}`));
   console.log(`   ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
   console.log(`   GRAND TOTAL:   ₹${grandTotal.toLocaleString()}`);
   
@@ -924,7 +923,8 @@ export async function analyzeRFPById(tenderId) {
     const testingCostResult = await calculateTestingCostFromTests(testingRequirements, cableRequirements);
     
     const totalBeforeGST = materialCostResult.total + testingCostResult.total;
-    const gst = Math.round(totalBeforeGST * 0.18);
+    const gstDetails = quotationGst(materialCostResult.items.map(c => ({ ...c, taxable_value: c.lineCost })), testingCostResult.total, storedData);
+    const gst = gstDetails.amount;
     const grandTotal = totalBeforeGST + gst;
     
     const result = {
@@ -956,7 +956,7 @@ export async function analyzeRFPById(tenderId) {
       quotation: {
         materialCost: materialCostResult,
         testingCost: testingCostResult,
-        gst: { rate: 18, amount: gst },
+        gst: gstDetails,
         grandTotal: grandTotal
       }
     };
@@ -1278,6 +1278,33 @@ async function calculateMaterialCostFromCables(cables) {
   return { total, items };
 }
 
+/**
+ * GST on the quotation through the GST engine (HSN per cable, CGST/SGST or IGST by place of supply)
+ * @param {Array} cables - Cable lines with cable_type, voltage and taxable_value
+ * @param {number} testingCost - Testing charged as a service
+ * @param {Object} rfp - Extracted RFP fields for the place of supply
+ */
+function quotationGst(cables, testingCost, rfp = {}) {
+  const tax = computeGst([
+    ...cables.map(cable => ({
+      description: cable.matched_product || cable.cable_type || 'Cable',
+      cable_type: cable.cable_type,
+      voltage_kv: parseFloat(cable.voltage) || null,
+      taxable_value: cable.taxable_value
+    })),
+    ...(testingCost > 0 ? [{ description: 'Testing & certification', service: 'testing', taxable_value: testingCost }] : [])
+  ], supplyFromRfp(rfp || {}));
+  const amount = Math.round(tax.totals.total_tax);
+  return {
+    rate: tax.totals.taxable_value > 0 ? Math.round((amount / tax.totals.taxable_value) * 10000) / 100 : 0,
+    amount,
+    supplyType: tax.supply.supply_type,
+    components: taxRows(tax),
+    hsnSummary: tax.hsn_summary,
+    notes: tax.notes
+  };
+}
+
 /**
  * Calculate testing cost from requirements
  */
@@ -7,54 +7,43 @@
  * - Clear indicators of what matches and what doesn't
  * - Intelligent suggestions on which compromises are better
  * - Configurable matching priorities based on application
+ *
+ * Scores come from the matching engine (services/matching-engine.js);
+ * this module keeps the OEM-datasheet view and its deviation report shape.
  */
 
 import { getOEMProducts } from './oem-datasheets.js';
+import { extractLoadConditions } from './cable-engineering.js';
+import {
+  ATTRIBUTES,
+  detectApplication,
+  findProduct,
+  gradeAttribute,
+  matchRequirement,
+  parseRequirement,
+  toKv
+} from './matching-engine.js';
+import { MATCHING_CONFIG } from '../configs/settings.js';
 
-// Specification importance weights by application type
-// Higher weight = more important to match exactly
-const SPEC_IMPORTANCE = {
-  // For power cables, conductor material is critical
-  'power_distribution': {
-    conductor_material: 100,     // Must match - copper vs aluminum matters for conductivity
-    voltage_rating: 95,          // Must match - safety critical
-    insulation_material: 85,     // Very important for durability
-    cross_section_area: 75,      // Important but can size up
-    no_of_cores: 70,             // Can sometimes adjust
-    armour: 60,                  // Important for protection
-    temperature_rating: 55       // Can usually go higher
-  },
-  // For control cables, core count is critical
-  'control': {
-    no_of_cores: 100,            // Must match - need exact I/O count
-    voltage_rating: 90,
-    cross_section_area: 80,
-    conductor_material: 70,      // Usually copper preferred but less critical
-    insulation_material: 65,
-    armour: 60,
-    temperature_rating: 50
-  },
-  // For instrumentation, shielding and signal integrity matter
-  'instrumentation': {
-    no_of_cores: 95,
-    voltage_rating: 85,
-    conductor_material: 80,      // Copper preferred for signal
-    insulation_material: 75,
-    cross_section_area: 70,
-    armour: 65,
-    temperature_rating: 50
-  },
-  // Default for general applications
-  'default': {
-    voltage_rating: 100,
-    conductor_material: 90,
-    cross_section_area: 85,
-    insulation_material: 80,
-    no_of_cores: 75,
-    armour: 60,
-    temperature_rating: 50
-  }
+// Specification importance weights by application type now live in
+// MATCHING_CONFIG.profiles; kept here under this module's spec names
+const LEGACY_SPEC_NAMES = {
+  cable_type: 'cable_type',
+  voltage_kv: 'voltage_rating',
+  area_mm2: 'cross_section_area',
+  conductor_material: 'conductor_material',
+  insulation: 'insulation_material',
+  cores: 'no_of_cores',
+  armoured: 'armoured',
+  temperature_rating_c: 'temperature_rating',
+  standard: 'standard'
 };
+const ENGINE_KEYS = Object.fromEntries(Object.entries(LEGACY_SPEC_NAMES).map(([k, v]) => [v, k]));
+
+const SPEC_IMPORTANCE = Object.fromEntries(Object.entries(MATCHING_CONFIG.profiles).map(([name, weights]) => [
+  name,
+  Object.fromEntries(Object.entries(weights).map(([key, weight]) => [LEGACY_SPEC_NAMES[key], weight]))
+]));
 
 // Acceptable deviation thresholds for each spec
 const DEVIATION_THRESHOLDS = {
@@ -86,8 +75,30 @@ const DEVIATION_THRESHOLDS = {
   }
 };
 
+const ATTRIBUTE_BY_KEY = Object.fromEntries(ATTRIBUTES.map(a => [a.key, a]));
+
+/**
+ * Matching-engine deviation grade in this module's spec_matches shape
+ */
+function toSpecMatch(key, required, offered, importance, grade) {
+  const format = ATTRIBUTE_BY_KEY[key].format;
+  return {
+    spec_name: LEGACY_SPEC_NAMES[key],
+    rfp_requirement: required === undefined || required === null ? required : format(required),
+    oem_value: offered === undefined || offered === null ? offered : format(offered),
+    importance,
+    match_status: grade.status,
+    match_score: grade.score,
+    deviation: grade.deviation,
+    deviation_percent: grade.deviation_percent,
+    suggestion: grade.suggestion,
+    ...(grade.engineering_check ? { engineering_check: grade.engineering_check } : {})
+  };
+}
+
 /**
  * Main class for enhanced specification matching
+ * Grading is done by the matching engine's deviation scorer over the OEM datasheets
  */
 export class EnhancedSpecMatcher {
   constructor() {
@@ -100,61 +111,19 @@ export class EnhancedSpecMatcher {
    * @returns {Object} Parsed specifications
    */
   parseRequirement(requirementText) {
-    const text = requirementText.toLowerCase();
+    const req = parseRequirement(requirementText);
     const specs = {};
     
-    // Voltage (kV or V)
-    const kvMatch = text.match(/(\d+(?:\.\d+)?)\s*kv/i);
-    const vMatch = text.match(/(\d+)\s*v(?:olt)?(?!\s*a)/i);
-    if (kvMatch) {
-      specs.voltage_rating = parseFloat(kvMatch[1]) * 1000;
-      specs.voltage_display = `${kvMatch[1]}kV`;
-    } else if (vMatch && parseInt(vMatch[1]) >= 100) {
-      specs.voltage_rating = parseInt(vMatch[1]);
-      specs.voltage_display = `${vMatch[1]}V`;
-    }
-    
-    // Cross-section area (sq mm, sqmm, mm², mm2)
-    const areaMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:sq\.?\s*mm|sqmm|mm2|mm²)/i);
-    if (areaMatch) {
-      specs.cross_section_area = parseFloat(areaMatch[1]);
-    }
-    
-    // Number of cores
-    const coreMatch = text.match(/(\d+)\s*(?:core|c\b|cores)/i);
-    if (coreMatch) {
-      specs.no_of_cores = parseInt(coreMatch[1]);
-    }
-    
-    // Conductor material
-    if (text.includes('copper') || text.match(/\bcu\b/) || text.includes('cu-')) {
-      specs.conductor_material = 'Copper';
-    } else if (text.includes('aluminium') || text.includes('aluminum') || text.match(/\bal\b/) || text.includes('al-')) {
-      specs.conductor_material = 'Aluminium';
-    }
-    
-    // Insulation material
-    if (text.includes('xlpe')) {
-      specs.insulation_material = 'XLPE';
-    } else if (text.includes('pvc')) {
-      specs.insulation_material = 'PVC';
-    }
-    
-    // Armour
-    if (text.includes('armoured') || text.includes('armored') || text.includes('swa')) {
-      specs.armoured = true;
-    } else if (text.includes('unarmoured') || text.includes('unarmored')) {
-      specs.armoured = false;
+    if (req.voltage_kv !== undefined) {
+      specs.voltage_rating = Math.round(req.voltage_kv * 1000);
+      specs.voltage_display = req.voltage_kv >= 1 ? `${req.voltage_kv}kV` : `${specs.voltage_rating}V`;
     }
-    
-    // Temperature rating
-    const tempMatch = text.match(/(\d+)\s*°?c(?:\s|$)/i);
-    if (tempMatch && parseInt(tempMatch[1]) >= 50 && parseInt(tempMatch[1]) <= 150) {
-      specs.temperature_rating = parseInt(tempMatch[1]);
+    for (const [key, spec] of Object.entries(LEGACY_SPEC_NAMES)) {
+      if (key !== 'voltage_kv' && req[key] !== undefined) specs[spec] = req[key];
     }
     
     // Detect application type for weight prioritization
-    specs._application = this.detectApplication(text);
+    specs._application = req.application;
     
     return specs;
   }
@@ -163,355 +132,42 @@ export class EnhancedSpecMatcher {
    * Detect application type from requirement text
    */
   detectApplication(text) {
-    if (text.includes('control') || text.includes('plc') || text.includes('automation')) {
-      return 'control';
-    }
-    if (text.includes('instrument') || text.includes('signal') || text.includes('transmitter')) {
-      return 'instrumentation';
-    }
-    if (text.includes('ht') || text.includes('high tension') || text.includes('power') || text.includes('distribution')) {
-      return 'power_distribution';
-    }
-    return 'default';
+    return detectApplication(text);
   }
   
   /**
    * Calculate detailed match for a single specification
+   * @param {Object} context - { skuId, loadConditions } for engineering checks on substitutes
    */
-  calculateSpecMatch(rfpValue, oemValue, specName, importance) {
-    const result = {
-      spec_name: specName,
-      rfp_requirement: rfpValue,
-      oem_value: oemValue,
-      importance: importance,
-      match_status: 'UNKNOWN',
-      match_score: 0,
-      deviation: null,
-      deviation_percent: null,
-      suggestion: null
-    };
-    
-    // Handle undefined values
-    if (rfpValue === undefined || rfpValue === null) {
-      result.match_status = 'NOT_SPECIFIED';
-      result.match_score = 100; // If not specified, any value works
-      return result;
-    }
-    
-    if (oemValue === undefined || oemValue === null) {
-      result.match_status = 'NOT_AVAILABLE';
-      result.match_score = 0;
-      result.suggestion = `OEM product does not specify ${specName}`;
-      return result;
-    }
-    
-    // Handle different types of comparisons
-    switch (specName) {
-      case 'conductor_material':
-      case 'insulation_material':
-        return this.matchMaterial(rfpValue, oemValue, specName, importance);
-      
-      case 'voltage_rating':
-        return this.matchVoltage(rfpValue, oemValue, importance);
-      
-      case 'cross_section_area':
-        return this.matchCrossSection(rfpValue, oemValue, importance);
-      
-      case 'no_of_cores':
-        return this.matchCores(rfpValue, oemValue, importance);
-      
-      case 'temperature_rating':
-        return this.matchTemperature(rfpValue, oemValue, importance);
-      
-      case 'armoured':
-        return this.matchArmour(rfpValue, oemValue, importance);
-      
-      default:
-        // Generic string/number comparison
-        if (typeof rfpValue === 'string') {
-          const matches = rfpValue.toLowerCase() === String(oemValue).toLowerCase();
-          result.match_status = matches ? 'EXACT_MATCH' : 'MISMATCH';
-          result.match_score = matches ? 100 : 0;
-        } else if (typeof rfpValue === 'number') {
-          const matches = rfpValue === oemValue;
-          result.match_status = matches ? 'EXACT_MATCH' : 'MISMATCH';
-          result.match_score = matches ? 100 : 0;
-        }
-        return result;
-    }
-  }
-  
-  /**
-   * Match material specifications (conductor, insulation)
-   */
-  matchMaterial(rfpValue, oemValue, specName, importance) {
-    const result = {
-      spec_name: specName,
-      rfp_requirement: rfpValue,
-      oem_value: oemValue,
-      importance,
-      match_status: 'UNKNOWN',
-      match_score: 0,
-      deviation: null,
-      suggestion: null
-    };
-    
-    const rfpLower = String(rfpValue).toLowerCase();
-    const oemLower = String(oemValue).toLowerCase();
-    
-    if (rfpLower === oemLower) {
-      result.match_status = 'EXACT_MATCH';
-      result.match_score = 100;
-      return result;
-    }
-    
-    // Material mismatches - provide specific guidance
-    if (specName === 'conductor_material') {
-      result.match_status = 'MISMATCH';
-      result.match_score = 0;
-      
-      if (rfpLower.includes('copper') && oemLower.includes('aluminium')) {
-        result.suggestion = 'OEM offers Aluminium instead of Copper. Aluminium has higher resistance and requires larger cross-section for same current capacity. NOT RECOMMENDED for critical power applications.';
-        result.deviation = 'MATERIAL_DOWNGRADE';
-      } else if (rfpLower.includes('aluminium') && oemLower.includes('copper')) {
-        result.suggestion = 'OEM offers Copper instead of Aluminium. Copper is better conductor but more expensive. ACCEPTABLE upgrade if budget allows.';
-        result.deviation = 'MATERIAL_UPGRADE';
-        result.match_score = 70; // Partial credit for upgrade
-      }
-    } else if (specName === 'insulation_material') {
-      result.match_status = 'MISMATCH';
-      result.match_score = 0;
-      
-      if (rfpLower.includes('xlpe') && oemLower.includes('pvc')) {
-        result.suggestion = 'OEM offers PVC instead of XLPE. PVC has lower temperature rating (70°C vs 90°C) and shorter lifespan. NOT RECOMMENDED for high-load or outdoor applications.';
-        result.deviation = 'INSULATION_DOWNGRADE';
-      } else if (rfpLower.includes('pvc') && oemLower.includes('xlpe')) {
-        result.suggestion = 'OEM offers XLPE instead of PVC. XLPE is superior with higher temperature rating and longer life. ACCEPTABLE upgrade.';
-        result.deviation = 'INSULATION_UPGRADE';
-        result.match_score = 80; // Good partial credit
-      }
-    }
-    
-    return result;
-  }
-  
-  /**
-   * Match voltage rating
-   */
-  matchVoltage(rfpValue, oemValue, importance) {
-    const result = {
-      spec_name: 'voltage_rating',
-      rfp_requirement: `${rfpValue}V`,
-      oem_value: `${oemValue}V`,
-      importance,
-      match_status: 'UNKNOWN',
-      match_score: 0,
-      deviation: null,
-      deviation_percent: null,
-      suggestion: null
-    };
-    
-    if (oemValue === rfpValue) {
-      result.match_status = 'EXACT_MATCH';
-      result.match_score = 100;
-      return result;
-    }
-    
-    if (oemValue > rfpValue) {
-      // OEM exceeds requirement - acceptable
-      const excessPercent = ((oemValue - rfpValue) / rfpValue) * 100;
-      result.match_status = 'EXCEEDS_REQUIREMENT';
-      result.match_score = 100; // No penalty for higher voltage rating
-      result.deviation = `+${Math.round(excessPercent)}%`;
-      result.suggestion = `OEM voltage rating (${oemValue}V) exceeds requirement (${rfpValue}V). ACCEPTABLE - provides safety margin.`;
-    } else {
-      // OEM below requirement - NOT acceptable
-      const shortfall = ((rfpValue - oemValue) / rfpValue) * 100;
-      result.match_status = 'BELOW_REQUIREMENT';
-      result.match_score = 0;
-      result.deviation = `-${Math.round(shortfall)}%`;
-      result.suggestion = `OEM voltage rating (${oemValue}V) is BELOW requirement (${rfpValue}V). NOT ACCEPTABLE - safety critical.`;
-    }
-    
-    return result;
-  }
-  
-  /**
-   * Match cross-section area with tolerance
-   */
-  matchCrossSection(rfpValue, oemValue, importance) {
-    const result = {
-      spec_name: 'cross_section_area',
-      rfp_requirement: `${rfpValue} sq.mm`,
-      oem_value: `${oemValue} sq.mm`,
-      importance,
-      match_status: 'UNKNOWN',
-      match_score: 0,
-      deviation: null,
-      deviation_percent: null,
-      suggestion: null
-    };
-    
-    if (oemValue === rfpValue) {
-      result.match_status = 'EXACT_MATCH';
-      result.match_score = 100;
-      return result;
-    }
-    
-    const deviationPercent = ((oemValue - rfpValue) / rfpValue) * 100;
-    result.deviation_percent = Math.round(deviationPercent * 100) / 100;
-    
-    if (oemValue > rfpValue) {
-      // Larger size
-      result.deviation = `+${Math.round(deviationPercent)}%`;
-      
-      if (deviationPercent <= 15) {
-        result.match_status = 'ACCEPTABLE_LARGER';
-        result.match_score = 90 - deviationPercent; // Small penalty
-        result.suggestion = `OEM size is ${Math.round(deviationPercent)}% larger than required. ACCEPTABLE - better current capacity but slightly higher cost.`;
-      } else if (deviationPercent <= 30) {
-        result.match_status = 'MARGINAL_LARGER';
-        result.match_score = 70 - (deviationPercent - 15);
-        result.suggestion = `OEM size is ${Math.round(deviationPercent)}% larger than required. MARGINAL - may be oversized for application. Consider cost implications.`;
-      } else {
-        result.match_status = 'OVERSIZED';
-        result.match_score = 40;
-        result.suggestion = `OEM size (${oemValue} sq.mm) is significantly larger than required (${rfpValue} sq.mm). NOT RECOMMENDED - oversized and costly.`;
-      }
-    } else {
-      // Smaller size
-      result.deviation = `${Math.round(deviationPercent)}%`;
-      const shortfall = Math.abs(deviationPercent);
-      
-      if (shortfall <= 10) {
-        result.match_status = 'MARGINAL_SMALLER';
-        result.match_score = 60 - shortfall * 2;
-        result.suggestion = `OEM size is ${Math.round(shortfall)}% smaller than required. CONDITIONAL - verify current capacity is sufficient.`;
-      } else {
-        result.match_status = 'UNDERSIZED';
-        result.match_score = 0;
-        result.suggestion = `OEM size (${oemValue} sq.mm) is BELOW requirement (${rfpValue} sq.mm). NOT ACCEPTABLE - insufficient current capacity.`;
-      }
+  calculateSpecMatch(rfpValue, oemValue, specName, importance, context = {}) {
+    const key = ENGINE_KEYS[specName];
+    if (!key) {
+      const matches = String(rfpValue).toLowerCase() === String(oemValue).toLowerCase();
+      return {
+        spec_name: specName,
+        rfp_requirement: rfpValue,
+        oem_value: oemValue,
+        importance,
+        match_status: matches ? 'EXACT_MATCH' : 'MISMATCH',
+        match_score: matches ? 100 : 0,
+        deviation: null,
+        deviation_percent: null,
+        suggestion: null
+      };
     }
     
-    return result;
-  }
-  
-  /**
-   * Match number of cores
-   */
-  matchCores(rfpValue, oemValue, importance) {
-    const result = {
-      spec_name: 'no_of_cores',
-      rfp_requirement: `${rfpValue} core`,
-      oem_value: `${oemValue} core`,
-      importance,
-      match_status: 'UNKNOWN',
-      match_score: 0,
-      deviation: null,
-      suggestion: null
+    // Values in this module's units (V) go through the engine's normaliser
+    const normalise = (value) => {
+      if (value === undefined || value === null) return value;
+      if (key === 'voltage_kv') return toKv(value);
+      const parsed = parseRequirement({ [key]: value })[key];
+      return parsed === undefined ? value : parsed;
     };
-    
-    if (oemValue === rfpValue) {
-      result.match_status = 'EXACT_MATCH';
-      result.match_score = 100;
-      return result;
-    }
-    
-    if (oemValue > rfpValue) {
-      const extra = oemValue - rfpValue;
-      result.deviation = `+${extra} cores`;
-      
-      if (extra <= 2) {
-        result.match_status = 'ACCEPTABLE_MORE_CORES';
-        result.match_score = 85 - (extra * 10);
-        result.suggestion = `OEM has ${extra} extra core(s). ACCEPTABLE - spare capacity available but slightly higher cost.`;
-      } else {
-        result.match_status = 'EXCESSIVE_CORES';
-        result.match_score = 50;
-        result.suggestion = `OEM has ${extra} extra cores. MARGINAL - significantly oversized. Consider if spare capacity is needed.`;
-      }
-    } else {
-      const shortfall = rfpValue - oemValue;
-      result.deviation = `-${shortfall} cores`;
-      result.match_status = 'INSUFFICIENT_CORES';
-      result.match_score = 0;
-      result.suggestion = `OEM has ${shortfall} fewer cores than required. NOT ACCEPTABLE - insufficient I/O capacity.`;
-    }
-    
-    return result;
-  }
-  
-  /**
-   * Match temperature rating
-   */
-  matchTemperature(rfpValue, oemValue, importance) {
-    const result = {
-      spec_name: 'temperature_rating',
-      rfp_requirement: `${rfpValue}°C`,
-      oem_value: `${oemValue}°C`,
-      importance,
-      match_status: 'UNKNOWN',
-      match_score: 0,
-      deviation: null,
-      suggestion: null
-    };
-    
-    if (oemValue >= rfpValue) {
-      if (oemValue === rfpValue) {
-        result.match_status = 'EXACT_MATCH';
-      } else {
-        result.match_status = 'EXCEEDS_REQUIREMENT';
-        result.deviation = `+${oemValue - rfpValue}°C`;
-      }
-      result.match_score = 100;
-      result.suggestion = oemValue > rfpValue 
-        ? `OEM temperature rating exceeds requirement. ACCEPTABLE - provides margin for overload conditions.`
-        : null;
-    } else {
-      result.match_status = 'BELOW_REQUIREMENT';
-      result.match_score = 0;
-      result.deviation = `-${rfpValue - oemValue}°C`;
-      result.suggestion = `OEM temperature rating (${oemValue}°C) is BELOW requirement (${rfpValue}°C). NOT ACCEPTABLE - may fail under load.`;
-    }
-    
-    return result;
-  }
-  
-  /**
-   * Match armour requirement
-   */
-  matchArmour(rfpValue, oemValue, importance) {
-    const result = {
-      spec_name: 'armoured',
-      rfp_requirement: rfpValue ? 'Armoured' : 'Unarmoured',
-      oem_value: oemValue ? 'Armoured' : 'Unarmoured',
-      importance,
-      match_status: 'UNKNOWN',
-      match_score: 0,
-      deviation: null,
-      suggestion: null
-    };
-    
-    // Normalize OEM value (might be string like "Steel Wire Armoured")
-    const oemArmoured = typeof oemValue === 'string' 
-      ? oemValue.toLowerCase().includes('armour') 
-      : oemValue === true;
-    
-    if (rfpValue === oemArmoured) {
-      result.match_status = 'EXACT_MATCH';
-      result.match_score = 100;
-    } else if (rfpValue && !oemArmoured) {
-      result.match_status = 'MISSING_ARMOUR';
-      result.match_score = 0;
-      result.suggestion = 'RFP requires armoured cable but OEM product is unarmoured. NOT ACCEPTABLE for buried/industrial installations.';
-    } else if (!rfpValue && oemArmoured) {
-      result.match_status = 'HAS_ARMOUR';
-      result.match_score = 90;
-      result.suggestion = 'OEM product has armour not required by RFP. ACCEPTABLE - extra protection but slightly higher cost.';
-    }
-    
-    return result;
+    const required = normalise(rfpValue);
+    const offered = normalise(oemValue);
+    const product = context.skuId ? findProduct(context.skuId) : null;
+    const grade = gradeAttribute(key, required, offered, { product: product || { sku_id: context.skuId }, loadConditions: context.loadConditions });
+    return toSpecMatch(key, required, offered, importance, grade);
   }
   
   /**
@@ -523,51 +179,27 @@ export class EnhancedSpecMatcher {
   findMatches(requirementText, options = {}) {
     const topN = options.topN || 5;
     const rfpSpecs = this.parseRequirement(requirementText);
-    const applicationType = rfpSpecs._application;
-    const weights = SPEC_IMPORTANCE[applicationType] || SPEC_IMPORTANCE.default;
+    const loadConditions = options.loadConditions || extractLoadConditions(requirementText);
+    const engine = matchRequirement(requirementText, {
+      profile: options.profile,
+      loadConditions,
+      topN
+    });
     
     const results = {
       rfp_requirement: requirementText,
       parsed_specs: rfpSpecs,
-      application_type: applicationType,
-      matching_weights: weights,
+      load_conditions: loadConditions,
+      application_type: engine.profile,
+      matching_weights: SPEC_IMPORTANCE[engine.profile],
       matches: [],
       best_match: null,
       compromise_analysis: null
     };
     
-    // Calculate match for each OEM product
-    const scoredProducts = [];
-    
-    for (const oem of this.oemProducts) {
-      const oemSpecs = oem.specifications || oem;
-      const specMatches = [];
-      let totalWeight = 0;
-      let weightedScore = 0;
-      
-      // Match each specification
-      const specsToCheck = [
-        { key: 'voltage_rating', rfp: rfpSpecs.voltage_rating, oem: oemSpecs.voltage_rating_v || oemSpecs.voltage },
-        { key: 'cross_section_area', rfp: rfpSpecs.cross_section_area, oem: oemSpecs.conductor_cross_section_mm2 || oemSpecs.cross_section_area },
-        { key: 'conductor_material', rfp: rfpSpecs.conductor_material, oem: oemSpecs.conductor_material },
-        { key: 'insulation_material', rfp: rfpSpecs.insulation_material, oem: oemSpecs.insulation_material },
-        { key: 'no_of_cores', rfp: rfpSpecs.no_of_cores, oem: oemSpecs.no_of_cores },
-        { key: 'temperature_rating', rfp: rfpSpecs.temperature_rating, oem: oemSpecs.temperature_rating_c || oemSpecs.temperature_rating },
-        { key: 'armoured', rfp: rfpSpecs.armoured, oem: oemSpecs.armour_type || oemSpecs.armoured }
-      ];
-      
-      for (const spec of specsToCheck) {
-        if (spec.rfp === undefined) continue;
-        
-        const importance = weights[spec.key] || 50;
-        const matchResult = this.calculateSpecMatch(spec.rfp, spec.oem, spec.key, importance);
-        specMatches.push(matchResult);
-        
-        totalWeight += importance;
-        weightedScore += (matchResult.match_score / 100) * importance;
-      }
-      
-      const overallScore = totalWeight > 0 ? Math.round((weightedScore / totalWeight) * 100) : 0;
+    results.matches = engine.matches.map(match => {
+      const specMatches = match.attributes.map(a => toSpecMatch(a.attribute, a.required, a.offered, a.weight, a.deviation));
+      const overallScore = match.spec_match_percentage;
       
       // Categorize match quality
       let matchCategory = 'POOR';
@@ -585,18 +217,21 @@ export class EnhancedSpecMatcher {
       const mismatches = specMatches.filter(s => 
         s.match_score === 0 && s.match_status !== 'NOT_SPECIFIED'
       );
+      const oem = match.product.raw;
       
-      scoredProducts.push({
-        sku_id: oem.sku_id,
-        product_name: oem.product_name,
-        category: oem.category,
+      return {
+        sku_id: match.sku_id,
+        product_name: match.product_name,
+        category: oem.category || match.product.cable_type,
         overall_score: overallScore,
         match_category: matchCategory,
-        unit_price: oem.unit_price_inr_per_km,
-        lead_time_days: oem.lead_time_days,
+        unit_price: match.product.unit_price_per_km,
+        lead_time_days: match.product.lead_time_days,
+        scores: match.scores,
         
         // Detailed breakdown
         spec_matches: specMatches,
+        explanations: match.attributes.map(a => a.explanation),
         summary: {
           exact_matches: exactMatches.length,
           partial_matches: partialMatches.length,
@@ -617,14 +252,9 @@ export class EnhancedSpecMatcher {
           deviation: p.deviation,
           suggestion: p.suggestion
         }))
-      });
-    }
-    
-    // Sort by overall score
-    scoredProducts.sort((a, b) => b.overall_score - a.overall_score);
+      };
+    });
     
-    // Get top N matches
-    results.matches = scoredProducts.slice(0, topN);
     results.best_match = results.matches[0] || null;
     
     // Generate compromise analysis
@@ -0,0 +1,300 @@
+/**
+ * Financial Exposure Service
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Bid-security and cash-flow exposure for a bid:
+ * - Working capital locked in EMD, PBG margin money, retention and receivables
+ * - Bank guarantee commission
+ * - Worst-case and schedule-based liquidated damages (LD)
+ * - Net margin after financing costs
+ *
+ * Terms come from the RFP (structured fields, then free text via the risky
+ * clause detector and term patterns), falling back to pricing_rules.csv
+ * (P012 EMD, P013 PBG, P014 retention, P015/P016 LD, P017 warranty,
+ * P029 credit period, P003 margin).
+ */
+
+import { getCableDataset } from './cable-dataset-loader.js';
+import { detectRiskyClauses } from './risky-clauses.js';
+import { formatLakhsCrores } from './table-formatter.js';
+import { FINANCE_CONFIG } from '../configs/settings.js';
+
+const DEFAULT_RULES = {
+  emdRate: { parameter: 'EMD_Percentage', fallback: 0.02 },
+  pbgRate: { parameter: 'Performance_Guarantee', fallback: 0.05 },
+  retentionRate: { parameter: 'Retention_Money', fallback: 0.10 },
+  ldPerWeek: { parameter: 'LD_Per_Week', fallback: 0.005 },
+  ldCap: { parameter: 'Max_LD_Cap', fallback: 0.10 },
+  warrantyMonths: { parameter: 'Warranty_Period_Months', fallback: 12 },
+  creditDays: { parameter: 'Credit_Period_Days', fallback: 30 },
+  marginRate: { parameter: 'Profit_Margin', fallback: 0.12 }
+};
+
+const TEXT_PATTERNS = {
+  ldPerWeek: /(\d+(?:\.\d+)?)\s*%[^.%]{0,40}?per\s+(?:week|each week)/i,
+  ldCap: /(?:max(?:imum)?|ceiling|cap(?:ped)?|limited|not\s+exceeding)[^.%\d]{0,25}(\d+(?:\.\d+)?)\s*%/i,
+  pbgRate: /(?:performance\s+(?:bank\s+)?guarantee|\bpbg\b)[^.%]{0,60}?(\d+(?:\.\d+)?)\s*%/i,
+  retentionRate: /retention[^.%]{0,60}?(\d+(?:\.\d+)?)\s*%/i,
+  emdRate: /(?:\bemd\b|earnest\s+money)[^.%₹]{0,40}?(\d+(?:\.\d+)?)\s*%/i,
+  emdAmount: /(?:\bemd\b|earnest\s+money)[^.]{0,40}?(?:rs\.?|inr|₹)\s*([\d,]+(?:\.\d+)?)\s*(lakhs?|crores?|cr)?/i,
+  creditDays: /(?:payment|paid)[^.]{0,60}?(?:within\s+)?(\d{1,3})\s*days/i,
+  deliveryPeriod: /deliver(?:y|ed)[^.]{0,50}?(?:within\s+)?(\d{1,3})(?:\s*-\s*(\d{1,3}))?\s*(weeks?|days?|months?)/i
+};
+
+// LD percentages are only read from the LD clause: the heading and the text that follows it
+const LD_CLAUSE = /(?:liquidated\s+damages?|\bL\.?D\.?(?=[\s:@-])|penalty\s+for\s+(?:late|delayed|delay))[\s\S]{0,300}/gi;
+
+/**
+ * Calculate bid-security and cash-flow exposure
+ * @param {object} params
+ * @param {object} params.rfp - RFP object (structured terms: emd_amount, pbg_percent / pg, ld_clause,
+ *                              retention, payment_terms, delivery_period, warranty)
+ * @param {number} params.bidValue - Bid value ex-GST (defaults to rfp.estimated_cost_inr)
+ * @param {string} params.rfpText - Full RFP text to mine for terms
+ * @param {number} params.leadTimeDays - Our manufacturing lead time, for schedule-based LD
+ * @param {number} params.marginRate - Gross margin on the bid (defaults to P003)
+ * @returns {object} - Terms used (with source), exposure, costs, net margin and approval flag
+ */
+export function calculateFinancialExposure({
+  rfp = {},
+  bidValue = null,
+  rfpText = '',
+  leadTimeDays = null,
+  marginRate = null
+} = {}) {
+  const value = Number(bidValue ?? rfp.estimated_cost_inr ?? rfp.estCost) || 0;
+  const text = rfpText || [rfp.full_text, rfp.description, rfp.special_conditions, rfp.terms]
+    .filter(v => typeof v === 'string').join('\n');
+
+  const terms = resolveTerms(rfp, text, value);
+  if (marginRate !== null && marginRate !== undefined) {
+    terms.marginRate = { value: marginRate, source: 'input' };
+  }
+
+  const cfg = FINANCE_CONFIG;
+  const t = Object.fromEntries(Object.entries(terms).map(([k, v]) => [k, v.value]));
+  const deliveryMonths = t.deliveryWeeks * 7 / 30;
+
+  // 1. EMD: locked from submission until award / return
+  const emdAmount = t.emdAmount ?? value * t.emdRate;
+  const emdFinancing = emdAmount * cfg.costOfCapital * (cfg.bidValidityDays / 365);
+
+  // 2. PBG: commission for its validity, plus margin money held by the bank
+  const pbgAmount = value * t.pbgRate;
+  const pbgTenureMonths = deliveryMonths + t.warrantyMonths + cfg.bgClaimPeriodMonths;
+  const pbgCommission = pbgAmount * cfg.bgCommissionRate * (pbgTenureMonths / 12);
+  const pbgMarginMoney = pbgAmount * cfg.bgMarginMoney;
+  const pbgMarginFinancing = pbgMarginMoney * cfg.costOfCapital * (pbgTenureMonths / 12);
+
+  // 3. Retention: withheld until the warranty period ends
+  const retentionAmount = value * t.retentionRate;
+  const retentionFinancing = retentionAmount * cfg.costOfCapital * (t.warrantyMonths / 12);
+
+  // 4. Production float and receivables
+  const productionOutlay = value * (1 - t.marginRate);
+  const productionFinancing = productionOutlay * cfg.costOfCapital * ((t.deliveryWeeks * 7 / 2) / 365);
+  const receivable = value - retentionAmount;
+  const receivableFinancing = receivable * cfg.costOfCapital * (t.creditDays / 365);
+
+  // 5. Liquidated damages
+  const weeksToCap = t.ldPerWeek > 0 ? t.ldCap / t.ldPerWeek : null;
+  const worstCaseLd = value * t.ldCap;
+  const delayWeeks = leadTimeDays ? Math.max(0, Math.ceil((leadTimeDays - t.deliveryWeeks * 7) / 7)) : 0;
+  const expectedLd = value * Math.min(t.ldCap, t.ldPerWeek * delayWeeks);
+
+  // 6. Net margin
+  const grossMargin = value * t.marginRate;
+  const financingCost = emdFinancing + pbgMarginFinancing + retentionFinancing + productionFinancing + receivableFinancing;
+  const netMargin = grossMargin - financingCost - pbgCommission - expectedLd;
+  const worstCaseNetMargin = grossMargin - financingCost - pbgCommission - worstCaseLd;
+
+  // EMD is released once the PBG is lodged; production cost stays locked until the buyer pays
+  const peakWorkingCapital = Math.max(emdAmount, productionOutlay + pbgMarginMoney);
+  const requiresApproval = value > cfg.approvalThreshold;
+
+  const warnings = [];
+  if (worstCaseNetMargin < 0) {
+    warnings.push(`Worst-case LD (${formatLakhsCrores(worstCaseLd)}) wipes out the margin`);
+  }
+  if (delayWeeks > 0) {
+    warnings.push(`Lead time ${leadTimeDays} days exceeds the ${t.deliveryWeeks}-week delivery period by ${delayWeeks} week(s)`);
+  }
+  if (netMargin / (value || 1) < 0.05) {
+    warnings.push('Net margin after financing is below 5%');
+  }
+
+  return {
+    bid_value: round(value),
+    terms: Object.fromEntries(Object.entries(terms).map(([k, v]) => [k, { value: v.value, source: v.source }])),
+    exposure: {
+      emd: { amount: round(emdAmount), locked_days: cfg.bidValidityDays },
+      performance_guarantee: {
+        amount: round(pbgAmount),
+        tenure_months: round(pbgTenureMonths, 1),
+        margin_money: round(pbgMarginMoney)
+      },
+      retention: { amount: round(retentionAmount), locked_months: t.warrantyMonths },
+      production_outlay: { amount: round(productionOutlay), float_days: Math.round(t.deliveryWeeks * 7 / 2) },
+      receivables: { amount: round(receivable), credit_days: t.creditDays },
+      peak_working_capital: round(peakWorkingCapital)
+    },
+    liquidated_damages: {
+      rate_per_week: t.ldPerWeek,
+      cap_rate: t.ldCap,
+      weeks_to_cap: weeksToCap !== null ? round(weeksToCap, 1) : null,
+      delivery_weeks: t.deliveryWeeks,
+      lead_time_days: leadTimeDays,
+      projected_delay_weeks: delayWeeks,
+      expected: round(expectedLd),
+      worst_case: round(worstCaseLd)
+    },
+    costs: {
+      cost_of_capital: cfg.costOfCapital,
+      bg_commission_rate: cfg.bgCommissionRate,
+      emd_financing: round(emdFinancing),
+      bg_commission: round(pbgCommission),
+      bg_margin_financing: round(pbgMarginFinancing),
+      retention_financing: round(retentionFinancing),
+      production_financing: round(productionFinancing),
+      receivable_financing: round(receivableFinancing),
+      total_financing: round(financingCost),
+      total_carrying_cost: round(financingCost + pbgCommission)
+    },
+    margin: {
+      gross: round(grossMargin),
+      gross_percent: round(t.marginRate * 100, 2),
+      net: round(netMargin),
+      net_percent: value > 0 ? round((netMargin / value) * 100, 2) : 0,
+      worst_case_net: round(worstCaseNetMargin),
+      worst_case_net_percent: value > 0 ? round((worstCaseNetMargin / value) * 100, 2) : 0
+    },
+    approval: {
+      requires_management_approval: requiresApproval,
+      threshold: cfg.approvalThreshold,
+      summary: `Bid ${formatLakhsCrores(value)}: ${formatLakhsCrores(peakWorkingCapital)} peak working capital, ` +
+        `net margin ${formatLakhsCrores(netMargin)} after ${formatLakhsCrores(financingCost + pbgCommission)} carrying cost`
+    },
+    warnings
+  };
+}
+
+/**
+ * Resolve each term from structured RFP fields, RFP text, then pricing rules
+ */
+function resolveTerms(rfp, text, bidValue) {
+  const dataset = getCableDataset();
+  const ruleValue = (key) => {
+    const { parameter, fallback } = DEFAULT_RULES[key];
+    const rule = dataset.getPricingRule(parameter);
+    return rule
+      ? { value: parseFloat(rule.value), source: `pricing_rules:${rule.rule_id}` }
+      : { value: fallback, source: 'default' };
+  };
+  const fromText = (key, scale = 0.01, source = text, label = 'rfp_text') => {
+    const match = source.match(TEXT_PATTERNS[key]);
+    return match ? { value: parseFloat(match[1]) * scale, source: label } : null;
+  };
+  const fromField = (raw, parse) => {
+    if (raw === undefined || raw === null || raw === '') return null;
+    const value = parse(raw);
+    return value === null || isNaN(value) ? null : { value, source: 'rfp' };
+  };
+
+  // Risky clause detector also picks up PBG percentages
+  const risky = text ? detectRiskyClauses(text) : { risky_clauses: [] };
+  const pbgClause = risky.risky_clauses.find(c => c.key === 'Performance Bank Guarantee' && c.matchedValue);
+
+  const ldClause = typeof rfp.ld_clause === 'string' ? rfp.ld_clause : '';
+  const ldText = [...text.matchAll(LD_CLAUSE)].map(m => m[0]).join('\n');
+
+  const terms = {
+    emdAmount: fromField(rfp.emd_amount ?? rfp.emd, parseAmount) ||
+      emdAmountFromText(text) ||
+      { value: null, source: 'derived' },
+    emdRate: fromField(rfp.emd_percent, parsePercent) || fromText('emdRate') || ruleValue('emdRate'),
+    pbgRate: fromField(rfp.pbg_percent ?? rfp.pg ?? rfp.performance_guarantee, parsePercent) ||
+      (pbgClause ? { value: parseFloat(pbgClause.matchedValue) / 100, source: 'rfp_text' } : null) ||
+      fromText('pbgRate') || ruleValue('pbgRate'),
+    retentionRate: fromField(rfp.retention_percent ?? rfp.retention, parsePercent) ||
+      fromText('retentionRate') || ruleValue('retentionRate'),
+    ldPerWeek: fromField(rfp.ld_per_week, parsePercent) || fromText('ldPerWeek', 0.01, ldClause, 'rfp') ||
+      fromText('ldPerWeek', 0.01, ldText) || ruleValue('ldPerWeek'),
+    ldCap: fromField(rfp.ld_cap, parsePercent) || fromText('ldCap', 0.01, ldClause, 'rfp') ||
+      fromText('ldCap', 0.01, ldText) || ruleValue('ldCap'),
+    warrantyMonths: fromField(rfp.warranty_months, Number) || ruleValue('warrantyMonths'),
+    creditDays: fromField(rfp.payment_terms, v => {
+      const m = String(v).match(/(\d{1,3})\s*days/i);
+      return m ? parseInt(m[1], 10) : null;
+    }) || fromText('creditDays', 1) || ruleValue('creditDays'),
+    deliveryWeeks: fromField(rfp.delivery_weeks ?? rfp.delivery_period, parseWeeks) ||
+      deliveryWeeksFromText(text) ||
+      { value: FINANCE_CONFIG.defaultDeliveryWeeks, source: 'default' },
+    marginRate: ruleValue('marginRate')
+  };
+
+  // An EMD stated as an amount wins over the percentage
+  if (terms.emdAmount.value !== null && bidValue > 0) {
+    terms.emdRate = { value: terms.emdAmount.value / bidValue, source: terms.emdAmount.source };
+  }
+
+  return terms;
+}
+
+function emdAmountFromText(text) {
+  const match = text.match(TEXT_PATTERNS.emdAmount);
+  if (!match) return null;
+  return { value: parseAmount(`${match[1]} ${match[2] || ''}`), source: 'rfp_text' };
+}
+
+function deliveryWeeksFromText(text) {
+  const match = text.match(TEXT_PATTERNS.deliveryPeriod);
+  if (!match) return null;
+  return { value: parseWeeks(match[0]), source: 'rfp_text' };
+}
+
+/**
+ * "10%", "0.5%", 10, 0.1 -> rate
+ * A value written with % is always a percentage; only bare numbers above 1 are read as one
+ */
+function parsePercent(raw) {
+  const n = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(/[^\d.]/g, ' ').trim().split(/\s+/)[0]);
+  if (isNaN(n)) return null;
+  if (typeof raw === 'string' && raw.includes('%')) return n / 100;
+  return n > 1 ? n / 100 : n;
+}
+
+/**
+ * "₹2,00,000", "2 lakh", "1.5 crore", 200000 -> rupees
+ */
+function parseAmount(raw) {
+  if (typeof raw === 'number') return raw;
+  const str = String(raw).toLowerCase();
+  const n = parseFloat(str.replace(/,/g, '').match(/\d+(?:\.\d+)?/)?.[0]);
+  if (isNaN(n)) return null;
+  if (/crore|\bcr\b/.test(str)) return n * 10000000;
+  if (/lakh|lac/.test(str)) return n * 100000;
+  return n;
+}
+
+/**
+ * "8-12 weeks" -> 12, "90 days" -> 13, "6 months" -> 26
+ */
+function parseWeeks(raw) {
+  if (typeof raw === 'number') return raw;
+  const match = String(raw).match(/(\d{1,3})(?:\s*-\s*(\d{1,3}))?\s*(weeks?|days?|months?)/i);
+  if (!match) return null;
+  const n = parseInt(match[2] || match[1], 10);
+  const unit = match[3].toLowerCase();
+  if (unit.startsWith('day')) return Math.ceil(n / 7);
+  if (unit.startsWith('month')) return Math.round(n * 30 / 7);
+  return n;
+}
+
+function round(value, decimals = 0) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  calculateFinancialExposure
+};
@@ -0,0 +1,304 @@
+/**
+ * Freight Estimator Service
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Prices delivery from our plants to the tender's city instead of a flat rate
+ * per km of cable. Road distance comes from an offline table of Indian city
+ * coordinates (great-circle distance × road factor); the shipment weight from
+ * the drum schedule, or the cable's Unit_Weight_kg_per_km plus a packing
+ * allowance. The load is split over the cheapest mix of trucks for the
+ * distance slab, and every plant that makes the offered cable types is
+ * compared so the quote can name the best dispatching plant.
+ */
+
+import fs from 'fs';
+import { parse } from 'csv-parse/sync';
+import { planDrumSchedule } from './drum-planner.js';
+import { findProduct } from './matching-engine.js';
+import { LOGISTICS_CONFIG } from '../configs/settings.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+function freightError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const readCsv = (file) => {
+  if (!fs.existsSync(file)) {
+    throw freightError(`Logistics data not found: ${file}`, 500);
+  }
+  return parse(fs.readFileSync(file, 'utf-8'), { columns: true, skip_empty_lines: true, trim: true });
+};
+
+const splitList = (value) => String(value || '').split(';').map(v => v.trim()).filter(Boolean);
+
+// ============================================
+// MASTER DATA
+// ============================================
+
+let citiesCache = null;
+let plantsCache = null;
+let ratesCache = null;
+
+export function loadCities() {
+  if (citiesCache) return citiesCache;
+  citiesCache = readCsv(LOGISTICS_CONFIG.citiesFile).map(row => ({
+    city: row.City,
+    state: row.State,
+    lat: Number(row.Latitude),
+    lon: Number(row.Longitude),
+    aliases: splitList(row.Aliases)
+  }));
+  return citiesCache;
+}
+
+export function loadPlants() {
+  if (plantsCache) return plantsCache;
+  plantsCache = readCsv(LOGISTICS_CONFIG.plantsFile).map(row => {
+    const location = resolveCity(row.City);
+    if (!location) {
+      throw freightError(`Plant ${row.Plant_ID}: city "${row.City}" is not in the city table`, 500);
+    }
+    return {
+      plant_id: row.Plant_ID,
+      name: row.Name,
+      city: location.city,
+      state: row.State || location.state,
+      gstin: row.GSTIN || null,
+      cable_types: splitList(row.Cable_Types),
+      location
+    };
+  });
+  return plantsCache;
+}
+
+function loadFreightRates() {
+  if (ratesCache) return ratesCache;
+  const trucks = new Map();
+  for (const row of readCsv(LOGISTICS_CONFIG.freightRatesFile)) {
+    const truck = trucks.get(row.Truck_Type) || {
+      type: row.Truck_Type,
+      payload_kg: Number(row.Payload_kg),
+      min_charge: Number(row.Min_Charge_INR) || 0,
+      slabs: []
+    };
+    truck.slabs.push({ upto_km: Number(row.Upto_km), rate_per_km: Number(row.Rate_per_km) });
+    trucks.set(row.Truck_Type, truck);
+  }
+  ratesCache = [...trucks.values()].map(truck => ({ ...truck, slabs: truck.slabs.sort((a, b) => a.upto_km - b.upto_km) }));
+  return ratesCache;
+}
+
+/**
+ * City row for a tender location ("Navi Mumbai", "Bengaluru, Karnataka", ...)
+ * @returns {Object|null} - { city, state, lat, lon, aliases }
+ */
+export function resolveCity(name) {
+  const text = String(name || '').toLowerCase().trim();
+  if (!text) return null;
+  const cities = loadCities();
+  const names = (c) => [c.city, ...c.aliases].map(n => n.toLowerCase());
+
+  return cities.find(c => names(c).includes(text)) ||
+    cities.find(c => names(c).includes(text.split(',')[0].trim())) ||
+    // Longest name first so "Navi Mumbai" wins over "Mumbai" inside an address
+    cities
+      .flatMap(c => names(c).map(n => ({ c, n })))
+      .sort((a, b) => b.n.length - a.n.length)
+      .find(({ n }) => new RegExp(`\\b${n}\\b`).test(text))?.c ||
+    null;
+}
+
+/**
+ * Road distance (km) between two city rows
+ */
+export function roadDistanceKm(from, to) {
+  const rad = (deg) => deg * Math.PI / 180;
+  const dLat = rad(to.lat - from.lat);
+  const dLon = rad(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLon / 2) ** 2;
+  const greatCircle = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  // Same-city deliveries still move through local roads
+  return Math.max(20, Math.round(greatCircle * LOGISTICS_CONFIG.roadFactor));
+}
+
+// ============================================
+// TRUCK LOADS
+// ============================================
+
+function tripCost(truck, distanceKm) {
+  const slab = truck.slabs.find(s => distanceKm <= s.upto_km) || truck.slabs[truck.slabs.length - 1];
+  return { rate_per_km: slab.rate_per_km, cost: Math.max(truck.min_charge, Math.round(slab.rate_per_km * distanceKm)) };
+}
+
+/**
+ * Cheapest mix of trucks for a load over a distance
+ * Every count of each larger truck type is tried, the smallest type taking
+ * the balance; ties go to fewer trucks.
+ * @returns {Object} - { trucks: [{ type, count, payload_kg, rate_per_km, trip_cost, cost }], truck_count, cost }
+ */
+export function planTruckLoads(weightKg, distanceKm) {
+  const trucks = loadFreightRates()
+    .map(truck => ({ ...truck, usable_kg: truck.payload_kg * LOGISTICS_CONFIG.payloadUtilisation, ...tripCost(truck, distanceKm) }))
+    .sort((a, b) => a.payload_kg - b.payload_kg);
+  const [smallest, ...larger] = trucks;
+  const counts = (truck) => Array.from({ length: Math.ceil(weightKg / truck.usable_kg) + 1 }, (_, i) => i);
+
+  let best = null;
+  const consider = (mix) => {
+    const carried = mix.reduce((sum, { truck, count }) => sum + truck.usable_kg * count, 0);
+    const balance = Math.max(0, weightKg - carried);
+    const all = [...mix, { truck: smallest, count: Math.ceil(balance / smallest.usable_kg) }].filter(m => m.count > 0);
+    const cost = all.reduce((sum, { truck, count }) => sum + truck.cost * count, 0);
+    const truckCount = all.reduce((sum, { count }) => sum + count, 0);
+    if (!best || cost < best.cost || (cost === best.cost && truckCount < best.truck_count)) {
+      best = {
+        trucks: all.map(({ truck, count }) => ({
+          type: truck.type,
+          count,
+          payload_kg: truck.payload_kg,
+          rate_per_km: truck.rate_per_km,
+          trip_cost: truck.cost,
+          cost: truck.cost * count
+        })),
+        truck_count: truckCount,
+        cost
+      };
+    }
+  };
+
+  const search = (index, mix) => {
+    if (index === larger.length) return consider(mix);
+    for (const count of counts(larger[index])) {
+      search(index + 1, [...mix, { truck: larger[index], count }]);
+    }
+  };
+  search(0, []);
+  return best;
+}
+
+// ============================================
+// ESTIMATE
+// ============================================
+
+/**
+ * Shipment weight and cable types for the offered items
+ */
+function shipmentFromItems(items) {
+  const cableTypes = [...new Set(items.map(item => item.cable_type || findProduct(item.sku_id)?.cable_type).filter(Boolean))];
+  try {
+    const schedule = planDrumSchedule({ items: items.map(({ sku_id, qty_km, qty_m, cut_lengths }) => ({ sku_id, qty_km, qty_m, cut_lengths })) });
+    return { weightKg: schedule.totals.gross_weight_kg, source: 'drum_schedule', drums: schedule.totals.drums, cableTypes };
+  } catch {
+    // No construction data for a SKU: catalog unit weight plus a packing allowance
+  }
+  const net = items.reduce((sum, item) => {
+    const raw = findProduct(item.sku_id)?.raw || {};
+    const weight = Number(raw.Unit_Weight_kg_per_km || raw.weight_kg_per_km || raw.specifications?.weight_kg_per_km) || 0;
+    return sum + weight * ((parseFloat(item.qty_m) / 1000) || parseFloat(item.qty_km) || 0);
+  }, 0);
+  return { weightKg: Math.round(net * (1 + LOGISTICS_CONFIG.packingAllowance)), source: 'unit_weight', drums: null, cableTypes };
+}
+
+function plantOption(plant, destination, weightKg) {
+  const distanceKm = roadDistanceKm(plant.location, destination);
+  const load = planTruckLoads(weightKg, distanceKm);
+  return {
+    plant_id: plant.plant_id,
+    plant_name: plant.name,
+    city: plant.city,
+    gstin: plant.gstin,
+    distance_km: distanceKm,
+    trucks: load.trucks,
+    truck_count: load.truck_count,
+    freight_cost: load.cost
+  };
+}
+
+/**
+ * Freight from the best dispatching plant to the delivery city
+ * @param {Object} params
+ * @param {string} params.city - Tender delivery city
+ * @param {Array} params.items - [{ sku_id, qty_km | qty_m, cut_lengths? }]; or give weightKg and cableTypes
+ * @param {number} params.weightKg - Gross shipment weight when already known (e.g. from a drum schedule)
+ * @param {Array} params.cableTypes - Cable types the dispatching plant must make
+ * @returns {Object} - { destination, weight_kg, weight_source, best, options, split }
+ */
+export function estimateFreight({ city, items = [], weightKg = null, cableTypes = [] } = {}) {
+  const destination = resolveCity(city);
+  if (!destination) {
+    throw freightError(`Delivery city "${city || ''}" is not in the city table`, 422);
+  }
+
+  if (items.some(item => !item.sku_id)) {
+    throw freightError('Every item needs a sku_id');
+  }
+  const shipment = weightKg
+    ? { weightKg, source: 'given', drums: null, cableTypes }
+    : items.length > 0 ? shipmentFromItems(items) : null;
+  if (!shipment || !(shipment.weightKg > 0)) {
+    throw freightError('items or weightKg is required');
+  }
+
+  const plants = loadPlants();
+  const makesAll = plants.filter(p => shipment.cableTypes.every(type => p.cable_types.includes(type)));
+  const options = makesAll
+    .map(plant => plantOption(plant, destination, shipment.weightKg))
+    .sort((a, b) => a.freight_cost - b.freight_cost || a.distance_km - b.distance_km);
+
+  const result = {
+    destination: { city: destination.city, state: destination.state },
+    weight_kg: shipment.weightKg,
+    weight_source: shipment.source,
+    drums: shipment.drums,
+    best: options[0] || null,
+    options,
+    split: null
+  };
+  if (options.length > 0) {
+    return result;
+  }
+  if (items.length === 0) {
+    throw freightError(`No plant makes ${shipment.cableTypes.join(', ')}`, 422);
+  }
+
+  // No single plant makes everything: each item ships from the nearest plant that makes it
+  const byPlant = new Map();
+  for (const item of items) {
+    const type = item.cable_type || findProduct(item.sku_id)?.cable_type;
+    const capable = plants.filter(p => p.cable_types.includes(type));
+    if (capable.length === 0) {
+      throw freightError(`No plant makes ${type || item.sku_id}`, 422);
+    }
+    const nearest = capable
+      .map(plant => ({ plant, distance: roadDistanceKm(plant.location, destination) }))
+      .sort((a, b) => a.distance - b.distance)[0].plant;
+    byPlant.set(nearest, [...(byPlant.get(nearest) || []), item]);
+  }
+  result.split = [...byPlant.entries()].map(([plant, plantItems]) => ({
+    ...plantOption(plant, destination, shipmentFromItems(plantItems).weightKg),
+    sku_ids: plantItems.map(i => i.sku_id)
+  }));
+  result.best = {
+    plant_id: result.split.map(s => s.plant_id).join(' + '),
+    plant_name: result.split.map(s => s.plant_name).join(' + '),
+    city: result.split.map(s => s.city).join(' + '),
+    gstin: result.split[0].gstin,
+    distance_km: Math.max(...result.split.map(s => s.distance_km)),
+    trucks: result.split.flatMap(s => s.trucks),
+    truck_count: result.split.reduce((sum, s) => sum + s.truck_count, 0),
+    freight_cost: result.split.reduce((sum, s) => sum + s.freight_cost, 0)
+  };
+  return result;
+}
+
+export default {
+  loadCities,
+  loadPlants,
+  resolveCity,
+  roadDistanceKm,
+  planTruckLoads,
+  estimateFreight
+};
@@ -0,0 +1,358 @@
+/**
+ * GST Engine
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Tax on a bid the way a GST invoice / price schedule shows it:
+ * - HSN codes for cables (8544 sub-headings by voltage and insulation) and
+ *   SAC codes for services (testing, installation supervision); freight and
+ *   packing supplied with the cable follow the cable's HSN (composite supply)
+ * - place of supply from the buyer's GSTIN, stated state or delivery city,
+ *   against the state code of our supplying GSTIN: same state is CGST + SGST
+ *   (UTGST in union territories without a legislature), otherwise IGST
+ * - supplies to SEZ units / developers and exports are zero-rated (under LUT
+ *   by default, or IGST paid when GST_CONFIG.zeroRatedWithPayment is set)
+ *
+ * Lines given an HSN without a rate are taxed at GST_CONFIG.defaultRate.
+ */
+
+import { findProduct } from './matching-engine.js';
+import { resolveCity } from './freight-estimator.js';
+import { GST_CONFIG } from '../configs/settings.js';
+
+// State codes (first two digits of a GSTIN)
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh', '05': 'Uttarakhand',
+  '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh', '10': 'Bihar',
+  '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur', '15': 'Mizoram',
+  '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal', '20': 'Jharkhand',
+  '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry', '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh'
+};
+
+// Older or short names seen in tenders
+const STATE_ALIASES = {
+  'dadra and nagar haveli': '26', 'daman and diu': '26', 'new delhi': '07', 'nct of delhi': '07',
+  'orissa': '21', 'pondicherry': '34', 'andaman': '35', 'j&k': '01', 'uttaranchal': '05'
+};
+
+// Union territories without a legislature levy UTGST instead of SGST
+const UTGST_STATES = ['04', '26', '31', '35', '38'];
+
+// Cables: 8544 49 (≤ 1,000 V) and 8544 60 (> 1,000 V), by insulation
+const CABLE_HSN = {
+  low: { plastic: '85444920', rubber: '85444930', other: '85444990' },
+  high: { plastic: '85446020', rubber: '85446030', other: '85446090' }
+};
+
+const HSN_DESCRIPTIONS = {
+  85444920: 'Electric conductors ≤ 1,000 V, plastic insulated',
+  85444930: 'Electric conductors ≤ 1,000 V, rubber insulated',
+  85444990: 'Electric conductors ≤ 1,000 V, other',
+  85446020: 'Electric conductors > 1,000 V, plastic insulated',
+  85446030: 'Electric conductors > 1,000 V, rubber insulated',
+  85446090: 'Electric conductors > 1,000 V, other'
+};
+
+const SERVICE_SAC = {
+  testing: { code: '998346', description: 'Technical testing and analysis services', rate: 0.18 },
+  installation: { code: '995461', description: 'Electrical installation services (supervision of cable laying)', rate: 0.18 }
+};
+
+const CABLE_GST_RATE = 0.18;
+
+function gstError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ============================================
+// HSN / SAC
+// ============================================
+
+/**
+ * HSN code and rate for a cable
+ * @param {Object} cable - { sku_id } or { cable_type, voltage_kv, insulation }
+ * @returns {Object} - { code, description, rate }
+ */
+export function cableHsn(cable = {}) {
+  const product = cable.sku_id ? findProduct(cable.sku_id) : null;
+  const voltage = Number(product?.voltage_kv ?? cable.voltage_kv) ||
+    (/HT|EHV/i.test(product?.cable_type || cable.cable_type || '') ? 11 : 1.1);
+  const insulation = String(product?.insulation || cable.insulation || 'XLPE').toUpperCase();
+  const material = /XLPE|PVC|PE|LSZH|HFFR|FRLS/.test(insulation) ? 'plastic' : /EPR|RUBBER|SILICONE/.test(insulation) ? 'rubber' : 'other';
+  const code = CABLE_HSN[voltage > 1.1 ? 'high' : 'low'][material];
+  return { code, description: HSN_DESCRIPTIONS[code], rate: CABLE_GST_RATE };
+}
+
+/**
+ * Every HSN / SAC code the engine assigns
+ * @returns {Array} - [{ code, description, rate, kind: 'goods' | 'service' }]
+ */
+export function taxCodes() {
+  return [
+    ...Object.entries(HSN_DESCRIPTIONS).map(([code, description]) => ({ code, description, rate: CABLE_GST_RATE, kind: 'goods' })),
+    ...Object.entries(SERVICE_SAC).map(([service, sac]) => ({ code: sac.code, description: sac.description, rate: sac.rate, kind: 'service', service }))
+  ];
+}
+
+/**
+ * SAC code and rate for a bid service ('testing', 'installation')
+ */
+export function serviceSac(service) {
+  const sac = SERVICE_SAC[service];
+  if (!sac) {
+    throw gstError(`Unknown service "${service}" (expected ${Object.keys(SERVICE_SAC).join(', ')})`);
+  }
+  return { ...sac };
+}
+
+// ============================================
+// PLACE OF SUPPLY
+// ============================================
+
+/**
+ * State code for a GSTIN, state code or state name
+ */
+export function stateCode(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/^\d{2}[A-Z0-9]{13}$/i.test(text) || /^\d{1,2}$/.test(text)) {
+    const code = text.slice(0, 2).padStart(2, '0');
+    return STATE_CODES[code] ? code : null;
+  }
+  const lower = text.toLowerCase();
+  return Object.entries(STATE_CODES).find(([, name]) => name.toLowerCase() === lower)?.[0] ||
+    STATE_ALIASES[lower] ||
+    null;
+}
+
+/**
+ * Supply type for a bid: INTRA_STATE, INTER_STATE, SEZ or EXPORT
+ * @param {Object} params
+ * @param {string} params.supplierGstin - Our registration the supply is made from (default GST_CONFIG.supplierGstin)
+ * @param {string} params.buyerGstin - Buyer's GSTIN, when known
+ * @param {string} params.placeOfSupply - State name / code where the goods are delivered
+ * @param {string} params.deliveryCity - Delivery city, used when no state is given
+ * @param {boolean} params.sez - Buyer is an SEZ unit / developer
+ * @param {boolean} params.export - Delivery outside India
+ * @returns {Object} - { supply_type, description, zero_rated, with_payment, supplier_gstin, supplier_state,
+ *   place_of_supply, state_tax_label (intra-state: SGST or UTGST), notes }
+ */
+export function determineSupply({
+  supplierGstin = GST_CONFIG.supplierGstin,
+  buyerGstin = null,
+  placeOfSupply = null,
+  deliveryCity = null,
+  sez = false,
+  export: isExport = false
+} = {}) {
+  const supplierCode = stateCode(supplierGstin);
+  if (!supplierCode) {
+    throw gstError(`Invalid supplier GSTIN "${supplierGstin}"`);
+  }
+  const notes = [];
+
+  let posCode = stateCode(placeOfSupply) || stateCode(buyerGstin);
+  if (!posCode && deliveryCity) {
+    posCode = stateCode(resolveCity(deliveryCity)?.state);
+  }
+
+  const state = (code) => (code ? { code, name: STATE_CODES[code] } : null);
+  const base = { supplier_gstin: supplierGstin, supplier_state: state(supplierCode), place_of_supply: state(posCode) };
+
+  if (isExport || sez) {
+    const withPayment = GST_CONFIG.zeroRatedWithPayment;
+    notes.push(withPayment
+      ? `Zero-rated supply ${isExport ? 'for export' : 'to SEZ'}: IGST paid, refund to be claimed`
+      : `Zero-rated supply ${isExport ? 'for export' : 'to SEZ'} under LUT without payment of IGST`);
+    return {
+      ...base,
+      supply_type: isExport ? 'EXPORT' : 'SEZ',
+      description: isExport ? 'Export (zero-rated)' : 'Supply to SEZ (zero-rated)',
+      zero_rated: true,
+      with_payment: withPayment,
+      notes
+    };
+  }
+
+  if (!posCode) {
+    notes.push('Place of supply not stated in the RFP; IGST assumed until the delivery state is confirmed');
+  }
+  const intraState = posCode === supplierCode;
+  return {
+    ...base,
+    supply_type: intraState ? 'INTRA_STATE' : 'INTER_STATE',
+    description: intraState ? 'Intra-state supply' : 'Inter-state supply',
+    zero_rated: false,
+    with_payment: true,
+    ...(intraState ? { state_tax_label: UTGST_STATES.includes(supplierCode) ? 'UTGST' : 'SGST' } : {}),
+    notes
+  };
+}
+
+/**
+ * Whether the buyer is an SEZ unit / developer. Only an explicit `sez` flag or the buyer's
+ * GST registration type counts: tender text often mentions SEZs without supplying one
+ * ("not applicable to SEZ units"), so wording alone is reported, never zero-rated.
+ * @returns {Object} - { sez, mentioned }
+ */
+export function sezStatus(rfp = {}) {
+  const registration = rfp.buyer_gst_category || rfp.gst_registration_type || '';
+  const text = [rfp.title, rfp.project_name, rfp.summary, rfp.description, rfp.delivery_location, rfp.special_conditions]
+    .filter(v => typeof v === 'string').join(' ');
+  return {
+    sez: rfp.sez === true || /^\s*(?:SEZ|special economic zone)/i.test(registration),
+    mentioned: /\bSEZ\b|special economic zone/i.test(text)
+  };
+}
+
+/**
+ * Supply details from an RFP / tender object
+ * (buyer_gstin, place_of_supply / state, delivery location, SEZ flag, country)
+ */
+export function supplyFromRfp(rfp = {}, { supplierGstin } = {}) {
+  const { sez, mentioned } = sezStatus(rfp);
+  const supply = determineSupply({
+    supplierGstin: supplierGstin || GST_CONFIG.supplierGstin,
+    buyerGstin: rfp.buyer_gstin || rfp.gstin || null,
+    placeOfSupply: rfp.place_of_supply || rfp.state || null,
+    deliveryCity: rfp.delivery_location || rfp.city || rfp.location || null,
+    sez,
+    export: rfp.export === true || (typeof rfp.country === 'string' && !/^india$/i.test(rfp.country.trim()))
+  });
+  if (mentioned && !sez) {
+    supply.notes.push('The RFP mentions SEZ; taxed as a normal supply unless the buyer confirms SEZ status');
+  }
+  return supply;
+}
+
+// ============================================
+// TAX COMPUTATION
+// ============================================
+
+/**
+ * GST per line and per HSN for a supply
+ * @param {Array} lines - [{ description, taxable_value, sku_id | cable_type/voltage_kv/insulation | service | follows_goods | hsn, rate? }]
+ *   follows_goods: freight / packing charged with the cable, taxed under the main cable line's HSN
+ * @param {Object} supply - determineSupply() result
+ * @returns {Object} - { supply, lines, hsn_summary, totals, notes }
+ */
+export function computeGst(lines = [], supply = determineSupply()) {
+  const classified = lines.map(line => {
+    let code = line.hsn || null;
+    let rate = line.rate ?? null;
+    let description = line.hsn_description || null;
+    if (!code && line.service) {
+      ({ code, rate, description } = serviceSac(line.service));
+    } else if (!code && !line.follows_goods) {
+      ({ code, rate, description } = cableHsn(line));
+    }
+    return { ...line, hsn: code, hsn_description: description, rate: rate ?? GST_CONFIG.defaultRate };
+  });
+
+  // Composite supply: freight and packing take the principal (largest) cable line's HSN
+  const principal = classified
+    .filter(l => !l.follows_goods && !l.service && l.hsn)
+    .sort((a, b) => b.taxable_value - a.taxable_value)[0];
+  classified.filter(l => l.follows_goods && !l.hsn).forEach(line => {
+    line.hsn = principal?.hsn || CABLE_HSN.low.plastic;
+    line.hsn_description = principal?.hsn_description || HSN_DESCRIPTIONS[line.hsn];
+    line.rate = principal?.rate ?? CABLE_GST_RATE;
+  });
+
+  const charged = !supply.zero_rated || supply.with_payment;
+  const taxed = classified.map(line => {
+    const value = Number(line.taxable_value) || 0;
+    const total = charged ? round2(value * line.rate) : 0;
+    const split = supply.supply_type === 'INTRA_STATE'
+      ? { cgst: round2(total / 2), sgst: round2(total - round2(total / 2)), igst: 0 }
+      : { cgst: 0, sgst: 0, igst: total };
+    return {
+      description: line.description,
+      hsn: line.hsn,
+      hsn_description: line.hsn_description,
+      taxable_value: round2(value),
+      rate: charged ? line.rate : 0,
+      ...split,
+      total_tax: total
+    };
+  });
+
+  const summary = new Map();
+  for (const line of taxed) {
+    const key = `${line.hsn}@${line.rate}`;
+    const row = summary.get(key) || { hsn: line.hsn, description: line.hsn_description, rate: line.rate, taxable_value: 0, cgst: 0, sgst: 0, igst: 0, total_tax: 0 };
+    for (const field of ['taxable_value', 'cgst', 'sgst', 'igst', 'total_tax']) row[field] = round2(row[field] + line[field]);
+    summary.set(key, row);
+  }
+
+  const sum = (field) => round2(taxed.reduce((total, line) => total + line[field], 0));
+  const totals = {
+    taxable_value: sum('taxable_value'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    total_tax: sum('total_tax')
+  };
+  totals.grand_total = round2(totals.taxable_value + totals.total_tax);
+
+  return { supply, lines: taxed, hsn_summary: [...summary.values()], totals, notes: supply.notes };
+}
+
+/**
+ * Tax components as label / amount rows for price schedules
+ * (CGST + SGST/UTGST for intra-state, IGST otherwise, a nil row for zero-rated supplies)
+ */
+export function taxRows(tax) {
+  const { supply, totals } = tax;
+  const rate = (amount) => {
+    const rates = [...new Set(tax.lines.filter(l => l.total_tax > 0).map(l => l.rate))];
+    const shown = rates.length === 1 ? rates[0] * 100 * (amount === 'half' ? 0.5 : 1) : null;
+    return shown !== null ? ` @ ${Math.round(shown * 100) / 100}%` : '';
+  };
+
+  if (supply.zero_rated && !supply.with_payment) {
+    return [{ label: `IGST (zero-rated, ${supply.supply_type === 'EXPORT' ? 'export' : 'SEZ'} under LUT)`, amount: 0 }];
+  }
+  if (supply.supply_type === 'INTRA_STATE') {
+    return [
+      { label: `CGST${rate('half')}`, amount: totals.cgst },
+      { label: `${supply.state_tax_label || 'SGST'}${rate('half')}`, amount: totals.sgst }
+    ];
+  }
+  return [{ label: `IGST${rate('full')}`, amount: totals.igst }];
+}
+
+/**
+ * Tax lines for a bid: one per offered SKU, testing as a service, freight with the goods
+ * @param {Object} params - { products: [{ sku_id, product_name, line_total_inr }], testCost, freightCost }
+ */
+export function bidTaxLines({ products = [], testCost = 0, freightCost = 0 } = {}) {
+  return [
+    ...products.map(p => ({
+      description: p.product_name || p.sku_id,
+      sku_id: p.sku_id,
+      taxable_value: Number(p.line_total_inr ?? p.line_total) || 0
+    })),
+    ...(testCost > 0 ? [{ description: 'Testing & inspection', service: 'testing', taxable_value: testCost }] : []),
+    ...(freightCost > 0 ? [{ description: 'Freight & transit (supplied with the cable)', follows_goods: true, taxable_value: freightCost }] : [])
+  ];
+}
+
+export default {
+  cableHsn,
+  taxCodes,
+  serviceSac,
+  stateCode,
+  determineSupply,
+  sezStatus,
+  supplyFromRfp,
+  computeGst,
+  taxRows,
+  bidTaxLines
+};
@@ -147,7 +147,7 @@ function generatePreview(type, data) {
           { label: 'Material Cost', value: formatCurrency(data.materialCost), editable: false },
           { label: 'Testing Cost', value: formatCurrency(data.testingCost), editable: false },
           { label: 'Profit Margin', value: `${data.profitMargin || 15}%`, editable: true, field: 'profitMargin' },
-          { label: 'GST (18%)', value: formatCurrency(data.gst), editable: false },
+          { label: data.gstLabel || 'GST (18%)', value: formatCurrency(data.gst), editable: false },
           { label: 'Grand Total', value: formatCurrency(data.grandTotal), editable: false, highlight: true }
         ],
         actions: ['Generate Quotation', 'Adjust Margins', 'Cancel']
@@ -0,0 +1,380 @@
+/**
+ * Matching Benchmark Service
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Offline accuracy harness for the matching engine:
+ * - Labelled set seeded from data/rfp_requirements.csv and the
+ *   cable_requirements in public/data/portals/*.json
+ * - Top-1 / top-3 accuracy, mean spec-match error and per-attribute confusion
+ * - Runs stored under data/benchmarks/runs/ so weight changes can be compared
+ *
+ * Seeded labels come from a selection rule that is independent of the
+ * scoring weights: same cable type, cores, conductor, insulation and armour,
+ * the lowest voltage grade at or above the RFP, then the exact size or the
+ * next size up. Cases can be relabelled by hand (labelled_by: "manual");
+ * reseeding keeps those.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import {
+  ATTRIBUTES,
+  getProducts,
+  matchRequirement,
+  parseRequirement
+} from './matching-engine.js';
+import { MATCHING_CONFIG, PATHS } from '../configs/settings.js';
+
+// SPEC_IMPORTANCE (enhanced-spec-matcher) names accepted in candidate weight files
+const LEGACY_WEIGHT_KEYS = {
+  voltage_rating: 'voltage_kv',
+  cross_section_area: 'area_mm2',
+  insulation_material: 'insulation',
+  no_of_cores: 'cores',
+  armour: 'armoured',
+  temperature_rating: 'temperature_rating_c'
+};
+
+const NUMERIC_ATTRIBUTES = new Set(['voltage_kv', 'area_mm2', 'cores', 'temperature_rating_c']);
+
+// ============================================
+// LABELLED SET
+// ============================================
+
+/**
+ * Describe a requirement the way tenders word it
+ */
+function describe(req) {
+  return [
+    req.cores && `${req.cores}C x`,
+    req.area_mm2 && `${req.area_mm2} sqmm`,
+    req.conductor_material,
+    req.insulation,
+    req.voltage_kv && `${req.voltage_kv}kV`,
+    req.cable_type,
+    req.armoured === true ? 'Armoured' : req.armoured === false ? 'Unarmoured' : null,
+    req.standard && `as per ${req.standard}`
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Expected SKUs for a requirement by the seeding rule
+ * @returns {string[]} SKU ids tied for best (empty when the catalog has nothing suitable)
+ */
+export function labelRequirement(req, products) {
+  const strict = (p) =>
+    p.cable_type === req.cable_type &&
+    (req.cores === undefined || p.cores === req.cores) &&
+    (!req.conductor_material || p.conductor_material === req.conductor_material) &&
+    (req.voltage_kv === undefined || p.voltage_kv >= req.voltage_kv - 1e-6);
+  const preferred = (p) =>
+    (!req.insulation || p.insulation === req.insulation) &&
+    (req.armoured === undefined || p.armoured === req.armoured);
+
+  // Insulation / armour are relaxed before giving up on a case
+  let candidates = products.filter(p => strict(p) && preferred(p));
+  if (candidates.length === 0) candidates = products.filter(strict);
+  if (candidates.length === 0) return [];
+
+  const voltage = Math.min(...candidates.map(p => p.voltage_kv));
+  candidates = candidates.filter(p => p.voltage_kv === voltage);
+
+  if (req.area_mm2 !== undefined) {
+    const sizedUp = candidates.filter(p => p.area_mm2 >= req.area_mm2);
+    if (sizedUp.length === 0) return [];
+    const area = Math.min(...sizedUp.map(p => p.area_mm2));
+    candidates = sizedUp.filter(p => p.area_mm2 === area);
+  }
+  return candidates.map(p => p.sku_id);
+}
+
+/**
+ * Share of stated attributes the expected SKU meets exactly (equal weights)
+ */
+function expectedSpecMatch(req, product) {
+  const stated = ATTRIBUTES.filter(a => req[a.key] !== undefined && a.key !== 'standard');
+  if (stated.length === 0 || !product) return null;
+  const met = stated.filter(a => product[a.key] === req[a.key]).length;
+  return Math.round((met / stated.length) * 100);
+}
+
+function rfpRequirementCases() {
+  const file = path.join(PATHS.data, 'rfp_requirements.csv');
+  if (!fs.existsSync(file)) return [];
+  const rows = parse(fs.readFileSync(file, 'utf-8'), { columns: true, skip_empty_lines: true, trim: true });
+  return rows.map(row => ({
+    id: row.RFP_ID,
+    source: 'rfp_requirements',
+    input: {
+      cable_type: row.Product_Type,
+      area_mm2: row.Required_Area_mm2,
+      voltage_kv: row.Min_Voltage_kV,
+      cores: row.No_of_Cores,
+      armoured: row.Armoured
+    }
+  }));
+}
+
+function portalCases() {
+  const dir = path.join(PATHS.publicData, 'portals');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).flatMap(file => {
+    const tenders = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+    return (Array.isArray(tenders) ? tenders : []).flatMap(tender =>
+      (tender.cable_requirements || []).map((item, idx) => ({
+        id: `${tender.tender_id}#${item.item_no || idx + 1}`,
+        source: `portal:${path.basename(file, '.json')}`,
+        input: item
+      })));
+  });
+}
+
+export function loadLabelledSet(file = MATCHING_CONFIG.benchmark.labelledSet) {
+  if (!fs.existsSync(file)) return { version: 1, cases: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Seed (or top up) the labelled set
+ * @param {Object} options
+ * @param {boolean} options.reseed - Relabel seeded cases too (manual labels are always kept)
+ * @returns {Object} { added, relabelled, unlabelled, total, file }
+ */
+export function seedLabelledSet({ reseed = false, file = MATCHING_CONFIG.benchmark.labelledSet } = {}) {
+  const existing = loadLabelledSet(file);
+  const byId = new Map(existing.cases.map(c => [c.id, c]));
+  const products = getProducts(['catalog']);
+  const productById = new Map(products.map(p => [p.sku_id, p]));
+  let added = 0;
+  let relabelled = 0;
+
+  for (const raw of [...rfpRequirementCases(), ...portalCases()]) {
+    const current = byId.get(raw.id);
+    if (current && (current.labelled_by === 'manual' || !reseed)) continue;
+
+    const parsed = parseRequirement(raw.input);
+    const requirement = Object.fromEntries(ATTRIBUTES.filter(a => parsed[a.key] !== undefined).map(a => [a.key, parsed[a.key]]));
+    const expectedSkus = labelRequirement(requirement, products);
+
+    byId.set(raw.id, {
+      id: raw.id,
+      source: raw.source,
+      text: describe(requirement),
+      requirement,
+      expected_skus: expectedSkus,
+      expected_spec_match: expectedSpecMatch(requirement, productById.get(expectedSkus[0])),
+      labelled_by: 'seed'
+    });
+    if (current) relabelled++;
+    else added++;
+  }
+
+  const cases = [...byId.values()];
+  if (added > 0 || relabelled > 0) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ version: 1, seeded_at: new Date().toISOString(), cases }, null, 2));
+  }
+  return { added, relabelled, unlabelled: cases.filter(c => c.expected_skus.length === 0).length, total: cases.length, file };
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+/**
+ * Candidate weight profiles from a SPEC_IMPORTANCE-style object
+ * Accepts engine attribute keys or the enhanced matcher's spec names, either
+ * as { profile: { attribute: weight } } or one flat weight map (used for every case)
+ */
+export function normalizeProfiles(profiles) {
+  if (Object.values(profiles).every(v => typeof v === 'number')) {
+    profiles = { candidate: profiles };
+  }
+  return Object.fromEntries(Object.entries(profiles).map(([name, weights]) => [
+    name,
+    Object.fromEntries(Object.entries(weights).map(([key, weight]) => [LEGACY_WEIGHT_KEYS[key] || key, weight]))
+  ]));
+}
+
+function compareValue(key, expected, predicted) {
+  if (!NUMERIC_ATTRIBUTES.has(key)) return `${expected} → ${predicted ?? 'n/a'}`;
+  if (predicted === null || predicted === undefined) return 'n/a';
+  if (predicted === expected) return 'exact';
+  return predicted > expected ? 'higher' : 'lower';
+}
+
+/**
+ * Run the matching engine over the labelled set
+ * @param {Object} options
+ * @param {string} options.profile - Force one weight profile
+ * @param {Object} options.profiles - Candidate profile set (SPEC_IMPORTANCE shape)
+ * @param {string} options.label - Free-text label stored with the run
+ * @returns {Object} Run with metrics, per-attribute confusion and per-case results
+ */
+export function runBenchmark({ profile, profiles, label = '', file = MATCHING_CONFIG.benchmark.labelledSet } = {}) {
+  const { cases } = loadLabelledSet(file);
+  if (cases.length === 0) {
+    throw Object.assign(new Error('Labelled set is empty - seed it first (npm run benchmark:matching -- --seed)'), { status: 400 });
+  }
+
+  const candidateProfiles = profiles ? normalizeProfiles(profiles) : undefined;
+  if (candidateProfiles?.candidate && !profile) profile = 'candidate';
+  const productById = new Map(getProducts(['catalog']).map(p => [p.sku_id, p]));
+  const labelled = cases.filter(c => c.expected_skus?.length > 0);
+  const confusion = {};
+  const results = [];
+  let top1 = 0;
+  let top3 = 0;
+  let reciprocalRank = 0;
+  let absError = 0;
+  let signedError = 0;
+  let errorCount = 0;
+
+  for (const testCase of labelled) {
+    const { matches, profile: usedProfile } = matchRequirement({ ...testCase.requirement, text: testCase.text }, {
+      sources: ['catalog'],
+      profile,
+      profiles: candidateProfiles
+    });
+    const expected = new Set(testCase.expected_skus);
+    const rank = matches.findIndex(m => expected.has(m.sku_id)) + 1;
+    const predicted = matches[0];
+    const expectedResult = matches.find(m => expected.has(m.sku_id));
+
+    if (rank === 1) top1++;
+    if (rank >= 1 && rank <= 3) top3++;
+    if (rank > 0) reciprocalRank += 1 / rank;
+
+    let error = null;
+    if (expectedResult && testCase.expected_spec_match !== null && testCase.expected_spec_match !== undefined) {
+      error = expectedResult.spec_match_percentage - testCase.expected_spec_match;
+      absError += Math.abs(error);
+      signedError += error;
+      errorCount++;
+    }
+
+    // Attribute-level disagreement between the top pick and the label
+    const expectedProduct = productById.get(testCase.expected_skus[0]);
+    for (const key of Object.keys(testCase.requirement)) {
+      const entry = confusion[key] || (confusion[key] = { agree: 0, disagree: 0, pairs: {} });
+      const expectedValue = expectedProduct?.[key];
+      const predictedValue = predicted?.product[key];
+      if (expectedValue === predictedValue) {
+        entry.agree++;
+      } else {
+        entry.disagree++;
+        const pair = compareValue(key, expectedValue, predictedValue);
+        entry.pairs[pair] = (entry.pairs[pair] || 0) + 1;
+      }
+    }
+
+    results.push({
+      id: testCase.id,
+      profile: usedProfile,
+      expected_skus: testCase.expected_skus,
+      predicted_top3: matches.slice(0, 3).map(m => ({ sku_id: m.sku_id, spec_match: m.spec_match_percentage })),
+      expected_rank: rank || null,
+      top1: rank === 1,
+      top3: rank >= 1 && rank <= 3,
+      spec_match_error: error
+    });
+  }
+
+  const pct = (n) => (labelled.length > 0 ? Math.round((n / labelled.length) * 1000) / 10 : 0);
+  const round = (n) => Math.round(n * 100) / 100;
+  return {
+    id: `run-${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '')}`,
+    created_at: new Date().toISOString(),
+    label,
+    settings: {
+      forced_profile: profile || MATCHING_CONFIG.profile || null,
+      profiles: candidateProfiles || MATCHING_CONFIG.profiles,
+      blend: MATCHING_CONFIG.blend,
+      caps: MATCHING_CONFIG.caps
+    },
+    metrics: {
+      cases: cases.length,
+      labelled: labelled.length,
+      top1_accuracy: pct(top1),
+      top3_accuracy: pct(top3),
+      mean_reciprocal_rank: labelled.length > 0 ? round(reciprocalRank / labelled.length) : 0,
+      mean_abs_spec_match_error: errorCount > 0 ? round(absError / errorCount) : null,
+      mean_spec_match_bias: errorCount > 0 ? round(signedError / errorCount) : null
+    },
+    confusion,
+    results
+  };
+}
+
+// ============================================
+// STORED RUNS
+// ============================================
+
+export function saveRun(run, dir = MATCHING_CONFIG.benchmark.runsDir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${run.id}.json`);
+  fs.writeFileSync(file, JSON.stringify(run, null, 2));
+  return file;
+}
+
+/**
+ * Stored runs, oldest first
+ */
+export function listRuns(dir = MATCHING_CONFIG.benchmark.runsDir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(f => {
+    const run = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'));
+    return { id: run.id, created_at: run.created_at, label: run.label, metrics: run.metrics };
+  });
+}
+
+export function loadRun(id, dir = MATCHING_CONFIG.benchmark.runsDir) {
+  const file = path.join(dir, `${path.basename(id, '.json')}.json`);
+  if (!fs.existsSync(file)) {
+    throw Object.assign(new Error(`Benchmark run not found: ${id}`), { status: 404 });
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Metric deltas and cases that flipped between two runs
+ */
+export function compareRuns(baseline, candidate) {
+  const delta = (key) => {
+    const a = baseline.metrics[key];
+    const b = candidate.metrics[key];
+    return a === null || b === null ? null : Math.round((b - a) * 100) / 100;
+  };
+  const before = new Map(baseline.results.map(r => [r.id, r]));
+  const fixed = [];
+  const broken = [];
+  for (const result of candidate.results) {
+    const previous = before.get(result.id);
+    if (!previous || previous.top1 === result.top1) continue;
+    (result.top1 ? fixed : broken).push(result.id);
+  }
+
+  return {
+    baseline: baseline.id,
+    candidate: candidate.id,
+    top1_accuracy: delta('top1_accuracy'),
+    top3_accuracy: delta('top3_accuracy'),
+    mean_reciprocal_rank: delta('mean_reciprocal_rank'),
+    mean_abs_spec_match_error: delta('mean_abs_spec_match_error'),
+    fixed,
+    broken
+  };
+}
+
+export default {
+  labelRequirement,
+  loadLabelledSet,
+  seedLabelledSet,
+  normalizeProfiles,
+  runBenchmark,
+  saveRun,
+  listRuns,
+  loadRun,
+  compareRuns
+};
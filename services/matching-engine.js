@@ -0,0 +1,775 @@
+/**
+ * Spec Matching Engine
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * One matching service behind every screen and agent:
+ * - A single normalised product model over the product sources
+ *   (catalog = products.csv + data/products/, oem_specs.csv, OEM datasheets)
+ * - One requirement parser for RFP text and structured specs
+ * - Pluggable scorers: rule (tolerance bands), deviation (graded
+ *   engineering judgement with suggestions) and semantic (local embeddings)
+ * - Weight profiles per application from MATCHING_CONFIG
+ * - Explainable per-attribute scores
+ * The headline spec_match_percentage is the configured blend of scorer
+ * results, so the same tender and SKU score the same wherever they are shown.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { getCableDataset } from './cable-dataset-loader.js';
+import { getOEMProducts } from './oem-datasheets.js';
+import { validateSubstitute } from './cable-engineering.js';
+import { compareStandards, formatStandard, parseStandardRefs } from './standards-registry.js';
+import { MATCHING_CONFIG, PATHS, STANDARDS_CONFIG } from '../configs/settings.js';
+
+/**
+ * Attributes in comparison-table order
+ */
+export const ATTRIBUTES = [
+  { key: 'cable_type', label: 'Cable Type', format: v => v },
+  { key: 'voltage_kv', label: 'Voltage', format: v => `${v} kV` },
+  { key: 'cores', label: 'No. of Cores', format: v => `${v} core` },
+  { key: 'area_mm2', label: 'Cross-Section', format: v => `${v} sq.mm` },
+  { key: 'conductor_material', label: 'Conductor', format: v => v },
+  { key: 'insulation', label: 'Insulation', format: v => v },
+  { key: 'armoured', label: 'Armour', format: v => (v ? 'Armoured' : 'Unarmoured') },
+  { key: 'temperature_rating_c', label: 'Temperature Rating', format: v => `${v}°C` },
+  { key: 'standard', label: 'Standard', format: v => v }
+];
+
+const ATTRIBUTE_BY_KEY = Object.fromEntries(ATTRIBUTES.map(a => [a.key, a]));
+
+// ============================================
+// NORMALISATION
+// ============================================
+
+const first = (...values) => values.find(v => v !== undefined && v !== null && v !== '');
+const toNumber = (value) => {
+  const n = parseFloat(String(value ?? '').replace(/[^0-9.]/g, ''));
+  return isNaN(n) ? null : n;
+};
+
+/**
+ * Voltage in kV from "11kV", "1100V", 1.1 or 1100 (values of 100 and above are volts)
+ */
+export function toKv(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).toLowerCase();
+  const n = toNumber(text);
+  if (n === null) return null;
+  if (text.includes('kv')) return n;
+  if (/\d\s*v\b/.test(text) || n >= 100) return n / 1000;
+  return n;
+}
+
+export function canonicalMaterial(value) {
+  const text = String(value || '').toLowerCase();
+  if (/alumin|^al\b/.test(text)) return 'Aluminium';
+  if (/copper|^cu\b/.test(text)) return 'Copper';
+  return null;
+}
+
+export function canonicalInsulation(value) {
+  const text = String(value || '').toUpperCase();
+  for (const insulation of ['XLPE', 'PVC', 'EPR', 'HEPR', 'PE']) {
+    if (new RegExp(`\\b${insulation}\\b`).test(text)) return insulation;
+  }
+  return null;
+}
+
+function canonicalArmour(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').toLowerCase();
+  if (!text) return null;
+  if (/unarmou?red|^no$|none|false/.test(text)) return false;
+  return /yes|true|armou?r|swa|wire|strip/.test(text);
+}
+
+/**
+ * Cable family from a type / category / name and the voltage grade
+ */
+export function canonicalCableType(text, voltageKv) {
+  const t = String(text || '').toLowerCase();
+  if (/instrument|signal/.test(t)) return 'Instrumentation Cable';
+  if (/control/.test(t)) return 'Control Cable';
+  if (/\behv\b|extra high/.test(t) || voltageKv >= 66) return 'EHV Cable';
+  if (/\bht\b|high tension|high voltage|\bhv\b/.test(t) || voltageKv > 1.1) return 'HT Cable';
+  return 'LT Cable';
+}
+
+/**
+ * Normalise a product row from any source
+ * @param {Object} raw - Row from products.csv / data/products, oem_specs.csv or an OEM datasheet
+ * @param {string} source - catalog | oem_specs | oem_datasheets
+ * @returns {Object} Normalised product (original row under `raw`)
+ */
+export function normalizeProduct(raw, source = 'catalog') {
+  const s = raw.specifications || {};
+  const get = (...keys) => first(...keys.flatMap(k => [raw[k], s[k]]));
+
+  const voltageKv = first(
+    toNumber(get('voltage_rating_kv', 'Voltage_Rating_kV', 'voltage_kv')),
+    toKv(get('voltage_rating_v', 'voltage'))
+  );
+  const name = get('product_name', 'Product_Name') || '';
+  const typeText = get('type', 'Type', 'category') || name;
+  const temperature = get('temperature_rating_c', 'temperature_rating', 'Temperature_Range', 'temperature_range');
+  const standards = s.standard_compliance || [];
+
+  const product = {
+    sku_id: get('sku_id', 'SKU_ID'),
+    product_name: name,
+    source,
+    cable_type: canonicalCableType(`${typeText} ${name}`, voltageKv),
+    voltage_kv: voltageKv,
+    cores: toNumber(get('no_of_cores', 'No_of_Cores', 'cores')),
+    area_mm2: toNumber(get('conductor_area_mm2', 'Conductor_Area_mm2', 'conductor_cross_section_mm2', 'cross_section_area')),
+    conductor_material: canonicalMaterial(get('conductor_material', 'Conductor_Material')),
+    insulation: canonicalInsulation(get('insulation', 'Insulation', 'insulation_material')),
+    armoured: canonicalArmour(get('armoured', 'Armoured', 'armour_type')),
+    // "-10 to 90" ranges rate at their upper end
+    temperature_rating_c: temperature === undefined ? null : Math.max(...String(temperature).match(/\d+/g)?.map(Number) || [0]) || null,
+    standard: get('standard', 'Standard') || standards[0] || null,
+    standards: standards.length > 0 ? standards : [get('standard', 'Standard')].filter(Boolean),
+    application: get('application', 'Application') || null,
+    unit_price_per_km: toNumber(get('unit_price_per_km', 'Unit_Price_per_km', 'unit_price_inr_per_km', 'unit_price')) || 0,
+    lead_time_days: toNumber(get('lead_time_days', 'Lead_Time_Days')) || null,
+    description: get('description', 'Description') || name,
+    raw
+  };
+  product.search_text = [product.product_name, product.cable_type, `${product.cores} core`, `${product.area_mm2} sqmm`,
+    product.conductor_material, `${product.voltage_kv}kV`, product.insulation, product.armoured ? 'armoured' : 'unarmoured',
+    product.standard, product.description].filter(Boolean).join(' ');
+  return product;
+}
+
+// ============================================
+// PRODUCT SOURCES
+// ============================================
+
+let oemSpecsCache = null;
+
+const PRODUCT_SOURCES = {
+  catalog: () => getCableDataset().getProducts(),
+  oem_specs: () => {
+    if (!oemSpecsCache) {
+      const file = path.join(PATHS.data, 'oem_specs.csv');
+      oemSpecsCache = parse(fs.readFileSync(file, 'utf-8'), { columns: true, skip_empty_lines: true, trim: true, cast: true });
+    }
+    return oemSpecsCache;
+  },
+  oem_datasheets: () => getOEMProducts()
+};
+
+const normalizedCache = new Map();
+
+/**
+ * Normalised products from one or more sources
+ * @param {string[]} sources - Defaults to MATCHING_CONFIG.defaultSources
+ */
+export function getProducts(sources = MATCHING_CONFIG.defaultSources) {
+  return sources.flatMap(source => {
+    const loader = PRODUCT_SOURCES[source];
+    if (!loader) throw new Error(`Unknown product source: ${source}`);
+    const rows = loader();
+    const cached = normalizedCache.get(source);
+    if (cached && cached.rows === rows) return cached.products;
+    const products = rows.map(row => normalizeProduct(row, source));
+    normalizedCache.set(source, { rows, products });
+    return products;
+  });
+}
+
+/**
+ * Drop cached rows so a source is re-read on next use
+ */
+export function clearProductCache(source) {
+  normalizedCache.delete(source);
+  if (source === 'oem_specs') oemSpecsCache = null;
+}
+
+/**
+ * Find a normalised product by SKU across sources
+ */
+export function findProduct(skuId, sources = Object.keys(PRODUCT_SOURCES)) {
+  return getProducts(sources).find(p => p.sku_id === skuId) || null;
+}
+
+// ============================================
+// REQUIREMENT PARSING
+// ============================================
+
+/**
+ * Application profile from requirement text
+ */
+export function detectApplication(text) {
+  const t = String(text || '').toLowerCase();
+  if (/control|plc|automation/.test(t)) return 'control';
+  if (/instrument|signal|transmitter/.test(t)) return 'instrumentation';
+  if (/\bht\b|high tension|power|distribution/.test(t)) return 'power_distribution';
+  return 'default';
+}
+
+/**
+ * Parse an RFP requirement
+ * @param {string|Object} input - Requirement text, or structured specs (any of the legacy key
+ *   names: voltage / voltage_kv / voltage_rating_v, size / cross_section_area / conductor_cross_section_mm2,
+ *   cores / no_of_cores, conductor, insulation_material, ...) with optional `text` / `description`
+ * @returns {Object} Normalised requirement; attributes the RFP does not state are omitted
+ */
+export function parseRequirement(input = '') {
+  const explicit = typeof input === 'string' ? {} : { ...(input || {}) };
+  const text = typeof input === 'string' ? input : first(explicit.text, explicit.description, explicit.requirement) || '';
+  const t = String(text).toLowerCase();
+  const req = { text };
+
+  const kv = t.match(/(\d+(?:\.\d+)?)\s*kv/);
+  const volts = t.match(/(\d+)\s*v(?:olts?)?\b/);
+  if (kv) req.voltage_kv = parseFloat(kv[1]);
+  else if (volts && parseInt(volts[1], 10) >= 100) req.voltage_kv = parseInt(volts[1], 10) / 1000;
+
+  const area = t.match(/(\d+(?:\.\d+)?)\s*(?:sq\.?\s*mm|sqmm|mm2|mm²|square)/) || t.match(/x\s*(\d+(?:\.\d+)?)\s*(?:sq|mm)/);
+  if (area) req.area_mm2 = parseFloat(area[1]);
+
+  const cores = t.match(/(\d+)\s*(?:cores?\b|c\s*x|c\b)/) || t.match(/\b(single|two|three|four)\s*core/);
+  if (cores) req.cores = { single: 1, two: 2, three: 3, four: 4 }[cores[1]] || parseInt(cores[1], 10);
+
+  if (/copper|\bcu\b|cu-/.test(t)) req.conductor_material = 'Copper';
+  else if (/alumin|\bal\b|al-/.test(t)) req.conductor_material = 'Aluminium';
+
+  const insulation = canonicalInsulation(text);
+  if (insulation) req.insulation = insulation;
+
+  if (/unarmou?red/.test(t)) req.armoured = false;
+  else if (/armou?red|\bswa\b|steel wire/.test(t)) req.armoured = true;
+
+  const temp = t.match(/(\d+)\s*°\s*c\b|(\d+)\s*deg(?:ree)?s?\s*c\b|(\d+)\s*c\s+(?:rated|rating|max)/);
+  const tempValue = temp && parseInt(temp[1] || temp[2] || temp[3], 10);
+  if (tempValue >= 50 && tempValue <= 150) req.temperature_rating_c = tempValue;
+
+  const [standard] = parseStandardRefs(text);
+  if (standard) req.standard = formatStandard(standard);
+
+  if (/\bht\s+(?:cable|power)|high tension|\bhv\s+cable/.test(t)) req.cable_type = 'HT Cable';
+  else if (/\behv\b|extra high/.test(t)) req.cable_type = 'EHV Cable';
+  else if (/control\s+cable/.test(t)) req.cable_type = 'Control Cable';
+  else if (/instrument(?:ation)?\s+cable/.test(t)) req.cable_type = 'Instrumentation Cable';
+  else if (/\blt\s+(?:cable|power)|low tension|\blv\s+cable/.test(t)) req.cable_type = 'LT Cable';
+
+  // Structured values win over the text
+  const structured = {
+    voltage_kv: first(toNumber(explicit.voltage_kv ?? explicit.voltage_rating_kv), toKv(explicit.voltage_rating_v ?? explicit.voltage)),
+    area_mm2: toNumber(first(explicit.area_mm2, explicit.cross_section_area, explicit.conductor_cross_section_mm2, explicit.conductor_area_mm2, explicit.cross_section_sqmm, explicit.size)),
+    cores: toNumber(first(explicit.cores, explicit.no_of_cores)),
+    conductor_material: canonicalMaterial(first(explicit.conductor_material, explicit.conductor)),
+    insulation: canonicalInsulation(first(explicit.insulation, explicit.insulation_material)),
+    armoured: typeof explicit.armoured === 'boolean' ? explicit.armoured : canonicalArmour(explicit.armoured),
+    temperature_rating_c: toNumber(first(explicit.temperature_rating_c, explicit.temperature_rating)),
+    standard: first(explicit.standard) || null,
+    cable_type: first(explicit.cable_type, explicit.type) ? canonicalCableType(first(explicit.cable_type, explicit.type), 0) : null
+  };
+  for (const [key, value] of Object.entries(structured)) {
+    if (value !== null && value !== undefined) req[key] = value;
+  }
+
+  // Profile key, or a label such as "Power Distribution" / the cable type
+  req.application = MATCHING_CONFIG.profiles[explicit.application]
+    ? explicit.application
+    : detectApplication([explicit.application, text, explicit.cable_type, explicit.type, req.cable_type].filter(Boolean).join(' '));
+  return req;
+}
+
+// ============================================
+// SCORERS
+// ============================================
+
+const pct = (a, b) => Math.round(((a - b) / b) * 10000) / 100;
+const sameStandard = (a, b) => {
+  const norm = v => String(v || '').toLowerCase().replace(/[\s:-]/g, '');
+  return norm(a).includes(norm(b)) || norm(b).includes(norm(a));
+};
+
+/**
+ * Registry comparison of the cited standard with the product's certifications
+ * Falls back to text containment when the RFP names no recognisable standard
+ */
+const standardMatch = (req, off, product) =>
+  compareStandards(req, product.standards || [off], { voltage_kv: product.voltage_kv, insulation: product.insulation }) ||
+  { status: (product.standards || [off]).some(s => sameStandard(req, s)) ? 'EXACT' : 'MISMATCH', note: null };
+
+/**
+ * Rule scorer: tolerance bands per attribute
+ */
+const RULES = {
+  cable_type: (req, off) => req === off ? ['EXACT', 100] : ['MISMATCH', 0],
+  voltage_kv: (req, off) => {
+    if (Math.abs(req - off) < 1e-6) return ['EXACT', 100];
+    const diff = Math.abs(req - off) / req;
+    if (diff <= 0.1) return ['PARTIAL', 80];
+    if (diff <= 0.2) return ['PARTIAL', 50];
+    return ['MISMATCH', 0];
+  },
+  cores: (req, off) => req === off ? ['EXACT', 100] : ['MISMATCH', 0],
+  area_mm2: (req, off) => {
+    if (req === off) return ['EXACT', 100];
+    return Math.abs(req - off) / req <= 0.15 ? ['PARTIAL', 70] : ['MISMATCH', 0];
+  },
+  conductor_material: (req, off) => req === off ? ['EXACT', 100] : ['MISMATCH', 0],
+  insulation: (req, off) => req === off ? ['EXACT', 100] : ['MISMATCH', 0],
+  armoured: (req, off) => req === off ? ['EXACT', 100] : ['MISMATCH', 0],
+  temperature_rating_c: (req, off) => {
+    if (off >= req) return ['EXACT', 100];
+    return off >= req * 0.9 ? ['PARTIAL', 70] : ['MISMATCH', 0];
+  },
+  standard: (req, off, product) => {
+    const { status } = standardMatch(req, off, product);
+    if (status === 'EXACT' || status === 'NEWER_EDITION') return ['EXACT', 100];
+    return status === 'EQUIVALENT' ? ['PARTIAL', STANDARDS_CONFIG.equivalentScore] : ['MISMATCH', 0];
+  }
+};
+
+/**
+ * Deviation scorer: graded status, deviation and a suggestion per attribute
+ * @returns {{status, score, deviation, deviation_percent, suggestion}}
+ */
+const GRADERS = {
+  voltage_kv(req, off) {
+    if (Math.abs(req - off) < 1e-6) return { status: 'EXACT_MATCH', score: 100 };
+    if (off > req) {
+      return {
+        status: 'EXCEEDS_REQUIREMENT', score: 100, deviation: `+${Math.round(pct(off, req))}%`, deviation_percent: pct(off, req),
+        suggestion: `OEM voltage rating (${off} kV) exceeds requirement (${req} kV). ACCEPTABLE - provides safety margin.`
+      };
+    }
+    return {
+      status: 'BELOW_REQUIREMENT', score: 0, deviation: `-${Math.round(-pct(off, req))}%`, deviation_percent: pct(off, req),
+      suggestion: `OEM voltage rating (${off} kV) is BELOW requirement (${req} kV). NOT ACCEPTABLE - safety critical.`
+    };
+  },
+
+  area_mm2(req, off, product, context) {
+    if (off === req) return { status: 'EXACT_MATCH', score: 100 };
+    const deviationPercent = pct(off, req);
+    let grade;
+
+    if (off > req) {
+      const deviation = `+${Math.round(deviationPercent)}%`;
+      if (deviationPercent <= 15) {
+        grade = { status: 'ACCEPTABLE_LARGER', score: 90 - deviationPercent, deviation, suggestion: `OEM size is ${Math.round(deviationPercent)}% larger than required. ACCEPTABLE - better current capacity but slightly higher cost.` };
+      } else if (deviationPercent <= 30) {
+        grade = { status: 'MARGINAL_LARGER', score: 70 - (deviationPercent - 15), deviation, suggestion: `OEM size is ${Math.round(deviationPercent)}% larger than required. MARGINAL - may be oversized for application. Consider cost implications.` };
+      } else {
+        grade = { status: 'OVERSIZED', score: 40, deviation, suggestion: `OEM size (${off} sq.mm) is significantly larger than required (${req} sq.mm). NOT RECOMMENDED - oversized and costly.` };
+      }
+    } else {
+      const shortfall = Math.abs(deviationPercent);
+      const deviation = `${Math.round(deviationPercent)}%`;
+      grade = shortfall <= 10
+        ? { status: 'MARGINAL_SMALLER', score: 60 - shortfall * 2, deviation, suggestion: `OEM size is ${Math.round(shortfall)}% smaller than required. CONDITIONAL - verify current capacity is sufficient.` }
+        : { status: 'UNDERSIZED', score: 0, deviation, suggestion: `OEM size (${off} sq.mm) is BELOW requirement (${req} sq.mm). NOT ACCEPTABLE - insufficient current capacity.` };
+    }
+    grade.deviation_percent = deviationPercent;
+
+    // A different size that is otherwise acceptable must carry the RFP load over the route
+    if (grade.score > 0 && context.loadConditions && (context.loadConditions.load_current_a || context.loadConditions.load_power)) {
+      applyEngineeringCheck(grade, product.sku_id, context.loadConditions);
+    }
+    return grade;
+  },
+
+  cores(req, off) {
+    if (off === req) return { status: 'EXACT_MATCH', score: 100 };
+    if (off > req) {
+      const extra = off - req;
+      return extra <= 2
+        ? { status: 'ACCEPTABLE_MORE_CORES', score: 85 - extra * 10, deviation: `+${extra} cores`, suggestion: `OEM has ${extra} extra core(s). ACCEPTABLE - spare capacity available but slightly higher cost.` }
+        : { status: 'EXCESSIVE_CORES', score: 50, deviation: `+${extra} cores`, suggestion: `OEM has ${extra} extra cores. MARGINAL - significantly oversized. Consider if spare capacity is needed.` };
+    }
+    return { status: 'INSUFFICIENT_CORES', score: 0, deviation: `-${req - off} cores`, suggestion: `OEM has ${req - off} fewer cores than required. NOT ACCEPTABLE - insufficient I/O capacity.` };
+  },
+
+  conductor_material(req, off) {
+    if (req === off) return { status: 'EXACT_MATCH', score: 100 };
+    if (req === 'Copper' && off === 'Aluminium') {
+      return { status: 'MISMATCH', score: 0, deviation: 'MATERIAL_DOWNGRADE', suggestion: 'OEM offers Aluminium instead of Copper. Aluminium has higher resistance and requires larger cross-section for same current capacity. NOT RECOMMENDED for critical power applications.' };
+    }
+    if (req === 'Aluminium' && off === 'Copper') {
+      return { status: 'MISMATCH', score: 70, deviation: 'MATERIAL_UPGRADE', suggestion: 'OEM offers Copper instead of Aluminium. Copper is better conductor but more expensive. ACCEPTABLE upgrade if budget allows.' };
+    }
+    return { status: 'MISMATCH', score: 0 };
+  },
+
+  insulation(req, off) {
+    if (req === off) return { status: 'EXACT_MATCH', score: 100 };
+    if (req === 'XLPE' && off === 'PVC') {
+      return { status: 'MISMATCH', score: 0, deviation: 'INSULATION_DOWNGRADE', suggestion: 'OEM offers PVC instead of XLPE. PVC has lower temperature rating (70°C vs 90°C) and shorter lifespan. NOT RECOMMENDED for high-load or outdoor applications.' };
+    }
+    if (req === 'PVC' && off === 'XLPE') {
+      return { status: 'MISMATCH', score: 80, deviation: 'INSULATION_UPGRADE', suggestion: 'OEM offers XLPE instead of PVC. XLPE is superior with higher temperature rating and longer life. ACCEPTABLE upgrade.' };
+    }
+    return { status: 'MISMATCH', score: 0 };
+  },
+
+  armoured(req, off) {
+    if (req === off) return { status: 'EXACT_MATCH', score: 100 };
+    return req
+      ? { status: 'MISSING_ARMOUR', score: 0, suggestion: 'RFP requires armoured cable but OEM product is unarmoured. NOT ACCEPTABLE for buried/industrial installations.' }
+      : { status: 'HAS_ARMOUR', score: 90, suggestion: 'OEM product has armour not required by RFP. ACCEPTABLE - extra protection but slightly higher cost.' };
+  },
+
+  temperature_rating_c(req, off) {
+    if (off === req) return { status: 'EXACT_MATCH', score: 100 };
+    if (off > req) {
+      return { status: 'EXCEEDS_REQUIREMENT', score: 100, deviation: `+${off - req}°C`, suggestion: 'OEM temperature rating exceeds requirement. ACCEPTABLE - provides margin for overload conditions.' };
+    }
+    return { status: 'BELOW_REQUIREMENT', score: 0, deviation: `-${req - off}°C`, suggestion: `OEM temperature rating (${off}°C) is BELOW requirement (${req}°C). NOT ACCEPTABLE - may fail under load.` };
+  },
+
+  standard(req, off, product) {
+    const match = standardMatch(req, off, product);
+    if (match.status === 'EXACT') return { status: 'EXACT_MATCH', score: 100 };
+    if (match.status === 'NEWER_EDITION') {
+      return { status: 'NEWER_EDITION', score: 100, suggestion: `${match.note}. ACCEPTABLE - state the edition in the compliance sheet.` };
+    }
+    if (match.status === 'EQUIVALENT') {
+      return { status: 'EQUIVALENT_STANDARD', score: STANDARDS_CONFIG.equivalentScore, deviation: match.note, suggestion: `${match.note}. ACCEPTABLE - list in the schedule of deviations.` };
+    }
+    return {
+      status: 'MISMATCH', score: 0,
+      suggestion: `${match.note || `OEM product is certified to ${off}, RFP asks for ${req}`}. Confirm acceptability with the buyer.`
+    };
+  },
+
+  cable_type(req, off) {
+    return req === off
+      ? { status: 'EXACT_MATCH', score: 100 }
+      : { status: 'MISMATCH', score: 0, suggestion: `RFP asks for ${req}, OEM product is ${off}. NOT ACCEPTABLE - different cable family.` };
+  }
+};
+
+/**
+ * Ampacity / voltage-drop check on a substitute size; a failure turns it into a mismatch
+ */
+function applyEngineeringCheck(grade, skuId, loadConditions) {
+  let check;
+  try {
+    check = validateSubstitute({ skuId, conditions: loadConditions });
+  } catch (e) {
+    grade.engineering_check = { status: 'NOT_VERIFIED', issues: [e.message] };
+    return;
+  }
+
+  grade.engineering_check = {
+    status: check.status,
+    load_current_a: check.conditions.load_current_a,
+    derated_rating_a: check.ampacity?.derated_rating_a ?? null,
+    voltage_drop_percent: check.voltage_drop?.drop_percent ?? null,
+    issues: check.issues
+  };
+
+  if (check.status === 'FAIL') {
+    grade.status = 'FAILS_ENGINEERING_CHECK';
+    grade.score = 0;
+    grade.suggestion = `${check.issues.join('; ')}. NOT ACCEPTABLE - substitute size does not suit the RFP load.`;
+  } else if (check.status === 'PASS') {
+    const drop = check.voltage_drop ? `, ${check.voltage_drop.drop_percent}% voltage drop` : '';
+    grade.suggestion = grade.suggestion.replace(/ CONDITIONAL - verify current capacity is sufficient\.$/, '') +
+      ` Verified: ${check.ampacity.derated_rating_a} A derated rating for ${check.conditions.load_current_a} A load${drop}.`;
+  }
+}
+
+/**
+ * Graded comparison of one attribute (deviation scorer)
+ * @param {string} key - Attribute key from ATTRIBUTES
+ * @param {*} required - RFP value (normalised)
+ * @param {*} offered - Product value (normalised)
+ * @param {Object} context - { product, loadConditions }
+ */
+export function gradeAttribute(key, required, offered, context = {}) {
+  if (required === undefined || required === null) return { status: 'NOT_SPECIFIED', score: 100 };
+  if (offered === undefined || offered === null) {
+    return { status: 'NOT_AVAILABLE', score: 0, suggestion: `OEM product does not specify ${ATTRIBUTE_BY_KEY[key]?.label || key}` };
+  }
+  const grade = GRADERS[key](required, offered, context.product || {}, context);
+  return { deviation: null, deviation_percent: null, suggestion: null, ...grade, score: Math.round(grade.score * 100) / 100 };
+}
+
+const scorers = new Map();
+
+/**
+ * Register a scorer
+ * @param {string} name
+ * @param {Object} scorer - { score(requirement, product, context) } for per-product scorers, or
+ *   { async: true, scoreAll(requirement, products, context) } returning Map(sku_id -> score) for batch scorers.
+ *   Per-product scorers return { score: 0-100, attributes?: { [key]: detail } }
+ */
+export function registerScorer(name, scorer) {
+  scorers.set(name, scorer);
+}
+
+/**
+ * Weighted per-attribute scorer built from a compare function
+ */
+function attributeScorer(compare) {
+  return {
+    score(requirement, product, context) {
+      const attributes = {};
+      for (const { key } of ATTRIBUTES) {
+        if (!context.weights[key] || requirement[key] === undefined || requirement[key] === null) continue;
+        attributes[key] = compare(key, requirement[key], product[key], product, context);
+      }
+      return { score: weightedScore(attributes, context.weights), attributes };
+    }
+  };
+}
+
+function weightedScore(attributes, weights) {
+  let totalWeight = 0;
+  let weighted = 0;
+  for (const [key, detail] of Object.entries(attributes)) {
+    totalWeight += weights[key];
+    weighted += weights[key] * detail.score;
+  }
+  return totalWeight > 0 ? Math.round(weighted / totalWeight) : 0;
+}
+
+registerScorer('rule', attributeScorer((key, required, offered, product) => {
+  if (offered === undefined || offered === null) return { status: 'NOT_AVAILABLE', score: 0 };
+  const [status, score] = RULES[key](required, offered, product);
+  return { status, score };
+}));
+
+registerScorer('deviation', attributeScorer((key, required, offered, product, context) =>
+  gradeAttribute(key, required, offered, { product, loadConditions: context.loadConditions })));
+
+const semanticCache = new Map();
+let semanticWarned = false;
+
+registerScorer('semantic', {
+  async: true,
+  async scoreAll(requirement, products) {
+    try {
+      const { embed, cosineSimilarity } = await import('./local-embeddings.js');
+      const query = await embed(requirement.text || describeRequirement(requirement));
+      const scores = new Map();
+      for (const product of products) {
+        const key = `${product.source}:${product.sku_id}`;
+        if (!semanticCache.has(key)) semanticCache.set(key, await embed(product.search_text));
+        scores.set(product.sku_id, Math.round(Math.max(0, cosineSimilarity(query, semanticCache.get(key))) * 100));
+      }
+      return scores;
+    } catch (error) {
+      if (!semanticWarned) console.warn(`⚠️ Semantic scorer unavailable: ${error.message}`);
+      semanticWarned = true;
+      return null;
+    }
+  }
+});
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Weight profile for a requirement
+ * MATCHING_CONFIG.profile forces one profile everywhere
+ */
+export function getWeightProfile(application, profiles = MATCHING_CONFIG.profiles) {
+  const name = MATCHING_CONFIG.profile || (profiles[application] ? application : 'default');
+  return { name, weights: profiles[name] || profiles.default };
+}
+
+function describeRequirement(req) {
+  return ATTRIBUTES.filter(a => req[a.key] !== undefined).map(a => a.format(req[a.key])).join(' ');
+}
+
+function explain(attribute, required, offered, rule, deviation) {
+  const offeredText = offered === null || offered === undefined ? 'not stated' : attribute.format(offered);
+  const base = `${attribute.label}: RFP ${attribute.format(required)}, offered ${offeredText} - ${rule.status.toLowerCase().replace(/_/g, ' ')}`;
+  if (!deviation?.suggestion) return base;
+  return `${base} (graded ${deviation.status.toLowerCase().replace(/_/g, ' ')}: ${deviation.suggestion})`;
+}
+
+/**
+ * Score one product against a requirement with the synchronous scorers
+ */
+function scoreProduct(requirement, product, { weights, profile, scorerNames, loadConditions }) {
+  const context = { weights, loadConditions };
+  const scores = {};
+  const details = {};
+  for (const name of scorerNames) {
+    const scorer = scorers.get(name);
+    if (!scorer || scorer.async) continue;
+    const result = scorer.score(requirement, product, context);
+    scores[name] = result.score;
+    details[name] = result.attributes || {};
+  }
+
+  // A substitute size that cannot carry the RFP load is a mismatch for every scorer
+  if (details.deviation?.area_mm2?.status === 'FAILS_ENGINEERING_CHECK' && details.rule?.area_mm2) {
+    details.rule.area_mm2 = { status: 'MISMATCH', score: 0 };
+    scores.rule = weightedScore(details.rule, weights);
+  }
+
+  const attributes = Object.keys(details.rule || {}).map(key => {
+    const attribute = ATTRIBUTE_BY_KEY[key];
+    const rule = details.rule[key];
+    const deviation = details.deviation?.[key] || null;
+    return {
+      attribute: key,
+      label: attribute.label,
+      required: requirement[key],
+      offered: product[key] ?? null,
+      weight: weights[key],
+      rule,
+      deviation,
+      explanation: explain(attribute, requirement[key], product[key], rule, deviation)
+    };
+  });
+
+  return {
+    sku_id: product.sku_id,
+    product_name: product.product_name,
+    source: product.source,
+    product,
+    profile,
+    scores,
+    attributes,
+    matched: attributes.filter(a => a.rule.status === 'EXACT').map(a => a.attribute),
+    partial: attributes.filter(a => a.rule.status === 'PARTIAL').map(a => a.attribute),
+    unmatched: attributes.filter(a => a.rule.status === 'MISMATCH' || a.rule.status === 'NOT_AVAILABLE').map(a => a.attribute)
+  };
+}
+
+/**
+ * Headline % from the configured blend, capped when a critical attribute fails
+ */
+function finalise(result, blend) {
+  let totalWeight = 0;
+  let weighted = 0;
+  for (const [name, score] of Object.entries(result.scores)) {
+    const weight = blend[name] || 0;
+    if (score === null || score === undefined || weight <= 0) continue;
+    totalWeight += weight;
+    weighted += weight * score;
+  }
+  let headline = totalWeight > 0 ? Math.round(weighted / totalWeight) : result.scores.rule;
+
+  result.capped_by = null;
+  for (const [key, cap] of Object.entries(MATCHING_CONFIG.caps)) {
+    const attribute = result.attributes.find(a => a.attribute === key);
+    if (attribute?.rule.status === 'MISMATCH' && headline > cap) {
+      headline = cap;
+      result.capped_by = key;
+    }
+  }
+  result.spec_match_percentage = headline;
+  return result;
+}
+
+function rank(results, requirement) {
+  return results.sort((a, b) =>
+    b.spec_match_percentage - a.spec_match_percentage ||
+    (b.scores.deviation ?? 0) - (a.scores.deviation ?? 0) ||
+    (b.scores.semantic ?? 0) - (a.scores.semantic ?? 0) ||
+    (requirement.area_mm2 ? Math.abs(a.product.area_mm2 - requirement.area_mm2) - Math.abs(b.product.area_mm2 - requirement.area_mm2) : 0));
+}
+
+/**
+ * The one place a requirement's weight profile is chosen: MATCHING_CONFIG.profile when forced,
+ * an explicit options.profile (matching API, benchmarks), else the detected application
+ */
+function resolveProfile(requirement, options) {
+  const profiles = options.profiles || MATCHING_CONFIG.profiles;
+  return options.profile && profiles[options.profile] && !MATCHING_CONFIG.profile
+    ? { name: options.profile, weights: profiles[options.profile] }
+    : getWeightProfile(requirement.application, profiles);
+}
+
+function prepare(input, options) {
+  // Parsed requirements re-parse to themselves, so callers may pass either
+  const requirement = parseRequirement(input);
+  const { name, weights } = resolveProfile(requirement, options);
+  const products = options.products
+    ? options.products.map(p => (p.raw ? p : normalizeProduct(p, options.source || 'catalog')))
+    : getProducts(options.sources || MATCHING_CONFIG.defaultSources);
+  const scorerNames = [...new Set(['rule', 'deviation', ...(options.scorers || [])])];
+  return { requirement, products, weights, profile: name, scorerNames, blend: { ...MATCHING_CONFIG.blend, ...(options.blend || {}) } };
+}
+
+/**
+ * Match a requirement against products (synchronous scorers)
+ * @param {string|Object} input - Requirement text or structured specs (see parseRequirement)
+ * @param {Object} options
+ * @param {string[]} options.sources - Product sources (default MATCHING_CONFIG.defaultSources)
+ * @param {Array} options.products - Explicit products instead of sources (normalised or raw rows)
+ * @param {string} options.profile - Weight profile name (default: by detected application)
+ * @param {Object} options.profiles - Candidate profile set instead of MATCHING_CONFIG.profiles (benchmarking)
+ * @param {number} options.topN - Results to return (default all)
+ * @param {Object} options.loadConditions - Load current / route data for engineering checks on substitutes
+ * @returns {Object} { requirement, profile, weights, matches }
+ */
+export function matchRequirement(input, options = {}) {
+  const prepared = prepare(input, options);
+  const results = prepared.products.map(product =>
+    finalise(scoreProduct(prepared.requirement, product, { ...prepared, loadConditions: options.loadConditions }), prepared.blend));
+
+  return {
+    requirement: prepared.requirement,
+    profile: prepared.profile,
+    weights: prepared.weights,
+    matches: rank(results, prepared.requirement).slice(0, options.topN || results.length)
+  };
+}
+
+/**
+ * Match with async scorers too (semantic); falls back to the synchronous result when they are unavailable
+ * @param {string|Object} input
+ * @param {Object} options - As matchRequirement, plus scorers: ['semantic', ...]
+ */
+export async function matchRequirementAsync(input, options = {}) {
+  const prepared = prepare(input, options);
+  const results = prepared.products.map(product =>
+    scoreProduct(prepared.requirement, product, { ...prepared, loadConditions: options.loadConditions }));
+
+  for (const name of prepared.scorerNames) {
+    const scorer = scorers.get(name);
+    if (!scorer?.async) continue;
+    if (name === 'semantic' && !MATCHING_CONFIG.semanticEnabled && !options.forceSemantic) continue;
+    const scores = await scorer.scoreAll(prepared.requirement, prepared.products, { weights: prepared.weights });
+    for (const result of results) result.scores[name] = scores ? scores.get(result.sku_id) ?? null : null;
+  }
+
+  results.forEach(result => finalise(result, prepared.blend));
+  return {
+    requirement: prepared.requirement,
+    profile: prepared.profile,
+    weights: prepared.weights,
+    matches: rank(results, prepared.requirement).slice(0, options.topN || results.length)
+  };
+}
+
+/**
+ * Score a single product against a requirement
+ */
+export function scoreMatch(input, product, options = {}) {
+  return matchRequirement(input, { ...options, products: [product], topN: 1 }).matches[0];
+}
+
+export default {
+  ATTRIBUTES,
+  normalizeProduct,
+  getProducts,
+  clearProductCache,
+  findProduct,
+  parseRequirement,
+  detectApplication,
+  gradeAttribute,
+  registerScorer,
+  getWeightProfile,
+  matchRequirement,
+  matchRequirementAsync,
+  scoreMatch,
+  toKv
+};
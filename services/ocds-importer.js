@@ -0,0 +1,458 @@
+/**
+ * OCDS Importer
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Imports Open Contracting Data Standard release packages, record packages
+ * (embedded releases or just the compiledRelease) and bare releases.
+ *
+ * - Every release is kept in `ocds_releases`; a later package for the same
+ *   `ocid` is merged with what is already stored (OCDS merge rules: releases
+ *   in date order, objects merged field by field, arrays of objects merged by
+ *   `id`, other arrays replaced, null removes a field).
+ * - The compiled release is mapped onto the portal tender schema (see
+ *   utils/data-loader.js) and upserted into `rfps`.
+ * - Awards go to `tender_awards`, so we can see who won each tender and at
+ *   what price against the buyer's estimate.
+ */
+
+import fs from 'fs';
+import dayjs from 'dayjs';
+import db from '../db/index.js';
+import { saveTender } from './crawl-scheduler.js';
+import { canonicalCableType, parseRequirement } from './matching-engine.js';
+import { OCDS_CONFIG } from '../configs/settings.js';
+
+// CPV 313xxxxx: insulated wire and cable (31320000 power distribution cables, ...)
+const CABLE_CPV = /^313/;
+
+const insertRelease = db.prepare(`
+  INSERT OR IGNORE INTO ocds_releases (ocid, releaseId, date, tag, source, data, importedAt)
+  VALUES (@ocid, @releaseId, @date, @tag, @source, @data, @importedAt)
+`);
+
+const releasesFor = db.prepare(`SELECT data FROM ocds_releases WHERE ocid = ? ORDER BY date, importedAt`);
+
+const upsertRecord = db.prepare(`
+  INSERT INTO ocds_records (ocid, tenderId, releaseCount, lastReleaseDate, compiledRelease, tender, updatedAt)
+  VALUES (@ocid, @tenderId, @releaseCount, @lastReleaseDate, @compiledRelease, @tender, @updatedAt)
+  ON CONFLICT(ocid) DO UPDATE SET
+    tenderId=@tenderId, releaseCount=@releaseCount, lastReleaseDate=@lastReleaseDate,
+    compiledRelease=@compiledRelease, tender=@tender, updatedAt=@updatedAt
+`);
+
+const deleteAwards = db.prepare(`DELETE FROM tender_awards WHERE ocid = ?`);
+
+const insertAward = db.prepare(`
+  INSERT INTO tender_awards (ocid, tenderId, awardId, status, date, suppliers, amount, currency, estimatedAmount, buyerName, title, cableType, items, updatedAt)
+  VALUES (@ocid, @tenderId, @awardId, @status, @date, @suppliers, @amount, @currency, @estimatedAmount, @buyerName, @title, @cableType, @items, @updatedAt)
+`);
+
+function ocdsError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const iso = (value) => (value && dayjs(value).isValid() ? dayjs(value).toISOString() : null);
+
+// ============================================
+// MERGING
+// ============================================
+
+function mergeArray(existing, incoming) {
+  const identified = incoming.length > 0 && incoming.every(item => isObject(item) && item.id !== undefined && item.id !== null);
+  if (!identified) return clone(incoming);
+
+  const merged = (Array.isArray(existing) ? existing : []).map(clone);
+  for (const item of incoming) {
+    const index = merged.findIndex(current => isObject(current) && String(current.id) === String(item.id));
+    if (index >= 0) merged[index] = mergeObject(merged[index], item);
+    else merged.push(mergeObject({}, item));
+  }
+  return merged;
+}
+
+function mergeObject(target, source) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    if (value === null) delete merged[key];
+    else if (Array.isArray(value)) merged[key] = mergeArray(merged[key], value);
+    else if (isObject(value)) merged[key] = mergeObject(isObject(merged[key]) ? merged[key] : {}, value);
+    else merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Compile the releases of one contracting process
+ * @param {Array} releases - Releases sharing an ocid (any order)
+ * @returns {Object} - Compiled release (tag ["compiled"], date of the latest release)
+ */
+export function compileReleases(releases) {
+  if (!releases.length) throw ocdsError('No releases to compile');
+  const ordered = [...releases].sort((a, b) => String(iso(a.date) || '').localeCompare(String(iso(b.date) || '')));
+  const compiled = ordered.reduce((merged, release) => {
+    const { id, date, tag, ...fields } = release;
+    return mergeObject(merged, fields);
+  }, {});
+  const latest = ordered[ordered.length - 1];
+  return { ...compiled, ocid: latest.ocid, id: `${latest.ocid}-${latest.date}`, date: latest.date, tag: ['compiled'] };
+}
+
+// ============================================
+// PACKAGES
+// ============================================
+
+/**
+ * Releases in a release package, record package, array of releases or single release
+ * Records that only link their releases contribute their compiledRelease instead.
+ */
+export function extractReleases(pkg) {
+  if (Array.isArray(pkg)) return pkg.flatMap(extractReleases);
+  if (!isObject(pkg)) throw ocdsError('An OCDS release or package (JSON object) is required');
+
+  if (Array.isArray(pkg.releases)) return pkg.releases;
+  if (Array.isArray(pkg.records)) {
+    return pkg.records.flatMap(record => {
+      const embedded = (record.releases || []).filter(release => isObject(release) && release.ocid && !release.url);
+      if (embedded.length > 0) return embedded;
+      return record.compiledRelease ? [{ ...record.compiledRelease, ocid: record.compiledRelease.ocid || record.ocid }] : [];
+    });
+  }
+  if (pkg.ocid) return [pkg];
+  throw ocdsError('Not an OCDS package: expected `releases`, `records` or a release with an `ocid`');
+}
+
+// ============================================
+// MAPPING
+// ============================================
+
+function partyFor(release, reference) {
+  if (!reference) return null;
+  return (release.parties || []).find(party => (reference.id && party.id === reference.id) || (reference.name && party.name === reference.name)) || null;
+}
+
+function quantityKm(item) {
+  const quantity = parseFloat(item.quantity);
+  if (!Number.isFinite(quantity)) return null;
+  const unit = String(item.unit?.name || item.unit?.id || '').toLowerCase();
+  if (/^(km|kms|kilomet)/.test(unit)) return quantity;
+  if (/^(m|mtr|metre|meter)s?$/.test(unit)) return Math.round(quantity) / 1000;
+  return null;
+}
+
+function toRequirement(item, index) {
+  const req = parseRequirement(item.description || '');
+  return {
+    item_no: index + 1,
+    description: item.description || null,
+    cable_type: req.cable_type || (req.voltage_kv ? canonicalCableType(item.description, req.voltage_kv) : null),
+    voltage: req.voltage_kv ? `${req.voltage_kv}kV` : null,
+    conductor: req.conductor_material || null,
+    size: req.area_mm2 ? `${req.area_mm2} sqmm` : null,
+    cores: req.cores ? String(req.cores) : null,
+    insulation: req.insulation || null,
+    armoured: req.armoured === undefined ? null : (req.armoured ? 'Armoured' : 'Unarmoured'),
+    qty_km: quantityKm(item),
+    standard: req.standard || null,
+    cpv: item.classification?.scheme === 'CPV' ? item.classification.id : null
+  };
+}
+
+const inr = (value) => (value && value.currency === OCDS_CONFIG.currency && Number.isFinite(Number(value.amount)) ? Number(value.amount) : null);
+
+function toAward(award, release, tender) {
+  return {
+    award_id: String(award.id),
+    title: award.title || null,
+    status: award.status || null,
+    date: iso(award.date),
+    suppliers: (award.suppliers || []).map(supplier => ({
+      id: supplier.id || null,
+      name: supplier.name || partyFor(release, supplier)?.name || null
+    })),
+    value: award.value?.amount !== undefined ? Number(award.value.amount) : null,
+    currency: award.value?.currency || null,
+    value_inr: inr(award.value),
+    items: (award.items || []).map(item => ({
+      description: item.description || null,
+      quantity: item.quantity ?? null,
+      unit: item.unit?.name || null,
+      unit_price: item.unit?.value?.amount ?? null
+    })),
+    // Awarded / estimated value: how far below (or above) the buyer's estimate the tender went
+    price_to_estimate: inr(award.value) && tender.estimated_cost_inr
+      ? Math.round((inr(award.value) / tender.estimated_cost_inr) * 1000) / 1000
+      : null
+  };
+}
+
+/**
+ * Compiled release -> tender in the portal JSON schema (public/data/portals/*.json)
+ * @param {Object} release - Compiled (or single) release
+ * @param {Object} options - { publisher: package publisher name, shown as the portal }
+ */
+export function toTender(release, { publisher = null } = {}) {
+  const tender = release.tender || {};
+  const buyerParty = partyFor(release, release.buyer) ||
+    (release.parties || []).find(party => (party.roles || []).includes('buyer')) || null;
+  const items = tender.items || [];
+  const address = items.map(item => item.deliveryAddress).find(Boolean) || buyerParty?.address || {};
+  const requirements = items.map(toRequirement);
+  const cpv = [...new Set(items.map(item => item.classification?.scheme === 'CPV' ? item.classification.id : null).filter(Boolean))];
+  const title = tender.title || items[0]?.description || release.ocid;
+  const kv = title.match(/(\d+(?:\.\d+)?)\s*kv/i);
+  const isCable = cpv.some(code => CABLE_CPV.test(code)) || /cable|conductor/i.test(title);
+  const cableType = requirements.find(req => req.cable_type)?.cable_type ||
+    (isCable ? canonicalCableType(title, kv ? parseFloat(kv[1]) : null) : null);
+
+  const mapped = {
+    tender_id: release.ocid,
+    ocid: release.ocid,
+    source_type: 'ocds',
+    portal_id: OCDS_CONFIG.portal,
+    portal_name: publisher || 'OCDS import',
+    organisation: release.buyer?.name || buyerParty?.name || tender.procuringEntity?.name || null,
+    buyer_id: release.buyer?.id || buyerParty?.id || null,
+    title,
+    material: items.map(item => item.description).filter(Boolean).join('; ') || tender.description || null,
+    product_category: isCable ? 'wires-cables' : (items[0]?.classification?.description || null),
+    cable_type: cableType,
+    cpv_codes: cpv,
+    city: address.locality || null,
+    state: address.region || null,
+    publish_date: iso(tender.datePublished || release.date)?.slice(0, 10) || null,
+    due_date: iso(tender.tenderPeriod?.endDate),
+    estimated_cost_inr: inr(tender.value),
+    value: tender.value || null,
+    procurement_method: tender.procurementMethod || null,
+    contact_email: buyerParty?.contactPoint?.email || null,
+    contact_phone: buyerParty?.contactPoint?.telephone || null,
+    documents: (tender.documents || []).map(doc => doc.url).filter(Boolean),
+    // Item descriptions often leave the voltage to the tender title
+    cable_requirements: requirements.map(req => ({ ...req, cable_type: req.cable_type || (isCable ? cableType : null) })),
+    status: tender.status === 'complete' || (release.awards || []).some(award => award.status === 'active')
+      ? 'awarded'
+      : tender.status === 'cancelled' ? 'cancelled' : 'active',
+    last_release_date: iso(release.date)
+  };
+  mapped.awards = (release.awards || []).map(award => toAward(award, release, mapped));
+  return mapped;
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+function storeRecord(ocid, publisher) {
+  const releases = releasesFor.all(ocid).map(row => JSON.parse(row.data));
+  const compiled = compileReleases(releases);
+  const previous = db.prepare(`SELECT tender FROM ocds_records WHERE ocid = ?`).get(ocid);
+  const tender = toTender(compiled, { publisher: publisher || (previous && JSON.parse(previous.tender).portal_name) });
+  const now = dayjs().toISOString();
+
+  upsertRecord.run({
+    ocid,
+    tenderId: tender.tender_id,
+    releaseCount: releases.length,
+    lastReleaseDate: iso(compiled.date),
+    compiledRelease: JSON.stringify(compiled),
+    tender: JSON.stringify(tender),
+    updatedAt: now
+  });
+
+  deleteAwards.run(ocid);
+  for (const award of tender.awards) {
+    insertAward.run({
+      ocid,
+      tenderId: tender.tender_id,
+      awardId: award.award_id,
+      status: award.status,
+      date: award.date,
+      suppliers: JSON.stringify(award.suppliers),
+      amount: award.value,
+      currency: award.currency,
+      estimatedAmount: tender.estimated_cost_inr,
+      buyerName: tender.organisation,
+      title: tender.title,
+      cableType: tender.cable_type,
+      items: JSON.stringify(award.items),
+      updatedAt: now
+    });
+  }
+  return { tender, releaseCount: releases.length };
+}
+
+/**
+ * Import an OCDS package
+ * @param {Object|Array} pkg - Release package, record package, release array or single release
+ * @param {Object} options - { source: label stored with each release }
+ * @returns {Object} - { releases, new_releases, records: [{ ocid, tender_id, releases, rfp, awards }], inserted, updated, awards, errors }
+ */
+export function importPackage(pkg, { source = 'api' } = {}) {
+  const releases = extractReleases(pkg);
+  const summary = { releases: releases.length, new_releases: 0, records: [], inserted: 0, updated: 0, awards: 0, errors: [] };
+  const touched = new Set();
+  const importedAt = dayjs().toISOString();
+
+  db.transaction(() => {
+    releases.forEach((release, index) => {
+      if (!release?.ocid) {
+        summary.errors.push(`Release ${index + 1}: no ocid`);
+        return;
+      }
+      const releaseId = String(release.id || `${release.ocid}-${release.date || index}`);
+      const result = insertRelease.run({
+        ocid: release.ocid,
+        releaseId,
+        date: iso(release.date),
+        tag: JSON.stringify(release.tag || []),
+        source,
+        data: JSON.stringify(release),
+        importedAt
+      });
+      summary.new_releases += result.changes;
+      touched.add(release.ocid);
+    });
+  })();
+
+  for (const ocid of touched) {
+    try {
+      const { tender, releaseCount } = storeRecord(ocid, pkg.publisher?.name);
+      const rfp = saveTender(tender, OCDS_CONFIG.portal);
+      summary[rfp]++;
+      summary.awards += tender.awards.length;
+      summary.records.push({ ocid, tender_id: tender.tender_id, releases: releaseCount, rfp, awards: tender.awards.length });
+    } catch (error) {
+      summary.errors.push(`${ocid}: ${error.message}`);
+    }
+  }
+
+  console.log(`📥 OCDS (${source}): ${summary.releases} releases (${summary.new_releases} new), ${summary.records.length} tenders, ${summary.awards} awards`);
+  return summary;
+}
+
+/**
+ * Import a package from disk (default: the bundled public/data/ocds/releases.json)
+ */
+export function importPackageFile(filePath = OCDS_CONFIG.packagePath) {
+  if (!fs.existsSync(filePath)) throw ocdsError(`OCDS package not found: ${filePath}`, 404);
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw ocdsError(`${filePath} is not valid JSON: ${error.message}`);
+  }
+  return importPackage(pkg, { source: filePath });
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Imported tenders in the portal JSON schema
+ */
+export function listOcdsTenders() {
+  return db.prepare(`SELECT tender FROM ocds_records ORDER BY lastReleaseDate DESC`).all().map(row => JSON.parse(row.tender));
+}
+
+/**
+ * OCDS record (releases + compiled release) and the mapped tender
+ */
+export function getRecord(ocid) {
+  const row = db.prepare(`SELECT * FROM ocds_records WHERE ocid = ?`).get(ocid);
+  if (!row) throw ocdsError(`No OCDS record for ${ocid}`, 404);
+  return {
+    ocid,
+    releases: releasesFor.all(ocid).map(release => JSON.parse(release.data)),
+    compiledRelease: JSON.parse(row.compiledRelease),
+    tender: JSON.parse(row.tender)
+  };
+}
+
+/**
+ * Imported awards, newest first
+ * @param {Object} filters - { supplier, buyer, ocid, cableType, limit }
+ */
+export function listAwards({ supplier = null, buyer = null, ocid = null, cableType = null, limit = 100 } = {}) {
+  const clauses = [];
+  const params = [];
+  if (ocid) { clauses.push('ocid = ?'); params.push(ocid); }
+  if (buyer) { clauses.push('buyerName LIKE ?'); params.push(`%${buyer}%`); }
+  if (cableType) { clauses.push('cableType = ?'); params.push(cableType); }
+  if (supplier) { clauses.push('suppliers LIKE ?'); params.push(`%${supplier}%`); }
+
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM tender_awards ${where} ORDER BY date DESC, id DESC LIMIT ?`).all(...params, limit)
+    .map(row => ({
+      ocid: row.ocid,
+      tender_id: row.tenderId,
+      award_id: row.awardId,
+      status: row.status,
+      date: row.date,
+      suppliers: JSON.parse(row.suppliers || '[]'),
+      value: row.amount,
+      currency: row.currency,
+      estimated_cost_inr: row.estimatedAmount,
+      price_to_estimate: row.amount && row.estimatedAmount && row.currency === OCDS_CONFIG.currency
+        ? Math.round((row.amount / row.estimatedAmount) * 1000) / 1000
+        : null,
+      buyer: row.buyerName,
+      title: row.title,
+      cable_type: row.cableType,
+      items: JSON.parse(row.items || '[]')
+    }));
+}
+
+/**
+ * Who wins: active awards per supplier with total value and the average
+ * awarded-to-estimate ratio (a pricing benchmark for competing bids)
+ */
+export function awardSummary(filters = {}) {
+  const awards = listAwards({ ...filters, limit: 10000 }).filter(award => !award.status || award.status === 'active');
+  const suppliers = new Map();
+  for (const award of awards) {
+    for (const supplier of award.suppliers) {
+      const name = supplier.name || supplier.id || 'Unknown';
+      const entry = suppliers.get(name) || { supplier: name, wins: 0, total_value_inr: 0, ratios: [], buyers: new Set(), cable_types: new Set() };
+      entry.wins++;
+      // Consortium awards are split evenly between the members
+      if (award.currency === OCDS_CONFIG.currency && award.value) entry.total_value_inr += award.value / award.suppliers.length;
+      if (award.price_to_estimate) entry.ratios.push(award.price_to_estimate);
+      if (award.buyer) entry.buyers.add(award.buyer);
+      if (award.cable_type) entry.cable_types.add(award.cable_type);
+      suppliers.set(name, entry);
+    }
+  }
+
+  const average = (values) => (values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 1000) / 1000 : null);
+  const allRatios = awards.map(award => award.price_to_estimate).filter(Boolean);
+  return {
+    awards: awards.length,
+    avg_price_to_estimate: average(allRatios),
+    suppliers: [...suppliers.values()]
+      .map(({ ratios, buyers, cable_types: cableTypes, ...entry }) => ({
+        ...entry,
+        total_value_inr: Math.round(entry.total_value_inr),
+        avg_price_to_estimate: average(ratios),
+        buyers: [...buyers],
+        cable_types: [...cableTypes]
+      }))
+      .sort((a, b) => b.wins - a.wins || b.total_value_inr - a.total_value_inr)
+  };
+}
+
+export default {
+  importPackage,
+  importPackageFile,
+  compileReleases,
+  extractReleases,
+  toTender,
+  listOcdsTenders,
+  getRecord,
+  listAwards,
+  awardSummary
+};
@@ -9,6 +9,8 @@
  * (Polycab, Havells, KEI Industries, Finolex)
  */
 
+import { selectTestsForStandard } from './standards-registry.js';
+
 export const OEM_PRODUCT_CATALOG = {
   metadata: {
     source: "OEM Cable Manufacturer Product Catalog",
@@ -904,12 +906,15 @@ export function getTestsByCategory(category) {
 
 /**
  * Get applicable tests for a product category
+ * options.standard (with voltage_kv / insulation) drops tests performed to an
+ * unrelated product standard and notes equivalent ones
  */
-export function getApplicableTests(productCategory) {
-  return SERVICES_PRICING_TABLE.tests.filter(t => 
+export function getApplicableTests(productCategory, options = {}) {
+  const { standard, ...context } = options;
+  return selectTestsForStandard(SERVICES_PRICING_TABLE.tests.filter(t => 
     t.applicable_products.includes(productCategory) || 
     t.applicable_products.includes("All Cables")
-  );
+  ), standard, { standardOf: t => t.standard, ...context });
 }
 
 export default {
@@ -19,6 +19,7 @@ import { GoogleGenAI } from '@google/genai';
 import OpenAI from 'openai';
 import { searchCompany, verifyAndEnhanceCompany } from './opencorporates.js';
 import { analyzePdf as analyzePdfAzure } from './azure-document-intelligence.js';
+import { detectRiskyClauses } from './risky-clauses.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -97,15 +98,15 @@ async function generateWithFallback(prompt) {
   throw new Error(`All AI providers failed: ${errors.join('; ')}`);
 }
 
-// Dynamic import for pdf-parse (CommonJS module)
-let pdfParse = null;
+// Dynamic import for pdf-parse (2.x: PDFParse class)
+let PDFParse = null;
 
 async function loadPdfParse() {
-  if (!pdfParse) {
+  if (!PDFParse) {
     const module = await import('pdf-parse');
-    pdfParse = module.default;
+    PDFParse = module.PDFParse;
   }
-  return pdfParse;
+  return PDFParse;
 }
 
 /**
@@ -150,6 +151,7 @@ export async function parsePDF(pdfSource) {
         success: true,
         text: azureResult.text,
         numPages: azureResult.pages?.length || 1,
+        pages: (azureResult.pages || []).map(page => (page.lines || []).map(line => line.content).join('\n')),
         source: 'azure-document-intelligence',
         metadata: {
           tables: azureResult.tables,
@@ -164,17 +166,25 @@ export async function parsePDF(pdfSource) {
 
   // 2. Fallback to local PDF Parse
   try {
-    const pdf = await loadPdfParse();
-    const data = await pdf(dataBuffer);
+    const Parser = await loadPdfParse();
+    const parser = new Parser({ data: dataBuffer });
+    try {
+      const data = await parser.getText();
+      const info = await parser.getInfo();
+      const pages = data.pages.map(page => page.text);
 
-    return {
-      success: true,
-      text: data.text,
-      numPages: data.numpages,
-      info: data.info,
-      metadata: data.metadata,
-      source: 'local-pdf-parse'
-    };
+      return {
+        success: true,
+        text: pages.join('\n\n'),
+        numPages: data.total,
+        pages,
+        info: info.info,
+        metadata: info.metadata,
+        source: 'local-pdf-parse'
+      };
+    } finally {
+      await parser.destroy();
+    }
   } catch (error) {
     console.error('PDF parsing error:', error.message);
     return {
@@ -636,6 +646,7 @@ export async function parseRFPDocument(pdfSource, aiParser = null) {
           summary: { ...summary, ...aiEnhanced },
           raw_text: pdfResult.text,
           num_pages: pdfResult.numPages,
+          risky_clauses: detectRiskyClauses(pdfResult),
           extraction_method: 'AI_ENHANCED'
         };
       }
@@ -649,6 +660,7 @@ export async function parseRFPDocument(pdfSource, aiParser = null) {
     summary,
     raw_text: pdfResult.text,
     num_pages: pdfResult.numPages,
+    risky_clauses: detectRiskyClauses(pdfResult),
     extraction_method: 'PATTERN_MATCHING'
   };
 }
@@ -924,6 +936,7 @@ export async function parseRFPWithAI(pdfSource) {
     summary,
     raw_text: pdfResult.text,
     num_pages: pdfResult.numPages,
+    risky_clauses: detectRiskyClauses(pdfResult),
     extraction_method: extractionMethod
   };
 }
@@ -0,0 +1,44 @@
+/**
+ * PDF Table Helper
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Draws schedules (deviations, GTP, ...) as bordered pdfkit tables.
+ */
+
+/**
+ * Bordered table with wrapped cells, breaking across pages (header repeated)
+ */
+export function drawPdfTable(doc, columns, rows, { left = 50, fontSize = 8 } = {}) {
+  const padding = 4;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const header = columns.map(c => c.label);
+
+  const drawRow = (cells, bold) => {
+    doc.fontSize(fontSize).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    const height = Math.max(...columns.map((c, i) =>
+      doc.heightOfString(String(cells[i] ?? ''), { width: c.width - padding * 2 }))) + padding * 2;
+
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      if (!bold) drawRow(header, true);
+      doc.fontSize(fontSize).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    }
+
+    const top = doc.y;
+    let x = left;
+    columns.forEach((c, i) => {
+      doc.rect(x, top, c.width, height).stroke();
+      doc.text(String(cells[i] ?? ''), x + padding, top + padding, { width: c.width - padding * 2 });
+      x += c.width;
+    });
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(header, true);
+  rows.forEach(row => drawRow(columns.map(c => row[c.key]), false));
+}
+
+export default {
+  drawPdfTable
+};
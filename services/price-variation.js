@@ -0,0 +1,471 @@
+/**
+ * Price Variation (PV) Service
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Metal price variation calculator for cable quotations:
+ * - Decomposes each SKU's per-km weight into copper / aluminium / steel /
+ *   XLPE / PVC content (Unit_Weight_kg_per_km + conductor area)
+ * - Reads base-date and current metal rates from data/metal_indices.csv
+ * - Prices firm quotations using the Price_Escalation_* rules
+ *   (P025 steel, P026 copper, P027 aluminium) from pricing_rules.csv
+ * - Prices variable quotations with an IEEMA-style weight-based PV formula
+ *   and produces the PV annexure for the bid
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dayjs from 'dayjs';
+import { parse } from 'csv-parse/sync';
+import { getCableDataset } from './cable-dataset-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const METAL_INDICES_CSV = path.join(__dirname, '../data/metal_indices.csv');
+
+export const PV_MATERIALS = ['copper', 'aluminium', 'steel', 'xlpe', 'pvc'];
+
+// Materials covered by the PV clause, with their escalation rule in pricing_rules.csv
+const ESCALATION_RULES = {
+  copper: 'Price_Escalation_Copper',
+  aluminium: 'Price_Escalation_Aluminium',
+  steel: 'Price_Escalation_Steel'
+};
+
+// Conductor density in kg per km per mm² (8.89 g/cm³ copper, 2.703 g/cm³ aluminium)
+const CONDUCTOR_DENSITY = {
+  copper: 8.89,
+  aluminium: 2.703
+};
+
+// Stranding / lay-up allowance on the theoretical conductor mass
+const LAY_FACTOR = 1.02;
+
+// The conductor can never be more than this share of the finished cable weight
+const MAX_CONDUCTOR_SHARE = 0.75;
+
+// Split of the non-conductor weight (insulation, armour, sheath)
+const NON_CONDUCTOR_SPLIT = {
+  armoured: { insulation: 0.30, steel: 0.40, pvc: 0.30 },
+  unarmoured: { insulation: 0.45, steel: 0, pvc: 0.55 }
+};
+
+let indexCache = null;
+
+/**
+ * Load metal rate indices from CSV
+ * @returns {array} - [{ date, material, rate, source }] sorted by date
+ */
+export function loadMetalIndices({ reload = false } = {}) {
+  if (indexCache && !reload) return indexCache;
+
+  try {
+    const content = fs.readFileSync(METAL_INDICES_CSV, 'utf-8');
+    indexCache = parse(content, { columns: true, skip_empty_lines: true })
+      .map(row => ({
+        date: row.Index_Date,
+        material: (row.Material || '').trim().toLowerCase(),
+        rate: parseFloat(row.Rate_INR_per_kg),
+        source: row.Source || ''
+      }))
+      .filter(row => PV_MATERIALS.includes(row.material) && !isNaN(row.rate))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  } catch (e) {
+    console.warn('   ⚠️ Could not load metal_indices.csv:', e.message);
+    indexCache = [];
+  }
+
+  return indexCache;
+}
+
+/**
+ * Get the rate of each material in force on a date (latest index on or before it)
+ * @param {string} date - Reference date (YYYY-MM-DD)
+ * @param {number} lagMonths - Index lag, e.g. 1 = rates of one month prior (IEEMA practice)
+ */
+export function getIndexRates(date, { lagMonths = 0 } = {}) {
+  const requested = dayjs(date || undefined);
+  if (!requested.isValid()) {
+    throw new Error(`Invalid index date: ${date}`);
+  }
+  const referenceDate = requested.subtract(lagMonths, 'month').format('YYYY-MM-DD');
+  const indices = loadMetalIndices();
+
+  const rates = {};
+  const missing = [];
+  for (const material of PV_MATERIALS) {
+    const entry = indices
+      .filter(row => row.material === material && row.date <= referenceDate)
+      .pop();
+    if (entry) {
+      rates[material] = { rate: entry.rate, index_date: entry.date, source: entry.source };
+    } else {
+      missing.push(material);
+    }
+  }
+
+  return {
+    date: requested.format('YYYY-MM-DD'),
+    reference_date: referenceDate,
+    lag_months: lagMonths,
+    rates,
+    missing
+  };
+}
+
+/**
+ * Decompose a SKU's per-km weight into material content
+ * @param {string|object} skuOrId - SKU ID or normalized product row
+ * @returns {object} - Content in kg/km per material, with basis and data warnings
+ */
+export function decomposeSku(skuOrId) {
+  const product = typeof skuOrId === 'string'
+    ? getCableDataset().getProductBySKU(skuOrId)
+    : skuOrId;
+  if (!product) {
+    throw new Error(`SKU not found: ${skuOrId}`);
+  }
+
+  const unitWeight = product.unit_weight_kg_per_km || 0;
+  const conductor = product.conductor_material.includes('copper') ? 'copper' : 'aluminium';
+  const warnings = [];
+
+  // Conductor: area × cores × density
+  const theoretical = product.conductor_area_mm2 * product.no_of_cores * CONDUCTOR_DENSITY[conductor] * LAY_FACTOR;
+  let conductorKg = theoretical;
+  let conductorBasis = 'theoretical';
+  if (unitWeight > 0 && theoretical > unitWeight * MAX_CONDUCTOR_SHARE) {
+    conductorKg = unitWeight * MAX_CONDUCTOR_SHARE;
+    conductorBasis = 'capped_to_unit_weight';
+    warnings.push(
+      `Theoretical ${conductor} mass ${round(theoretical)} kg/km exceeds ${MAX_CONDUCTOR_SHARE * 100}% of ` +
+      `unit weight ${unitWeight} kg/km; check Unit_Weight_kg_per_km`
+    );
+  }
+
+  // Insulation, armour and sheath share the remaining weight
+  const remainder = Math.max(0, unitWeight - conductorKg);
+  const split = product.armoured ? NON_CONDUCTOR_SPLIT.armoured : NON_CONDUCTOR_SPLIT.unarmoured;
+  const insulation = product.insulation === 'XLPE' ? 'xlpe' : 'pvc';
+
+  const content = Object.fromEntries(PV_MATERIALS.map(m => [m, 0]));
+  content[conductor] = conductorKg;
+  content.steel = remainder * split.steel;
+  content[insulation] += remainder * split.insulation;
+  content.pvc += remainder * split.pvc;
+
+  return {
+    sku_id: product.sku_id,
+    product_name: product.product_name,
+    unit_weight_kg_per_km: unitWeight,
+    unit_price_per_km: product.unit_price_per_km,
+    content_kg_per_km: Object.fromEntries(PV_MATERIALS.map(m => [m, round(content[m], 2)])),
+    basis: {
+      conductor: conductorBasis,
+      conductor_material: conductor,
+      insulation_material: insulation,
+      armoured: product.armoured
+    },
+    warnings
+  };
+}
+
+/**
+ * Annual escalation rates for PV materials from pricing_rules.csv
+ */
+export function getEscalationRates() {
+  const dataset = getCableDataset();
+  return Object.fromEntries(
+    Object.entries(ESCALATION_RULES).map(([material, parameter]) => {
+      const rule = dataset.getPricingRule(parameter);
+      return [material, { rule_id: rule?.rule_id || null, parameter, annual_rate: parseFloat(rule?.value) || 0 }];
+    })
+  );
+}
+
+/**
+ * Price variation for one SKU between a base date and a current date.
+ * PV per km = Σ W(m) × (I(m) − I0(m)) over copper, aluminium and steel,
+ * optionally limited to ± ceilingPercent of the base price.
+ */
+export function calculatePriceVariation({
+  skuId,
+  quantityKm = 1,
+  baseDate,
+  currentDate,
+  lagMonths = 1,
+  ceilingPercent = null
+}) {
+  if (!baseDate) {
+    throw new Error('baseDate is required');
+  }
+
+  const decomposition = decomposeSku(skuId);
+  const base = getIndexRates(baseDate, { lagMonths });
+  const current = getIndexRates(currentDate, { lagMonths });
+
+  const lines = [];
+  let pvPerKm = 0;
+  for (const material of Object.keys(ESCALATION_RULES)) {
+    const weight = decomposition.content_kg_per_km[material];
+    if (!weight) continue;
+
+    const baseRate = base.rates[material]?.rate;
+    const currentRate = current.rates[material]?.rate;
+    if (baseRate === undefined || currentRate === undefined) {
+      throw new Error(`No ${material} index on or before ${baseRate === undefined ? base.reference_date : current.reference_date}`);
+    }
+
+    const delta = weight * (currentRate - baseRate);
+    pvPerKm += delta;
+    lines.push({
+      material,
+      weight_kg_per_km: weight,
+      base_rate: baseRate,
+      current_rate: currentRate,
+      change_percent: round(((currentRate - baseRate) / baseRate) * 100, 2),
+      pv_per_km: round(delta, 2)
+    });
+  }
+
+  const basePrice = decomposition.unit_price_per_km;
+  let ceilingApplied = false;
+  if (ceilingPercent !== null && ceilingPercent !== undefined && basePrice > 0) {
+    const limit = basePrice * (ceilingPercent / 100);
+    if (Math.abs(pvPerKm) > limit) {
+      pvPerKm = Math.sign(pvPerKm) * limit;
+      ceilingApplied = true;
+    }
+  }
+
+  return {
+    sku_id: decomposition.sku_id,
+    product_name: decomposition.product_name,
+    quantity_km: quantityKm,
+    base_date: base.date,
+    current_date: current.date,
+    lag_months: lagMonths,
+    base_price_per_km: basePrice,
+    lines,
+    pv_per_km: round(pvPerKm, 2),
+    pv_percent: basePrice > 0 ? round((pvPerKm / basePrice) * 100, 2) : 0,
+    ceiling_percent: ceilingPercent,
+    ceiling_applied: ceilingApplied,
+    adjusted_price_per_km: round(basePrice + pvPerKm, 2),
+    total_pv: round(pvPerKm * quantityKm, 2),
+    warnings: decomposition.warnings
+  };
+}
+
+/**
+ * Firm vs variable price quotation for a set of SKUs
+ * @param {object} params
+ * @param {array} params.items - [{ skuId, quantityKm }]
+ * @param {string} params.baseDate - Base date of the offer (default: today)
+ * @param {string} params.currentDate - Optional: compute PV as of this date
+ * @param {number} params.deliveryMonths - Delivery period the firm price must cover
+ * @param {number} params.exposureMonths - Escalation exposure (default: half the delivery period,
+ *                                         since metal is bought progressively)
+ */
+export function buildPriceVariationQuotation({
+  items = [],
+  baseDate,
+  currentDate = null,
+  deliveryMonths = 6,
+  exposureMonths = null,
+  lagMonths = 1,
+  ceilingPercent = null
+} = {}) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('items must be a non-empty array of { skuId, quantityKm }');
+  }
+
+  const offerDate = baseDate || dayjs().format('YYYY-MM-DD');
+  const exposure = exposureMonths ?? deliveryMonths / 2;
+  const base = getIndexRates(offerDate, { lagMonths });
+  const escalation = getEscalationRates();
+
+  const firmItems = [];
+  const variableItems = [];
+  const decompositions = [];
+
+  for (const item of items) {
+    const quantityKm = parseFloat(item.quantityKm ?? item.quantity_km) || 1;
+    const decomposition = decomposeSku(item.skuId || item.sku_id);
+    decompositions.push(decomposition);
+    const basePrice = decomposition.unit_price_per_km;
+
+    // Firm price: base price plus expected metal escalation over the exposure period
+    const loadingLines = Object.entries(escalation).map(([material, rule]) => {
+      const weight = decomposition.content_kg_per_km[material];
+      const rate = base.rates[material]?.rate || 0;
+      return {
+        material,
+        rule_id: rule.rule_id,
+        metal_value_per_km: round(weight * rate, 2),
+        loading_per_km: round(weight * rate * rule.annual_rate * (exposure / 12), 2)
+      };
+    }).filter(line => line.metal_value_per_km > 0);
+    const loadingPerKm = loadingLines.reduce((sum, line) => sum + line.loading_per_km, 0);
+    const firmPrice = basePrice + loadingPerKm;
+
+    firmItems.push({
+      sku_id: decomposition.sku_id,
+      product_name: decomposition.product_name,
+      quantity_km: quantityKm,
+      base_price_per_km: basePrice,
+      escalation_loading: loadingLines,
+      escalation_loading_per_km: round(loadingPerKm, 2),
+      firm_price_per_km: round(firmPrice, 2),
+      line_total: round(firmPrice * quantityKm, 2)
+    });
+
+    const variableItem = {
+      sku_id: decomposition.sku_id,
+      product_name: decomposition.product_name,
+      quantity_km: quantityKm,
+      base_price_per_km: basePrice,
+      line_total: round(basePrice * quantityKm, 2)
+    };
+    if (currentDate) {
+      const pv = calculatePriceVariation({
+        skuId: decomposition.sku_id,
+        quantityKm,
+        baseDate: offerDate,
+        currentDate,
+        lagMonths,
+        ceilingPercent
+      });
+      variableItem.pv_per_km = pv.pv_per_km;
+      variableItem.pv_percent = pv.pv_percent;
+      variableItem.adjusted_price_per_km = pv.adjusted_price_per_km;
+      variableItem.adjusted_line_total = round(pv.adjusted_price_per_km * quantityKm, 2);
+    }
+    variableItems.push(variableItem);
+  }
+
+  const firmTotal = firmItems.reduce((sum, i) => sum + i.line_total, 0);
+  const variableTotal = variableItems.reduce((sum, i) => sum + i.line_total, 0);
+  const adjustedTotal = currentDate
+    ? variableItems.reduce((sum, i) => sum + i.adjusted_line_total, 0)
+    : null;
+
+  return {
+    base_date: offerDate,
+    current_date: currentDate,
+    delivery_months: deliveryMonths,
+    exposure_months: exposure,
+    escalation_rules: escalation,
+    firm: {
+      price_basis: 'FIRM',
+      items: firmItems,
+      total: round(firmTotal, 2)
+    },
+    variable: {
+      price_basis: 'VARIABLE (PV clause)',
+      items: variableItems,
+      total: round(variableTotal, 2),
+      adjusted_total: adjustedTotal !== null ? round(adjustedTotal, 2) : null,
+      pv_total: adjustedTotal !== null ? round(adjustedTotal - variableTotal, 2) : null
+    },
+    firm_premium: round(firmTotal - variableTotal, 2),
+    firm_premium_percent: variableTotal > 0 ? round(((firmTotal - variableTotal) / variableTotal) * 100, 2) : 0,
+    annexure: buildPVAnnexure({ decompositions, baseRates: base, lagMonths, ceilingPercent }),
+    warnings: [
+      ...base.missing.map(m => `No ${m} index on or before ${base.reference_date}`),
+      ...decompositions.flatMap(d => d.warnings.map(w => `${d.sku_id}: ${w}`))
+    ]
+  };
+}
+
+/**
+ * PV formula annexure (weights per km and base indices) for the bid document
+ */
+export function buildPVAnnexure({ decompositions, baseRates, lagMonths = 1, ceilingPercent = null }) {
+  const pvMaterials = Object.keys(ESCALATION_RULES);
+
+  const baseIndices = pvMaterials
+    .filter(material => baseRates.rates[material])
+    .map(material => ({
+      material,
+      symbol: `${materialSymbol(material)}0`,
+      rate_inr_per_kg: baseRates.rates[material].rate,
+      index_date: baseRates.rates[material].index_date,
+      source: baseRates.rates[material].source
+    }));
+
+  const weights = decompositions.map(d => ({
+    sku_id: d.sku_id,
+    product_name: d.product_name,
+    base_price_per_km: d.unit_price_per_km,
+    ...Object.fromEntries(pvMaterials.map(m => [`${m}_kg_per_km`, d.content_kg_per_km[m]]))
+  }));
+
+  const formula = 'P = P0 + Wcu × (Cu − Cu0) + Wal × (Al − Al0) + Wst × (St − St0)';
+  const terms = [
+    'P   = Price per km payable at the time of supply',
+    'P0  = Quoted (base) price per km',
+    'W   = Weight of copper (cu), aluminium (al) and steel armour (st) in kg per km, as tabulated below',
+    `Cu0, Al0, St0 = Base rates in ₹/kg, ${lagMonths} month(s) prior to the base date`,
+    `Cu, Al, St    = Rates in ₹/kg, ${lagMonths} month(s) prior to the date of dispatch`
+  ];
+  const conditions = [
+    'Price variation is payable on both increase and decrease of rates.',
+    'Insulation and sheathing compounds (XLPE / PVC) are not subject to variation.',
+    ceilingPercent !== null && ceilingPercent !== undefined
+      ? `Variation is limited to ±${ceilingPercent}% of the base price.`
+      : 'No ceiling on variation.',
+    'For delays attributable to the supplier, the lower of the rates on the scheduled and actual dispatch dates applies.'
+  ];
+
+  const text = [
+    'ANNEXURE - PRICE VARIATION CLAUSE',
+    '',
+    formula,
+    '',
+    'where:',
+    ...terms.map(t => `  ${t}`),
+    '',
+    'Base indices:',
+    ...baseIndices.map(b => `  ${b.symbol} (${b.material}) = ₹${b.rate_inr_per_kg}/kg as on ${b.index_date}`),
+    '',
+    'Weights per km:',
+    ...weights.map(w => `  ${w.sku_id} ${w.product_name}: ` +
+      pvMaterials.filter(m => w[`${m}_kg_per_km`] > 0).map(m => `${m} ${w[`${m}_kg_per_km`]} kg`).join(', ')),
+    '',
+    'Conditions:',
+    ...conditions.map((c, i) => `  ${i + 1}. ${c}`)
+  ].join('\n');
+
+  return {
+    title: 'Price Variation Clause',
+    formula,
+    terms,
+    base_date: baseRates.date,
+    base_indices: baseIndices,
+    weights,
+    conditions,
+    text
+  };
+}
+
+function materialSymbol(material) {
+  return { copper: 'Cu', aluminium: 'Al', steel: 'St' }[material] || material;
+}
+
+function round(value, decimals = 0) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  PV_MATERIALS,
+  loadMetalIndices,
+  getIndexRates,
+  decomposeSku,
+  getEscalationRates,
+  calculatePriceVariation,
+  buildPriceVariationQuotation,
+  buildPVAnnexure
+};
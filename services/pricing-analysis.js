@@ -10,6 +10,8 @@
  */
 
 import { getOEMProducts, SERVICES_PRICING_TABLE } from './oem-datasheets.js';
+import { typeTestCoverage } from './type-test-certificates.js';
+import { supplyFromRfp, computeGst, bidTaxLines, taxRows } from './gst-engine.js';
 
 // Market value benchmarks per cable type (INR per km)
 // Based on industry standards and current market rates
@@ -295,11 +297,15 @@ export function analyzeQuotedPrice(quotedPrice, marketBenchmark, context = {}) {
  * Calculate scaled test costs based on project value
  * Tests are scaled to be 2-5% of project value total
  * 
+ * Type tests covered by a valid type-test certificate for every offered SKU are
+ * dropped (or charged at TYPE_TEST_CONFIG.coveredCostFactor) when SKUs are given.
+ * 
  * @param {number} projectValue - Total RFP value in INR
  * @param {Array} requiredTests - Array of required tests with test_id, name, test_category
+ * @param {Object} options - { skus: offered SKU IDs, standard: RFP standard, asOf: bid due date }
  * @returns {Object} Scaled test costs
  */
-export function calculateScaledTestCosts(projectValue, requiredTests = []) {
+export function calculateScaledTestCosts(projectValue, requiredTests = [], options = {}) {
   const scaledCosts = {
     routine: [],
     type: [],
@@ -338,6 +344,16 @@ export function calculateScaledTestCosts(projectValue, requiredTests = []) {
     { test_id: 'T003', name: 'Insulation Resistance', test_category: 'Routine Test' }
   ];
   
+  const { skus = [], standard = null, asOf } = options;
+  const coverage = skus.length > 0
+    ? typeTestCoverage({
+      tests: testsToPrice.filter(t => t.test_category === 'Type Test').map(t => ({ id: t.test_id, name: t.name || t.test_name })),
+      skuIds: skus,
+      standard,
+      asOf
+    })
+    : null;
+  
   // Scale each test cost based on project value
   for (const test of testsToPrice) {
     const category = testsByCategory[test.test_category] || 'routine';
@@ -376,6 +392,17 @@ export function calculateScaledTestCosts(projectValue, requiredTests = []) {
       percentage_of_project: Math.round((scaledPrice / projectValue) * 10000) / 100
     };
     
+    // Existing type-test reports replace (part of) the test
+    const covered = category === 'type' && coverage?.tests.find(e => e.id === test.test_id && e.cost_factor < 1);
+    if (covered) {
+      scaledPrice = Math.round(scaledPrice * covered.cost_factor);
+      scaledTest.uncovered_price = scaledTest.price_inr;
+      scaledTest.price_inr = scaledPrice;
+      scaledTest.scaled_price = scaledPrice;
+      scaledTest.covered_by_certificates = covered.certificate_ids;
+      scaledCosts.summary.certificateSavings = (scaledCosts.summary.certificateSavings || 0) + scaledTest.uncovered_price - scaledPrice;
+    }
+    
     scaledCosts[category].push(scaledTest);
     scaledCosts.summary[`${category}Total`] += scaledPrice;
   }
@@ -390,6 +417,16 @@ export function calculateScaledTestCosts(projectValue, requiredTests = []) {
   scaledCosts.summary.percentageOfProject = 
     Math.round((scaledCosts.summary.grandTotal / projectValue) * 10000) / 100;
   
+  if (coverage) {
+    scaledCosts.type_test_certificates = {
+      as_of: coverage.as_of,
+      covered_tests: coverage.tests.filter(e => e.cost_factor < 1).map(e => e.id),
+      savings: scaledCosts.summary.certificateSavings || 0,
+      certificates: coverage.certificates,
+      rejected: coverage.rejected
+    };
+  }
+  
   return scaledCosts;
 }
 
@@ -496,15 +533,22 @@ export function generatePricingAnalysis(rfp, matchedProducts, companyCredibility
     [...routineTests, ...typeTests, ...acceptanceTests]
   );
   
-  // Pricing summary
+  // Pricing summary (GST by HSN and place of supply on the counter-offer)
+  const subtotalWithTests = totalCounterOffer + analysis.test_analysis.summary.grandTotal;
+  const tax = computeGst(bidTaxLines({
+    products: analysis.products.map(p => ({ sku_id: p.sku_id, product_name: p.product_name, line_total_inr: p.counter_offer_line_total })),
+    testCost: analysis.test_analysis.summary.grandTotal
+  }), supplyFromRfp(rfp));
+  const gst = Math.round(tax.totals.total_tax);
   analysis.pricing_summary = {
     total_material_market_value: totalMarketValue,
     total_quoted_value: totalQuoted,
     recommended_counter_offer: totalCounterOffer,
     total_test_cost: analysis.test_analysis.summary.grandTotal,
-    subtotal_with_tests: totalCounterOffer + analysis.test_analysis.summary.grandTotal,
-    gst_18_percent: Math.round((totalCounterOffer + analysis.test_analysis.summary.grandTotal) * 0.18),
-    grand_total: Math.round((totalCounterOffer + analysis.test_analysis.summary.grandTotal) * 1.18),
+    subtotal_with_tests: subtotalWithTests,
+    gst,
+    gst_components: taxRows(tax),
+    grand_total: Math.round(subtotalWithTests + gst),
     potential_savings: Math.max(0, totalQuoted - totalCounterOffer),
     savings_percentage: Math.round(Math.max(0, (totalQuoted - totalCounterOffer) / totalQuoted * 100) * 100) / 100
   };
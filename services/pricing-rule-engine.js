@@ -0,0 +1,391 @@
+/**
+ * Pricing Rule Engine
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Evaluates every row of pricing_rules.csv against a quotation.
+ * Each rule is handled by its Parameter and Type:
+ * - percentage rules apply a rate to their basis (material, freight, subtotal, ...)
+ * - fixed rules add a per-km or lump-sum amount
+ * - conditional rules (remote location, express delivery, TPI, ...) are
+ *   toggled by the RFP context
+ * - commercial terms (EMD, PBG, LD, warranty, credit, ...) are reported
+ *   but do not change the price
+ *
+ * Every applied rule is emitted as a line item carrying its Rule_ID, and every
+ * rule row gets an evaluation record (applied / skipped / informational / unhandled).
+ */
+
+import { getCableDataset } from './cable-dataset-loader.js';
+import { sezStatus } from './gst-engine.js';
+
+// Order in which stages build up the price
+const STAGES = ['discount', 'material_charges', 'logistics', 'fixed', 'minimum_order', 'margin', 'payment', 'tax'];
+
+// Bulk discount tiers, highest first
+const BULK_DISCOUNT_TIERS = [
+  { parameter: 'Bulk_Discount_200km', minKm: 200 },
+  { parameter: 'Bulk_Discount_100km', minKm: 100 },
+  { parameter: 'Bulk_Discount_50km', minKm: 50 }
+];
+
+/**
+ * Rule handlers keyed by Parameter.
+ * stage: when the rule is evaluated; basis: what a percentage applies to;
+ * when: condition on the context (returns a skip reason or null);
+ * perKm: fixed value is multiplied by quantity_km.
+ */
+const RULE_HANDLERS = {
+  Bulk_Discount_50km: { stage: 'discount', tiered: true },
+  Bulk_Discount_100km: { stage: 'discount', tiered: true },
+  Bulk_Discount_200km: { stage: 'discount', tiered: true },
+
+  Insurance_Rate: { stage: 'material_charges', basis: 'material_net', label: 'Transit insurance' },
+  Handling_Charges: { stage: 'material_charges', basis: 'material_net', label: 'Loading / unloading' },
+  Third_Party_Inspection: {
+    stage: 'material_charges',
+    basis: 'material_net',
+    label: 'Third party inspection',
+    when: ctx => ctx.tpiRequired ? null : 'TPI not required by RFP'
+  },
+  Freight_Equalisation: {
+    stage: 'material_charges',
+    basis: 'material_net',
+    label: 'Freight equalisation',
+    when: ctx => ctx.freightEqualisation === false ? 'Freight equalisation disabled' : null
+  },
+  Installation_Support: {
+    stage: 'material_charges',
+    basis: 'material_net',
+    label: 'Installation supervision',
+    when: ctx => ctx.installationSupport ? null : 'Installation supervision not in scope'
+  },
+  Extended_Warranty_Cost: {
+    stage: 'material_charges',
+    basis: 'material_net',
+    label: 'Extended warranty',
+    multiplier: ctx => ctx.extendedWarrantyYears || 0,
+    when: ctx => ctx.extendedWarrantyYears > 0 ? null : 'No extended warranty requested'
+  },
+  Customs_Duty_Import: {
+    stage: 'material_charges',
+    basis: 'import_content',
+    label: 'Customs duty on imported content',
+    when: ctx => ctx.importContentValue > 0 ? null : 'No imported content'
+  },
+
+  Delivery_Cost_Per_km: {
+    stage: 'logistics',
+    perKm: true,
+    label: 'Delivery',
+    when: ctx => ctx.includeDelivery === false ? 'Delivery excluded' : null
+  },
+  Packaging_Cost_Per_km: {
+    stage: 'logistics',
+    perKm: true,
+    label: 'Drums & packaging',
+    when: ctx => ctx.includePackaging === false ? 'Packaging excluded' : null
+  },
+  Express_Delivery_Surcharge: {
+    stage: 'logistics',
+    basis: 'freight',
+    label: 'Express delivery surcharge',
+    when: ctx => ctx.expressDelivery ? null : 'Standard delivery schedule'
+  },
+  Remote_Location_Surcharge: {
+    stage: 'logistics',
+    basis: 'freight',
+    label: 'Remote location surcharge',
+    when: ctx => ctx.remoteLocation ? null : 'Delivery location not remote'
+  },
+
+  Technical_Documentation: { stage: 'fixed', label: 'Technical documentation' },
+  Quality_Certification: { stage: 'fixed', label: 'Quality certification & reports' },
+
+  Minimum_Order_Value: { stage: 'minimum_order', label: 'Minimum order value top-up' },
+
+  Profit_Margin: { stage: 'margin', basis: 'subtotal', label: 'Profit margin' },
+
+  Early_Payment_Discount: {
+    stage: 'payment',
+    basis: 'pre_payment_total',
+    label: 'Early payment discount',
+    sign: -1,
+    when: ctx => ctx.advancePayment ? null : 'No advance payment'
+  },
+
+  GST_Rate: {
+    stage: 'tax',
+    basis: 'taxable_value',
+    label: 'GST',
+    when: ctx => ctx.zeroRated ? 'Zero-rated supply (SEZ / export) under LUT' : null
+  }
+};
+
+// Rules that are commercial terms, not price lines
+const INFORMATIONAL_RULES = {
+  EMD_Percentage: 'Bid security (EMD), refundable',
+  Performance_Guarantee: 'Performance bank guarantee, non-priced',
+  Retention_Money: 'Retention against payment, non-priced',
+  LD_Per_Week: 'Liquidated damages exposure, non-priced',
+  Max_LD_Cap: 'Liquidated damages cap, non-priced',
+  Warranty_Period_Months: 'Standard warranty, included in price',
+  Credit_Period_Days: 'Payment credit period',
+  Price_Escalation_Steel: 'Used by the price variation (PV) calculator',
+  Price_Escalation_Copper: 'Used by the price variation (PV) calculator',
+  Price_Escalation_Aluminium: 'Used by the price variation (PV) calculator'
+};
+
+// Keywords in RFP text that switch on conditional rules
+const CONTEXT_KEYWORDS = {
+  remoteLocation: [/remote (area|location|site)/i, /north[- ]?east/i, /andaman/i, /lakshadweep/i, /ladakh/i, /hilly/i, /island/i],
+  expressDelivery: [/express delivery/i, /urgent (delivery|supply)/i, /emergency (procurement|supply)/i, /within \d{1,2} days/i],
+  tpiRequired: [/third[- ]party inspection/i, /\bTPI\b/, /inspection by (an )?independent/i]
+};
+
+/**
+ * Derive rule toggles from an RFP (text fields and explicit flags)
+ * @param {object} rfp - RFP / tender object
+ * @returns {object} - { remoteLocation, expressDelivery, tpiRequired, sez, matched, notes, deliveryCity,
+ *   placeOfSupply, buyerGstin, export }
+ */
+export function deriveRuleContext(rfp = {}) {
+  const text = [
+    rfp.title, rfp.summary, rfp.description, rfp.scope, rfp.location, rfp.city, rfp.state,
+    rfp.delivery_location, rfp.delivery_terms, rfp.inspection, rfp.special_conditions,
+    ...(Array.isArray(rfp.requirements) ? rfp.requirements : [])
+  ].filter(v => typeof v === 'string').join(' \n ');
+
+  const context = {};
+  const matched = {};
+  for (const [flag, patterns] of Object.entries(CONTEXT_KEYWORDS)) {
+    const hit = patterns.find(p => p.test(text));
+    context[flag] = Boolean(hit);
+    if (hit) matched[flag] = hit.source;
+  }
+
+  // Delivery city prices freight by distance instead of per km of cable
+  const deliveryCity = [rfp.delivery_location, rfp.city, rfp.location].find(v => typeof v === 'string' && v.trim()) || null;
+
+  // Place of supply for the IGST vs CGST + SGST split
+  const placeOfSupply = rfp.place_of_supply || rfp.state || null;
+  const buyerGstin = rfp.buyer_gstin || rfp.gstin || null;
+  const isExport = typeof rfp.country === 'string' && !/^india$/i.test(rfp.country.trim());
+
+  // Zero-rating needs the buyer's SEZ status; a mention in the text is only a note
+  const { sez, mentioned } = sezStatus(rfp);
+  const notes = mentioned && !sez ? ['RFP mentions SEZ but the buyer is not flagged as an SEZ unit; GST charged'] : [];
+
+  return { ...context, sez, matched, notes, deliveryCity, placeOfSupply, buyerGstin, export: isExport };
+}
+
+/**
+ * Normalize rule rows to { rule_id, parameter, value, type, description }
+ */
+function normalizeRules(rules) {
+  const rows = Array.isArray(rules)
+    ? rules
+    : Object.entries(rules || {}).map(([ruleId, rule]) => ({ rule_id: ruleId, ...rule }));
+
+  return rows.map(r => ({
+    rule_id: r.rule_id || r.Rule_ID,
+    parameter: r.parameter || r.Parameter,
+    value: parseFloat(r.value ?? r.Value) || 0,
+    type: (r.type || r.Type || '').toLowerCase(),
+    description: r.description || r.Description || ''
+  }));
+}
+
+/**
+ * Apply the pricing rule set to a quotation
+ * @param {object} params
+ * @param {number} params.materialCost - Material value (quantity × unit price)
+ * @param {number} params.quantityKm - Total cable length in km
+ * @param {number} params.chargeableKm - Length for per-km charges (defaults to quantityKm)
+ * @param {number} params.testingCost - Testing cost (added before margin)
+ * @param {number} params.additionalDiscountRate - Negotiated discount on top of bulk tiers (0.05 = 5%)
+ * @param {number} params.profitMarginRate - Overrides the Profit_Margin rule when set
+ * @param {object} params.context - RFP toggles (remoteLocation, expressDelivery, tpiRequired, ...)
+ * @param {array|object} params.rules - Rule rows; defaults to pricing_rules.csv
+ * @param {object} params.amountOverrides - { [Parameter]: { amount, ...detail } } replaces a fixed rule's
+ *   computed amount with a worked-out one (e.g. packaging from the drum schedule)
+ * @returns {object} - { line_items, rules_evaluated, totals }
+ */
+export function applyPricingRules({
+  materialCost,
+  quantityKm,
+  chargeableKm = null,
+  testingCost = 0,
+  additionalDiscountRate = 0,
+  profitMarginRate = null,
+  context = {},
+  rules = null,
+  amountOverrides = {}
+}) {
+  const ruleRows = normalizeRules(rules || getCableDataset().getPricingRules());
+  const lineItems = [];
+  const evaluated = [];
+
+  const amounts = {
+    material: materialCost,
+    discount: 0,
+    material_charges: 0,
+    freight: 0,
+    logistics: 0,
+    fixed: 0,
+    testing: testingCost,
+    minimum_order: 0,
+    margin: 0,
+    payment: 0,
+    tax: 0
+  };
+
+  const addLine = (rule, label, stage, amount, extra = {}) => {
+    lineItems.push({
+      rule_id: rule?.rule_id || null,
+      parameter: rule?.parameter || null,
+      type: rule?.type || null,
+      stage,
+      label,
+      ...extra,
+      amount: Math.round(amount * 100) / 100
+    });
+  };
+
+  const record = (rule, status, detail = {}) => {
+    evaluated.push({ rule_id: rule.rule_id, parameter: rule.parameter, type: rule.type, value: rule.value, status, ...detail });
+  };
+
+  // Bulk discount: only the highest qualifying tier applies
+  const activeTier = BULK_DISCOUNT_TIERS.find(t => quantityKm >= t.minKm && ruleRows.some(r => r.parameter === t.parameter));
+
+  const byStage = Object.fromEntries(STAGES.map(s => [s, []]));
+  for (const rule of ruleRows) {
+    const handler = RULE_HANDLERS[rule.parameter];
+    if (handler) {
+      byStage[handler.stage].push({ rule, handler });
+    } else if (INFORMATIONAL_RULES[rule.parameter]) {
+      record(rule, 'informational', { reason: INFORMATIONAL_RULES[rule.parameter] });
+    } else {
+      record(rule, 'unhandled', { reason: `No handler for parameter ${rule.parameter}` });
+    }
+  }
+
+  const basisValue = (basis) => {
+    const materialNet = amounts.material - amounts.discount;
+    const subtotal = materialNet + amounts.material_charges + amounts.logistics + amounts.fixed + amounts.testing + amounts.minimum_order;
+    switch (basis) {
+      case 'material_net': return materialNet;
+      case 'freight': return amounts.freight;
+      case 'import_content': return context.importContentValue || 0;
+      case 'subtotal': return subtotal;
+      case 'pre_payment_total': return subtotal + amounts.margin;
+      case 'taxable_value': return subtotal + amounts.margin + amounts.payment;
+      default: return 0;
+    }
+  };
+
+  for (const stage of STAGES) {
+    // Per-km logistics first, so freight surcharges see the freight amount
+    const entries = stage === 'logistics'
+      ? [...byStage[stage]].sort((a, b) => Number(!a.handler.perKm) - Number(!b.handler.perKm))
+      : byStage[stage];
+
+    for (const { rule, handler } of entries) {
+      const skipReason = handler.when ? handler.when(context) : null;
+      if (skipReason) {
+        record(rule, 'skipped', { reason: skipReason });
+        continue;
+      }
+
+      if (handler.tiered) {
+        if (!activeTier || activeTier.parameter !== rule.parameter) {
+          record(rule, 'skipped', { reason: `Quantity ${quantityKm} km not in this discount tier` });
+          continue;
+        }
+        const amount = amounts.material * rule.value;
+        amounts.discount += amount;
+        addLine(rule, `Bulk discount (${quantityKm} km)`, stage, -amount, { basis: 'material', basis_value: amounts.material, rate: rule.value });
+        record(rule, 'applied', { amount: -amount });
+        continue;
+      }
+
+      if (rule.parameter === 'Minimum_Order_Value') {
+        const orderValue = basisValue('subtotal');
+        if (orderValue >= rule.value) {
+          record(rule, 'skipped', { reason: `Order value ${Math.round(orderValue)} meets minimum ${rule.value}` });
+          continue;
+        }
+        const topUp = rule.value - orderValue;
+        amounts.minimum_order += topUp;
+        addLine(rule, handler.label, stage, topUp, { basis: 'subtotal', basis_value: orderValue, value: rule.value });
+        record(rule, 'applied', { amount: topUp });
+        continue;
+      }
+
+      let amount;
+      let detail;
+      if (rule.type === 'percentage') {
+        const rate = rule.parameter === 'Profit_Margin' && profitMarginRate !== null ? profitMarginRate : rule.value;
+        const base = basisValue(handler.basis);
+        const multiplier = handler.multiplier ? handler.multiplier(context) : 1;
+        amount = base * rate * multiplier * (handler.sign || 1);
+        detail = { basis: handler.basis, basis_value: base, rate, ...(multiplier !== 1 ? { multiplier } : {}) };
+      } else if (rule.type === 'fixed' && amountOverrides[rule.parameter]) {
+        const { amount: override, ...overrideDetail } = amountOverrides[rule.parameter];
+        amount = override;
+        detail = { value: rule.value, overridden: true, ...overrideDetail };
+      } else if (rule.type === 'fixed') {
+        const perKmQuantity = chargeableKm ?? quantityKm;
+        amount = handler.perKm ? rule.value * perKmQuantity : rule.value;
+        detail = handler.perKm ? { value: rule.value, per: 'km', quantity_km: perKmQuantity } : { value: rule.value, per: 'order' };
+      } else {
+        record(rule, 'unhandled', { reason: `Unknown rule type "${rule.type}"` });
+        continue;
+      }
+
+      amounts[stage] += amount;
+      if (handler.perKm && stage === 'logistics') {
+        amounts.freight += amount;
+      }
+      addLine(rule, handler.label, stage, amount, detail);
+      record(rule, 'applied', { amount });
+    }
+
+    // Negotiated discount sits with the bulk discount, on material value
+    if (stage === 'discount' && additionalDiscountRate > 0) {
+      const amount = amounts.material * additionalDiscountRate;
+      amounts.discount += amount;
+      addLine(null, 'Negotiated discount', stage, -amount, { basis: 'material', basis_value: amounts.material, rate: additionalDiscountRate });
+    }
+  }
+
+  const subtotal = basisValue('subtotal');
+  const preGst = subtotal + amounts.margin + amounts.payment;
+
+  return {
+    line_items: lineItems,
+    rules_evaluated: evaluated,
+    context,
+    totals: {
+      material: amounts.material,
+      discount: amounts.discount,
+      material_net: amounts.material - amounts.discount,
+      material_charges: amounts.material_charges,
+      logistics: amounts.logistics,
+      fixed_charges: amounts.fixed,
+      testing: amounts.testing,
+      minimum_order_top_up: amounts.minimum_order,
+      subtotal,
+      margin: amounts.margin,
+      payment_discount: -amounts.payment,
+      pre_gst: preGst,
+      gst: amounts.tax,
+      grand_total: preGst + amounts.tax
+    }
+  };
+}
+
+export default {
+  applyPricingRules,
+  deriveRuleContext
+};
@@ -0,0 +1,203 @@
+/**
+ * Reminder Delivery Channels
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Pluggable delivery channels used by the reminder daemon.
+ * Each channel is an async function (reminder) => void that throws on failure,
+ * so the daemon can record the error and retry.
+ *
+ * Built-in channels:
+ * - ui:      in-app notification streamed over SSE (/api/reminders/stream)
+ * - email:   SMTP via nodemailer (SMTP_* env vars)
+ * - webhook: JSON POST to REMINDER_WEBHOOK_URL (or a reminder.target listed
+ *            in REMINDER_WEBHOOK_TARGETS)
+ *
+ * Other notices (e.g. tender revisions) go through the same channels by
+ * passing their own `event`, `subject` and `body`.
+ */
+
+import { EventEmitter } from 'events';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import nodemailer from 'nodemailer';
+import { REMINDER_CONFIG, REVISION_CONFIG } from '../configs/settings.js';
+
+const MILESTONE_LABELS = {
+  due: 'Bid submission deadline',
+  preBid: 'Pre-bid meeting',
+  clarification: 'Clarification deadline',
+  emd: 'EMD submission'
+};
+
+// In-app notifications are fanned out to SSE subscribers through this emitter
+export const reminderNotifications = new EventEmitter();
+reminderNotifications.setMaxListeners(100);
+
+const channels = new Map();
+let smtpTransport = null;
+
+/**
+ * Register (or replace) a delivery channel
+ */
+export function registerChannel(name, handler) {
+  if (typeof handler !== 'function') {
+    throw new Error(`Reminder channel "${name}" must be a function`);
+  }
+  channels.set(name, handler);
+}
+
+/**
+ * Get names of all registered channels
+ */
+export function listChannels() {
+  return [...channels.keys()];
+}
+
+function channelError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Webhook URLs a reminder may post to: the configured ones only
+ */
+function allowedWebhookTargets() {
+  return [REMINDER_CONFIG.webhookUrl, ...REMINDER_CONFIG.webhookTargets, REVISION_CONFIG.notifyTarget].filter(Boolean);
+}
+
+/**
+ * Check a caller-supplied channel and target before a reminder is stored.
+ * Throws (status 400) for an unknown channel or a webhook target that is not configured.
+ */
+export function validateDelivery(channel, target = null) {
+  if (!channels.has(channel)) {
+    throw channelError(`Unknown reminder channel: ${channel} (available: ${listChannels().join(', ')})`);
+  }
+  if (channel === 'webhook' && target && !allowedWebhookTargets().includes(target)) {
+    throw channelError('Webhook target is not a configured URL: add it to REMINDER_WEBHOOK_TARGETS');
+  }
+}
+
+/**
+ * Deliver a reminder through its channel. Throws if the channel is unknown or fails.
+ */
+export async function deliverReminder(reminder) {
+  const handler = channels.get(reminder.channel);
+  if (!handler) {
+    throw new Error(`Unknown reminder channel: ${reminder.channel}`);
+  }
+  await handler(reminder);
+}
+
+/**
+ * Build the human-readable subject and body for a reminder
+ */
+export function formatReminder(reminder) {
+  if (reminder.subject && reminder.body) {
+    return { subject: reminder.subject, body: reminder.body };
+  }
+  const label = MILESTONE_LABELS[reminder.milestone] || MILESTONE_LABELS.due;
+  const milestoneAt = reminder.milestoneAt ? dayjs(reminder.milestoneAt) : null;
+  const lead = formatLeadTime(reminder.offsetMinutes);
+
+  const subject = `${lead ? `[T-${lead}] ` : ''}${label}: ${reminder.title || reminder.rfpId}`;
+  const body = [
+    `${label} for tender ${reminder.rfpId}${lead ? ` is in ${lead}` : ''}.`,
+    '',
+    `Title: ${reminder.title || 'N/A'}`,
+    `Buyer: ${reminder.buyerName || 'N/A'}`,
+    `${label}: ${milestoneAt ? milestoneAt.format('DD MMM YYYY HH:mm') : 'N/A'}`
+  ].join('\n');
+
+  return { subject, body };
+}
+
+/**
+ * 10080 -> "7d", 1440 -> "24h", 120 -> "2h", 45 -> "45m"
+ */
+function formatLeadTime(minutes) {
+  if (!minutes) return null;
+  if (minutes % (24 * 60) === 0 && minutes > 24 * 60) return `${minutes / (24 * 60)}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+function getSmtpTransport() {
+  const { smtp } = REMINDER_CONFIG;
+  if (!smtp.host) {
+    throw new Error('SMTP_HOST not configured');
+  }
+  if (!smtpTransport) {
+    smtpTransport = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    });
+  }
+  return smtpTransport;
+}
+
+// ============= BUILT-IN CHANNELS =============
+
+registerChannel('ui', async (reminder) => {
+  const { subject, body } = formatReminder(reminder);
+  reminderNotifications.emit('notification', {
+    id: reminder.id,
+    event: reminder.event || 'rfp.reminder',
+    rfpId: reminder.rfpId,
+    milestone: reminder.milestone,
+    remindAt: reminder.remindAt,
+    subject,
+    body,
+    timestamp: new Date().toISOString()
+  });
+});
+
+registerChannel('email', async (reminder) => {
+  const to = reminder.target || REMINDER_CONFIG.smtp.to;
+  if (!to) {
+    throw new Error('No recipient: set REMINDER_EMAIL_TO or reminder target');
+  }
+  const { subject, body } = formatReminder(reminder);
+  await getSmtpTransport().sendMail({
+    from: REMINDER_CONFIG.smtp.from,
+    to,
+    subject,
+    text: body
+  });
+});
+
+registerChannel('webhook', async (reminder) => {
+  const url = reminder.target || REMINDER_CONFIG.webhookUrl;
+  if (!url) {
+    throw new Error('No webhook URL: set REMINDER_WEBHOOK_URL or reminder target');
+  }
+  // Reminders stored before targets were checked must not reach arbitrary hosts either
+  if (!allowedWebhookTargets().includes(url)) {
+    throw new Error(`Webhook target is not a configured URL: ${url}`);
+  }
+  const { subject, body } = formatReminder(reminder);
+  await axios.post(url, {
+    event: reminder.event || 'rfp.reminder',
+    reminderId: reminder.id,
+    rfpId: reminder.rfpId,
+    milestone: reminder.milestone,
+    milestoneAt: reminder.milestoneAt,
+    remindAt: reminder.remindAt,
+    offsetMinutes: reminder.offsetMinutes,
+    ...(reminder.revision ? { revision: reminder.revision, kind: reminder.kind, changes: reminder.changes, stale: reminder.stale } : {}),
+    subject,
+    text: body
+  }, { timeout: 10000 });
+});
+
+export default {
+  registerChannel,
+  listChannels,
+  deliverReminder,
+  validateDelivery,
+  formatReminder,
+  reminderNotifications
+};
@@ -3,32 +3,180 @@ import cron from 'node-cron';
 import dayjs from 'dayjs';
 import { getRfp } from './rfpMemory.js';
 import ics from 'ics';
+import { REMINDER_CONFIG } from '../configs/settings.js';
+import { deliverReminder, validateDelivery } from './reminder-channels.js';
+import { registerArtefact } from './tender-revisions.js';
+
+// Tender milestone -> rfps column
+const MILESTONE_COLUMNS = {
+  due: 'dueDate',
+  preBid: 'preBidDate',
+  clarification: 'clarificationDueDate',
+  emd: 'emdDueDate'
+};
 
 const addReminder = db.prepare(`
-  INSERT INTO reminders (rfpId, remindAt, channel, status, createdAt) 
-  VALUES (?, ?, ?, ?, ?)
+  INSERT INTO reminders (rfpId, remindAt, channel, status, createdAt, milestone, offsetMinutes, target, attempts)
+  VALUES (@rfpId, @remindAt, @channel, 'scheduled', @createdAt, @milestone, @offsetMinutes, @target, 0)
 `);
 
 const listDue = db.prepare(`
-  SELECT r.*, f.buyerName, f.title, f.dueDate
+  SELECT r.*, f.buyerName, f.title, f.dueDate, f.preBidDate, f.clarificationDueDate, f.emdDueDate
   FROM reminders r 
   JOIN rfps f ON r.rfpId = f.id
-  WHERE r.status = 'scheduled' AND r.remindAt <= ? 
+  WHERE r.status IN ('scheduled', 'retrying') AND r.remindAt <= ? 
   ORDER BY r.remindAt ASC
 `);
 
 const markSent = db.prepare(`
-  UPDATE reminders SET status = 'sent' WHERE id = ?
+  UPDATE reminders
+  SET status = 'sent', sentAt = @now, lastAttemptAt = @now, attempts = attempts + 1, lastError = NULL
+  WHERE id = @id
+`);
+
+const markFailedAttempt = db.prepare(`
+  UPDATE reminders
+  SET status = @status, remindAt = @remindAt, lastAttemptAt = @now, attempts = attempts + 1, lastError = @error
+  WHERE id = @id
 `);
 
 const getRemindersForRfp = db.prepare(`
   SELECT * FROM reminders WHERE rfpId = ? ORDER BY remindAt ASC
 `);
 
-export function scheduleReminder({ rfpId, remindAt, channel = 'ui' }) {
-  const now = dayjs().toISOString();
-  addReminder.run(rfpId, remindAt, channel, 'scheduled', now);
-  console.log(`⏰ Reminder scheduled for ${rfpId} at ${remindAt}`);
+const deletePendingForRfp = db.prepare(`
+  DELETE FROM reminders WHERE rfpId = ? AND status IN ('scheduled', 'retrying')
+`);
+
+/**
+ * Resolve a stored milestone value to an absolute time.
+ * Date-only values get the default due time, and values without an
+ * explicit offset are read as IST. Indian tender dates (DD-MM-YYYY or
+ * DD/MM/YYYY) are read day-first.
+ */
+export function resolveMilestoneTime(value) {
+  if (!value) return null;
+  let str = String(value).trim();
+
+  const dayFirst = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:[T ,]+(\d{1,2}:\d{2}(?::\d{2})?))?$/);
+  if (dayFirst) {
+    const [, day, month, year, time] = dayFirst;
+    str = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}${time ? ` ${time.padStart(5, '0')}` : ''}`;
+  }
+
+  let iso = str;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    iso = `${str}T${REMINDER_CONFIG.defaultDueTime}:00${REMINDER_CONFIG.timezoneOffset}`;
+  } else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(str)) {
+    iso = `${str.replace(' ', 'T')}${REMINDER_CONFIG.timezoneOffset}`;
+  }
+
+  const parsed = dayjs(iso);
+  return parsed.isValid() ? parsed : null;
+}
+
+/**
+ * Get the absolute time of each known milestone for an RFP row
+ */
+export function getMilestones(rfp) {
+  const milestones = {};
+  for (const [milestone, column] of Object.entries(MILESTONE_COLUMNS)) {
+    const at = resolveMilestoneTime(rfp?.[column]);
+    if (at) milestones[milestone] = at.toISOString();
+  }
+  return milestones;
+}
+
+/**
+ * Schedule a single reminder.
+ * Pass either an absolute remindAt, or minutesBefore relative to a tender milestone.
+ */
+export function scheduleReminder({ rfpId, remindAt, minutesBefore, offsetMinutes = null, milestone = 'due', channel = 'ui', target = null }) {
+  if (!MILESTONE_COLUMNS[milestone]) {
+    throw new Error(`Unknown milestone: ${milestone}`);
+  }
+  validateDelivery(channel, target);
+
+  if (!remindAt) {
+    const { rfp } = getRfp(rfpId);
+    if (!rfp) {
+      throw new Error(`RFP not found: ${rfpId}`);
+    }
+    const milestoneAt = resolveMilestoneTime(rfp[MILESTONE_COLUMNS[milestone]]);
+    if (!milestoneAt) {
+      throw new Error(`RFP ${rfpId} has no ${milestone} date`);
+    }
+    offsetMinutes = Number(minutesBefore) || 0;
+    remindAt = milestoneAt.subtract(offsetMinutes, 'minute').toISOString();
+  }
+
+  addReminder.run({
+    rfpId,
+    remindAt,
+    channel,
+    createdAt: dayjs().toISOString(),
+    milestone,
+    offsetMinutes,
+    target
+  });
+  console.log(`⏰ Reminder scheduled for ${rfpId} at ${remindAt} (${channel})`);
+  return { rfpId, remindAt, channel, milestone, offsetMinutes };
+}
+
+/**
+ * Attach a reminder policy to an RFP, replacing its pending reminders.
+ * A policy maps milestones to offsets in minutes before that milestone,
+ * e.g. { due: [10080, 4320, 1440, 120], preBid: [1440] }.
+ * Reminders whose time has already passed are skipped.
+ */
+export function applyReminderPolicy(rfpId, { policy = REMINDER_CONFIG.defaultPolicy, channels = REMINDER_CONFIG.defaultChannels, target = null } = {}) {
+  const { rfp } = getRfp(rfpId);
+  if (!rfp) {
+    throw new Error(`RFP not found: ${rfpId}`);
+  }
+
+  const milestones = getMilestones(rfp);
+  const now = dayjs();
+  const scheduled = [];
+  const skipped = [];
+
+  const transaction = db.transaction(() => {
+    deletePendingForRfp.run(rfpId);
+
+    for (const [milestone, offsets] of Object.entries(policy)) {
+      if (!MILESTONE_COLUMNS[milestone]) {
+        throw new Error(`Unknown milestone: ${milestone}`);
+      }
+      if (!milestones[milestone]) {
+        skipped.push({ milestone, reason: 'no_date' });
+        continue;
+      }
+
+      for (const offsetMinutes of offsets) {
+        const remindAt = dayjs(milestones[milestone]).subtract(offsetMinutes, 'minute');
+        if (remindAt.isBefore(now)) {
+          skipped.push({ milestone, offsetMinutes, reason: 'in_past' });
+          continue;
+        }
+        for (const channel of channels) {
+          scheduled.push(scheduleReminder({
+            rfpId,
+            remindAt: remindAt.toISOString(),
+            offsetMinutes,
+            milestone,
+            channel,
+            target
+          }));
+        }
+      }
+    }
+  });
+
+  transaction();
+  // Reminders now follow the current dates again
+  registerArtefact(rfpId, 'reminders');
+
+  return { rfpId, milestones, scheduled, skipped };
 }
 
 export function getReminders(rfpId) {
@@ -36,26 +184,188 @@ export function getReminders(rfpId) {
 }
 
 let reminderCallback = null;
+let daemonTask = null;
 
-export function startReminderDaemon(notifyFn) {
-  reminderCallback = notifyFn;
-  
-  cron.schedule('* * * * *', () => {
-    const now = dayjs().toISOString();
-    const due = listDue.all(now);
-    
-    for (const reminder of due) {
+/**
+ * Deliver every due reminder through its channel.
+ * Failures are retried with exponential backoff until maxAttempts, then marked failed.
+ */
+export async function dispatchDueReminders() {
+  const now = dayjs();
+  const due = listDue.all(now.toISOString());
+  const results = [];
+
+  for (const reminder of due) {
+    const milestones = getMilestones(reminder);
+    const enriched = { ...reminder, milestoneAt: milestones[reminder.milestone || 'due'] || null };
+
+    try {
+      await deliverReminder(enriched);
+      markSent.run({ id: reminder.id, now: dayjs().toISOString() });
       if (reminderCallback) {
-        reminderCallback(reminder);
+        reminderCallback(enriched);
       }
-      markSent.run(reminder.id);
       console.log(`✅ Reminder sent for ${reminder.rfpId} (${reminder.channel})`);
+      results.push({ id: reminder.id, status: 'sent' });
+    } catch (error) {
+      const attempts = (reminder.attempts || 0) + 1;
+      const exhausted = attempts >= REMINDER_CONFIG.maxAttempts;
+      const retryAt = now.add(REMINDER_CONFIG.retryDelayMinutes * 2 ** (attempts - 1), 'minute');
+
+      markFailedAttempt.run({
+        id: reminder.id,
+        status: exhausted ? 'failed' : 'retrying',
+        remindAt: exhausted ? reminder.remindAt : retryAt.toISOString(),
+        now: dayjs().toISOString(),
+        error: error.message
+      });
+      console.warn(`⚠️  Reminder ${reminder.id} for ${reminder.rfpId} (${reminder.channel}) failed [${attempts}/${REMINDER_CONFIG.maxAttempts}]: ${error.message}`);
+      results.push({ id: reminder.id, status: exhausted ? 'failed' : 'retrying', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+export function startReminderDaemon(notifyFn) {
+  reminderCallback = notifyFn;
+
+  if (daemonTask) return;
+
+  let running = false;
+  daemonTask = cron.schedule('* * * * *', async () => {
+    // Skip a tick rather than overlap with slow channels
+    if (running) return;
+    running = true;
+    try {
+      await dispatchDueReminders();
+    } catch (error) {
+      console.error('Reminder daemon error:', error);
+    } finally {
+      running = false;
     }
   });
   
   console.log('⏰ Reminder daemon started (checking every minute)');
 }
 
+// Calendar event shape per milestone
+const CALENDAR_EVENTS = {
+  due: { label: 'Bid Due', durationMinutes: 30, categories: ['Tender', 'Deadline'] },
+  preBid: { label: 'Pre-Bid Meeting', durationMinutes: 60, categories: ['Tender', 'Meeting'] },
+  clarification: { label: 'Clarification Deadline', durationMinutes: 30, categories: ['Tender', 'Deadline'] },
+  emd: { label: 'EMD Submission', durationMinutes: 30, categories: ['Tender', 'EMD'] }
+};
+
+const IST_FORMAT = new Intl.DateTimeFormat('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const listTrackedRfps = db.prepare(`
+  SELECT * FROM rfps
+  WHERE dueDate IS NOT NULL OR preBidDate IS NOT NULL OR clarificationDueDate IS NOT NULL OR emdDueDate IS NOT NULL
+  ORDER BY dueDate ASC
+`);
+
+const listAlarmReminders = db.prepare(`
+  SELECT rfpId, milestone, remindAt, offsetMinutes FROM reminders
+  WHERE status IN ('scheduled', 'retrying', 'sent')
+`);
+
+/**
+ * Stable event UID so re-subscribed calendars update events instead of duplicating them
+ */
+function eventUid(rfpId, milestone) {
+  const safeId = String(rfpId).replace(/[^A-Za-z0-9._-]/g, '_');
+  return `${safeId}-${milestone}@conrad-rfp`;
+}
+
+/**
+ * Build calendar events (one per known milestone) for an RFP row.
+ * Reminders attached to a milestone become VALARMs on its event.
+ */
+function buildRfpEvents(rfp, reminders = []) {
+  const milestones = getMilestones(rfp);
+  const events = [];
+
+  for (const [milestone, startAt] of Object.entries(milestones)) {
+    const { label, durationMinutes, categories } = CALENDAR_EVENTS[milestone];
+    const start = dayjs(startAt);
+
+    const leadMinutes = [...new Set(
+      reminders
+        .filter(r => (r.milestone || 'due') === milestone)
+        .map(r => r.offsetMinutes ?? start.diff(dayjs(r.remindAt), 'minute'))
+        .filter(m => m >= 0)
+    )].sort((a, b) => b - a);
+
+    events.push({
+      uid: eventUid(rfp.id, milestone),
+      title: `${label}: ${rfp.title || rfp.id}`,
+      description: [
+        `Buyer: ${rfp.buyerName || 'N/A'} | Tender ID: ${rfp.id}`,
+        `Estimated Cost: ${rfp.estCost ? '₹' + rfp.estCost.toLocaleString('en-IN') : 'N/A'}`,
+        `${label}: ${IST_FORMAT.format(start.toDate())} IST`
+      ].join('\n'),
+      location: rfp.city || undefined,
+      start: start.valueOf(),
+      startInputType: 'utc',
+      startOutputType: 'utc',
+      duration: { minutes: durationMinutes },
+      lastModified: rfp.updatedAt ? dayjs(rfp.updatedAt).valueOf() : undefined,
+      status: 'CONFIRMED',
+      categories,
+      alarms: leadMinutes.map(minutes => ({
+        action: 'display',
+        description: `${label}: ${rfp.title || rfp.id}`,
+        trigger: { before: true, minutes }
+      }))
+    });
+  }
+
+  return events;
+}
+
+function createCalendar(events, calName) {
+  return new Promise((resolve) => {
+    ics.createEvents(events, { productId: 'conrad-rfp/bid-calendar', method: 'PUBLISH', calName }, (error, value) => {
+      if (error) {
+        resolve({ ok: false, msg: String(error) });
+      } else {
+        resolve({ ok: true, ics: value, eventCount: events.length });
+      }
+    });
+  });
+}
+
+/**
+ * Build the subscribable bid calendar: every tracked RFP's due date,
+ * pre-bid meeting, clarification deadline and EMD date, with reminders as alarms.
+ */
+export async function buildCalendarFeed() {
+  const rfps = listTrackedRfps.all();
+  const remindersByRfp = new Map();
+  for (const reminder of listAlarmReminders.all()) {
+    if (!remindersByRfp.has(reminder.rfpId)) remindersByRfp.set(reminder.rfpId, []);
+    remindersByRfp.get(reminder.rfpId).push(reminder);
+  }
+
+  const events = rfps.flatMap(rfp => buildRfpEvents(rfp, remindersByRfp.get(rfp.id)));
+
+  if (events.length === 0) {
+    // An empty VCALENDAR is still a valid subscription
+    return {
+      ok: true,
+      eventCount: 0,
+      ics: 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:conrad-rfp/bid-calendar\r\nMETHOD:PUBLISH\r\nX-WR-CALNAME:ConRad Bid Calendar\r\nEND:VCALENDAR\r\n'
+    };
+  }
+
+  return createCalendar(events, 'ConRad Bid Calendar');
+}
+
 export async function buildICS({ rfpId }) {
   const { rfp } = getRfp(rfpId);
   
@@ -64,31 +374,12 @@ export async function buildICS({ rfpId }) {
   }
   
   try {
-    const dateMatch = rfp.dueDate.match(/^(\d{4})-(\d{2})-(\d{2})/);
-    if (!dateMatch) {
+    const events = buildRfpEvents(rfp, getReminders(rfpId));
+    if (events.length === 0) {
       return { ok: false, msg: 'Invalid date format' };
     }
     
-    const [, year, month, day] = dateMatch;
-    
-    const event = {
-      title: `RFP Deadline: ${rfp.title || rfp.id}`,
-      description: `Buyer: ${rfp.buyerName || 'N/A'} | Tender ID: ${rfp.id}\nEstimated Cost: ${rfp.estCost ? '₹' + rfp.estCost.toLocaleString() : 'N/A'}`,
-      start: [parseInt(year), parseInt(month), parseInt(day), 10, 0],
-      duration: { hours: 1 },
-      status: 'CONFIRMED',
-      categories: ['Tender', 'Deadline']
-    };
-    
-    return new Promise((resolve) => {
-      ics.createEvent(event, (error, value) => {
-        if (error) {
-          resolve({ ok: false, msg: String(error) });
-        } else {
-          resolve({ ok: true, ics: value });
-        }
-      });
-    });
+    return createCalendar(events, `RFP ${rfp.id}`);
   } catch (error) {
     return { ok: false, msg: error.message };
   }
@@ -14,6 +14,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import PDFDocument from 'pdfkit';
 import { getCSVData, hasSessionOverride } from './adaptive-csv-manager.js';
+import { determineSupply, supplyFromRfp, computeGst, taxRows } from './gst-engine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -437,8 +438,11 @@ export function calculateTestingCost(cableRequirements, testsRequired) {
  * 
  * For INTERNAL analysis (AI bot display):
  *   - Show full breakdown including margins
+ *
+ * GST is split by HSN / SAC into CGST + SGST or IGST for the given supply
+ * (determineSupply / supplyFromRfp); without one, IGST is assumed.
  */
-export function calculateQuotation(cableRequirements, testsRequired = [], externalTestingRequired = false) {
+export function calculateQuotation(cableRequirements, testsRequired = [], externalTestingRequired = false, supply = null) {
   const materialResult = calculateMaterialCost(cableRequirements);
   const { lineItems, totalMaterialCost } = materialResult;
   const { testItems, totalTestingCost } = calculateTestingCost(cableRequirements, testsRequired);
@@ -455,7 +459,17 @@ export function calculateQuotation(cableRequirements, testsRequired = [], extern
   // So we just add testing and GST for customer-facing price
   
   const subtotalBeforeTax = totalMaterialCost + totalTestingCost;
-  const gst = subtotalBeforeTax * 0.18; // 18% GST
+  const tax = computeGst([
+    ...lineItems.map((item, idx) => ({
+      description: item.description,
+      sku_id: item.matchedSKU !== 'N/A' ? item.matchedSKU : null,
+      cable_type: cableRequirements[idx]?.cable_type,
+      voltage_kv: parseFloat(cableRequirements[idx]?.voltage) || null,
+      taxable_value: item.totalPrice
+    })),
+    ...(totalTestingCost > 0 ? [{ description: 'Testing & certification', service: 'testing', taxable_value: totalTestingCost }] : [])
+  ], supply || determineSupply());
+  const gst = tax.totals.total_tax;
   const grandTotal = subtotalBeforeTax + gst;
   
   // INTERNAL ONLY - for AI bot analysis display
@@ -480,8 +494,12 @@ export function calculateQuotation(cableRequirements, testsRequired = [], extern
     externalTesting: externalTestingEstimate,
     subtotal: subtotalBeforeTax,
     gst: {
-      rate: 18,
-      amount: gst
+      rate: subtotalBeforeTax > 0 ? Math.round((gst / subtotalBeforeTax) * 10000) / 100 : 0,
+      amount: gst,
+      supplyType: tax.supply.supply_type,
+      components: taxRows(tax),
+      hsnSummary: tax.hsn_summary,
+      notes: tax.notes
     },
     grandTotal: grandTotal,
     grandTotalWithExternalTesting: externalTestingRequired 
@@ -703,7 +721,9 @@ ${cableDetails}
 OUR QUOTATION:
 - Material Supply: Rs. ${quotation?.materialCost?.total?.toLocaleString('en-IN') || 'As per attached form'}
 - Testing & Certification: Rs. ${quotation?.testingCost?.total?.toLocaleString('en-IN') || 'As per attached form'}
-- GST @ 18%: Rs. ${quotation?.gst?.amount?.toLocaleString('en-IN') || 'As per attached form'}
+${quotation?.gst?.components
+    ? quotation.gst.components.map(row => `- ${row.label}: Rs. ${row.amount.toLocaleString('en-IN')}`).join('\n')
+    : '- GST: As per attached form'}
 - GRAND TOTAL: Rs. ${quotation?.grandTotal?.toLocaleString('en-IN') || 'As per attached form'}
 
 ATTACHMENTS:
@@ -794,7 +814,7 @@ export function analyzeRFP(rfpData) {
   );
   
   // Calculate quotation (pass external testing flag)
-  const quotation = calculateQuotation(cableRequirements, testsRequired, externalTestingRequired);
+  const quotation = calculateQuotation(cableRequirements, testsRequired, externalTestingRequired, supplyFromRfp(rfpData));
   
   // Extract terms
   const terms = extractTermsConditions(rfpData);
@@ -1,52 +1,106 @@
 import db from '../db/index.js';
 import dayjs from 'dayjs';
+import { recordRevision, ensureBaselineRevision, notifyRevision } from './tender-revisions.js';
 
 const upsertRfp = db.prepare(`
-  INSERT INTO rfps (id, portal, buyerName, title, city, dueDate, estCost, category, pdfPath, createdAt, updatedAt)
-  VALUES (@id, @portal, @buyerName, @title, @city, @dueDate, @estCost, @category, @pdfPath, @now, @now)
+  INSERT INTO rfps (id, portal, buyerName, title, city, dueDate, estCost, category, pdfPath, preBidDate, clarificationDueDate, emdDueDate, createdAt, updatedAt)
+  VALUES (@id, @portal, COALESCE(@buyerName, 'Unknown'), COALESCE(@title, @id), @city, @dueDate, @estCost, COALESCE(@category, 'General'), @pdfPath, @preBidDate, @clarificationDueDate, @emdDueDate, @now, @now)
   ON CONFLICT(id) DO UPDATE SET
     portal=@portal,
-    buyerName=@buyerName,
-    title=@title,
-    city=@city,
-    dueDate=@dueDate,
-    estCost=@estCost,
-    category=@category,
-    pdfPath=@pdfPath,
+    buyerName=COALESCE(@buyerName, buyerName),
+    title=COALESCE(@title, title),
+    city=COALESCE(@city, city),
+    dueDate=COALESCE(@dueDate, dueDate),
+    estCost=COALESCE(@estCost, estCost),
+    category=COALESCE(@category, category),
+    pdfPath=COALESCE(@pdfPath, pdfPath),
+    preBidDate=COALESCE(@preBidDate, preBidDate),
+    clarificationDueDate=COALESCE(@clarificationDueDate, clarificationDueDate),
+    emdDueDate=COALESCE(@emdDueDate, emdDueDate),
     updatedAt=@now
 `);
 
+const updateMilestones = db.prepare(`
+  UPDATE rfps SET
+    dueDate=COALESCE(@dueDate, dueDate),
+    preBidDate=COALESCE(@preBidDate, preBidDate),
+    clarificationDueDate=COALESCE(@clarificationDueDate, clarificationDueDate),
+    emdDueDate=COALESCE(@emdDueDate, emdDueDate),
+    updatedAt=@now
+  WHERE id=@id
+`);
+
 const insertChunk = db.prepare(`
-  INSERT INTO rfp_chunks (rfpId, seq, text) VALUES (@rfpId, @seq, @text)
+  INSERT INTO rfp_chunks (rfpId, seq, text, revision) VALUES (@rfpId, @seq, @text, @revision)
 `);
 
-const deleteChunks = db.prepare(`DELETE FROM rfp_chunks WHERE rfpId = ?`);
+const deleteRevisionChunks = db.prepare(`DELETE FROM rfp_chunks WHERE rfpId = ? AND revision = ?`);
+
+const countRevisionChunks = db.prepare(`SELECT COUNT(*) AS count FROM rfp_chunks WHERE rfpId = ? AND revision = ?`);
 
-export function saveRfpAndChunks({ rfp, fullText }) {
+// Chunks of the latest document; older revisions keep theirs for comparison
+const LATEST_CHUNKS = `rfpId = @id AND revision = (SELECT MAX(revision) FROM rfp_chunks WHERE rfpId = @id)`;
+
+/**
+ * Save an uploaded / amended tender document.
+ * Each change is stored as a revision (see tender-revisions.js); a new document text
+ * gets its own chunks instead of overwriting the previous revision's. A tender saved
+ * before revisions were tracked first gets its stored row and chunks as revision 1.
+ * Multi-document tenders pass `sections` ([{ label, text }], one per document): each is
+ * chunked on its own and every chunk starts with its document label.
+ * Null rfp fields keep the stored value (a new row gets 'Unknown' / the ID / 'General').
+ * @param {Object} params - { rfp: rfps row, fullText, sections, tender: extracted data (BOQ, specs, commercial terms), source, kind }
+ * @returns {Object} - recordRevision() result
+ */
+export function saveRfpAndChunks({ rfp, fullText = null, sections = null, tender = {}, source = 'upload', kind = null }) {
+  const parts = sections || [{ label: null, text: fullText || '' }];
+  fullText = fullText ?? parts.map(part => (part.label ? `[${part.label}]\n${part.text}` : part.text)).join('\n\n');
   const now = dayjs().toISOString();
   
   const transaction = db.transaction(() => {
-    upsertRfp.run({ ...rfp, now });
-    
-    deleteChunks.run(rfp.id);
+    ensureBaselineRevision(rfp.id);
+    upsertRfp.run({ preBidDate: null, clarificationDueDate: null, emdDueDate: null, ...rfp, now });
     
-    const chunkSize = 1500;
-    for (let i = 0, seq = 0; i < fullText.length; i += chunkSize, seq++) {
-      insertChunk.run({ 
-        rfpId: rfp.id, 
-        seq, 
-        text: fullText.slice(i, i + chunkSize) 
-      });
+    const result = recordRevision(rfp.id, { tender, fullText, source, kind });
+    if (result.created || countRevisionChunks.get(rfp.id, result.revision).count === 0) {
+      deleteRevisionChunks.run(rfp.id, result.revision);
+      
+      const chunkSize = 1500;
+      let seq = 0;
+      for (const part of parts) {
+        for (let i = 0; i < part.text.length; i += chunkSize, seq++) {
+          insertChunk.run({ 
+            rfpId: rfp.id, 
+            seq, 
+            text: `${part.label ? `[${part.label}]\n` : ''}${part.text.slice(i, i + chunkSize)}`,
+            revision: result.revision
+          });
+        }
+      }
     }
+    return result;
   });
   
-  transaction();
-  console.log(`✅ Saved RFP ${rfp.id} with ${Math.ceil(fullText.length / 1500)} chunks`);
+  const result = transaction();
+  const chunkCount = parts.reduce((sum, part) => sum + Math.ceil(part.text.length / 1500), 0);
+  console.log(`✅ Saved RFP ${rfp.id} revision ${result.revision} with ${chunkCount} chunks`);
+  notifyRevision(result).catch(error => console.warn(`⚠️  Revision notice failed: ${error.message}`));
+  return result;
+}
+
+/**
+ * Update the tender milestones (due date, pre-bid meeting, clarification deadline, EMD submission).
+ * Omitted milestones keep their stored value.
+ */
+export function updateRfpMilestones(id, { dueDate = null, preBidDate = null, clarificationDueDate = null, emdDueDate = null } = {}) {
+  ensureBaselineRevision(id);
+  const result = updateMilestones.run({ id, dueDate, preBidDate, clarificationDueDate, emdDueDate, now: dayjs().toISOString() });
+  return result.changes > 0;
 }
 
 export function getRfp(id) {
   const rfp = db.prepare(`SELECT * FROM rfps WHERE id = ?`).get(id);
-  const chunks = db.prepare(`SELECT * FROM rfp_chunks WHERE rfpId = ? ORDER BY seq`).all(id);
+  const chunks = db.prepare(`SELECT * FROM rfp_chunks WHERE ${LATEST_CHUNKS} ORDER BY seq`).all({ id });
   return { rfp, chunks };
 }
 
@@ -55,7 +109,7 @@ export function getAllRfps() {
 }
 
 export function searchChunks(id, query, limit = 6) {
-  const rows = db.prepare(`SELECT seq, text FROM rfp_chunks WHERE rfpId = ?`).all(id);
+  const rows = db.prepare(`SELECT seq, text FROM rfp_chunks WHERE ${LATEST_CHUNKS}`).all({ id });
   
   if (!query || rows.length === 0) {
     return rows.slice(0, limit);
@@ -1,107 +1,290 @@
 /**
  * Risky Clause Detector
  * Scans RFP text for problematic contract terms that increase bid risk
+ *
+ * Rules live in a JSON library (configs/clause-rules.json by default) with a
+ * pattern, severity, optional numeric threshold, category and suggested
+ * deviation text. The library is re-read when the file changes, and rules can
+ * be added, edited or disabled through /api/clause-rules.
  */
 
-export function detectRiskyClauses(rfpText = '') {
-  const hits = [];
-  const text = rfpText.toLowerCase();
-  
-  const rules = [
-    {
-      key: 'High Liquidated Damages',
-      pattern: /liquidated\s+damages.*?(\d{1,2})\s?%/i,
-      risk: 'HIGH',
-      description: 'LD penalty exceeds standard threshold',
-      validator: (match) => {
-        const percentage = parseInt(match[1], 10);
-        return percentage > 10; // Only flag if LD > 10%
-      }
-    },
-    {
-      key: 'No Advance Payment',
-      pattern: /no\s+advance\s+payment|zero\s+advance|100%\s+on\s+delivery/i,
-      risk: 'HIGH',
-      description: 'No upfront payment creates cash flow risk'
-    },
-    {
-      key: 'All-Risk Warranty',
-      pattern: /all-?risk\s+warranty|comprehensive\s+warranty.*all\s+risks/i,
-      risk: 'MEDIUM',
-      description: 'Warranty covers risks beyond manufacturer control'
-    },
-    {
-      key: 'Fixed Arbitration Venue',
-      pattern: /arbitration.*?(only|exclusively|shall be).*?(mumbai|delhi|bangalore|chennai|kolkata)/i,
-      risk: 'MEDIUM',
-      description: 'Arbitration restricted to specific city (may increase costs)'
-    },
-    {
-      key: 'Performance Bank Guarantee',
-      pattern: /performance.*?bank\s+guarantee.*?(\d{1,2})%|pbg.*?(\d{1,2})%/i,
-      risk: 'MEDIUM',
-      description: 'PBG requirement ties up working capital'
-    },
-    {
-      key: 'Unlimited Liability',
-      pattern: /unlimited\s+liability|no\s+cap\s+on\s+liability/i,
-      risk: 'HIGH',
-      description: 'Uncapped liability exposure'
-    },
-    {
-      key: 'Buyer Inspection Required',
-      pattern: /buyer.*?inspection.*?mandatory|pre-?dispatch.*?inspection.*?buyer/i,
-      risk: 'LOW',
-      description: 'Buyer inspection may delay delivery timeline'
-    },
-    {
-      key: 'Single Source Requirement',
-      pattern: /single\s+source|sole\s+vendor|oem\s+only/i,
-      risk: 'MEDIUM',
-      description: 'Restricts product sourcing flexibility'
+import fs from 'fs';
+import { CLAUSE_RULES_CONFIG } from '../configs/settings.js';
+
+const SEVERITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+const THRESHOLD_OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b
+};
+
+// "4.2 Liquidated Damages", "Clause 12: Payment Terms", "SECTION IV" or an all-caps line
+const SECTION_HEADING = /^\s*(?:(?:clause|section|article|chapter|annexure)\s+[\dIVXLC]+(?:\.\d+)*\b.*|\d{1,2}(?:\.\d{1,2}){0,3}[.)]?\s+[A-Z][^\n]*|[A-Z][A-Z0-9 &,/()'-]{3,})$/;
+
+let cache = { file: null, mtimeMs: 0, library: null };
+
+function ruleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Load the rule library, re-reading the file when it has changed on disk
+ * @returns {{version: number, rules: Array}}
+ */
+export function loadClauseRules() {
+  const file = CLAUSE_RULES_CONFIG.file;
+  const mtimeMs = fs.statSync(file).mtimeMs;
+
+  if (cache.library && cache.file === file && cache.mtimeMs === mtimeMs) {
+    return cache.library;
+  }
+
+  const library = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  library.rules = (library.rules || []).map(rule => {
+    validateRule(rule);
+    return rule;
+  });
+
+  cache = { file, mtimeMs, library };
+  console.log(`📜 Loaded ${library.rules.length} clause rules from ${file}`);
+  return library;
+}
+
+function saveClauseRules(library) {
+  const file = CLAUSE_RULES_CONFIG.file;
+  const tmp = `${file}.tmp`;
+  library.version = (library.version || 0) + 1;
+  fs.writeFileSync(tmp, JSON.stringify(library, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+  cache = { file, mtimeMs: fs.statSync(file).mtimeMs, library };
+}
+
+/**
+ * Throws if a rule definition is unusable
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') throw ruleError('Rule must be an object');
+  if (!rule.id || !rule.key) throw ruleError('Rule requires id and key');
+  if (!rule.pattern) throw ruleError(`Rule ${rule.id} requires a pattern`);
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw ruleError(`Rule ${rule.id}: severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  try {
+    compilePattern(rule);
+  } catch (e) {
+    throw ruleError(`Rule ${rule.id}: invalid pattern - ${e.message}`);
+  }
+  if (rule.threshold) {
+    const { operator, value } = rule.threshold;
+    if (!THRESHOLD_OPERATORS[operator] || typeof value !== 'number') {
+      throw ruleError(`Rule ${rule.id}: threshold needs an operator (${Object.keys(THRESHOLD_OPERATORS).join(' ')}) and a numeric value`);
+    }
+  }
+}
+
+function compilePattern(rule) {
+  const flags = (rule.flags || 'i').replace(/g/g, '');
+  return new RegExp(rule.pattern, flags + 'g');
+}
+
+/**
+ * First captured value, or the group named by the rule threshold
+ */
+function capturedValue(rule, match) {
+  if (rule.threshold?.group) return match[rule.threshold.group] ?? null;
+  return match.slice(1).find(v => v !== undefined) ?? null;
+}
+
+function passesThreshold(rule, value) {
+  if (!rule.threshold) return true;
+  const number = parseFloat(value);
+  if (isNaN(number)) return false;
+  return THRESHOLD_OPERATORS[rule.threshold.operator](number, rule.threshold.value);
+}
+
+/**
+ * Nearest heading at or above a position in the page text
+ */
+function findSection(pageText, index) {
+  const lineEnd = pageText.indexOf('\n', index);
+  const before = pageText.slice(0, lineEnd === -1 ? pageText.length : lineEnd).split('\n');
+  for (let i = before.length - 1; i >= 0; i--) {
+    const line = before[i].trim();
+    if (line.length >= 4 && line.length <= 100 && SECTION_HEADING.test(line)) {
+      return line;
+    }
+  }
+  return null;
+}
+
+/**
+ * Split the detector input into pages
+ * Accepts raw text (form feeds mark page breaks) or { text, pages: [string] } from parsePDF
+ */
+function toPages(input) {
+  if (input && typeof input === 'object') {
+    if (Array.isArray(input.pages) && input.pages.length > 0) {
+      return input.pages.map((text, i) => ({ page: i + 1, text: text || '' }));
     }
-  ];
-  
-  for (const rule of rules) {
-    const match = rfpText.match(rule.pattern);
-    if (match) {
-      // Apply validator if present (e.g., for percentage thresholds)
-      if (rule.validator && !rule.validator(match)) {
-        continue; // Skip if validation fails
+    input = input.text || '';
+  }
+  const text = String(input || '');
+  if (text.includes('\f')) {
+    return text.split('\f').map((pageText, i) => ({ page: i + 1, text: pageText }));
+  }
+  return [{ page: null, text }];
+}
+
+/**
+ * Detect risky clauses
+ * @param {string|{text: string, pages: string[]}} rfpInput - RFP text, or parsed PDF with per-page text
+ * @param {Object} options
+ * @param {Array} options.rules - Rules to evaluate instead of the enabled library rules
+ * @returns {Object} Every match with page / section reference, plus risk counts
+ */
+export function detectRiskyClauses(rfpInput = '', { rules = null } = {}) {
+  const activeRules = rules || loadClauseRules().rules.filter(r => r.enabled !== false);
+  const pages = toPages(rfpInput);
+  const hits = [];
+
+  for (const rule of activeRules) {
+    const pattern = compilePattern(rule);
+
+    for (const { page, text } of pages) {
+      for (const match of text.matchAll(pattern)) {
+        if (match[0].length === 0) continue;
+
+        const matchedValue = capturedValue(rule, match);
+        // Apply threshold if present (e.g., for percentage limits)
+        if (!passesThreshold(rule, matchedValue)) {
+          continue;
+        }
+
+        const startIdx = Math.max(match.index - CLAUSE_RULES_CONFIG.snippetBefore, 0);
+        const endIdx = Math.min(match.index + CLAUSE_RULES_CONFIG.snippetAfter, text.length);
+
+        hits.push({
+          rule_id: rule.id,
+          key: rule.key,
+          category: rule.category || 'general',
+          snippet: text.slice(startIdx, endIdx).replace(/\s+/g, ' ').trim(),
+          risk: rule.severity,
+          description: rule.description,
+          matchedValue,
+          page,
+          section: findSection(text, match.index),
+          suggested_deviation: rule.suggested_deviation || null
+        });
       }
-      
-      const startIdx = Math.max(match.index - 60, 0);
-      const endIdx = Math.min(match.index + 120, rfpText.length);
-      const snippet = rfpText.slice(startIdx, endIdx).replace(/\s+/g, ' ').trim();
-      
-      hits.push({
-        key: rule.key,
-        snippet: snippet,
-        risk: rule.risk,
-        description: rule.description,
-        matchedValue: match[1] || match[2] || null
-      });
     }
   }
-  
-  const highRiskCount = hits.filter(h => h.risk === 'HIGH').length;
-  const mediumRiskCount = hits.filter(h => h.risk === 'MEDIUM').length;
-  
+
+  // Overall risk is driven by how many distinct rules fired, not repeat mentions
+  const matchedRules = new Map(hits.map(h => [h.rule_id, h.risk]));
+  const highRiskCount = [...matchedRules.values()].filter(r => r === 'HIGH').length;
+  const mediumRiskCount = [...matchedRules.values()].filter(r => r === 'MEDIUM').length;
+
   // Determine overall risk level
   let overallRisk = 'NONE';
   if (highRiskCount >= 1) {
     overallRisk = 'HIGH'; // Even one HIGH risk clause makes overall risk HIGH
-  } else if (mediumRiskCount >= 2 || hits.length >= 3) {
+  } else if (mediumRiskCount >= 2 || matchedRules.size >= 3) {
     overallRisk = 'MEDIUM'; // Multiple medium risks or many total risks
-  } else if (hits.length > 0) {
+  } else if (matchedRules.size > 0) {
     overallRisk = 'LOW'; // Few low/medium risks
   }
-  
+
   return {
     risky_clauses: hits,
     risk_count: hits.length,
+    rules_matched: matchedRules.size,
+    rules_evaluated: activeRules.length,
     high_risk_count: highRiskCount,
     medium_risk_count: mediumRiskCount,
     overall_risk: overallRisk
   };
 }
+
+/**
+ * List rules in the library
+ */
+export function getClauseRules({ includeDisabled = true } = {}) {
+  const library = loadClauseRules();
+  return {
+    version: library.version,
+    file: CLAUSE_RULES_CONFIG.file,
+    rules: includeDisabled ? library.rules : library.rules.filter(r => r.enabled !== false)
+  };
+}
+
+/**
+ * Add a rule to the library
+ */
+export function addClauseRule(input) {
+  const library = loadClauseRules();
+  const rule = {
+    id: input.id || nextRuleId(library.rules),
+    key: input.key,
+    category: input.category || 'general',
+    pattern: input.pattern,
+    flags: input.flags || 'i',
+    severity: String(input.severity || 'MEDIUM').toUpperCase(),
+    description: input.description || '',
+    ...(input.threshold ? { threshold: input.threshold } : {}),
+    suggested_deviation: input.suggested_deviation || '',
+    enabled: input.enabled !== false
+  };
+
+  if (library.rules.some(r => r.id === rule.id)) {
+    throw ruleError(`Rule ${rule.id} already exists`, 409);
+  }
+  validateRule(rule);
+
+  library.rules.push(rule);
+  saveClauseRules(library);
+  console.log(`📜 Clause rule added: ${rule.id} ${rule.key}`);
+  return rule;
+}
+
+/**
+ * Edit a rule (including enabling / disabling it)
+ */
+export function updateClauseRule(id, changes = {}) {
+  const library = loadClauseRules();
+  const index = library.rules.findIndex(r => r.id === id);
+  if (index === -1) {
+    throw ruleError(`Rule ${id} not found`, 404);
+  }
+
+  const { id: _ignored, ...rest } = changes;
+  const updated = { ...library.rules[index], ...rest };
+  if (rest.severity) updated.severity = String(rest.severity).toUpperCase();
+  if (rest.threshold === null) delete updated.threshold;
+  validateRule(updated);
+
+  library.rules[index] = updated;
+  saveClauseRules(library);
+  console.log(`📜 Clause rule updated: ${id}${rest.enabled === false ? ' (disabled)' : ''}`);
+  return updated;
+}
+
+function nextRuleId(rules) {
+  const max = rules.reduce((m, r) => {
+    const n = parseInt(String(r.id).replace(/^CR/, ''), 10);
+    return isNaN(n) ? m : Math.max(m, n);
+  }, 0);
+  return `CR${String(max + 1).padStart(3, '0')}`;
+}
+
+export default {
+  detectRiskyClauses,
+  loadClauseRules,
+  getClauseRules,
+  addClauseRule,
+  updateClauseRule
+};
@@ -1,5 +1,5 @@
-import axios from 'axios';
 import portalsConfig from '../config/portals.js';
+import { getAdapter } from '../adapters/index.js';
 
 const portals = portalsConfig;
 
@@ -64,12 +64,8 @@ async function fetchPortalData(portalId, filters = {}) {
   }
 
   try {
-    const baseUrl = process.env.REPLIT_DEV_DOMAIN 
-      ? `https://${process.env.REPLIT_DEV_DOMAIN}` 
-      : `http://localhost:${process.env.PORT || 5000}`;
-    
-    const dataUrl = `${baseUrl}${portal.dataFeed}`;
-    const response = await axios.get(dataUrl);
+    // The portal's adapter rate-limits, retries and can replay recorded feeds
+    const response = await getAdapter(portal.id).request(portal.dataFeed);
     let tenders = response.data;
 
     tenders = tenders.map(t => ({
@@ -333,4 +329,4 @@ async function scrapeMultiplePortals(portalIds, filters = {}) {
   return uniqueTenders;
 }
 
-export { fetchPortalData, scrapeMultiplePortals };
+export { fetchPortalData, scrapeMultiplePortals, parseSpecsFromText };
@@ -6,54 +6,62 @@
  * spec_match = (matched_spec_count / total_spec_count) * 100
  * 
  * This is critical for Round 2 scoring (25% of marks)
+ *
+ * Scoring is done by the matching engine (services/matching-engine.js) over
+ * MATCHING_CONFIG.defaultSources; this module keeps the output shapes used by the demo.
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { PATHS } from '../configs/settings.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import {
+  clearProductCache,
+  getProducts,
+  parseRequirement,
+  matchRequirement,
+  scoreMatch
+} from './matching-engine.js';
+import { MATCHING_CONFIG } from '../configs/settings.js';
+
+// Legacy spec names used in this module's outputs, keyed by matching-engine attribute
+const LEGACY_SPEC_NAMES = {
+  cable_type: 'cable_type',
+  voltage_kv: 'voltage',
+  area_mm2: 'cross_section_area',
+  conductor_material: 'conductor_material',
+  insulation: 'insulation_material',
+  cores: 'no_of_cores',
+  armoured: 'armoured',
+  temperature_rating_c: 'temperature_rating',
+  standard: 'standard'
+};
 
-// Cache for OEM specs
-let oemSpecsCache = null;
+const APPLICATION_LABELS = {
+  power_distribution: 'Power Distribution',
+  control: 'Control',
+  instrumentation: 'Instrumentation'
+};
 
 /**
- * Parse CSV to array of objects
+ * Product specs in this module's legacy field names (voltage in V)
  */
-function parseCSV(csvContent) {
-  const lines = csvContent.trim().split('\n');
-  if (lines.length < 2) return [];
-  
-  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-  
-  return lines.slice(1).map(line => {
-    const values = line.split(',').map(v => v.trim());
-    const obj = {};
-    headers.forEach((h, i) => {
-      let val = values[i] || '';
-      // Convert numeric values
-      if (/^\d+$/.test(val)) val = parseInt(val, 10);
-      else if (/^\d+\.\d+$/.test(val)) val = parseFloat(val);
-      obj[h] = val;
-    });
-    return obj;
-  });
+function toLegacySpecs(product) {
+  return {
+    voltage: product.voltage_kv === null ? null : Math.round(product.voltage_kv * 1000),
+    conductor_material: product.conductor_material,
+    insulation_material: product.insulation,
+    cross_section_area: product.area_mm2,
+    no_of_cores: product.cores,
+    armoured: product.armoured,
+    temperature_rating: product.temperature_rating_c,
+    standard: product.standard,
+    application: product.application
+  };
 }
 
 /**
- * Load OEM specs from CSV
+ * Load the products matched against (MATCHING_CONFIG.defaultSources)
  */
 function loadOEMSpecs() {
-  if (oemSpecsCache) return oemSpecsCache;
-  
   try {
-    const dataPath = PATHS.data || path.join(__dirname, '..', 'data');
-    const csvPath = path.join(dataPath, 'oem_specs.csv');
-    const content = fs.readFileSync(csvPath, 'utf8');
-    oemSpecsCache = parseCSV(content);
-    return oemSpecsCache;
+    return getProducts().map(p => ({ sku_id: p.sku_id, product_name: p.product_name, ...toLegacySpecs(p), unit_price: p.unit_price_per_km }));
   } catch (error) {
     console.error('Error loading OEM specs:', error.message);
     return [];
@@ -63,77 +71,53 @@ function loadOEMSpecs() {
 /**
  * Parse RFP requirement text to extract specifications
  * @param {string} requirementText - Raw RFP product requirement text
- * @returns {Object} Parsed specifications
+ * @returns {Object} Parsed specifications (voltage in V)
  */
 export function parseRFPSpecs(requirementText) {
-  const text = requirementText.toLowerCase();
+  const req = parseRequirement(requirementText);
   const specs = {};
-  
-  // Voltage extraction (V or kV)
-  const kvMatch = text.match(/(\d+(?:\.\d+)?)\s*kv/i);
-  const vMatch = text.match(/(\d+)\s*v(?:olt)?/i);
-  if (kvMatch) {
-    specs.voltage = parseFloat(kvMatch[1]) * 1000;
-  } else if (vMatch) {
-    specs.voltage = parseInt(vMatch[1], 10);
-  }
-  
-  // Cross-section area (sq mm, sqmm, mm2)
-  const areaMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:sq\.?\s*mm|sqmm|mm2|mm²)/i);
-  if (areaMatch) {
-    specs.cross_section_area = parseFloat(areaMatch[1]);
-  }
-  
-  // Number of cores
-  const coreMatch = text.match(/(\d+)\s*(?:core|c\b|cores)/i);
-  if (coreMatch) {
-    specs.no_of_cores = parseInt(coreMatch[1], 10);
-  }
-  
-  // Conductor material
-  if (text.includes('copper') || text.includes(' cu ') || text.includes('cu-')) {
-    specs.conductor_material = 'Copper';
-  } else if (text.includes('aluminium') || text.includes('aluminum') || text.includes(' al ') || text.includes('al-')) {
-    specs.conductor_material = 'Aluminium';
-  }
-  
-  // Insulation material
-  if (text.includes('xlpe')) {
-    specs.insulation_material = 'XLPE';
-  } else if (text.includes('pvc')) {
-    specs.insulation_material = 'PVC';
-  }
-  
-  // Armoured
-  if (text.includes('armoured') || text.includes('armored') || text.includes('swa')) {
-    specs.armoured = true;
-  } else if (text.includes('unarmoured') || text.includes('unarmored')) {
-    specs.armoured = false;
-  }
-  
-  // Temperature rating
-  const tempMatch = text.match(/(\d+)\s*°?c/i);
-  if (tempMatch) {
-    specs.temperature_rating = parseInt(tempMatch[1], 10);
-  }
-  
-  // Standard
-  if (text.includes('is 7098')) specs.standard = 'IS 7098';
-  else if (text.includes('is 694')) specs.standard = 'IS 694';
-  else if (text.includes('is 1554')) specs.standard = 'IS 1554';
-  else if (text.includes('iec 60840')) specs.standard = 'IEC 60840';
-  
-  // Application type detection
-  if (text.includes('control')) specs.application = 'Control';
-  else if (text.includes('instrument')) specs.application = 'Instrumentation';
-  else if (text.includes('power') || text.includes('distribution')) specs.application = 'Power Distribution';
-  else if (text.includes('transmission') || text.includes('ehv')) specs.application = 'Transmission';
-  else if (text.includes('industrial')) specs.application = 'Industrial';
-  else if (text.includes('building')) specs.application = 'Building';
-  
+
+  if (req.voltage_kv !== undefined) specs.voltage = Math.round(req.voltage_kv * 1000);
+  if (req.area_mm2 !== undefined) specs.cross_section_area = req.area_mm2;
+  if (req.cores !== undefined) specs.no_of_cores = req.cores;
+  if (req.conductor_material) specs.conductor_material = req.conductor_material;
+  if (req.insulation) specs.insulation_material = req.insulation;
+  if (req.armoured !== undefined) specs.armoured = req.armoured;
+  if (req.temperature_rating_c !== undefined) specs.temperature_rating = req.temperature_rating_c;
+  if (req.standard) specs.standard = req.standard;
+  if (APPLICATION_LABELS[req.application]) specs.application = APPLICATION_LABELS[req.application];
+
   return specs;
 }
 
+/**
+ * Matching-engine result in this module's matched / partial / unmatched shape
+ */
+function toMatchDetails(result, rfpSpecs, oemProduct) {
+  const entry = (a) => {
+    const spec = LEGACY_SPEC_NAMES[a.attribute];
+    return {
+      spec,
+      rfp_value: rfpSpecs[spec] ?? a.required,
+      oem_value: oemProduct[spec] ?? a.offered
+    };
+  };
+
+  const matched = result.attributes.filter(a => a.rule.status === 'EXACT').map(entry);
+  const partial = result.attributes.filter(a => a.rule.status === 'PARTIAL').map(a => ({ ...entry(a), score: a.rule.score / 100 }));
+  return {
+    matched,
+    unmatched: result.attributes.filter(a => a.rule.status === 'MISMATCH' || a.rule.status === 'NOT_AVAILABLE').map(entry),
+    partial,
+    total_specs: result.attributes.length,
+    matched_count: matched.length,
+    partial_count: partial.length,
+    spec_match_percentage: result.spec_match_percentage,
+    profile: result.profile,
+    attributes: result.attributes.map(a => ({ spec: LEGACY_SPEC_NAMES[a.attribute], weight: a.weight, score: a.rule.score, explanation: a.explanation }))
+  };
+}
+
 /**
  * Calculate spec match score between RFP requirement and OEM product
  * This is the KEY METRIC for EY judging (25% of marks)
@@ -143,155 +127,8 @@ export function parseRFPSpecs(requirementText) {
  * @returns {Object} Match details with score
  */
 export function calculateSpecMatch(rfpSpecs, oemProduct) {
-  const matchDetails = {
-    matched: [],
-    unmatched: [],
-    partial: [],
-    total_specs: 0,
-    matched_count: 0,
-    partial_count: 0,
-    spec_match_percentage: 0
-  };
-  
-  // Define spec comparisons with weights
-  const specChecks = [
-    {
-      name: 'voltage',
-      weight: 1,
-      check: () => {
-        if (rfpSpecs.voltage === undefined) return null;
-        const rfpV = rfpSpecs.voltage;
-        const oemV = oemProduct.voltage;
-        if (rfpV === oemV) return { match: 'exact', score: 1 };
-        // ±10% tolerance
-        if (Math.abs(rfpV - oemV) / rfpV <= 0.1) return { match: 'partial', score: 0.8 };
-        // ±20% for close match
-        if (Math.abs(rfpV - oemV) / rfpV <= 0.2) return { match: 'partial', score: 0.5 };
-        return { match: 'none', score: 0 };
-      }
-    },
-    {
-      name: 'cross_section_area',
-      weight: 1,
-      check: () => {
-        if (rfpSpecs.cross_section_area === undefined) return null;
-        const rfpArea = rfpSpecs.cross_section_area;
-        const oemArea = oemProduct.cross_section_area;
-        if (rfpArea === oemArea) return { match: 'exact', score: 1 };
-        // Standard sizes nearby
-        const tolerance = rfpArea * 0.15;
-        if (Math.abs(rfpArea - oemArea) <= tolerance) return { match: 'partial', score: 0.7 };
-        return { match: 'none', score: 0 };
-      }
-    },
-    {
-      name: 'conductor_material',
-      weight: 1,
-      check: () => {
-        if (!rfpSpecs.conductor_material) return null;
-        const rfpMat = rfpSpecs.conductor_material.toLowerCase();
-        const oemMat = (oemProduct.conductor_material || '').toLowerCase();
-        if (rfpMat === oemMat) return { match: 'exact', score: 1 };
-        return { match: 'none', score: 0 };
-      }
-    },
-    {
-      name: 'insulation_material',
-      weight: 1,
-      check: () => {
-        if (!rfpSpecs.insulation_material) return null;
-        const rfpIns = rfpSpecs.insulation_material.toLowerCase();
-        const oemIns = (oemProduct.insulation_material || '').toLowerCase();
-        if (rfpIns === oemIns) return { match: 'exact', score: 1 };
-        return { match: 'none', score: 0 };
-      }
-    },
-    {
-      name: 'no_of_cores',
-      weight: 1,
-      check: () => {
-        if (rfpSpecs.no_of_cores === undefined) return null;
-        if (rfpSpecs.no_of_cores === oemProduct.no_of_cores) return { match: 'exact', score: 1 };
-        return { match: 'none', score: 0 };
-      }
-    },
-    {
-      name: 'armoured',
-      weight: 0.5,
-      check: () => {
-        if (rfpSpecs.armoured === undefined) return null;
-        const oemArmoured = oemProduct.armoured === 'Yes' || oemProduct.armoured === true;
-        if (rfpSpecs.armoured === oemArmoured) return { match: 'exact', score: 1 };
-        return { match: 'none', score: 0 };
-      }
-    },
-    {
-      name: 'temperature_rating',
-      weight: 0.5,
-      check: () => {
-        if (rfpSpecs.temperature_rating === undefined) return null;
-        const rfpTemp = rfpSpecs.temperature_rating;
-        const oemTemp = oemProduct.temperature_rating;
-        if (oemTemp >= rfpTemp) return { match: 'exact', score: 1 };
-        if (oemTemp >= rfpTemp * 0.9) return { match: 'partial', score: 0.7 };
-        return { match: 'none', score: 0 };
-      }
-    },
-    {
-      name: 'standard',
-      weight: 0.5,
-      check: () => {
-        if (!rfpSpecs.standard) return null;
-        const rfpStd = rfpSpecs.standard.toLowerCase();
-        const oemStd = (oemProduct.standard || '').toLowerCase();
-        if (oemStd.includes(rfpStd) || rfpStd.includes(oemStd)) return { match: 'exact', score: 1 };
-        return { match: 'none', score: 0 };
-      }
-    }
-  ];
-  
-  let totalWeight = 0;
-  let matchedWeight = 0;
-  
-  for (const spec of specChecks) {
-    const result = spec.check();
-    if (result === null) continue; // Spec not specified in RFP
-    
-    totalWeight += spec.weight;
-    matchDetails.total_specs++;
-    
-    if (result.match === 'exact') {
-      matchedWeight += spec.weight * result.score;
-      matchDetails.matched_count++;
-      matchDetails.matched.push({
-        spec: spec.name,
-        rfp_value: rfpSpecs[spec.name],
-        oem_value: oemProduct[spec.name]
-      });
-    } else if (result.match === 'partial') {
-      matchedWeight += spec.weight * result.score;
-      matchDetails.partial_count++;
-      matchDetails.partial.push({
-        spec: spec.name,
-        rfp_value: rfpSpecs[spec.name],
-        oem_value: oemProduct[spec.name],
-        score: result.score
-      });
-    } else {
-      matchDetails.unmatched.push({
-        spec: spec.name,
-        rfp_value: rfpSpecs[spec.name],
-        oem_value: oemProduct[spec.name]
-      });
-    }
-  }
-  
-  // Calculate final percentage
-  matchDetails.spec_match_percentage = totalWeight > 0 
-    ? Math.round((matchedWeight / totalWeight) * 100)
-    : 0;
-  
-  return matchDetails;
+  const result = scoreMatch(rfpSpecs, oemProduct, { source: 'oem_specs' });
+  return toMatchDetails(result, rfpSpecs, oemProduct);
 }
 
 /**
@@ -302,42 +139,26 @@ export function calculateSpecMatch(rfpSpecs, oemProduct) {
  * @returns {Array} Array of matched products with scores
  */
 export function findTopMatches(requirementText, topN = 3) {
-  const oemProducts = loadOEMSpecs();
-  if (oemProducts.length === 0) {
+  let matches;
+  try {
+    ({ matches } = matchRequirement(requirementText, { topN }));
+  } catch (error) {
+    console.error('Error loading OEM specs:', error.message);
     return [];
   }
-  
-  // Parse RFP requirement
   const rfpSpecs = parseRFPSpecs(requirementText);
-  
-  // Calculate match score for each OEM product
-  const scoredProducts = oemProducts.map(product => {
-    const matchDetails = calculateSpecMatch(rfpSpecs, product);
+
+  return matches.map(match => {
+    const specs = toLegacySpecs(match.product);
     return {
-      sku_id: product.sku_id,
-      product_name: product.product_name,
-      spec_match_percentage: matchDetails.spec_match_percentage,
-      match_details: matchDetails,
-      unit_price: product.unit_price,
-      oem_specs: {
-        voltage: product.voltage,
-        conductor_material: product.conductor_material,
-        insulation_material: product.insulation_material,
-        cross_section_area: product.cross_section_area,
-        no_of_cores: product.no_of_cores,
-        armoured: product.armoured,
-        temperature_rating: product.temperature_rating,
-        standard: product.standard,
-        application: product.application
-      }
+      sku_id: match.sku_id,
+      product_name: match.product_name,
+      spec_match_percentage: match.spec_match_percentage,
+      match_details: toMatchDetails(match, rfpSpecs, specs),
+      unit_price: match.product.unit_price_per_km,
+      oem_specs: specs
     };
   });
-  
-  // Sort by spec match percentage (descending)
-  scoredProducts.sort((a, b) => b.spec_match_percentage - a.spec_match_percentage);
-  
-  // Return top N
-  return scoredProducts.slice(0, topN);
 }
 
 /**
@@ -417,7 +238,7 @@ export function matchRFPToSKUs(rfpProducts) {
 
 // Clear cache utility
 export function clearOEMCache() {
-  oemSpecsCache = null;
+  MATCHING_CONFIG.defaultSources.forEach(clearProductCache);
 }
 
 // Export for use by agents
@@ -430,14 +251,3 @@ export default {
   loadOEMSpecs,
   clearOEMCache
 };
-
-
-
-
-
-
-
-
-
-
-
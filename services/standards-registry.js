@@ -0,0 +1,360 @@
+/**
+ * Standards Registry Service
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * IS / IEC / BS / IEEE cable standards with part, edition, scope, voltage
+ * class and declared equivalences / supersessions (configs/standards.json by
+ * default). Consulted by spec matching, test selection and the technical
+ * compliance table so that e.g. an IS 7098 (Part 2) product is offered as an
+ * equivalent against an RFP citing IEC 60502-2.
+ *
+ * Equivalence is only what the registry declares (symmetric, not transitive):
+ * IS 1554-1 and IS 7098-1 both map to IEC 60502-1 but are not equivalent to
+ * each other. A declared equivalence still fails when the cable's voltage or
+ * insulation falls outside either standard's scope.
+ */
+
+import fs from 'fs';
+import { STANDARDS_CONFIG } from '../configs/settings.js';
+
+// "IS 7098 (Part 2):2011", "IS:1554 Part-I", "IEC 60502-2:2014", "BS EN 60228", "IEEE 1202"
+// Parts are written "(Part 2)", "Part II", "Pt-2", "Pt. I", "-Part 2" or "-2"
+const STANDARD_REF = /\b(IS|IEC|BS\s?EN|BS|EN|IEEE|iec|bs|ieee)\s*[:-]?\s*(\d{3,5})(?:\s*\(\s*(?:[Pp]art|PART|[Pp]t\.?|PT\.?)\s*[-:.]?\s*(\d{1,2}|[IVX]{1,4})\s*\)|\s*-?\s*(?:[Pp]art|PART|[Pp]t\.?|PT\.?)\s*[-:.]?\s*(\d{1,2}|[IVX]{1,4})\b|-(\d{1,2})(?!\d))?(?:\s*[:/]\s*((?:19|20)\d{2})\b)?/g;
+
+const ROMAN = { I: '1', II: '2', III: '3', IV: '4', V: '5' };
+
+const STATUS_RANK = { EXACT: 3, NEWER_EDITION: 2, EQUIVALENT: 1, MISMATCH: 0 };
+
+let cache = { file: null, mtimeMs: 0, registry: null };
+
+// ============================================
+// REGISTRY
+// ============================================
+
+/**
+ * Load the registry, re-reading the file when it has changed on disk
+ * @returns {{version, standards, byId: Map, equivalents: Map<string, Set>}}
+ */
+export function loadStandards() {
+  const file = STANDARDS_CONFIG.file;
+  const mtimeMs = fs.statSync(file).mtimeMs;
+
+  if (cache.registry && cache.file === file && cache.mtimeMs === mtimeMs) {
+    return cache.registry;
+  }
+
+  const library = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const standards = library.standards || [];
+  const byId = new Map(standards.map(s => [s.id, s]));
+  const equivalents = new Map(standards.map(s => [s.id, new Set()]));
+
+  // Declared equivalences apply both ways
+  for (const standard of standards) {
+    for (const other of standard.equivalents || []) {
+      if (!byId.has(other)) {
+        console.warn(`⚠️ Standard ${standard.id} declares unknown equivalent ${other}`);
+        continue;
+      }
+      equivalents.get(standard.id).add(other);
+      equivalents.get(other).add(standard.id);
+    }
+  }
+
+  const registry = { version: library.version, standards, byId, equivalents };
+  cache = { file, mtimeMs, registry };
+  console.log(`📘 Loaded ${standards.length} standards from ${file}`);
+  return registry;
+}
+
+/**
+ * Registry entries, optionally filtered by body / kind
+ */
+export function getStandards({ body, kind } = {}) {
+  return loadStandards().standards
+    .filter(s => (!body || s.body === body.toUpperCase()) && (!kind || s.kind === kind))
+    .map(s => ({ ...s, label: formatStandard(s), equivalents: [...loadStandards().equivalents.get(s.id)] }));
+}
+
+/**
+ * One entry by id or free-text reference ("IS 7098 Part 2")
+ */
+export function getStandard(reference, context = {}) {
+  const [ref] = parseStandardRefs(reference);
+  const entry = ref ? resolveStandard(ref, context).entry : null;
+  if (!entry) {
+    throw Object.assign(new Error(`Standard not found: ${reference}`), { status: 404 });
+  }
+  return { ...entry, label: formatStandard(entry), equivalents: [...loadStandards().equivalents.get(entry.id)] };
+}
+
+// ============================================
+// REFERENCES
+// ============================================
+
+/**
+ * Every standard reference in a piece of text
+ * @returns {Array<{body, number, part, edition, key, raw}>}
+ */
+export function parseStandardRefs(text) {
+  const refs = [];
+  for (const m of String(text || '').matchAll(STANDARD_REF)) {
+    let body = m[1].toUpperCase().replace(/\s+/g, ' ');
+    const number = m[2];
+    const partRaw = m[3] || m[4] || m[5] || null;
+    const part = partRaw ? (ROMAN[partRaw.toUpperCase()] || String(parseInt(partRaw, 10))) : null;
+
+    // EN 6xxxx are the European adoptions of the IEC standard with the same number
+    if ((body === 'EN' || body === 'BS EN') && /^6\d{4}$/.test(number)) body = 'IEC';
+    if (body === 'BSEN') body = 'BS EN';
+
+    const key = `${body} ${number}${part ? `-${part}` : ''}`;
+    if (!refs.some(r => r.key === key && r.edition === (m[6] || null))) {
+      refs.push({ body, number, part, edition: m[6] || null, key, raw: m[0].trim() });
+    }
+  }
+  return refs;
+}
+
+/**
+ * Display form: "IS 7098 (Part 2)", "IEC 60502-2", with the edition when cited
+ */
+export function formatStandard(refOrEntry) {
+  if (!refOrEntry) return null;
+  const { body, number, part, edition } = refOrEntry;
+  const base = body === 'IS'
+    ? `IS ${number}${part ? ` (Part ${part})` : ''}`
+    : `${body} ${number}${part ? `-${part}` : ''}`;
+  return refOrEntry.id ? base : `${base}${edition ? `:${edition}` : ''}`;
+}
+
+function scopeConflict(entry, context) {
+  const cls = entry.voltage_class;
+  const kv = context.voltage_kv;
+  if (kv !== undefined && kv !== null && cls && (kv < cls.min_kv - 1e-6 || kv > cls.max_kv + 1e-6)) {
+    return `${kv} kV is outside the ${formatStandard(entry)} scope (${cls.min_kv}-${cls.max_kv} kV)`;
+  }
+  if (context.insulation && entry.insulation && !entry.insulation.includes(context.insulation)) {
+    return `${formatStandard(entry)} does not cover ${context.insulation} insulation`;
+  }
+  return null;
+}
+
+/**
+ * Registry entry for a reference
+ * A reference without a part ("IS 7098") resolves to the part whose voltage
+ * class / insulation fits the cable; otherwise the family parts are returned.
+ * A part the registry does not list ("IEC 60885-2") resolves to the whole-series entry.
+ * @returns {{entry, candidates, superseded}}
+ */
+export function resolveStandard(ref, context = {}) {
+  const { standards, byId } = loadStandards();
+  let entry = byId.get(ref.key) || null;
+  let candidates = entry ? [entry] : [];
+
+  if (!entry && ref.part) {
+    entry = standards.find(s => s.body === ref.body && s.number === ref.number && !s.part) || null;
+    candidates = entry ? [entry] : [];
+  } else if (!entry) {
+    candidates = standards.filter(s => s.body === ref.body && s.number === ref.number);
+    const fitting = candidates.filter(s => !scopeConflict(s, context));
+    if (candidates.length === 1) entry = candidates[0];
+    else if (fitting.length === 1) entry = fitting[0];
+  }
+
+  const superseded = Boolean(entry && ref.edition && (
+    (entry.supersedes || []).includes(`${ref.key}:${ref.edition}`) ||
+    (entry.edition && ref.edition < entry.edition)
+  ));
+  return { entry, candidates, superseded };
+}
+
+export function areEquivalent(idA, idB) {
+  return Boolean(loadStandards().equivalents.get(idA)?.has(idB));
+}
+
+// ============================================
+// COMPARISON
+// ============================================
+
+function compareRef(req, off, context) {
+  const reqLabel = formatStandard(req);
+  const offLabel = formatStandard(off);
+
+  if (req.body === off.body && req.number === off.number) {
+    const reqResolved = resolveStandard(req, context);
+    const offResolved = resolveStandard(off, context);
+    const reqId = reqResolved.entry?.id || (req.part ? req.key : null);
+    const offId = offResolved.entry?.id || (off.part ? off.key : null);
+    if (reqId && offId && reqId !== offId) {
+      return { status: 'MISMATCH', required: reqLabel, offered: offLabel, note: `${offLabel} is a different part of ${req.body} ${req.number} than the ${reqLabel} cited in the RFP` };
+    }
+    // An older offered edition is a deviation; without a cited edition the RFP means the current one
+    if (off.edition && (req.edition ? off.edition < req.edition : offResolved.superseded)) {
+      const current = offResolved.entry;
+      return {
+        status: 'MISMATCH', required: reqLabel, offered: offLabel,
+        note: req.edition
+          ? `${offLabel} is an older edition than the ${reqLabel} cited in the RFP`
+          : `${offLabel} is superseded by ${formatStandard(current)}:${current.edition}`
+      };
+    }
+    if (req.edition && off.edition && off.edition > req.edition) {
+      return {
+        status: 'NEWER_EDITION', required: reqLabel, offered: offLabel,
+        note: `Newer edition ${offLabel} offered; RFP cites ${reqLabel}`
+      };
+    }
+    if (reqResolved.superseded && !off.edition) {
+      const current = reqResolved.entry;
+      return {
+        status: 'NEWER_EDITION', required: reqLabel, offered: offLabel,
+        note: `Current edition ${formatStandard(current)}:${current.edition} offered; RFP cites the superseded ${reqLabel}`
+      };
+    }
+    return { status: 'EXACT', required: reqLabel, offered: offLabel, note: null };
+  }
+
+  const reqEntry = resolveStandard(req, context).entry;
+  const offResolved = resolveStandard(off, context);
+  const offEntry = offResolved.entry;
+  if (reqEntry && offEntry && areEquivalent(reqEntry.id, offEntry.id)) {
+    // "IS 7098" offered reads as the part that applies to this cable
+    const equivalentLabel = formatStandard(off.part ? off : offEntry);
+    const conflict = scopeConflict(offEntry, context) || scopeConflict(reqEntry, context) ||
+      (offResolved.superseded ? `${formatStandard(off)} is superseded by ${formatStandard(offEntry)}:${offEntry.edition}` : null);
+    if (conflict) {
+      return { status: 'MISMATCH', required: reqLabel, offered: equivalentLabel, note: `${equivalentLabel} is declared equivalent to ${reqLabel}, but ${conflict}` };
+    }
+    return {
+      status: 'EQUIVALENT', required: reqLabel, offered: equivalentLabel,
+      note: `Equivalent standard offered: ${equivalentLabel} in lieu of ${reqLabel} (declared equivalent in the standards registry)`
+    };
+  }
+  return { status: 'MISMATCH', required: reqLabel, offered: offLabel, note: null };
+}
+
+/**
+ * Compare the standard an RFP cites with the standards a product is certified to.
+ * An offered edition older than the cited one (or superseded, when the RFP cites none) is a MISMATCH.
+ * @param {string} required - RFP text or reference ("IEC 60502-2", "IS 7098 / IEC 60502")
+ * @param {string|string[]} offered - Product standard(s)
+ * @param {Object} context - { voltage_kv, insulation } of the cable, to pick parts and check scope
+ * @returns {{status: 'EXACT'|'NEWER_EDITION'|'EQUIVALENT'|'MISMATCH', required, offered, note}|null}
+ *          null when the RFP text holds no recognisable standard reference
+ */
+export function compareStandards(required, offered, context = {}) {
+  const reqRefs = parseStandardRefs(required);
+  if (reqRefs.length === 0) return null;
+
+  const offRefs = [].concat(offered || []).flatMap(parseStandardRefs);
+  const reqLabel = reqRefs.map(formatStandard).join(' / ');
+  if (offRefs.length === 0) {
+    return { status: 'MISMATCH', required: reqLabel, offered: null, note: 'No standard declared for the offered product' };
+  }
+
+  // Any cited standard ("IS 7098 / IEC 60502") may be met by any certification
+  let best = null;
+  for (const req of reqRefs) {
+    for (const off of offRefs) {
+      const result = compareRef(req, off, context);
+      if (!best || STATUS_RANK[result.status] > STATUS_RANK[best.status] || (result.status === best.status && !best.note && result.note)) {
+        best = result;
+      }
+    }
+  }
+
+  if (best.status === 'MISMATCH') {
+    const offeredLabels = offRefs.map(formatStandard).join(' / ');
+    return {
+      ...best,
+      required: reqLabel,
+      offered: offeredLabels,
+      note: best.note || `Offered product is certified to ${offeredLabels}, not equivalent to ${reqLabel}`
+    };
+  }
+  return best;
+}
+
+// ============================================
+// TEST SELECTION
+// ============================================
+
+const RELATION_RANK = { direct: 5, equivalent: 4, test_method: 3, additional: 2, unknown: 1, other_product_standard: 0 };
+
+function refApplicability(testRef, productRefs, context) {
+  const { byId, equivalents } = loadStandards();
+  const testEntry = resolveStandard(testRef, context).entry;
+  const testIds = testEntry ? new Set([testEntry.id, ...equivalents.get(testEntry.id)]) : new Set();
+  let fallback = { applies: true, relation: 'unknown', note: null };
+
+  for (const productRef of productRefs) {
+    if (productRef.body === testRef.body && productRef.number === testRef.number) {
+      return { applies: true, relation: 'direct', note: null };
+    }
+    const resolved = resolveStandard(productRef, context);
+    const products = resolved.entry ? [resolved.entry] : resolved.candidates;
+
+    for (const product of products) {
+      if (testEntry && areEquivalent(product.id, testEntry.id)) {
+        return {
+          applies: true, relation: 'equivalent',
+          note: `Tested to ${formatStandard(testRef.part ? testRef : testEntry)}, declared equivalent of ${formatStandard(product)}`
+        };
+      }
+      const methods = [product.id, ...equivalents.get(product.id)].flatMap(id => byId.get(id)?.test_methods || []);
+      if (methods.some(id => testIds.has(id))) {
+        return { applies: true, relation: 'test_method', note: null };
+      }
+    }
+
+    if (testEntry && products.length > 0) {
+      fallback = testEntry.kind === 'product'
+        ? { applies: false, relation: 'other_product_standard', note: `${formatStandard(testEntry)} tests belong to a different product standard than ${formatStandard(productRef)}` }
+        : { applies: true, relation: 'additional', note: null };
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Whether a test (by the standard(s) it is performed to) belongs with a product standard
+ * A test citing "IS 7098 / IEC 60885" applies when either reference does.
+ * @returns {{applies: boolean, relation: 'direct'|'equivalent'|'test_method'|'additional'|'other_product_standard'|'unknown', note}}
+ */
+export function testApplicability(testStandard, productStandard, context = {}) {
+  const testRefs = parseStandardRefs(testStandard);
+  const productRefs = parseStandardRefs(productStandard);
+  if (testRefs.length === 0 || productRefs.length === 0) return { applies: true, relation: 'unknown', note: null };
+
+  return testRefs
+    .map(testRef => refApplicability(testRef, productRefs, context))
+    .reduce((best, result) => (RELATION_RANK[result.relation] > RELATION_RANK[best.relation] ? result : best));
+}
+
+/**
+ * Drop tests performed to an unrelated product standard and annotate the rest
+ * @param {Array} tests - Test rows
+ * @param {string} productStandard - Standard the RFP cites for the cable
+ * @param {Object} options - { standardOf: test => standard string, voltage_kv, insulation }
+ * @returns {Array} Tests with standard_relation / standard_note
+ */
+export function selectTestsForStandard(tests, productStandard, { standardOf = t => t.standard, ...context } = {}) {
+  if (!productStandard || parseStandardRefs(productStandard).length === 0) return tests;
+  return tests
+    .map(test => ({ test, check: testApplicability(standardOf(test), productStandard, context) }))
+    .filter(({ check }) => check.applies)
+    .map(({ test, check }) => ({ ...test, standard_relation: check.relation, standard_note: check.note }));
+}
+
+export default {
+  loadStandards,
+  getStandards,
+  getStandard,
+  parseStandardRefs,
+  formatStandard,
+  resolveStandard,
+  areEquivalent,
+  compareStandards,
+  testApplicability,
+  selectTestsForStandard
+};
@@ -6,6 +6,8 @@
  * This is critical for the 25% "Structured Output" scoring category.
  */
 
+import { supplyFromRfp, computeGst, bidTaxLines, taxRows } from './gst-engine.js';
+
 /**
  * Format currency in Indian Rupees
  */
@@ -172,11 +174,13 @@ export function generateConsolidatedTable(rfpData, skuMatches, pricingData) {
       total_test_value: 0,
       grand_total: 0,
       gst: 0,
+      gst_components: [],
       final_bid_value: 0
     }
   };
   
   let totalSpecMatch = 0;
+  const taxedProducts = [];
   
   // Merge SKU matches with pricing
   for (let i = 0; i < skuMatches.length; i++) {
@@ -199,6 +203,7 @@ export function generateConsolidatedTable(rfpData, skuMatches, pricingData) {
       formatINR(total)
     ]);
     
+    taxedProducts.push({ sku_id: sku.sku_id || sku.recommended_sku, product_name: sku.product_name, line_total_inr: productCost });
     totalSpecMatch += specMatch;
     table.summary.total_product_value += productCost;
     table.summary.total_test_value += testCost;
@@ -209,7 +214,9 @@ export function generateConsolidatedTable(rfpData, skuMatches, pricingData) {
   table.summary.average_spec_match = skuMatches.length > 0 
     ? Math.round(totalSpecMatch / skuMatches.length) 
     : 0;
-  table.summary.gst = Math.round(table.summary.grand_total * 0.18);
+  const tax = computeGst(bidTaxLines({ products: taxedProducts, testCost: table.summary.total_test_value }), supplyFromRfp(rfpData));
+  table.summary.gst = Math.round(tax.totals.total_tax);
+  table.summary.gst_components = taxRows(tax);
   table.summary.final_bid_value = table.summary.grand_total + table.summary.gst;
   
   return table;
@@ -311,7 +318,9 @@ export function tableToASCII(table) {
     output += `├ Product Value: ${formatLakhsCrores(table.summary.total_product_value)}\n`;
     output += `├ Test Value: ${formatLakhsCrores(table.summary.total_test_value)}\n`;
     output += `├ Subtotal: ${formatLakhsCrores(table.summary.grand_total)}\n`;
-    output += `├ GST (18%): ${formatLakhsCrores(table.summary.gst)}\n`;
+    for (const row of table.summary.gst_components || [{ label: 'GST', amount: table.summary.gst }]) {
+      output += `├ ${row.label}: ${formatLakhsCrores(row.amount)}\n`;
+    }
     output += `└ FINAL BID: ${formatLakhsCrores(table.summary.final_bid_value)}\n`;
   }
   
@@ -0,0 +1,802 @@
+/**
+ * Tender Bundles
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * An RFP usually arrives as a bundle of documents: the NIT, technical
+ * specification, BOQ workbook, GCC / SCC, drawings and corrigenda. A bundle
+ * keeps every document of one tender (PDF, DOCX, XLSX; ZIP archives are
+ * expanded) in `tender_bundle_documents` with:
+ * - role:   classified from the file name, the opening text and the content
+ *           (an XLSX with a quantity column is a BOQ); can be corrected by hand
+ * - fields: tender data extracted from that document alone
+ *
+ * The fields are merged with a per-field role precedence (BOQ lines from the
+ * BOQ, payment terms from the SCC before the GCC, dates from the latest
+ * corrigendum before the NIT) and every merged field records the document it
+ * came from. The merged tender is saved like a single upload (rfps + chunks,
+ * one labelled section per document, as a new revision) and registered in
+ * the uploaded PDF store, so analysis, /api/ask and the agents see the whole
+ * bundle.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import PizZip from 'pizzip';
+import db from '../db/index.js';
+import { parsePDF, extractRFPSummary, extractTechnicalSpecs, extractRequiredTests } from './pdf-parser.js';
+import { extractFromWord, extractTenderDataWithAI } from './document-extractor.js';
+import { readXlsx, xlsxToText } from './xlsx-reader.js';
+import { saveRfpAndChunks } from './rfpMemory.js';
+import { storeUploadedBundle, extractTenderIdFromFilename } from './uploaded-pdf-store.js';
+import { BUNDLE_CONFIG } from '../configs/settings.js';
+
+export const DOCUMENT_ROLES = {
+  nit: {
+    label: 'NIT',
+    description: 'Notice Inviting Tender',
+    name: /\b(?:nit|notice|invitation|ifb|e-?tender)\b/i,
+    text: [/notice\s+inviting\s+(?:e-?)?tenders?/i, /invitation\s+for\s+bids?/i, /tender\s+notice/i,
+      /last\s+date\s+(?:and\s+time\s+)?(?:of|for)\s+(?:bid\s+)?submission/i, /earnest\s+money\s+deposit/i, /tender\s+fee/i]
+  },
+  corrigendum: {
+    label: 'Corrigendum',
+    description: 'Corrigendum / addendum / amendment',
+    name: /corrigend|addend|amendment|errata/i,
+    text: [/corrigendum/i, /addendum/i, /amendment\s+no/i, /(?:extended|revised)\s+(?:up\s*)?to/i]
+  },
+  technical_spec: {
+    label: 'Technical specification',
+    description: 'Technical specification / GTP',
+    name: /spec|technical|\bgtp\b/i,
+    text: [/technical\s+specifications?/i, /guaranteed\s+technical\s+particulars/i, /\b(?:IS\s*[:-]?\s*(?:7098|1554|694|8130)|IEC\s*6050[2-9])\b/i,
+      /conductor\s+(?:shall|material)/i, /insulation\s+(?:shall|thickness)/i, /type\s+tests?/i]
+  },
+  boq: {
+    label: 'BOQ',
+    description: 'Bill of quantities / price schedule',
+    name: /boq|bill[\s_-]*of[\s_-]*quantit|price[\s_-]*(?:bid|schedule)|schedule[\s_-]*of[\s_-]*(?:quantit|price)|financial[\s_-]*bid/i,
+    text: [/bill\s+of\s+quantit/i, /schedule\s+of\s+(?:quantities|prices|rates)/i, /price\s+bid/i, /unit\s+rate/i]
+  },
+  scc: {
+    label: 'SCC',
+    description: 'Special conditions of contract',
+    name: /\bscc\b|special[\s_-]*(?:terms|conditions)/i,
+    text: [/special\s+conditions\s+of\s+contract/i, /\bSCC\b/, /shall\s+prevail\s+over\s+(?:the\s+)?(?:GCC|general)/i]
+  },
+  gcc: {
+    label: 'GCC',
+    description: 'General conditions of contract',
+    name: /\bgcc\b|general[\s_-]*(?:terms|conditions)/i,
+    text: [/general\s+(?:terms\s+and\s+)?conditions\s+of\s+contract/i, /\bGCC\b/, /force\s+majeure/i, /arbitration/i, /liquidated\s+damages/i]
+  },
+  drawing: {
+    label: 'Drawing',
+    description: 'Drawings / layouts',
+    name: /drawing|\bdwg\b|layout|\bsld\b|single[\s_-]*line/i,
+    text: [/drawing\s+no/i, /scale\s*[:=]?\s*1\s*:\s*\d+/i, /drawn\s+by/i]
+  },
+  other: { label: 'Other', description: 'Unclassified document' }
+};
+
+// Documents that state a field, best first (later uploads of the same role first)
+const FIELD_PRIORITY = {
+  tender_id: ['nit', 'corrigendum', 'boq', 'technical_spec', 'scc', 'other'],
+  organisation: ['nit', 'scc', 'gcc', 'technical_spec', 'boq', 'corrigendum', 'other'],
+  title: ['nit', 'technical_spec', 'boq', 'other'],
+  city: ['nit', 'scc', 'technical_spec', 'other'],
+  publish_date: ['nit', 'other'],
+  due_date: ['corrigendum', 'nit', 'other'],
+  pre_bid_meeting_date: ['corrigendum', 'nit', 'other'],
+  clarification_due_date: ['corrigendum', 'nit', 'other'],
+  emd_due_date: ['corrigendum', 'nit', 'other'],
+  estimated_cost_inr: ['corrigendum', 'nit', 'boq', 'other'],
+  emd_amount: ['corrigendum', 'nit', 'scc', 'gcc', 'other'],
+  tender_fee: ['corrigendum', 'nit', 'other'],
+  cable_requirements: ['boq', 'technical_spec', 'nit', 'other'],
+  testing_requirements: ['technical_spec', 'scc', 'nit', 'gcc', 'other'],
+  external_testing_required: ['technical_spec', 'scc', 'nit', 'other'],
+  payment_terms: ['scc', 'gcc', 'nit', 'other'],
+  delivery_period: ['scc', 'gcc', 'nit', 'technical_spec', 'other'],
+  warranty: ['scc', 'gcc', 'technical_spec', 'nit', 'other'],
+  ld_clause: ['scc', 'gcc', 'nit', 'other'],
+  submission_mode: ['nit', 'corrigendum', 'other'],
+  submission_email: ['nit', 'corrigendum', 'other'],
+  contact_person: ['nit', 'corrigendum', 'other'],
+  contact_email: ['nit', 'corrigendum', 'other'],
+  contact_phone: ['nit', 'corrigendum', 'other']
+};
+const DEFAULT_PRIORITY = ['nit', 'corrigendum', 'technical_spec', 'boq', 'scc', 'gcc', 'other'];
+
+const FILE_KINDS = {
+  '.pdf': 'pdf',
+  '.docx': 'word',
+  '.doc': 'word',
+  '.xlsx': 'spreadsheet',
+  '.xlsm': 'spreadsheet',
+  '.zip': 'zip',
+  '.dwg': 'cad',
+  '.dxf': 'cad',
+  '.png': 'image',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.tif': 'image',
+  '.tiff': 'image'
+};
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  word: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  spreadsheet: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  zip: 'application/zip'
+};
+
+const DATE = String.raw`(\d{1,2}[./-]\d{1,2}[./-]\d{2,4}|\d{4}-\d{2}-\d{2}|\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+\d{4})`;
+const AMOUNT = String.raw`(?:rs\.?|inr|₹)?\s*([\d,]+(?:\.\d+)?)\s*(lakhs?|lacs?|crores?|cr\b)?`;
+
+const insertBundle = db.prepare(`
+  INSERT INTO tender_bundles (id, title, createdAt, updatedAt) VALUES (@id, @title, @now, @now)
+  ON CONFLICT(id) DO UPDATE SET title = COALESCE(@title, title), updatedAt = @now
+`);
+
+const updateBundleMerge = db.prepare(`
+  UPDATE tender_bundles SET title = COALESCE(title, @title), merged = @merged, fieldSources = @fieldSources, conflicts = @conflicts, updatedAt = @now
+  WHERE id = @id
+`);
+
+const findBundle = db.prepare(`SELECT * FROM tender_bundles WHERE id = ?`);
+
+const listBundleRows = db.prepare(`
+  SELECT b.*, COUNT(d.id) AS documentCount
+  FROM tender_bundles b LEFT JOIN tender_bundle_documents d ON d.bundleId = b.id
+  GROUP BY b.id ORDER BY b.updatedAt DESC
+`);
+
+const insertDocument = db.prepare(`
+  INSERT INTO tender_bundle_documents (bundleId, seq, fileName, archive, path, mimeType, fileKind, role, roleConfidence, roleSignals, pages, text, fields, extractionMethod, error, createdAt)
+  VALUES (@bundleId, @seq, @fileName, @archive, @path, @mimeType, @fileKind, @role, @roleConfidence, @roleSignals, @pages, @text, @fields, @extractionMethod, @error, @createdAt)
+`);
+
+const listDocumentRows = db.prepare(`SELECT * FROM tender_bundle_documents WHERE bundleId = ? ORDER BY seq ASC`);
+
+const nextSeq = db.prepare(`SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM tender_bundle_documents WHERE bundleId = ?`);
+
+const updateDocumentRole = db.prepare(`
+  UPDATE tender_bundle_documents SET role = @role, roleConfidence = 1, roleSetBy = 'user' WHERE id = @id AND bundleId = @bundleId
+`);
+
+function bundleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const present = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0) &&
+  !(typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(v => !present(v)));
+
+const safeName = (name) => path.basename(String(name)).replace(/[^a-zA-Z0-9._-]/g, '_').slice(-120) || 'document';
+
+export function fileKindOf(fileName) {
+  return FILE_KINDS[path.extname(String(fileName)).toLowerCase()] || 'other';
+}
+
+/**
+ * 15/01/2027, 15.01.2027, 15 January 2027 -> 2027-01-15 (day first, as in Indian tenders)
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str;
+  const numeric = str.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})$/);
+  if (numeric) {
+    const year = numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3];
+    const parsed = dayjs(`${year}-${numeric[2].padStart(2, '0')}-${numeric[1].padStart(2, '0')}`);
+    return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+  }
+  const parsed = dayjs(str.replace(/(\d)(st|nd|rd|th)/, '$1').replace(',', ''));
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+}
+
+function toAmount(number, scale) {
+  let value = parseFloat(String(number).replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  if (/^cr/i.test(scale || '')) value *= 10000000;
+  else if (/^la/i.test(scale || '')) value *= 100000;
+  return Math.round(value);
+}
+
+// ============= READING =============
+
+/**
+ * Uncompressed sizes the ZIP central directory declares, by entry name.
+ * Read from the archive itself rather than PizZip's private entry state; a ZIP64
+ * placeholder (0xFFFFFFFF) stands for a 4 GB+ entry and is kept as such.
+ */
+function declaredSizes(buffer) {
+  const sizes = new Map();
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd === -1 || eocd + 22 > buffer.length) return sizes;
+
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < buffer.readUInt16LE(eocd + 10) && offset + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const utf8 = (buffer.readUInt16LE(offset + 8) & 0x0800) !== 0;
+    const name = buffer.toString(utf8 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    sizes.set(name, buffer.readUInt32LE(offset + 24));
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return sizes;
+}
+
+/**
+ * Expand a ZIP into files under dir (nested archives too; entry paths are flattened)
+ */
+export function expandZip(file, dir, budget, depth = 0) {
+  const buffer = fs.readFileSync(file.path);
+  const zip = new PizZip(buffer);
+  const sizes = declaredSizes(buffer);
+  const files = [];
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || /(^|\/)(__MACOSX|\.)/.test(entry.name)) continue;
+    const kind = fileKindOf(entry.name);
+    if (kind === 'other') continue;
+
+    // Check the size the archive declares before inflating, then the real one
+    const limit = BUNDLE_CONFIG.maxUnzippedMb * 1024 * 1024;
+    if (budget.bytes + (sizes.get(entry.name) || 0) > limit) {
+      throw bundleError(`${file.originalName}: archive expands past ${BUNDLE_CONFIG.maxUnzippedMb} MB`, 413);
+    }
+    const data = entry.asNodeBuffer();
+    budget.bytes += data.length;
+    if (budget.bytes > limit) {
+      throw bundleError(`${file.originalName}: archive expands past ${BUNDLE_CONFIG.maxUnzippedMb} MB`, 413);
+    }
+    const target = path.join(dir, `${Date.now()}-${files.length}-${safeName(entry.name)}`);
+    fs.writeFileSync(target, data);
+    const archive = [file.archive, file.originalName].filter(Boolean).join('/');
+    const expanded = { path: target, originalName: path.basename(entry.name), archive, mimeType: MIME_TYPES[kind] || null };
+
+    if (kind === 'zip' && depth < 2) {
+      files.push(...expandZip(expanded, dir, budget, depth + 1));
+      fs.unlinkSync(target);
+    } else if (kind !== 'zip') {
+      files.push(expanded);
+    }
+  }
+  return files;
+}
+
+/**
+ * Text (and sheets) of one document
+ */
+async function readDocument(file, kind) {
+  if (kind === 'pdf') {
+    const pdf = await parsePDF(file.path);
+    if (!pdf.success) throw new Error(pdf.error || 'PDF could not be read');
+    return { text: pdf.text || '', pages: pdf.numPages || null };
+  }
+  if (kind === 'word') {
+    const word = await extractFromWord(file.path);
+    return { text: word.text || '', pages: null };
+  }
+  if (kind === 'spreadsheet') {
+    const sheets = readXlsx(fs.readFileSync(file.path));
+    return { text: xlsxToText(sheets), sheets, pages: sheets.length };
+  }
+  return { text: '', pages: null };
+}
+
+// ============= CLASSIFICATION =============
+
+/**
+ * BOQ lines from a worksheet: the header row names a description and a quantity column
+ */
+export function boqFromSheets(sheets = []) {
+  const lines = [];
+  for (const sheet of sheets) {
+    const headerIndex = sheet.rows.slice(0, 15).findIndex(row =>
+      row.some(cell => /desc|particular|item\s*(?:name|desc)|specification|material/i.test(String(cell ?? ''))) &&
+      row.some(cell => /^\s*(?:qty|quantity|quantities)\b/i.test(String(cell ?? ''))));
+    if (headerIndex === -1) continue;
+
+    const header = sheet.rows[headerIndex].map(cell => String(cell ?? ''));
+    const column = (pattern) => header.findIndex(cell => pattern.test(cell));
+    const descriptionColumn = column(/desc|particular|specification|material|item\s*name/i);
+    const quantityColumn = column(/^\s*(?:qty|quantity|quantities)\b/i);
+    const unitColumn = column(/\bunit\b|\buom\b/i);
+    const itemColumn = column(/s\.?\s*no|sr\.?\s*no|sl\.?\s*no|item\s*no/i);
+    const unitFromHeader = header[quantityColumn].match(/\((km|m|mtrs?|metres?|meters?|rm)\)/i)?.[1] || null;
+
+    for (const row of sheet.rows.slice(headerIndex + 1)) {
+      const description = String(row[descriptionColumn] ?? '').trim();
+      const quantity = parseFloat(String(row[quantityColumn] ?? '').replace(/,/g, ''));
+      if (!description || !Number.isFinite(quantity)) continue;
+      const unit = String((unitColumn !== -1 ? row[unitColumn] : null) ?? unitFromHeader ?? '').trim() || null;
+      lines.push(requirementFromLine({
+        item_no: itemColumn !== -1 && present(row[itemColumn]) ? row[itemColumn] : lines.length + 1,
+        description,
+        quantity,
+        unit
+      }));
+    }
+  }
+  return lines;
+}
+
+/**
+ * BOQ lines written as text: "1. 11kV 3C x 95 sqmm Al XLPE armoured cable   6 km"
+ */
+function boqFromText(text = '') {
+  const lines = [];
+  const pattern = /^\s*(\d{1,3})[.)]?\s+(.{8,200}?)\s+(\d+(?:[.,]\d+)?)\s*(km|kms|m|mtrs?|metres?|meters?|rm)\b/gim;
+  for (const match of text.matchAll(pattern)) {
+    lines.push(requirementFromLine({ item_no: parseInt(match[1], 10), description: match[2].trim(), quantity: parseFloat(match[3].replace(',', '.')), unit: match[4] }));
+  }
+  return lines;
+}
+
+/**
+ * One BOQ line in the extracted-data schema (qty_km, voltage, cores, size_sqmm, ...)
+ */
+function requirementFromLine({ item_no, description, quantity, unit }) {
+  const specs = extractTechnicalSpecs(description);
+  const qtyKm = /^km/i.test(unit || '') ? quantity : (/^(?:m|mtrs?|metres?|meters?|rm)$/i.test(unit || '') ? quantity / 1000 : null);
+  return Object.fromEntries(Object.entries({
+    item_no,
+    description,
+    cable_type: specs.cable_type,
+    voltage: specs.voltage_kv ? `${specs.voltage_kv}kV` : null,
+    cores: specs.cores ? String(specs.cores) : null,
+    size_sqmm: specs.cross_section_sqmm ? String(specs.cross_section_sqmm) : null,
+    conductor: specs.conductor_material,
+    insulation: specs.insulation,
+    armoured: specs.armoured ? 'Armoured' : null,
+    standard: specs.standard,
+    qty_km: qtyKm !== null ? Math.round(qtyKm * 1000) / 1000 : null,
+    quantity: qtyKm === null ? quantity : null,
+    unit: qtyKm === null ? unit : null
+  }).filter(([, value]) => present(value)));
+}
+
+/**
+ * Classify a document's role in the bundle
+ * @param {Object} doc - { fileName, kind, text, sheets, pages }
+ * @returns {Object} - { role, confidence, signals }
+ */
+export function classifyDocument({ fileName = '', kind = fileKindOf(fileName), text = '', sheets = null, pages = null }) {
+  const opening = text.slice(0, 600);
+  const body = text.slice(600, 20000);
+  const scores = {};
+  const signals = {};
+  const add = (role, points, signal) => {
+    scores[role] = (scores[role] || 0) + points;
+    (signals[role] = signals[role] || []).push(signal);
+  };
+
+  for (const [role, { name, text: patterns = [] }] of Object.entries(DOCUMENT_ROLES)) {
+    if (name && name.test(path.basename(fileName, path.extname(fileName)).replace(/[_-]+/g, ' '))) add(role, 3, 'file name');
+    for (const pattern of patterns) {
+      if (pattern.test(opening)) add(role, 2, `heading: ${pattern.source.slice(0, 40)}`);
+      else if (pattern.test(body)) add(role, 1, `text: ${pattern.source.slice(0, 40)}`);
+    }
+  }
+
+  if (kind === 'cad' || kind === 'image') add('drawing', 5, `${kind} file`);
+  if (kind === 'spreadsheet' && boqFromSheets(sheets || []).length > 0) add('boq', 4, 'quantity column');
+  if (kind === 'pdf' && pages && text.replace(/\s+/g, '').length / pages < 80) add('drawing', 1, 'little text per page');
+
+  const ranked = Object.keys(DOCUMENT_ROLES).filter(role => scores[role]).sort((a, b) => scores[b] - scores[a]);
+  if (ranked.length === 0) {
+    return { role: 'other', confidence: 0, signals: [] };
+  }
+  const role = ranked[0];
+  return { role, confidence: Math.round(Math.min(1, scores[role] / 6) * 100) / 100, signals: signals[role] };
+}
+
+// ============= EXTRACTION =============
+
+/**
+ * Tender fields a document states, by pattern matching
+ */
+function fieldsFromText(text, role) {
+  if (!text.trim()) return {};
+  const summary = extractRFPSummary(text);
+  const match = (pattern) => text.match(pattern);
+  const line = (pattern) => match(pattern)?.[1]?.trim().replace(/\s+/g, ' ') || null;
+
+  const estimate = match(new RegExp(String.raw`(?:estimated\s+(?:cost|value)|tender\s+value|approx(?:imate)?\.?\s+value)[^\d₹\n]{0,30}${AMOUNT}`, 'i'));
+  const emd = match(new RegExp(String.raw`(?:EMD|earnest\s+money(?:\s+deposit)?)(?:\s+amount)?[^\d₹\n]{0,30}${AMOUNT}`, 'i'));
+  const fee = match(new RegExp(String.raw`tender\s+(?:document\s+)?fee[^\d₹\n]{0,30}${AMOUNT}`, 'i'));
+  const revisedDue = match(new RegExp(String.raw`(?:due|closing|last|submission)\s+date[^\n]{0,80}?(?:extended|revised|postponed)\s+(?:up\s*)?to\s+${DATE}`, 'i'));
+  const preBid = match(new RegExp(String.raw`pre-?\s*bid\s+(?:meeting|conference)[^\d\n]{0,40}${DATE}`, 'i'));
+  const tests = extractRequiredTests(text);
+  const lines = boqFromText(text);
+
+  return {
+    tender_id: summary.rfp_id,
+    organisation: summary.buyer_name,
+    title: line(/^\s*(?:name\s+of\s+(?:work|tender)|subject|title)\s*[:\-–]\s*([^\n]{10,200})/im) ||
+      line(/^\s*((?:supply|procurement|purchase)\s+of\s+[^\n]{10,200})/im),
+    city: summary.location,
+    due_date: toIsoDate(revisedDue?.[1] || summary.due_date),
+    pre_bid_meeting_date: toIsoDate(preBid?.[1]),
+    estimated_cost_inr: estimate ? toAmount(estimate[1], estimate[2]) : null,
+    emd_amount: emd ? toAmount(emd[1], emd[2]) : null,
+    tender_fee: fee ? toAmount(fee[1], fee[2]) : null,
+    payment_terms: line(/payment\s+terms?\s*[:\-–]\s*([^\n]{5,200})/i),
+    delivery_period: line(/delivery\s+(?:period|schedule|time)\s*[:\-–]\s*([^\n]{3,150})/i),
+    warranty: line(/(?:warranty|guarantee)(?:\s+period)?\s*[:\-–]\s*([^\n]{3,150})/i),
+    ld_clause: line(/liquidated\s+damages?(?:\s*\(LD\))?\s*[:\-–]\s*([^\n]{5,200})/i),
+    submission_mode: summary.submission?.mode,
+    submission_email: summary.submission?.email_to,
+    contact_email: text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/)?.[0] || null,
+    cable_requirements: lines.length > 0 ? lines : (role === 'technical_spec'
+      ? summary.scope.map((item, index) => requirementFromLine({ item_no: index + 1, description: item.description, quantity: item.extracted_specs?.quantity_km ?? null, unit: 'km' }))
+      : null),
+    testing_requirements: tests.length > 0 ? {
+      routine_tests: tests.filter(test => test.type === 'ROUTINE').map(test => test.name),
+      type_tests: tests.filter(test => test.type === 'TYPE').map(test => test.name),
+      acceptance_tests: tests.filter(test => test.type === 'ACCEPTANCE').map(test => test.name)
+    } : null,
+    external_testing_required: /third[\s-]*party\s+(?:inspection|testing)[^\n.]{0,60}(?:mandatory|required|shall)/i.test(text) ? true : null
+  };
+}
+
+/**
+ * Extract one document: AI extraction when configured, pattern matching for what it leaves out
+ */
+async function extractFields({ text, sheets, role, fileName }) {
+  const fields = {};
+  let method = 'pattern';
+
+  if (sheets) {
+    const lines = boqFromSheets(sheets);
+    if (lines.length > 0) {
+      fields.cable_requirements = lines;
+      method = 'spreadsheet';
+    }
+  }
+
+  if (text.trim() && role !== 'drawing' && BUNDLE_CONFIG.aiExtraction && (process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || process.env.OPENAI_API_KEY)) {
+    const ai = await extractTenderDataWithAI(text.slice(0, BUNDLE_CONFIG.maxAiChars), fileName);
+    if (ai.success && ai.data) {
+      for (const [key, value] of Object.entries(ai.data)) {
+        if (present(value) && !present(fields[key])) fields[key] = value;
+      }
+      method = method === 'spreadsheet' ? 'spreadsheet+ai' : 'ai';
+    }
+  }
+
+  if (role !== 'drawing') {
+    for (const [key, value] of Object.entries(fieldsFromText(text, role))) {
+      if (present(value) && !present(fields[key])) fields[key] = value;
+    }
+  }
+  return { fields, method };
+}
+
+// ============= MERGE =============
+
+/**
+ * Merge per-document fields with source attribution
+ * @param {Array} documents - [{ id, seq, fileName, role, fields }]
+ * @returns {Object} - { data, field_sources: { field: { document_id, file_name, role } }, conflicts }
+ */
+export function mergeBundleFields(documents) {
+  const fieldNames = [...new Set(documents.flatMap(doc => Object.keys(doc.fields || {})))];
+  const data = {};
+  const fieldSources = {};
+  const conflicts = [];
+
+  for (const field of fieldNames) {
+    const order = FIELD_PRIORITY[field] || DEFAULT_PRIORITY;
+    const candidates = documents
+      .filter(doc => order.includes(doc.role) && present(doc.fields?.[field]))
+      .sort((a, b) => order.indexOf(a.role) - order.indexOf(b.role) || b.seq - a.seq);
+    if (candidates.length === 0) continue;
+
+    const [chosen, ...others] = candidates;
+    data[field] = chosen.fields[field];
+    fieldSources[field] = { document_id: chosen.id, file_name: chosen.fileName, role: chosen.role };
+
+    const differing = others.filter(doc => JSON.stringify(doc.fields[field]) !== JSON.stringify(chosen.fields[field]));
+    if (differing.length > 0) {
+      conflicts.push({
+        field,
+        chosen: { document_id: chosen.id, file_name: chosen.fileName, role: chosen.role, value: chosen.fields[field] },
+        overridden: differing.map(doc => ({ document_id: doc.id, file_name: doc.fileName, role: doc.role, value: doc.fields[field] }))
+      });
+    }
+  }
+
+  return { data, field_sources: fieldSources, conflicts };
+}
+
+function parseDocument(row, { text = false } = {}) {
+  return {
+    id: row.id,
+    seq: row.seq,
+    fileName: row.fileName,
+    archive: row.archive,
+    path: row.path,
+    mimeType: row.mimeType,
+    kind: row.fileKind,
+    role: row.role,
+    role_label: DOCUMENT_ROLES[row.role]?.label || row.role,
+    role_confidence: row.roleConfidence,
+    role_signals: JSON.parse(row.roleSignals || '[]'),
+    role_set_by: row.roleSetBy,
+    pages: row.pages,
+    text_length: (row.text || '').length,
+    extraction_method: row.extractionMethod,
+    error: row.error,
+    fields: JSON.parse(row.fields || '{}'),
+    ...(text ? { text: row.text || '' } : {}),
+    created_at: row.createdAt
+  };
+}
+
+/**
+ * Analysis text for the uploaded PDF store (parsed the same way as a single upload's analysis)
+ */
+function bundleAnalysisText(bundleId, data, documents) {
+  return [
+    `TENDER BUNDLE ${bundleId}: ${documents.length} document(s)`,
+    ...documents.map(doc => `• ${doc.role_label}: ${doc.fileName}`),
+    '',
+    `Buyer: ${data.organisation || 'N/A'}`,
+    `Due Date: ${data.due_date || 'N/A'}`,
+    `Payment Terms: ${data.payment_terms || 'N/A'}`,
+    `Delivery Period: ${data.delivery_period || 'N/A'}`,
+    `Warranty: ${data.warranty || 'N/A'}`,
+    `LD Clause: ${data.ld_clause || 'N/A'}`,
+    `EMD/Security Deposit: ${data.emd_amount || 'N/A'}`,
+    '',
+    'CABLE REQUIREMENTS',
+    ...(data.cable_requirements || []).map(item => `Item ${item.item_no}: ${item.description || ''} - ${item.qty_km ?? item.quantity ?? '?'} ${item.qty_km !== undefined ? 'km' : (item.unit || '')}`.trim())
+  ].join('\n');
+}
+
+/**
+ * Re-merge a bundle and push it to the rfps table, chunks and the uploaded PDF store
+ */
+function syncBundle(bundleId) {
+  const rows = listDocumentRows.all(bundleId);
+  const documents = rows.map(row => parseDocument(row));
+  const { data, field_sources: fieldSources, conflicts } = mergeBundleFields(documents);
+  const now = dayjs().toISOString();
+  updateBundleMerge.run({
+    id: bundleId,
+    title: data.title || null,
+    merged: JSON.stringify(data),
+    fieldSources: JSON.stringify(fieldSources),
+    conflicts: JSON.stringify(conflicts),
+    now
+  });
+
+  const primary = documents.find(doc => doc.role === 'nit' && doc.kind === 'pdf') || documents.find(doc => doc.kind === 'pdf') || null;
+  const revision = saveRfpAndChunks({
+    rfp: {
+      id: bundleId,
+      portal: data.portal || 'upload',
+      // Fields no document supplied are left null so the stored values are kept
+      buyerName: data.organisation || data.organization || null,
+      title: data.title || findBundle.get(bundleId)?.title || null,
+      city: data.city || null,
+      dueDate: data.due_date || null,
+      estCost: Number.isFinite(Number(data.estimated_cost_inr)) && data.estimated_cost_inr !== null ? Math.round(Number(data.estimated_cost_inr)) : null,
+      category: data.category || data.product_category || null,
+      pdfPath: primary?.path || null,
+      preBidDate: data.pre_bid_meeting_date || null,
+      clarificationDueDate: data.clarification_due_date || null,
+      emdDueDate: data.emd_due_date || null
+    },
+    sections: rows.filter(row => row.text).map(row => ({
+      label: `${DOCUMENT_ROLES[row.role]?.label || row.role}: ${row.fileName}`,
+      text: row.text
+    })),
+    tender: data,
+    source: 'bundle'
+  });
+
+  storeUploadedBundle(bundleId, documents, {
+    tender_id: bundleId,
+    organisation: data.organisation,
+    title: data.title,
+    due_date: data.due_date,
+    city: data.city,
+    estimated_cost: data.estimated_cost_inr,
+    analysis_text: bundleAnalysisText(bundleId, data, documents),
+    raw_data: data,
+    field_sources: fieldSources
+  });
+
+  return revision;
+}
+
+// ============= PUBLIC API =============
+
+/**
+ * Add documents to a tender's bundle (creating it), classify and extract each one, then re-merge.
+ * @param {Array} files - Uploaded files [{ path, originalName, mimeType }] (moved into the bundle directory)
+ * @param {Object} options - { tenderId, title, roles: { [originalName]: role } to skip classification }
+ * @returns {Promise<Object>} - getBundle() view plus { added, revision }
+ */
+export async function addBundleDocuments(files = [], { tenderId = null, title = null, roles = {} } = {}) {
+  if (files.length === 0) {
+    throw bundleError('No documents uploaded');
+  }
+  for (const [name, role] of Object.entries(roles || {})) {
+    if (!DOCUMENT_ROLES[role]) throw bundleError(`Unknown role "${role}" for ${name}`);
+  }
+
+  const stagingDir = path.join(process.cwd(), BUNDLE_CONFIG.storageDir, `.staging-${Date.now()}`);
+  fs.mkdirSync(stagingDir, { recursive: true });
+
+  try {
+    // ZIP archives are replaced by their entries
+    const budget = { bytes: 0 };
+    const expanded = [];
+    for (const file of files) {
+      if (fileKindOf(file.originalName) === 'zip') {
+        expanded.push(...expandZip(file, stagingDir, budget));
+        fs.rmSync(file.path, { force: true });
+      } else {
+        expanded.push(file);
+      }
+    }
+    if (expanded.length > BUNDLE_CONFIG.maxFiles) {
+      throw bundleError(`A bundle upload is limited to ${BUNDLE_CONFIG.maxFiles} documents (got ${expanded.length})`, 413);
+    }
+
+    const processed = [];
+    for (const file of expanded) {
+      const kind = fileKindOf(file.originalName);
+      let read = { text: '', pages: null };
+      let error = null;
+      try {
+        read = await readDocument(file, kind);
+      } catch (readError) {
+        error = readError.message;
+        console.warn(`⚠️  Bundle document ${file.originalName} not read: ${error}`);
+      }
+
+      const classified = roles?.[file.originalName]
+        ? { role: roles[file.originalName], confidence: 1, signals: ['set on upload'] }
+        : classifyDocument({ fileName: file.originalName, kind, ...read });
+      const { fields, method } = error ? { fields: {}, method: null } : await extractFields({ ...read, role: classified.role, fileName: file.originalName });
+      processed.push({ file, kind, read, classified, fields, method, error });
+      console.log(`   📎 ${file.originalName}: ${DOCUMENT_ROLES[classified.role].label} (${classified.confidence})`);
+    }
+
+    // Bundle id: given, from a file name, from the NIT / other documents, or generated
+    const fromNames = expanded.map(file => extractTenderIdFromFilename(file.originalName)).find(Boolean);
+    const fromFields = mergeBundleFields(processed.map((doc, index) => ({ id: index, seq: index, role: doc.classified.role, fields: doc.fields }))).data.tender_id;
+    const bundleId = String(tenderId || fromNames || fromFields || `BND-${Date.now()}`).trim().toUpperCase().replace(/[^A-Z0-9._/-]/g, '-');
+    // "." or ".." would name the storage directory or its parent
+    if (/^\.*$/.test(bundleId)) {
+      throw bundleError(`Invalid tender ID "${bundleId}"`);
+    }
+    const bundleDir = path.join(process.cwd(), BUNDLE_CONFIG.storageDir, bundleId.replace(/[^A-Z0-9._-]/g, '_'));
+    fs.mkdirSync(bundleDir, { recursive: true });
+
+    const now = dayjs().toISOString();
+    const added = db.transaction(() => {
+      insertBundle.run({ id: bundleId, title, now });
+      let seq = nextSeq.get(bundleId).seq;
+      return processed.map(doc => {
+        const target = path.join(bundleDir, `${seq}-${safeName(doc.file.originalName)}`);
+        fs.renameSync(doc.file.path, target);
+        const id = insertDocument.run({
+          bundleId,
+          seq: seq++,
+          fileName: doc.file.originalName,
+          archive: doc.file.archive || null,
+          path: target,
+          mimeType: doc.file.mimeType || MIME_TYPES[doc.kind] || null,
+          fileKind: doc.kind,
+          role: doc.classified.role,
+          roleConfidence: doc.classified.confidence,
+          roleSignals: JSON.stringify(doc.classified.signals),
+          pages: doc.read.pages,
+          text: doc.read.text || '',
+          fields: JSON.stringify(doc.fields),
+          extractionMethod: doc.method,
+          error: doc.error,
+          createdAt: now
+        }).lastInsertRowid;
+        return { id, file_name: doc.file.originalName, role: doc.classified.role, confidence: doc.classified.confidence, error: doc.error };
+      });
+    })();
+
+    const revision = syncBundle(bundleId);
+    console.log(`📚 Bundle ${bundleId}: +${added.length} document(s), revision ${revision.revision}`);
+    return { ...getBundle(bundleId), added, revision: { revision: revision.revision, kind: revision.kind, material: revision.material, changes: revision.diff?.summary || [], stale: revision.stale } };
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Correct a document's role and re-merge the bundle
+ */
+export function setDocumentRole(bundleId, documentId, role) {
+  if (!DOCUMENT_ROLES[role]) {
+    throw bundleError(`Unknown role "${role}" (one of ${Object.keys(DOCUMENT_ROLES).join(', ')})`);
+  }
+  const { changes } = updateDocumentRole.run({ bundleId, id: Number(documentId), role });
+  if (changes === 0) {
+    throw bundleError(`Document ${documentId} not found in bundle ${bundleId}`, 404);
+  }
+  syncBundle(bundleId);
+  return getBundle(bundleId);
+}
+
+/**
+ * Bundle with its documents, merged tender data, field sources and conflicts (null when there is none)
+ */
+export function getBundle(bundleId) {
+  const row = findBundle.get(String(bundleId || '').toUpperCase());
+  if (!row) return null;
+  const documents = listDocumentRows.all(row.id).map(doc => parseDocument(doc));
+  return {
+    id: row.id,
+    tender_id: row.id,
+    title: row.title,
+    documents: documents.map(({ fields, path: _path, ...doc }) => ({ ...doc, fields_found: Object.keys(fields) })),
+    roles: Object.fromEntries(Object.keys(DOCUMENT_ROLES)
+      .map(role => [role, documents.filter(doc => doc.role === role).map(doc => doc.fileName)])
+      .filter(([, names]) => names.length > 0)),
+    data: JSON.parse(row.merged || '{}'),
+    field_sources: JSON.parse(row.fieldSources || '{}'),
+    conflicts: JSON.parse(row.conflicts || '[]'),
+    created_at: row.createdAt,
+    updated_at: row.updatedAt
+  };
+}
+
+export function listBundles() {
+  return listBundleRows.all().map(row => ({
+    id: row.id,
+    title: row.title,
+    documents: row.documentCount,
+    updated_at: row.updatedAt
+  }));
+}
+
+/**
+ * One document with its text and extracted fields
+ */
+export function getBundleDocument(bundleId, documentId) {
+  const row = listDocumentRows.all(String(bundleId).toUpperCase()).find(doc => doc.id === Number(documentId));
+  if (!row) {
+    throw bundleError(`Document ${documentId} not found in bundle ${bundleId}`, 404);
+  }
+  return parseDocument(row, { text: true });
+}
+
+/**
+ * Text of the bundle's documents, each under a [Role: file] heading
+ * @param {string} bundleId - Tender ID
+ * @param {Object} options - { roles: only these roles, in this order }
+ */
+export function getBundleText(bundleId, { roles = null } = {}) {
+  const rows = listDocumentRows.all(String(bundleId || '').toUpperCase()).filter(row => row.text && (!roles || roles.includes(row.role)));
+  if (roles) rows.sort((a, b) => roles.indexOf(a.role) - roles.indexOf(b.role) || a.seq - b.seq);
+  return rows.map(row => `[${DOCUMENT_ROLES[row.role]?.label || row.role}: ${row.fileName}]\n${row.text}`).join('\n\n');
+}
+
+export default {
+  DOCUMENT_ROLES,
+  fileKindOf,
+  classifyDocument,
+  mergeBundleFields,
+  addBundleDocuments,
+  setDocumentRole,
+  getBundle,
+  listBundles,
+  getBundleDocument,
+  getBundleText
+};
@@ -0,0 +1,273 @@
+/**
+ * Tender Deduplication
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * The same tender is often cross-posted on the government, industrial and
+ * utilities portals (and CPPP / OCDS imports) under different IDs with
+ * slightly different titles. Listings are scored pairwise on:
+ * - buyer:  organisation name tokens, or its acronym ("MSEB")
+ * - specs:  cores / size / voltage / conductor / insulation / armour parsed
+ *           from material + title (parseSpecsFromText)
+ * - value:  estimated cost within a few percent
+ * - dates:  bid due date (publish date when there is none) within days
+ * - title:  shared title tokens
+ * and merged into clusters (never two listings from the same portal). Each
+ * cluster keeps one canonical record, the most complete listing, with links
+ * to every source listing.
+ */
+
+import crypto from 'crypto';
+import { parseSpecsFromText } from './scraper.js';
+import { DEDUP_CONFIG } from '../configs/settings.js';
+
+const BUYER_STOPWORDS = new Set(['the', 'of', 'and', 'ltd', 'limited', 'pvt', 'private', 'co', 'inc', 'govt', 'government', 'india', 'psu']);
+const ACRONYM_STOPWORDS = new Set(['ltd', 'limited', 'pvt', 'private', 'corp', 'corporation', 'company', 'govt', 'government', 'india', 'psu']);
+const TITLE_STOPWORDS = new Set(['supply', 'of', 'for', 'and', 'the', 'cable', 'cables', 'x', 'sqmm', 'mm', 'mm²', 'kv', 'tender', 'procurement', 'site']);
+const SPEC_KEYS = ['cores', 'area', 'voltage', 'conductor', 'insulation', 'armoured'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function tokens(text, stopwords) {
+  return new Set(String(text || '').toLowerCase()
+    .replace(/[^a-z0-9.]+/g, ' ')
+    .split(' ')
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token && !stopwords.has(token)));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(token => b.has(token)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Buyer name -> { tokens, acronyms } ("Maharashtra State Electricity Board (MSEB)" -> mseb)
+ * Acronyms come from brackets, or from capitalised words in a mixed-case name ("NTPC Limited");
+ * in an all-caps name (usual on CPPP) every word is capitalised, so none of them is an acronym.
+ */
+function buyerKey(name) {
+  const text = String(name || '');
+  const unbracketed = text.replace(/\([^)]*\)/g, ' ');
+  const words = tokens(unbracketed, BUYER_STOPWORDS);
+  const bracketed = [...text.matchAll(/\(([^)]*)\)/g)].flatMap(match => match[1].match(/\b[A-Z]{3,}\b/g) || []);
+  const embedded = /[a-z]/.test(unbracketed) ? unbracketed.match(/\b[A-Z]{3,}\b/g) || [] : [];
+  const acronyms = new Set([...bracketed, ...embedded].map(word => word.toLowerCase()).filter(word => !ACRONYM_STOPWORDS.has(word)));
+  const initials = [...words].filter(word => !/^\d/.test(word)).map(word => word[0]).join('');
+  if (initials.length >= 3) acronyms.add(initials);
+  return { tokens: words, acronyms };
+}
+
+function buyerSimilarity(a, b) {
+  if (a.tokens.size === 0 && a.acronyms.size === 0) return 0;
+  if ([...a.acronyms].some(acronym => b.acronyms.has(acronym) || b.tokens.has(acronym))) return 1;
+  if ([...b.acronyms].some(acronym => a.tokens.has(acronym))) return 1;
+  const [small, large] = a.tokens.size <= b.tokens.size ? [a.tokens, b.tokens] : [b.tokens, a.tokens];
+  if (small.size > 0 && [...small].every(token => large.has(token))) return 0.9;
+  return jaccard(a.tokens, b.tokens);
+}
+
+/**
+ * Spec agreement over the fields both listings state; null when the specs contradict
+ * (a different voltage or conductor size is a different tender from the same buyer)
+ */
+function specSimilarity(a, b) {
+  const shared = SPEC_KEYS.filter(key => a[key] !== undefined && b[key] !== undefined);
+  if (shared.length === 0) return 0.5;
+  if (['voltage', 'area', 'cores'].some(key => shared.includes(key) && a[key] !== b[key])) return null;
+  return shared.filter(key => a[key] === b[key]).length / shared.length;
+}
+
+function valueSimilarity(a, b) {
+  if (!a || !b) return 0.5;
+  const difference = Math.abs(a - b) / Math.max(a, b);
+  const { valueExactPct, valueMaxPct } = DEDUP_CONFIG;
+  if (difference <= valueExactPct / 100) return 1;
+  return Math.max(0, 1 - (difference - valueExactPct / 100) / ((valueMaxPct - valueExactPct) / 100));
+}
+
+function dateSimilarity(a, b) {
+  if (!a || !b) return 0.5;
+  const days = Math.abs(a - b) / DAY_MS;
+  return Math.max(0, 1 - days / DEDUP_CONFIG.maxDateGapDays);
+}
+
+function portalOf(tender) {
+  return tender.portal_id || tender.source_type || tender.portal_name || String(tender.tender_id || '').split(/[-_]/)[0];
+}
+
+function fingerprint(tender) {
+  const dueDate = Date.parse(tender.due_date || '') || Date.parse(tender.publish_date || '') || null;
+  return {
+    tender,
+    portal: portalOf(tender),
+    buyer: buyerKey(tender.organisation),
+    specs: parseSpecsFromText(`${tender.material || ''} ${tender.title || ''}`),
+    cableType: tender.cable_type || null,
+    value: Number(tender.estimated_cost_inr) || null,
+    date: dueDate,
+    title: tokens(tender.title, TITLE_STOPWORDS)
+  };
+}
+
+/**
+ * Pairwise duplicate score
+ * @returns {Object|null} - { score, buyer, specs, value, dates, title } or null when the listings cannot be the same tender
+ */
+export function compareTenders(a, b) {
+  const left = a.tender && a.specs ? a : fingerprint(a);
+  const right = b.tender && b.specs ? b : fingerprint(b);
+
+  const buyer = buyerSimilarity(left.buyer, right.buyer);
+  if (buyer < DEDUP_CONFIG.minBuyerSimilarity) return null;
+  if (left.cableType && right.cableType && left.cableType !== right.cableType) return null;
+  const specs = specSimilarity(left.specs, right.specs);
+  if (specs === null) return null;
+
+  const parts = {
+    buyer,
+    specs,
+    value: valueSimilarity(left.value, right.value),
+    dates: dateSimilarity(left.date, right.date),
+    title: jaccard(left.title, right.title)
+  };
+  const { weights } = DEDUP_CONFIG;
+  const score = Object.entries(weights).reduce((sum, [key, weight]) => sum + weight * parts[key], 0) /
+    Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return { score: round(score), ...Object.fromEntries(Object.entries(parts).map(([key, value]) => [key, round(value)])) };
+}
+
+/**
+ * Most complete listing first (requirements, documents, contacts), then the earliest published
+ */
+function completeness(tender) {
+  const fields = ['organisation', 'title', 'material', 'city', 'due_date', 'publish_date', 'estimated_cost_inr', 'pdf_url', 'contact_email', 'contact_phone', 'detail_url'];
+  return fields.filter(field => tender[field] !== undefined && tender[field] !== null && tender[field] !== '').length +
+    2 * (tender.cable_requirements?.length || 0) + (tender.documents?.length || 0);
+}
+
+function canonicalOf(members) {
+  return [...members].sort((a, b) =>
+    completeness(b.tender) - completeness(a.tender) ||
+    String(a.tender.publish_date || '').localeCompare(String(b.tender.publish_date || '')) ||
+    String(a.tender.tender_id).localeCompare(String(b.tender.tender_id))
+  )[0];
+}
+
+function sourceLink(tender, match, isCanonical) {
+  return {
+    tender_id: tender.tender_id,
+    portal_id: tender.portal_id || portalOf(tender),
+    portal_name: tender.portal_name || null,
+    title: tender.title || null,
+    url: tender.source_url || tender.detail_url || tender.pdf_url || null,
+    estimated_cost_inr: tender.estimated_cost_inr ?? null,
+    due_date: tender.due_date || null,
+    canonical: isCanonical,
+    similarity: isCanonical ? 1 : (match?.score ?? null),
+    ...(match && !isCanonical ? { match } : {})
+  };
+}
+
+/**
+ * Cluster cross-posted listings
+ * @param {Array} tenders - Tenders in the portal JSON schema (input order is kept for the canonical records)
+ * @param {Object} options - { threshold }
+ * @returns {Object} - { tenders: canonical records (with `cluster` when merged), clusters, duplicates_removed }
+ */
+export function dedupeTenders(tenders = [], { threshold = DEDUP_CONFIG.threshold } = {}) {
+  // Identical IDs are the same listing fetched twice
+  const unique = [...new Map(tenders.filter(Boolean).map(tender => [tender.tender_id, tender])).values()];
+  const prints = unique.map(fingerprint);
+
+  const pairs = [];
+  for (let i = 0; i < prints.length; i++) {
+    for (let j = i + 1; j < prints.length; j++) {
+      if (prints[i].portal === prints[j].portal) continue;
+      const match = compareTenders(prints[i], prints[j]);
+      if (match && match.score >= threshold) pairs.push({ i, j, match });
+    }
+  }
+
+  // Strongest pairs first; a cluster holds at most one listing per portal
+  const clusterOf = prints.map((_, index) => index);
+  const members = prints.map((print, index) => [index]);
+  const find = (index) => (clusterOf[index] === index ? index : (clusterOf[index] = find(clusterOf[index])));
+  const matches = new Map();
+  for (const { i, j, match } of pairs.sort((a, b) => b.match.score - a.match.score)) {
+    const [left, right] = [find(i), find(j)];
+    if (left === right) continue;
+    const portals = new Set(members[left].map(index => prints[index].portal));
+    if (members[right].some(index => portals.has(prints[index].portal))) continue;
+    clusterOf[right] = left;
+    members[left].push(...members[right]);
+    members[right] = [];
+    matches.set(`${i}:${j}`, match);
+    matches.set(`${j}:${i}`, match);
+  }
+
+  const canonical = [];
+  const clusters = [];
+  const emitted = new Set();
+  prints.forEach((print, index) => {
+    const root = find(index);
+    if (emitted.has(root)) return;
+    emitted.add(root);
+    const group = members[root].map(member => prints[member]);
+    if (group.length === 1) {
+      canonical.push(print.tender);
+      return;
+    }
+
+    const primary = canonicalOf(group);
+    const primaryIndex = prints.indexOf(primary);
+    const sources = group.map(member => {
+      const memberIndex = prints.indexOf(member);
+      const match = member === primary ? null : (matches.get(`${primaryIndex}:${memberIndex}`) || compareTenders(primary, member));
+      return sourceLink(member.tender, match, member === primary);
+    });
+    const ids = group.map(member => member.tender.tender_id).sort();
+    const cluster = {
+      cluster_id: `TC-${crypto.createHash('sha1').update(ids.join('|')).digest('hex').slice(0, 10)}`,
+      canonical_id: primary.tender.tender_id,
+      size: group.length,
+      confidence: round(Math.min(...sources.map(source => source.similarity ?? threshold))),
+      tender_ids: ids,
+      sources
+    };
+
+    // Fields the canonical listing lacks are filled from the other copies
+    const merged = { ...primary.tender };
+    for (const member of group) {
+      for (const [key, value] of Object.entries(member.tender)) {
+        if ((merged[key] === undefined || merged[key] === null || merged[key] === '') && value !== null && value !== undefined) merged[key] = value;
+      }
+    }
+    const relevance = Math.max(...group.map(member => member.tender._relevanceScore || 0));
+    canonical.push({ ...merged, ...(relevance ? { _relevanceScore: relevance } : {}), cluster });
+    clusters.push(cluster);
+  });
+
+  return {
+    tenders: canonical,
+    clusters,
+    duplicates_removed: unique.length - canonical.length
+  };
+}
+
+/**
+ * One-line note for chat replies
+ */
+export function describeClusters(clusters = []) {
+  if (clusters.length === 0) return null;
+  const copies = clusters.reduce((sum, cluster) => sum + cluster.size - 1, 0);
+  const examples = clusters.slice(0, 3).map(cluster => cluster.tender_ids.join(' = ')).join('; ');
+  return `🔁 ${copies} cross-posted duplicate listing(s) merged (${examples}${clusters.length > 3 ? '; …' : ''})`;
+}
+
+export default {
+  compareTenders,
+  dedupeTenders,
+  describeClusters
+};
@@ -0,0 +1,529 @@
+/**
+ * Tender Revisions
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Tenders are amended after publication: corrigenda extend the due date,
+ * addenda revise BOQ quantities or specs. Every upload or portal update of a
+ * tender is stored as a revision in `rfp_revisions` holding a snapshot of
+ * - dates:      bid due, pre-bid meeting, clarification and EMD deadlines
+ * - boq:        cable lines with quantities
+ * - specs:      per-line technical particulars (voltage, size, cores, ...)
+ * - commercial: estimated cost, EMD, tender fee, payment / delivery terms
+ * and a structured diff against the previous revision. Material changes mark
+ * the downstream artefacts built on the old terms (quotation, compliance
+ * sheet, reminders) stale in `rfp_artefacts` and notify the revision channels.
+ *
+ * A section the new document does not state (a date-only corrigendum has no
+ * BOQ) keeps the previous revision's value, like the rfps upsert does.
+ */
+
+import crypto from 'crypto';
+import dayjs from 'dayjs';
+import db from '../db/index.js';
+import { deliverReminder } from './reminder-channels.js';
+import { REVISION_CONFIG } from '../configs/settings.js';
+
+const DATE_FIELDS = {
+  dueDate: { label: 'Bid due date', milestone: 'due' },
+  preBidDate: { label: 'Pre-bid meeting', milestone: 'preBid' },
+  clarificationDueDate: { label: 'Clarification deadline', milestone: 'clarification' },
+  emdDueDate: { label: 'EMD due date', milestone: 'emd' }
+};
+
+const SPEC_FIELDS = ['cable_type', 'voltage', 'conductor', 'size', 'cores', 'insulation', 'armoured', 'standard'];
+
+const COMMERCIAL_FIELDS = {
+  estCost: { label: 'Estimated cost', numeric: true },
+  emdAmount: { label: 'EMD amount', numeric: true },
+  tenderFee: { label: 'Tender fee', numeric: true },
+  paymentTerms: { label: 'Payment terms' },
+  deliveryPeriod: { label: 'Delivery period' },
+  warranty: { label: 'Warranty' },
+  submissionMode: { label: 'Submission mode' }
+};
+
+const SECTION_LABELS = { dates: 'dates', boq: 'BOQ', specs: 'technical specs', commercial: 'commercial terms' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const findRfpRow = db.prepare(`SELECT * FROM rfps WHERE id = ?`);
+
+const latestRevision = db.prepare(`
+  SELECT * FROM rfp_revisions WHERE rfpId = ? ORDER BY revision DESC LIMIT 1
+`);
+
+// Chunks written before revisions were tracked carry revision 1
+const listBaselineChunks = db.prepare(`
+  SELECT text FROM rfp_chunks WHERE rfpId = ? AND revision = 1 ORDER BY seq
+`);
+
+const findRevision = db.prepare(`
+  SELECT * FROM rfp_revisions WHERE rfpId = ? AND revision = ?
+`);
+
+const listRevisionRows = db.prepare(`
+  SELECT * FROM rfp_revisions WHERE rfpId = ? ORDER BY revision ASC
+`);
+
+const insertRevision = db.prepare(`
+  INSERT INTO rfp_revisions (rfpId, revision, kind, source, snapshot, textHash, diff, material, createdAt)
+  VALUES (@rfpId, @revision, @kind, @source, @snapshot, @textHash, @diff, @material, @createdAt)
+`);
+
+const upsertArtefact = db.prepare(`
+  INSERT INTO rfp_artefacts (rfpId, kind, ref, revision, status, createdAt, updatedAt)
+  VALUES (@rfpId, @kind, @ref, @revision, 'current', @now, @now)
+  ON CONFLICT(rfpId, kind, ref) DO UPDATE SET
+    revision=@revision,
+    status='current',
+    staleRevision=NULL,
+    staleReason=NULL,
+    updatedAt=@now
+`);
+
+const markStale = db.prepare(`
+  UPDATE rfp_artefacts
+  SET status = 'stale', staleRevision = @revision, staleReason = @reason, updatedAt = @now
+  WHERE rfpId = @rfpId AND kind = @kind
+`);
+
+const countPendingReminders = db.prepare(`
+  SELECT COUNT(*) AS count FROM reminders
+  WHERE rfpId = ? AND status IN ('scheduled', 'retrying') AND COALESCE(milestone, 'due') = ?
+`);
+
+const listArtefactRows = db.prepare(`
+  SELECT * FROM rfp_artefacts WHERE rfpId = ? ORDER BY kind, ref
+`);
+
+function revisionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const present = (value) => value !== undefined && value !== null && value !== '';
+
+function firstOf(source, keys) {
+  const key = keys.find(k => present(source?.[k]));
+  return key ? source[key] : null;
+}
+
+function toNumber(value) {
+  if (!present(value)) return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+const normalise = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * BOQ lines and per-line specs from cable_requirements (null when the document states none)
+ */
+function boqFromTender(tender) {
+  const requirements = tender?.cable_requirements || tender?.items || null;
+  if (!Array.isArray(requirements) || requirements.length === 0) return { boq: null, specs: null };
+
+  const boq = [];
+  const specs = {};
+  requirements.forEach((requirement, index) => {
+    const item = String(requirement.item_no ?? requirement.id ?? index + 1);
+    const size = requirement.size || (present(requirement.size_sqmm) ? `${requirement.size_sqmm} sqmm` : null);
+    const quantity = toNumber(requirement.qty_km ?? requirement.quantity ?? requirement.qty);
+    boq.push({
+      item,
+      description: requirement.description ||
+        [requirement.voltage, requirement.cable_type, requirement.cores && `${requirement.cores}C`, size, requirement.conductor]
+          .filter(Boolean).join(' ') || null,
+      quantity,
+      unit: present(requirement.qty_km) ? 'km' : (requirement.unit?.name || requirement.unit || null)
+    });
+    specs[item] = Object.fromEntries(SPEC_FIELDS
+      .map(field => [field, field === 'size' ? size : requirement[field]])
+      .filter(([, value]) => present(value))
+      .map(([field, value]) => [field, String(value)]));
+  });
+  return { boq, specs };
+}
+
+/**
+ * Snapshot of the terms a bid is built on; fields the update lacks come from the previous snapshot
+ */
+function buildSnapshot(row, tender = {}, previous = null) {
+  const { boq, specs } = boqFromTender(tender);
+  const commercial = {
+    estCost: toNumber(row.estCost ?? firstOf(tender, ['estimated_cost_inr', 'estimatedCost'])),
+    emdAmount: toNumber(firstOf(tender, ['emd_amount', 'emd_inr', 'emdAmount', 'emd'])),
+    tenderFee: toNumber(firstOf(tender, ['tender_fee', 'tender_fee_inr', 'tenderFee'])),
+    paymentTerms: firstOf(tender, ['payment_terms', 'paymentTerms']),
+    deliveryPeriod: firstOf(tender, ['delivery_period', 'deliveryPeriod']),
+    warranty: firstOf(tender, ['warranty']),
+    submissionMode: firstOf(tender, ['submission_mode']) || tender?.submission?.mode || null
+  };
+  for (const field of Object.keys(commercial)) {
+    if (!present(commercial[field])) commercial[field] = previous?.commercial?.[field] ?? null;
+  }
+
+  return {
+    title: row.title || null,
+    buyerName: row.buyerName || null,
+    dates: Object.fromEntries(Object.keys(DATE_FIELDS).map(field => [field, row[field] || null])),
+    boq: boq || previous?.boq || null,
+    specs: boq ? specs : (previous?.specs || null),
+    commercial
+  };
+}
+
+function sameDate(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  return Date.parse(a) === Date.parse(b);
+}
+
+function formatValue(value) {
+  if (!present(value)) return '—';
+  if (typeof value === 'number') return value.toLocaleString('en-IN');
+  const parsed = dayjs(value);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(String(value)) || !parsed.isValid()) return String(value);
+  return parsed.format(/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? 'DD MMM YYYY' : 'DD MMM YYYY HH:mm');
+}
+
+function percentChange(from, to) {
+  if (!from || !present(to)) return null;
+  return Math.round(((to - from) / from) * 1000) / 10;
+}
+
+/**
+ * Structured diff between two snapshots
+ * @returns {Object} - { dates, boq, specs, commercial, material, summary }; every change carries `material`
+ */
+export function diffSnapshots(before = {}, after = {}) {
+  const { quantityTolerancePct, valueTolerancePct } = REVISION_CONFIG;
+
+  const dates = Object.entries(DATE_FIELDS)
+    .filter(([field]) => !sameDate(before.dates?.[field] || null, after.dates?.[field] || null))
+    .map(([field, { label }]) => {
+      const from = before.dates?.[field] || null;
+      const to = after.dates?.[field] || null;
+      const shift = from && to ? (Date.parse(to) - Date.parse(from)) / DAY_MS : null;
+      return { field, label, from, to, shift_days: Number.isFinite(shift) ? Math.round(shift * 10) / 10 : null, material: true };
+    });
+
+  const beforeLines = new Map((before.boq || []).map(line => [line.item, line]));
+  const afterLines = new Map((after.boq || []).map(line => [line.item, line]));
+  const boq = [];
+  for (const [item, line] of afterLines) {
+    const old = beforeLines.get(item);
+    if (!old) {
+      boq.push({ item, change: 'added', description: line.description, to: line.quantity, unit: line.unit, material: true });
+    } else if (old.quantity !== line.quantity) {
+      const pct = percentChange(old.quantity, line.quantity);
+      boq.push({
+        item,
+        change: 'quantity',
+        description: line.description,
+        from: old.quantity,
+        to: line.quantity,
+        unit: line.unit || old.unit,
+        pct,
+        material: pct === null || Math.abs(pct) > quantityTolerancePct
+      });
+    }
+  }
+  for (const [item, line] of beforeLines) {
+    if (!afterLines.has(item)) {
+      boq.push({ item, change: 'removed', description: line.description, from: line.quantity, unit: line.unit, material: true });
+    }
+  }
+
+  const specs = [];
+  for (const [item, fields] of Object.entries(after.specs || {})) {
+    const old = before.specs?.[item];
+    if (!old) continue;
+    for (const field of SPEC_FIELDS) {
+      const from = old[field] ?? null;
+      const to = fields[field] ?? null;
+      if (present(from) && present(to) && normalise(from) === normalise(to)) continue;
+      if (!present(from) && !present(to)) continue;
+      specs.push({ item, field, from, to, material: true });
+    }
+  }
+
+  const commercial = [];
+  for (const [field, { label, numeric }] of Object.entries(COMMERCIAL_FIELDS)) {
+    const from = before.commercial?.[field] ?? null;
+    const to = after.commercial?.[field] ?? null;
+    if (numeric ? from === to : (present(from) && present(to) ? normalise(from) === normalise(to) : from === to)) continue;
+    if (numeric) {
+      const pct = percentChange(from, to);
+      commercial.push({ field, label, from, to, pct, material: pct === null || Math.abs(pct) > valueTolerancePct });
+    } else {
+      commercial.push({ field, label, from, to, material: true });
+    }
+  }
+
+  const diff = { dates, boq, specs, commercial };
+  return { ...diff, material: Object.values(diff).some(changes => changes.some(change => change.material)), summary: summariseDiff(diff) };
+}
+
+/**
+ * One line per change ("Bid due date: 06 Jan 2026 17:30 → 13 Jan 2026 17:30 (+7 days)")
+ */
+function summariseDiff({ dates = [], boq = [], specs = [], commercial = [] }) {
+  const lines = [];
+  for (const change of dates) {
+    const shift = change.shift_days ? ` (${change.shift_days > 0 ? '+' : ''}${change.shift_days} days)` : '';
+    lines.push(`${change.label}: ${formatValue(change.from)} → ${formatValue(change.to)}${shift}`);
+  }
+  for (const change of boq) {
+    const unit = change.unit ? ` ${change.unit}` : '';
+    if (change.change === 'added') lines.push(`BOQ item ${change.item} added: ${change.description || ''} ${formatValue(change.to)}${unit}`.replace(/\s+/g, ' '));
+    else if (change.change === 'removed') lines.push(`BOQ item ${change.item} removed: ${change.description || ''}`.trim());
+    else lines.push(`BOQ item ${change.item} quantity: ${formatValue(change.from)} → ${formatValue(change.to)}${unit}${change.pct !== null ? ` (${change.pct > 0 ? '+' : ''}${change.pct}%)` : ''}`);
+  }
+  for (const change of specs) {
+    lines.push(`Item ${change.item} ${change.field.replace('_', ' ')}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+  }
+  for (const change of commercial) {
+    lines.push(`${change.label}: ${formatValue(change.from)} → ${formatValue(change.to)}${change.pct ? ` (${change.pct > 0 ? '+' : ''}${change.pct}%)` : ''}`);
+  }
+  return lines;
+}
+
+function detectKind(tender, fullText) {
+  const text = `${tender?.title || ''} ${tender?.document_type || ''} ${String(fullText || '').slice(0, 3000)}`;
+  if (/corrigendum/i.test(text)) return 'corrigendum';
+  if (/addendum|amendment/i.test(text)) return 'addendum';
+  return 'update';
+}
+
+function parseRevision(row) {
+  return {
+    id: row.id,
+    rfp_id: row.rfpId,
+    revision: row.revision,
+    kind: row.kind,
+    source: row.source,
+    material: Boolean(row.material),
+    text_hash: row.textHash,
+    created_at: row.createdAt,
+    snapshot: JSON.parse(row.snapshot || '{}'),
+    diff: row.diff ? JSON.parse(row.diff) : null
+  };
+}
+
+/**
+ * Mark the artefacts built on the changed sections as stale
+ */
+function flagStaleArtefacts(rfpId, revision, diff) {
+  const now = dayjs().toISOString();
+  const reasons = {};
+  for (const [section, kinds] of Object.entries(REVISION_CONFIG.staleArtefacts)) {
+    const changes = (diff[section] || []).filter(change => change.material);
+    if (changes.length === 0) continue;
+    for (const kind of kinds) {
+      (reasons[kind] = reasons[kind] || []).push(SECTION_LABELS[section] || section);
+    }
+  }
+
+  // Pending reminders count as an artefact even when nobody registered them
+  if (reasons.reminders) {
+    const changedMilestones = diff.dates.filter(change => change.material).map(change => DATE_FIELDS[change.field].milestone);
+    if (changedMilestones.some(milestone => countPendingReminders.get(rfpId, milestone).count > 0)) {
+      upsertArtefact.run({ rfpId, kind: 'reminders', ref: '', revision: revision - 1, now });
+    }
+  }
+
+  const stale = [];
+  for (const [kind, sections] of Object.entries(reasons)) {
+    const reason = `Revision ${revision} changed ${[...new Set(sections)].join(', ')}`;
+    const { changes } = markStale.run({ rfpId, kind, revision, reason, now });
+    if (changes > 0) stale.push({ kind, count: changes, reason });
+  }
+  return stale;
+}
+
+/**
+ * Store the current state of a tender as a new revision when it differs from the latest one.
+ * Call after the rfps row has been written; dates and estimated cost are read from the row.
+ * @param {string} rfpId - rfps.id
+ * @param {Object} options - { tender: tender / extracted data (cable_requirements, emd_amount, payment_terms, ...),
+ *                             fullText, source: 'upload' | 'portal:<id>' | ..., kind: 'corrigendum' | 'addendum' | 'update' }
+ * @returns {Object} - { rfp_id, revision, created, kind, text_changed, material, diff, stale }
+ */
+export function recordRevision(rfpId, { tender = {}, fullText = null, source = null, kind = null } = {}) {
+  const row = findRfpRow.get(rfpId);
+  if (!row) {
+    throw revisionError(`RFP not found: ${rfpId}`, 404);
+  }
+
+  const transaction = db.transaction(() => {
+    const latestRow = latestRevision.get(rfpId);
+    const latest = latestRow ? parseRevision(latestRow) : null;
+    const snapshot = buildSnapshot(row, tender, latest?.snapshot);
+    const textHash = fullText ? crypto.createHash('sha1').update(fullText).digest('hex') : (latest?.text_hash || null);
+    const textChanged = Boolean(latest) && textHash !== latest.text_hash;
+
+    if (latest && !textChanged && JSON.stringify(snapshot) === JSON.stringify(latest.snapshot)) {
+      return { rfp_id: rfpId, revision: latest.revision, created: false, kind: latest.kind, text_changed: false, material: false, diff: null, stale: [] };
+    }
+
+    const revision = (latest?.revision || 0) + 1;
+    const diff = latest ? { ...diffSnapshots(latest.snapshot, snapshot), text_changed: textChanged } : null;
+    const revisionKind = latest ? (kind || detectKind(tender, fullText)) : 'original';
+    insertRevision.run({
+      rfpId,
+      revision,
+      kind: revisionKind,
+      source,
+      snapshot: JSON.stringify(snapshot),
+      textHash,
+      diff: diff ? JSON.stringify(diff) : null,
+      material: diff?.material ? 1 : 0,
+      createdAt: dayjs().toISOString()
+    });
+
+    const stale = diff?.material ? flagStaleArtefacts(rfpId, revision, diff) : [];
+    return { rfp_id: rfpId, revision, created: true, kind: revisionKind, text_changed: textChanged, material: Boolean(diff?.material), diff, stale };
+  });
+
+  const result = transaction();
+  if (result.created && result.revision > 1) {
+    console.log(`📝 ${rfpId}: revision ${result.revision} (${result.kind})${result.material ? ` with ${result.diff.summary.length} material change(s)` : ''}`);
+  }
+  return result;
+}
+
+/**
+ * Record revision 1 for a tender stored before revisions were tracked (an rfps row and
+ * chunks but no revision), from the row and chunks as they stand, so the next change is
+ * diffed against what the tender said before instead of becoming its original.
+ * Call before writing the change; does nothing once the tender has a revision.
+ * @returns {Object|null} - recordRevision() result, or null when no baseline was needed
+ */
+export function ensureBaselineRevision(rfpId) {
+  if (!findRfpRow.get(rfpId) || latestRevision.get(rfpId)) return null;
+  const chunks = listBaselineChunks.all(rfpId);
+  return recordRevision(rfpId, {
+    fullText: chunks.length > 0 ? chunks.map(chunk => chunk.text).join('') : null,
+    source: 'baseline'
+  });
+}
+
+/**
+ * Tell the revision channels about a material change. Delivery failures are logged, not thrown.
+ * @param {Object} result - recordRevision() result
+ */
+export async function notifyRevision(result, { channels = REVISION_CONFIG.notifyChannels, target = REVISION_CONFIG.notifyTarget } = {}) {
+  if (!result?.created || !result.material) return [];
+  const row = findRfpRow.get(result.rfp_id) || {};
+  const label = result.kind === 'update' ? 'Tender update' : result.kind.charAt(0).toUpperCase() + result.kind.slice(1);
+  const subject = `${label} (revision ${result.revision}): ${row.title || result.rfp_id}`;
+  const body = [
+    `Tender ${result.rfp_id} was amended (revision ${result.revision}).`,
+    '',
+    `Title: ${row.title || 'N/A'}`,
+    `Buyer: ${row.buyerName || 'N/A'}`,
+    '',
+    'Changes:',
+    ...result.diff.summary.map(line => `• ${line}`),
+    ...(result.stale.length > 0 ? ['', 'Needs rework:', ...result.stale.map(({ kind, count }) => `• ${kind}${count > 1 ? ` (${count})` : ''}`)] : [])
+  ].join('\n');
+
+  const deliveries = [];
+  for (const channel of channels) {
+    try {
+      await deliverReminder({
+        channel,
+        event: 'rfp.revision',
+        rfpId: result.rfp_id,
+        title: row.title,
+        buyerName: row.buyerName,
+        revision: result.revision,
+        kind: result.kind,
+        changes: result.diff,
+        stale: result.stale,
+        subject,
+        body,
+        target
+      });
+      deliveries.push({ channel, status: 'sent' });
+    } catch (error) {
+      console.warn(`⚠️  Revision notice for ${result.rfp_id} (${channel}) failed: ${error.message}`);
+      deliveries.push({ channel, status: 'failed', error: error.message });
+    }
+  }
+  return deliveries;
+}
+
+/**
+ * Revisions of a tender, oldest first (snapshots left out unless asked for)
+ */
+export function listRevisions(rfpId, { snapshots = false } = {}) {
+  return listRevisionRows.all(rfpId).map(parseRevision).map(revision => (snapshots ? revision : { ...revision, snapshot: undefined }));
+}
+
+export function getRevision(rfpId, revision) {
+  const row = findRevision.get(rfpId, Number(revision));
+  if (!row) {
+    throw revisionError(`Revision ${revision} of ${rfpId} not found`, 404);
+  }
+  return parseRevision(row);
+}
+
+/**
+ * Diff any two revisions (defaults: the latest against the one before it)
+ */
+export function compareRevisions(rfpId, from = null, to = null) {
+  const latest = latestRevision.get(rfpId);
+  if (!latest) {
+    throw revisionError(`No revisions recorded for ${rfpId}`, 404);
+  }
+  const toRevision = getRevision(rfpId, to ?? latest.revision);
+  const fromRevision = getRevision(rfpId, from ?? Math.max(1, toRevision.revision - 1));
+  return {
+    rfp_id: rfpId,
+    from: fromRevision.revision,
+    to: toRevision.revision,
+    diff: { ...diffSnapshots(fromRevision.snapshot, toRevision.snapshot), text_changed: fromRevision.text_hash !== toRevision.text_hash }
+  };
+}
+
+/**
+ * Record that an artefact (quotation, compliance sheet, reminders, ...) was built on the
+ * tender's latest revision. Registering again clears a stale flag.
+ */
+export function registerArtefact(rfpId, kind, ref = '') {
+  if (!rfpId || !kind) {
+    throw revisionError('rfpId and kind are required');
+  }
+  const revision = latestRevision.get(rfpId)?.revision ?? null;
+  upsertArtefact.run({ rfpId, kind, ref: String(ref || ''), revision, now: dayjs().toISOString() });
+  return { rfp_id: rfpId, kind, ref: String(ref || ''), revision, status: 'current' };
+}
+
+export function listArtefacts(rfpId, { status = null } = {}) {
+  return listArtefactRows.all(rfpId)
+    .filter(row => !status || row.status === status)
+    .map(row => ({
+      id: row.id,
+      kind: row.kind,
+      ref: row.ref || null,
+      revision: row.revision,
+      status: row.status,
+      stale_revision: row.staleRevision,
+      stale_reason: row.staleReason,
+      updated_at: row.updatedAt
+    }));
+}
+
+export default {
+  recordRevision,
+  ensureBaselineRevision,
+  notifyRevision,
+  diffSnapshots,
+  listRevisions,
+  getRevision,
+  compareRevisions,
+  registerArtefact,
+  listArtefacts
+};
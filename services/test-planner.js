@@ -0,0 +1,551 @@
+/**
+ * Test Execution Planner
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Plans when the tests an order needs actually happen: manufacturing per item,
+ * routine tests on every drum, type tests on a sample at an accepted lab
+ * (queued one item after another), acceptance tests witnessed by the buyer
+ * after an inspection call notice, then dispatch. A critical-path pass over
+ * the task graph gives the delivery date, which is checked against the RFP
+ * delivery period. The plan renders as a Gantt-style HTML timeline and as the
+ * Quality Assurance Plan (QAP) annexure tenders ask for.
+ *
+ * Type tests already covered by a valid type-test certificate are not
+ * scheduled; the QAP refers to the existing report instead.
+ */
+
+import dayjs from 'dayjs';
+import { getApplicableTests, getTestById, getTestCategory } from './adaptive-pricing.js';
+import { canonicalCableType, findProduct, matchRequirement } from './matching-engine.js';
+import { typeTestCoverage } from './type-test-certificates.js';
+import { planDrumSchedule } from './drum-planner.js';
+import { buildXlsx } from './xlsx-writer.js';
+import { DRUM_CONFIG, FINANCE_CONFIG, TEST_PLAN_CONFIG, TYPE_TEST_CONFIG } from '../configs/settings.js';
+
+const CATEGORY_KEYS = {
+  routine_test: 'routine',
+  type_test: 'type',
+  acceptance_test: 'acceptance',
+  special_test: 'special'
+};
+
+// Applicable_Types qualifiers ("HT Cable XLPE", "LT Cable FR") an item must have
+const QUALIFIERS = ['Armoured', 'XLPE', 'FR', 'LSZH', 'Screened'];
+
+const QAP_COLUMNS = [
+  { key: 'sl_no', label: 'Sl.', width: 5 },
+  { key: 'stage', label: 'Stage', width: 14 },
+  { key: 'component_operation', label: 'Component / Operation', width: 30 },
+  { key: 'characteristics', label: 'Characteristics', width: 36 },
+  { key: 'class', label: 'Class', width: 9 },
+  { key: 'type_of_check', label: 'Type of Check', width: 14 },
+  { key: 'quantum_of_check', label: 'Quantum of Check', width: 18 },
+  { key: 'reference_document', label: 'Reference Document', width: 20 },
+  { key: 'acceptance_norms', label: 'Acceptance Norms', width: 24 },
+  { key: 'format_of_record', label: 'Format of Record', width: 20 },
+  { key: 'agency', label: 'Agency', width: 14 }
+];
+
+const QAP_LEGEND = 'M = Manufacturer, L = Third-party lab, B = Buyer / inspecting authority; P = Perform, W = Witness, V = Verify records';
+
+function planError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ============================================
+// ITEMS & TESTS
+// ============================================
+
+/**
+ * Offered item with the product data the plan needs
+ * @param {Object} item - { sku_id } or { requirement } (matched to the best SKU), plus qty_km
+ */
+function resolveItem(item, index, rfp) {
+  let product = item.sku_id ? findProduct(item.sku_id) : null;
+  if (!product && item.requirement) {
+    product = matchRequirement(item.requirement).matches[0]?.product || null;
+  }
+  if (!product && !item.cable_type) {
+    throw planError(`Item ${index + 1}: unknown SKU "${item.sku_id || item.requirement || ''}" and no cable_type given`);
+  }
+
+  const voltageKv = product?.voltage_kv ?? item.voltage_kv ?? null;
+  const cableType = product?.cable_type || canonicalCableType(item.cable_type, voltageKv || 0);
+  const qtyKm = parseFloat(item.qty_km) || 1;
+
+  return {
+    item: index + 1,
+    sku_id: product?.sku_id || item.sku_id || null,
+    product_name: product?.product_name || item.description || cableType,
+    cable_type: cableType,
+    voltage_kv: voltageKv,
+    insulation: product?.insulation || item.insulation || null,
+    armoured: product?.armoured ?? item.armoured ?? null,
+    cores: product?.cores ?? item.cores ?? null,
+    standard: item.standard || rfp.standard || product?.standard || null,
+    qty_km: qtyKm,
+    drums: countDrums(product?.sku_id, qtyKm, item.cut_lengths, cableType),
+    lead_time_days: parseInt(item.lead_time_days, 10) || product?.lead_time_days || TEST_PLAN_CONFIG.defaultLeadTimeDays,
+    features: [product?.armoured ? 'Armoured' : '', product?.insulation, item.description, product?.description]
+      .filter(Boolean).join(' ').toUpperCase()
+  };
+}
+
+/**
+ * Drums routine-tested for an item: the drum schedule when the SKU is known,
+ * otherwise the quantity over the standard drum length
+ */
+function countDrums(skuId, qtyKm, cutLengths, cableType) {
+  if (skuId) {
+    try {
+      return planDrumSchedule({ items: [{ sku_id: skuId, qty_km: qtyKm, cut_lengths: cutLengths }] }).totals.drums;
+    } catch {
+      // No construction data for the SKU: fall back to standard lengths
+    }
+  }
+  return Math.max(1, Math.ceil(qtyKm * 1000 / (DRUM_CONFIG.standardLengthM[cableType] || 1000)));
+}
+
+/**
+ * Whether a testing.csv row applies to the item's construction
+ */
+function qualifiesFor(test, item) {
+  const types = String(test.applicableTypes || '').split(',').map(t => t.trim()).filter(t => t.toLowerCase().startsWith(item.cable_type.toLowerCase()));
+  if (types.length === 0) return true;
+  return types.some(t => {
+    const qualifier = t.slice(item.cable_type.length).trim();
+    return !qualifier || !QUALIFIERS.includes(qualifier) || item.features.includes(qualifier.toUpperCase());
+  });
+}
+
+/**
+ * Tests for one item grouped by category
+ * Package rows stand in for their category only when no individual tests apply.
+ */
+function testsForItem(item, testIds) {
+  const rows = testIds
+    ? testIds.map(id => {
+      const test = getTestById(id);
+      if (!test) throw planError(`Unknown test ID: ${id}`);
+      return test;
+    })
+    : getApplicableTests(item.cable_type, 'all', {
+      standard: item.standard,
+      voltage_kv: item.voltage_kv,
+      insulation: item.insulation
+    }).map(row => getTestById(row.Test_ID)).filter(test => qualifiesFor(test, item));
+
+  const grouped = { routine: [], type: [], acceptance: [], special: [] };
+  for (const test of rows) {
+    grouped[CATEGORY_KEYS[getTestCategory({ Test_ID: test.id, Test_Name: test.name })]].push(test);
+  }
+  if (!testIds) {
+    for (const key of Object.keys(grouped)) {
+      const individual = grouped[key].filter(t => !/package/i.test(t.name));
+      if (individual.length > 0) grouped[key] = individual;
+    }
+  }
+  return grouped;
+}
+
+/**
+ * Split type tests into those a valid certificate covers and those to run
+ */
+function typeTestsToRun(item, tests, asOf) {
+  if (!item.sku_id || tests.length === 0) return { run: tests, covered: [], certificates: [] };
+  const coverage = typeTestCoverage({ tests, skuIds: [item.sku_id], standard: item.standard, asOf });
+  const coveredIds = coverage.tests.filter(t => t.covered_skus.length > 0).map(t => t.id);
+  return {
+    run: tests.filter(t => !coveredIds.includes(t.id)),
+    covered: coverage.tests.filter(t => coveredIds.includes(t.id))
+      .map(t => ({ id: t.id, name: t.name, certificate_ids: t.certificate_ids })),
+    certificates: coverage.certificates
+  };
+}
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+/**
+ * Earliest / latest start and slack for tasks listed after their dependencies
+ */
+function criticalPath(tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  for (const task of tasks) {
+    task.es = Math.max(0, ...task.depends_on.map(id => byId.get(id).ef));
+    task.ef = task.es + task.duration_days;
+  }
+  const finish = Math.max(0, ...tasks.map(t => t.ef));
+  for (const task of [...tasks].reverse()) {
+    const successors = tasks.filter(t => t.depends_on.includes(task.id));
+    task.lf = successors.length > 0 ? Math.min(...successors.map(t => t.ls)) : finish;
+    task.ls = task.lf - task.duration_days;
+    task.slack_days = task.ls - task.es;
+    task.critical = task.slack_days === 0;
+  }
+
+  // Walk back from the last task through dependencies that finish exactly when it starts
+  const path = [];
+  let current = [...tasks].reverse().find(t => t.ef === finish && t.critical);
+  while (current) {
+    path.unshift(current.id);
+    const start = current.es;
+    current = current.depends_on.map(id => byId.get(id)).find(t => t.critical && t.ef === start);
+  }
+  return { finish, path };
+}
+
+/**
+ * Delivery period in days from the RFP (delivery_date wins)
+ */
+function deliveryDeadline(rfp, start) {
+  if (rfp.delivery_date && dayjs(rfp.delivery_date).isValid()) {
+    const date = dayjs(rfp.delivery_date);
+    return { date: date.format('YYYY-MM-DD'), days: date.diff(start, 'day'), source: 'delivery_date' };
+  }
+  const raw = rfp.delivery_days ?? rfp.delivery_weeks ?? rfp.delivery_period;
+  let days = null;
+  if (typeof raw === 'number') {
+    days = rfp.delivery_days !== undefined ? raw : raw * 7;
+  } else if (raw) {
+    const match = String(raw).match(/(\d{1,3})(?:\s*-\s*(\d{1,3}))?\s*(weeks?|days?|months?)/i);
+    if (match) {
+      const n = parseInt(match[2] || match[1], 10);
+      const unit = match[3].toLowerCase();
+      days = unit.startsWith('day') ? n : unit.startsWith('month') ? n * 30 : n * 7;
+    }
+  }
+  const source = days !== null ? 'rfp' : 'default';
+  days = days ?? FINANCE_CONFIG.defaultDeliveryWeeks * 7;
+  return { date: start.add(days, 'day').format('YYYY-MM-DD'), days, source };
+}
+
+/**
+ * Lab for the type tests: the requested one, else the accepted lab with the shortest queue
+ */
+function chooseLab(requested) {
+  const queueOf = (lab) => TEST_PLAN_CONFIG.labQueueDays[lab] ?? Math.max(0, ...Object.values(TEST_PLAN_CONFIG.labQueueDays));
+  if (requested) {
+    const lab = String(requested).toUpperCase();
+    if (!TYPE_TEST_CONFIG.acceptedLabs.includes(lab)) {
+      throw planError(`${lab} is not an accepted type-test lab (${TYPE_TEST_CONFIG.acceptedLabs.join(', ')})`);
+    }
+    return { name: lab, queue_days: queueOf(lab) };
+  }
+  const [name] = [...TYPE_TEST_CONFIG.acceptedLabs].sort((a, b) => queueOf(a) - queueOf(b));
+  return { name, queue_days: queueOf(name) };
+}
+
+const totalDays = (tests) => tests.reduce((sum, t) => sum + (t.duration || 1), 0);
+
+/**
+ * Build the test execution plan
+ * @param {Object} params
+ * @param {Array} params.items - [{ sku_id | requirement, qty_km, standard?, lead_time_days? }]
+ * @param {Object} params.rfp - { tender_id, organisation, due_date, delivery_date | delivery_period | delivery_weeks, standard }
+ * @param {string[]} params.tests - Test IDs the RFP names (default: applicable tests per item)
+ * @param {string|Date} params.startDate - PO / LOA date the schedule runs from (default today)
+ * @param {string} params.lab - Preferred type-test lab
+ * @returns {Object} Plan with tasks, critical path, deadline check and items
+ */
+export function planTestExecution({ items = [], rfp = {}, tests = null, startDate = null, lab = null } = {}) {
+  if (!Array.isArray(items) || items.length === 0) throw planError('items array is required');
+  const start = dayjs(startDate || rfp.po_date || new Date()).startOf('day');
+  if (!start.isValid()) throw planError('start_date must be a date');
+  const asOf = rfp.due_date && dayjs(rfp.due_date).isValid() ? rfp.due_date : start.toDate();
+
+  const resolved = items.map((item, index) => resolveItem(item, index, rfp));
+  const planned = resolved.map(item => {
+    const grouped = testsForItem(item, tests);
+    const typeTests = typeTestsToRun(item, grouped.type, asOf);
+    return { ...item, tests: { ...grouped, type: typeTests.run }, type_tests_covered: typeTests.covered, certificates: typeTests.certificates };
+  });
+  const typeLab = planned.some(p => p.tests.type.length > 0) ? chooseLab(lab) : null;
+
+  const tasks = [];
+  const add = (task) => tasks.push({ depends_on: [], ...task });
+  if (typeLab) {
+    add({ id: 'LAB-SLOT', name: `Type-test slot at ${typeLab.name}`, phase: 'lab', item: null, duration_days: typeLab.queue_days });
+  }
+
+  let previousTypeTest = null;
+  for (const p of planned) {
+    const tag = `I${p.item}`;
+    const label = p.sku_id || p.product_name;
+    add({ id: `MFG-${tag}`, name: `Manufacture ${label} (${p.qty_km} km, ${p.drums} drums)`, phase: 'manufacturing', item: p.item, duration_days: p.lead_time_days });
+
+    if (p.tests.type.length > 0) {
+      add({ id: `SAMPLE-${tag}`, name: `Type-test sample length of ${label}`, phase: 'manufacturing', item: p.item,
+        duration_days: Math.min(TEST_PLAN_CONFIG.typeTestSampleDays, p.lead_time_days) });
+      // One sample at a time through the lab
+      add({ id: `TT-${tag}`, name: `Type tests at ${typeLab.name} (${p.tests.type.length})`, phase: 'type_test', item: p.item,
+        duration_days: totalDays(p.tests.type), depends_on: [`SAMPLE-${tag}`, 'LAB-SLOT', previousTypeTest].filter(Boolean),
+        tests: p.tests.type.map(t => t.id) });
+      previousTypeTest = `TT-${tag}`;
+    }
+
+    if (p.tests.routine.length > 0) {
+      // Drums go through the test bay in daily batches; the longest routine test sets the batch cycle
+      add({ id: `RT-${tag}`, name: `Routine tests on ${p.drums} drums`, phase: 'routine_test', item: p.item,
+        duration_days: Math.max(...p.tests.routine.map(t => t.duration || 1)) + Math.ceil(p.drums / TEST_PLAN_CONFIG.routineDrumsPerDay) - 1,
+        depends_on: [`MFG-${tag}`], tests: p.tests.routine.map(t => t.id) });
+    }
+
+    const ready = p.tests.routine.length > 0 ? `RT-${tag}` : `MFG-${tag}`;
+    const witnessed = [...p.tests.acceptance, ...p.tests.special];
+    let cleared = ready;
+    if (witnessed.length > 0) {
+      add({ id: `NOTICE-${tag}`, name: 'Inspection call notice to buyer', phase: 'witness', item: p.item,
+        duration_days: TEST_PLAN_CONFIG.witnessNoticeDays, depends_on: [`MFG-${tag}`] });
+      add({ id: `AT-${tag}`, name: 'Acceptance tests witnessed by buyer', phase: 'acceptance_test', item: p.item,
+        duration_days: totalDays(witnessed), depends_on: [ready, `NOTICE-${tag}`], tests: witnessed.map(t => t.id) });
+      cleared = `AT-${tag}`;
+    }
+
+    // Dispatch clearance needs the type-test reports approved
+    add({ id: `DISPATCH-${tag}`, name: `Dispatch ${label} to site`, phase: 'dispatch', item: p.item,
+      duration_days: TEST_PLAN_CONFIG.transitDays, depends_on: [cleared, p.tests.type.length > 0 ? `TT-${tag}` : null].filter(Boolean) });
+  }
+  add({ id: 'DELIVERY', name: 'Delivery complete', phase: 'milestone', item: null, duration_days: 0,
+    depends_on: tasks.filter(t => t.phase === 'dispatch').map(t => t.id) });
+
+  const { finish, path } = criticalPath(tasks);
+  const deadline = deliveryDeadline(rfp, start);
+  const slackDays = deadline.days - finish;
+  const status = slackDays < 0 ? 'LATE' : slackDays < TEST_PLAN_CONFIG.riskBufferDays ? 'AT_RISK' : 'ON_TIME';
+
+  const issues = [];
+  for (const p of planned.filter(p => p.lead_time_days > deadline.days)) {
+    issues.push(`Manufacturing lead time for ${p.sku_id || p.product_name} (${p.lead_time_days} days) alone exceeds the ${deadline.days}-day delivery period`);
+  }
+  if (slackDays < 0) {
+    issues.push(`Planned delivery is ${-slackDays} days after the deadline (${deadline.date})`);
+  }
+  const criticalTypeTests = tasks.filter(t => t.phase === 'type_test' && t.critical);
+  if (criticalTypeTests.length > 0) {
+    issues.push(`Type tests at ${typeLab.name} are on the critical path; a valid type-test certificate for ${criticalTypeTests.map(t => planned[t.item - 1].sku_id || `item ${t.item}`).join(', ')} would take them off`);
+  }
+
+  const certificates = new Map();
+  planned.flatMap(p => p.certificates).forEach(c => certificates.set(c.id, c));
+
+  return {
+    rfp_id: rfp.tender_id || rfp.rfp_id || null,
+    buyer: rfp.organisation || rfp.buyer || null,
+    start_date: start.format('YYYY-MM-DD'),
+    finish_date: start.add(finish, 'day').format('YYYY-MM-DD'),
+    duration_days: finish,
+    deadline,
+    slack_days: slackDays,
+    status,
+    issues,
+    lab: typeLab,
+    critical_path: path,
+    tasks: tasks.map(({ es, ef, ls, lf, ...task }) => ({
+      ...task,
+      start: start.add(es, 'day').format('YYYY-MM-DD'),
+      end: start.add(ef, 'day').format('YYYY-MM-DD'),
+      start_offset: es,
+      end_offset: ef
+    })),
+    items: planned.map(({ features, ...p }) => p),
+    certificates: [...certificates.values()]
+  };
+}
+
+// ============================================
+// QUALITY ASSURANCE PLAN
+// ============================================
+
+/**
+ * Stage-wise checks for one item (raw material, in-process, final tests, packing)
+ */
+function qapRowsForItem(p, plan) {
+  const std = p.standard || 'applicable IS';
+  const xlpe = p.insulation === 'XLPE';
+  const screened = ['HT Cable', 'EHV Cable'].includes(p.cable_type);
+  const multiCore = (p.cores || 1) > 1;
+  const rows = [];
+  const add = (row) => rows.push({ reference_document: std, acceptance_norms: `As per ${std} / approved GTP`, ...row });
+
+  add({ stage: 'Raw material', component_operation: 'Conductor rod (EC grade aluminium / copper)', characteristics: 'Tensile strength, elongation, resistivity',
+    class: 'Major', type_of_check: 'Testing', quantum_of_check: 'Each lot', reference_document: 'IS 8130', format_of_record: 'Supplier TC / inward register', agency: 'M: P, B: V' });
+  add({ stage: 'Raw material', component_operation: `${p.insulation || 'Insulation'} compound`,
+    characteristics: xlpe ? 'Hot set, tensile strength & elongation, density' : 'Tensile strength & elongation, volume resistivity',
+    class: 'Critical', type_of_check: 'Testing', quantum_of_check: 'Each lot', format_of_record: 'Supplier TC / lab register', agency: 'M: P, B: V' });
+  if (p.armoured) {
+    add({ stage: 'Raw material', component_operation: 'Galvanised steel armour wire / strip', characteristics: 'Dimensions, tensile strength, zinc coating',
+      class: 'Major', type_of_check: 'Testing', quantum_of_check: 'Each lot', reference_document: 'IS 3975', format_of_record: 'Supplier TC', agency: 'M: P, B: V' });
+  }
+  add({ stage: 'Raw material', component_operation: 'PVC sheathing compound (ST2)', characteristics: 'Tensile strength & elongation, ageing',
+    class: 'Major', type_of_check: 'Testing', quantum_of_check: 'Each lot', reference_document: 'IS 5831', format_of_record: 'Supplier TC', agency: 'M: P, B: V' });
+
+  add({ stage: 'In-process', component_operation: 'Wire drawing & stranding', characteristics: 'Wire diameter, number of wires, lay length, conductor resistance',
+    class: 'Major', type_of_check: 'Measurement', quantum_of_check: 'Each length', reference_document: 'IS 8130', format_of_record: 'Process log sheet', agency: 'M: P' });
+  if (screened) {
+    add({ stage: 'In-process', component_operation: 'Conductor & insulation screen (triple extrusion)', characteristics: 'Screen thickness, strippability, interface smoothness',
+      class: 'Critical', type_of_check: 'Measurement', quantum_of_check: 'Each length', format_of_record: 'Process log sheet', agency: 'M: P' });
+  }
+  add({ stage: 'In-process', component_operation: 'Insulation extrusion', characteristics: 'Thickness, eccentricity, surface finish',
+    class: 'Critical', type_of_check: 'Measurement', quantum_of_check: 'Each length', format_of_record: 'Process log sheet', agency: 'M: P' });
+  if (xlpe) {
+    add({ stage: 'In-process', component_operation: 'Curing / cross-linking', characteristics: 'Hot set (degree of cross-linking)',
+      class: 'Critical', type_of_check: 'Testing', quantum_of_check: 'Each length', reference_document: 'IEC 60811', format_of_record: 'Lab register', agency: 'M: P' });
+  }
+  if (multiCore) {
+    add({ stage: 'In-process', component_operation: 'Laying up', characteristics: 'Core identification, lay length',
+      class: 'Minor', type_of_check: 'Visual', quantum_of_check: 'Each length', format_of_record: 'Process log sheet', agency: 'M: P' });
+  }
+  if (p.armoured) {
+    add({ stage: 'In-process', component_operation: 'Armouring', characteristics: 'Number / size of wires, coverage, gap',
+      class: 'Major', type_of_check: 'Measurement', quantum_of_check: 'Each length', reference_document: 'IS 3975', format_of_record: 'Process log sheet', agency: 'M: P' });
+  }
+  add({ stage: 'In-process', component_operation: 'Outer sheathing', characteristics: 'Thickness, embossing / marking, surface finish',
+    class: 'Major', type_of_check: 'Measurement', quantum_of_check: 'Each length', format_of_record: 'Process log sheet', agency: 'M: P' });
+
+  for (const test of p.tests.routine) {
+    add({ stage: 'Routine test', component_operation: 'Finished cable', characteristics: test.name, class: 'Critical', type_of_check: 'Testing',
+      quantum_of_check: 'Each drum', reference_document: test.standard || std, format_of_record: 'Routine test certificate', agency: 'M: P, B: V' });
+  }
+  for (const test of p.tests.type) {
+    add({ stage: 'Type test', component_operation: 'Sample length', characteristics: test.name, class: 'Critical', type_of_check: 'Testing',
+      quantum_of_check: 'One sample per type', reference_document: test.standard || std, format_of_record: `${plan.lab?.name || 'Lab'} type-test report`, agency: 'L: P, M: W, B: W' });
+  }
+  for (const test of p.type_tests_covered) {
+    const certificate = plan.certificates.find(c => test.certificate_ids.includes(c.id));
+    add({ stage: 'Type test', component_operation: 'Existing type-test report', characteristics: test.name, class: 'Critical', type_of_check: 'Review',
+      quantum_of_check: 'Report', acceptance_norms: `Valid report (${certificate ? `${certificate.lab} ${certificate.report_no || `#${certificate.id}`}, ${certificate.report_date}` : 'on file'})`,
+      format_of_record: 'Type-test report copy', agency: 'B: V' });
+  }
+  for (const test of [...p.tests.acceptance, ...p.tests.special]) {
+    add({ stage: 'Acceptance test', component_operation: 'Finished cable (sample drums)', characteristics: test.name, class: 'Critical', type_of_check: 'Testing',
+      quantum_of_check: `Sampling as per ${std}`, reference_document: test.standard || std, format_of_record: 'Inspection report', agency: 'M: P, B: W' });
+  }
+
+  add({ stage: 'Packing', component_operation: 'Drum marking & packing', characteristics: 'Drum number, length, sealing of ends, marking',
+    class: 'Minor', type_of_check: 'Visual', quantum_of_check: 'Each drum', acceptance_norms: 'As per purchase order', format_of_record: 'Packing list', agency: 'M: P, B: V' });
+
+  return rows.map((row, i) => ({ sl_no: i + 1, ...row }));
+}
+
+/**
+ * QAP annexure for a plan, one section per offered item
+ */
+export function buildQap(plan) {
+  return {
+    rfp_id: plan.rfp_id,
+    buyer: plan.buyer,
+    columns: QAP_COLUMNS.map(({ key, label }) => ({ key, label })),
+    legend: QAP_LEGEND,
+    sections: plan.items.map(p => ({
+      item: p.item,
+      sku_id: p.sku_id,
+      product_name: p.product_name,
+      standard: p.standard,
+      rows: qapRowsForItem(p, plan)
+    }))
+  };
+}
+
+/**
+ * QAP annexure as XLSX, one sheet per item
+ */
+export function generateQapXlsx(qap) {
+  return buildXlsx(qap.sections.map(section => ({
+    name: `${section.item} ${section.sku_id || 'Item'}`,
+    columnWidths: QAP_COLUMNS.map(c => c.width),
+    rows: [
+      QAP_COLUMNS.map(c => c.label),
+      ...section.rows.map(row => QAP_COLUMNS.map(c => row[c.key])),
+      [],
+      [QAP_LEGEND]
+    ]
+  })));
+}
+
+// ============================================
+// HTML
+// ============================================
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function timelineHtml(plan) {
+  const span = Math.max(plan.duration_days, plan.deadline.days, 1);
+  const pct = (days) => `${Math.round((days / span) * 10000) / 100}%`;
+  const rows = plan.tasks.map(task => `
+      <tr class="${task.critical ? 'critical' : ''}">
+        <td>${escapeHtml(task.name)}</td><td>${task.start}</td><td>${task.end}</td><td>${task.duration_days}</td><td>${task.slack_days}</td>
+        <td class="lane"><div class="bar ${task.phase}" style="left:${pct(task.start_offset)};width:${task.duration_days ? pct(task.duration_days) : '2px'}"></div><div class="deadline" style="left:${pct(plan.deadline.days)}"></div></td>
+      </tr>`).join('');
+  return `
+  <h2>Test Execution Timeline</h2>
+  <p>Start ${plan.start_date} &middot; Planned delivery ${plan.finish_date} (${plan.duration_days} days) &middot; Deadline ${plan.deadline.date} (${plan.deadline.days} days) &middot; <strong class="status-${plan.status}">${plan.status}</strong> (slack ${plan.slack_days} days)</p>
+  ${plan.issues.length > 0 ? `<ul>${plan.issues.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>` : ''}
+  <table class="gantt">
+    <thead><tr><th>Task</th><th>Start</th><th>End</th><th>Days</th><th>Slack</th><th>Timeline (red line = deadline)</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>`;
+}
+
+function qapHtml(qap) {
+  return `
+  <h2>Annexure: Quality Assurance Plan</h2>
+  ${qap.sections.map(section => `
+  <h3>Item ${section.item}: ${escapeHtml(section.product_name)}${section.sku_id ? ` (${escapeHtml(section.sku_id)})` : ''}</h3>
+  <table class="qap">
+    <thead><tr>${qap.columns.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr></thead>
+    <tbody>${section.rows.map(row => `<tr>${qap.columns.map(c => `<td>${escapeHtml(row[c.key])}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table>`).join('')}
+  <p class="legend">${escapeHtml(qap.legend)}</p>`;
+}
+
+/**
+ * Printable HTML: Gantt-style timeline and/or the QAP annexure
+ * @param {Object} plan - From planTestExecution
+ * @param {Object} options - { timeline: true, qap: true }
+ */
+export function renderTestPlanHtml(plan, { timeline = true, qap = true } = {}) {
+  const title = `Test Execution Plan${plan.rfp_id ? ` - ${plan.rfp_id}` : ''}`;
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+    th, td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #2e3f5c; color: #fff; }
+    .gantt td.lane { position: relative; width: 45%; min-width: 300px; }
+    .bar { position: absolute; top: 5px; height: 12px; border-radius: 2px; background: #7a8fb3; }
+    .bar.manufacturing { background: #6c8ebf; } .bar.type_test { background: #d79b00; } .bar.routine_test { background: #82b366; }
+    .bar.witness { background: #b0b0b0; } .bar.acceptance_test { background: #9673a6; } .bar.dispatch { background: #5a9ea6; } .bar.milestone { background: #000; }
+    .deadline { position: absolute; top: 0; bottom: 0; border-left: 2px solid #c00; }
+    tr.critical td:first-child { font-weight: bold; color: #c00; }
+    .status-LATE { color: #c00; } .status-AT_RISK { color: #d79b00; } .status-ON_TIME { color: #2a7a2a; }
+    .legend { font-style: italic; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${plan.buyer ? `<p>Buyer: ${escapeHtml(plan.buyer)}</p>` : ''}
+  ${timeline ? timelineHtml(plan) : ''}
+  ${qap ? qapHtml(buildQap(plan)) : ''}
+</body>
+</html>`;
+}
+
+export default {
+  planTestExecution,
+  buildQap,
+  generateQapXlsx,
+  renderTestPlanHtml
+};
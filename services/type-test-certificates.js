@@ -0,0 +1,366 @@
+/**
+ * Type-Test Certificate Vault
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Repository of type-test reports (CPRI / ERDA PDFs with lab, report date,
+ * covered SKU range and standard) and the coverage check pricing uses to drop
+ * or discount type tests that an existing, still-valid report already covers.
+ *
+ * A report covers a SKU when the SKU is listed explicitly, or when the SKU
+ * falls inside the report's range (cable type, voltage, conductor, insulation,
+ * cores, size band). It is usable for a bid when the lab is accepted, it is
+ * younger than TYPE_TEST_CONFIG.validityYears on the bid due date, and its
+ * standard is the one the RFP cites or a declared equivalent.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import db from '../db/index.js';
+import { canonicalCableType, canonicalInsulation, canonicalMaterial, findProduct } from './matching-engine.js';
+import { compareStandards } from './standards-registry.js';
+import { TYPE_TEST_CONFIG } from '../configs/settings.js';
+
+// API field -> column
+const FIELDS = {
+  report_no: 'reportNo',
+  lab: 'lab',
+  report_date: 'reportDate',
+  valid_until: 'validUntil',
+  standard: 'standard',
+  cable_type: 'cableType',
+  voltage_kv: 'voltageKv',
+  conductor_material: 'conductorMaterial',
+  insulation: 'insulation',
+  cores: 'cores',
+  area_min_mm2: 'areaMinMm2',
+  area_max_mm2: 'areaMaxMm2',
+  sku_ids: 'skuIds',
+  tests: 'tests',
+  notes: 'notes'
+};
+
+const insertCertificate = db.prepare(`
+  INSERT INTO type_test_certificates (${Object.values(FIELDS).join(', ')}, reportPath, originalName, createdAt, updatedAt)
+  VALUES (${Object.values(FIELDS).map(c => `@${c}`).join(', ')}, @reportPath, @originalName, @createdAt, @updatedAt)
+`);
+
+const selectAll = db.prepare('SELECT * FROM type_test_certificates ORDER BY reportDate DESC');
+const selectOne = db.prepare('SELECT * FROM type_test_certificates WHERE id = ?');
+const deleteOne = db.prepare('DELETE FROM type_test_certificates WHERE id = ?');
+
+function certificateError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    let list;
+    try {
+      list = JSON.parse(text);
+    } catch {
+      throw certificateError(`Not a valid JSON list: ${text}`);
+    }
+    if (!Array.isArray(list)) throw certificateError(`Not a valid JSON list: ${text}`);
+    return list.map(v => String(v).trim()).filter(Boolean);
+  }
+  return text.split(',').map(v => v.trim()).filter(Boolean);
+};
+
+const toNumberOrNull = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Validate and normalise certificate fields (multipart bodies arrive as strings)
+ */
+function normaliseFields(input, existing = {}) {
+  const merged = { ...existing, ...input };
+  const reportDate = dayjs(merged.report_date);
+  if (!merged.lab) throw certificateError('lab is required');
+  if (!merged.report_date || !reportDate.isValid()) throw certificateError('report_date (YYYY-MM-DD) is required');
+  if (merged.valid_until && !dayjs(merged.valid_until).isValid()) throw certificateError('valid_until must be a date');
+
+  const fields = {
+    report_no: merged.report_no || null,
+    lab: String(merged.lab).trim().toUpperCase(),
+    report_date: reportDate.format('YYYY-MM-DD'),
+    valid_until: merged.valid_until ? dayjs(merged.valid_until).format('YYYY-MM-DD') : null,
+    standard: merged.standard || null,
+    cable_type: merged.cable_type ? canonicalCableType(merged.cable_type, toNumberOrNull(merged.voltage_kv) || 0) : null,
+    voltage_kv: toNumberOrNull(merged.voltage_kv),
+    conductor_material: canonicalMaterial(merged.conductor_material) || null,
+    insulation: canonicalInsulation(merged.insulation) || null,
+    cores: toNumberOrNull(merged.cores),
+    area_min_mm2: toNumberOrNull(merged.area_min_mm2),
+    area_max_mm2: toNumberOrNull(merged.area_max_mm2),
+    sku_ids: toList(merged.sku_ids),
+    tests: toList(merged.tests),
+    notes: merged.notes || null
+  };
+
+  if (fields.sku_ids.length === 0 && !fields.cable_type && fields.voltage_kv === null) {
+    throw certificateError('A certificate must list sku_ids or a covered range (cable_type / voltage_kv / size band)');
+  }
+  if (fields.area_min_mm2 !== null && fields.area_max_mm2 !== null && fields.area_min_mm2 > fields.area_max_mm2) {
+    throw certificateError('area_min_mm2 is larger than area_max_mm2');
+  }
+  return fields;
+}
+
+function toRow(fields) {
+  const row = {};
+  for (const [field, column] of Object.entries(FIELDS)) {
+    row[column] = Array.isArray(fields[field]) ? JSON.stringify(fields[field]) : fields[field];
+  }
+  return row;
+}
+
+function toCertificate(row) {
+  if (!row) return null;
+  const certificate = { id: row.id };
+  for (const [field, column] of Object.entries(FIELDS)) {
+    certificate[field] = field === 'sku_ids' || field === 'tests' ? JSON.parse(row[column] || '[]') : row[column];
+  }
+  return {
+    ...certificate,
+    report_file: row.originalName || null,
+    has_report: Boolean(row.reportPath && fs.existsSync(row.reportPath)),
+    created_at: row.createdAt,
+    updated_at: row.updatedAt
+  };
+}
+
+// ============================================
+// REPOSITORY
+// ============================================
+
+/**
+ * Store a certificate, moving the uploaded report PDF into the vault
+ * @param {Object} input - Certificate fields (see FIELDS)
+ * @param {Object} file - Multer file ({ path, originalname }) or null
+ */
+export function addCertificate(input, file = null) {
+  const fields = normaliseFields(input);
+  const now = new Date().toISOString();
+  let reportPath = null;
+
+  if (file) {
+    reportPath = file.path;
+    if (path.dirname(path.resolve(file.path)) !== path.resolve(TYPE_TEST_CONFIG.storageDir)) {
+      fs.mkdirSync(TYPE_TEST_CONFIG.storageDir, { recursive: true });
+      reportPath = path.join(TYPE_TEST_CONFIG.storageDir, `${Date.now()}-${file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_')}`);
+      fs.renameSync(file.path, reportPath);
+    }
+  }
+
+  const { lastInsertRowid } = insertCertificate.run({
+    ...toRow(fields),
+    reportPath,
+    originalName: file?.originalname || null,
+    createdAt: now,
+    updatedAt: now
+  });
+  console.log(`📜 Type-test certificate stored: ${fields.lab}${fields.report_no ? ` ${fields.report_no}` : ''} (${fields.report_date})`);
+  return getCertificate(lastInsertRowid);
+}
+
+export function getCertificate(id) {
+  const certificate = toCertificate(selectOne.get(id));
+  if (!certificate) throw certificateError(`Certificate not found: ${id}`, 404);
+  return certificate;
+}
+
+export function getCertificateReportPath(id) {
+  const row = selectOne.get(id);
+  if (!row) throw certificateError(`Certificate not found: ${id}`, 404);
+  if (!row.reportPath || !fs.existsSync(row.reportPath)) throw certificateError(`No report file stored for certificate ${id}`, 404);
+  return { path: row.reportPath, name: row.originalName || path.basename(row.reportPath) };
+}
+
+export function updateCertificate(id, patch) {
+  const current = getCertificate(id);
+  const fields = normaliseFields(patch, current);
+  const assignments = Object.values(FIELDS).map(c => `${c} = @${c}`).join(', ');
+  db.prepare(`UPDATE type_test_certificates SET ${assignments}, updatedAt = @updatedAt WHERE id = @id`)
+    .run({ ...toRow(fields), updatedAt: new Date().toISOString(), id });
+  return getCertificate(id);
+}
+
+export function deleteCertificate(id) {
+  const row = selectOne.get(id);
+  if (!row) throw certificateError(`Certificate not found: ${id}`, 404);
+  deleteOne.run(id);
+  if (row.reportPath && fs.existsSync(row.reportPath)) fs.unlinkSync(row.reportPath);
+  return { id: row.id, deleted: true };
+}
+
+/**
+ * Validity of a certificate on a date (the bid due date when known)
+ * @returns {{status: 'VALID'|'EXPIRING'|'EXPIRED'|'LAB_NOT_ACCEPTED', expires_on, days_remaining, reason}}
+ */
+export function certificateValidity(certificate, asOf = new Date()) {
+  const on = dayjs(asOf);
+  const expiresOn = certificate.valid_until
+    ? dayjs(certificate.valid_until)
+    : dayjs(certificate.report_date).add(TYPE_TEST_CONFIG.validityYears * 12, 'month');
+  const daysRemaining = expiresOn.diff(on, 'day');
+  const base = { expires_on: expiresOn.format('YYYY-MM-DD'), days_remaining: daysRemaining };
+
+  if (!TYPE_TEST_CONFIG.acceptedLabs.includes(certificate.lab)) {
+    return { ...base, status: 'LAB_NOT_ACCEPTED', reason: `${certificate.lab} reports are not in the accepted lab list (${TYPE_TEST_CONFIG.acceptedLabs.join(', ')})` };
+  }
+  if (daysRemaining < 0) {
+    return { ...base, status: 'EXPIRED', reason: `Report expired on ${base.expires_on} (older than ${TYPE_TEST_CONFIG.validityYears} years on ${on.format('YYYY-MM-DD')})` };
+  }
+  if (daysRemaining <= TYPE_TEST_CONFIG.expiryWarningDays) {
+    return { ...base, status: 'EXPIRING', reason: `Report expires in ${daysRemaining} days` };
+  }
+  return { ...base, status: 'VALID', reason: null };
+}
+
+/**
+ * Certificates with their validity
+ * @param {Object} options - { asOf, includeExpired }
+ */
+export function listCertificates({ asOf = new Date(), includeExpired = true } = {}) {
+  return selectAll.all()
+    .map(row => {
+      const certificate = toCertificate(row);
+      return { ...certificate, validity: certificateValidity(certificate, asOf) };
+    })
+    .filter(c => includeExpired || c.validity.status === 'VALID' || c.validity.status === 'EXPIRING');
+}
+
+// ============================================
+// COVERAGE
+// ============================================
+
+/**
+ * Whether a certificate's SKU list or range includes a product
+ */
+export function coversProduct(certificate, product) {
+  if (!product) return false;
+  if (certificate.sku_ids.includes(product.sku_id)) return true;
+  if (!certificate.cable_type && certificate.voltage_kv === null) return false;
+
+  const same = (a, b) => a === null || a === undefined || a === b;
+  return (
+    same(certificate.cable_type, product.cable_type) &&
+    (certificate.voltage_kv === null || Math.abs(certificate.voltage_kv - product.voltage_kv) < 1e-6) &&
+    same(certificate.conductor_material, product.conductor_material) &&
+    same(certificate.insulation, product.insulation) &&
+    same(certificate.cores, product.cores) &&
+    (certificate.area_min_mm2 === null || product.area_mm2 >= certificate.area_min_mm2) &&
+    (certificate.area_max_mm2 === null || product.area_mm2 <= certificate.area_max_mm2)
+  );
+}
+
+/**
+ * Whether a certificate reports a test (an empty list is a full type-test report)
+ */
+function coversTest(certificate, test) {
+  if (certificate.tests.length === 0) return true;
+  const name = String(test.name || '').toLowerCase();
+  return certificate.tests.some(t => t === test.id || (name && (name.includes(t.toLowerCase()) || t.toLowerCase().includes(name))));
+}
+
+/**
+ * Type tests an RFP needs that existing reports already cover
+ * @param {Object} params
+ * @param {Array<{id, name}>} params.tests - Type tests being priced
+ * @param {string[]} params.skuIds - SKUs offered (each must be covered)
+ * @param {string} params.standard - Standard the RFP cites (certificate must meet it or an equivalent)
+ * @param {string|Date} params.asOf - Bid due date (default today)
+ * @returns {Object} { tests: [{ id, name, cost_factor, covered_skus, uncovered_skus, certificate_ids }],
+ *   certificates: certificates to attach, rejected: certificates that matched a SKU but cannot be used }
+ */
+export function typeTestCoverage({ tests = [], skuIds = [], standard = null, asOf = new Date() } = {}) {
+  const skus = [...new Set(skuIds.filter(Boolean))];
+  const certificates = listCertificates({ asOf });
+  const rejected = [];
+  const usable = new Map(); // sku_id -> [{ certificate, standard_note }]
+
+  for (const skuId of skus) {
+    const product = findProduct(skuId);
+    for (const certificate of certificates.filter(c => coversProduct(c, product))) {
+      if (certificate.validity.status !== 'VALID' && certificate.validity.status !== 'EXPIRING') {
+        rejected.push({ certificate_id: certificate.id, sku_id: skuId, reason: certificate.validity.reason });
+        continue;
+      }
+      const standardCheck = standard && certificate.standard
+        ? compareStandards(standard, certificate.standard, { voltage_kv: product.voltage_kv, insulation: product.insulation })
+        : null;
+      if (standardCheck?.status === 'MISMATCH') {
+        rejected.push({ certificate_id: certificate.id, sku_id: skuId, reason: standardCheck.note });
+        continue;
+      }
+      const entries = usable.get(skuId) || [];
+      entries.push({ certificate, standard_note: standardCheck?.note || null });
+      usable.set(skuId, entries);
+    }
+  }
+
+  const attached = new Map();
+  const coverage = tests.map(test => {
+    const covered = [];
+    const certificateIds = new Set();
+    for (const skuId of skus) {
+      const match = (usable.get(skuId) || []).find(u => coversTest(u.certificate, test));
+      if (!match) continue;
+      covered.push(skuId);
+      certificateIds.add(match.certificate.id);
+      attached.set(match.certificate.id, match);
+    }
+    const uncovered = skus.filter(s => !covered.includes(s));
+    // Uncovered SKUs still need the test; covered ones carry the configured residual charge
+    const costFactor = skus.length === 0
+      ? 1
+      : (uncovered.length + covered.length * TYPE_TEST_CONFIG.coveredCostFactor) / skus.length;
+    return {
+      id: test.id,
+      name: test.name,
+      cost_factor: Math.round(costFactor * 1000) / 1000,
+      covered_skus: covered,
+      uncovered_skus: uncovered,
+      certificate_ids: [...certificateIds]
+    };
+  });
+
+  return {
+    as_of: dayjs(asOf).format('YYYY-MM-DD'),
+    tests: coverage,
+    certificates: [...attached.values()].map(({ certificate, standard_note }) => ({
+      id: certificate.id,
+      report_no: certificate.report_no,
+      lab: certificate.lab,
+      report_date: certificate.report_date,
+      expires_on: certificate.validity.expires_on,
+      validity: certificate.validity.status,
+      standard: certificate.standard,
+      standard_note,
+      report_file: certificate.report_file,
+      sku_ids: skus.filter(s => (usable.get(s) || []).some(u => u.certificate.id === certificate.id))
+    })),
+    rejected
+  };
+}
+
+export default {
+  addCertificate,
+  getCertificate,
+  getCertificateReportPath,
+  updateCertificate,
+  deleteCertificate,
+  listCertificates,
+  certificateValidity,
+  coversProduct,
+  typeTestCoverage
+};
@@ -9,6 +9,10 @@
  * 2. System extracts tender ID and stores the PDF path
  * 3. When "Proceed with RFP" is clicked, check if there's an uploaded version
  * 4. Use the uploaded version if available, otherwise use original
+ *
+ * A tender bundle (NIT, specs, BOQ, GCC/SCC, ... see tender-bundle.js) is
+ * stored under its tender ID too: the NIT (or first) PDF serves as the
+ * tender's PDF and the extracted data is merged across the whole bundle.
  */
 
 import fs from 'fs';
@@ -20,7 +24,7 @@ const __dirname = path.dirname(__filename);
 
 // In-memory store for uploaded PDFs
 // Key: tender ID (e.g., "IND-201")
-// Value: { path, uploadedAt, originalName }
+// Value: { path, uploadedAt, originalName, extractedData, documents? }
 const uploadedPdfs = new Map();
 
 /**
@@ -52,6 +56,37 @@ export function storeUploadedPdf(tenderId, pdfPath, originalName, extractedData
   return true;
 }
 
+/**
+ * Store a multi-document tender bundle
+ * @param {string} tenderId - Tender ID
+ * @param {Array} documents - [{ id, fileName, role, path, mimeType }]
+ * @param {Object} extractedData - Data merged across the bundle (same shape as storeUploadedPdf)
+ */
+export function storeUploadedBundle(tenderId, documents, extractedData = null) {
+  const normalizedId = tenderId.toUpperCase().trim();
+  const pdfs = documents.filter(doc => /\.pdf$/i.test(doc.path || ''));
+  const primary = pdfs.find(doc => doc.role === 'nit') || pdfs[0] || null;
+
+  uploadedPdfs.set(normalizedId, {
+    path: primary?.path || null,
+    uploadedAt: new Date().toISOString(),
+    originalName: primary?.fileName || null,
+    extractedData,
+    documents: documents.map(({ id, fileName, role, path: docPath, mimeType }) => ({ id, fileName, role, path: docPath, mimeType }))
+  });
+
+  console.log(`📚 Stored tender bundle ${normalizedId}: ${documents.length} document(s)${primary ? `, primary PDF ${primary.fileName}` : ''}`);
+  return true;
+}
+
+/**
+ * Documents of a stored bundle (null for single-PDF uploads)
+ */
+export function getBundleDocuments(tenderId) {
+  const normalizedId = tenderId.toUpperCase().trim();
+  return uploadedPdfs.get(normalizedId)?.documents || null;
+}
+
 /**
  * Get stored extracted data for a tender
  */
@@ -84,7 +119,7 @@ export function getPdfPath(tenderId) {
     console.log(`   ✅ Found uploaded PDF entry for ${normalizedId}`);
     console.log(`   📂 Path: ${uploaded.path}`);
     
-    if (fs.existsSync(uploaded.path)) {
+    if (uploaded.path && fs.existsSync(uploaded.path)) {
       console.log(`   ✅ File EXISTS - using UPLOADED PDF: ${uploaded.originalName}`);
       return {
         path: uploaded.path,
@@ -92,6 +127,9 @@ export function getPdfPath(tenderId) {
         originalName: uploaded.originalName,
         uploadedAt: uploaded.uploadedAt
       };
+    } else if (uploaded.documents) {
+      // A bundle without a PDF keeps its merged data
+      console.log(`   ℹ️ Bundle for ${normalizedId} has no PDF`);
     } else {
       console.log(`   ⚠️ File NOT FOUND at path, removing from store`);
       uploadedPdfs.delete(normalizedId);
@@ -134,7 +172,7 @@ export function getAllUploadedPdfs() {
     result.push({
       tenderId,
       ...info,
-      exists: fs.existsSync(info.path)
+      exists: Boolean(info.path) && fs.existsSync(info.path)
     });
   }
   return result;
@@ -180,6 +218,8 @@ export function extractTenderIdFromFilename(filename) {
 
 export default {
   storeUploadedPdf,
+  storeUploadedBundle,
+  getBundleDocuments,
   getPdfPath,
   hasUploadedPdf,
   getAllUploadedPdfs,
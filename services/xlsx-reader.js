@@ -0,0 +1,98 @@
+/**
+ * XLSX Reader
+ * EY Techathon 6.0 - AI RFP Automation System
+ *
+ * Minimal Office Open XML spreadsheet reader on top of pizzip, the
+ * counterpart of xlsx-writer.js, for buyer workbooks (BOQ / price
+ * schedules) in tender bundles. Reads cell values only: shared and inline
+ * strings, numbers and booleans; formulas give their cached value.
+ */
+
+import PizZip from 'pizzip';
+
+const unescapeXml = (value) => String(value)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+// Text of every <t> run in a string item (rich text has several)
+const textOf = (xml) => unescapeXml([...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => match[1]).join(''));
+
+const attribute = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] ?? null;
+
+function columnIndex(ref) {
+  const letters = String(ref).match(/^[A-Z]+/i)?.[0].toUpperCase() || 'A';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function resolveTarget(target) {
+  if (target.startsWith('/')) return target.slice(1);
+  return `xl/${target.replace(/^\.\//, '')}`;
+}
+
+function readRows(xml, sharedStrings) {
+  const rows = [];
+  for (const [, rowAttributes, rowXml] of xml.matchAll(/<row([^>]*)>([\s\S]*?)<\/row>/g)) {
+    const rowNumber = parseInt(attribute(rowAttributes, 'r'), 10) || rows.length + 1;
+    const row = [];
+    for (const [, cellAttributes, cellXml = ''] of rowXml.matchAll(/<c([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const type = attribute(cellAttributes, 't');
+      const ref = attribute(cellAttributes, 'r');
+      const raw = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = null;
+      if (type === 's') value = sharedStrings[parseInt(raw, 10)] ?? null;
+      else if (type === 'inlineStr') value = textOf(cellXml);
+      else if (type === 'str' || type === 'e') value = raw !== undefined ? unescapeXml(raw) : null;
+      else if (type === 'b') value = raw === '1';
+      else if (raw !== undefined) value = Number(raw);
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    rows[rowNumber - 1] = Array.from(row, cell => (cell === undefined ? null : cell));
+  }
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * Read an .xlsx file
+ * @param {Buffer} buffer - Workbook bytes
+ * @returns {Array<{name: string, rows: Array<Array>}>} - Sheets in workbook order
+ */
+export function readXlsx(buffer) {
+  const zip = new PizZip(buffer);
+  const workbook = zip.file('xl/workbook.xml')?.asText();
+  if (!workbook) {
+    throw new Error('Not an XLSX workbook (xl/workbook.xml missing)');
+  }
+
+  const relationships = Object.fromEntries([...(zip.file('xl/_rels/workbook.xml.rels')?.asText() || '')
+    .matchAll(/<Relationship\s[^>]*>/g)]
+    .map(([tag]) => [attribute(tag, 'Id'), attribute(tag, 'Target')]));
+
+  const sharedStrings = [...(zip.file('xl/sharedStrings.xml')?.asText() || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(([, item]) => textOf(item));
+
+  return [...workbook.matchAll(/<sheet\s[^>]*>/g)].map(([tag], index) => {
+    const target = relationships[attribute(tag, 'r:id')] || `worksheets/sheet${index + 1}.xml`;
+    const xml = zip.file(resolveTarget(target))?.asText() || '';
+    return { name: unescapeXml(attribute(tag, 'name') || `Sheet${index + 1}`), rows: readRows(xml, sharedStrings) };
+  });
+}
+
+/**
+ * Sheets as tab-separated text (for chunking and keyword search)
+ */
+export function xlsxToText(sheets) {
+  return sheets.map(sheet => [
+    `Sheet: ${sheet.name}`,
+    ...sheet.rows.filter(row => row.some(cell => cell !== null && cell !== '')).map(row => row.map(cell => cell ?? '').join('\t'))
+  ].join('\n')).join('\n\n');
+}
+
+export default {
+  readXlsx,
+  xlsxToText
+};
@@ -0,0 +1,72 @@
+/**
+ * Adaptive Pricing quotation, end to end over data/pricing_rules.csv
+ */
+
+import { calculateQuotation, getTestCategory } from '../services/adaptive-pricing.js';
+
+const quote = (overrides = {}) => calculateQuotation({
+  cableType: 'HT Cable',
+  specs: { voltage: 11, cores: 3, size: 95, conductor: 'Aluminium' },
+  quantity: 12000,
+  skuId: 'CBL001',
+  ...overrides
+});
+
+describe('calculateQuotation', () => {
+  test('evaluates the pricing rules without an explicit init', () => {
+    const quotation = quote();
+    const parameters = quotation.lineItems.map(line => line.parameter);
+
+    expect(quotation.rulesEvaluated.length).toBeGreaterThan(0);
+    expect(parameters).toContain('Profit_Margin');
+    expect(parameters).toContain('GST_Rate');
+    expect(quotation.breakdown.profit.value).toBeGreaterThan(0);
+  });
+
+  test('breakdown lines add up to the grand total', () => {
+    const { breakdown } = quote({ quantity: 60000, discount: 2 });
+    const gross = ['materialCost', 'testingCost', 'deliveryCost', 'packagingCost', 'firmPriceLoading', 'otherCharges']
+      .reduce((sum, key) => sum + (breakdown[key]?.value || 0), 0);
+
+    expect(breakdown.discount.value).toBeGreaterThan(0);
+    expect(breakdown.subtotal.value).toBeCloseTo(gross, 2);
+    expect(breakdown.subtotal.value - breakdown.discount.value + breakdown.profit.value -
+      (breakdown.earlyPaymentDiscount?.value || 0) + breakdown.gst.value).toBeCloseTo(breakdown.grandTotal.value, 0);
+  });
+
+  test('drum schedule cost is the packaging cost', () => {
+    const quotation = quote();
+    const packaging = quotation.lineItems.find(line => line.parameter === 'Packaging_Cost_Per_km');
+
+    expect(quotation.drumSchedule.totals.drums).toBeGreaterThan(0);
+    expect(packaging.per).toBe('drum_schedule');
+    expect(quotation.breakdown.packagingCost.value).toBe(quotation.drumSchedule.totals.packaging_cost);
+  });
+
+  test('freight to the delivery city is the delivery cost and part of the taxable value', () => {
+    const quotation = quote({ context: { deliveryCity: 'Chennai' } });
+    const delivery = quotation.lineItems.find(line => line.parameter === 'Delivery_Cost_Per_km');
+
+    expect(quotation.freight.best.freight_cost).toBeGreaterThan(0);
+    expect(delivery.per).toBe('truck_load');
+    expect(quotation.breakdown.deliveryCost.value).toBe(quotation.freight.best.freight_cost);
+
+    const withoutCity = quote();
+    expect(quotation.tax.totals.taxable_value - withoutCity.tax.totals.taxable_value)
+      .toBeGreaterThan(quotation.freight.best.freight_cost - withoutCity.breakdown.deliveryCost.value);
+  });
+});
+
+describe('getTestCategory', () => {
+  test('per-drum tests are routine, not type tests a certificate can waive', () => {
+    expect(getTestCategory({ Test_ID: 'T001' })).toBe('routine_test');
+    expect(getTestCategory({ Test_ID: 'T006' })).toBe('routine_test');
+    expect(getTestCategory({ Test_ID: 'T012' })).toBe('type_test');
+    expect(getTestCategory({ Test_ID: 'T025' })).toBe('type_test');
+  });
+
+  test('rows without a Category fall back to the package name', () => {
+    expect(getTestCategory({ Test_ID: 'X1', Test_Name: 'Type Test Package MV' })).toBe('type_test');
+    expect(getTestCategory({ Test_ID: 'X2', Test_Name: 'Drum Length Check' })).toBe('special_test');
+  });
+});
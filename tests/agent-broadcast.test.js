@@ -0,0 +1,34 @@
+/**
+ * Agent Broadcast session lifecycle
+ */
+
+import { agentBroadcaster } from '../services/agent-broadcast.js';
+import { AGENT_STREAM_CONFIG } from '../configs/settings.js';
+
+describe('agentBroadcaster', () => {
+  test('restarting a known session keeps its event counter', () => {
+    agentBroadcaster.startSession('restart-test');
+    agentBroadcaster.log('restart-test', 'Sales', 'first run');
+    const lastEventId = agentBroadcaster.getState('restart-test').lastEventId;
+
+    agentBroadcaster.startSession('restart-test');
+
+    expect(agentBroadcaster.getState('restart-test').lastEventId).toBeGreaterThan(lastEventId);
+  });
+
+  test('a session restored after a restart numbers its events above the old ones', () => {
+    agentBroadcaster.log('restored-test', 'Pricing', 'resumed from a checkpoint');
+
+    expect(agentBroadcaster.getState('restored-test').lastEventId).toBeGreaterThan(1000000);
+  });
+
+  test('a paused session idle past the idle TTL is evicted', () => {
+    agentBroadcaster.startSession('idle-test');
+    agentBroadcaster.pauseSession('idle-test', { reason: 'awaiting review' });
+    agentBroadcaster.sessions.get('idle-test').lastActivityAt -= (AGENT_STREAM_CONFIG.idleSessionTtlMinutes + 1) * 60 * 1000;
+
+    agentBroadcaster.pruneSessions();
+
+    expect(agentBroadcaster.hasSession('idle-test')).toBe(false);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * find_top_matches tool (LLM technical agent path)
+ */
+
+import { findTopMatchesTool } from '../agentic/tools/analysis-tools.js';
+
+const description = '3 core 95 sqmm aluminium XLPE armoured 1.1 kV power cable';
+const findMatches = async (loadConditions) =>
+  JSON.parse(await findTopMatchesTool.invoke({ product_description: description, rfp_specs: {}, load_conditions: loadConditions, top_k: 5 }));
+
+describe('findTopMatchesTool', () => {
+  test('substitutes that cannot carry the RFP load are not recommended', async () => {
+    const unchecked = await findMatches();
+    const checked = await findMatches({ load_current_a: 190, route_length_m: 400 });
+    const rejected = checked.rejected_substitutes.map(r => r.sku_id);
+
+    expect(unchecked.top_matches.map(m => m.sku_id)).toContain('CBL061');
+    expect(rejected).toContain('CBL061');
+    for (const match of checked.top_matches) {
+      expect(rejected).not.toContain(match.sku_id);
+      if (match.specs.area_sqmm !== 95 || match.specs.material !== 'Aluminium') {
+        expect(match.engineering_check.status).toBe('PASS');
+      }
+    }
+  });
+
+  test('load data in the description is used without explicit load conditions', async () => {
+    const result = JSON.parse(await findTopMatchesTool.invoke({
+      product_description: `${description}, load current 190 A, route length 400 m`,
+      rfp_specs: {},
+      top_k: 5
+    }));
+
+    expect(result.load_conditions.load_current_a).toBe(190);
+    expect(result.rejected_substitutes.map(r => r.sku_id)).toContain('CBL061');
+  });
+});
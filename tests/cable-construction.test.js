@@ -0,0 +1,19 @@
+/**
+ * GTP sheet comparison against worded RFP values
+ */
+
+import { buildGtpSheet } from '../services/cable-construction.js';
+
+const statusOf = (requirements, id) =>
+  buildGtpSheet({ skuId: 'CBL001', requirements }).rows.find(row => row.id === id).status;
+
+describe('buildGtpSheet', () => {
+  test('a "Max." prefix does not turn the limit into zero', () => {
+    expect(statusOf({ max_dc_resistance_ohm_per_km: 'Max. 0.387 ohm/km' }, 'max_dc_resistance_ohm_per_km')).toBe('COMPLIES');
+  });
+
+  test('numbers later in the requirement are not joined onto the value', () => {
+    expect(statusOf({ rated_voltage_kv: '11 kV (IS 7098)' }, 'rated_voltage_kv')).toBe('COMPLIES');
+    expect(statusOf({ rated_voltage_kv: '33 kV (IS 7098)' }, 'rated_voltage_kv')).toBe('DEVIATION');
+  });
+});
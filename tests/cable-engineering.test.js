@@ -0,0 +1,19 @@
+/**
+ * Cable Engineering load conditions from RFP text
+ */
+
+import { extractLoadConditions } from '../services/cable-engineering.js';
+
+describe('extractLoadConditions', () => {
+  test('a route length is read as the route', () => {
+    expect(extractLoadConditions('Feeder length: 850 m, load current 220 A').route_length_m).toBe(850);
+    expect(extractLoadConditions('Route length of about 1.2 km').route_length_m).toBe(1200);
+  });
+
+  test('a cable length is the supply quantity, not the route', () => {
+    const conditions = extractLoadConditions('Total cable length 12 km in drums of 500 m, load current 220 A');
+
+    expect(conditions.route_length_m).toBeUndefined();
+    expect(conditions.load_current_a).toBe(220);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Deviation schedule and pre-bid queries from RFP text
+ */
+
+import { buildDeviationSchedule } from '../services/deviation-letter.js';
+
+const RFP_TEXT = [
+  'Supply of 11 kV XLPE cables conforming to IS 7098. Routine tests shall be witnessed.',
+  'EMD of Rs. 2,00,000 shall be submitted. Delivery within 90 days from PO.',
+  'Payment terms: 100% within 60 days of receipt of material.',
+  'Liquidated damages at 1% per week, maximum 20% of the contract value.'
+].join('\n');
+
+describe('buildDeviationSchedule', () => {
+  test('each gap query carries the assumption made for that gap', () => {
+    const { queries } = buildDeviationSchedule({ rfp: { tender_id: 'T-1' }, rfpText: RFP_TEXT });
+
+    expect(queries.map(q => [q.query, q.assumption])).toEqual([
+      ['Warranty/Guarantee period not mentioned. Kindly clarify.', 'industry-standard 12-month warranty']
+    ]);
+    expect(queries[0]).toMatchObject({ sl_no: 1, clause_reference: 'General' });
+  });
+
+  test('risky clauses become numbered deviations with their page reference', () => {
+    const schedule = buildDeviationSchedule({ rfp: { tender_id: 'T-1' }, pages: ['Scope of supply.', RFP_TEXT] });
+    const ld = schedule.deviations.find(d => /liquidated damages/i.test(d.rfp_text));
+
+    expect(schedule.deviations.map(d => d.sl_no)).toEqual(schedule.deviations.map((d, i) => i + 1));
+    expect(ld).toMatchObject({ clause_reference: 'Page 2', severity: 'HIGH' });
+    expect(schedule.summary).toMatchObject({ deviation_count: schedule.deviations.length, query_count: 1 });
+  });
+
+  test('an empty RFP is refused', () => {
+    expect(() => buildDeviationSchedule({ rfpText: '  ' })).toThrow(/RFP text is required/);
+  });
+});
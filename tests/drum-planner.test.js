@@ -0,0 +1,18 @@
+/**
+ * Drum Planner capacity limits
+ */
+
+import { drumCapacity } from '../services/drum-planner.js';
+
+const drum = { flange_mm: 2000, barrel_mm: 1200, traverse_mm: 1100, tare_kg: 400, max_gross_kg: 5000 };
+const cable = { od_mm: 50, weight_kg_per_km: 3000 };
+
+describe('drumCapacity', () => {
+  test('holds a cable whose bending radius fits the barrel radius', () => {
+    expect(drumCapacity(drum, { ...cable, min_bending_radius_mm: 600 })).toBeGreaterThan(0);
+  });
+
+  test('rejects a barrel radius below the minimum bending radius', () => {
+    expect(drumCapacity(drum, { ...cable, min_bending_radius_mm: 700 })).toBe(0);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Financial Exposure LD terms
+ */
+
+import { calculateFinancialExposure } from '../services/financial-exposure.js';
+
+describe('LD terms from RFP text', () => {
+  test('percentages outside the LD clause are not read as LD terms', () => {
+    const rfpText = [
+      'Conductor resistance shall not exceed 2% of the IS 8130 value.',
+      'Price variation is capped at 15% of the contract value.'
+    ].join('\n');
+    const { terms } = calculateFinancialExposure({ rfp: {}, bidValue: 10000000, rfpText });
+
+    expect(terms.ldCap.source).not.toBe('rfp_text');
+    expect(terms.ldPerWeek.source).not.toBe('rfp_text');
+  });
+
+  test('the LD clause supplies the weekly rate and the cap', () => {
+    const rfpText = 'Liquidated Damages: 1% of the order value per week of delay, subject to a maximum of 5% of the order value.';
+    const { terms } = calculateFinancialExposure({ rfp: {}, bidValue: 10000000, rfpText });
+
+    expect(terms.ldPerWeek).toEqual({ value: 0.01, source: 'rfp_text' });
+    expect(terms.ldCap).toEqual({ value: 0.05, source: 'rfp_text' });
+  });
+
+  test('structured percentages written with % are always percentages', () => {
+    const rfp = { pbg_percent: '1%', emd_percent: '0.5%', retention_percent: 3 };
+    const { terms } = calculateFinancialExposure({ rfp, bidValue: 10000000, rfpText: '' });
+
+    expect(terms.pbgRate).toEqual({ value: 0.01, source: 'rfp' });
+    expect(terms.emdRate).toEqual({ value: 0.005, source: 'rfp' });
+    expect(terms.retentionRate).toEqual({ value: 0.03, source: 'rfp' });
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * GST Engine supply type
+ */
+
+import { supplyFromRfp } from '../services/gst-engine.js';
+import { deriveRuleContext } from '../services/pricing-rule-engine.js';
+
+const rfp = {
+  title: 'Supply of 11kV XLPE cables',
+  special_conditions: 'Deemed export benefits are not applicable to SEZ units.',
+  state: 'Tamil Nadu'
+};
+
+describe('SEZ zero-rating', () => {
+  test('SEZ wording alone is a note, not a zero-rated supply', () => {
+    const supply = supplyFromRfp(rfp);
+
+    expect(supply.zero_rated).toBe(false);
+    expect(supply.notes.some(note => /SEZ/.test(note))).toBe(true);
+    expect(deriveRuleContext(rfp).sez).toBe(false);
+  });
+
+  test('an explicit SEZ flag or SEZ registration zero-rates the supply', () => {
+    expect(supplyFromRfp({ ...rfp, sez: true }).supply_type).toBe('SEZ');
+    expect(supplyFromRfp({ ...rfp, buyer_gst_category: 'SEZ Unit' }).zero_rated).toBe(true);
+    expect(deriveRuleContext({ ...rfp, sez: true }).sez).toBe(true);
+  });
+});
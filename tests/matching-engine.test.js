@@ -0,0 +1,20 @@
+/**
+ * Matching Engine weight profiles
+ */
+
+import { matchRequirement, parseRequirement } from '../services/matching-engine.js';
+
+const description = '12 core 1.5 sqmm copper control cable PVC';
+const scoreOf = (result, skuId) => result.matches.find(match => match.sku_id === skuId).spec_match_percentage;
+
+describe('matchRequirement', () => {
+  test('text and structured specs of one requirement get the same profile and score', () => {
+    const req = parseRequirement(description);
+    const fromText = matchRequirement(description);
+    const fromSpecs = matchRequirement({ cores: req.cores, area_mm2: req.area_mm2, conductor: req.conductor_material, insulation: req.insulation, type: req.cable_type });
+
+    expect(fromText.profile).toBe('control');
+    expect(fromSpecs.profile).toBe('control');
+    expect(scoreOf(fromSpecs, 'CBL053')).toBe(scoreOf(fromText, 'CBL053'));
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * OCDS release compilation and award mapping
+ * tests/fixtures/ocds-award-package.json is a synthetic tender + award release pair.
+ */
+
+import fs from 'fs';
+import { compileReleases, extractReleases, toTender } from '../services/ocds-importer.js';
+
+const pkg = JSON.parse(fs.readFileSync(new URL('./fixtures/ocds-award-package.json', import.meta.url), 'utf-8'));
+
+describe('toTender', () => {
+  test('an award release marks the compiled tender awarded', () => {
+    const tender = toTender(compileReleases(extractReleases(pkg)), { publisher: pkg.publisher.name });
+
+    expect(tender.status).toBe('awarded');
+    expect(tender.estimated_cost_inr).toBe(12500000);
+    expect(tender.awards).toHaveLength(1);
+    expect(tender.awards[0].suppliers[0].name).toBe('Example Cables Pvt Ltd');
+    expect(tender.awards[0].price_to_estimate).toBe(0.91);
+  });
+
+  test('the tender release alone stays active', () => {
+    const tender = toTender(pkg.releases[0]);
+
+    expect(tender.status).toBe('active');
+    expect(tender.awards).toHaveLength(0);
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Portal Adapters in fixture replay mode
+ * Every default adapter must crawl from data/portal-fixtures/ without network access.
+ */
+
+process.env.PORTAL_FIXTURE_MODE = 'replay';
+
+const { PORTAL_CRAWL_CONFIG } = await import('../configs/settings.js');
+const { getAdapter } = await import('../adapters/index.js');
+
+describe('fixture replay', () => {
+  test.each(PORTAL_CRAWL_CONFIG.adapters)('%s crawls from its fixtures', async (adapterId) => {
+    const tenders = [];
+    for await (const tender of getAdapter(adapterId).crawl({ downloadDocuments: false })) {
+      tenders.push(tender);
+    }
+
+    expect(tenders.length).toBeGreaterThan(0);
+    for (const tender of tenders) {
+      expect(tender.tender_id).toBeTruthy();
+      expect(tender.portal_id).toBe(adapterId);
+      expect(tender.detail_error).toBeUndefined();
+    }
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Pricing Agent tools used on the LLM path
+ */
+
+import { getTestPricesTool, generateQuotationTool } from '../agentic/tools/pricing-tools.js';
+import { addCertificate, deleteCertificate } from '../services/type-test-certificates.js';
+
+const quotation = async (args) => JSON.parse(await generateQuotationTool.invoke({
+  products: [{ sku_id: 'CBL001', quantity_km: 10 }],
+  include_tests: true,
+  ...args
+})).quotation;
+
+describe('generate_quotation', () => {
+  test('freight to the delivery city is in the subtotal and the taxable value', async () => {
+    const withCity = await quotation({ delivery_city: 'Chennai' });
+    const withoutCity = await quotation({});
+
+    expect(withCity.freight.total).toBeGreaterThan(0);
+    expect(withCity.summary.subtotal - withoutCity.summary.subtotal).toBe(withCity.freight.total);
+    expect(withCity.tax.totals.taxable_value - withoutCity.tax.totals.taxable_value)
+      .toBeCloseTo(withCity.freight.total, -1);
+    expect(withoutCity.freight.total).toBe(0);
+  });
+});
+
+describe('get_test_prices', () => {
+  let certificate;
+
+  beforeAll(() => {
+    certificate = addCertificate({
+      lab: 'CPRI',
+      report_no: 'TEST-PRICING-TOOLS',
+      report_date: '2025-06-01',
+      sku_ids: ['CBL001'],
+      tests: ['T025']
+    });
+  });
+
+  afterAll(() => deleteCertificate(certificate.id));
+
+  test('a type test covered by a valid certificate for the offered SKU is not charged in full', async () => {
+    const args = { test_categories: ['type'], project_value: 10000000, due_date: '2026-11-01' };
+    const uncovered = JSON.parse(await getTestPricesTool.invoke(args));
+    const covered = JSON.parse(await getTestPricesTool.invoke({ ...args, sku_ids: ['CBL001'] }));
+    const typePackage = covered.tests.find(t => t.test_id === 'T025');
+
+    expect(typePackage.covered_by_certificates).toEqual([certificate.id]);
+    expect(typePackage.scaled_price).toBeLessThan(typePackage.uncovered_price);
+    expect(covered.type_test_certificates.covered_tests).toEqual(['T025']);
+    expect(uncovered.total_scaled_price - covered.total_scaled_price).toBe(covered.type_test_certificates.savings);
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Reminder milestone times and delivery targets
+ */
+
+import { resolveMilestoneTime, scheduleReminder } from '../services/reminders.js';
+
+describe('resolveMilestoneTime', () => {
+  test('DD-MM-YYYY dates are read day-first in IST', () => {
+    expect(resolveMilestoneTime('05-03-2026').toISOString()).toBe(resolveMilestoneTime('2026-03-05').toISOString());
+    expect(resolveMilestoneTime('05/03/2026 14:00').toISOString()).toBe('2026-03-05T08:30:00.000Z');
+  });
+
+  test('ISO values keep their explicit offset', () => {
+    expect(resolveMilestoneTime('2026-03-05T10:00:00Z').toISOString()).toBe('2026-03-05T10:00:00.000Z');
+  });
+});
+
+describe('scheduleReminder', () => {
+  test('an unknown channel or an unconfigured webhook target is refused before anything is stored', () => {
+    expect(() => scheduleReminder({ rfpId: 'ANY', remindAt: '2030-01-01T00:00:00Z', channel: 'sms' }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => scheduleReminder({ rfpId: 'ANY', remindAt: '2030-01-01T00:00:00Z', channel: 'webhook', target: 'http://169.254.169.254/latest' }))
+      .toThrow(/not a configured URL/);
+  });
+});
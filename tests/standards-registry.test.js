@@ -0,0 +1,42 @@
+/**
+ * Standards Registry reference parsing and edition comparison
+ */
+
+import { compareStandards, parseStandardRefs } from '../services/standards-registry.js';
+
+const cable = { voltage_kv: 11, insulation: 'XLPE' };
+
+describe('parseStandardRefs parts', () => {
+  test.each([
+    ['IS 7098 (Part 2):2011', '2', '2011'],
+    ['IS 7098 Pt-2', '2', null],
+    ['IS 7098 Pt-I', '1', null],
+    ['IS 7098 (Pt. 2):2011', '2', '2011'],
+    ['IS 7098-Part 2', '2', null],
+    ['IS 7098 PART II', '2', null]
+  ])('%s', (text, part, edition) => {
+    expect(parseStandardRefs(text)).toEqual([expect.objectContaining({ number: '7098', part, edition, key: `IS 7098-${part}` })]);
+  });
+
+  test('words starting with PT are not parts', () => {
+    expect(parseStandardRefs('IS 1554 PTFE sheath')[0].part).toBeNull();
+  });
+});
+
+describe('compareStandards editions', () => {
+  test('an older offered edition is a deviation', () => {
+    expect(compareStandards('IEC 60502-2:2014', 'IEC 60502-2:2005', cable).status).toBe('MISMATCH');
+    expect(compareStandards('IS 7098 (Part 2):2011', 'IS 7098 (Part 2):1985', cable).status).toBe('MISMATCH');
+  });
+
+  test('a superseded offered edition is a deviation when the RFP cites no edition', () => {
+    expect(compareStandards('IEC 60502-2', 'IEC 60502-2:2005', cable).status).toBe('MISMATCH');
+    expect(compareStandards('IEC 60502-2', 'IS 7098 (Part 2):1985', cable).status).toBe('MISMATCH');
+  });
+
+  test('the cited or a newer edition complies', () => {
+    expect(compareStandards('IEC 60502-2:2005', 'IEC 60502-2:2005', cable).status).toBe('EXACT');
+    expect(compareStandards('IEC 60502-2:2005', 'IEC 60502-2:2014', cable).status).toBe('NEWER_EDITION');
+    expect(compareStandards('IEC 60502-2', 'IS 7098 (Part 2):2011', cable).status).toBe('EQUIVALENT');
+  });
+});
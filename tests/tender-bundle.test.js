@@ -0,0 +1,135 @@
+/**
+ * Tender bundle classification, merge, BOQ sheets and ZIP expansion
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import PizZip from 'pizzip';
+import { classifyDocument, mergeBundleFields, boqFromSheets, expandZip, addBundleDocuments } from '../services/tender-bundle.js';
+
+let workDir;
+
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-test-'));
+});
+
+afterEach(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const writeZip = (name, entries) => {
+  const zip = new PizZip();
+  for (const [entryName, content] of Object.entries(entries)) zip.file(entryName, content);
+  const target = path.join(workDir, name);
+  fs.writeFileSync(target, zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' }));
+  return target;
+};
+
+describe('classifyDocument', () => {
+  test('file name and opening heading decide the role', () => {
+    expect(classifyDocument({ fileName: 'NIT_cables.pdf', text: 'NOTICE INVITING E-TENDER\nLast date of bid submission: 15/01/2027' }).role).toBe('nit');
+    expect(classifyDocument({ fileName: 'doc2.pdf', text: 'CORRIGENDUM NO. 1\nThe due date is extended up to 22/01/2027' }).role).toBe('corrigendum');
+    expect(classifyDocument({ fileName: 'feeder_layout.dwg' })).toMatchObject({ role: 'drawing', confidence: 1 });
+  });
+
+  test('a document with no signals is other', () => {
+    expect(classifyDocument({ fileName: 'scan001.pdf', text: 'lorem ipsum' })).toEqual({ role: 'other', confidence: 0, signals: [] });
+  });
+});
+
+describe('mergeBundleFields', () => {
+  const documents = [
+    { id: 1, seq: 1, fileName: 'nit.pdf', role: 'nit', fields: { due_date: '2027-01-15', emd_amount: 50000, title: 'Supply of HT cables' } },
+    { id: 2, seq: 2, fileName: 'corrigendum.pdf', role: 'corrigendum', fields: { due_date: '2027-01-22' } },
+    { id: 3, seq: 3, fileName: 'scc.pdf', role: 'scc', fields: { emd_amount: 50000, payment_terms: '90% on delivery' } }
+  ];
+
+  test('each field comes from the highest-priority document stating it', () => {
+    const { data, field_sources: sources } = mergeBundleFields(documents);
+
+    expect(data).toEqual({ due_date: '2027-01-22', emd_amount: 50000, title: 'Supply of HT cables', payment_terms: '90% on delivery' });
+    expect(sources.due_date).toEqual({ document_id: 2, file_name: 'corrigendum.pdf', role: 'corrigendum' });
+    expect(sources.emd_amount.role).toBe('nit');
+  });
+
+  test('differing values are reported as conflicts; agreeing ones are not', () => {
+    const { conflicts } = mergeBundleFields(documents);
+
+    expect(conflicts).toEqual([{
+      field: 'due_date',
+      chosen: { document_id: 2, file_name: 'corrigendum.pdf', role: 'corrigendum', value: '2027-01-22' },
+      overridden: [{ document_id: 1, file_name: 'nit.pdf', role: 'nit', value: '2027-01-15' }]
+    }]);
+  });
+
+  test('the later of two documents with the same role wins', () => {
+    const { data } = mergeBundleFields([
+      { id: 1, seq: 1, role: 'corrigendum', fields: { due_date: '2027-01-22' } },
+      { id: 2, seq: 2, role: 'corrigendum', fields: { due_date: '2027-01-29' } }
+    ]);
+
+    expect(data.due_date).toBe('2027-01-29');
+  });
+});
+
+describe('boqFromSheets', () => {
+  test('reads lines under the description / quantity header and converts metres to km', () => {
+    const lines = boqFromSheets([{
+      rows: [
+        ['Price Schedule'],
+        ['Sl. No.', 'Item Description', 'Unit', 'Qty'],
+        [1, '11kV 3C x 240 sqmm Al XLPE armoured cable', 'km', 12],
+        [2, '1.1kV 4C x 16 sqmm Cu PVC cable', 'm', '2,500'],
+        ['', 'Sub-total', '', '']
+      ]
+    }]);
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ item_no: 1, qty_km: 12, voltage: '11kV', cores: '3', size_sqmm: '240' });
+    expect(lines[1]).toMatchObject({ item_no: 2, qty_km: 2.5 });
+  });
+
+  test('a sheet without a quantity column has no BOQ', () => {
+    expect(boqFromSheets([{ rows: [['Description', 'Remarks'], ['Cable', 'n/a']] }])).toEqual([]);
+  });
+});
+
+describe('expandZip', () => {
+  test('nested archives are expanded and unsupported entries skipped', () => {
+    const inner = new PizZip();
+    inner.file('drawings/SLD.dwg', 'inner drawing');
+    const archive = writeZip('bundle.zip', {
+      'NIT.dwg': 'outer drawing',
+      'readme.txt': 'skipped',
+      '__MACOSX/._NIT.dwg': 'skipped',
+      'inner.zip': inner.generate({ type: 'nodebuffer' })
+    });
+
+    const files = expandZip({ path: archive, originalName: 'bundle.zip' }, workDir, { bytes: 0 });
+
+    expect(files.map(file => [file.originalName, file.archive]).sort()).toEqual([
+      ['NIT.dwg', 'bundle.zip'],
+      ['SLD.dwg', 'bundle.zip/inner.zip']
+    ]);
+  });
+
+  test('an entry declaring more than the unzip limit is refused before it is inflated', () => {
+    const archive = writeZip('bomb.zip', { 'big.dwg': 'small' });
+    const buffer = fs.readFileSync(archive);
+    const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    buffer.writeUInt32LE(0xfffffff0, central + 24);
+    fs.writeFileSync(archive, buffer);
+
+    expect(() => expandZip({ path: archive, originalName: 'bomb.zip' }, workDir, { bytes: 0 }))
+      .toThrow(expect.objectContaining({ status: 413 }));
+  });
+});
+
+describe('addBundleDocuments', () => {
+  test('a dot-only tender ID is refused instead of naming a parent directory', async () => {
+    const file = path.join(workDir, 'layout.dwg');
+    fs.writeFileSync(file, 'drawing');
+
+    await expect(addBundleDocuments([{ path: file, originalName: 'layout.dwg' }], { tenderId: '..' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
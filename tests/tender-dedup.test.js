@@ -0,0 +1,48 @@
+/**
+ * Tender Deduplication over cross-posted listings
+ * tests/fixtures/cross-posted-tenders.json re-posts seed government tenders on other portals.
+ */
+
+import fs from 'fs';
+import { compareTenders, dedupeTenders } from '../services/tender-dedup.js';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(new URL(file, import.meta.url), 'utf-8'));
+const government = readJson('../public/data/portals/gov.json');
+const seedPortals = [government, readJson('../public/data/portals/industrial.json'), readJson('../public/data/portals/utilities.json')].flat();
+const crossPosted = readJson('./fixtures/cross-posted-tenders.json');
+
+describe('dedupeTenders', () => {
+  test('cross-posted listings merge into the government listing they copy', () => {
+    const { clusters, duplicates_removed: removed } = dedupeTenders([...government, ...crossPosted]);
+    const clusterWith = (id) => clusters.find(cluster => cluster.tender_ids.includes(id));
+
+    expect(removed).toBeGreaterThanOrEqual(crossPosted.length);
+    for (const [copy, original] of [['IND-220', 'GOV-107'], ['UTL-320', 'GOV-100'], ['UTL-321', 'GOV-116']]) {
+      expect(clusterWith(copy)?.tender_ids).toContain(original);
+    }
+  });
+
+  test('the seed portals hold no cross-posted copies', () => {
+    const { duplicates_removed: removed } = dedupeTenders(seedPortals);
+
+    expect(removed).toBe(0);
+  });
+
+  test('all-caps buyers sharing only LIMITED stay separate', () => {
+    const listing = (id, portal, organisation) => ({
+      tender_id: id,
+      portal_id: portal,
+      organisation,
+      title: 'Supply of 3C x 240 sqmm 11 kV XLPE armoured aluminium cable',
+      material: '3C x 240 sqmm 11kV XLPE Al armoured',
+      estimated_cost_inr: 25000000,
+      due_date: '2026-03-10'
+    });
+    const bhel = listing('CPPP-1', 'cppp', 'BHARAT HEAVY ELECTRICALS LIMITED');
+    const ntpc = listing('GOV-1', 'gov', 'NTPC LIMITED');
+
+    expect(compareTenders(bhel, ntpc)).toBeNull();
+    expect(dedupeTenders([bhel, ntpc]).duplicates_removed).toBe(0);
+    expect(compareTenders(ntpc, listing('IND-1', 'industrial', 'NTPC Ltd'))).not.toBeNull();
+  });
+});
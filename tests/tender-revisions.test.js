@@ -0,0 +1,117 @@
+/**
+ * Tender revision diffs, stale artefacts and baselines for tenders saved before revisions
+ */
+
+import db from '../db/index.js';
+import { diffSnapshots, recordRevision, registerArtefact, listArtefacts, listRevisions } from '../services/tender-revisions.js';
+import { saveRfpAndChunks } from '../services/rfpMemory.js';
+
+const RFP_IDS = ['TEST-REV-STALE', 'TEST-REV-LEGACY'];
+
+const rfpRow = (id, overrides = {}) => ({
+  id, portal: null, buyerName: 'Test Buyer', title: 'Test tender', city: null,
+  dueDate: '2030-01-10T15:00:00+05:30', estCost: 1000000, category: null, pdfPath: null,
+  ...overrides
+});
+
+const snapshot = (overrides = {}) => ({
+  dates: { dueDate: '2030-01-10T15:00:00+05:30', preBidDate: null, clarificationDueDate: null, emdDueDate: null },
+  boq: [
+    { item: '1', description: '11 kV 3C 240 sqmm', quantity: 10, unit: 'km' },
+    { item: '2', description: '1.1 kV 4C 16 sqmm', quantity: 4, unit: 'km' }
+  ],
+  specs: null,
+  commercial: { estCost: 1000000 },
+  ...overrides
+});
+
+afterAll(() => {
+  for (const table of ['rfp_revisions', 'rfp_chunks', 'rfp_artefacts', 'reminders']) {
+    db.prepare(`DELETE FROM ${table} WHERE rfpId IN (${RFP_IDS.map(() => '?').join(', ')})`).run(...RFP_IDS);
+  }
+  db.prepare(`DELETE FROM rfps WHERE id IN (${RFP_IDS.map(() => '?').join(', ')})`).run(...RFP_IDS);
+});
+
+describe('diffSnapshots', () => {
+  test('a moved due date is a material change with its shift in days', () => {
+    const diff = diffSnapshots(snapshot(), snapshot({ dates: { ...snapshot().dates, dueDate: '2030-01-17T15:00:00+05:30' } }));
+
+    expect(diff.dates).toEqual([expect.objectContaining({ field: 'dueDate', shift_days: 7, material: true })]);
+    expect(diff.material).toBe(true);
+    expect(diff.summary[0]).toMatch(/Bid due date: .* \(\+7 days\)/);
+  });
+
+  test('BOQ lines added, removed and re-quantified are each reported', () => {
+    const after = snapshot({
+      boq: [
+        { item: '1', description: '11 kV 3C 240 sqmm', quantity: 12, unit: 'km' },
+        { item: '3', description: '33 kV 1C 400 sqmm', quantity: 2, unit: 'km' }
+      ]
+    });
+    const changes = Object.fromEntries(diffSnapshots(snapshot(), after).boq.map(change => [change.item, change]));
+
+    expect(changes['1']).toMatchObject({ change: 'quantity', from: 10, to: 12, pct: 20, material: true });
+    expect(changes['2']).toMatchObject({ change: 'removed', from: 4, material: true });
+    expect(changes['3']).toMatchObject({ change: 'added', to: 2, material: true });
+  });
+
+  test('value changes within the tolerance are reported but not material', () => {
+    const small = diffSnapshots(snapshot(), snapshot({ commercial: { estCost: 1005000 } }));
+    const large = diffSnapshots(snapshot(), snapshot({ commercial: { estCost: 1100000 } }));
+
+    expect(small.commercial).toEqual([expect.objectContaining({ field: 'estCost', pct: 0.5, material: false })]);
+    expect(small.material).toBe(false);
+    expect(large.commercial[0].material).toBe(true);
+  });
+
+  test('identical snapshots have no changes', () => {
+    const diff = diffSnapshots(snapshot(), snapshot());
+
+    expect(diff.material).toBe(false);
+    expect(diff.summary).toEqual([]);
+  });
+});
+
+describe('recordRevision', () => {
+  const tender = (qty) => ({ cable_requirements: [{ item_no: 1, description: '11 kV 3C 240 sqmm', qty_km: qty }] });
+
+  test('a BOQ change marks the quotation built on the old revision stale; an unchanged save is not a revision', () => {
+    saveRfpAndChunks({ rfp: rfpRow('TEST-REV-STALE'), fullText: 'Original tender text', tender: tender(10) });
+    registerArtefact('TEST-REV-STALE', 'quotation', 'Q-1');
+
+    const unchanged = recordRevision('TEST-REV-STALE', { tender: tender(10) });
+    expect(unchanged.created).toBe(false);
+
+    const amended = recordRevision('TEST-REV-STALE', { tender: tender(14), kind: 'addendum' });
+    expect(amended).toMatchObject({ revision: 2, created: true, kind: 'addendum', material: true });
+    expect(amended.stale).toEqual([expect.objectContaining({ kind: 'quotation', count: 1 })]);
+    expect(listArtefacts('TEST-REV-STALE', { status: 'stale' })).toEqual([
+      expect.objectContaining({ kind: 'quotation', ref: 'Q-1', stale_revision: 2 })
+    ]);
+  });
+
+  test('an unknown RFP is a 404', () => {
+    expect(() => recordRevision('TEST-REV-MISSING')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe('saveRfpAndChunks', () => {
+  test('a tender saved before revisions were tracked keeps its stored terms as revision 1', () => {
+    const row = rfpRow('TEST-REV-LEGACY');
+    db.prepare(`
+      INSERT INTO rfps (id, portal, buyerName, title, city, dueDate, estCost, category, pdfPath, createdAt, updatedAt)
+      VALUES (@id, @portal, @buyerName, @title, @city, @dueDate, @estCost, 'General', @pdfPath, @now, @now)
+    `).run({ ...row, now: new Date().toISOString() });
+    db.prepare(`INSERT INTO rfp_chunks (rfpId, seq, text) VALUES (?, 0, ?)`).run('TEST-REV-LEGACY', 'Legacy tender text');
+
+    const result = saveRfpAndChunks({
+      rfp: { ...row, dueDate: '2030-01-24T15:00:00+05:30' },
+      fullText: 'Legacy tender text'
+    });
+    const revisions = listRevisions('TEST-REV-LEGACY');
+
+    expect(revisions.map(r => [r.revision, r.kind, r.source])).toEqual([[1, 'original', 'baseline'], [2, 'update', 'upload']]);
+    expect(result.text_changed).toBe(false);
+    expect(result.diff.dates).toEqual([expect.objectContaining({ field: 'dueDate', shift_days: 14 })]);
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Type-test certificate field validation
+ */
+
+import { addCertificate } from '../services/type-test-certificates.js';
+
+describe('addCertificate', () => {
+  test('a malformed JSON list is a 400, not a crash', () => {
+    const input = { lab: 'CPRI', report_date: '2025-01-10', sku_ids: '["CBL001",' };
+
+    expect(() => addCertificate(input)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -16,6 +16,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { PATHS } from '../configs/settings.js';
+import { listOcdsTenders } from '../services/ocds-importer.js';
+import { dedupeTenders } from '../services/tender-dedup.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -53,12 +55,27 @@ export function loadCompanies() {
 }
 
 /**
- * Load all tenders from all-portals.json
+ * Load all tenders from all-portals.json plus the OCDS imports
  * @returns {Array} Array of all tender objects
  */
 export function loadAllTenders() {
   const tendersPath = path.join(__dirname, '..', 'public', 'data', 'all-portals.json');
-  return loadCachedData(tendersPath, 'all-tenders') || [];
+  const tenders = loadCachedData(tendersPath, 'all-tenders') || [];
+  const known = new Set(tenders.map(t => t.tender_id));
+  return [...tenders, ...loadOcdsTenders().filter(t => !known.has(t.tender_id))];
+}
+
+/**
+ * Load tenders imported from OCDS packages (services/ocds-importer.js)
+ * @returns {Array} Array of tender objects, each with its `ocid` and `awards`
+ */
+export function loadOcdsTenders() {
+  try {
+    return listOcdsTenders();
+  } catch (error) {
+    console.error('Error loading OCDS tenders:', error.message);
+    return [];
+  }
 }
 
 /**
@@ -183,6 +200,8 @@ function keywordMatches(keyword, text) {
 
 /**
  * Filter tenders by criteria
+ * Cross-posted copies of a tender are merged into one canonical record (with
+ * `cluster` source links) unless `filters.includeDuplicates` is set.
  * @param {Object} filters - Filter criteria
  * @returns {Array} Filtered tender array
  */
@@ -258,7 +277,11 @@ export function filterTenders(filters = {}) {
   
   if (filters.portal) {
     const prefix = filters.portal.toUpperCase().slice(0, 3);
-    tenders = tenders.filter(t => t.tender_id?.startsWith(prefix));
+    tenders = tenders.filter(t => t.portal_id === filters.portal || t.tender_id?.startsWith(prefix));
+  }
+  
+  if (!filters.includeDuplicates) {
+    tenders = dedupeTenders(tenders).tenders;
   }
   
   // Sort by relevance then due date
@@ -280,6 +303,9 @@ export function filterTenders(filters = {}) {
 export function getPortalInfo(tender) {
   const id = tender.tender_id || '';
   
+  if (tender.portal_id === 'ocds') {
+    return { portal_id: 'ocds', portal_name: tender.portal_name || 'OCDS import' };
+  }
   if (id.startsWith('GOV')) {
     return { portal_id: 'gov', portal_name: 'Government Portal' };
   } else if (id.startsWith('IND')) {
@@ -334,6 +360,7 @@ export {
 export default {
   loadCompanies,
   loadAllTenders,
+  loadOcdsTenders,
   loadPortalTenders,
   loadOEMProducts,
   loadTestPricing,